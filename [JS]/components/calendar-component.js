@@ -4,6 +4,1044 @@
  * Compatible with jazer-brand.css styling for calendar components
  */
 
+// Views in the order the header offers them
+const CALENDAR_VIEWS = ['month', 'week', 'day', 'agenda', 'year', 'timeline'];
+
+// iCalendar weekday codes indexed like Date#getDay()
+const CALENDAR_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Periods searched for the next occurrence before a rule is given up on
+const CALENDAR_MAX_RECURRENCE_PERIODS = 10000;
+
+// Offset readers by zone name; recurrences convert every occurrence, and formatters are slow to create
+const CALENDAR_ZONE_OFFSET_READERS = new Map();
+
+// Observance changes by VTIMEZONE component, then by year
+const CALENDAR_TIMEZONE_ONSETS = new WeakMap();
+
+/**
+ * RFC 5545 recurrence rules (RRULE)
+ * Supports FREQ=DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, COUNT, UNTIL, BYDAY
+ * (including ordinals such as 2MO or -1FR), BYMONTHDAY, BYMONTH, BYSETPOS and WKST.
+ * Occurrences keep the time of day of the event start in the event's `timezone`,
+ * or in local time for events without one.
+ */
+class CalendarRecurrence {
+  /**
+   * Parses a recurrence rule
+   * @param {string|Object} rule - 'FREQ=WEEKLY;BYDAY=MO,WE' (optionally prefixed with 'RRULE:')
+   *   or an object with the same parts, e.g. { freq: 'WEEKLY', byDay: ['MO', 'WE'], count: 10 }
+   * @returns {Object} Parsed rule
+   */
+  static parse(rule) {
+    if (rule && typeof rule === 'object') {
+      rule = Object.entries(rule)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => {
+          if (value instanceof Date) value = CalendarRecurrence.formatDateValue(value);
+          return `${key.toUpperCase()}=${Array.isArray(value) ? value.join(',') : value}`;
+        })
+        .join(';');
+    }
+
+    const parsed = {
+      freq: null,
+      interval: 1,
+      count: null,
+      until: null,
+      byDay: [],
+      byMonthDay: [],
+      byMonth: [],
+      bySetPos: [],
+      wkst: 1
+    };
+    const numbers = (value) => value.split(',').map(part => parseInt(part, 10)).filter(number => !isNaN(number) && number !== 0);
+
+    String(rule || '').trim().replace(/^RRULE:/i, '').split(';').forEach(part => {
+      const [key, value = ''] = part.split('=');
+
+      switch (key.trim().toUpperCase()) {
+        case 'FREQ':
+          parsed.freq = value.trim().toUpperCase();
+          break;
+        case 'INTERVAL':
+          parsed.interval = Math.max(1, parseInt(value, 10) || 1);
+          break;
+        case 'COUNT':
+          parsed.count = Math.max(0, parseInt(value, 10) || 0);
+          break;
+        case 'UNTIL':
+          // A date-only UNTIL includes that whole day
+          parsed.until = CalendarRecurrence.parseDateValue(value);
+          if (parsed.until && /^\d{4}-?\d{2}-?\d{2}$/.test(value.trim())) {
+            parsed.until.setHours(23, 59, 59, 999);
+          }
+          break;
+        case 'BYDAY':
+          parsed.byDay = value.split(',').map(day => {
+            const match = day.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+            return match ? { day: CALENDAR_WEEKDAYS.indexOf(match[2]), n: match[1] ? parseInt(match[1], 10) : 0 } : null;
+          }).filter(Boolean);
+          break;
+        case 'BYMONTHDAY':
+          parsed.byMonthDay = numbers(value);
+          break;
+        case 'BYMONTH':
+          parsed.byMonth = numbers(value).filter(month => month >= 1 && month <= 12);
+          break;
+        case 'BYSETPOS':
+          parsed.bySetPos = numbers(value);
+          break;
+        case 'WKST':
+          if (CALENDAR_WEEKDAYS.includes(value.trim().toUpperCase())) {
+            parsed.wkst = CALENDAR_WEEKDAYS.indexOf(value.trim().toUpperCase());
+          }
+          break;
+      }
+    });
+
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(parsed.freq)) {
+      throw new Error(`CalendarRecurrence: Unsupported frequency "${parsed.freq}"`);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Serializes a parsed rule back to RRULE text
+   * @param {Object} rule - Parsed rule
+   * @returns {string} Rule such as 'FREQ=MONTHLY;BYDAY=-1FR'
+   */
+  static stringify(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${CalendarRecurrence.formatDateValue(rule.until)}`);
+    if (rule.byDay.length) {
+      parts.push(`BYDAY=${rule.byDay.map(({ day, n }) => `${n || ''}${CALENDAR_WEEKDAYS[day]}`).join(',')}`);
+    }
+    if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    if (rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+    if (rule.bySetPos.length) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+    if (rule.wkst !== 1) parts.push(`WKST=${CALENDAR_WEEKDAYS[rule.wkst]}`);
+
+    return parts.join(';');
+  }
+
+  /**
+   * Parses an iCalendar or ISO date value
+   * Date-only values ('20240131', '2024-01-31') and values without a zone are local time.
+   * @param {Date|string} value - Date value
+   * @returns {Date|null} Parsed date
+   */
+  static parseDateValue(value) {
+    if (value instanceof Date) return new Date(value);
+
+    const text = String(value || '').trim();
+    const match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})(?:T(\d{2}):?(\d{2}):?(\d{2})(Z)?)?$/);
+    if (!match) {
+      const date = new Date(text);
+      return isNaN(date.getTime()) ? null : date;
+    }
+
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0, utc] = match;
+    return utc ?
+      new Date(Date.UTC(+year, month - 1, +day, +hours, +minutes, +seconds)) :
+      new Date(+year, month - 1, +day, +hours, +minutes, +seconds);
+  }
+
+  /**
+   * Formats a date as an iCalendar UTC date-time
+   * @param {Date} date - Date to format
+   * @returns {string} Value such as '20240131T090000Z'
+   */
+  static formatDateValue(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Expands a recurring event into its occurrences within a range
+   * The event start is always the first occurrence and counts towards COUNT;
+   * dates listed in `event.exdate` are left out.
+   * @param {Object} event - Event with `start`, optional `end`, `rrule`, `exdate` and `timezone`
+   * @param {Date} rangeStart - Start of the range
+   * @param {Date} rangeEnd - End of the range
+   * @param {number} maxOccurrences - Most occurrences to return
+   * @param {Object} timezones - VTIMEZONE components by TZID, for zones the browser doesn't know
+   * @returns {Array<Object>} Occurrences { start, end } overlapping the range
+   */
+  static expand(event, rangeStart, rangeEnd, maxOccurrences = 1000, timezones = {}) {
+    const rule = CalendarRecurrence.parse(event.rrule);
+    const zone = event.timezone && !event.allDay ? event.timezone : null;
+    const duration = event.end ? new Date(event.end) - new Date(event.start) : 60 * 60 * 1000;
+
+    // Zoned rules are stepped through as local dates holding the zone's wall-clock time,
+    // and each date is converted back to the moment it stands for
+    const instant = (date) => (zone ? new Date(CalendarICS.zonedTimeToUTC(Date.UTC(
+      date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds()
+    ), zone, timezones)) : date);
+    let dtstart = new Date(event.start);
+    if (zone) {
+      const wall = new Date(CalendarICS.utcToZonedTime(dtstart.getTime(), zone, timezones));
+      dtstart = new Date(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(),
+        wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds(), wall.getUTCMilliseconds());
+    }
+
+    const excludedTimes = new Set();
+    const excludedDays = new Set();
+    (event.exdate ? [].concat(event.exdate) : []).forEach(value => {
+      if (typeof value === 'string' && /^\d{4}-?\d{2}-?\d{2}$/.test(value.trim())) {
+        excludedDays.add(CalendarRecurrence.parseDateValue(value).toDateString());
+      } else {
+        const date = CalendarRecurrence.parseDateValue(value);
+        if (date) excludedTimes.add(date.getTime());
+      }
+    });
+
+    const occurrences = [];
+    let generated = 0;
+
+    // Returns false once no later date can be part of the result
+    const add = (date) => {
+      const start = instant(date);
+      if (rule.until && start > rule.until) return false;
+      if (rule.count && generated >= rule.count) return false;
+      if (start > rangeEnd) return false;
+      generated++;
+
+      const end = new Date(start.getTime() + duration);
+      if (end >= rangeStart && !excludedTimes.has(start.getTime()) && !excludedDays.has(date.toDateString())) {
+        occurrences.push({ start, end });
+      }
+      return occurrences.length < maxOccurrences;
+    };
+
+    if (!add(new Date(dtstart))) return occurrences;
+
+    for (let period = 0; period < CALENDAR_MAX_RECURRENCE_PERIODS; period++) {
+      const { periodStart, dates } = CalendarRecurrence.getPeriodDates(rule, dtstart, period);
+      const periodInstant = instant(periodStart);
+      if (periodInstant > rangeEnd || (rule.until && periodInstant > rule.until)) break;
+
+      for (const date of dates) {
+        if (date > dtstart && !add(date)) return occurrences;
+      }
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Gets the candidate dates of one period (day, week, month or year) of a rule
+   * @param {Object} rule - Parsed rule
+   * @param {Date} dtstart - Start of the recurring event
+   * @param {number} period - Period number, counted in INTERVAL steps from the start
+   * @returns {Object} { periodStart, dates } with dates in order
+   */
+  static getPeriodDates(rule, dtstart, period) {
+    const step = period * rule.interval;
+    const at = (year, month, day) => new Date(
+      year, month, day, dtstart.getHours(), dtstart.getMinutes(), dtstart.getSeconds(), dtstart.getMilliseconds()
+    );
+    const inMonths = (date) => !rule.byMonth.length || rule.byMonth.includes(date.getMonth() + 1);
+    const onWeekdays = (date) => !rule.byDay.length || rule.byDay.some(({ day }) => day === date.getDay());
+    let periodStart;
+    let dates = [];
+
+    switch (rule.freq) {
+      case 'DAILY': {
+        periodStart = at(dtstart.getFullYear(), dtstart.getMonth(), dtstart.getDate() + step);
+        const day = periodStart.getDate();
+        const length = new Date(periodStart.getFullYear(), periodStart.getMonth() + 1, 0).getDate();
+        const monthDayMatches = !rule.byMonthDay.length ||
+          rule.byMonthDay.some(monthDay => (monthDay > 0 ? monthDay : length + monthDay + 1) === day);
+        dates = inMonths(periodStart) && monthDayMatches && onWeekdays(periodStart) ? [periodStart] : [];
+        break;
+      }
+
+      case 'WEEKLY': {
+        const offset = (dtstart.getDay() - rule.wkst + 7) % 7;
+        periodStart = at(dtstart.getFullYear(), dtstart.getMonth(), dtstart.getDate() - offset + step * 7);
+        const days = rule.byDay.length ? rule.byDay.map(({ day }) => day) : [dtstart.getDay()];
+        dates = days
+          .map(day => at(periodStart.getFullYear(), periodStart.getMonth(), periodStart.getDate() + (day - rule.wkst + 7) % 7))
+          .filter(inMonths);
+        break;
+      }
+
+      case 'MONTHLY': {
+        const first = new Date(dtstart.getFullYear(), dtstart.getMonth() + step, 1);
+        periodStart = first;
+        if (inMonths(first)) {
+          dates = CalendarRecurrence.getMonthDays(rule, dtstart, first.getFullYear(), first.getMonth())
+            .map(day => at(first.getFullYear(), first.getMonth(), day));
+        }
+        break;
+      }
+
+      case 'YEARLY': {
+        const year = dtstart.getFullYear() + step;
+        periodStart = new Date(year, 0, 1);
+
+        if (rule.byDay.length && !rule.byMonth.length && !rule.byMonthDay.length) {
+          // Weekdays across the whole year, ordinals count within the year
+          const length = (new Date(year + 1, 0, 1) - periodStart) / 86400000;
+          for (let index = 0; index < Math.round(length); index++) {
+            const date = at(year, 0, index + 1);
+            if (CalendarRecurrence.matchesByDay(rule.byDay, date.getDay(), index, Math.round(length))) {
+              dates.push(date);
+            }
+          }
+        } else {
+          const months = rule.byMonth.length ? rule.byMonth.map(month => month - 1) : [dtstart.getMonth()];
+          months.sort((a, b) => a - b).forEach(month => {
+            CalendarRecurrence.getMonthDays(rule, dtstart, year, month).forEach(day => dates.push(at(year, month, day)));
+          });
+        }
+        break;
+      }
+    }
+
+    dates.sort((a, b) => a - b);
+
+    if (rule.bySetPos.length) {
+      const all = dates;
+      dates = rule.bySetPos
+        .map(position => all[position > 0 ? position - 1 : all.length + position])
+        .filter(Boolean)
+        .sort((a, b) => a - b);
+    }
+
+    return { periodStart, dates };
+  }
+
+  /**
+   * Gets the days of a month that match a monthly or yearly rule
+   * @param {Object} rule - Parsed rule
+   * @param {Date} dtstart - Start of the recurring event
+   * @param {number} year - Year
+   * @param {number} month - Month (0-11)
+   * @returns {Array<number>} Days of the month in order
+   */
+  static getMonthDays(rule, dtstart, year, month) {
+    const length = new Date(year, month + 1, 0).getDate();
+    let days;
+
+    if (rule.byMonthDay.length) {
+      days = rule.byMonthDay.map(day => (day > 0 ? day : length + day + 1));
+    } else if (rule.byDay.length) {
+      days = Array.from({ length }, (_, index) => index + 1);
+    } else {
+      // Months without the start's day (e.g. the 31st) are skipped
+      days = [dtstart.getDate()];
+    }
+
+    days = days.filter(day => day >= 1 && day <= length);
+
+    if (rule.byDay.length) {
+      days = days.filter(day =>
+        CalendarRecurrence.matchesByDay(rule.byDay, new Date(year, month, day).getDay(), day - 1, length));
+    }
+
+    return [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Checks a day against BYDAY entries, with ordinals counted within the period
+   * @param {Array<Object>} byDay - BYDAY entries { day, n }
+   * @param {number} weekday - Weekday of the date (0-6)
+   * @param {number} index - Zero-based day index within the period
+   * @param {number} length - Days in the period
+   * @returns {boolean} Whether the day matches
+   */
+  static matchesByDay(byDay, weekday, index, length) {
+    const fromStart = Math.floor(index / 7) + 1;
+    const fromEnd = -(Math.floor((length - 1 - index) / 7) + 1);
+
+    return byDay.some(({ day, n }) => day === weekday && (n === 0 || n === fromStart || n === fromEnd));
+  }
+}
+
+/**
+ * iCalendar (RFC 5545) reading and writing for calendar events
+ * Reads VEVENTs with DTSTART/DTEND/DURATION (UTC, floating, TZID or all-day), RRULE, EXDATE
+ * and RECURRENCE-ID overrides; time zones unknown to the browser (e.g. Windows names used
+ * by Outlook) are resolved from the file's VTIMEZONE definitions. The TZID of the start is
+ * kept as the event's `timezone` so recurrences repeat in that zone.
+ */
+class CalendarICS {
+  /**
+   * Parses iCalendar text into calendar events
+   * The file's VTIMEZONE definitions are added to `timezones`, which the events' zones
+   * may need later on when they are expanded or written back.
+   * @param {string} text - Contents of an .ics file
+   * @param {Object} timezones - VTIMEZONE components by TZID
+   * @returns {Array<Object>} Events { id, title, start, end, allDay, description, location, rrule, exdate, ... }
+   */
+  static parse(text, timezones = {}) {
+    const components = CalendarICS.parseComponents(CalendarICS.unfold(text));
+    const calendar = components.find(component => component.name === 'VCALENDAR') || { components };
+
+    calendar.components.filter(component => component.name === 'VTIMEZONE').forEach(component => {
+      const tzid = CalendarICS.getProperty(component, 'TZID');
+      if (tzid) timezones[tzid.value] = component;
+    });
+
+    const events = [];
+    const overrides = [];
+
+    calendar.components.filter(component => component.name === 'VEVENT').forEach(component => {
+      const event = CalendarICS.parseEvent(component, timezones);
+      if (!event) return;
+
+      if (event.recurrenceId) {
+        overrides.push(event);
+      } else {
+        events.push(event);
+      }
+    });
+
+    // Overrides replace their occurrence in the series; cancelled ones just remove it
+    overrides.forEach(override => {
+      const series = events.find(event => event.id === override.recurringEventId && event.rrule);
+      if (series) {
+        series.exdate = [...(series.exdate || []), override.recurrenceId];
+      }
+      if (override.status !== 'CANCELLED') {
+        events.push({ ...override, id: `${override.recurringEventId}_${override.recurrenceId}` });
+      }
+    });
+
+    return events;
+  }
+
+  /**
+   * Reads one VEVENT
+   * @param {Object} component - Parsed VEVENT
+   * @param {Object} timezones - VTIMEZONE components by TZID
+   * @returns {Object|null} Event, or null without a start
+   */
+  static parseEvent(component, timezones) {
+    const property = (name) => CalendarICS.getProperty(component, name);
+    const text = (name) => (property(name) ? CalendarICS.unescapeText(property(name).value) : undefined);
+
+    const dtstart = property('DTSTART');
+    if (!dtstart) return null;
+
+    const start = CalendarICS.parseDateProperty(dtstart, timezones);
+    const allDay = start.allDay;
+    let end;
+
+    if (property('DTEND')) {
+      end = CalendarICS.parseDateProperty(property('DTEND'), timezones).date;
+    } else if (property('DURATION')) {
+      end = CalendarICS.addDuration(start.date, property('DURATION').value);
+    } else {
+      // Without an end, all-day events last the day and others take no time
+      end = new Date(start.date);
+      if (allDay) end.setDate(end.getDate() + 1);
+    }
+
+    const event = {
+      id: text('UID') || `ics_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      title: text('SUMMARY') || '',
+      start: start.date,
+      end,
+      allDay
+    };
+
+    // Zones that can't be resolved were read as local time, and repeat in it too
+    if (start.tzid && CalendarICS.hasTimezone(start.tzid, timezones)) event.timezone = start.tzid;
+
+    const optional = { description: 'DESCRIPTION', location: 'LOCATION', url: 'URL', color: 'COLOR' };
+    Object.entries(optional).forEach(([key, name]) => {
+      const value = text(name);
+      if (value) event[key] = value;
+    });
+
+    const status = property('STATUS');
+    if (status) event.status = status.value.toUpperCase();
+
+    const rrule = property('RRULE');
+    if (rrule) event.rrule = rrule.value;
+
+    // All-day exclusions stay date-only so they match the occurrence's day
+    const exdate = [];
+    component.properties.filter(prop => prop.name === 'EXDATE').forEach(prop => {
+      prop.value.split(',').forEach(value => {
+        const parsed = CalendarICS.parseDateProperty({ ...prop, value }, timezones);
+        exdate.push(parsed.allDay ? value.trim() : parsed.date.toISOString());
+      });
+    });
+    if (exdate.length) event.exdate = exdate;
+
+    const recurrenceId = property('RECURRENCE-ID');
+    if (recurrenceId) {
+      event.recurringEventId = event.id;
+      event.recurrenceId = CalendarICS.parseDateProperty(recurrenceId, timezones).date.toISOString();
+    }
+
+    return event;
+  }
+
+  /**
+   * Joins folded lines
+   * @param {string} text - iCalendar text
+   * @returns {Array<string>} Content lines
+   */
+  static unfold(text) {
+    return String(text || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/\n[ \t]/g, '')
+      .split('\n')
+      .filter(line => line.trim() !== '');
+  }
+
+  /**
+   * Parses a content line into its name, parameters and value
+   * @param {string} line - Unfolded content line
+   * @returns {Object} { name, params, value }
+   */
+  static parseLine(line) {
+    let index = 0;
+    let quoted = false;
+
+    // The value starts at the first colon outside a quoted parameter value
+    while (index < line.length && (quoted || line[index] !== ':')) {
+      if (line[index] === '"') quoted = !quoted;
+      index++;
+    }
+
+    const head = line.slice(0, index);
+    const value = line.slice(index + 1);
+    const parts = head.match(/(?:[^;"]|"[^"]*")+/g) || [''];
+    const params = {};
+
+    parts.slice(1).forEach(part => {
+      const separator = part.indexOf('=');
+      if (separator === -1) return;
+      params[part.slice(0, separator).toUpperCase()] = part.slice(separator + 1).replace(/^"|"$/g, '');
+    });
+
+    return { name: parts[0].toUpperCase(), params, value };
+  }
+
+  /**
+   * Builds the component tree from content lines
+   * @param {Array<string>} lines - Unfolded content lines
+   * @returns {Array<Object>} Top-level components { name, properties, components }
+   */
+  static parseComponents(lines) {
+    const root = { name: null, properties: [], components: [] };
+    const stack = [root];
+
+    lines.forEach(line => {
+      const property = CalendarICS.parseLine(line);
+      const current = stack[stack.length - 1];
+
+      if (property.name === 'BEGIN') {
+        const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+        current.components.push(component);
+        stack.push(component);
+      } else if (property.name === 'END') {
+        if (stack.length > 1) stack.pop();
+      } else {
+        current.properties.push(property);
+      }
+    });
+
+    return root.components;
+  }
+
+  /**
+   * Gets the first property with a name
+   * @param {Object} component - Parsed component
+   * @param {string} name - Property name
+   * @returns {Object|undefined} Property
+   */
+  static getProperty(component, name) {
+    return component.properties.find(property => property.name === name);
+  }
+
+  /**
+   * Parses a DATE or DATE-TIME property
+   * @param {Object} property - Property with optional VALUE and TZID parameters
+   * @param {Object} timezones - VTIMEZONE components by TZID
+   * @returns {Object} { date, allDay, tzid } with `tzid` only for times in a named zone
+   */
+  static parseDateProperty(property, timezones = {}) {
+    const value = property.value.trim();
+    const allDay = property.params.VALUE === 'DATE' || /^\d{8}$/.test(value);
+
+    if (allDay || /Z$/i.test(value) || !property.params.TZID) {
+      // UTC values, all-day dates and floating times
+      return { date: CalendarRecurrence.parseDateValue(value), allDay };
+    }
+
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})$/);
+    if (!match) return { date: CalendarRecurrence.parseDateValue(value), allDay };
+
+    const wallTime = Date.UTC(+match[1], match[2] - 1, +match[3], +match[4], +match[5], +match[6]);
+    const tzid = property.params.TZID;
+    return { date: new Date(CalendarICS.zonedTimeToUTC(wallTime, tzid, timezones)), allDay, tzid };
+  }
+
+  /**
+   * Converts a wall-clock time in a time zone to a UTC timestamp
+   * @param {number} wallTime - Wall-clock time encoded as if it were UTC
+   * @param {string} tzid - Time zone id
+   * @param {Object} timezones - VTIMEZONE components by TZID
+   * @returns {number} UTC timestamp
+   */
+  static zonedTimeToUTC(wallTime, tzid, timezones = {}) {
+    try {
+      const offsetAt = CalendarICS.getZoneOffsetReader(tzid);
+
+      // The offset at the first guess can be off by a DST change, so it is checked once more
+      let timestamp = wallTime - offsetAt(wallTime);
+      timestamp = wallTime - offsetAt(timestamp);
+      return timestamp;
+    } catch (error) {
+      const timezone = timezones[tzid];
+      if (!timezone) {
+        console.warn('Unknown time zone, using local time:', tzid);
+        const local = new Date(wallTime);
+        return new Date(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(),
+          local.getUTCHours(), local.getUTCMinutes(), local.getUTCSeconds()).getTime();
+      }
+      return wallTime - CalendarICS.getTimezoneOffset(timezone, wallTime);
+    }
+  }
+
+  /**
+   * Converts a UTC timestamp to the wall-clock time in a time zone
+   * @param {number} timestamp - UTC timestamp
+   * @param {string} tzid - Time zone id
+   * @param {Object} timezones - VTIMEZONE components by TZID
+   * @returns {number} Wall-clock time encoded as if it were UTC
+   */
+  static utcToZonedTime(timestamp, tzid, timezones = {}) {
+    try {
+      return timestamp + CalendarICS.getZoneOffsetReader(tzid)(timestamp);
+    } catch (error) {
+      const timezone = timezones[tzid];
+      if (!timezone) {
+        const local = new Date(timestamp);
+        return Date.UTC(local.getFullYear(), local.getMonth(), local.getDate(),
+          local.getHours(), local.getMinutes(), local.getSeconds(), local.getMilliseconds());
+      }
+
+      // VTIMEZONE offsets are looked up by wall-clock time, which the first guess may miss by a DST change
+      const guess = timestamp + CalendarICS.getTimezoneOffset(timezone, timestamp);
+      return timestamp + CalendarICS.getTimezoneOffset(timezone, guess);
+    }
+  }
+
+  /**
+   * Checks whether a time zone can be resolved
+   * @param {string} tzid - Time zone id
+   * @param {Object} timezones - VTIMEZONE components by TZID
+   * @returns {boolean} Whether the browser or a VTIMEZONE definition knows the zone
+   */
+  static hasTimezone(tzid, timezones = {}) {
+    if (timezones[tzid]) return true;
+
+    try {
+      CalendarICS.getZoneOffsetReader(tzid);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Creates a function that gives a time zone's UTC offset at a moment
+   * Throws for zones the browser doesn't know.
+   * @param {string} tzid - Time zone id, optionally with a leading '/'
+   * @returns {Function} (timestamp) => offset in milliseconds
+   */
+  static getZoneOffsetReader(tzid) {
+    if (CALENDAR_ZONE_OFFSET_READERS.has(tzid)) return CALENDAR_ZONE_OFFSET_READERS.get(tzid);
+
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: tzid.replace(/^\//, ''),
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    });
+
+    const reader = (timestamp) => {
+      const parts = {};
+      formatter.formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+        parts[type] = +value;
+      });
+      // The parts have no milliseconds, so they're left out of the timestamp too
+      return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - (timestamp - timestamp % 1000);
+    };
+    CALENDAR_ZONE_OFFSET_READERS.set(tzid, reader);
+    return reader;
+  }
+
+  /**
+   * Gets the UTC offset a VTIMEZONE defines for a wall-clock time
+   * @param {Object} timezone - VTIMEZONE component
+   * @param {number} wallTime - Wall-clock time encoded as if it were UTC
+   * @returns {number} Offset in milliseconds
+   */
+  static getTimezoneOffset(timezone, wallTime) {
+    let latest = null;
+    let earliest = null;
+
+    CalendarICS.getTimezoneOnsets(timezone, new Date(wallTime).getUTCFullYear()).forEach(onset => {
+      if (onset.time <= wallTime && (!latest || onset.time > latest.time)) {
+        latest = { time: onset.time, offset: onset.offsetTo };
+      }
+      if (!earliest || onset.time < earliest.time) {
+        earliest = { time: onset.time, offset: onset.offsetFrom };
+      }
+    });
+
+    return latest ? latest.offset : (earliest ? earliest.offset : 0);
+  }
+
+  /**
+   * Gets the observance changes of a VTIMEZONE in a year and the year before it
+   * Results are cached, as zoned recurrences look offsets up for every occurrence.
+   * @param {Object} timezone - VTIMEZONE component
+   * @param {number} year - Year
+   * @returns {Array<Object>} Onsets { time, offsetFrom, offsetTo } with wall-clock times encoded as if they were UTC
+   */
+  static getTimezoneOnsets(timezone, year) {
+    if (!CALENDAR_TIMEZONE_ONSETS.has(timezone)) CALENDAR_TIMEZONE_ONSETS.set(timezone, new Map());
+    const byYear = CALENDAR_TIMEZONE_ONSETS.get(timezone);
+    if (byYear.has(year)) return byYear.get(year);
+
+    const result = [];
+    timezone.components.filter(component => ['STANDARD', 'DAYLIGHT'].includes(component.name)).forEach(observance => {
+      const dtstart = CalendarICS.getProperty(observance, 'DTSTART');
+      const offsetTo = CalendarICS.parseOffset((CalendarICS.getProperty(observance, 'TZOFFSETTO') || {}).value);
+      const offsetFrom = CalendarICS.parseOffset((CalendarICS.getProperty(observance, 'TZOFFSETFROM') || {}).value);
+      const rrule = CalendarICS.getProperty(observance, 'RRULE');
+      if (!dtstart) return;
+
+      // Onsets are wall-clock times too, so they are expanded as floating dates
+      const first = CalendarRecurrence.parseDateValue(dtstart.value.replace(/Z$/i, ''));
+      const onsets = rrule ?
+        CalendarRecurrence.expand({ start: first, end: first, rrule: rrule.value }, new Date(year - 1, 0, 1), new Date(year, 11, 31, 23, 59, 59)).map(({ start }) => start) :
+        [first];
+
+      onsets.forEach(onset => {
+        const time = Date.UTC(onset.getFullYear(), onset.getMonth(), onset.getDate(), onset.getHours(), onset.getMinutes(), onset.getSeconds());
+        result.push({ time, offsetFrom, offsetTo });
+      });
+    });
+
+    byYear.set(year, result);
+    return result;
+  }
+
+  /**
+   * Parses a UTC offset such as -0500 or +053000
+   * @param {string} value - Offset value
+   * @returns {number} Offset in milliseconds
+   */
+  static parseOffset(value) {
+    const match = String(value || '').trim().match(/^([+-])(\d{2})(\d{2})(\d{2})?$/);
+    if (!match) return 0;
+
+    const milliseconds = ((+match[2] * 60 + +match[3]) * 60 + +(match[4] || 0)) * 1000;
+    return match[1] === '-' ? -milliseconds : milliseconds;
+  }
+
+  /**
+   * Formats a UTC offset such as -0500 or +053000
+   * @param {number} offset - Offset in milliseconds
+   * @returns {string} Offset value
+   */
+  static formatOffset(offset) {
+    const total = Math.round(Math.abs(offset) / 1000);
+    const pad = (value) => String(value).padStart(2, '0');
+    const seconds = total % 60 ? pad(total % 60) : '';
+    return `${offset < 0 ? '-' : '+'}${pad(Math.floor(total / 3600))}${pad(Math.floor(total / 60) % 60)}${seconds}`;
+  }
+
+  /**
+   * Builds a VTIMEZONE for a zone the browser knows from its offset changes
+   * Changes from the year before `fromYear` through `toYear` are listed one by one; when the
+   * last year's changes fall on the same weekday rule the year after, they carry an RRULE
+   * instead, so series running past `toYear` stay covered.
+   * @param {string} tzid - Time zone id
+   * @param {number} fromYear - First year with events in the zone
+   * @param {number} toYear - Last year with events in the zone
+   * @returns {Object} VTIMEZONE component { name, properties, components }
+   */
+  static buildTimezone(tzid, fromYear, toYear) {
+    const offsetAt = CalendarICS.getZoneOffsetReader(tzid);
+    const day = 24 * 60 * 60 * 1000;
+    const property = (name, value) => ({ name, params: {}, value });
+    const transitions = [];
+
+    // Zones change their offset at most once a day, so days are checked and the change narrowed down to the second
+    let offset = offsetAt(Date.UTC(fromYear - 1, 0, 1));
+    for (let time = Date.UTC(fromYear - 1, 0, 2); time <= Date.UTC(toYear + 2, 0, 1); time += day) {
+      const next = offsetAt(time);
+      if (next === offset) continue;
+
+      let low = time - day;
+      let high = time;
+      while (high - low > 1000) {
+        const middle = low + Math.floor((high - low) / 2000) * 1000;
+        if (offsetAt(middle) === offset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ time: high, offsetFrom: offset, offsetTo: next });
+      offset = next;
+    }
+
+    // Onsets are the wall-clock time just before the change
+    const wall = (transition) => new Date(transition.time + transition.offsetFrom);
+    const year = (transition) => wall(transition).getUTCFullYear();
+    const rule = (transition) => {
+      const date = wall(transition);
+      const length = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+      const n = date.getUTCDate() + 7 > length ? -1 : Math.ceil(date.getUTCDate() / 7);
+      return `FREQ=YEARLY;BYMONTH=${date.getUTCMonth() + 1};BYDAY=${n}${CALENDAR_WEEKDAYS[date.getUTCDay()]}`;
+    };
+    const pattern = (changes) => changes.map(transition => [
+      rule(transition), wall(transition).toISOString().slice(11), transition.offsetFrom, transition.offsetTo
+    ].join(' ')).join();
+
+    const last = transitions.filter(transition => year(transition) === toYear);
+    const repeats = last.length > 0 && pattern(last) === pattern(transitions.filter(transition => year(transition) === toYear + 1));
+
+    const observances = transitions.filter(transition => year(transition) <= toYear).map(transition => ({
+      name: transition.offsetTo > transition.offsetFrom ? 'DAYLIGHT' : 'STANDARD',
+      properties: [
+        property('DTSTART', CalendarRecurrence.formatDateValue(wall(transition)).replace(/Z$/, '')),
+        property('TZOFFSETFROM', CalendarICS.formatOffset(transition.offsetFrom)),
+        property('TZOFFSETTO', CalendarICS.formatOffset(transition.offsetTo)),
+        ...(repeats && last.includes(transition) ? [property('RRULE', rule(transition))] : [])
+      ],
+      components: []
+    }));
+
+    // Zones that don't change in range keep one offset throughout
+    if (!observances.length) {
+      const fixed = CalendarICS.formatOffset(transitions.length ? transitions[0].offsetFrom : offset);
+      observances.push({
+        name: 'STANDARD',
+        properties: [property('DTSTART', `${fromYear - 1}0101T000000`), property('TZOFFSETFROM', fixed), property('TZOFFSETTO', fixed)],
+        components: []
+      });
+    }
+
+    return { name: 'VTIMEZONE', properties: [property('TZID', tzid)], components: observances };
+  }
+
+  /**
+   * Adds an iCalendar duration (e.g. PT1H30M, P1D, -P1W) to a date
+   * @param {Date} date - Start date
+   * @param {string} duration - Duration value
+   * @returns {Date} End date
+   */
+  static addDuration(date, duration) {
+    const match = String(duration || '').trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    const result = new Date(date);
+    if (!match) return result;
+
+    const sign = match[1] === '-' ? -1 : 1;
+    // Days follow the calendar so they keep the time of day across DST changes
+    result.setDate(result.getDate() + sign * ((+match[2] || 0) * 7 + (+match[3] || 0)));
+    result.setTime(result.getTime() + sign * (((+match[4] || 0) * 60 + (+match[5] || 0)) * 60 + (+match[6] || 0)) * 1000);
+    return result;
+  }
+
+  /**
+   * Serializes events as an iCalendar file
+   * @param {Array<Object>} events - Calendar events
+   * @param {Object} options - Export options
+   * @param {string} options.name - Calendar name (X-WR-CALNAME)
+   * @param {string} options.prodId - Product identifier
+   * @param {Object} options.timezones - VTIMEZONE components by TZID, such as those read by parse()
+   * @returns {string} VCALENDAR text with CRLF line endings
+   */
+  static stringify(events, options = {}) {
+    const { name = null, prodId = '-//JaZeR//CalendarComponent//EN', timezones = {} } = options;
+    const stamp = CalendarRecurrence.formatDateValue(new Date());
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${prodId}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+
+    if (name) lines.push(`X-WR-CALNAME:${CalendarICS.escapeText(name)}`);
+
+    // Every TZID written needs a VTIMEZONE: definitions read from files go back out as they were,
+    // and zones the browser knows get one built for the years their events span
+    const zoned = events.filter(event => event.timezone && !event.allDay && CalendarICS.hasTimezone(event.timezone, timezones));
+    new Set(zoned.map(event => event.timezone)).forEach(tzid => {
+      if (timezones[tzid]) {
+        lines.push(...CalendarICS.stringifyComponent(timezones[tzid]));
+        return;
+      }
+
+      const years = zoned.filter(event => event.timezone === tzid).flatMap(event => {
+        const until = event.rrule ? CalendarRecurrence.parse(event.rrule).until : null;
+        return [event.start, event.end, until].filter(Boolean).map(value => new Date(value).getUTCFullYear());
+      });
+      lines.push(...CalendarICS.stringifyComponent(CalendarICS.buildTimezone(tzid, Math.min(...years), Math.max(...years))));
+    });
+
+    // Occurrences that have their own VEVENT aren't excluded again in their series
+    const overridden = new Set(events.filter(event => event.recurrenceId).map(event => new Date(event.recurrenceId).getTime()));
+
+    events.forEach(event => {
+      const start = new Date(event.start);
+      const end = new Date(event.end || start.getTime() + 60 * 60 * 1000);
+      // Zoned times are written as wall-clock times so the series repeats in its zone elsewhere too;
+      // zones nothing defines fall back to UTC
+      const zone = !event.allDay && event.timezone && CalendarICS.hasTimezone(event.timezone, timezones) ? event.timezone : null;
+      const date = (...values) => {
+        if (event.allDay) return `;VALUE=DATE:${values.map(value => CalendarICS.formatDate(value)).join(',')}`;
+        if (zone) return `;TZID=${CalendarICS.quoteParam(zone)}:${values.map(value => CalendarICS.formatZonedDate(value, zone, timezones)).join(',')}`;
+        return `:${values.map(value => CalendarRecurrence.formatDateValue(value)).join(',')}`;
+      };
+
+      lines.push('BEGIN:VEVENT');
+      lines.push(`UID:${CalendarICS.escapeText(String(event.recurrenceId ? event.recurringEventId : event.id))}`);
+      lines.push(`DTSTAMP:${stamp}`);
+      lines.push(`DTSTART${date(start)}`);
+      lines.push(`DTEND${date(end)}`);
+      lines.push(`SUMMARY:${CalendarICS.escapeText(event.title || '')}`);
+
+      if (event.description) lines.push(`DESCRIPTION:${CalendarICS.escapeText(event.description)}`);
+      if (event.location) lines.push(`LOCATION:${CalendarICS.escapeText(event.location)}`);
+      if (event.url) lines.push(`URL:${event.url}`);
+      if (event.status) lines.push(`STATUS:${event.status}`);
+      // RFC 7986 colors are CSS color names
+      if (event.color && /^[a-z]+$/i.test(event.color)) lines.push(`COLOR:${event.color}`);
+
+      if (event.rrule) {
+        lines.push(`RRULE:${CalendarRecurrence.stringify(CalendarRecurrence.parse(event.rrule))}`);
+
+        const exdate = (event.exdate ? [].concat(event.exdate) : [])
+          .map(value => CalendarRecurrence.parseDateValue(value))
+          .filter(value => value && !overridden.has(value.getTime()));
+        if (exdate.length) {
+          lines.push(`EXDATE${date(...exdate)}`);
+        }
+      }
+
+      if (event.recurrenceId) {
+        lines.push(`RECURRENCE-ID${date(new Date(event.recurrenceId))}`);
+      }
+
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => CalendarICS.fold(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Writes a parsed component, such as a VTIMEZONE, back as content lines
+   * @param {Object} component - Parsed component { name, properties, components }
+   * @returns {Array<string>} Unfolded content lines
+   */
+  static stringifyComponent(component) {
+    const lines = [`BEGIN:${component.name}`];
+
+    component.properties.forEach(({ name, params, value }) => {
+      const head = Object.entries(params).map(([key, param]) => `;${key}=${CalendarICS.quoteParam(param)}`).join('');
+      lines.push(`${name}${head}:${value}`);
+    });
+    component.components.forEach(child => lines.push(...CalendarICS.stringifyComponent(child)));
+
+    lines.push(`END:${component.name}`);
+    return lines;
+  }
+
+  /**
+   * Quotes a parameter value that contains a separator
+   * @param {string} value - Parameter value
+   * @returns {string} Value safe to write after '='
+   */
+  static quoteParam(value) {
+    return /[;:,]/.test(value) ? `"${value}"` : value;
+  }
+
+  /**
+   * Formats a date as an iCalendar DATE-TIME in a time zone
+   * @param {Date} date - Date
+   * @param {string} tzid - Time zone id
+   * @param {Object} timezones - VTIMEZONE components by TZID
+   * @returns {string} Wall-clock value such as '20240131T100000'
+   */
+  static formatZonedDate(date, tzid, timezones = {}) {
+    return CalendarRecurrence.formatDateValue(CalendarICS.utcToZonedTime(new Date(date).getTime(), tzid, timezones)).replace(/Z$/, '');
+  }
+
+  /**
+   * Formats a local date as an iCalendar DATE
+   * @param {Date} date - Date
+   * @returns {string} Value such as '20240131'
+   */
+  static formatDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  }
+
+  /**
+   * Folds a content line to 75 octets per line
+   * @param {string} line - Content line
+   * @returns {string} Folded line
+   */
+  static fold(line) {
+    const chunks = [];
+    let chunk = '';
+    let octets = 0;
+
+    for (const char of line) {
+      const code = char.codePointAt(0);
+      const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+
+      // Continuation lines start with a space, which counts towards their 75 octets
+      if (octets + size > (chunks.length ? 74 : 75)) {
+        chunks.push(chunk);
+        chunk = '';
+        octets = 0;
+      }
+      chunk += char;
+      octets += size;
+    }
+    chunks.push(chunk);
+
+    return chunks.join('\r\n ');
+  }
+
+  /**
+   * Escapes a TEXT value
+   * @param {string} value - Text
+   * @returns {string} Escaped text
+   */
+  static escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Unescapes a TEXT value
+   * @param {string} value - Escaped text
+   * @returns {string} Text
+   */
+  static unescapeText(value) {
+    return String(value).replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+  }
+}
+
 class CalendarComponent {
   /**
    * Creates a new calendar component instance
@@ -14,7 +1052,8 @@ class CalendarComponent {
     this.container = container;
     this.options = {
       // View options
-      initialView: 'month', // 'month', 'week', 'day', 'agenda'
+      initialView: 'month', // 'month', 'week', 'day', 'agenda', 'year', 'timeline'
+      views: null, // Views offered in the header; defaults to all, with 'timeline' only when there are resources
       initialDate: new Date(),
       locale: 'en-US',
       firstDayOfWeek: 0, // 0 = Sunday, 1 = Monday
@@ -32,16 +1071,25 @@ class CalendarComponent {
       timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
       
       // Event options
-      events: [],
+      events: [], // { id, title, start, end, allDay, color, rrule, exdate, timezone }
       eventStartHour: 8,
       eventEndHour: 20,
-      eventHeight: 30,
+      eventHeight: 30, // Pixels per hour in the week and day views
+      snapMinutes: 15, // Dragged times snap to this many minutes
+      agendaDays: 7, // Days listed by the agenda view
+      multiMonthCount: 12, // Months shown by the year view
+      
+      // Timeline options
+      resources: [], // { id, title } rows of the timeline view; events refer to them by resourceId or resourceIds
+      timelineSlotWidth: 60, // Pixels per hour in the timeline view
+      timelineRowHeight: 32, // Pixels per stacked event in a timeline row
       
       // Callbacks
       onDateSelect: null,
       onEventClick: null,
-      onEventDrop: null,
-      onEventResize: null,
+      onEventCreate: null, // (draft, e) - return false to cancel an event dragged out in the week or day view
+      onEventDrop: null, // (event, { start, end, oldStart, oldEnd }, e) - return false to cancel
+      onEventResize: null, // (event, { start, end, oldStart, oldEnd }, e) - return false to cancel
       onViewChange: null,
       
       // Customization
@@ -52,11 +1100,14 @@ class CalendarComponent {
     this.currentDate = new Date(this.options.initialDate);
     this.currentView = this.options.initialView;
     this.events = this.options.events;
+    this.timezones = {}; // VTIMEZONE definitions from imported files by TZID, for zones the browser doesn't know
     this.selectedDate = null;
     this.selectedRange = null;
     this.calendarHeader = null;
     this.calendarBody = null;
     this.eventListeners = [];
+    this.eventElements = new WeakMap();
+    this.suppressClick = false;
 
     this.init();
   }
@@ -116,7 +1167,7 @@ class CalendarComponent {
     const viewSelector = document.createElement('div');
     viewSelector.classList.add('view-selector');
     
-    ['month', 'week', 'day', 'agenda'].forEach(view => {
+    this.getAvailableViews().forEach(view => {
       const button = document.createElement('button');
       button.classList.add('view-button');
       button.textContent = view.charAt(0).toUpperCase() + view.slice(1);
@@ -203,14 +1254,15 @@ class CalendarComponent {
         if (e.target.classList.contains('calendar-day') || e.target.closest('.calendar-day')) {
           const dayElement = e.target.classList.contains('calendar-day') ? 
             e.target : e.target.closest('.calendar-day');
-          const date = new Date(dayElement.dataset.date);
+          if (this.suppressClick) return;
+          const date = this.parseDateKey(dayElement.dataset.date);
           this.selectDate(date, e);
         }
       });
     }
 
-    // Event listeners for drag and drop if editable
-    if (this.options.editable) {
+    // Event listeners for drag and drop if editable, and for dragging out new events if selectable
+    if (this.options.editable || this.options.selectable) {
       this.bindDragEvents();
     }
 
@@ -220,10 +1272,323 @@ class CalendarComponent {
 
   /**
    * Binds drag events for event manipulation
+   * Dragging across empty time slots creates an event, dragging an event moves it and
+   * dragging the edge of an event in the week or day view resizes it.
    */
   bindDragEvents() {
-    // For simplicity in this implementation, we'll define drag-related functions
-    // A full implementation would involve more complex drag-and-drop logic
+    this.calendarBody.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+
+      const eventElement = e.target.closest('.calendar-event');
+      const handle = e.target.closest('.event-resize-handle');
+      const column = e.target.closest('.week-day-slots, .day-container');
+
+      if (eventElement && this.options.editable) {
+        const event = this.eventElements.get(eventElement);
+        if (!event || event.editable === false) return;
+
+        if (handle) {
+          this.startEventResize(e, eventElement, event, handle.dataset.edge);
+        } else {
+          this.startEventMove(e, eventElement, event);
+        }
+      } else if (!eventElement && column && this.options.selectable) {
+        this.startRangeSelection(e, column);
+      }
+    });
+  }
+
+  /**
+   * Tracks a pointer drag until the button is released
+   * @param {PointerEvent} e - Pointerdown event
+   * @param {Function} onMove - Called with each pointermove event
+   * @param {Function} onEnd - Called with the pointerup event and whether the pointer moved
+   */
+  trackDrag(e, onMove, onEnd) {
+    const startX = e.clientX;
+    const startY = e.clientY;
+    let moved = false;
+
+    const handleMove = (moveEvent) => {
+      // Small jitters while clicking don't count as dragging
+      if (!moved && Math.abs(moveEvent.clientX - startX) < 4 && Math.abs(moveEvent.clientY - startY) < 4) return;
+      moved = true;
+      onMove(moveEvent);
+    };
+
+    const handleUp = (upEvent) => {
+      document.removeEventListener('pointermove', handleMove);
+      document.removeEventListener('pointerup', handleUp);
+
+      if (moved) {
+        // The click that follows a drag shouldn't open the event or select a date
+        this.suppressClick = true;
+        setTimeout(() => {
+          this.suppressClick = false;
+        }, 0);
+      }
+
+      onEnd(upEvent, moved);
+    };
+
+    document.addEventListener('pointermove', handleMove);
+    document.addEventListener('pointerup', handleUp);
+  }
+
+  /**
+   * Gets the time at a vertical position in a week or day column, snapped to `snapMinutes`
+   * @param {HTMLElement} column - Column element with a date
+   * @param {number} clientY - Pointer position
+   * @returns {Date} Time at the position
+   */
+  getTimeAtPoint(column, clientY) {
+    const rect = column.getBoundingClientRect();
+    const snap = this.options.snapMinutes;
+    const minutes = ((clientY - rect.top) / this.options.eventHeight + this.options.eventStartHour) * 60;
+    const snapped = Math.floor(minutes / snap) * snap;
+    const clamped = Math.min(Math.max(snapped, this.options.eventStartHour * 60), this.options.eventEndHour * 60 - snap);
+
+    const date = this.parseDateKey(column.dataset.date);
+    date.setMinutes(clamped);
+    return date;
+  }
+
+  /**
+   * Creates an event from a time range dragged out in the week or day view
+   * @param {PointerEvent} e - Pointerdown event
+   * @param {HTMLElement} column - Column the drag started in
+   */
+  startRangeSelection(e, column) {
+    e.preventDefault();
+
+    const snap = this.options.snapMinutes * 60 * 1000;
+    const anchor = this.getTimeAtPoint(column, e.clientY);
+    const preview = document.createElement('div');
+    preview.classList.add('calendar-selection-preview');
+    let range = null;
+
+    this.trackDrag(e, (moveEvent) => {
+      const point = this.getTimeAtPoint(column, moveEvent.clientY);
+      range = {
+        start: new Date(Math.min(anchor, point)),
+        end: new Date(Math.max(anchor, point) + snap)
+      };
+
+      if (!preview.parentNode) column.appendChild(preview);
+      this.positionTimedElement(preview, range.start, range.end);
+    }, (upEvent, moved) => {
+      preview.remove();
+      if (!moved || !range) return;
+
+      const draft = { title: 'New Event', ...range };
+      if (this.options.onEventCreate && this.options.onEventCreate(draft, upEvent) === false) return;
+
+      this.addEvent(draft);
+    });
+  }
+
+  /**
+   * Moves an event by dragging it to another time or day
+   * @param {PointerEvent} e - Pointerdown event
+   * @param {HTMLElement} element - Event element
+   * @param {Object} event - Event or occurrence being moved
+   */
+  startEventMove(e, element, event) {
+    const start = new Date(event.start);
+    const end = new Date(event.end || start.getTime() + 60 * 60 * 1000);
+    const sourceColumn = element.closest('.week-day-slots, .day-container');
+    const sourceDay = element.closest('.calendar-day');
+    const origin = sourceColumn ? this.getTimeAtPoint(sourceColumn, e.clientY) : null;
+    let offset = 0;
+    let days = 0;
+    let target = null;
+
+    e.preventDefault();
+
+    this.trackDrag(e, (moveEvent) => {
+      element.classList.add('dragging');
+
+      // The dragged element ignores the pointer, so this finds what's under it
+      const below = document.elementFromPoint(moveEvent.clientX, moveEvent.clientY);
+
+      if (sourceColumn) {
+        const column = (below && below.closest('.week-day-slots, .day-container')) || sourceColumn;
+        offset = this.getTimeAtPoint(column, moveEvent.clientY) - origin;
+
+        if (element.parentNode !== column) column.appendChild(element);
+        this.positionTimedElement(element, new Date(start.getTime() + offset), new Date(end.getTime() + offset));
+      } else if (sourceDay) {
+        const day = below && below.closest('.calendar-day');
+        if (target) target.classList.remove('drop-target');
+        target = day;
+
+        if (day) {
+          day.classList.add('drop-target');
+          days = Math.round((this.parseDateKey(day.dataset.date) - this.parseDateKey(sourceDay.dataset.date)) / 86400000);
+        }
+      }
+    }, (upEvent, moved) => {
+      element.classList.remove('dragging');
+      if (target) target.classList.remove('drop-target');
+
+      if (!moved || (offset === 0 && days === 0)) {
+        this.render();
+        return;
+      }
+
+      // Whole days are added on the calendar so the time of day survives DST changes
+      const shift = (date) => {
+        const shifted = new Date(date.getTime() + offset);
+        shifted.setDate(shifted.getDate() + days);
+        return shifted;
+      };
+      this.changeEventTime('drop', event, shift(start), shift(end), upEvent);
+    });
+  }
+
+  /**
+   * Resizes an event by dragging its top or bottom edge
+   * @param {PointerEvent} e - Pointerdown event
+   * @param {HTMLElement} element - Event element
+   * @param {Object} event - Event or occurrence being resized
+   * @param {string} edge - 'start' or 'end'
+   */
+  startEventResize(e, element, event, edge) {
+    const column = element.closest('.week-day-slots, .day-container');
+    const snap = this.options.snapMinutes * 60 * 1000;
+    const originalStart = new Date(event.start);
+    const originalEnd = new Date(event.end || originalStart.getTime() + 60 * 60 * 1000);
+    let start = originalStart;
+    let end = originalEnd;
+
+    e.preventDefault();
+
+    this.trackDrag(e, (moveEvent) => {
+      const point = this.getTimeAtPoint(column, moveEvent.clientY);
+
+      // An event keeps at least one snap interval
+      if (edge === 'start') {
+        start = new Date(Math.min(point, end - snap));
+      } else {
+        end = new Date(Math.max(point.getTime() + snap, start.getTime() + snap));
+      }
+
+      element.classList.add('resizing');
+      this.positionTimedElement(element, start, end);
+    }, (upEvent, moved) => {
+      element.classList.remove('resizing');
+
+      if (!moved || (start.getTime() === originalStart.getTime() && end.getTime() === originalEnd.getTime())) {
+        this.render();
+        return;
+      }
+
+      this.changeEventTime('resize', event, start, end, upEvent);
+    });
+  }
+
+  /**
+   * Applies a dragged time change to an event after asking the onEventDrop/onEventResize callback
+   * A changed occurrence of a recurring event becomes a separate event and is excluded from the series.
+   * @param {string} type - 'drop' or 'resize'
+   * @param {Object} event - Event or occurrence that changed
+   * @param {Date} start - New start
+   * @param {Date} end - New end
+   * @param {Event} originalEvent - Pointer event that ended the drag
+   * @returns {boolean} Whether the change was applied
+   */
+  changeEventTime(type, event, start, end, originalEvent) {
+    const callback = type === 'resize' ? this.options.onEventResize : this.options.onEventDrop;
+    const oldStart = new Date(event.start);
+    const oldEnd = new Date(event.end || oldStart.getTime() + 60 * 60 * 1000);
+
+    if (callback && callback(event, { start, end, oldStart, oldEnd }, originalEvent) === false) {
+      this.render();
+      return false;
+    }
+
+    if (event.recurringEventId !== undefined && !this.events.includes(event)) {
+      this.detachOccurrence(event, { start, end });
+    } else {
+      this.updateEvent(event.id, { start, end });
+    }
+
+    return true;
+  }
+
+  /**
+   * Turns one occurrence of a recurring event into a separate event
+   * @param {Object} occurrence - Occurrence from getEventOccurrences()
+   * @param {Object} changes - Properties to change on the new event
+   * @returns {Object|null} The new event
+   */
+  detachOccurrence(occurrence, changes = {}) {
+    const series = this.events.find(event => event.id === occurrence.recurringEventId);
+    if (!series) return null;
+
+    series.exdate = [...(series.exdate ? [].concat(series.exdate) : []), occurrence.originalStart];
+
+    const exception = { ...occurrence, id: this.generateEventId(), recurrenceId: occurrence.originalStart, ...changes };
+    delete exception.rrule;
+    delete exception.exdate;
+    delete exception.originalStart;
+    this.addEvent(exception);
+
+    return exception;
+  }
+
+  /**
+   * Positions an element over the time range it covers in a week or day column
+   * @param {HTMLElement} element - Element to position
+   * @param {Date} start - Start time
+   * @param {Date} end - End time
+   */
+  positionTimedElement(element, start, end) {
+    const startHour = start.getHours() + start.getMinutes() / 60;
+    const duration = (end - start) / (1000 * 60 * 60); // Duration in hours
+
+    // Parts outside the visible hours are cut off
+    const top = Math.max(startHour - this.options.eventStartHour, 0);
+    const bottom = Math.min(startHour + duration, this.options.eventEndHour) - this.options.eventStartHour;
+
+    element.style.position = 'absolute';
+    element.style.top = `${top * this.options.eventHeight}px`;
+    element.style.height = `${Math.max((bottom - top) * this.options.eventHeight, 12)}px`;
+  }
+
+  /**
+   * Creates an event element for the week or day view, with resize handles when editable
+   * @param {Object} event - Event object
+   * @returns {HTMLElement} Event element
+   */
+  createTimedEventElement(event) {
+    const start = new Date(event.start);
+    const end = new Date(event.end || start.getTime() + 60 * 60 * 1000); // Default 1 hour event
+
+    const eventElement = this.createEventElement(event);
+    eventElement.classList.add('timed-event');
+    eventElement.style.left = '1px';
+    eventElement.style.right = '1px';
+
+    // All-day events sit as a bar at the top of their day
+    if (event.allDay) {
+      eventElement.classList.add('all-day-event');
+      eventElement.style.position = 'absolute';
+      eventElement.style.top = '0';
+    } else {
+      this.positionTimedElement(eventElement, start, end);
+    }
+
+    if (this.options.editable && event.editable !== false && !event.allDay) {
+      ['start', 'end'].forEach(edge => {
+        const handle = document.createElement('div');
+        handle.classList.add('event-resize-handle', edge);
+        handle.dataset.edge = edge;
+        eventElement.appendChild(handle);
+      });
+    }
+
+    return eventElement;
   }
 
   /**
@@ -247,7 +1612,25 @@ class CalendarComponent {
       case 'agenda':
         this.renderAgendaView();
         break;
+      case 'year':
+        this.renderYearView();
+        break;
+      case 'timeline':
+        this.renderTimelineView();
+        break;
+    }
+  }
+
+  /**
+   * Gets the views offered in the header
+   * @returns {Array} View names
+   */
+  getAvailableViews() {
+    if (this.options.views) {
+      return this.options.views.filter(view => CALENDAR_VIEWS.includes(view));
     }
+
+    return CALENDAR_VIEWS.filter(view => view !== 'timeline' || this.options.resources.length > 0);
   }
 
   /**
@@ -301,7 +1684,7 @@ class CalendarComponent {
   createDayElement(date) {
     const dayElement = document.createElement('div');
     dayElement.classList.add('calendar-day');
-    dayElement.dataset.date = date.toISOString().split('T')[0];
+    dayElement.dataset.date = this.formatDateKey(date);
     
     // Check if day is in current month
     const isCurrentMonth = date.getMonth() === this.currentDate.getMonth();
@@ -351,6 +1734,11 @@ class CalendarComponent {
     const eventElement = document.createElement('div');
     eventElement.classList.add('calendar-event');
     eventElement.dataset.eventId = event.id;
+    this.eventElements.set(eventElement, event);
+    
+    if (event.originalStart) {
+      eventElement.dataset.occurrence = event.originalStart;
+    }
     
     // Use event title or fallback to a default
     eventElement.textContent = event.title || 'Untitled Event';
@@ -363,6 +1751,7 @@ class CalendarComponent {
     // Add click handler
     eventElement.addEventListener('click', (e) => {
       e.stopPropagation();
+      if (this.suppressClick) return;
       if (this.options.onEventClick) {
         this.options.onEventClick(event, e);
       }
@@ -378,6 +1767,7 @@ class CalendarComponent {
     const weekStart = this.getWeekStart(this.currentDate);
     const weekEnd = new Date(weekStart);
     weekEnd.setDate(weekEnd.getDate() + 6);
+    weekEnd.setHours(23, 59, 59, 999);
     
     const grid = document.createElement('div');
     grid.classList.add('calendar-grid');
@@ -392,6 +1782,7 @@ class CalendarComponent {
       const timeLabel = document.createElement('div');
       timeLabel.classList.add('time-label');
       timeLabel.textContent = this.formatHour(hour);
+      timeLabel.style.height = `${this.options.eventHeight}px`;
       timeSlots.appendChild(timeLabel);
     }
     
@@ -405,7 +1796,7 @@ class CalendarComponent {
       
       const dayCol = document.createElement('div');
       dayCol.classList.add('week-day-column');
-      dayCol.dataset.date = date.toISOString().split('T')[0];
+      dayCol.dataset.date = this.formatDateKey(date);
       
       // Add day header
       const dayHeader = document.createElement('div');
@@ -413,16 +1804,24 @@ class CalendarComponent {
       dayHeader.textContent = `${this.getDayNames()[date.getDay()]}, ${date.getDate()}`;
       dayCol.appendChild(dayHeader);
       
+      // Time slots get their own box so event positions start at the first hour
+      const daySlots = document.createElement('div');
+      daySlots.classList.add('week-day-slots');
+      daySlots.dataset.date = this.formatDateKey(date);
+      
       // Add time slots for each hour
       for (let hour = this.options.eventStartHour; hour < this.options.eventEndHour; hour++) {
         const slot = document.createElement('div');
         slot.classList.add('time-slot');
         slot.dataset.hour = hour;
-        slot.dataset.date = date.toISOString().split('T')[0];
+        slot.dataset.date = this.formatDateKey(date);
+        slot.style.height = `${this.options.eventHeight}px`;
         
-        dayCol.appendChild(slot);
+        daySlots.appendChild(slot);
       }
       
+      dayCol.appendChild(daySlots);
+      
       daysContainer.appendChild(dayCol);
     }
     
@@ -430,7 +1829,7 @@ class CalendarComponent {
     grid.appendChild(daysContainer);
     
     // Add events to the week view
-    this.renderWeekEvents(grid, weekStart, weekEnd);
+    this.renderWeekEvents(daysContainer, weekStart, weekEnd);
     
     this.calendarBody.appendChild(grid);
   }
@@ -443,32 +1842,16 @@ class CalendarComponent {
    */
   renderWeekEvents(container, weekStart, weekEnd) {
     // Find all events that fall within the week
-    const weekEvents = this.events.filter(event => {
-      const eventStart = new Date(event.start);
-      return eventStart >= weekStart && eventStart <= weekEnd;
-    });
+    const weekEvents = this.getEventsInDateRange(weekStart, weekEnd);
+    const columns = container.querySelectorAll('.week-day-slots');
     
-    // For each event, calculate its position and size
+    // Each event goes into the column of its day
     weekEvents.forEach(event => {
       const start = new Date(event.start);
-      const end = new Date(event.end || new Date(start.getTime() + 60 * 60 * 1000)); // Default 1 hour event
-      
       const dayIndex = (start.getDay() - this.options.firstDayOfWeek + 7) % 7;
-      const startHour = start.getHours() + start.getMinutes() / 60;
-      const duration = (end - start) / (1000 * 60 * 60); // Duration in hours
-      
-      // Calculate position within the grid
-      const top = (startHour - this.options.eventStartHour) * this.options.eventHeight;
-      const height = duration * this.options.eventHeight;
       
-      const eventElement = this.createEventElement(event);
-      eventElement.style.position = 'absolute';
-      eventElement.style.top = `${top}px`;
-      eventElement.style.height = `${height}px`;
-      eventElement.style.width = `calc(100% / 7 - 2px)`;
-      eventElement.style.left = `calc(${dayIndex * 100 / 7}%)`;
-      
-      container.appendChild(eventElement);
+      const eventElement = this.createTimedEventElement(event);
+      columns[dayIndex].appendChild(eventElement);
     });
   }
 
@@ -488,20 +1871,22 @@ class CalendarComponent {
       const timeLabel = document.createElement('div');
       timeLabel.classList.add('time-label');
       timeLabel.textContent = this.formatHour(hour);
+      timeLabel.style.height = `${this.options.eventHeight}px`;
       timeSlots.appendChild(timeLabel);
     }
     
     // Create day column
     const dayContainer = document.createElement('div');
     dayContainer.classList.add('day-container');
-    dayContainer.dataset.date = this.currentDate.toISOString().split('T')[0];
+    dayContainer.dataset.date = this.formatDateKey(this.currentDate);
     
     // Add time slots
     for (let hour = this.options.eventStartHour; hour < this.options.eventEndHour; hour++) {
       const slot = document.createElement('div');
       slot.classList.add('time-slot');
       slot.dataset.hour = hour;
-      slot.dataset.date = this.currentDate.toISOString().split('T')[0];
+      slot.dataset.date = this.formatDateKey(this.currentDate);
+      slot.style.height = `${this.options.eventHeight}px`;
       
       dayContainer.appendChild(slot);
     }
@@ -523,21 +1908,7 @@ class CalendarComponent {
     const dateEvents = this.getEventsForDate(this.currentDate);
     
     dateEvents.forEach(event => {
-      const start = new Date(event.start);
-      const end = new Date(event.end || new Date(start.getTime() + 60 * 60 * 1000)); // Default 1 hour event
-      
-      const startHour = start.getHours() + start.getMinutes() / 60;
-      const duration = (end - start) / (1000 * 60 * 60); // Duration in hours
-      
-      const top = (startHour - this.options.eventStartHour) * this.options.eventHeight;
-      const height = duration * this.options.eventHeight;
-      
-      const eventElement = this.createEventElement(event);
-      eventElement.style.position = 'absolute';
-      eventElement.style.top = `${top}px`;
-      eventElement.style.height = `${height}px`;
-      eventElement.style.width = 'calc(100% - 2px)';
-      
+      const eventElement = this.createTimedEventElement(event);
       container.appendChild(eventElement);
     });
   }
@@ -549,16 +1920,19 @@ class CalendarComponent {
     const agendaContainer = document.createElement('div');
     agendaContainer.classList.add('agenda-view');
     
-    // Get events for the next few days
-    const endDate = new Date(this.currentDate);
-    endDate.setDate(endDate.getDate() + 7); // Show next 7 days
+    // List events from the start of the current day
+    const startDate = new Date(this.currentDate);
+    startDate.setHours(0, 0, 0, 0);
+    const endDate = new Date(startDate);
+    endDate.setDate(endDate.getDate() + this.options.agendaDays);
+    endDate.setMilliseconds(-1);
     
-    const events = this.getEventsInDateRange(this.currentDate, endDate);
+    const events = this.getEventsInRange(startDate, endDate);
     
-    // Group events by date
+    // Group events by the day they start on, or the first listed day for ones already running
     const eventsByDate = {};
     events.forEach(event => {
-      const eventDate = new Date(event.start).toDateString();
+      const eventDate = this.formatDateKey(new Date(Math.max(new Date(event.start), startDate)));
       if (!eventsByDate[eventDate]) {
         eventsByDate[eventDate] = [];
       }
@@ -566,11 +1940,11 @@ class CalendarComponent {
     });
     
     // Render events grouped by date
-    Object.entries(eventsByDate).forEach(([dateStr, dateEvents]) => {
+    Object.keys(eventsByDate).sort().forEach(dateKey => {
       const dateHeader = document.createElement('div');
       dateHeader.classList.add('agenda-date-header');
       
-      const date = new Date(dateStr);
+      const date = this.parseDateKey(dateKey);
       dateHeader.textContent = date.toLocaleDateString(this.options.locale, {
         weekday: 'long',
         year: 'numeric',
@@ -583,14 +1957,23 @@ class CalendarComponent {
       const eventsList = document.createElement('div');
       eventsList.classList.add('agenda-events-list');
       
-      dateEvents.forEach(event => {
-        const eventElement = this.createAgendaEventElement(event);
-        eventsList.appendChild(eventElement);
-      });
+      eventsByDate[dateKey]
+        .sort((a, b) => new Date(a.start) - new Date(b.start))
+        .forEach(event => {
+          const eventElement = this.createAgendaEventElement(event);
+          eventsList.appendChild(eventElement);
+        });
       
       agendaContainer.appendChild(eventsList);
     });
     
+    if (events.length === 0) {
+      const emptyState = document.createElement('div');
+      emptyState.classList.add('agenda-empty');
+      emptyState.textContent = 'No events';
+      agendaContainer.appendChild(emptyState);
+    }
+    
     this.calendarBody.appendChild(agendaContainer);
   }
 
@@ -604,28 +1987,34 @@ class CalendarComponent {
     eventElement.classList.add('agenda-event');
     eventElement.dataset.eventId = event.id;
     
-    const startTime = new Date(event.start).toLocaleTimeString(this.options.locale, {
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+    if (event.color) {
+      eventElement.style.borderLeftColor = event.color;
+    }
     
+    const timeFormat = { hour: '2-digit', minute: '2-digit' };
     const eventTime = document.createElement('span');
     eventTime.classList.add('event-time');
-    eventTime.textContent = startTime;
+    
+    if (event.allDay) {
+      eventTime.textContent = 'All day';
+    } else {
+      const startTime = new Date(event.start).toLocaleTimeString(this.options.locale, timeFormat);
+      eventTime.textContent = event.end ?
+        `${startTime} - ${new Date(event.end).toLocaleTimeString(this.options.locale, timeFormat)}` :
+        startTime;
+    }
     
     const eventTitle = document.createElement('span');
     eventTitle.classList.add('event-title');
     eventTitle.textContent = event.title || 'Untitled Event';
     
+    eventElement.appendChild(eventTime);
+    eventElement.appendChild(eventTitle);
+    
     if (event.location) {
       const eventLocation = document.createElement('div');
       eventLocation.classList.add('event-location');
       eventLocation.textContent = event.location;
-    }
-    
-    eventElement.appendChild(eventTime);
-    eventElement.appendChild(eventTitle);
-    if (event.location) {
       eventElement.appendChild(eventLocation);
     }
     
@@ -638,6 +2027,245 @@ class CalendarComponent {
     return eventElement;
   }
 
+  /**
+   * Renders the year (multi-month) view
+   */
+  renderYearView() {
+    const { start, end } = this.getYearViewRange();
+    const count = this.options.multiMonthCount;
+
+    // Count the events on each day the view shows
+    const eventCounts = {};
+    this.getEventsInRange(start, end).forEach(event => {
+      const day = new Date(event.start);
+      day.setHours(0, 0, 0, 0);
+      const eventEnd = new Date(event.end || new Date(event.start).getTime() + 3600000);
+
+      do {
+        const key = this.formatDateKey(day);
+        eventCounts[key] = (eventCounts[key] || 0) + 1;
+        day.setDate(day.getDate() + 1);
+      } while (day < eventEnd && day <= end);
+    });
+
+    const grid = document.createElement('div');
+    grid.classList.add('calendar-year-grid');
+
+    const dayNames = this.getDayNames();
+    const today = new Date().toDateString();
+
+    for (let i = 0; i < count; i++) {
+      const month = new Date(start.getFullYear(), start.getMonth() + i, 1);
+      const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+
+      const monthElement = document.createElement('div');
+      monthElement.classList.add('mini-month');
+
+      const title = document.createElement('button');
+      title.classList.add('mini-month-title');
+      title.textContent = month.toLocaleDateString(this.options.locale, { month: 'long' });
+      title.addEventListener('click', () => {
+        this.setDate(month);
+        this.setView('month');
+      });
+      monthElement.appendChild(title);
+
+      const days = document.createElement('div');
+      days.classList.add('mini-month-days');
+
+      dayNames.forEach(dayName => {
+        const headerCell = document.createElement('div');
+        headerCell.classList.add('mini-month-header');
+        headerCell.textContent = dayName.charAt(0);
+        headerCell.title = dayName;
+        days.appendChild(headerCell);
+      });
+
+      // Blank cells before the first day
+      const offset = (month.getDay() - this.options.firstDayOfWeek + 7) % 7;
+      for (let j = 0; j < offset; j++) {
+        days.appendChild(document.createElement('div'));
+      }
+
+      for (let day = 1; day <= daysInMonth; day++) {
+        const date = new Date(month.getFullYear(), month.getMonth(), day);
+        const key = this.formatDateKey(date);
+
+        const dayElement = document.createElement('div');
+        dayElement.classList.add('calendar-day', 'mini-day');
+        dayElement.dataset.date = key;
+        dayElement.textContent = day;
+
+        if (date.toDateString() === today) {
+          dayElement.classList.add('today');
+        }
+        if (eventCounts[key]) {
+          dayElement.classList.add('has-events');
+          dayElement.title = `${eventCounts[key]} event${eventCounts[key] === 1 ? '' : 's'}`;
+        }
+
+        dayElement.addEventListener('click', (e) => {
+          this.selectDate(date, e);
+        });
+
+        // Double-click opens the day
+        dayElement.addEventListener('dblclick', () => {
+          this.setDate(date);
+          this.setView('day');
+        });
+
+        days.appendChild(dayElement);
+      }
+
+      monthElement.appendChild(days);
+      grid.appendChild(monthElement);
+    }
+
+    this.calendarBody.appendChild(grid);
+    this.updateSelectionDisplay();
+  }
+
+  /**
+   * Gets the months shown by the year view
+   * A 12-month view shows the calendar year; shorter ones start at the current month.
+   * @returns {Object} { start, end } of the shown range
+   */
+  getYearViewRange() {
+    const count = this.options.multiMonthCount;
+    const start = count === 12 ?
+      new Date(this.currentDate.getFullYear(), 0, 1) :
+      new Date(this.currentDate.getFullYear(), this.currentDate.getMonth(), 1);
+    const end = new Date(start.getFullYear(), start.getMonth() + count, 0, 23, 59, 59, 999);
+
+    return { start, end };
+  }
+
+  /**
+   * Renders the resource timeline view
+   * Resources are rows and the hours of the current day run horizontally; events that
+   * overlap within a row are stacked into lanes.
+   */
+  renderTimelineView() {
+    const dayStart = new Date(this.currentDate);
+    dayStart.setHours(this.options.eventStartHour, 0, 0, 0);
+    const dayEnd = new Date(this.currentDate);
+    dayEnd.setHours(this.options.eventEndHour, 0, 0, 0);
+
+    const slotWidth = this.options.timelineSlotWidth;
+    const rowHeight = this.options.timelineRowHeight;
+    const hours = this.options.eventEndHour - this.options.eventStartHour;
+    const events = this.getEventsInRange(dayStart, dayEnd).filter(event => new Date(event.end || event.start) > dayStart);
+
+    const timeline = document.createElement('div');
+    timeline.classList.add('calendar-timeline');
+
+    // Hour header
+    const header = document.createElement('div');
+    header.classList.add('timeline-row', 'timeline-header');
+
+    const corner = document.createElement('div');
+    corner.classList.add('timeline-resource');
+    header.appendChild(corner);
+
+    const hourTrack = document.createElement('div');
+    hourTrack.classList.add('timeline-track');
+    hourTrack.style.width = `${hours * slotWidth}px`;
+
+    for (let hour = this.options.eventStartHour; hour < this.options.eventEndHour; hour++) {
+      const hourLabel = document.createElement('div');
+      hourLabel.classList.add('timeline-hour');
+      hourLabel.style.width = `${slotWidth}px`;
+      hourLabel.textContent = this.formatHour(hour);
+      hourTrack.appendChild(hourLabel);
+    }
+
+    header.appendChild(hourTrack);
+    timeline.appendChild(header);
+
+    // Events without a known resource get a row of their own
+    const resources = [...this.options.resources];
+    const belongsTo = (event, resource) => event.resourceId === resource.id ||
+      (Array.isArray(event.resourceIds) && event.resourceIds.includes(resource.id));
+    const unassigned = events.filter(event => !resources.some(resource => belongsTo(event, resource)));
+    if (unassigned.length) {
+      resources.push({ id: null, title: 'Unassigned' });
+    }
+
+    resources.forEach(resource => {
+      const rowEvents = resource.id === null ? unassigned : events.filter(event => belongsTo(event, resource));
+      const { lanes, count } = this.assignLanes(rowEvents);
+
+      const row = document.createElement('div');
+      row.classList.add('timeline-row');
+      if (resource.id !== null) {
+        row.dataset.resourceId = resource.id;
+      }
+
+      const label = document.createElement('div');
+      label.classList.add('timeline-resource');
+      label.textContent = resource.title || resource.name || resource.id;
+      row.appendChild(label);
+
+      const track = document.createElement('div');
+      track.classList.add('timeline-track');
+      track.style.width = `${hours * slotWidth}px`;
+      track.style.height = `${Math.max(count, 1) * rowHeight}px`;
+      track.style.backgroundSize = `${slotWidth}px 100%`;
+
+      rowEvents.forEach(event => {
+        const start = Math.max(new Date(event.start), dayStart);
+        const end = Math.min(new Date(event.end || new Date(event.start).getTime() + 3600000), dayEnd);
+
+        const eventElement = this.createEventElement(event);
+        eventElement.classList.add('timeline-event');
+        eventElement.style.left = `${(start - dayStart) / 3600000 * slotWidth}px`;
+        eventElement.style.width = `${Math.max((end - start) / 3600000 * slotWidth, 4)}px`;
+        eventElement.style.top = `${lanes.get(event) * rowHeight}px`;
+        eventElement.style.height = `${rowHeight - 4}px`;
+
+        track.appendChild(eventElement);
+      });
+
+      row.appendChild(track);
+      timeline.appendChild(row);
+    });
+
+    this.calendarBody.appendChild(timeline);
+  }
+
+  /**
+   * Stacks overlapping events into lanes
+   * @param {Array} events - Events to lay out
+   * @returns {Object} { lanes: Map of event to lane index, count: number of lanes }
+   */
+  assignLanes(events) {
+    const laneEnds = [];
+    const lanes = new Map();
+
+    // Earlier and then longer events take the upper lanes
+    const span = (event) => {
+      const start = new Date(event.start).getTime();
+      return { start, end: event.end ? new Date(event.end).getTime() : start + 3600000 };
+    };
+    const sorted = [...events].sort((a, b) => span(a).start - span(b).start || span(b).end - span(a).end);
+
+    sorted.forEach(event => {
+      const { start, end } = span(event);
+      let lane = laneEnds.findIndex(laneEnd => laneEnd <= start);
+
+      if (lane === -1) {
+        lane = laneEnds.length;
+        laneEnds.push(end);
+      } else {
+        laneEnds[lane] = end;
+      }
+
+      lanes.set(event, lane);
+    });
+
+    return { lanes, count: laneEnds.length };
+  }
+
   /**
    * Formats an hour for display
    * @param {number} hour - Hour to format (0-23)
@@ -689,12 +2317,12 @@ class CalendarComponent {
    * @returns {Array} Array of events for the date
    */
   getEventsForDate(date) {
-    const dateStr = date.toISOString().split('T')[0];
+    const dayStart = new Date(date);
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(date);
+    dayEnd.setHours(23, 59, 59, 999);
     
-    return this.events.filter(event => {
-      const eventDate = new Date(event.start).toISOString().split('T')[0];
-      return eventDate === dateStr;
-    });
+    return this.getEventsInDateRange(dayStart, dayEnd);
   }
 
   /**
@@ -704,12 +2332,65 @@ class CalendarComponent {
    * @returns {Array} Array of events in the range
    */
   getEventsInDateRange(startDate, endDate) {
-    return this.events.filter(event => {
+    return this.getEventOccurrences(startDate, endDate).filter(event => {
       const eventStart = new Date(event.start);
       return eventStart >= startDate && eventStart <= endDate;
     });
   }
 
+  /**
+   * Gets events overlapping a range, with recurring events expanded into occurrences
+   * Occurrences are copies of their event with their own `start` and `end`, plus
+   * `recurringEventId` and `originalStart` (ISO string) identifying them in the series.
+   * @param {Date} startDate - Start of the range
+   * @param {Date} endDate - End of the range
+   * @returns {Array} Events and occurrences ordered by start
+   */
+  getEventOccurrences(startDate, endDate) {
+    const occurrences = [];
+
+    this.events.forEach(event => {
+      if (event.rrule) {
+        try {
+          CalendarRecurrence.expand(event, startDate, endDate, undefined, this.timezones).forEach(({ start, end }) => {
+            occurrences.push({ ...event, start, end, recurringEventId: event.id, originalStart: start.toISOString() });
+          });
+          return;
+        } catch (error) {
+          console.warn('Invalid recurrence rule:', event.rrule, error);
+        }
+      }
+
+      const eventStart = new Date(event.start);
+      const eventEnd = new Date(event.end || eventStart.getTime() + 3600000); // Default 1 hour
+      if (eventStart <= endDate && eventEnd >= startDate) {
+        occurrences.push(event);
+      }
+    });
+
+    return occurrences.sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+
+  /**
+   * Formats a date as a local YYYY-MM-DD key
+   * @param {Date} date - Date to format
+   * @returns {string} Date key
+   */
+  formatDateKey(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Parses a YYYY-MM-DD key as local midnight
+   * @param {string} key - Date key
+   * @returns {Date} Date
+   */
+  parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
   /**
    * Navigates to the previous time period
    */
@@ -727,7 +2408,14 @@ class CalendarComponent {
         newDate.setDate(newDate.getDate() - 1);
         break;
       case 'agenda':
-        newDate.setDate(newDate.getDate() - 7);
+        newDate.setDate(newDate.getDate() - this.options.agendaDays);
+        break;
+      case 'year':
+        newDate.setDate(1);
+        newDate.setMonth(newDate.getMonth() - this.options.multiMonthCount);
+        break;
+      case 'timeline':
+        newDate.setDate(newDate.getDate() - 1);
         break;
     }
     
@@ -753,7 +2441,14 @@ class CalendarComponent {
         newDate.setDate(newDate.getDate() + 1);
         break;
       case 'agenda':
-        newDate.setDate(newDate.getDate() + 7);
+        newDate.setDate(newDate.getDate() + this.options.agendaDays);
+        break;
+      case 'year':
+        newDate.setDate(1);
+        newDate.setMonth(newDate.getMonth() + this.options.multiMonthCount);
+        break;
+      case 'timeline':
+        newDate.setDate(newDate.getDate() + 1);
         break;
     }
     
@@ -773,11 +2468,12 @@ class CalendarComponent {
 
   /**
    * Sets the calendar view
-   * @param {string} view - View to set ('month', 'week', 'day', 'agenda')
+   * @param {string} view - View to set ('month', 'week', 'day', 'agenda', 'year', 'timeline')
    */
   setView(view) {
-    if (['month', 'week', 'day', 'agenda'].includes(view)) {
+    if (CALENDAR_VIEWS.includes(view)) {
       this.currentView = view;
+      this.updateDateDisplay();
       
       // Update active view button
       if (this.calendarHeader) {
@@ -829,6 +2525,7 @@ class CalendarComponent {
         displayText = `${startFormatted} - ${endFormatted}`;
         break;
       case 'day':
+      case 'timeline':
         displayText = this.currentDate.toLocaleDateString(this.options.locale, {
           weekday: 'long',
           year: 'numeric',
@@ -842,6 +2539,13 @@ class CalendarComponent {
           year: 'numeric'
         })}`;
         break;
+      case 'year': {
+        const { start, end } = this.getYearViewRange();
+        displayText = this.options.multiMonthCount === 12 ?
+          String(start.getFullYear()) :
+          `${start.toLocaleDateString(this.options.locale, { month: 'short', year: 'numeric' })} - ${end.toLocaleDateString(this.options.locale, { month: 'short', year: 'numeric' })}`;
+        break;
+      }
     }
     
     this.dateDisplay.textContent = displayText;
@@ -874,7 +2578,7 @@ class CalendarComponent {
     
     // Highlight the selected date
     if (this.selectedDate) {
-      const dateStr = this.selectedDate.toISOString().split('T')[0];
+      const dateStr = this.formatDateKey(this.selectedDate);
       const selectedDay = this.container.querySelector(`.calendar-day[data-date="${dateStr}"]`);
       if (selectedDay) {
         selectedDay.classList.add('selected');
@@ -1039,13 +2743,69 @@ class CalendarComponent {
    * @returns {Array} Array of events in the range
    */
   getEventsInRange(startDate, endDate) {
-    return this.events.filter(event => {
-      const eventStart = new Date(event.start);
-      const eventEnd = new Date(event.end || eventStart.getTime() + 3600000); // Default 1 hour
-      
-      // Check if event overlaps with the given range
-      return eventStart <= endDate && eventEnd >= startDate;
+    return this.getEventOccurrences(startDate, endDate);
+  }
+
+  /**
+   * Imports events from an iCalendar (.ics) file
+   * Events with the id (UID) of an existing event replace it.
+   * @param {string|Blob} source - File contents, or a File/Blob such as one from a file input
+   * @param {Object} options - Import options
+   * @param {boolean} options.replace - Remove all current events first
+   * @returns {Promise<Array>} Imported events
+   */
+  async importICS(source, { replace = false } = {}) {
+    const text = typeof source === 'string' ? source : await source.text();
+    const timezones = {};
+    const imported = CalendarICS.parse(text, timezones);
+
+    if (replace) {
+      this.events = [];
+      this.timezones = {};
+    }
+    Object.assign(this.timezones, timezones);
+
+    imported.forEach(event => {
+      const index = this.events.findIndex(existing => existing.id === event.id);
+      if (index !== -1) {
+        this.events[index] = event;
+      } else {
+        this.events.push(event);
+      }
     });
+
+    this.render();
+    return imported;
+  }
+
+  /**
+   * Exports all events as an iCalendar (.ics) file
+   * @param {Object} options - CalendarICS.stringify options ({ name, prodId })
+   * @returns {string} VCALENDAR text
+   */
+  exportICS(options = {}) {
+    return CalendarICS.stringify(this.events, { timezones: this.timezones, ...options });
+  }
+
+  /**
+   * Downloads all events as an .ics file
+   * @param {string} filename - Download file name
+   * @param {Object} options - CalendarICS.stringify options
+   */
+  downloadICS(filename = 'calendar.ics', options = {}) {
+    const blob = new Blob([this.exportICS(options)], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Clean up the object URL
+    URL.revokeObjectURL(url);
   }
 
   /**
@@ -1278,6 +3038,63 @@ class CalendarComponent {
         opacity: 0.9;
       }
       
+      .calendar-day-grid {
+        display: flex;
+      }
+      
+      .week-day-slots,
+      .day-container {
+        position: relative;
+      }
+      
+      .day-container {
+        flex: 1;
+      }
+      
+      .calendar-event.timed-event {
+        margin-bottom: 0;
+        white-space: normal;
+        touch-action: none;
+        z-index: 1;
+      }
+      
+      .calendar-event.dragging,
+      .calendar-event.resizing {
+        opacity: 0.7;
+        pointer-events: none;
+        z-index: 2;
+      }
+      
+      .event-resize-handle {
+        position: absolute;
+        left: 0;
+        right: 0;
+        height: 6px;
+        cursor: ns-resize;
+      }
+      
+      .event-resize-handle.start {
+        top: 0;
+      }
+      
+      .event-resize-handle.end {
+        bottom: 0;
+      }
+      
+      .calendar-selection-preview {
+        left: 1px;
+        right: 1px;
+        background: var(--jazer-cyan, #00f2ea);
+        opacity: 0.3;
+        border-radius: 4px;
+        pointer-events: none;
+      }
+      
+      .calendar-day.drop-target {
+        outline: 2px dashed var(--jazer-cyan, #00f2ea);
+        outline-offset: -2px;
+      }
+      
       .agenda-view {
         padding: 20px;
       }
@@ -1324,6 +3141,107 @@ class CalendarComponent {
         color: var(--text-gray, #aaa);
       }
       
+      .agenda-empty {
+        padding: 20px;
+        text-align: center;
+        color: var(--text-gray, #aaa);
+      }
+      
+      .calendar-year-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+        gap: 20px;
+        padding: 20px;
+      }
+      
+      .mini-month-title {
+        display: block;
+        width: 100%;
+        margin-bottom: 8px;
+        padding: 0;
+        background: none;
+        border: none;
+        color: inherit;
+        font: inherit;
+        font-weight: bold;
+        text-align: left;
+        cursor: pointer;
+      }
+      
+      .mini-month-days {
+        display: grid;
+        grid-template-columns: repeat(7, 1fr);
+        text-align: center;
+        font-size: 0.8rem;
+      }
+      
+      .mini-month-header {
+        color: var(--text-gray, #aaa);
+        padding: 2px 0;
+      }
+      
+      .calendar-day.mini-day {
+        padding: 4px 0;
+        border: none;
+        border-radius: 4px;
+      }
+      
+      .calendar-day.mini-day.has-events {
+        font-weight: bold;
+        color: var(--jazer-cyan, #00f2ea);
+      }
+      
+      .calendar-day.mini-day.today {
+        background: var(--jazer-cyan, #00f2ea);
+        color: var(--bg-darker, #111);
+      }
+      
+      .calendar-timeline {
+        overflow-x: auto;
+      }
+      
+      .timeline-row {
+        display: flex;
+        border-bottom: 1px solid var(--border-lighter, #222);
+      }
+      
+      .timeline-resource {
+        flex: 0 0 150px;
+        position: sticky;
+        left: 0;
+        z-index: 2;
+        padding: 6px 10px;
+        background: var(--bg-darker, #111);
+        border-right: 1px solid var(--border-lighter, #222);
+      }
+      
+      .timeline-track {
+        position: relative;
+        flex: 0 0 auto;
+        background-image: linear-gradient(to right, var(--border-lighter, #222) 1px, transparent 1px);
+      }
+      
+      .timeline-header .timeline-track {
+        display: flex;
+        background: none;
+      }
+      
+      .timeline-hour {
+        flex: 0 0 auto;
+        padding: 6px 4px;
+        font-size: 0.8rem;
+        color: var(--text-gray, #aaa);
+        border-left: 1px solid var(--border-lighter, #222);
+      }
+      
+      .calendar-event.timeline-event {
+        position: absolute;
+        margin: 2px 0;
+        overflow: hidden;
+        white-space: nowrap;
+        text-overflow: ellipsis;
+      }
+      
       /* Responsive adjustments */
       @media (max-width: 768px) {
         .calendar-header {
@@ -1416,9 +3334,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Export for use as module
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { CalendarComponent, initCalendars };
+  module.exports = { CalendarComponent, CalendarRecurrence, CalendarICS, initCalendars };
 }
 
 // Make available globally
 window.CalendarComponent = CalendarComponent;
+window.CalendarRecurrence = CalendarRecurrence;
+window.CalendarICS = CalendarICS;
 window.initCalendars = initCalendars;
\ No newline at end of file
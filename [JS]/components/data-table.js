@@ -18,8 +18,33 @@ class DataTable {
       pagination: true,
       rowsPerPage: 10,
       enableFilters: false,
+      multiSort: true,
+      columnToggle: false,
+      reorderable: false,
+      resizable: false,
+      minColumnWidth: 60,
+      // Persists column order, visibility, widths and sort to localStorage
+      tableId: null,
+      // Row selection and inline editing
+      selectable: false,
+      editable: false,
+      // Column key that uniquely identifies rows (keeps selection across server pages)
+      rowKey: null,
+      validator: null,
       striped: true,
       hoverEffect: true,
+      // Server-driven mode: ({ page, pageSize, sort, filters, signal }) => Promise<{ rows, total }>
+      dataProvider: null,
+      columns: null,
+      searchDelay: 300,
+      // Virtual scrolling (server-driven mode with pagination disabled)
+      virtualHeight: 400,
+      rowHeight: 40,
+      blockSize: 100,
+      // Loaded blocks kept in memory, the most recently viewed first; the rest are fetched again when needed
+      maxCachedBlocks: 10,
+      loadingText: 'Loading...',
+      errorText: 'Failed to load data',
       ...options
     };
     
@@ -29,23 +54,73 @@ class DataTable {
     this.totalPages = 1;
     this.sortColumn = null;
     this.sortDirection = 'asc'; // 'asc' or 'desc'
+    this.sortState = []; // [{ key, direction }] in priority order
     this.searchTerm = '';
+    this.columnFilters = {};
+    this.columnState = { order: [], hidden: [], widths: {} };
+    
+    // Selection and editing state
+    this.selectedRows = new Map();
+    this.deselectedIds = new Set();
+    this.allRowsSelected = false;
+    this.lastSelectedIndex = null;
+    this.rowIds = new WeakMap();
+    this.nextRowId = 1;
+    this.activeEdit = null;
+    this.validator = this.options.validator ||
+      (typeof DataValidator !== 'undefined' ? new DataValidator() : null);
+    
+    // Server-driven state
+    this.totalRows = 0;
+    this.isLoading = false;
+    this.loadError = null;
+    this.abortController = null;
+    this.requestId = 0;
+    this.searchTimeout = null;
+    this.rowCache = new Map();
+    this.blockStates = new Map();
+    this.virtualScroll = null;
     
     this.init();
   }
 
+  /**
+   * Checks whether rows come from a data provider instead of the table markup
+   * @returns {boolean} Whether the table is server-driven
+   */
+  isRemote() {
+    return typeof this.options.dataProvider === 'function';
+  }
+
+  /**
+   * Checks whether rows are rendered through VirtualScroll
+   * @returns {boolean} Whether the table is virtualized
+   */
+  isVirtual() {
+    return this.isRemote() && !this.options.pagination;
+  }
+
   /**
    * Initializes the data table component
    */
   init() {
+    // Build headers from column definitions when provided
+    if (this.options.columns) {
+      this.createHeaderFromColumns();
+    }
+    
     // Extract data from table HTML
     this.extractTableData();
+    this.columnState.order = this.headers.map(header => header.key);
+    this.loadColumnState();
     
     // Add table classes
     this.table.classList.add('data-table', 'table');
+    // Prevent initDataTables() from enhancing a manually created table twice
+    this.table.setAttribute('data-table-initialized', 'true');
     
     // Create top controls if enabled
-    if (this.options.searchable || this.options.enableFilters) {
+    if (this.options.searchable || this.options.columnToggle) {
       this.createControls();
     }
     
@@ -54,49 +129,148 @@ class DataTable {
       this.addSorting();
     }
     
+    // Add per-column filter inputs if enabled
+    if (this.options.enableFilters) {
+      this.createFilterRow();
+    }
+    
+    if (this.options.reorderable || this.options.resizable) {
+      this.addColumnInteractions();
+    }
+    
+    // Add checkbox column if rows are selectable
+    if (this.options.selectable) {
+      this.createSelectionColumn();
+    }
+    
+    this.applyColumnState();
+    this.updateSortIndicators();
+    
     // Add pagination if enabled
     if (this.options.pagination) {
       this.createPaginationControls();
     }
     
+    if (this.isVirtual()) {
+      this.createVirtualBody();
+    }
+    
+    this.createStatusContainer();
+    
+    // Server-driven tables fetch their first page instead of rendering markup rows
+    if (this.isRemote()) {
+      this.loadData();
+      return;
+    }
+    
     // Initial render
     this.render();
   }
 
+  /**
+   * Builds the table header from the `columns` option
+   * Each column is { key, label, sortable, filterable, filter, filterOptions, width, render,
+   * editable, editor, editorOptions, validation }
+   */
+  createHeaderFromColumns() {
+    let thead = this.table.querySelector('thead');
+    if (!thead) {
+      thead = document.createElement('thead');
+      this.table.insertBefore(thead, this.table.firstChild);
+    }
+    
+    const headerRow = document.createElement('tr');
+    this.options.columns.forEach(column => {
+      const th = document.createElement('th');
+      th.textContent = column.label ?? column.key;
+      th.dataset.key = column.key;
+      if (column.sortable === false) th.dataset.sortable = 'false';
+      if (column.filterable === false) th.dataset.filterable = 'false';
+      if (column.filter) th.dataset.filterType = column.filter;
+      if (column.filterOptions) th.dataset.filterOptions = column.filterOptions.join(',');
+      if (column.width) th.style.width = column.width;
+      headerRow.appendChild(th);
+    });
+    
+    thead.innerHTML = '';
+    thead.appendChild(headerRow);
+    
+    if (!this.table.querySelector('tbody')) {
+      this.table.appendChild(document.createElement('tbody'));
+    }
+  }
+
   /**
    * Extracts data from the existing table structure
    */
   extractTableData() {
     const rows = Array.from(this.table.querySelectorAll('tbody tr'));
-    const headers = Array.from(this.table.querySelectorAll('thead th')).map(th => ({
+    
+    // Headers are parsed once; later calls map cells using the current column order
+    if (this.headers) {
+      this.data = rows.map(row => this.extractRowData(row, this.getOrderedHeaders()));
+      this.filteredData = [...this.data];
+      return;
+    }
+    
+    const headerRow = this.table.querySelector('thead tr');
+    const headers = Array.from(headerRow ? headerRow.querySelectorAll('th') : []).map(th => ({
       text: th.textContent.trim(),
       sortable: th.dataset.sortable !== 'false',
       filterable: th.dataset.filterable !== 'false',
-      key: th.dataset.key || th.textContent.trim().toLowerCase().replace(/\s+/g, '-')
+      filterType: th.dataset.filterType || 'text',
+      filterOptions: th.dataset.filterOptions ? th.dataset.filterOptions.split(',').map(option => option.trim()) : null,
+      editable: this.options.editable && th.dataset.editable !== 'false',
+      editor: th.dataset.editor || 'text',
+      editorOptions: th.dataset.editorOptions ? th.dataset.editorOptions.split(',').map(option => option.trim()) : null,
+      validation: th.dataset.validate ? JSON.parse(th.dataset.validate) : null,
+      key: th.dataset.key || th.textContent.trim().toLowerCase().replace(/\s+/g, '-'),
+      element: th
     }));
     
-    // Extract row data
-    this.data = rows.map(row => {
-      const rowData = {};
-      const cells = row.querySelectorAll('td');
-      
+    // Carry custom renderers, widths and editors over from column definitions
+    if (this.options.columns) {
       headers.forEach((header, index) => {
-        if (cells[index]) {
-          // Store both raw and text content for sorting/searching
-          rowData[header.key] = {
-            raw: cells[index].innerHTML,
-            text: cells[index].textContent.trim()
-          };
-        }
+        const column = this.options.columns[index];
+        header.render = column.render || null;
+        header.width = column.width || null;
+        header.editable = this.options.editable && column.editable !== false;
+        header.editor = column.editor || header.editor;
+        header.editorOptions = column.editorOptions || header.editorOptions;
+        header.validation = column.validation || header.validation;
       });
-      
-      return rowData;
-    });
+    }
+    
+    // Extract row data
+    this.data = rows.map(row => this.extractRowData(row, headers));
     
     this.filteredData = [...this.data];
     this.headers = headers;
   }
 
+  /**
+   * Extracts the cell values of a table row
+   * @param {HTMLTableRowElement} row - Row element
+   * @param {Array} headers - Headers in the same order as the row's cells
+   * @returns {Object} Row data keyed by header key
+   */
+  extractRowData(row, headers) {
+    const rowData = {};
+    const cells = row.querySelectorAll('td:not(.table-select-cell)');
+    
+    headers.forEach((header, index) => {
+      if (cells[index]) {
+        // Store both raw and text content for sorting/searching
+        rowData[header.key] = {
+          raw: cells[index].innerHTML,
+          text: cells[index].textContent.trim()
+        };
+      }
+    });
+    
+    return rowData;
+  }
+
   /**
    * Creates controls for search, filters, etc.
    */
@@ -151,25 +325,35 @@ class DataTable {
       // Add search event listener
       searchInput.addEventListener('input', (e) => {
         this.searchTerm = e.target.value.toLowerCase();
+        
+        // Debounce remote searches so each keystroke doesn't hit the server
+        if (this.isRemote()) {
+          clearTimeout(this.searchTimeout);
+          this.searchTimeout = setTimeout(() => this.filterData(), this.options.searchDelay);
+          return;
+        }
+        
         this.filterData();
       });
     }
     
+    // Add column visibility menu if enabled
+    if (this.options.columnToggle) {
+      controlsContainer.appendChild(this.createColumnMenu());
+    }
+    
     // Insert controls before the table
     this.table.parentNode.insertBefore(controlsContainer, this.table);
+    this.controlsContainer = controlsContainer;
   }
 
   /**
    * Adds sorting functionality to table headers
    */
   addSorting() {
-    const headerRow = this.table.querySelector('thead tr');
-    if (!headerRow) return;
-    
-    const headers = headerRow.querySelectorAll('th');
-    
-    headers.forEach((header, index) => {
-      if (header.dataset.sortable === 'false') return;
+    this.headers.forEach((column, index) => {
+      const header = column.element;
+      if (!column.sortable) return;
       
       header.style.cursor = 'pointer';
       header.style.position = 'relative';
@@ -189,9 +373,10 @@ class DataTable {
       
       header.appendChild(sortIndicator);
       
-      // Add click event
-      header.addEventListener('click', () => {
-        this.handleSort(index);
+      // Add click event; shift-click adds the column to a multi-column sort
+      header.addEventListener('click', (e) => {
+        if (e.target.closest('.column-resize-handle')) return;
+        this.handleSort(index, e.shiftKey && this.options.multiSort);
       });
     });
   }
@@ -199,46 +384,134 @@ class DataTable {
   /**
    * Handles column sorting
    * @param {number} columnIndex - Index of column to sort by
+   * @param {boolean} additive - Whether to add to the existing sort (shift-click)
    */
-  handleSort(columnIndex) {
-    const header = this.table.querySelector('thead tr').children[columnIndex];
-    const key = header.dataset.key || this.headers[columnIndex].key;
+  handleSort(columnIndex, additive = false) {
+    const key = this.headers[columnIndex].key;
+    const existing = this.sortState.find(sort => sort.key === key);
     
-    if (this.sortColumn === columnIndex) {
+    if (additive) {
+      if (!existing) {
+        this.sortState.push({ key, direction: 'asc' });
+      } else if (existing.direction === 'asc') {
+        existing.direction = 'desc';
+      } else {
+        // Third shift-click removes the column from the sort
+        this.sortState = this.sortState.filter(sort => sort.key !== key);
+      }
+    } else if (existing && this.sortState.length === 1) {
       // Reverse sort direction if clicking same column
-      this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+      existing.direction = existing.direction === 'asc' ? 'desc' : 'asc';
     } else {
       // Set new sort column and default to ascending
-      this.sortColumn = columnIndex;
-      this.sortDirection = 'asc';
+      this.sortState = [{ key, direction: 'asc' }];
     }
     
+    this.setSort(this.sortState);
+  }
+
+  /**
+   * Sets the sort order and re-sorts the data
+   * @param {Array<Object>} sortState - Sort descriptors [{ key, direction }] in priority order
+   */
+  setSort(sortState) {
+    this.sortState = sortState
+      .filter(sort => this.headers.some(header => header.key === sort.key))
+      .map(sort => ({ key: sort.key, direction: sort.direction === 'desc' ? 'desc' : 'asc' }));
+    
+    // Keep the single-column fields in sync with the primary sort
+    const primary = this.sortState[0];
+    this.sortColumn = primary ? this.headers.findIndex(header => header.key === primary.key) : null;
+    this.sortDirection = primary ? primary.direction : 'asc';
+    
     // Update sort indicators
-    this.updateSortIndicators(columnIndex);
+    this.updateSortIndicators();
+    this.saveColumnState();
+    
+    // Server-driven tables sort on the server; any in-flight request is cancelled
+    if (this.isRemote()) {
+      this.currentPage = 1;
+      this.loadData();
+      return;
+    }
     
     // Sort data
-    this.sortData(key, this.sortDirection);
+    this.applySort();
     
     // Reset to first page and re-render
     this.currentPage = 1;
     this.render();
+    this.renderPagination();
   }
 
   /**
    * Updates sort indicators in table headers
-   * @param {number} activeColumnIndex - Index of the actively sorted column
    */
-  updateSortIndicators(activeColumnIndex) {
-    const headers = this.table.querySelectorAll('thead th');
-    headers.forEach((header, index) => {
-      const indicator = header.querySelector('.sort-indicator');
-      if (indicator) {
-        indicator.textContent = index === activeColumnIndex ? 
-          (this.sortDirection === 'asc' ? '↑' : '↓') : '↕️';
+  updateSortIndicators() {
+    this.headers.forEach(header => {
+      const indicator = header.element.querySelector('.sort-indicator');
+      if (!indicator) return;
+      
+      const index = this.sortState.findIndex(sort => sort.key === header.key);
+      if (index === -1) {
+        indicator.textContent = '↕️';
+        header.element.setAttribute('aria-sort', 'none');
+        return;
       }
+      
+      const { direction } = this.sortState[index];
+      const priority = this.sortState.length > 1 ? String(index + 1) : '';
+      indicator.textContent = (direction === 'asc' ? '↑' : '↓') + priority;
+      header.element.setAttribute('aria-sort', direction === 'asc' ? 'ascending' : 'descending');
+    });
+  }
+
+  /**
+   * Sorts the filtered data by every column in the sort state
+   */
+  applySort() {
+    if (this.sortState.length === 0) return;
+    
+    this.filteredData.sort((a, b) => {
+      for (const { key, direction } of this.sortState) {
+        const comparison = this.compareCells(a[key], b[key]);
+        if (comparison !== 0) {
+          return direction === 'asc' ? comparison : -comparison;
+        }
+      }
+      return 0;
     });
   }
 
+  /**
+   * Compares two cells, numerically when both look like numbers
+   * @param {Object} cellA - First cell
+   * @param {Object} cellB - Second cell
+   * @returns {number} Negative, zero or positive comparison result
+   */
+  compareCells(cellA, cellB) {
+    const valA = cellA?.text || '';
+    const valB = cellB?.text || '';
+    
+    const numA = this.parseNumber(valA);
+    const numB = this.parseNumber(valB);
+    
+    if (!isNaN(numA) && !isNaN(numB)) {
+      return numA - numB;
+    }
+    
+    return valA.localeCompare(valB, undefined, { numeric: true });
+  }
+
+  /**
+   * Parses a number out of formatted cell text (e.g. "$1,200.50")
+   * @param {string} text - Cell text
+   * @returns {number} Parsed number or NaN
+   */
+  parseNumber(text) {
+    return parseFloat(String(text).replace(/[^\d.-]/g, ''));
+  }
+
   /**
    * Sorts the data by the specified key and direction
    * @param {string} key - Key to sort by
@@ -246,19 +519,7 @@ class DataTable {
    */
   sortData(key, direction) {
     this.filteredData.sort((a, b) => {
-      const valA = a[key]?.text || '';
-      const valB = b[key]?.text || '';
-      
-      // For numeric values, compare as numbers
-      const numA = parseFloat(valA.replace(/[^\d.-]/g, ''));
-      const numB = parseFloat(valB.replace(/[^\d.-]/g, ''));
-      
-      if (!isNaN(numA) && !isNaN(numB)) {
-        return direction === 'asc' ? numA - numB : numB - numA;
-      }
-      
-      // For other values, compare as strings
-      const comparison = valA.localeCompare(valB, undefined, { numeric: true });
+      const comparison = this.compareCells(a[key], b[key]);
       return direction === 'asc' ? comparison : -comparison;
     });
   }
@@ -267,344 +528,2233 @@ class DataTable {
    * Applies filters to the data
    */
   filterData() {
-    if (!this.searchTerm) {
-      this.filteredData = [...this.data];
-    } else {
-      this.filteredData = this.data.filter(row => {
-        return Object.values(row).some(cell => 
-          cell.text.toLowerCase().includes(this.searchTerm)
-        );
-      });
+    if (this.isRemote()) {
+      this.currentPage = 1;
+      this.loadData();
+      return;
     }
     
+    this.filteredData = this.data.filter(row => {
+      const matchesSearch = !this.searchTerm || Object.values(row).some(cell => 
+        cell.text.toLowerCase().includes(this.searchTerm)
+      );
+      return matchesSearch && this.matchesColumnFilters(row);
+    });
+    
+    // Keep the active sort after filtering
+    this.applySort();
+    
     // Update pagination info
     this.calculatePagination();
     
     // Reset to first page and re-render
     this.currentPage = 1;
     this.render();
+    this.renderPagination();
   }
 
   /**
-   * Calculates pagination information
+   * Checks a row against every active per-column filter
+   * @param {Object} row - Row data
+   * @returns {boolean} Whether the row passes all column filters
    */
-  calculatePagination() {
-    this.totalPages = Math.ceil(this.filteredData.length / this.options.rowsPerPage);
+  matchesColumnFilters(row) {
+    return Object.entries(this.columnFilters).every(([key, value]) => {
+      const header = this.headers.find(h => h.key === key);
+      if (!header) return true;
+      
+      const text = row[key]?.text || '';
+      
+      switch (header.filterType) {
+        case 'number': {
+          const num = this.parseNumber(text);
+          if (this.isFilterBoundSet(value.min) && !(num >= value.min)) return false;
+          if (this.isFilterBoundSet(value.max) && !(num <= value.max)) return false;
+          return true;
+        }
+        case 'date': {
+          const time = Date.parse(text);
+          if (this.isFilterBoundSet(value.from) && !(time >= Date.parse(value.from))) return false;
+          // Inclusive end date: compare against the end of that day
+          if (this.isFilterBoundSet(value.to) && !(time < Date.parse(value.to) + 24 * 60 * 60 * 1000)) return false;
+          return true;
+        }
+        case 'select':
+          return text === value;
+        default:
+          return text.toLowerCase().includes(String(value).toLowerCase());
+      }
+    });
   }
 
   /**
-   * Creates pagination controls
+   * Checks whether a range filter bound has a value
+   * @param {*} bound - Filter bound
+   * @returns {boolean} Whether the bound is set
    */
-  createPaginationControls() {
-    this.paginationContainer = document.createElement('div');
-    this.paginationContainer.className = 'table-pagination';
-    this.paginationContainer.style.cssText = `
-      display: flex;
-      justify-content: center;
-      align-items: center;
-      gap: 0.5rem;
-      margin-top: 1rem;
-    `;
+  isFilterBoundSet(bound) {
+    return bound !== undefined && bound !== null && bound !== '';
+  }
+
+  /**
+   * Sets or clears the filter for a column
+   * Text filters take a string, number filters { min, max }, date filters
+   * { from, to } (ISO dates) and select filters the selected option
+   * @param {string} key - Column key
+   * @param {*} value - Filter value, or null/'' to clear
+   */
+  setColumnFilter(key, value) {
+    const isEmpty = value === null || value === undefined || value === '' ||
+      (typeof value === 'object' && Object.values(value).every(bound => !this.isFilterBoundSet(bound)));
     
-    // Insert after the table
-    this.table.parentNode.insertBefore(this.paginationContainer, this.table.nextSibling);
+    if (isEmpty) {
+      delete this.columnFilters[key];
+    } else {
+      this.columnFilters[key] = value;
+    }
     
-    this.renderPagination();
+    this.syncFilterInputs();
+    this.filterData();
   }
 
   /**
-   * Renders pagination controls
+   * Clears the search term and all column filters
    */
-  renderPagination() {
-    if (!this.options.pagination || !this.paginationContainer) return;
+  clearFilters() {
+    this.columnFilters = {};
+    this.searchTerm = '';
     
-    this.calculatePagination();
+    const searchInput = this.controlsContainer?.querySelector('.search-input');
+    if (searchInput) searchInput.value = '';
     
-    this.paginationContainer.innerHTML = '';
+    this.syncFilterInputs();
+    this.filterData();
+  }
+
+  /**
+   * Adds a row of per-column filter inputs below the header row
+   */
+  createFilterRow() {
+    const thead = this.table.querySelector('thead');
+    if (!thead) return;
     
-    // Previous button
-    const prevButton = document.createElement('button');
-    prevButton.innerHTML = '‹ Prev';
-    prevButton.className = 'btn btn-sm';
-    prevButton.disabled = this.currentPage === 1;
-    prevButton.addEventListener('click', () => {
-      if (this.currentPage > 1) {
-        this.setCurrentPage(this.currentPage - 1);
-      }
-    });
+    this.filterRow = document.createElement('tr');
+    this.filterRow.className = 'table-filter-row';
     
-    // Next button
-    const nextButton = document.createElement('button');
-    nextButton.innerHTML = 'Next ›';
-    nextButton.className = 'btn btn-sm';
-    nextButton.disabled = this.currentPage >= this.totalPages;
-    nextButton.addEventListener('click', () => {
-      if (this.currentPage < this.totalPages) {
-        this.setCurrentPage(this.currentPage + 1);
+    if (this.options.selectable) {
+      this.filterRow.appendChild(document.createElement('th'));
+    }
+    
+    this.headers.forEach(header => {
+      const cell = document.createElement('th');
+      cell.dataset.key = header.key;
+      cell.style.cssText = 'padding: 0.25rem 0.5rem; font-weight: normal;';
+      header.filterCell = cell;
+      
+      if (header.filterable) {
+        cell.appendChild(this.createFilterInput(header));
       }
+      
+      this.filterRow.appendChild(cell);
     });
     
-    // Page info
-    const pageInfo = document.createElement('span');
-    pageInfo.textContent = `Page ${this.currentPage} of ${this.totalPages}`;
-    pageInfo.className = 'page-info';
-    pageInfo.style.cssText = `
-      margin: 0 1rem;
-      padding: 0 1rem;
-      color: var(--text-gray);
-    `;
-    
-    // Page size selector
-    const pageSizeSelect = document.createElement('select');
-    pageSizeSelect.className = 'page-size-select';
-    pageSizeSelect.style.cssText = `
-      margin: 0 1rem;
+    thead.appendChild(this.filterRow);
+  }
+
+  /**
+   * Creates the filter control for a column based on its filter type
+   * @param {Object} header - Column header
+   * @returns {HTMLElement} Filter control
+   */
+  createFilterInput(header) {
+    const inputStyle = `
+      width: 100%;
+      min-width: 0;
       padding: 0.25rem 0.5rem;
-      border: 2px solid var(--border-default);
+      border: 1px solid var(--border-default);
       border-radius: var(--radius-sm);
       background: var(--bg-card);
       color: var(--text-light);
+      box-sizing: border-box;
     `;
+    const label = `Filter ${header.text}`;
     
-    [5, 10, 25, 50].forEach(size => {
-      const option = document.createElement('option');
-      option.value = size;
-      option.textContent = size;
-      option.selected = size === this.options.rowsPerPage;
-      pageSizeSelect.appendChild(option);
-    });
+    if (header.filterType === 'select') {
+      const select = document.createElement('select');
+      select.className = 'column-filter';
+      select.setAttribute('aria-label', label);
+      select.style.cssText = inputStyle;
+      
+      // Without explicit options, offer every distinct value in the column
+      const options = header.filterOptions ||
+        [...new Set(this.data.map(row => row[header.key]?.text).filter(Boolean))].sort();
+      
+      ['', ...options].forEach(optionValue => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = optionValue || 'All';
+        select.appendChild(option);
+      });
+      
+      select.addEventListener('change', () => this.setColumnFilter(header.key, select.value));
+      return select;
+    }
     
-    pageSizeSelect.addEventListener('change', (e) => {
-      this.options.rowsPerPage = parseInt(e.target.value);
-      this.currentPage = 1; // Reset to first page
-      this.render();
-    });
+    if (header.filterType === 'number' || header.filterType === 'date') {
+      const isNumber = header.filterType === 'number';
+      const [lowKey, highKey] = isNumber ? ['min', 'max'] : ['from', 'to'];
+      const range = document.createElement('div');
+      range.className = 'column-filter-range';
+      range.style.cssText = 'display: flex; gap: 0.25rem;';
+      
+      const inputs = [lowKey, highKey].map(bound => {
+        const input = document.createElement('input');
+        input.type = header.filterType;
+        input.className = 'column-filter';
+        input.dataset.bound = bound;
+        input.placeholder = bound;
+        input.setAttribute('aria-label', `${label} ${bound}`);
+        input.style.cssText = inputStyle;
+        range.appendChild(input);
+        return input;
+      });
+      
+      const update = () => {
+        const value = {};
+        inputs.forEach(input => {
+          value[input.dataset.bound] = input.value === '' ? '' : (isNumber ? parseFloat(input.value) : input.value);
+        });
+        this.setColumnFilter(header.key, value);
+      };
+      inputs.forEach(input => input.addEventListener('change', update));
+      return range;
+    }
     
-    // Page navigation
-    const pageNav = document.createElement('div');
-    pageNav.className = 'page-navigation';
-    pageNav.style.cssText = `
-      display: flex;
-      gap: 0.25rem;
-      margin: 0 1rem;
-    `;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'column-filter';
+    input.placeholder = 'Filter...';
+    input.setAttribute('aria-label', label);
+    input.style.cssText = inputStyle;
     
-    // Add pagination buttons with ellipsis support
-    this.addPaginationButtons(pageNav);
+    input.addEventListener('input', () => {
+      clearTimeout(this.searchTimeout);
+      const delay = this.isRemote() ? this.options.searchDelay : 0;
+      this.searchTimeout = setTimeout(() => this.setColumnFilter(header.key, input.value), delay);
+    });
+    return input;
+  }
+
+  /**
+   * Updates filter inputs to reflect the current column filters
+   */
+  syncFilterInputs() {
+    if (!this.filterRow) return;
     
-    // Assemble pagination
-    this.paginationContainer.appendChild(prevButton);
-    this.paginationContainer.appendChild(pageInfo);
-    this.paginationContainer.appendChild(pageSizeSelect);
-    this.paginationContainer.appendChild(pageNav);
-    this.paginationContainer.appendChild(nextButton);
+    this.headers.forEach(header => {
+      const value = this.columnFilters[header.key];
+      header.filterCell?.querySelectorAll('.column-filter').forEach(input => {
+        const next = input.dataset.bound ? value?.[input.dataset.bound] : value;
+        // Leave the input being typed in alone
+        if (input !== document.activeElement) {
+          input.value = next ?? '';
+        }
+      });
+    });
   }
 
   /**
-   * Adds page number buttons to the navigation
-   * @param {HTMLElement} container - Container to add buttons to
+   * Gets headers in display order, including hidden columns
+   * @returns {Array<Object>} Ordered headers
    */
-  addPaginationButtons(container) {
-    const maxVisiblePages = 5;
-    let startPage, endPage;
+  getOrderedHeaders() {
+    const ordered = this.columnState.order
+      .map(key => this.headers.find(header => header.key === key))
+      .filter(Boolean);
     
-    if (this.totalPages <= maxVisiblePages) {
-      startPage = 1;
-      endPage = this.totalPages;
-    } else {
-      // Calculate visible page range around current page
-      const halfRange = Math.floor(maxVisiblePages / 2);
-      startPage = Math.max(1, this.currentPage - halfRange);
-      endPage = Math.min(this.totalPages, startPage + maxVisiblePages - 1);
-      
-      // Adjust range if it extends beyond total pages
-      if (endPage - startPage + 1 < maxVisiblePages) {
+    return ordered.length === this.headers.length ? ordered : this.headers;
+  }
+
+  /**
+   * Gets the visible headers in display order
+   * @returns {Array<Object>} Visible headers
+   */
+  getVisibleHeaders() {
+    return this.getOrderedHeaders().filter(header => !this.columnState.hidden.includes(header.key));
+  }
+
+  /**
+   * Gets the user-set or configured width of a column
+   * @param {Object} header - Column header
+   * @returns {string|null} CSS width or null for automatic sizing
+   */
+  getColumnWidth(header) {
+    const width = this.columnState.widths[header.key];
+    return width ? width + 'px' : header.width || null;
+  }
+
+  /**
+   * Applies visibility and width of a column to one of its cells
+   * @param {HTMLElement} cell - Header or body cell
+   * @param {Object} header - Column header
+   */
+  applyColumnStyles(cell, header) {
+    cell.style.display = this.columnState.hidden.includes(header.key) ? 'none' : '';
+    
+    const width = this.getColumnWidth(header);
+    if (width) cell.style.width = width;
+  }
+
+  /**
+   * Reorders and shows/hides header cells to match the column state
+   */
+  applyColumnState() {
+    const headerRow = this.headers[0]?.element.parentNode;
+    
+    this.getOrderedHeaders().forEach(header => {
+      if (headerRow) headerRow.appendChild(header.element);
+      this.applyColumnStyles(header.element, header);
+      
+      if (header.filterCell) {
+        this.filterRow.appendChild(header.filterCell);
+        this.applyColumnStyles(header.filterCell, header);
+      }
+    });
+    
+    // Fixed layout keeps user-set widths from being overridden by content
+    if (Object.keys(this.columnState.widths).length > 0) {
+      this.table.style.tableLayout = 'fixed';
+    }
+    
+    this.updateColumnMenu();
+  }
+
+  /**
+   * Shows or hides a column
+   * @param {string} key - Column key
+   * @param {boolean} visible - Whether the column should be visible
+   */
+  setColumnVisible(key, visible) {
+    const hidden = this.columnState.hidden.filter(hiddenKey => hiddenKey !== key);
+    
+    // Always keep at least one column visible
+    if (!visible && this.getVisibleHeaders().length <= 1) return;
+    if (!visible) hidden.push(key);
+    
+    this.columnState.hidden = hidden;
+    this.saveColumnState();
+    this.applyColumnState();
+    this.render();
+  }
+
+  /**
+   * Moves a column to a new display position
+   * @param {string} key - Column key
+   * @param {number} toIndex - Target position in the column order
+   */
+  moveColumn(key, toIndex) {
+    const order = this.getOrderedHeaders().map(header => header.key);
+    const fromIndex = order.indexOf(key);
+    if (fromIndex === -1) return;
+    
+    order.splice(fromIndex, 1);
+    order.splice(Math.max(0, Math.min(toIndex, order.length)), 0, key);
+    
+    this.columnState.order = order;
+    this.saveColumnState();
+    this.applyColumnState();
+    this.render();
+  }
+
+  /**
+   * Sets the width of a column
+   * @param {string} key - Column key
+   * @param {number|null} width - Width in pixels, or null to reset
+   */
+  setColumnWidth(key, width) {
+    if (width === null) {
+      delete this.columnState.widths[key];
+    } else {
+      this.columnState.widths[key] = Math.max(this.options.minColumnWidth, Math.round(width));
+    }
+    
+    this.saveColumnState();
+    this.applyColumnState();
+    this.render();
+  }
+
+  /**
+   * Restores the original column order, visibility, widths and sort
+   */
+  resetColumnState() {
+    this.columnState = {
+      order: this.headers.map(header => header.key),
+      hidden: [],
+      widths: {}
+    };
+    this.headers.forEach(header => {
+      header.element.style.width = header.width || '';
+      if (header.filterCell) header.filterCell.style.width = header.width || '';
+    });
+    this.table.style.tableLayout = this.isVirtual() ? 'fixed' : '';
+    
+    this.applyColumnState();
+    this.setSort([]);
+  }
+
+  /**
+   * Creates the column visibility dropdown
+   * @returns {HTMLElement} Column menu container
+   */
+  createColumnMenu() {
+    const container = document.createElement('div');
+    container.className = 'table-column-menu';
+    container.style.position = 'relative';
+    
+    const toggleButton = document.createElement('button');
+    toggleButton.type = 'button';
+    toggleButton.className = 'btn btn-sm btn-outline';
+    toggleButton.textContent = 'Columns';
+    toggleButton.setAttribute('aria-haspopup', 'true');
+    toggleButton.setAttribute('aria-expanded', 'false');
+    
+    this.columnMenu = document.createElement('div');
+    this.columnMenu.className = 'table-column-menu-list';
+    this.columnMenu.hidden = true;
+    this.columnMenu.style.cssText = `
+      position: absolute;
+      top: 100%;
+      right: 0;
+      z-index: 10;
+      min-width: 180px;
+      margin-top: 0.25rem;
+      padding: 0.5rem;
+      border: 2px solid var(--border-default);
+      border-radius: var(--radius-md);
+      background: var(--bg-card);
+    `;
+    
+    toggleButton.addEventListener('click', () => {
+      this.columnMenu.hidden = !this.columnMenu.hidden;
+      toggleButton.setAttribute('aria-expanded', String(!this.columnMenu.hidden));
+    });
+    
+    document.addEventListener('click', (e) => {
+      if (!container.contains(e.target)) {
+        this.columnMenu.hidden = true;
+        toggleButton.setAttribute('aria-expanded', 'false');
+      }
+    });
+    
+    container.appendChild(toggleButton);
+    container.appendChild(this.columnMenu);
+    return container;
+  }
+
+  /**
+   * Rebuilds the column visibility checkboxes
+   */
+  updateColumnMenu() {
+    if (!this.columnMenu) return;
+    
+    this.columnMenu.innerHTML = '';
+    
+    this.getOrderedHeaders().forEach(header => {
+      const label = document.createElement('label');
+      label.style.cssText = 'display: flex; gap: 0.5rem; align-items: center; padding: 0.25rem 0; color: var(--text-light);';
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !this.columnState.hidden.includes(header.key);
+      checkbox.addEventListener('change', () => {
+        this.setColumnVisible(header.key, checkbox.checked);
+      });
+      
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(header.text));
+      this.columnMenu.appendChild(label);
+    });
+    
+    const resetButton = document.createElement('button');
+    resetButton.type = 'button';
+    resetButton.className = 'btn btn-sm';
+    resetButton.textContent = 'Reset columns';
+    resetButton.style.marginTop = '0.5rem';
+    resetButton.addEventListener('click', () => this.resetColumnState());
+    this.columnMenu.appendChild(resetButton);
+  }
+
+  /**
+   * Adds drag-to-reorder and resize handles to header cells
+   */
+  addColumnInteractions() {
+    this.headers.forEach(header => {
+      const th = header.element;
+      th.style.position = 'relative';
+      
+      if (this.options.reorderable) {
+        th.draggable = true;
+        
+        th.addEventListener('dragstart', (e) => {
+          this.draggedColumnKey = header.key;
+          e.dataTransfer.effectAllowed = 'move';
+          e.dataTransfer.setData('text/plain', header.key);
+          th.style.opacity = '0.5';
+        });
+        
+        th.addEventListener('dragend', () => {
+          this.draggedColumnKey = null;
+          th.style.opacity = '';
+        });
+        
+        th.addEventListener('dragover', (e) => {
+          if (!this.draggedColumnKey) return;
+          e.preventDefault();
+          e.dataTransfer.dropEffect = 'move';
+        });
+        
+        th.addEventListener('drop', (e) => {
+          e.preventDefault();
+          if (!this.draggedColumnKey || this.draggedColumnKey === header.key) return;
+          
+          const order = this.getOrderedHeaders().map(h => h.key);
+          this.moveColumn(this.draggedColumnKey, order.indexOf(header.key));
+        });
+      }
+      
+      if (this.options.resizable) {
+        const handle = document.createElement('span');
+        handle.className = 'column-resize-handle';
+        handle.setAttribute('aria-hidden', 'true');
+        handle.style.cssText = `
+          position: absolute;
+          top: 0;
+          right: 0;
+          width: 6px;
+          height: 100%;
+          cursor: col-resize;
+          user-select: none;
+        `;
+        
+        handle.addEventListener('pointerdown', (e) => this.startColumnResize(e, header));
+        // Resizing shouldn't trigger a sort
+        handle.addEventListener('click', (e) => e.stopPropagation());
+        th.appendChild(handle);
+      }
+    });
+  }
+
+  /**
+   * Tracks pointer movement while resizing a column
+   * @param {PointerEvent} e - Pointer down event on the resize handle
+   * @param {Object} header - Column being resized
+   */
+  startColumnResize(e, header) {
+    e.preventDefault();
+    e.stopPropagation();
+    
+    const th = header.element;
+    const startX = e.clientX;
+    const startWidth = th.offsetWidth;
+    const wasDraggable = th.draggable;
+    th.draggable = false;
+    
+    const onMove = (moveEvent) => {
+      const width = Math.max(this.options.minColumnWidth, startWidth + moveEvent.clientX - startX);
+      this.table.style.tableLayout = 'fixed';
+      th.style.width = width + 'px';
+    };
+    
+    const onUp = (upEvent) => {
+      document.removeEventListener('pointermove', onMove);
+      document.removeEventListener('pointerup', onUp);
+      th.draggable = wasDraggable;
+      this.setColumnWidth(header.key, startWidth + upEvent.clientX - startX);
+    };
+    
+    document.addEventListener('pointermove', onMove);
+    document.addEventListener('pointerup', onUp);
+  }
+
+  /**
+   * Gets the localStorage key for persisted column state
+   * @returns {string|null} Storage key or null when persistence is disabled
+   */
+  getStorageKey() {
+    return this.options.tableId ? `jazer-datatable-${this.options.tableId}` : null;
+  }
+
+  /**
+   * Saves column order, visibility, widths and sort to localStorage
+   */
+  saveColumnState() {
+    const storageKey = this.getStorageKey();
+    if (!storageKey) return;
+    
+    try {
+      localStorage.setItem(storageKey, JSON.stringify({
+        ...this.columnState,
+        sort: this.sortState
+      }));
+    } catch (e) {
+      console.warn('Could not save table state to localStorage:', e);
+    }
+  }
+
+  /**
+   * Loads persisted column state, ignoring columns that no longer exist
+   */
+  loadColumnState() {
+    const storageKey = this.getStorageKey();
+    if (!storageKey) return;
+    
+    try {
+      const saved = JSON.parse(localStorage.getItem(storageKey));
+      if (!saved) return;
+      
+      const keys = this.headers.map(header => header.key);
+      const order = (saved.order || []).filter(key => keys.includes(key));
+      
+      this.columnState = {
+        // Columns added since the state was saved go at the end
+        order: [...order, ...keys.filter(key => !order.includes(key))],
+        hidden: (saved.hidden || []).filter(key => keys.includes(key)),
+        widths: Object.fromEntries(Object.entries(saved.widths || {}).filter(([key]) => keys.includes(key)))
+      };
+      
+      this.sortState = (saved.sort || []).filter(sort => keys.includes(sort.key));
+      const primary = this.sortState[0];
+      this.sortColumn = primary ? keys.indexOf(primary.key) : null;
+      this.sortDirection = primary ? primary.direction : 'asc';
+      this.applySort();
+    } catch (e) {
+      console.warn('Could not load table state from localStorage:', e);
+    }
+  }
+
+  /**
+   * Calculates pagination information
+   */
+  calculatePagination() {
+    const totalCount = this.isRemote() ? this.totalRows : this.filteredData.length;
+    this.totalPages = Math.ceil(totalCount / this.options.rowsPerPage);
+  }
+
+  /**
+   * Creates pagination controls
+   */
+  createPaginationControls() {
+    this.paginationContainer = document.createElement('div');
+    this.paginationContainer.className = 'table-pagination';
+    this.paginationContainer.style.cssText = `
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      gap: 0.5rem;
+      margin-top: 1rem;
+    `;
+    
+    // Insert after the table
+    this.table.parentNode.insertBefore(this.paginationContainer, this.table.nextSibling);
+    
+    this.renderPagination();
+  }
+
+  /**
+   * Renders pagination controls
+   */
+  renderPagination() {
+    if (!this.options.pagination || !this.paginationContainer) return;
+    
+    this.calculatePagination();
+    
+    this.paginationContainer.innerHTML = '';
+    
+    // Previous button
+    const prevButton = document.createElement('button');
+    prevButton.innerHTML = '‹ Prev';
+    prevButton.className = 'btn btn-sm';
+    prevButton.disabled = this.currentPage === 1;
+    prevButton.addEventListener('click', () => {
+      if (this.currentPage > 1) {
+        this.setCurrentPage(this.currentPage - 1);
+      }
+    });
+    
+    // Next button
+    const nextButton = document.createElement('button');
+    nextButton.innerHTML = 'Next ›';
+    nextButton.className = 'btn btn-sm';
+    nextButton.disabled = this.currentPage >= this.totalPages;
+    nextButton.addEventListener('click', () => {
+      if (this.currentPage < this.totalPages) {
+        this.setCurrentPage(this.currentPage + 1);
+      }
+    });
+    
+    // Page info
+    const pageInfo = document.createElement('span');
+    pageInfo.textContent = `Page ${this.currentPage} of ${this.totalPages}`;
+    pageInfo.className = 'page-info';
+    pageInfo.style.cssText = `
+      margin: 0 1rem;
+      padding: 0 1rem;
+      color: var(--text-gray);
+    `;
+    
+    // Page size selector
+    const pageSizeSelect = document.createElement('select');
+    pageSizeSelect.className = 'page-size-select';
+    pageSizeSelect.style.cssText = `
+      margin: 0 1rem;
+      padding: 0.25rem 0.5rem;
+      border: 2px solid var(--border-default);
+      border-radius: var(--radius-sm);
+      background: var(--bg-card);
+      color: var(--text-light);
+    `;
+    
+    [5, 10, 25, 50].forEach(size => {
+      const option = document.createElement('option');
+      option.value = size;
+      option.textContent = size;
+      option.selected = size === this.options.rowsPerPage;
+      pageSizeSelect.appendChild(option);
+    });
+    
+    pageSizeSelect.addEventListener('change', (e) => {
+      this.options.rowsPerPage = parseInt(e.target.value);
+      this.currentPage = 1; // Reset to first page
+      
+      if (this.isRemote()) {
+        this.loadData();
+        return;
+      }
+      
+      this.render();
+    });
+    
+    // Page navigation
+    const pageNav = document.createElement('div');
+    pageNav.className = 'page-navigation';
+    pageNav.style.cssText = `
+      display: flex;
+      gap: 0.25rem;
+      margin: 0 1rem;
+    `;
+    
+    // Add pagination buttons with ellipsis support
+    this.addPaginationButtons(pageNav);
+    
+    // Assemble pagination
+    this.paginationContainer.appendChild(prevButton);
+    this.paginationContainer.appendChild(pageInfo);
+    this.paginationContainer.appendChild(pageSizeSelect);
+    this.paginationContainer.appendChild(pageNav);
+    this.paginationContainer.appendChild(nextButton);
+  }
+
+  /**
+   * Adds page number buttons to the navigation
+   * @param {HTMLElement} container - Container to add buttons to
+   */
+  addPaginationButtons(container) {
+    const maxVisiblePages = 5;
+    let startPage, endPage;
+    
+    if (this.totalPages <= maxVisiblePages) {
+      startPage = 1;
+      endPage = this.totalPages;
+    } else {
+      // Calculate visible page range around current page
+      const halfRange = Math.floor(maxVisiblePages / 2);
+      startPage = Math.max(1, this.currentPage - halfRange);
+      endPage = Math.min(this.totalPages, startPage + maxVisiblePages - 1);
+      
+      // Adjust range if it extends beyond total pages
+      if (endPage - startPage + 1 < maxVisiblePages) {
         startPage = Math.max(1, endPage - maxVisiblePages + 1);
       }
     }
     
-    // First page button
-    if (startPage > 1) {
-      const firstBtn = this.createPageButton(1);
-      container.appendChild(firstBtn);
-      
-      if (startPage > 2) {
-        const ellipsis = document.createElement('span');
-        ellipsis.textContent = '...';
-        ellipsis.style.cssText = 'padding: 0.25rem 0.5rem; color: var(--text-gray);';
-        container.appendChild(ellipsis);
+    // First page button
+    if (startPage > 1) {
+      const firstBtn = this.createPageButton(1);
+      container.appendChild(firstBtn);
+      
+      if (startPage > 2) {
+        const ellipsis = document.createElement('span');
+        ellipsis.textContent = '...';
+        ellipsis.style.cssText = 'padding: 0.25rem 0.5rem; color: var(--text-gray);';
+        container.appendChild(ellipsis);
+      }
+    }
+    
+    // Page number buttons
+    for (let i = startPage; i <= endPage; i++) {
+      const pageNumBtn = this.createPageButton(i);
+      container.appendChild(pageNumBtn);
+    }
+    
+    // Last page button
+    if (endPage < this.totalPages) {
+      if (endPage < this.totalPages - 1) {
+        const ellipsis = document.createElement('span');
+        ellipsis.textContent = '...';
+        ellipsis.style.cssText = 'padding: 0.25rem 0.5rem; color: var(--text-gray);';
+        container.appendChild(ellipsis);
+      }
+      
+      const lastBtn = this.createPageButton(this.totalPages);
+      container.appendChild(lastBtn);
+    }
+  }
+
+  /**
+   * Creates a page button
+   * @param {number} pageNum - Page number
+   * @returns {HTMLButtonElement} Created button element
+   */
+  createPageButton(pageNum) {
+    const pageBtn = document.createElement('button');
+    pageBtn.className = `btn ${pageNum === this.currentPage ? 'btn-primary' : 'btn-outline'} btn-sm`;
+    pageBtn.textContent = pageNum;
+    pageBtn.addEventListener('click', () => {
+      this.setCurrentPage(pageNum);
+    });
+    
+    return pageBtn;
+  }
+
+  /**
+   * Sets the current page and re-renders
+   * @param {number} page - Page number to set
+   */
+  setCurrentPage(page) {
+    if (page >= 1 && page <= this.totalPages) {
+      this.currentPage = page;
+      
+      if (this.isRemote()) {
+        this.loadData();
+        return;
+      }
+      
+      this.render();
+      this.renderPagination(); // Update pagination controls after page change
+    }
+  }
+
+  /**
+   * Renders the table with current filtered and sorted data
+   */
+  render() {
+    if (!this.table) return;
+    
+    this.updateSelectAllCheckbox();
+    
+    // Virtualized rows live in the VirtualScroll body, which spans every column of the tbody
+    if (this.isVirtual()) {
+      if (this.virtualCell) this.virtualCell.colSpan = (this.getVisibleHeaders().length + (this.options.selectable ? 1 : 0)) || 1;
+      if (this.virtualScroll) this.virtualScroll.refresh();
+      return;
+    }
+    
+    // Calculate start and end indexes for current page
+    const startIndex = (this.currentPage - 1) * this.options.rowsPerPage;
+    const totalCount = this.isRemote() ? this.totalRows : this.filteredData.length;
+    const endIndex = Math.min(startIndex + this.options.rowsPerPage, totalCount);
+    // Server-driven pages already contain only the current page's rows
+    const currentData = this.isRemote() ? this.filteredData : this.filteredData.slice(startIndex, endIndex);
+    
+    // Clear existing tbody content
+    let tbody = this.table.querySelector('tbody');
+    if (tbody) {
+      tbody.innerHTML = '';
+    } else {
+      // If tbody doesn't exist, create one
+      tbody = document.createElement('tbody');
+      this.table.appendChild(tbody);
+    }
+    
+    // Show loading/error state in place of rows
+    if (this.isLoading || this.loadError) {
+      tbody.appendChild(this.createStateRow());
+      return;
+    }
+    
+    // Add rows to tbody
+    currentData.forEach((rowData, index) => {
+      tbody.appendChild(this.createRow(rowData, index));
+    });
+    
+    // Update status message showing current range
+    this.updateStatusMessage(startIndex, endIndex, totalCount);
+  }
+
+  /**
+   * Creates a table row element for a data row
+   * @param {Object} rowData - Row data keyed by header key
+   * @param {number} index - Index of the row on the current page
+   * @returns {HTMLTableRowElement} Created row element
+   */
+  createRow(rowData, index) {
+    const row = document.createElement('tr');
+    row.style.cssText = `
+      transition: background-color 0.2s ease;
+    `;
+    
+    this.applyRowEffects(row, index);
+    
+    if (this.options.selectable) {
+      const selectCell = document.createElement('td');
+      selectCell.className = 'table-select-cell';
+      selectCell.appendChild(this.createRowCheckbox(rowData, this.filteredData.indexOf(rowData)));
+      row.appendChild(selectCell);
+      row.setAttribute('aria-selected', String(this.isRowSelected(rowData)));
+    }
+    
+    // Add cells in column order; hidden columns stay in the DOM so refresh() can re-read them
+    this.getOrderedHeaders().forEach(header => {
+      const cell = document.createElement('td');
+      cell.innerHTML = rowData[header.key]?.raw || '';
+      this.applyColumnStyles(cell, header);
+      this.bindCellEditing(cell, rowData, header);
+      row.appendChild(cell);
+    });
+    
+    return row;
+  }
+
+  /**
+   * Applies striping and hover highlighting to a row
+   * @param {HTMLElement} row - Row element
+   * @param {number} index - Index used for striping
+   */
+  applyRowEffects(row, index) {
+    if (this.options.striped && index % 2 === 1) {
+      row.style.backgroundColor = 'rgba(255, 255, 255, 0.05)';
+    }
+    
+    if (this.options.hoverEffect) {
+      row.addEventListener('mouseenter', () => {
+        row.style.backgroundColor = 'rgba(0, 242, 234, 0.1)';
+      });
+      
+      row.addEventListener('mouseleave', () => {
+        if (!this.options.striped || index % 2 === 1) {
+          row.style.backgroundColor = 'rgba(255, 255, 255, 0.05)';
+        } else {
+          row.style.backgroundColor = 'transparent';
+        }
+      });
+    }
+  }
+
+  /**
+   * Creates a full-width row showing the loading or error state
+   * @returns {HTMLTableRowElement} State row element
+   */
+  createStateRow() {
+    const row = document.createElement('tr');
+    row.className = this.loadError ? 'table-state-row table-error' : 'table-state-row table-loading';
+    
+    const cell = document.createElement('td');
+    cell.colSpan = (this.getVisibleHeaders().length + (this.options.selectable ? 1 : 0)) || 1;
+    cell.style.cssText = `
+      text-align: center;
+      padding: 2rem 1rem;
+      color: ${this.loadError ? 'var(--jazer-pink, #ff4444)' : 'var(--text-gray)'};
+    `;
+    cell.appendChild(this.createStateContent(() => this.loadData()));
+    
+    row.appendChild(cell);
+    return row;
+  }
+
+  /**
+   * Creates the loading text or error message with a retry button
+   * @param {Function} onRetry - Called when the retry button is clicked
+   * @returns {DocumentFragment} State content
+   */
+  createStateContent(onRetry) {
+    const fragment = document.createDocumentFragment();
+    const message = document.createElement('span');
+    fragment.appendChild(message);
+    
+    if (!this.loadError) {
+      message.textContent = this.options.loadingText;
+      return fragment;
+    }
+    
+    message.textContent = `${this.options.errorText}: ${this.loadError.message || this.loadError}`;
+    
+    const retryButton = document.createElement('button');
+    retryButton.type = 'button';
+    retryButton.className = 'btn btn-sm btn-outline';
+    retryButton.textContent = 'Retry';
+    retryButton.style.marginLeft = '1rem';
+    retryButton.addEventListener('click', onRetry);
+    fragment.appendChild(retryButton);
+    
+    return fragment;
+  }
+
+  /**
+   * Creates the status region announcing the shown range
+   */
+  createStatusContainer() {
+    this.statusContainer = document.createElement('div');
+    this.statusContainer.className = 'table-status';
+    this.statusContainer.setAttribute('role', 'status');
+    this.statusContainer.setAttribute('aria-live', 'polite');
+    this.statusContainer.style.cssText = `
+      text-align: center;
+      margin-top: 1rem;
+      color: var(--text-gray);
+      font-size: 0.9rem;
+    `;
+    
+    // Insert below pagination controls, or below the rows when there are none
+    const anchor = this.paginationContainer || this.table;
+    anchor.parentNode.insertBefore(this.statusContainer, anchor.nextSibling);
+  }
+
+  /**
+   * Updates the status message showing current data range
+   * @param {number} startIndex - Start index of current page
+   * @param {number} endIndex - End index of current page
+   * @param {number} totalCount - Total number of records
+   */
+  updateStatusMessage(startIndex, endIndex, totalCount) {
+    if (!this.statusContainer) {
+      this.createStatusContainer();
+    }
+    
+    this.statusContainer.textContent = `Showing ${startIndex + 1}-${endIndex} of ${totalCount} results`;
+  }
+
+  /**
+   * Refreshes the table data (useful if data was externally modified)
+   */
+  refresh() {
+    if (this.isRemote()) {
+      this.loadData();
+      return;
+    }
+    
+    this.extractTableData();
+    this.filterData(); // This will also trigger render and pagination update
+  }
+
+  /**
+   * Updates the data table with new data
+   * @param {Array} newData - New data to use for the table
+   * @param {Array} headers - Headers for the new data
+   */
+  updateData(newData, headers) {
+    if (headers) {
+      this.headers = headers;
+    }
+    
+    this.data = newData.map(row => {
+      const obj = {};
+      if (Array.isArray(headers)) {
+        headers.forEach((header, index) => {
+          obj[header.key] = {
+            raw: row[index],
+            text: String(row[index])
+          };
+        });
+      }
+      return obj;
+    });
+    
+    this.filterData(); // This will also trigger render and pagination update
+  }
+
+  /**
+   * Builds the parameters passed to the data provider
+   * @param {number} page - 1-based page number
+   * @param {number} pageSize - Number of rows per page
+   * @param {AbortSignal} signal - Signal aborted when the request is superseded
+   * @returns {Object} Request parameters
+   */
+  getRequestParams(page, pageSize, signal) {
+    return {
+      page,
+      pageSize,
+      sort: this.sortState.map(sort => ({ ...sort })),
+      filters: { search: this.searchTerm, columns: { ...this.columnFilters } },
+      signal
+    };
+  }
+
+  /**
+   * Cancels any in-flight data provider requests
+   */
+  cancelRequests() {
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+    this.requestId++;
+  }
+
+  /**
+   * Starts a new request generation, cancelling the previous one
+   * @returns {Object} Request handle with id and abort signal
+   */
+  beginRequest() {
+    this.cancelRequests();
+    this.abortController = new AbortController();
+    return { id: this.requestId, signal: this.abortController.signal };
+  }
+
+  /**
+   * Checks whether an error came from an aborted request
+   * @param {Error} error - Error to check
+   * @returns {boolean} Whether the request was aborted
+   */
+  isAbortError(error) {
+    return error && error.name === 'AbortError';
+  }
+
+  /**
+   * Fetches rows from the data provider for the current view
+   * @returns {Promise<void>} Resolves once the view has been updated
+   */
+  async loadData() {
+    if (!this.isRemote()) return;
+    
+    if (this.isVirtual()) {
+      return this.resetVirtualData();
+    }
+    
+    const request = this.beginRequest();
+    this.setLoadingState(true);
+    
+    try {
+      const params = this.getRequestParams(this.currentPage, this.options.rowsPerPage, request.signal);
+      const result = await this.options.dataProvider(params);
+      
+      // A newer request (re-sort, new search, page change) superseded this one
+      if (request.id !== this.requestId) return;
+      
+      this.totalRows = result.total ?? result.rows.length;
+      this.filteredData = result.rows.map(row => this.normalizeRow(row));
+      this.data = this.filteredData;
+      this.setLoadingState(false);
+      
+      this.table.dispatchEvent(new CustomEvent('datatableload', {
+        detail: { page: this.currentPage, rows: result.rows, total: this.totalRows }
+      }));
+    } catch (error) {
+      if (request.id !== this.requestId || this.isAbortError(error)) return;
+      this.setLoadingState(false, error);
+    }
+  }
+
+  /**
+   * Updates the loading/error state and re-renders the table
+   * @param {boolean} isLoading - Whether a request is in flight
+   * @param {Error} error - Error from the last request, if any
+   */
+  setLoadingState(isLoading, error = null) {
+    this.isLoading = isLoading;
+    this.loadError = error;
+    this.table.setAttribute('aria-busy', String(isLoading));
+    
+    if (error) {
+      this.table.dispatchEvent(new CustomEvent('datatableerror', {
+        detail: { error }
+      }));
+    }
+    
+    this.render();
+    this.renderPagination();
+  }
+
+  /**
+   * Converts a provider row (object or array) to the internal cell format
+   * @param {Object|Array} row - Row from the data provider
+   * @returns {Object} Row keyed by header key with raw/text values
+   */
+  normalizeRow(row) {
+    const rowData = {};
+    
+    this.headers.forEach((header, index) => {
+      const value = Array.isArray(row) ? row[index] : row[header.key];
+      const text = value === null || value === undefined ? '' : String(value);
+      
+      rowData[header.key] = {
+        raw: header.render ? header.render(value, row) : this.escapeHtml(text),
+        text,
+        value
+      };
+    });
+    
+    return rowData;
+  }
+
+  /**
+   * Escapes HTML special characters in provider values
+   * @param {string} str - String to escape
+   * @returns {string} Escaped string
+   */
+  escapeHtml(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  /**
+   * Creates the scroll body used when rows are virtualized
+   */
+  createVirtualBody() {
+    if (typeof VirtualScroll === 'undefined') {
+      throw new Error('DataTable virtual mode requires VirtualScroll (modules/virtual-scroll-module.js)');
+    }
+    
+    // The table keeps its header; rows render as grid rows in a cell spanning the tbody, whose
+    // row and cell are presentational so the rows belong to the tbody's rowgroup
+    this.table.style.tableLayout = 'fixed';
+    let tbody = this.table.querySelector('tbody');
+    if (!tbody) {
+      tbody = document.createElement('tbody');
+      this.table.appendChild(tbody);
+    }
+    tbody.innerHTML = '';
+    
+    const row = document.createElement('tr');
+    row.setAttribute('role', 'presentation');
+    this.virtualCell = document.createElement('td');
+    this.virtualCell.setAttribute('role', 'presentation');
+    this.virtualCell.colSpan = (this.getVisibleHeaders().length + (this.options.selectable ? 1 : 0)) || 1;
+    this.virtualCell.style.padding = '0';
+    row.appendChild(this.virtualCell);
+    tbody.appendChild(row);
+    
+    this.virtualContainer = document.createElement('div');
+    this.virtualContainer.className = 'data-table-virtual-body';
+    this.virtualContainer.style.height = this.options.virtualHeight + 'px';
+    this.virtualCell.appendChild(this.virtualContainer);
+    
+    this.virtualScroll = new VirtualScroll(this.virtualContainer, {
+      itemHeight: this.options.rowHeight,
+      data: [],
+      renderItem: (item, index) => this.createVirtualRow(index),
+      onRangeChange: ({ start, end }) => this.ensureVirtualRange(start, end)
+    });
+  }
+
+  /**
+   * Discards cached rows and reloads the virtualized view from the first block
+   * @returns {Promise<void>} Resolves once the first block is loaded
+   */
+  async resetVirtualData() {
+    const request = this.beginRequest();
+    this.rowCache.clear();
+    this.blockStates.clear();
+    this.isLoading = true;
+    this.loadError = null;
+    this.table.setAttribute('aria-busy', 'true');
+    this.virtualScroll.updateData([], true);
+    this.renderVirtualState();
+    
+    await this.loadBlock(0, request);
+  }
+
+  /**
+   * Fetches a block of rows for the virtualized view
+   * @param {number} blockIndex - Index of the block to load
+   * @param {Object} request - Request handle from beginRequest()
+   * @returns {Promise<void>} Resolves once the block is stored
+   */
+  async loadBlock(blockIndex, request = { id: this.requestId, signal: this.abortController?.signal }) {
+    const state = this.blockStates.get(blockIndex);
+    if (state === 'loading' || state === 'loaded') return;
+    
+    this.blockStates.set(blockIndex, 'loading');
+    const blockSize = this.options.blockSize;
+    
+    try {
+      const params = this.getRequestParams(blockIndex + 1, blockSize, request.signal);
+      const result = await this.options.dataProvider(params);
+      if (request.id !== this.requestId) return;
+      
+      result.rows.forEach((row, offset) => {
+        this.rowCache.set(blockIndex * blockSize + offset, this.normalizeRow(row));
+      });
+      this.blockStates.set(blockIndex, 'loaded');
+      this.evictBlocks();
+      
+      const total = result.total ?? result.rows.length;
+      const isFirstLoad = this.isLoading;
+      this.isLoading = false;
+      this.table.setAttribute('aria-busy', 'false');
+      
+      if (isFirstLoad || total !== this.totalRows) {
+        // Items are row indexes; row data is looked up in the cache on render
+        this.totalRows = total;
+        this.table.setAttribute('aria-rowcount', total + 1);
+        this.virtualScroll.updateData(Array.from({ length: total }, (_, index) => index));
+        this.virtualScroll.refresh();
+        this.renderVirtualState();
+      } else {
+        this.virtualScroll.refresh();
+      }
+      
+      this.table.dispatchEvent(new CustomEvent('datatableload', {
+        detail: { page: blockIndex + 1, rows: result.rows, total: this.totalRows }
+      }));
+    } catch (error) {
+      if (request.id !== this.requestId || this.isAbortError(error)) return;
+      
+      this.blockStates.set(blockIndex, 'error');
+      if (this.isLoading) {
+        this.isLoading = false;
+        this.loadError = error;
+        this.table.setAttribute('aria-busy', 'false');
+        this.renderVirtualState();
+      } else {
+        this.virtualScroll.refresh();
+      }
+      
+      this.table.dispatchEvent(new CustomEvent('datatableerror', {
+        detail: { error, block: blockIndex }
+      }));
+    }
+  }
+
+  /**
+   * Loads any blocks overlapping the rendered range
+   * @param {number} start - First rendered index
+   * @param {number} end - Index after the last rendered row
+   */
+  ensureVirtualRange(start, end) {
+    if (this.isLoading || this.loadError || end <= start) return;
+    
+    const firstBlock = Math.floor(start / this.options.blockSize);
+    const lastBlock = Math.floor((end - 1) / this.options.blockSize);
+    
+    for (let block = firstBlock; block <= lastBlock; block++) {
+      if (this.blockStates.has(block)) {
+        // Moves the block to the most recently used end
+        const state = this.blockStates.get(block);
+        this.blockStates.delete(block);
+        this.blockStates.set(block, state);
+      } else {
+        this.loadBlock(block);
+      }
+    }
+    
+    this.updateStatusMessage(start, Math.min(end, this.totalRows), this.totalRows);
+  }
+
+  /**
+   * Drops the least recently viewed blocks once more than maxCachedBlocks are held
+   * Blocks still loading are kept, so their response has somewhere to go.
+   */
+  evictBlocks() {
+    const blockSize = this.options.blockSize;
+    let excess = this.blockStates.size - Math.max(1, this.options.maxCachedBlocks);
+    
+    for (const [block, state] of this.blockStates) {
+      if (excess <= 0) break;
+      if (state === 'loading') continue;
+      
+      for (let index = block * blockSize; index < (block + 1) * blockSize; index++) {
+        this.rowCache.delete(index);
+      }
+      this.blockStates.delete(block);
+      excess--;
+    }
+  }
+
+  /**
+   * Shows the initial loading/error state in the virtual body
+   */
+  renderVirtualState() {
+    if (!this.virtualStateElement) {
+      this.virtualStateElement = document.createElement('div');
+      this.virtualStateElement.className = 'table-state';
+      this.virtualStateElement.style.cssText = `
+        text-align: center;
+        padding: 2rem 1rem;
+        color: var(--text-gray);
+      `;
+      this.virtualContainer.parentNode.insertBefore(this.virtualStateElement, this.virtualContainer);
+    }
+    
+    const showState = this.isLoading || this.loadError;
+    this.virtualStateElement.style.display = showState ? '' : 'none';
+    this.virtualStateElement.innerHTML = '';
+    if (showState) {
+      this.virtualStateElement.appendChild(this.createStateContent(() => this.loadData()));
+    }
+  }
+
+  /**
+   * Creates a virtualized row, showing a placeholder until its block has loaded
+   * @param {number} index - Absolute row index
+   * @returns {HTMLElement} Row element
+   */
+  createVirtualRow(index) {
+    const row = document.createElement('div');
+    row.className = 'data-table-virtual-row';
+    row.setAttribute('role', 'row');
+    row.setAttribute('aria-rowindex', index + 2); // Header row is row 1
+    row.style.cssText = `
+      display: grid;
+      grid-template-columns: ${this.options.selectable ? '40px ' : ''}${this.getVisibleHeaders().map(header => this.getColumnWidth(header) || 'minmax(0, 1fr)').join(' ')};
+      align-items: center;
+      height: ${this.options.rowHeight}px;
+      box-sizing: border-box;
+      border-bottom: 1px solid var(--border-default);
+      transition: background-color 0.2s ease;
+    `;
+    
+    const rowData = this.rowCache.get(index);
+    if (!rowData) {
+      const blockIndex = Math.floor(index / this.options.blockSize);
+      const failed = this.blockStates.get(blockIndex) === 'error';
+      
+      const placeholder = document.createElement('div');
+      placeholder.className = failed ? 'table-error' : 'table-loading';
+      placeholder.style.cssText = 'grid-column: 1 / -1; padding: 0 0.75rem; color: var(--text-gray);';
+      placeholder.textContent = failed ? this.options.errorText : this.options.loadingText;
+      
+      if (failed) {
+        const retryButton = document.createElement('button');
+        retryButton.type = 'button';
+        retryButton.className = 'btn btn-sm btn-outline';
+        retryButton.textContent = 'Retry';
+        retryButton.style.marginLeft = '1rem';
+        retryButton.addEventListener('click', () => {
+          this.blockStates.delete(blockIndex);
+          this.loadBlock(blockIndex);
+          this.virtualScroll.refresh();
+        });
+        placeholder.appendChild(retryButton);
+      }
+      
+      row.appendChild(placeholder);
+      return row;
+    }
+    
+    this.applyRowEffects(row, index);
+    
+    if (this.options.selectable) {
+      const selectCell = document.createElement('div');
+      selectCell.className = 'table-select-cell';
+      selectCell.setAttribute('role', 'cell');
+      selectCell.style.textAlign = 'center';
+      selectCell.appendChild(this.createRowCheckbox(rowData, index));
+      row.appendChild(selectCell);
+      row.setAttribute('aria-selected', String(this.isRowSelected(rowData)));
+    }
+    
+    this.getVisibleHeaders().forEach(header => {
+      const cell = document.createElement('div');
+      cell.className = 'data-table-virtual-cell';
+      cell.setAttribute('role', 'cell');
+      cell.style.cssText = 'padding: 0 0.75rem; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+      cell.innerHTML = rowData[header.key]?.raw || '';
+      this.bindCellEditing(cell, rowData, header);
+      row.appendChild(cell);
+    });
+    
+    return row;
+  }
+
+  /**
+   * Gets a stable identifier for a row
+   * @param {Object} rowData - Row data
+   * @returns {string|number} Row identifier
+   */
+  getRowId(rowData) {
+    if (this.options.rowKey) {
+      return rowData[this.options.rowKey]?.text;
+    }
+    
+    if (!this.rowIds.has(rowData)) {
+      this.rowIds.set(rowData, this.nextRowId++);
+    }
+    return this.rowIds.get(rowData);
+  }
+
+  /**
+   * Gets a row as plain values keyed by column key
+   * @param {Object} rowData - Row data
+   * @returns {Object} Row values
+   */
+  getRowValues(rowData) {
+    const values = {};
+    this.headers.forEach(header => {
+      values[header.key] = this.getCellValue(rowData, header);
+    });
+    return values;
+  }
+
+  /**
+   * Gets the value of a cell, preferring the typed value over its text
+   * @param {Object} rowData - Row data
+   * @param {Object} header - Column header
+   * @returns {*} Cell value
+   */
+  getCellValue(rowData, header) {
+    const cell = rowData[header.key];
+    if (!cell) return '';
+    return cell.value !== undefined ? cell.value : cell.text;
+  }
+
+  /**
+   * Checks whether a row is selected
+   * @param {Object} rowData - Row data
+   * @returns {boolean} Whether the row is selected
+   */
+  isRowSelected(rowData) {
+    const id = this.getRowId(rowData);
+    return this.allRowsSelected ? !this.deselectedIds.has(id) : this.selectedRows.has(id);
+  }
+
+  /**
+   * Selects or deselects a row
+   * @param {Object} rowData - Row data
+   * @param {boolean} selected - Whether the row should be selected
+   */
+  setRowSelected(rowData, selected) {
+    const id = this.getRowId(rowData);
+    
+    if (this.allRowsSelected) {
+      if (selected) {
+        this.deselectedIds.delete(id);
+      } else {
+        this.deselectedIds.add(id);
+      }
+      return;
+    }
+    
+    if (selected) {
+      this.selectedRows.set(id, rowData);
+    } else {
+      this.selectedRows.delete(id);
+    }
+  }
+
+  /**
+   * Gets the row at a position in the current view
+   * @param {number} index - Index in the filtered data (or absolute index when virtualized)
+   * @returns {Object|undefined} Row data
+   */
+  getViewRow(index) {
+    return this.isVirtual() ? this.rowCache.get(index) : this.filteredData[index];
+  }
+
+  /**
+   * Handles a row checkbox toggle, selecting a range when shift is held
+   * @param {Object} rowData - Row data
+   * @param {number} index - Position of the row in the current view
+   * @param {boolean} selected - New selection state
+   * @param {boolean} range - Whether to select the range from the last toggled row
+   */
+  toggleRowSelection(rowData, index, selected, range = false) {
+    if (range && this.lastSelectedIndex !== null && index !== -1) {
+      const start = Math.min(this.lastSelectedIndex, index);
+      const end = Math.max(this.lastSelectedIndex, index);
+      
+      for (let i = start; i <= end; i++) {
+        const row = this.getViewRow(i);
+        if (row) this.setRowSelected(row, selected);
+      }
+    } else {
+      this.setRowSelected(rowData, selected);
+    }
+    
+    this.lastSelectedIndex = index;
+    this.onSelectionChange();
+  }
+
+  /**
+   * Selects every row matching the current filters, across all pages
+   * Server-driven tables track this as "all selected except deselected rows"
+   */
+  selectAll() {
+    if (this.isRemote()) {
+      this.allRowsSelected = true;
+      this.deselectedIds.clear();
+      this.selectedRows.clear();
+    } else {
+      this.filteredData.forEach(row => this.setRowSelected(row, true));
+    }
+    
+    this.onSelectionChange();
+  }
+
+  /**
+   * Clears the row selection
+   */
+  clearSelection() {
+    this.allRowsSelected = false;
+    this.deselectedIds.clear();
+    this.selectedRows.clear();
+    this.lastSelectedIndex = null;
+    this.onSelectionChange();
+  }
+
+  /**
+   * Gets the selected rows as plain values
+   * Server-driven tables in select-all mode only return rows that have been loaded;
+   * use getSelectionState() to send the selection to the server
+   * @returns {Array<Object>} Selected row values
+   */
+  getSelectedRows() {
+    return this.getSelectedRowData().map(row => this.getRowValues(row));
+  }
+
+  /**
+   * Gets the internal row data of the selected rows
+   * @returns {Array<Object>} Selected rows
+   */
+  getSelectedRowData() {
+    if (!this.isRemote()) {
+      return this.data.filter(row => this.isRowSelected(row));
+    }
+    
+    if (this.allRowsSelected) {
+      const loaded = this.isVirtual() ? [...this.rowCache.values()] : this.filteredData;
+      return loaded.filter(row => this.isRowSelected(row));
+    }
+    
+    return [...this.selectedRows.values()];
+  }
+
+  /**
+   * Describes the selection in a form that can be sent to a server
+   * @returns {Object} { allSelected, ids, excludedIds, filters }
+   */
+  getSelectionState() {
+    return {
+      allSelected: this.allRowsSelected,
+      ids: this.allRowsSelected ? [] : [...this.selectedRows.keys()],
+      excludedIds: [...this.deselectedIds],
+      filters: { search: this.searchTerm, columns: { ...this.columnFilters } }
+    };
+  }
+
+  /**
+   * Re-renders selection state and notifies listeners
+   */
+  onSelectionChange() {
+    this.render();
+    
+    this.table.dispatchEvent(new CustomEvent('selectionchange', {
+      detail: {
+        rows: this.getSelectedRows(),
+        allSelected: this.allRowsSelected
+      }
+    }));
+  }
+
+  /**
+   * Adds the select-all checkbox column to the header
+   */
+  createSelectionColumn() {
+    const headerRow = this.headers[0]?.element.parentNode;
+    if (!headerRow) return;
+    
+    const th = document.createElement('th');
+    th.className = 'table-select-cell';
+    th.style.width = '40px';
+    
+    this.selectAllCheckbox = document.createElement('input');
+    this.selectAllCheckbox.type = 'checkbox';
+    this.selectAllCheckbox.setAttribute('aria-label', 'Select all rows');
+    this.selectAllCheckbox.addEventListener('change', () => {
+      if (this.selectAllCheckbox.checked) {
+        this.selectAll();
+      } else {
+        this.clearSelection();
+      }
+    });
+    
+    th.appendChild(this.selectAllCheckbox);
+    headerRow.insertBefore(th, headerRow.firstChild);
+  }
+
+  /**
+   * Updates the select-all checkbox to checked, unchecked or indeterminate
+   */
+  updateSelectAllCheckbox() {
+    if (!this.selectAllCheckbox) return;
+    
+    let allSelected;
+    let someSelected;
+    
+    if (this.allRowsSelected) {
+      allSelected = this.deselectedIds.size === 0;
+      someSelected = true;
+    } else {
+      const rows = this.isRemote() ? [...this.selectedRows.values()] : this.filteredData;
+      const selectedCount = this.isRemote() ? rows.length : rows.filter(row => this.isRowSelected(row)).length;
+      allSelected = !this.isRemote() && rows.length > 0 && selectedCount === rows.length;
+      someSelected = selectedCount > 0;
+    }
+    
+    this.selectAllCheckbox.checked = allSelected;
+    this.selectAllCheckbox.indeterminate = someSelected && !allSelected;
+  }
+
+  /**
+   * Creates the selection checkbox for a row
+   * @param {Object} rowData - Row data
+   * @param {number} index - Position of the row in the current view
+   * @returns {HTMLInputElement} Checkbox element
+   */
+  createRowCheckbox(rowData, index) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = this.isRowSelected(rowData);
+    checkbox.setAttribute('aria-label', 'Select row');
+    
+    // Read shift from the click; the change event doesn't carry modifier keys
+    checkbox.addEventListener('click', (e) => {
+      this.toggleRowSelection(rowData, index, checkbox.checked, e.shiftKey);
+    });
+    
+    return checkbox;
+  }
+
+  /**
+   * Makes a cell editable on double-click, Enter or F2
+   * @param {HTMLElement} cell - Cell element
+   * @param {Object} rowData - Row data
+   * @param {Object} header - Column header
+   */
+  bindCellEditing(cell, rowData, header) {
+    if (!header.editable) return;
+    
+    cell.classList.add('editable-cell');
+    cell.tabIndex = 0;
+    cell.title = 'Double-click to edit';
+    
+    cell.addEventListener('dblclick', () => this.startCellEdit(cell, rowData, header));
+    cell.addEventListener('keydown', (e) => {
+      if (e.target === cell && (e.key === 'Enter' || e.key === 'F2')) {
+        e.preventDefault();
+        this.startCellEdit(cell, rowData, header);
       }
+    });
+  }
+
+  /**
+   * Replaces a cell's content with its editor
+   * @param {HTMLElement} cell - Cell element
+   * @param {Object} rowData - Row data
+   * @param {Object} header - Column header
+   */
+  startCellEdit(cell, rowData, header) {
+    if (this.activeEdit) {
+      if (this.activeEdit.cell === cell) return;
+      if (!this.commitCellEdit()) return;
     }
     
-    // Page number buttons
-    for (let i = startPage; i <= endPage; i++) {
-      const pageNumBtn = this.createPageButton(i);
-      container.appendChild(pageNumBtn);
+    const oldValue = this.getCellValue(rowData, header);
+    const editor = this.createCellEditor(header, oldValue, rowData);
+    editor.classList.add('cell-editor');
+    
+    const message = document.createElement('div');
+    message.className = 'cell-validation-message';
+    message.setAttribute('role', 'alert');
+    message.style.cssText = 'color: var(--jazer-pink, #ff4444); font-size: 0.8rem; white-space: normal;';
+    
+    cell.innerHTML = '';
+    cell.appendChild(editor);
+    cell.appendChild(message);
+    
+    this.activeEdit = { cell, rowData, header, editor, message, oldValue };
+    
+    editor.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.commitCellEdit();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.cancelCellEdit();
+      }
+      e.stopPropagation();
+    });
+    editor.addEventListener('blur', () => {
+      if (this.activeEdit?.editor === editor) {
+        this.commitCellEdit();
+      }
+    });
+    
+    editor.focus();
+  }
+
+  /**
+   * Creates the editor element for a column
+   * @param {Object} header - Column header
+   * @param {*} value - Current cell value
+   * @param {Object} rowData - Row data
+   * @returns {HTMLElement} Editor element exposing `value` (or `checked`)
+   */
+  createCellEditor(header, value, rowData) {
+    if (typeof header.editor === 'function') {
+      return header.editor(value, this.getRowValues(rowData));
     }
     
-    // Last page button
-    if (endPage < this.totalPages) {
-      if (endPage < this.totalPages - 1) {
-        const ellipsis = document.createElement('span');
-        ellipsis.textContent = '...';
-        ellipsis.style.cssText = 'padding: 0.25rem 0.5rem; color: var(--text-gray);';
-        container.appendChild(ellipsis);
+    const style = `
+      width: 100%;
+      padding: 0.25rem 0.5rem;
+      border: 2px solid var(--jazer-cyan, #00f2ea);
+      border-radius: var(--radius-sm);
+      background: var(--bg-card);
+      color: var(--text-light);
+      box-sizing: border-box;
+    `;
+    
+    let editor;
+    
+    switch (header.editor) {
+      case 'select':
+        editor = document.createElement('select');
+        (header.editorOptions || []).forEach(optionValue => {
+          const option = document.createElement('option');
+          option.value = optionValue;
+          option.textContent = optionValue;
+          option.selected = String(optionValue) === String(value);
+          editor.appendChild(option);
+        });
+        break;
+      case 'checkbox':
+        editor = document.createElement('input');
+        editor.type = 'checkbox';
+        editor.checked = value === true || value === 'true';
+        return editor;
+      case 'number':
+      case 'date':
+      default:
+        editor = document.createElement('input');
+        editor.type = ['number', 'date'].includes(header.editor) ? header.editor : 'text';
+        editor.value = value ?? '';
+        break;
+    }
+    
+    editor.setAttribute('aria-label', `Edit ${header.text}`);
+    editor.style.cssText = style;
+    return editor;
+  }
+
+  /**
+   * Reads the typed value from an editor
+   * @param {HTMLElement} editor - Editor element
+   * @param {Object} header - Column header
+   * @returns {*} Editor value
+   */
+  getEditorValue(editor, header) {
+    if (header.editor === 'checkbox') return editor.checked;
+    if (header.editor === 'number') return editor.value === '' ? '' : Number(editor.value);
+    return editor.value;
+  }
+
+  /**
+   * Validates and applies the active edit
+   * A cancelable `cellchange` event is dispatched before the value is stored
+   * @returns {boolean} Whether the edit was closed (false if validation failed)
+   */
+  commitCellEdit() {
+    if (!this.activeEdit) return true;
+    
+    const { rowData, header, editor, message, oldValue } = this.activeEdit;
+    const newValue = this.getEditorValue(editor, header);
+    
+    if (header.validation && this.validator) {
+      const result = this.validator.validate(newValue, header.validation);
+      if (!result.isValid) {
+        message.textContent = result.errors.join(', ');
+        editor.setAttribute('aria-invalid', 'true');
+        
+        this.table.dispatchEvent(new CustomEvent('cellvalidationerror', {
+          detail: { row: this.getRowValues(rowData), key: header.key, value: newValue, errors: result.errors }
+        }));
+        return false;
       }
+    }
+    
+    this.activeEdit = null;
+    
+    if (String(newValue) !== String(oldValue)) {
+      const event = new CustomEvent('cellchange', {
+        cancelable: true,
+        detail: { row: this.getRowValues(rowData), key: header.key, oldValue, newValue }
+      });
       
-      const lastBtn = this.createPageButton(this.totalPages);
-      container.appendChild(lastBtn);
+      if (this.table.dispatchEvent(event)) {
+        this.setCellValue(rowData, header, newValue);
+      }
     }
+    
+    this.render();
+    return true;
   }
 
   /**
-   * Creates a page button
-   * @param {number} pageNum - Page number
-   * @returns {HTMLButtonElement} Created button element
+   * Discards the active edit
    */
-  createPageButton(pageNum) {
-    const pageBtn = document.createElement('button');
-    pageBtn.className = `btn ${pageNum === this.currentPage ? 'btn-primary' : 'btn-outline'} btn-sm`;
-    pageBtn.textContent = pageNum;
-    pageBtn.addEventListener('click', () => {
-      this.setCurrentPage(pageNum);
-    });
+  cancelCellEdit() {
+    if (!this.activeEdit) return;
     
-    return pageBtn;
+    const { cell } = this.activeEdit;
+    const row = cell.parentNode;
+    const container = row.parentNode;
+    const rowIndex = Array.prototype.indexOf.call(container.children, row);
+    const cellIndex = Array.prototype.indexOf.call(row.children, cell);
+    
+    this.activeEdit = null;
+    this.render();
+    
+    // Return focus to the re-rendered cell so keyboard users keep their place
+    container.children[rowIndex]?.children[cellIndex]?.focus();
   }
 
   /**
-   * Sets the current page and re-renders
-   * @param {number} page - Page number to set
+   * Stores a new value in a cell
+   * @param {Object} rowData - Row data
+   * @param {Object} header - Column header
+   * @param {*} value - New value
    */
-  setCurrentPage(page) {
-    if (page >= 1 && page <= this.totalPages) {
-      this.currentPage = page;
-      this.render();
-      this.renderPagination(); // Update pagination controls after page change
-    }
+  setCellValue(rowData, header, value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    
+    rowData[header.key] = {
+      raw: header.render ? header.render(value, this.getRowValues(rowData)) : this.escapeHtml(text),
+      text,
+      value
+    };
   }
 
   /**
-   * Renders the table with current filtered and sorted data
+   * Exports the current filtered/sorted view (or the selected rows)
+   * @param {string} format - 'csv', 'tsv', 'json' or 'xlsx'
+   * @param {Object} options - Export options
+   * @param {boolean} options.selectedOnly - Export only selected rows
+   * @param {boolean} options.download - Trigger a file download (default: true)
+   * @param {string} options.filename - Download file name
+   * @param {AbortSignal} options.signal - Cancels fetching the rows of a server-driven table
+   * @returns {Promise<Blob>} Exported file contents
    */
-  render() {
-    if (!this.table) return;
+  async exportData(format = 'csv', options = {}) {
+    const {
+      selectedOnly = false,
+      download = true,
+      filename = `${this.options.tableId || 'table'}.${format}`,
+      signal = new AbortController().signal
+    } = options;
     
-    // Calculate start and end indexes for current page
-    const startIndex = (this.currentPage - 1) * this.options.rowsPerPage;
-    const endIndex = Math.min(startIndex + this.options.rowsPerPage, this.filteredData.length);
-    const currentData = this.filteredData.slice(startIndex, endIndex);
+    const headers = this.getVisibleHeaders();
+    let rows;
     
-    // Clear existing tbody content
-    const tbody = this.table.querySelector('tbody');
-    if (tbody) {
-      tbody.innerHTML = '';
+    if (this.isRemote() && (!selectedOnly || this.allRowsSelected)) {
+      rows = await this.fetchAllRows(signal);
+      if (selectedOnly) rows = rows.filter(row => this.isRowSelected(row));
     } else {
-      // If tbody doesn't exist, create one
-      const newTbody = document.createElement('tbody');
-      this.table.appendChild(newTbody);
+      rows = selectedOnly ? this.getSelectedRowData() : this.filteredData;
     }
     
-    // Add rows to tbody
-    currentData.forEach((rowData, index) => {
-      const row = document.createElement('tr');
-      row.style.cssText = `
-        transition: background-color 0.2s ease;
-      `;
-      
-      if (this.options.striped && index % 2 === 1) {
-        row.style.backgroundColor = 'rgba(255, 255, 255, 0.05)';
+    const values = rows.map(row => headers.map(header => this.getCellValue(row, header)));
+    let blob;
+    
+    switch (format) {
+      case 'csv':
+        // BOM so spreadsheet apps detect UTF-8
+        blob = new Blob(['\uFEFF' + this.toDelimited(headers, values, ',')], { type: 'text/csv;charset=utf-8' });
+        break;
+      case 'tsv':
+        blob = new Blob([this.toDelimited(headers, values, '\t')], { type: 'text/tab-separated-values;charset=utf-8' });
+        break;
+      case 'json': {
+        const objects = values.map(rowValues => Object.fromEntries(headers.map((header, index) => [header.key, rowValues[index]])));
+        blob = new Blob([JSON.stringify(objects, null, 2)], { type: 'application/json' });
+        break;
       }
-      
-      if (this.options.hoverEffect) {
-        row.addEventListener('mouseenter', () => {
-          row.style.backgroundColor = 'rgba(0, 242, 234, 0.1)';
-        });
-        
-        row.addEventListener('mouseleave', () => {
-          if (!this.options.striped || index % 2 === 1) {
-            row.style.backgroundColor = 'rgba(255, 255, 255, 0.05)';
-          } else {
-            row.style.backgroundColor = 'transparent';
-          }
+      case 'xlsx':
+        blob = new Blob([this.buildXlsx(headers, values)], {
+          type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
         });
+        break;
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+    
+    if (download) {
+      this.downloadBlob(blob, filename);
+    }
+    
+    return blob;
+  }
+
+  /**
+   * Fetches every row of the current server-driven view
+   * Rows are requested a page at a time at the table's own page size, all with the
+   * sort and filters in place when the export started.
+   * @param {AbortSignal} signal - Cancels the remaining requests
+   * @returns {Promise<Array<Object>>} Normalized rows
+   * @throws {Error} When the rows returned don't add up to the reported total
+   */
+  async fetchAllRows(signal = new AbortController().signal) {
+    const pageSize = this.isVirtual() ? this.options.blockSize : this.options.rowsPerPage;
+    const params = this.getRequestParams(1, pageSize, signal);
+    const rows = [];
+    let total = null;
+    
+    for (let page = 1; total === null || rows.length < total; page++) {
+      if (signal.aborted) {
+        throw signal.reason || new DOMException('The export was aborted.', 'AbortError');
       }
       
-      // Add cells for each header
-      this.headers.forEach(header => {
-        const cell = document.createElement('td');
-        cell.innerHTML = rowData[header.key]?.raw || '';
-        row.appendChild(cell);
-      });
+      const result = await this.options.dataProvider({ ...params, page });
+      const pageTotal = result.total ?? null;
       
-      // Add to tbody
-      tbody.appendChild(row);
-    });
+      if (total !== null && pageTotal !== null && pageTotal !== total) {
+        throw new Error(`Export stopped: the row count changed from ${total} to ${pageTotal}`);
+      }
+      rows.push(...result.rows);
+      
+      // Providers without a total end with a short page
+      if (pageTotal === null && result.rows.length < pageSize) break;
+      if (pageTotal !== null && result.rows.length === 0 && rows.length < pageTotal) {
+        throw new Error(`Export stopped: expected ${pageTotal} rows but received ${rows.length}`);
+      }
+      total = pageTotal;
+    }
     
-    // Update status message showing current range
-    this.updateStatusMessage(startIndex, endIndex, this.filteredData.length);
+    if (total !== null && rows.length !== total) {
+      throw new Error(`Export stopped: expected ${total} rows but received ${rows.length}`);
+    }
+    return rows.map(row => this.normalizeRow(row));
   }
 
   /**
-   * Updates the status message showing current data range
-   * @param {number} startIndex - Start index of current page
-   * @param {number} endIndex - End index of current page
-   * @param {number} totalCount - Total number of records
+   * Serializes rows as CSV or TSV
+   * @param {Array<Object>} headers - Exported columns
+   * @param {Array<Array>} values - Row values
+   * @param {string} delimiter - Field delimiter
+   * @returns {string} Delimited text
    */
-  updateStatusMessage(startIndex, endIndex, totalCount) {
-    if (!this.statusContainer) {
-      this.statusContainer = document.createElement('div');
-      this.statusContainer.className = 'table-status';
-      this.statusContainer.style.cssText = `
-        text-align: center;
-        margin-top: 1rem;
-        color: var(--text-gray);
-        font-size: 0.9rem;
-      `;
+  toDelimited(headers, values, delimiter) {
+    const formatField = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
       
-      // Insert below pagination controls
-      if (this.paginationContainer) {
-        this.paginationContainer.parentNode.insertBefore(this.statusContainer, this.paginationContainer.nextSibling);
-      } else {
-        this.table.parentNode.insertBefore(this.statusContainer, this.table.nextSibling);
+      // TSV has no quoting, so tabs and newlines are flattened
+      if (delimiter === '\t') {
+        return text.replace(/[\t\r\n]+/g, ' ');
       }
-    }
+      
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
     
-    this.statusContainer.textContent = `Showing ${startIndex + 1}-${endIndex} of ${totalCount} results`;
+    return [headers.map(header => header.text), ...values]
+      .map(row => row.map(formatField).join(delimiter))
+      .join('\r\n');
   }
 
   /**
-   * Refreshes the table data (useful if data was externally modified)
+   * Builds a single-sheet XLSX workbook
+   * @param {Array<Object>} headers - Exported columns
+   * @param {Array<Array>} values - Row values
+   * @returns {Uint8Array} XLSX file bytes
    */
-  refresh() {
-    this.extractTableData();
-    this.filterData(); // This will also trigger render and pagination update
+  buildXlsx(headers, values) {
+    // XML 1.0 only allows tab, line feed and carriage return below U+0020
+    const isXmlChar = (char) => {
+      const code = char.codePointAt(0);
+      return code >= 0x20 || code === 0x09 || code === 0x0A || code === 0x0D;
+    };
+    
+    const escapeXml = (text) => Array.from(String(text)).filter(isXmlChar).join('')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    
+    const columnName = (index) => {
+      let name = '';
+      for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+      }
+      return name;
+    };
+    
+    const cellXml = (value, rowIndex, columnIndex) => {
+      const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+      // Only real numbers become numeric cells; strings like "007" keep their text
+      if (typeof value === 'number' && isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+      }
+      if (typeof value === 'boolean') {
+        return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+      }
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value ?? '')}</t></is></c>`;
+    };
+    
+    const sheetRows = [headers.map(header => header.text), ...values]
+      .map((row, rowIndex) => `<row r="${rowIndex + 1}">${row.map((value, columnIndex) => cellXml(value, rowIndex, columnIndex)).join('')}</row>`)
+      .join('');
+    
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const relsNs = 'http://schemas.openxmlformats.org/package/2006/relationships';
+    const docRelsNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const mainNs = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    
+    return this.createZip([
+      {
+        name: '[Content_Types].xml',
+        content: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+          '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+          '</Types>'
+      },
+      {
+        name: '_rels/.rels',
+        content: `${xmlHeader}<Relationships xmlns="${relsNs}">` +
+          `<Relationship Id="rId1" Type="${docRelsNs}/officeDocument" Target="xl/workbook.xml"/>` +
+          '</Relationships>'
+      },
+      {
+        name: 'xl/workbook.xml',
+        content: `${xmlHeader}<workbook xmlns="${mainNs}" xmlns:r="${docRelsNs}">` +
+          '<sheets><sheet name="Sheet1" sheetId="1" r:id="rId1"/></sheets></workbook>'
+      },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        content: `${xmlHeader}<Relationships xmlns="${relsNs}">` +
+          `<Relationship Id="rId1" Type="${docRelsNs}/worksheet" Target="worksheets/sheet1.xml"/>` +
+          '</Relationships>'
+      },
+      {
+        name: 'xl/worksheets/sheet1.xml',
+        content: `${xmlHeader}<worksheet xmlns="${mainNs}"><sheetData>${sheetRows}</sheetData></worksheet>`
+      }
+    ]);
   }
 
   /**
-   * Updates the data table with new data
-   * @param {Array} newData - New data to use for the table
-   * @param {Array} headers - Headers for the new data
+   * Creates an uncompressed (stored) ZIP archive
+   * @param {Array<Object>} files - Files as { name, content } with string content
+   * @returns {Uint8Array} ZIP file bytes
    */
-  updateData(newData, headers) {
-    if (headers) {
-      this.headers = headers;
-    }
+  createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
     
-    this.data = newData.map(row => {
-      const obj = {};
-      if (Array.isArray(headers)) {
-        headers.forEach((header, index) => {
-          obj[header.key] = {
-            raw: row[index],
-            text: String(row[index])
-          };
-        });
-      }
-      return obj;
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.content);
+      const crc = this.crc32(data);
+      
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // Version needed
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(8, 0, true); // Stored (no compression)
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true); // Version made by
+      central.setUint16(6, 20, true); // Version needed
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, dosTime, true);
+      central.setUint16(14, dosDate, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+      
+      localParts.push(new Uint8Array(local.buffer), name, data);
+      centralParts.push(new Uint8Array(central.buffer), name);
+      offset += 30 + name.length + data.length;
     });
     
-    this.filterData(); // This will also trigger render and pagination update
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach(part => {
+      zip.set(part, position);
+      position += part.length;
+    });
+    
+    return zip;
+  }
+
+  /**
+   * Calculates the CRC-32 checksum used by ZIP archives
+   * @param {Uint8Array} data - Data to checksum
+   * @returns {number} Unsigned CRC-32
+   */
+  crc32(data) {
+    if (!DataTable.crcTable) {
+      DataTable.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        DataTable.crcTable[n] = c >>> 0;
+      }
+    }
+    
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = DataTable.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Triggers a browser download for a blob
+   * @param {Blob} blob - File contents
+   * @param {string} filename - Download file name
+   */
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // Clean up the object URL
+    URL.revokeObjectURL(url);
   }
 }
 
@@ -628,7 +2778,8 @@ function initDataTables(container = document) {
         pagination: table.dataset.pagination !== 'false',
         rowsPerPage: parseInt(table.dataset.rowsPerPage) || 10,
         striped: table.dataset.striped !== 'false',
-        hoverEffect: table.dataset.hoverEffect !== 'false'
+        hoverEffect: table.dataset.hoverEffect !== 'false',
+        selectable: table.dataset.selectable === 'true'
       };
       
       const instance = new DataTable(table, options);
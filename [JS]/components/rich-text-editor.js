@@ -4,470 +4,4295 @@
  * Compatible with jazer-brand.css styling for editor components
  */
 
+// Marks in the order they are nested when serialized (outermost first)
+const RICH_TEXT_MARK_ORDER = ['link', 'color', 'background', 'bold', 'italic', 'underline', 'strike', 'code'];
+
+// Block types without inline content
+const RICH_TEXT_ATOM_BLOCKS = ['divider', 'video', 'table'];
+
+// Elements whose content is never imported
+const RICH_TEXT_DROPPED_TAGS = [
+  'script', 'style', 'template', 'head', 'meta', 'link', 'title', 'noscript',
+  'object', 'embed', 'iframe', 'svg', 'math', 'canvas', 'input', 'select', 'textarea', 'button'
+];
+
+const RICH_TEXT_BLOCK_TAGS = [
+  'p', 'div', 'section', 'article', 'header', 'footer', 'aside', 'main', 'nav',
+  'figure', 'figcaption', 'address', 'dl', 'dt', 'dd', 'center'
+];
+
+/**
+ * Structured document model used by RichTextEditor
+ * A document is a flat list of blocks; each block holds inline content made of
+ * text runs with marks and atoms (images, line breaks) that count as one character.
+ * Positions are { block, offset } pairs and every change is an invertible operation:
+ * - { type: 'insert', block, offset, inlines }
+ * - { type: 'delete', block, offset, inlines }
+ * - { type: 'replaceBlocks', index, removed, inserted }
+ */
+class RichTextDocument {
+  /**
+   * Creates a new document
+   * @param {Array<Object>} blocks - Document blocks
+   */
+  constructor(blocks = []) {
+    this.blocks = blocks.length > 0 ? blocks : [RichTextDocument.createBlock()];
+  }
+
+  /**
+   * Creates a block
+   * @param {string} type - 'paragraph', 'heading', 'blockquote', 'code-block', 'list-item', 'divider', 'video' or 'table'
+   * @param {Object} attrs - Block attributes (level, listType, indent, start, quote, align, src, language, rows, header)
+   * @param {Array<Object>} children - Inline content
+   * @returns {Object} Block
+   */
+  static createBlock(type = 'paragraph', attrs = {}, children = []) {
+    return { type, attrs: { ...attrs }, children };
+  }
+
+  /**
+   * Creates a text run
+   * @param {string} text - Text
+   * @param {Object} marks - Marks such as { bold: true, link: 'https://…', linkTitle: 'Docs' }
+   * @returns {Object} Text inline
+   */
+  static createText(text, marks = {}) {
+    return { type: 'text', text, marks: { ...marks } };
+  }
+
+  /**
+   * Checks whether a block has no inline content
+   * @param {Object} block - Block
+   * @returns {boolean} Whether the block is an atom
+   */
+  static isAtomBlock(block) {
+    return RICH_TEXT_ATOM_BLOCKS.includes(block.type);
+  }
+
+  /**
+   * Gets the length of an inline (atoms count as one)
+   * @param {Object} inline - Inline node
+   * @returns {number} Length
+   */
+  static inlineLength(inline) {
+    return inline.type === 'text' ? inline.text.length : 1;
+  }
+
+  /**
+   * Gets the length of inline content
+   * @param {Array<Object>} inlines - Inline nodes
+   * @returns {number} Length
+   */
+  static contentLength(inlines) {
+    return inlines.reduce((length, inline) => length + RichTextDocument.inlineLength(inline), 0);
+  }
+
+  /**
+   * Compares two sets of marks
+   * @param {Object} a - First marks
+   * @param {Object} b - Second marks
+   * @returns {boolean} Whether the marks are equal
+   */
+  static sameMarks(a = {}, b = {}) {
+    const keysA = Object.keys(a);
+    return keysA.length === Object.keys(b).length && keysA.every(key => a[key] === b[key]);
+  }
+
+  /**
+   * Deep-copies a value made of plain objects and arrays
+   * @param {*} value - Value to copy
+   * @returns {*} Copy
+   */
+  static clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Merges adjacent text runs with equal marks and drops empty runs
+   * @param {Array<Object>} inlines - Inline nodes
+   * @returns {Array<Object>} Normalized copy
+   */
+  static normalize(inlines) {
+    const result = [];
+
+    inlines.forEach(inline => {
+      if (inline.type === 'text') {
+        if (!inline.text) return;
+
+        const previous = result[result.length - 1];
+        if (previous && previous.type === 'text' && RichTextDocument.sameMarks(previous.marks, inline.marks)) {
+          previous.text += inline.text;
+          return;
+        }
+      }
+
+      result.push(RichTextDocument.clone(inline));
+    });
+
+    return result;
+  }
+
+  /**
+   * Copies the inline content between two offsets
+   * @param {Array<Object>} inlines - Inline nodes
+   * @param {number} from - Start offset
+   * @param {number} to - End offset
+   * @returns {Array<Object>} Inline nodes in the range
+   */
+  static sliceContent(inlines, from, to = Infinity) {
+    const result = [];
+    let position = 0;
+
+    inlines.forEach(inline => {
+      const length = RichTextDocument.inlineLength(inline);
+      const start = Math.max(from, position);
+      const end = Math.min(to, position + length);
+
+      if (start < end) {
+        if (inline.type === 'text') {
+          result.push(RichTextDocument.createText(inline.text.slice(start - position, end - position), inline.marks));
+        } else {
+          result.push(RichTextDocument.clone(inline));
+        }
+      }
+
+      position += length;
+    });
+
+    return result;
+  }
+
+  /**
+   * Inserts inline content at an offset
+   * @param {Array<Object>} inlines - Inline nodes
+   * @param {number} offset - Insert offset
+   * @param {Array<Object>} content - Content to insert
+   * @returns {Array<Object>} New inline nodes
+   */
+  static insertContent(inlines, offset, content) {
+    return RichTextDocument.normalize([
+      ...RichTextDocument.sliceContent(inlines, 0, offset),
+      ...content,
+      ...RichTextDocument.sliceContent(inlines, offset)
+    ]);
+  }
+
+  /**
+   * Removes the inline content between two offsets
+   * @param {Array<Object>} inlines - Inline nodes
+   * @param {number} from - Start offset
+   * @param {number} to - End offset
+   * @returns {Array<Object>} New inline nodes
+   */
+  static deleteContent(inlines, from, to) {
+    return RichTextDocument.normalize([
+      ...RichTextDocument.sliceContent(inlines, 0, from),
+      ...RichTextDocument.sliceContent(inlines, to)
+    ]);
+  }
+
+  /**
+   * Gets the plain text of inline content (line breaks become newlines)
+   * @param {Array<Object>} inlines - Inline nodes
+   * @returns {string} Text
+   */
+  static inlineText(inlines) {
+    return inlines.map(inline => {
+      if (inline.type === 'text') return inline.text;
+      if (inline.type === 'break') return '\n';
+      if (inline.type === 'mention') return `${inline.attrs.trigger || ''}${inline.attrs.label || ''}`;
+      return '';
+    }).join('');
+  }
+
+  /**
+   * Creates the operation that undoes another
+   * @param {Object} op - Operation
+   * @returns {Object} Inverse operation
+   */
+  static invert(op) {
+    switch (op.type) {
+      case 'insert':
+        return { ...op, type: 'delete' };
+      case 'delete':
+        return { ...op, type: 'insert' };
+      case 'replaceBlocks':
+        return { type: 'replaceBlocks', index: op.index, removed: op.inserted, inserted: op.removed };
+      default:
+        throw new Error(`RichTextDocument: Unknown operation type "${op.type}"`);
+    }
+  }
+
+  /**
+   * Applies an operation to the document
+   * @param {Object} op - Operation
+   */
+  apply(op) {
+    switch (op.type) {
+      case 'insert': {
+        const block = this.blocks[op.block];
+        block.children = RichTextDocument.insertContent(block.children, op.offset, op.inlines);
+        break;
+      }
+      case 'delete': {
+        const block = this.blocks[op.block];
+        const length = RichTextDocument.contentLength(op.inlines);
+        block.children = RichTextDocument.deleteContent(block.children, op.offset, op.offset + length);
+        break;
+      }
+      case 'replaceBlocks':
+        this.blocks.splice(op.index, op.removed.length, ...RichTextDocument.clone(op.inserted));
+        break;
+      default:
+        throw new Error(`RichTextDocument: Unknown operation type "${op.type}"`);
+    }
+  }
+
+  /**
+   * Transforms an operation so it applies after a concurrent one
+   * Text edits in the same block are merged; an edit inside blocks that the other
+   * operation replaced is dropped, and of two overlapping block replacements the
+   * one that comes first in the shared order wins.
+   * @param {Object} op - Operation to transform
+   * @param {Object} other - Concurrent operation that has already been applied
+   * @param {boolean} otherFirst - Whether `other` comes first in the shared order
+   * @returns {Array<Object>} Transformed operations (empty when `op` no longer applies)
+   */
+  static transform(op, other, otherFirst) {
+    if (other.type === 'replaceBlocks') {
+      return RichTextDocument.transformOverBlocks(op, other, otherFirst);
+    }
+
+    if (op.type === 'replaceBlocks') {
+      if (other.block < op.index || other.block >= op.index + op.removed.length) return [op];
+
+      // The replaced blocks now contain the other edit
+      const removed = new RichTextDocument(RichTextDocument.clone(op.removed));
+      removed.apply({ ...other, block: other.block - op.index });
+      return [{ ...op, removed: removed.blocks }];
+    }
+
+    if (op.block !== other.block) return [op];
+
+    const length = RichTextDocument.contentLength(other.inlines);
+    const opLength = RichTextDocument.contentLength(op.inlines);
+
+    if (op.type === 'insert') {
+      if (other.type === 'insert') {
+        const after = op.offset > other.offset || (op.offset === other.offset && otherFirst);
+        return [after ? { ...op, offset: op.offset + length } : op];
+      }
+      if (op.offset <= other.offset) return [op];
+      return [{ ...op, offset: op.offset >= other.offset + length ? op.offset - length : other.offset }];
+    }
+
+    if (other.type === 'insert') {
+      if (other.offset <= op.offset) return [{ ...op, offset: op.offset + length }];
+      if (other.offset >= op.offset + opLength) return [op];
+
+      // Text inserted inside the deleted range survives, so the delete splits around it
+      const split = other.offset - op.offset;
+      return [
+        { ...op, inlines: RichTextDocument.sliceContent(op.inlines, 0, split) },
+        { ...op, offset: op.offset + length, inlines: RichTextDocument.sliceContent(op.inlines, split) }
+      ];
+    }
+
+    // Both delete: only what the other didn't already remove is left
+    const start = other.offset;
+    const end = other.offset + length;
+    const map = (offset) => (offset <= start ? offset : (offset >= end ? offset - length : start));
+    const inlines = RichTextDocument.normalize([
+      ...RichTextDocument.sliceContent(op.inlines, 0, Math.max(0, Math.min(opLength, start - op.offset))),
+      ...RichTextDocument.sliceContent(op.inlines, Math.max(0, end - op.offset))
+    ]);
+
+    return inlines.length ? [{ ...op, offset: map(op.offset), inlines }] : [];
+  }
+
+  /**
+   * Transforms an operation over a concurrent block replacement
+   * @param {Object} op - Operation to transform
+   * @param {Object} other - Applied replaceBlocks operation
+   * @param {boolean} otherFirst - Whether `other` comes first in the shared order
+   * @returns {Array<Object>} Transformed operations
+   */
+  static transformOverBlocks(op, other, otherFirst) {
+    const start = other.index;
+    const end = other.index + other.removed.length;
+    const shift = other.inserted.length - other.removed.length;
+
+    if (op.type !== 'replaceBlocks') {
+      if (op.block < start) return [op];
+      if (op.block >= end) return [{ ...op, block: op.block + shift }];
+      return [];
+    }
+
+    const opEnd = op.index + op.removed.length;
+
+    // Two insertions at the same index are ordered by who came first
+    if (op.removed.length === 0 && other.removed.length === 0 && op.index === start) {
+      return [otherFirst ? { ...op, index: op.index + shift } : op];
+    }
+    if (opEnd <= start) return [op];
+    if (op.index >= end) return [{ ...op, index: op.index + shift }];
+
+    if (otherFirst) return [];
+
+    // This replacement wins: rebuild the union of both ranges from the original blocks
+    const low = Math.min(op.index, start);
+    const high = Math.max(opEnd, end);
+    const original = new Array(high - low);
+    other.removed.forEach((block, i) => { original[start - low + i] = block; });
+    op.removed.forEach((block, i) => { original[op.index - low + i] = block; });
+
+    return [{
+      type: 'replaceBlocks',
+      index: low,
+      removed: RichTextDocument.clone([...original.slice(0, start - low), ...other.inserted, ...original.slice(end - low)]),
+      inserted: RichTextDocument.clone([...original.slice(0, op.index - low), ...op.inserted, ...original.slice(opEnd - low)])
+    }];
+  }
+
+  /**
+   * Transforms two concurrent operation lists against each other
+   * @param {Array<Object>} ops - First list
+   * @param {Array<Object>} others - Second list
+   * @param {boolean} othersFirst - Whether the second list comes first in the shared order
+   * @returns {Array<Array<Object>>} [ops to apply after others, others to apply after ops]
+   */
+  static transformLists(ops, others, othersFirst) {
+    if (!ops.length || !others.length) return [ops, others];
+
+    if (ops.length > 1) {
+      const [head, othersAfterHead] = RichTextDocument.transformLists([ops[0]], others, othersFirst);
+      const [rest, othersAfterAll] = RichTextDocument.transformLists(ops.slice(1), othersAfterHead, othersFirst);
+      return [[...head, ...rest], othersAfterAll];
+    }
+
+    if (others.length > 1) {
+      const [opsAfterHead, head] = RichTextDocument.transformLists(ops, [others[0]], othersFirst);
+      const [opsAfterAll, rest] = RichTextDocument.transformLists(opsAfterHead, others.slice(1), othersFirst);
+      return [opsAfterAll, [...head, ...rest]];
+    }
+
+    return [
+      RichTextDocument.transform(ops[0], others[0], othersFirst),
+      RichTextDocument.transform(others[0], ops[0], !othersFirst)
+    ];
+  }
+
+  /**
+   * Maps a position through an operation
+   * @param {Object} position - Position { block, offset }
+   * @param {Object} op - Applied operation
+   * @param {boolean} stickRight - Move past text inserted exactly at the position
+   * @returns {Object} Mapped position
+   */
+  static transformPosition(position, op, stickRight = false) {
+    if (op.type === 'replaceBlocks') {
+      const start = op.index;
+      const end = op.index + op.removed.length;
+      if (position.block < start) return position;
+      if (position.block >= end) return { ...position, block: position.block + op.inserted.length - op.removed.length };
+
+      // Carry the offset across the replacement, e.g. into the second half of a split block
+      let offset = position.offset;
+      for (let i = 0; i < position.block - start; i++) {
+        offset += RichTextDocument.contentLength(op.removed[i].children);
+      }
+      for (let i = 0; i < op.inserted.length; i++) {
+        const length = RichTextDocument.isAtomBlock(op.inserted[i]) ? 1 : RichTextDocument.contentLength(op.inserted[i].children);
+        if (offset <= length || i === op.inserted.length - 1) {
+          return { block: start + i, offset: Math.min(offset, length) };
+        }
+        offset -= length;
+      }
+      return { block: start, offset: 0 };
+    }
+
+    if (position.block !== op.block) return position;
+
+    const length = RichTextDocument.contentLength(op.inlines);
+    if (op.type === 'insert') {
+      const moves = position.offset > op.offset || (position.offset === op.offset && stickRight);
+      return moves ? { ...position, offset: position.offset + length } : position;
+    }
+
+    if (position.offset <= op.offset) return position;
+    return { ...position, offset: Math.max(op.offset, position.offset - length) };
+  }
+
+  /**
+   * Gets the content length of a block
+   * @param {number} index - Block index
+   * @returns {number} Length
+   */
+  getBlockLength(index) {
+    const block = this.blocks[index];
+    if (!block) return 0;
+
+    // Atom blocks have a position before and after them
+    return RichTextDocument.isAtomBlock(block) ? 1 : RichTextDocument.contentLength(block.children);
+  }
+
+  /**
+   * Gets the plain text of the document, one line per block
+   * @returns {string} Text
+   */
+  getText() {
+    return this.blocks.map(block => RichTextDocument.inlineText(block.children)).join('\n');
+  }
+
+  /**
+   * Gets the number of characters in the document, not counting block boundaries
+   * @returns {number} Character count
+   */
+  getTextLength() {
+    return this.blocks.reduce((length, block) => length + RichTextDocument.inlineText(block.children).length, 0);
+  }
+
+  /**
+   * Checks whether the document is a single empty paragraph
+   * @returns {boolean} Whether the document is empty
+   */
+  isEmpty() {
+    return this.blocks.length === 1 && this.blocks[0].type === 'paragraph' && this.blocks[0].children.length === 0;
+  }
+
+  /**
+   * Clamps a position to the document
+   * @param {Object} position - { block, offset }
+   * @returns {Object} Valid position
+   */
+  clampPosition(position) {
+    const block = Math.min(Math.max(position.block, 0), this.blocks.length - 1);
+    const offset = Math.min(Math.max(position.offset, 0), this.getBlockLength(block));
+    return { block, offset };
+  }
+
+  /**
+   * Gets the position at the end of the document
+   * @returns {Object} { block, offset }
+   */
+  getEndPosition() {
+    const block = this.blocks.length - 1;
+    return { block, offset: this.getBlockLength(block) };
+  }
+
+  /**
+   * Serializes the document as JSON
+   * @returns {Object} { blocks }
+   */
+  toJSON() {
+    return { blocks: RichTextDocument.clone(this.blocks) };
+  }
+
+  /**
+   * Creates a document from its JSON form
+   * @param {Object} json - { blocks }
+   * @returns {RichTextDocument} Document
+   */
+  static fromJSON(json) {
+    return new RichTextDocument(RichTextDocument.clone(json.blocks || []));
+  }
+
+  /**
+   * Escapes text for HTML
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Returns a URL if it uses a safe scheme
+   * @param {string} url - URL to check
+   * @param {boolean} allowDataImage - Allow base64 image data URLs
+   * @returns {string} The URL, or '' if it isn't safe
+   */
+  static sanitizeUrl(url, allowDataImage = false) {
+    // Cleaned up the way the URL parser does it, so `java&#x09;script:` can't hide its scheme:
+    // tabs and newlines are dropped anywhere, other controls and spaces at either end
+    const isControlOrSpace = (char) => char.codePointAt(0) <= 0x20;
+    const chars = Array.from(String(url || '')).filter(char => char !== '\t' && char !== '\n' && char !== '\r');
+    while (chars.length && isControlOrSpace(chars[0])) chars.shift();
+    while (chars.length && isControlOrSpace(chars[chars.length - 1])) chars.pop();
+
+    const value = chars.join('');
+    if (!value) return '';
+
+    if (allowDataImage && /^data:image\/(png|gif|jpe?g|webp);base64,[a-z0-9+/=\s]+$/i.test(value)) {
+      return value;
+    }
+
+    // Relative URLs and fragments resolve against an http base, so only an explicit scheme can fail
+    let protocol;
+    try {
+      protocol = new URL(value, 'http://relative.invalid/').protocol;
+    } catch (e) {
+      return '';
+    }
+
+    return ['http:', 'https:', 'mailto:', 'tel:'].includes(protocol) ? value : '';
+  }
+
+  /**
+   * Returns a CSS color if it is in a recognized form
+   * @param {string} color - Color value
+   * @returns {string} The color, or '' if it isn't recognized
+   */
+  static sanitizeColor(color) {
+    const value = String(color || '').trim();
+    return /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\([\d\s.,%deg/]+\)|[a-z]+)$/i.test(value) ? value : '';
+  }
+
+  /**
+   * Serializes the document as HTML
+   * The output depends only on the model, so equal documents always produce equal HTML.
+   * @param {Object} options - Serialization options
+   * @param {boolean} options.editing - Add the attributes the editor uses to map the DOM to the model
+   * @returns {string} HTML
+   */
+  toHTML({ editing = false } = {}) {
+    let html = '';
+    let index = 0;
+
+    while (index < this.blocks.length) {
+      // Consecutive quoted blocks share one blockquote element
+      const quoted = RichTextDocument.isQuoted(this.blocks[index]);
+      let end = index + 1;
+      while (end < this.blocks.length && RichTextDocument.isQuoted(this.blocks[end]) === quoted) {
+        end++;
+      }
+
+      const content = this.serializeBlocks(index, end, editing);
+      html += quoted ? `<blockquote>${content}</blockquote>` : content;
+      index = end;
+    }
+
+    return html;
+  }
+
+  /**
+   * Checks whether a block is shown inside a blockquote
+   * Quote blocks are quoted paragraphs; headings, list items and code blocks in a quote carry attrs.quote.
+   * @param {Object} block - Block
+   * @returns {boolean} Whether the block is quoted
+   */
+  static isQuoted(block) {
+    return block.type === 'blockquote' || Boolean(block.attrs.quote);
+  }
+
+  /**
+   * Serializes a range of blocks, grouping list items into lists
+   * @param {number} start - Index of the first block
+   * @param {number} end - Index after the last block
+   * @param {boolean} editing - Whether to add editing attributes
+   * @returns {string} HTML
+   */
+  serializeBlocks(start, end, editing) {
+    let html = '';
+    let index = start;
+
+    while (index < end) {
+      if (this.blocks[index].type === 'list-item') {
+        const list = this.serializeList(index, 0, editing, end);
+        html += list.html;
+        index = list.next;
+      } else {
+        html += this.serializeBlock(this.blocks[index], index, editing);
+        index++;
+      }
+    }
+
+    return html;
+  }
+
+  /**
+   * Serializes consecutive list items as (nested) lists
+   * An ordered list numbers from the `start` attribute of its first item.
+   * @param {number} start - Index of the first list item
+   * @param {number} indent - Nesting level of this list
+   * @param {boolean} editing - Whether to add editing attributes
+   * @param {number} end - Index the list can't extend past
+   * @returns {Object} { html, next } where next is the first index after the list
+   */
+  serializeList(start, indent, editing, end = this.blocks.length) {
+    const getIndent = (block) => block.attrs.indent || 0;
+    const getTag = (block) => (block.attrs.listType === 'ordered' ? 'ol' : 'ul');
+    const tag = getTag(this.blocks[start]);
+    const number = this.blocks[start].attrs.start;
+
+    let html = tag === 'ol' && Number.isInteger(number) && number !== 1 ? `<ol start="${number}">` : `<${tag}>`;
+    let index = start;
+
+    while (index < end) {
+      const block = this.blocks[index];
+      if (block.type !== 'list-item' || getIndent(block) < indent) break;
+      if (getIndent(block) === indent && getTag(block) !== tag && index !== start) break;
+
+      // Items nested deeper than their predecessor get an empty wrapper item
+      if (getIndent(block) > indent) {
+        const nested = this.serializeList(index, indent + 1, editing, end);
+        html += `<li>${nested.html}</li>`;
+        index = nested.next;
+        continue;
+      }
+
+      html += this.serializeBlock(block, index, editing).replace(/<\/li>$/, '');
+      index++;
+
+      const next = index < end ? this.blocks[index] : null;
+      if (next && next.type === 'list-item' && getIndent(next) > indent) {
+        const nested = this.serializeList(index, indent + 1, editing, end);
+        html += nested.html;
+        index = nested.next;
+      }
+
+      html += '</li>';
+    }
+
+    return { html: `${html}</${tag}>`, next: index };
+  }
+
+  /**
+   * Serializes a single block
+   * @param {Object} block - Block
+   * @param {number} index - Block index
+   * @param {boolean} editing - Whether to add editing attributes
+   * @returns {string} HTML
+   */
+  serializeBlock(block, index, editing) {
+    let attributes = editing ? ` data-block-index="${index}"` : '';
+
+    if (['left', 'center', 'right', 'justify'].includes(block.attrs.align)) {
+      attributes += ` style="text-align: ${block.attrs.align}"`;
+    }
+
+    // Empty blocks, and blocks ending in a line break, need an extra break to show the last line while editing
+    const last = block.children[block.children.length - 1];
+    const placeholder = editing && (!last || last.type === 'break') ? '<br>' : '';
+    const content = this.serializeInlines(block.children, editing) + placeholder;
+
+    switch (block.type) {
+      case 'heading': {
+        const level = Math.min(Math.max(parseInt(block.attrs.level, 10) || 2, 1), 6);
+        return `<h${level}${attributes}>${content}</h${level}>`;
+      }
+      case 'list-item':
+        return `<li${attributes}>${content}</li>`;
+      case 'code-block': {
+        const text = RichTextDocument.inlineText(block.children);
+        const language = /^[a-z0-9+#-]+$/i.test(block.attrs.language || '') ? ` class="language-${block.attrs.language}"` : '';
+        // A trailing newline only shows up in a pre when something follows it
+        const trailing = editing && (text === '' || text.endsWith('\n')) ? '<br>' : '';
+        return `<pre${attributes}><code${language}>${RichTextDocument.escapeHtml(text)}${trailing}</code></pre>`;
+      }
+      case 'divider':
+        return `<hr${attributes}>`;
+      case 'video': {
+        const src = RichTextDocument.sanitizeUrl(block.attrs.src);
+        const editable = editing ? ' contenteditable="false"' : '';
+        return `<div class="editor-video"${attributes}${editable}><video src="${RichTextDocument.escapeHtml(src)}" controls></video></div>`;
+      }
+      case 'table': {
+        const editable = editing ? ' contenteditable="false"' : '';
+        return `<table${attributes}${editable}>${this.serializeTableRows(block.attrs, editing)}</table>`;
+      }
+      case 'paragraph':
+      default:
+        return `<p${attributes}>${content}</p>`;
+    }
+  }
+
+  /**
+   * Serializes the rows of a table block
+   * Cells hold inline content; the first row is the header row when attrs.header is set.
+   * @param {Object} attrs - Table attributes { rows, header, align }
+   * @param {boolean} editing - Whether to add editing attributes
+   * @returns {string} HTML
+   */
+  serializeTableRows(attrs, editing) {
+    const rows = attrs.rows || [];
+    const align = attrs.align || [];
+
+    const serializeRow = (row, tag) => `<tr>${row.map((cell, column) => {
+      const style = ['left', 'center', 'right'].includes(align[column]) ? ` style="text-align: ${align[column]}"` : '';
+      return `<${tag}${style}>${this.serializeInlines(cell, editing)}</${tag}>`;
+    }).join('')}</tr>`;
+
+    const head = attrs.header && rows.length ? `<thead>${serializeRow(rows[0], 'th')}</thead>` : '';
+    const body = (attrs.header ? rows.slice(1) : rows).map(row => serializeRow(row, 'td')).join('');
+
+    return `${head}${body ? `<tbody>${body}</tbody>` : ''}`;
+  }
+
+  /**
+   * Serializes inline content
+   * @param {Array<Object>} inlines - Inline nodes
+   * @param {boolean} editing - Whether to add editing attributes
+   * @returns {string} HTML
+   */
+  serializeInlines(inlines, editing) {
+    const atom = editing ? ' data-atom' : '';
+
+    return inlines.map(inline => {
+      switch (inline.type) {
+        case 'text':
+          return this.serializeText(inline);
+        case 'break':
+          return `<br${atom}>`;
+        case 'image': {
+          const src = RichTextDocument.sanitizeUrl(inline.attrs.src, true);
+          return `<img src="${RichTextDocument.escapeHtml(src)}" alt="${RichTextDocument.escapeHtml(inline.attrs.alt || '')}"${atom}>`;
+        }
+        case 'mention': {
+          const { id = '', label = '', trigger = '@' } = inline.attrs;
+          const editable = editing ? ' contenteditable="false"' : '';
+          return `<span class="editor-mention" data-mention-id="${RichTextDocument.escapeHtml(id)}" data-trigger="${RichTextDocument.escapeHtml(trigger)}"${editable}${atom}>${RichTextDocument.escapeHtml(trigger + label)}</span>`;
+        }
+        default:
+          return '';
+      }
+    }).join('');
+  }
+
+  /**
+   * Serializes a text run, nesting its marks in a fixed order
+   * @param {Object} inline - Text inline
+   * @returns {string} HTML
+   */
+  serializeText(inline) {
+    const marks = inline.marks || {};
+    let html = RichTextDocument.escapeHtml(inline.text);
+
+    [...RICH_TEXT_MARK_ORDER].reverse().forEach(mark => {
+      if (!marks[mark]) return;
+
+      switch (mark) {
+        case 'link': {
+          const href = RichTextDocument.sanitizeUrl(marks.link);
+          const title = marks.linkTitle ? ` title="${RichTextDocument.escapeHtml(marks.linkTitle)}"` : '';
+          if (href) html = `<a href="${RichTextDocument.escapeHtml(href)}"${title}>${html}</a>`;
+          break;
+        }
+        case 'color':
+        case 'background': {
+          const color = RichTextDocument.sanitizeColor(marks[mark]);
+          const property = mark === 'color' ? 'color' : 'background-color';
+          if (color) html = `<span style="${property}: ${color}">${html}</span>`;
+          break;
+        }
+        case 'bold':
+          html = `<strong>${html}</strong>`;
+          break;
+        case 'italic':
+          html = `<em>${html}</em>`;
+          break;
+        case 'underline':
+          html = `<u>${html}</u>`;
+          break;
+        case 'strike':
+          html = `<s>${html}</s>`;
+          break;
+        case 'code':
+          html = `<code>${html}</code>`;
+          break;
+      }
+    });
+
+    return html;
+  }
+
+  /**
+   * Parses HTML into a document, keeping only known, allowed formatting
+   * Parsing happens in an inert template, so scripts don't run and images don't load.
+   * @param {string} html - HTML to parse
+   * @param {Object} options - Parse options (see fromDOM)
+   * @returns {RichTextDocument} Document
+   */
+  static fromHTML(html, options = {}) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return RichTextDocument.fromDOM(template.content, options);
+  }
+
+  /**
+   * Builds a document from a DOM tree
+   * @param {Node} root - Root node (its children are parsed)
+   * @param {Object} options - Parse options
+   * @param {Array<string>} options.formats - Allowed formats (all when omitted)
+   * @param {boolean} options.preserveWhitespace - Keep whitespace as-is (for the editor's own DOM)
+   * @param {Object} options.track - DOM point { node, offset } to map into the document
+   * @returns {RichTextDocument} Document; `position` holds the mapped point when tracking
+   */
+  static fromDOM(root, options = {}) {
+    const { formats = null, preserveWhitespace = false, track = null } = options;
+    const allowed = (format) => !formats || formats.includes(format);
+    const blocks = [];
+    let current = null;
+    let position = null;
+
+    const startBlock = (type, attrs = {}) => {
+      current = RichTextDocument.createBlock(type, attrs);
+      blocks.push(current);
+      return current;
+    };
+
+    const endBlock = () => {
+      if (current && !preserveWhitespace && current.type !== 'code-block') {
+        const last = current.children[current.children.length - 1];
+        if (last && last.type === 'text') last.text = last.text.replace(/ +$/, '');
+      }
+      current = null;
+    };
+
+    const ensureBlock = (context) => current || startBlock(context.quote && allowed('blockquote') ? 'blockquote' : 'paragraph');
+
+    const markPosition = () => {
+      if (position) return;
+      position = current ?
+        { block: blocks.indexOf(current), offset: RichTextDocument.contentLength(current.children) } :
+        { block: blocks.length, offset: 0 };
+    };
+
+    const appendInline = (inline, context) => {
+      const block = ensureBlock(context);
+      block.children.push(inline);
+    };
+
+    const getAlign = (element) => {
+      const align = (element.style && element.style.textAlign) || element.getAttribute('align');
+      return allowed('align') && ['left', 'center', 'right', 'justify'].includes(align) ? align : null;
+    };
+
+    const blockAttrs = (element, attrs = {}) => {
+      const align = getAlign(element);
+      return align ? { ...attrs, align } : attrs;
+    };
+
+    // Blocks other than paragraphs keep their type inside a quote and are marked as quoted
+    const quoteAttrs = (context) => (context.quote && allowed('blockquote') ? { quote: true } : {});
+
+    const handleText = (node, context) => {
+      let text = node.nodeValue;
+      const trackedOffset = node === track?.node ? track.offset : -1;
+
+      if (!context.pre && !preserveWhitespace) {
+        // Collapse whitespace like a browser would
+        text = text.replace(/[\t\n\r ]+/g, ' ');
+        const block = current;
+        const previous = block && block.children[block.children.length - 1];
+        const atLineStart = !block || !previous || previous.type === 'break' ||
+          (previous.type === 'text' && previous.text.endsWith(' '));
+        if (atLineStart) text = text.replace(/^ /, '');
+      }
+
+      if (!text) {
+        if (trackedOffset !== -1) markPosition();
+        return;
+      }
+
+      const block = ensureBlock(context);
+
+      if (trackedOffset !== -1 && !position) {
+        position = {
+          block: blocks.indexOf(block),
+          offset: RichTextDocument.contentLength(block.children) + Math.min(trackedOffset, text.length)
+        };
+      }
+
+      if (block.type === 'code-block') {
+        block.children.push(RichTextDocument.createText(text));
+        return;
+      }
+
+      // Preformatted text outside a code block keeps its lines as line breaks
+      const lines = context.pre ? text.split('\n') : [text];
+      lines.forEach((line, i) => {
+        if (i > 0) block.children.push({ type: 'break' });
+        if (line) block.children.push(RichTextDocument.createText(line, context.marks));
+      });
+    };
+
+    const styleMarks = (element, marks) => {
+      const style = element.style;
+      if (!style) return marks;
+
+      const result = { ...marks };
+      const weight = style.fontWeight;
+      if (weight === 'bold' || weight === 'bolder' || parseInt(weight, 10) >= 600) {
+        if (allowed('bold')) result.bold = true;
+      } else if (weight === 'normal' || weight === 'lighter' || (parseInt(weight, 10) > 0 && parseInt(weight, 10) < 600)) {
+        delete result.bold;
+      }
+
+      if (style.fontStyle === 'italic' && allowed('italic')) result.italic = true;
+      if (style.fontStyle === 'normal') delete result.italic;
+
+      const decoration = `${style.textDecoration || ''} ${style.textDecorationLine || ''}`;
+      if (decoration.includes('underline') && allowed('underline')) result.underline = true;
+      if (decoration.includes('line-through') && allowed('strike')) result.strike = true;
+
+      const color = RichTextDocument.sanitizeColor(style.color || element.getAttribute('color'));
+      if (color && allowed('color')) result.color = color;
+
+      const background = RichTextDocument.sanitizeColor(style.backgroundColor);
+      if (background && background !== 'transparent' && allowed('background')) result.background = background;
+
+      return result;
+    };
+
+    const walkChildren = (node, context) => {
+      const children = Array.from(node.childNodes);
+      children.forEach((child, index) => {
+        if (track && node === track.node && index === track.offset) markPosition();
+        walk(child, context);
+      });
+      if (track && node === track.node && track.offset >= children.length) markPosition();
+    };
+
+    const walk = (node, context) => {
+      if (node.nodeType === 3) {
+        handleText(node, context);
+        return;
+      }
+      if (node.nodeType !== 1) return;
+
+      const tag = node.nodeName.toLowerCase();
+      if (RICH_TEXT_DROPPED_TAGS.includes(tag) || node.hidden) return;
+
+      // Placeholder line breaks the editor adds to empty blocks
+      if (tag === 'br' && preserveWhitespace && !node.hasAttribute('data-atom')) return;
+
+      let marks = styleMarks(node, context.marks);
+
+      // Mentions are atoms; their text is derived from the label
+      if (node.hasAttribute('data-mention-id')) {
+        if (track && node.contains(track.node) && node !== track.node) markPosition();
+        if (allowed('mention')) {
+          const trigger = node.getAttribute('data-trigger') || '@';
+          const label = node.textContent.startsWith(trigger) ? node.textContent.slice(trigger.length) : node.textContent;
+          appendInline({ type: 'mention', attrs: { id: node.getAttribute('data-mention-id'), label, trigger } }, context);
+        } else {
+          handleText(document.createTextNode(node.textContent), context);
+        }
+        return;
+      }
+
+      switch (tag) {
+        case 'br':
+          if (context.pre) {
+            handleText(document.createTextNode('\n'), context);
+          } else {
+            appendInline({ type: 'break' }, context);
+          }
+          return;
+        case 'img': {
+          const src = RichTextDocument.sanitizeUrl(node.getAttribute('src'), true);
+          if (src && allowed('image')) {
+            appendInline({ type: 'image', attrs: { src, alt: node.getAttribute('alt') || '' } }, context);
+          }
+          return;
+        }
+        case 'hr':
+          endBlock();
+          startBlock('divider');
+          endBlock();
+          return;
+        case 'video': {
+          const source = node.getAttribute('src') || node.querySelector('source')?.getAttribute('src');
+          const src = RichTextDocument.sanitizeUrl(source);
+          if (src && allowed('video')) {
+            endBlock();
+            startBlock('video', { src });
+            endBlock();
+          }
+          return;
+        }
+        case 'table':
+          endBlock();
+          if (track && node.contains(track.node)) markPosition();
+          if (allowed('table')) {
+            startBlock('table', RichTextDocument.parseTable(node, { formats, preserveWhitespace }));
+          } else {
+            // Without tables each row becomes a paragraph
+            RichTextDocument.parseTable(node, { formats, preserveWhitespace }).rows.forEach(row => {
+              startBlock('paragraph');
+              row.forEach((cell, column) => {
+                if (column > 0) current.children.push(RichTextDocument.createText(' '));
+                current.children.push(...cell);
+              });
+            });
+          }
+          endBlock();
+          return;
+        case 'pre': {
+          endBlock();
+          const language = (node.querySelector('code')?.className.match(/language-([a-z0-9+#-]+)/i) || [])[1];
+          startBlock(allowed('code-block') ? 'code-block' : 'paragraph', { ...(language ? { language } : {}), ...quoteAttrs(context) });
+          walkChildren(node, { ...context, pre: true, marks: {} });
+          endBlock();
+          return;
+        }
+        case 'ul':
+        case 'ol': {
+          endBlock();
+          const first = blocks.length;
+          walkChildren(node, { ...context, listType: tag === 'ol' ? 'ordered' : 'bullet', listDepth: context.listDepth + 1 });
+          endBlock();
+
+          // The number an ordered list starts from is kept on its first item
+          const start = parseInt(node.getAttribute('start'), 10);
+          const item = blocks.slice(first).find(block => block.type === 'list-item');
+          if (tag === 'ol' && item && Number.isInteger(start) && start !== 1) item.attrs.start = start;
+          return;
+        }
+        case 'li': {
+          endBlock();
+          let item;
+          if (allowed('list')) {
+            const indent = allowed('indent') ? Math.max(context.listDepth - 1, 0) : 0;
+            item = startBlock('list-item', blockAttrs(node, { listType: context.listType || 'bullet', indent, ...quoteAttrs(context) }));
+          } else {
+            item = startBlock('paragraph', blockAttrs(node));
+          }
+          walkChildren(node, { ...context, marks });
+          endBlock();
+
+          // An item that only wraps a nested list is not an item of its own
+          const wrapsList = Array.from(node.childNodes).every(child =>
+            (child.nodeType === 1 && /^(ul|ol)$/i.test(child.nodeName)) ||
+            (child.nodeType === 3 && !child.nodeValue.trim()));
+          if (wrapsList && item.children.length === 0 && node.querySelector('ul, ol')) {
+            const index = blocks.indexOf(item);
+            blocks.splice(index, 1);
+            if (position && position.block > index) position.block--;
+          }
+          return;
+        }
+        case 'h1':
+        case 'h2':
+        case 'h3':
+        case 'h4':
+        case 'h5':
+        case 'h6':
+          endBlock();
+          if (allowed('header')) {
+            startBlock('heading', blockAttrs(node, { level: Number(tag[1]), ...quoteAttrs(context) }));
+          } else {
+            startBlock(context.quote && allowed('blockquote') ? 'blockquote' : 'paragraph', blockAttrs(node));
+          }
+          walkChildren(node, { ...context, marks });
+          endBlock();
+          return;
+        case 'blockquote':
+          endBlock();
+          walkChildren(node, { ...context, quote: true, marks });
+          endBlock();
+          return;
+        case 'strong':
+        case 'b':
+          if (allowed('bold') && node.style.fontWeight === '') marks = { ...marks, bold: true };
+          break;
+        case 'em':
+        case 'i':
+          if (allowed('italic') && node.style.fontStyle === '') marks = { ...marks, italic: true };
+          break;
+        case 'u':
+        case 'ins':
+          if (allowed('underline')) marks = { ...marks, underline: true };
+          break;
+        case 's':
+        case 'strike':
+        case 'del':
+          if (allowed('strike')) marks = { ...marks, strike: true };
+          break;
+        case 'code':
+        case 'kbd':
+        case 'samp':
+          if (!context.pre && allowed('code')) marks = { ...marks, code: true };
+          break;
+        case 'a': {
+          const href = RichTextDocument.sanitizeUrl(node.getAttribute('href'));
+          if (href && allowed('link')) {
+            marks = { ...marks, link: href };
+            delete marks.linkTitle;
+            if (node.getAttribute('title')) marks.linkTitle = node.getAttribute('title');
+          }
+          break;
+        }
+        default:
+          if (RICH_TEXT_BLOCK_TAGS.includes(tag)) {
+            // A paragraph directly inside a list item continues that item
+            const continuesItem = current && current.type === 'list-item' && current.children.length === 0;
+            if (!continuesItem) {
+              endBlock();
+              const attrs = blockAttrs(node);
+              if (context.quote && allowed('blockquote')) {
+                startBlock('blockquote', attrs);
+              } else if (Object.keys(attrs).length > 0 || node.hasAttribute('data-block-index')) {
+                // The editor's own empty paragraphs must survive the round trip
+                startBlock('paragraph', attrs);
+              }
+            }
+            walkChildren(node, { ...context, marks });
+            if (!continuesItem) endBlock();
+            return;
+          }
+      }
+
+      walkChildren(node, { ...context, marks });
+    };
+
+    walkChildren(root, { marks: {}, pre: false, quote: false, listType: null, listDepth: 0 });
+
+    blocks.forEach(block => {
+      block.children = RichTextDocument.normalize(block.children);
+    });
+
+    const doc = new RichTextDocument(blocks);
+    if (track) {
+      doc.position = doc.clampPosition(position || doc.getEndPosition());
+    }
+    return doc;
+  }
+
+  /**
+   * Reads a table element into table block attributes
+   * @param {HTMLTableElement} table - Table element
+   * @param {Object} options - Parse options for the cell content
+   * @returns {Object} { rows, header, align }
+   */
+  static parseTable(table, options = {}) {
+    const rows = Array.from(table.querySelectorAll('tr')).filter(row => row.closest('table') === table);
+    const align = [];
+
+    const parsed = rows.map(row => Array.from(row.children)
+      .filter(cell => /^(TD|TH)$/.test(cell.nodeName))
+      .map((cell, column) => {
+        const cellAlign = (cell.style && cell.style.textAlign) || cell.getAttribute('align');
+        if (['left', 'center', 'right'].includes(cellAlign) && !align[column]) {
+          align[column] = cellAlign;
+        }
+
+        // Cells hold a single line of inline content; paragraphs become line breaks
+        const content = [];
+        RichTextDocument.fromDOM(cell, { ...options, track: null }).blocks.forEach(block => {
+          if (RichTextDocument.isAtomBlock(block)) return;
+          if (content.length) content.push({ type: 'break' });
+          content.push(...block.children);
+        });
+        return RichTextDocument.normalize(content);
+      }));
+
+    const firstRow = rows[0];
+    const header = Boolean(firstRow && (firstRow.parentNode.nodeName === 'THEAD' ||
+      (firstRow.children.length > 0 && Array.from(firstRow.children).every(cell => cell.nodeName === 'TH'))));
+
+    return { rows: parsed.filter(row => row.length > 0), header, align };
+  }
+
+  /**
+   * Serializes the document as Markdown (CommonMark with GitHub tables and strikethrough)
+   * Underline has no Markdown syntax and is written as inline <u> HTML; colors are dropped.
+   * @returns {string} Markdown
+   */
+  toMarkdown() {
+    const chunks = [];
+    let index = 0;
+
+    while (index < this.blocks.length) {
+      const block = this.blocks[index];
+
+      if (RichTextDocument.isQuoted(block)) {
+        // Quoted blocks are written like a document of their own, then prefixed
+        const quoted = [];
+        while (index < this.blocks.length && RichTextDocument.isQuoted(this.blocks[index])) {
+          const attrs = { ...this.blocks[index].attrs };
+          delete attrs.quote;
+          quoted.push({ ...this.blocks[index], type: this.blocks[index].type === 'blockquote' ? 'paragraph' : this.blocks[index].type, attrs });
+          index++;
+        }
+        chunks.push(new RichTextDocument(quoted).toMarkdown().split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+        continue;
+      }
+
+      if (block.type === 'list-item') {
+        // Items of one list are written without blank lines between them
+        const lines = [];
+        const counters = [];
+        const types = [];
+        while (index < this.blocks.length && this.blocks[index].type === 'list-item' && !RichTextDocument.isQuoted(this.blocks[index])) {
+          const item = this.blocks[index];
+          const indent = item.attrs.indent || 0;
+          const ordered = item.attrs.listType === 'ordered';
+          const changesType = types.length > indent && types[indent] !== item.attrs.listType;
+          const startsList = types.length <= indent || changesType;
+
+          counters.length = indent + 1;
+          types.length = indent + 1;
+          types[indent] = item.attrs.listType;
+          counters[indent] = startsList ? (Number.isInteger(item.attrs.start) ? item.attrs.start : 1) : counters[indent] + 1;
+
+          // A list right after another one, or numbered from other than 1, only starts after a blank line
+          if (lines.length && startsList && (changesType || (ordered && counters[indent] !== 1))) lines.push('');
+
+          const marker = ordered ? `${counters[indent]}.` : '-';
+          const text = RichTextDocument.inlinesToMarkdown(item.children).replace(/\n/g, `\n${' '.repeat(indent * 4 + marker.length + 1)}`);
+          lines.push(`${' '.repeat(indent * 4)}${marker} ${text}`);
+          index++;
+        }
+        chunks.push(lines.join('\n'));
+        continue;
+      }
+
+      const markdown = this.blockToMarkdown(block);
+      if (markdown !== null) chunks.push(markdown);
+      index++;
+    }
+
+    // Trailing empty paragraphs carry no content
+    while (chunks.length && chunks[chunks.length - 1] === '&nbsp;') {
+      chunks.pop();
+    }
+
+    return chunks.join('\n\n');
+  }
+
+  /**
+   * Serializes a block that isn't part of a list or quote as Markdown
+   * @param {Object} block - Block
+   * @returns {string|null} Markdown, or null if the block has no Markdown form
+   */
+  blockToMarkdown(block) {
+    switch (block.type) {
+      case 'heading': {
+        const level = Math.min(Math.max(parseInt(block.attrs.level, 10) || 2, 1), 6);
+        return `${'#'.repeat(level)} ${RichTextDocument.inlinesToMarkdown(block.children).replace(/\n/g, ' ')}`;
+      }
+      case 'code-block': {
+        const text = RichTextDocument.inlineText(block.children);
+        const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        // The closing fence supplies the final line break
+        const body = text.endsWith('\n') ? text.slice(0, -1) : text;
+        return `${fence}${block.attrs.language || ''}\n${body}\n${fence}`;
+      }
+      case 'divider':
+        return '---';
+      case 'video': {
+        const src = RichTextDocument.sanitizeUrl(block.attrs.src);
+        return src ? `<video src="${RichTextDocument.escapeHtml(src)}" controls></video>` : null;
+      }
+      case 'table':
+        return RichTextDocument.tableToMarkdown(block.attrs);
+      case 'paragraph':
+      default: {
+        const markdown = RichTextDocument.inlinesToMarkdown(block.children);
+        // An empty paragraph would disappear between blank lines
+        return markdown || '&nbsp;';
+      }
+    }
+  }
+
+  /**
+   * Serializes a table block as a GitHub-style pipe table
+   * @param {Object} attrs - Table attributes { rows, header, align }
+   * @returns {string} Markdown
+   */
+  static tableToMarkdown(attrs) {
+    const rows = attrs.rows || [];
+    if (rows.length === 0) return '';
+
+    const columns = Math.max(...rows.map(row => row.length));
+    const cell = (content) => RichTextDocument.inlinesToMarkdown(content || [])
+      .replace(/\|/g, '\\|')
+      .replace(/\\\n/g, '<br>');
+    const line = (row) => `| ${Array.from({ length: columns }, (_, column) => cell(row[column])).join(' | ')} |`;
+
+    const delimiter = Array.from({ length: columns }, (_, column) => {
+      const align = (attrs.align || [])[column];
+      if (align === 'center') return ':---:';
+      if (align === 'right') return '---:';
+      if (align === 'left') return ':---';
+      return '---';
+    });
+
+    // Markdown tables always have a header row; an empty one stands in when the table has none
+    const header = attrs.header ? rows[0] : [];
+    const body = attrs.header ? rows.slice(1) : rows;
+
+    return [line(header), `| ${delimiter.join(' | ')} |`, ...body.map(line)].join('\n');
+  }
+
+  /**
+   * Serializes inline content as Markdown
+   * @param {Array<Object>} inlines - Inline nodes
+   * @returns {string} Markdown
+   */
+  static inlinesToMarkdown(inlines) {
+    const delimiters = {
+      bold: ['**', '**'],
+      italic: ['*', '*'],
+      strike: ['~~', '~~'],
+      underline: ['<u>', '</u>']
+    };
+    const order = ['link', 'bold', 'italic', 'strike', 'underline'];
+    const open = [];
+    let output = '';
+    let trailing = '';
+
+    const markKey = (mark, marks) => (mark === 'link' ? `link:${marks.link} ${marks.linkTitle || ''}` : mark);
+    const linkEnd = (mark) => {
+      const title = mark.title ? ` "${mark.title.replace(/["\\]/g, '\\$&')}"` : '';
+      return `](${RichTextDocument.markdownUrl(mark.href)}${title})`;
+    };
+    const close = (count) => {
+      while (open.length > count) {
+        const mark = open.pop();
+        output += mark.name === 'link' ? linkEnd(mark) : delimiters[mark.name][1];
+      }
+    };
+
+    inlines.forEach(inline => {
+      const marks = inline.type === 'text' ? inline.marks : {};
+      const active = order.filter(mark => marks[mark] && (mark !== 'link' || RichTextDocument.sanitizeUrl(marks.link)));
+
+      // Keep the marks this run shares with the open ones, close the rest
+      let keep = 0;
+      while (keep < open.length && keep < active.length && open[keep].key === markKey(active[keep], marks)) {
+        keep++;
+      }
+      close(keep);
+      output += trailing;
+      trailing = '';
+
+      if (inline.type === 'break') {
+        output += '\\\n';
+        return;
+      }
+      if (inline.type === 'image') {
+        const src = RichTextDocument.sanitizeUrl(inline.attrs.src, true);
+        output += `![${RichTextDocument.escapeMarkdown(inline.attrs.alt || '')}](${RichTextDocument.markdownUrl(src)})`;
+        return;
+      }
+      if (inline.type === 'mention') {
+        // Mentions keep their id in a link with a mention: destination
+        const { id = '', label = '', trigger = '@' } = inline.attrs;
+        output += `[${RichTextDocument.escapeMarkdown(trigger + label)}](mention:${encodeURIComponent(id)})`;
+        return;
+      }
+
+      let text = inline.text;
+      let core;
+
+      if (marks.code) {
+        const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        const pad = /^`|`$/.test(text) ? ' ' : '';
+        core = `${fence}${pad}${text}${pad}${fence}`;
+      } else {
+        // Delimiters can't sit next to whitespace, so edge spaces move outside them
+        const leading = active.length > keep ? text.match(/^\s*/)[0] : '';
+        const trailingSpace = text.slice(leading.length).match(/\s*$/)[0];
+        output += leading;
+        trailing = trailingSpace;
+        text = text.slice(leading.length, text.length - trailingSpace.length);
+        core = RichTextDocument.escapeMarkdown(text);
+      }
+
+      active.slice(keep).forEach(mark => {
+        open.push({ name: mark, key: markKey(mark, marks), href: marks.link, title: marks.linkTitle });
+        output += mark === 'link' ? '[' : delimiters[mark][0];
+      });
+
+      output += core;
+    });
+
+    close(0);
+    output += trailing;
+
+    // Text at the start of a line must not read as a heading, list marker or quote
+    return output
+      .replace(/^([#+-])(?=\s|$)/gm, '\\$1')
+      .replace(/^(\d+)([.)])(?=\s|$)/gm, '$1\\$2');
+  }
+
+  /**
+   * Escapes Markdown syntax characters in text
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  static escapeMarkdown(text) {
+    return String(text).replace(/([\\`*_[\]<>~])/g, '\\$1');
+  }
+
+  /**
+   * Formats a URL for a Markdown link destination
+   * @param {string} url - URL
+   * @returns {string} Link destination
+   */
+  static markdownUrl(url) {
+    return /[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+  }
+
+  /**
+   * Parses Markdown into a document
+   * Supports ATX and setext headings, bullet and ordered lists (nested by indentation),
+   * fenced and indented code blocks, blockquotes, thematic breaks, pipe tables,
+   * emphasis, strikethrough, code spans, links, images and inline HTML blocks.
+   * @param {string} markdown - Markdown source
+   * @param {Object} options - Parse options
+   * @param {Array<string>} options.formats - Allowed formats (all when omitted)
+   * @returns {RichTextDocument} Document
+   */
+  static fromMarkdown(markdown, { formats = null } = {}) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    const doc = new RichTextDocument(RichTextDocument.parseMarkdownBlocks(lines));
+
+    // Running the result through the HTML parser applies the same format filtering as pasted content
+    return formats ? RichTextDocument.fromHTML(doc.toHTML(), { formats }) : doc;
+  }
+
+  /**
+   * Parses Markdown lines into blocks
+   * @param {Array<string>} lines - Source lines
+   * @returns {Array<Object>} Blocks
+   */
+  static parseMarkdownBlocks(lines) {
+    const blocks = [];
+    const listIndents = [];
+    const listTypes = [];
+    let index = 0;
+
+    const patterns = {
+      fence: /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/,
+      heading: /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+      divider: /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/,
+      quote: /^ {0,3}> ?/,
+      listItem: /^( *)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*)|$)/,
+      tableDelimiter: /^ *\|? *:?-+:? *(\| *:?-+:? *)*\|? *$/,
+      html: /^ {0,3}<\/?(p|div|table|h[1-6]|ul|ol|li|blockquote|pre|hr|video|figure|section|details)(\s|>|\/|$)/i,
+      setext: /^ {0,3}(=+|-+)[ \t]*$/
+    };
+
+    const startsBlock = (line, next) => patterns.fence.test(line) || patterns.heading.test(line) ||
+      patterns.divider.test(line) || patterns.quote.test(line) || patterns.listItem.test(line) ||
+      patterns.html.test(line) || (line.includes('|') && next !== undefined && patterns.tableDelimiter.test(next) && next.includes('-'));
+
+    const paragraphInlines = (source) => RichTextDocument.parseMarkdownInline(source.map(line => line.trimStart()).join('\n').trimEnd());
+
+    while (index < lines.length) {
+      const line = lines[index];
+      const next = lines[index + 1];
+      let match;
+
+      if (!line.trim()) {
+        index++;
+        continue;
+      }
+
+      // Lists stay open across blank lines until another kind of block starts
+      if (!patterns.listItem.test(line)) {
+        listIndents.length = 0;
+        listTypes.length = 0;
+      }
+
+      if ((match = line.match(patterns.fence))) {
+        const fence = match[1];
+        const body = [];
+        index++;
+        while (index < lines.length && !new RegExp(`^ {0,3}${fence[0]}{${fence.length},}\\s*$`).test(lines[index])) {
+          body.push(lines[index]);
+          index++;
+        }
+        index++;
+        blocks.push(RichTextDocument.createBlock('code-block', match[2] ? { language: match[2] } : {},
+          body.length ? [RichTextDocument.createText(body.join('\n'))] : []));
+        continue;
+      }
+
+      if ((match = line.match(patterns.heading))) {
+        blocks.push(RichTextDocument.createBlock('heading', { level: match[1].length },
+          RichTextDocument.parseMarkdownInline(match[2] || '')));
+        index++;
+        continue;
+      }
+
+      if (patterns.divider.test(line)) {
+        blocks.push(RichTextDocument.createBlock('divider'));
+        index++;
+        continue;
+      }
+
+      if (patterns.quote.test(line)) {
+        const body = [];
+        // Lazy continuation lines belong to the quote until a blank line
+        while (index < lines.length && lines[index].trim() &&
+               (patterns.quote.test(lines[index]) || !startsBlock(lines[index], lines[index + 1]))) {
+          body.push(lines[index].replace(patterns.quote, ''));
+          index++;
+        }
+
+        // Paragraphs become quote blocks; headings, list items and code keep their type and are marked as quoted
+        RichTextDocument.parseMarkdownBlocks(body).forEach(block => {
+          if (RichTextDocument.isAtomBlock(block) || block.type === 'blockquote') {
+            blocks.push(block);
+          } else if (block.type === 'paragraph') {
+            blocks.push(RichTextDocument.createBlock('blockquote', block.attrs, block.children));
+          } else {
+            blocks.push(RichTextDocument.createBlock(block.type, { ...block.attrs, quote: true }, block.children));
+          }
+        });
+        continue;
+      }
+
+      if ((match = line.match(patterns.listItem)) && !(patterns.divider.test(line))) {
+        const indent = match[1].length;
+        while (listIndents.length && listIndents[listIndents.length - 1] > indent) {
+          listIndents.pop();
+        }
+        if (!listIndents.length || listIndents[listIndents.length - 1] < indent) {
+          listIndents.push(indent);
+        }
+
+        // The first item of an ordered list sets the number it starts from
+        const level = listIndents.length - 1;
+        const listType = /\d/.test(match[2]) ? 'ordered' : 'bullet';
+        const start = parseInt(match[2], 10);
+        const startsList = listTypes.length <= level || listTypes[level] !== listType;
+        listTypes.length = level + 1;
+        listTypes[level] = listType;
+
+        const body = [match[3] || ''];
+        index++;
+        while (index < lines.length && lines[index].trim() && !startsBlock(lines[index], lines[index + 1])) {
+          body.push(lines[index]);
+          index++;
+        }
+
+        blocks.push(RichTextDocument.createBlock('list-item', {
+          listType,
+          indent: level,
+          ...(listType === 'ordered' && startsList && start !== 1 ? { start } : {})
+        }, paragraphInlines(body)));
+        continue;
+      }
+
+      if (line.includes('|') && next !== undefined && patterns.tableDelimiter.test(next) && next.includes('-')) {
+        const splitRow = (row) => row.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1')
+          .split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+        const align = splitRow(next).map(cell => {
+          if (/^:-+:$/.test(cell)) return 'center';
+          if (/^-+:$/.test(cell)) return 'right';
+          if (/^:-+$/.test(cell)) return 'left';
+          return null;
+        });
+
+        const rows = [splitRow(line)];
+        index += 2;
+        while (index < lines.length && lines[index].trim() && lines[index].includes('|') && !startsBlock(lines[index])) {
+          rows.push(splitRow(lines[index]));
+          index++;
+        }
+
+        const cells = rows.map(row => align.map((_, column) =>
+          RichTextDocument.parseMarkdownInline((row[column] || '').replace(/<br\s*\/?>/gi, '\\\n'))));
+        const header = cells[0].some(cell => cell.length > 0);
+
+        blocks.push(RichTextDocument.createBlock('table', {
+          rows: header ? cells : cells.slice(1),
+          header,
+          align
+        }));
+        continue;
+      }
+
+      if (patterns.html.test(line)) {
+        const body = [];
+        while (index < lines.length && lines[index].trim()) {
+          body.push(lines[index]);
+          index++;
+        }
+        blocks.push(...RichTextDocument.fromHTML(body.join('\n')).blocks.filter(block =>
+          RichTextDocument.isAtomBlock(block) || block.children.length > 0));
+        continue;
+      }
+
+      if (/^ {4}/.test(line)) {
+        const body = [];
+        while (index < lines.length && (/^ {4}/.test(lines[index]) || !lines[index].trim())) {
+          body.push(lines[index].slice(4));
+          index++;
+        }
+        while (body.length && !body[body.length - 1].trim()) body.pop();
+        blocks.push(RichTextDocument.createBlock('code-block', {}, [RichTextDocument.createText(body.join('\n'))]));
+        continue;
+      }
+
+      // Paragraph, possibly turned into a heading by a setext underline
+      const body = [line];
+      index++;
+      let level = 0;
+      while (index < lines.length && lines[index].trim()) {
+        const setext = lines[index].match(patterns.setext);
+        if (setext) {
+          level = setext[1][0] === '=' ? 1 : 2;
+          index++;
+          break;
+        }
+        if (startsBlock(lines[index], lines[index + 1])) break;
+        body.push(lines[index]);
+        index++;
+      }
+
+      if (level) {
+        blocks.push(RichTextDocument.createBlock('heading', { level }, paragraphInlines(body)));
+      } else if (body.length === 1 && body[0].trim() === '&nbsp;') {
+        blocks.push(RichTextDocument.createBlock('paragraph'));
+      } else {
+        blocks.push(RichTextDocument.createBlock('paragraph', {}, paragraphInlines(body)));
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Parses inline Markdown
+   * @param {string} source - Inline Markdown
+   * @param {Object} marks - Marks inherited from enclosing syntax
+   * @returns {Array<Object>} Inline nodes
+   */
+  static parseMarkdownInline(source, marks = {}) {
+    const result = [];
+    let buffer = '';
+    let index = 0;
+
+    const flush = () => {
+      if (buffer) result.push(RichTextDocument.createText(buffer, marks));
+      buffer = '';
+    };
+
+    while (index < source.length) {
+      const char = source[index];
+      const rest = source.slice(index);
+      let match;
+
+      if (char === '\\' && index + 1 < source.length) {
+        const escaped = source[index + 1];
+        if (escaped === '\n') {
+          flush();
+          result.push({ type: 'break' });
+          index += 2;
+          continue;
+        }
+        if (/[!-/:-@[-`{-~]/.test(escaped)) {
+          buffer += escaped;
+          index += 2;
+          continue;
+        }
+      }
+
+      if (char === '\n') {
+        // Two trailing spaces make a hard break; otherwise the newline is a space
+        if (/ {2,}$/.test(buffer)) {
+          buffer = buffer.replace(/ +$/, '');
+          flush();
+          result.push({ type: 'break' });
+        } else {
+          buffer = `${buffer.replace(/ +$/, '')} `;
+        }
+        index++;
+        while (source[index] === ' ') index++;
+        continue;
+      }
+
+      if (char === '`') {
+        const run = rest.match(/^`+/)[0];
+        const closing = RichTextDocument.findCodeSpanEnd(source, index + run.length, run.length);
+        if (closing !== -1) {
+          let code = source.slice(index + run.length, closing).replace(/\n/g, ' ');
+          if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+          flush();
+          result.push(RichTextDocument.createText(code, { ...marks, code: true }));
+          index = closing + run.length;
+          continue;
+        }
+        buffer += run;
+        index += run.length;
+        continue;
+      }
+
+      if (char === '!' && source[index + 1] === '[') {
+        const link = RichTextDocument.matchMarkdownLink(source, index + 1);
+        const src = link && RichTextDocument.sanitizeUrl(link.href, true);
+        if (src) {
+          flush();
+          result.push({ type: 'image', attrs: { src, alt: link.text.replace(/\\(.)/g, '$1') } });
+          index = link.end;
+          continue;
+        }
+      }
+
+      if (char === '[') {
+        const link = RichTextDocument.matchMarkdownLink(source, index);
+        if (link && link.href.startsWith('mention:')) {
+          const text = link.text.replace(/\\(.)/g, '$1');
+          const trigger = /^[@#/:]/.test(text) ? text[0] : '';
+          flush();
+          result.push({ type: 'mention', attrs: { id: decodeURIComponent(link.href.slice(8)), label: text.slice(trigger.length), trigger: trigger || '@' } });
+          index = link.end;
+          continue;
+        }
+        if (link) {
+          const href = RichTextDocument.sanitizeUrl(link.href);
+          flush();
+          const linkMarks = { ...marks, link: href };
+          delete linkMarks.linkTitle;
+          if (link.title) linkMarks.linkTitle = link.title;
+          result.push(...RichTextDocument.parseMarkdownInline(link.text, href ? linkMarks : marks));
+          index = link.end;
+          continue;
+        }
+      }
+
+      if (char === '<') {
+        if ((match = rest.match(/^<((?:https?|mailto):[^\s<>]+)>/i))) {
+          flush();
+          result.push(RichTextDocument.createText(match[1], { ...marks, link: match[1] }));
+          index += match[0].length;
+          continue;
+        }
+        if ((match = rest.match(/^<br\s*\/?>/i))) {
+          flush();
+          result.push({ type: 'break' });
+          index += match[0].length;
+          continue;
+        }
+        if ((match = rest.match(/^<(u|ins|s|del|strong|b|em|i|code)>([\s\S]*?)<\/\1>/i))) {
+          const mark = {
+            u: 'underline', ins: 'underline', s: 'strike', del: 'strike',
+            strong: 'bold', b: 'bold', em: 'italic', i: 'italic', code: 'code'
+          }[match[1].toLowerCase()];
+          flush();
+          result.push(...RichTextDocument.parseMarkdownInline(match[2], { ...marks, [mark]: true }));
+          index += match[0].length;
+          continue;
+        }
+      }
+
+      if (char === '*' || char === '_' || char === '~') {
+        const run = rest.match(/^(\*+|_+|~+)/)[0];
+        const previous = source[index - 1] || ' ';
+        const following = source[index + run.length] || ' ';
+        const canOpen = /\S/.test(following) && (char !== '_' || !/[\p{L}\p{N}]/u.test(previous)) &&
+          (char !== '~' || run.length === 2);
+        const closing = canOpen ? RichTextDocument.findDelimiterEnd(source, index + run.length, run) : -1;
+
+        if (closing !== -1) {
+          const added = {};
+          if (char === '~') {
+            added.strike = true;
+          } else {
+            if (run.length >= 2) added.bold = true;
+            if (run.length !== 2) added.italic = true;
+          }
+
+          flush();
+          result.push(...RichTextDocument.parseMarkdownInline(source.slice(index + run.length, closing), { ...marks, ...added }));
+          index = closing + run.length;
+          continue;
+        }
+
+        buffer += run;
+        index += run.length;
+        continue;
+      }
+
+      buffer += char;
+      index++;
+    }
+
+    flush();
+
+    // HTML entities written in Markdown text
+    return RichTextDocument.normalize(result.map(inline => (inline.type === 'text' && inline.text.includes('&') && !inline.marks.code ?
+      { ...inline, text: RichTextDocument.decodeEntities(inline.text) } : inline)));
+  }
+
+  /**
+   * Finds the backtick run that closes a code span
+   * @param {string} source - Inline Markdown
+   * @param {number} from - Index after the opening run
+   * @param {number} length - Length of the opening run
+   * @returns {number} Index of the closing run, or -1
+   */
+  static findCodeSpanEnd(source, from, length) {
+    const pattern = /`+/g;
+    pattern.lastIndex = from;
+    let match;
+
+    while ((match = pattern.exec(source))) {
+      if (match[0].length === length) return match.index;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Finds the delimiter run that closes emphasis or strikethrough
+   * Only a run of the same character and length closes, and code spans and escapes are skipped.
+   * @param {string} source - Inline Markdown
+   * @param {number} from - Index after the opening run
+   * @param {string} run - Opening delimiter run
+   * @returns {number} Index of the closing run, or -1
+   */
+  static findDelimiterEnd(source, from, run) {
+    let index = from;
+
+    while (index < source.length) {
+      const char = source[index];
+
+      if (char === '\\') {
+        index += 2;
+        continue;
+      }
+
+      if (char === '`') {
+        const ticks = source.slice(index).match(/^`+/)[0];
+        const end = RichTextDocument.findCodeSpanEnd(source, index + ticks.length, ticks.length);
+        index = end === -1 ? index + ticks.length : end + ticks.length;
+        continue;
+      }
+
+      if (char === run[0]) {
+        const current = source.slice(index).match(new RegExp(`^\\${char}+`))[0];
+        const following = source[index + current.length] || ' ';
+        const closes = current.length === run.length && /\S/.test(source[index - 1]) &&
+          (char !== '_' || !/[\p{L}\p{N}]/u.test(following));
+        if (closes) return index;
+        index += current.length;
+        continue;
+      }
+
+      index++;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Matches a Markdown link starting at an opening bracket
+   * @param {string} source - Inline Markdown
+   * @param {number} start - Index of '['
+   * @returns {Object|null} { text, href, title, end } or null
+   */
+  static matchMarkdownLink(source, start) {
+    let depth = 0;
+    let index = start;
+
+    for (; index < source.length; index++) {
+      const char = source[index];
+      if (char === '\\') {
+        index++;
+      } else if (char === '[') {
+        depth++;
+      } else if (char === ']') {
+        depth--;
+        if (depth === 0) break;
+      }
+    }
+
+    if (depth !== 0 || source[index + 1] !== '(') return null;
+
+    const destination = source.slice(index + 2).match(/^\s*(?:<([^<>\n]*)>|((?:[^\s()\\]|\\.|\([^\s()]*\))*))(?:\s+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?\s*\)/);
+    if (!destination) return null;
+
+    return {
+      text: source.slice(start + 1, index),
+      href: (destination[1] !== undefined ? destination[1] : destination[2]).replace(/\\(.)/g, '$1'),
+      title: destination[3] ? destination[3].slice(1, -1).replace(/\\(.)/g, '$1') : '',
+      end: index + 2 + destination[0].length
+    };
+  }
+
+  /**
+   * Decodes HTML entities in text
+   * @param {string} text - Text with entities
+   * @returns {string} Decoded text
+   */
+  static decodeEntities(text) {
+    const textarea = document.createElement('textarea');
+    textarea.innerHTML = text;
+    return textarea.value;
+  }
+}
+
 class RichTextEditor {
   /**
-   * Creates a new rich text editor instance
-   * @param {HTMLElement|string} container - Container element or selector for the editor
-   * @param {Object} options - Configuration options
+   * Creates a new rich text editor instance
+   * @param {HTMLElement|string} container - Container element or selector for the editor
+   * @param {Object} options - Configuration options
+   */
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? 
+      document.querySelector(container) : container;
+    
+    if (!this.container) {
+      throw new Error('RichTextEditor: Container element not found');
+    }
+
+    this.options = {
+      // Toolbar configuration
+      toolbar: [
+        ['bold', 'italic', 'underline', 'strike'],
+        ['blockquote', 'code-block'],
+        ['header', 'list'],
+        ['link', 'image', 'video'],
+        ['clean']
+      ],
+      
+      // Content configuration
+      placeholder: 'Compose your content here...',
+      theme: 'snow', // 'snow' or 'bubble'
+      readOnly: false,
+      maxLength: null,
+      
+      // Formatting options
+      formats: [
+        'bold', 'italic', 'underline', 'strike',
+        'header', 'list', 'bullet', 'ordered',
+        'link', 'image', 'video', 'blockquote', 'code', 'code-block',
+        'color', 'background', 'align', 'indent', 'table', 'mention'
+      ],
+      
+      // History configuration
+      historyDelay: 1000, // Typing within this many ms joins the same undo step
+
+      // Suggestions: { trigger, dataSource: Array|Function(query), minChars, maxSuggestions }
+      mentions: null, // Items { id, label } are inserted as mentions after '@'
+      commands: null, // Items { label, description, action(editor) } run after '/'
+
+      // Event callbacks
+      onTextChange: null,
+      onSelectionChange: null,
+      onFocus: null,
+      onBlur: null,
+      onMention: null,
+      onCommand: null,
+      onOperations: null, // Receives local operations, e.g. to send them to other editors
+      ...options
+    };
+
+    this.editor = null;
+    this.toolbar = null;
+    this.modules = {};
+    this.doc = new RichTextDocument();
+    this.selection = null;
+    this.pendingMarks = null;
+    this.composing = false;
+    this.suggestion = null;
+    this.suggestionRequest = 0;
+    this.suggestionList = null;
+    this.remoteSelections = new Map();
+    this.remoteLayer = null;
+    this.collaboration = null;
+    this.history = [];
+    this.historyIndex = -1;
+    this.historySealed = false;
+    this.maxHistory = 100;
+    
+    this.init();
+  }
+
+  /**
+   * Initializes the rich text editor
+   */
+  init() {
+    // Create editor structure
+    this.createEditorStructure();
+    
+    // Render the initial document
+    this.initializeEditor();
+    
+    // Setup event listeners
+    this.bindEvents();
+    
+    // Add necessary CSS
+    this.addDynamicStyles();
+  }
+
+  /**
+   * Creates the editor structure
+   */
+  createEditorStructure() {
+    // Create toolbar if needed
+    if (this.options.toolbar) {
+      this.createToolbar();
+    }
+    
+    // Create editor content area
+    this.editorElement = document.createElement('div');
+    this.editorElement.classList.add('rich-text-editor-content');
+    this.editorElement.setAttribute('contenteditable', !this.options.readOnly);
+    this.editorElement.setAttribute('spellcheck', 'true');
+    this.editorElement.setAttribute('aria-label', 'Rich text editor');
+    this.editorElement.setAttribute('aria-multiline', 'true');
+    this.editorElement.setAttribute('role', 'textbox');
+    
+    // Set placeholder if provided
+    if (this.options.placeholder) {
+      this.editorElement.setAttribute('data-placeholder', this.options.placeholder);
+    }
+    
+    // Add to container
+    this.container.appendChild(this.editorElement);
+    
+    // Create status bar if needed
+    if (this.options.showStatusBar) {
+      this.createStatusBar();
+    }
+  }
+
+  /**
+   * Creates the toolbar
+   */
+  createToolbar() {
+    this.toolbar = document.createElement('div');
+    this.toolbar.classList.add('rich-text-toolbar');
+    this.toolbar.setAttribute('role', 'toolbar');
+    
+    // Create toolbar buttons based on options
+    this.options.toolbar.forEach(toolbarGroup => {
+      const group = document.createElement('div');
+      group.classList.add('toolbar-group');
+      
+      toolbarGroup.forEach(buttonType => {
+        const button = this.createToolbarButton(buttonType);
+        if (button) {
+          group.appendChild(button);
+        }
+      });
+      
+      this.toolbar.appendChild(group);
+    });
+    
+    this.container.insertBefore(this.toolbar, this.editorElement);
+  }
+
+  /**
+   * Creates a toolbar button
+   * @param {string} type - Type of button to create
+   * @returns {HTMLElement} Toolbar button element
+   */
+  createToolbarButton(type) {
+    const button = document.createElement('button');
+    button.classList.add('toolbar-button');
+    button.setAttribute('type', 'button');
+    button.setAttribute('aria-label', this.getButtonLabel(type));
+    
+    // Add button-specific classes and functionality
+    button.classList.add(`toolbar-btn-${type}`);
+    
+    // Keep the editor selection when the button is pressed
+    button.addEventListener('mousedown', (e) => e.preventDefault());
+
+    switch (type) {
+      case 'bold':
+        button.innerHTML = '<strong>B</strong>';
+        button.addEventListener('click', () => this.formatText('bold'));
+        break;
+      case 'italic':
+        button.innerHTML = '<em>I</em>';
+        button.addEventListener('click', () => this.formatText('italic'));
+        break;
+      case 'underline':
+        button.innerHTML = '<u>U</u>';
+        button.addEventListener('click', () => this.formatText('underline'));
+        break;
+      case 'strike':
+        button.innerHTML = '<s>S</s>';
+        button.addEventListener('click', () => this.formatText('strike'));
+        break;
+      case 'link':
+        button.innerHTML = '🔗';
+        button.addEventListener('click', () => this.insertLink());
+        break;
+      case 'image':
+        button.innerHTML = '🖼️';
+        button.addEventListener('click', () => this.insertImage());
+        break;
+      case 'video':
+        button.innerHTML = '🎬';
+        button.addEventListener('click', () => this.insertVideo());
+        break;
+      case 'list':
+        button.innerHTML = '•';
+        button.addEventListener('click', () => this.formatText('list', 'bullet'));
+        break;
+      case 'ordered':
+        button.innerHTML = '1.';
+        button.addEventListener('click', () => this.formatText('list', 'ordered'));
+        break;
+      case 'blockquote':
+        button.innerHTML = '”';
+        button.addEventListener('click', () => this.formatText('blockquote'));
+        break;
+      case 'code':
+        button.innerHTML = '{}';
+        button.addEventListener('click', () => this.formatText('code'));
+        break;
+      case 'clean':
+        button.innerHTML = '⌫';
+        button.addEventListener('click', () => this.clean());
+        break;
+      default:
+        button.textContent = type.charAt(0).toUpperCase();
+        button.addEventListener('click', () => this.formatText(type));
+    }
+    
+    return button;
+  }
+
+  /**
+   * Gets the label for a toolbar button
+   * @param {string} type - Button type
+   * @returns {string} Button label
+   */
+  getButtonLabel(type) {
+    const labels = {
+      bold: 'Bold',
+      italic: 'Italic',
+      underline: 'Underline',
+      strike: 'Strikethrough',
+      link: 'Insert Link',
+      image: 'Insert Image',
+      video: 'Insert Video',
+      list: 'Bullet List',
+      ordered: 'Ordered List',
+      blockquote: 'Blockquote',
+      code: 'Code',
+      'code-block': 'Code Block',
+      header: 'Heading',
+      clean: 'Clear Formatting'
+    };
+    
+    return labels[type] || type;
+  }
+
+  /**
+   * Initializes the editor functionality
+   */
+  initializeEditor() {
+    // Initial content is not part of the undo history
+    if (this.options.initialContent) {
+      this.doc = RichTextDocument.fromHTML(this.options.initialContent, { formats: this.options.formats });
+    }
+    
+    this.render(null);
+  }
+
+  /**
+   * Binds editor events
+   */
+  bindEvents() {
+    // Edits are intercepted before the browser touches the DOM and applied to the model
+    this.editorElement.addEventListener('beforeinput', (e) => {
+      this.handleBeforeInput(e);
+    });
+
+    // Anything the browser changed on its own (IME, spellcheck on some platforms) is read back
+    this.editorElement.addEventListener('input', () => {
+      if (!this.composing) {
+        this.syncFromDOM();
+      }
+    });
+    
+    this.editorElement.addEventListener('compositionstart', () => {
+      this.composing = true;
+    });
+
+    this.editorElement.addEventListener('compositionend', () => {
+      this.composing = false;
+      this.syncFromDOM();
+    });
+
+    this.editorElement.addEventListener('paste', (e) => {
+      this.handlePaste(e);
+    });
+
+    // Selection change events
+    this.selectionChangeHandler = () => this.handleSelectionChange();
+    document.addEventListener('selectionchange', this.selectionChangeHandler);
+    
+    // Focus and blur events
+    this.editorElement.addEventListener('focus', (e) => {
+      if (this.options.onFocus) {
+        this.options.onFocus(e);
+      }
+    });
+    
+    this.editorElement.addEventListener('blur', (e) => {
+      this.saveHistory();
+      if (this.options.onBlur) {
+        this.options.onBlur(e);
+      }
+    });
+    
+    // Keyboard shortcuts
+    this.editorElement.addEventListener('keydown', (e) => {
+      this.handleKeyboardShortcuts(e);
+    });
+
+    // Remote carets are positioned from layout, which scrolling and resizing change
+    this.layoutChangeHandler = () => this.renderRemoteSelections();
+    this.editorElement.addEventListener('scroll', this.layoutChangeHandler);
+    window.addEventListener('resize', this.layoutChangeHandler);
+  }
+
+  /**
+   * Handles document selection changes
+   */
+  handleSelectionChange() {
+    if (!this.composing) {
+      const selection = this.readSelection();
+      if (selection) {
+        // Marks picked for the caret only apply until it moves
+        const changed = !this.selection || !this.isSameSelection(selection, this.selection);
+        if (changed) {
+          this.pendingMarks = null;
+        }
+        this.selection = selection;
+
+        if (changed) {
+          this.updateSuggestions();
+          if (this.collaboration) this.collaboration.sendSelection(selection);
+        }
+      }
+    }
+
+    if (this.options.onSelectionChange) {
+      const selection = this.getSelection();
+      this.options.onSelectionChange(selection);
+    }
+  }
+
+  /**
+   * Handles content changes
+   */
+  handleContentChange() {
+    // Update status bar if available
+    if (this.statusBar) {
+      this.updateStatusBar();
+    }
+  }
+    
+  /**
+   * Handles a beforeinput event by applying the edit to the document model
+   * @param {InputEvent} e - Input event
+   */
+  handleBeforeInput(e) {
+    // Composition and other non-cancelable input are read back from the DOM afterwards
+    if (this.options.readOnly || this.composing || !e.cancelable) return;
+
+    const selection = this.readSelection() || this.selection;
+    if (!selection) return;
+    this.selection = selection;
+
+    const targetRange = this.getTargetRange(e);
+
+    switch (e.inputType) {
+      case 'insertText':
+      case 'insertReplacementText': {
+        e.preventDefault();
+        const text = e.data !== null && e.data !== undefined ? e.data : (e.dataTransfer ? e.dataTransfer.getData('text/plain') : '');
+        if (e.inputType === 'insertReplacementText' && targetRange) {
+          this.selection = targetRange;
+        }
+        this.insertText(text);
+        break;
+      }
+      case 'insertParagraph':
+        e.preventDefault();
+        this.splitBlock();
+        break;
+      case 'insertLineBreak':
+        e.preventDefault();
+        this.insertLineBreak();
+        break;
+      case 'insertFromDrop': {
+        e.preventDefault();
+        if (targetRange) this.selection = targetRange;
+        const html = e.dataTransfer ? e.dataTransfer.getData('text/html') : '';
+        if (html) {
+          this.insertHTML(this.cleanPastedHTML(html));
+        } else if (e.dataTransfer) {
+          this.insertText(e.dataTransfer.getData('text/plain'));
+        }
+        break;
+      }
+      case 'formatBold':
+      case 'formatItalic':
+      case 'formatUnderline':
+      case 'formatStrikeThrough':
+        e.preventDefault();
+        this.formatText({
+          formatBold: 'bold',
+          formatItalic: 'italic',
+          formatUnderline: 'underline',
+          formatStrikeThrough: 'strike'
+        }[e.inputType]);
+        break;
+      case 'historyUndo':
+        e.preventDefault();
+        this.undo();
+        break;
+      case 'historyRedo':
+        e.preventDefault();
+        this.redo();
+        break;
+      default:
+        if (e.inputType.startsWith('delete')) {
+          e.preventDefault();
+          this.deleteContent(e.inputType, targetRange);
+        }
+        // Other input types fall through to the browser and are synced on input
+    }
+  }
+
+  /**
+   * Handles paste by inserting sanitized content
+   * @param {ClipboardEvent} e - Clipboard event
+   */
+  handlePaste(e) {
+    if (this.options.readOnly || !e.clipboardData) return;
+    
+    e.preventDefault();
+    const selection = this.readSelection();
+    if (selection) this.selection = selection;
+
+    const html = e.clipboardData.getData('text/html');
+    if (html) {
+      this.insertHTML(this.cleanPastedHTML(html));
+    } else {
+      this.insertText(e.clipboardData.getData('text/plain'));
+    }
+  }
+
+  /**
+   * Cleans clipboard HTML from word processors before it is parsed
+   * Word list paragraphs become real lists, Google Docs wrappers and the default
+   * colors both apps put on every run are removed. Whatever survives is still
+   * limited to options.formats when it is inserted.
+   * @param {string} html - Clipboard HTML
+   * @returns {string} Cleaned HTML
+   */
+  cleanPastedHTML(html) {
+    // Only the copied fragment matters, not the surrounding document
+    const fragment = html.match(/<!--StartFragment-->([\s\S]*?)<!--EndFragment-->/);
+    const template = document.createElement('template');
+    template.innerHTML = fragment ? fragment[1] : html;
+    const root = template.content;
+
+    // Office namespace elements, conditional comments and embedded XML
+    root.querySelectorAll('xml, style, meta, link, title').forEach(element => element.remove());
+    const comments = document.createTreeWalker(root, NodeFilter.SHOW_COMMENT);
+    const removed = [];
+    while (comments.nextNode()) removed.push(comments.currentNode);
+    removed.forEach(comment => comment.remove());
+    Array.from(root.querySelectorAll('*'))
+      .filter(element => element.nodeName.includes(':'))
+      .forEach(element => element.replaceWith(...element.childNodes));
+
+    this.convertWordLists(root);
+
+    // Word paragraph styles that map to editor blocks
+    const wordStyles = { MsoTitle: 'h1', MsoSubtitle: 'h2', MsoQuote: 'blockquote', MsoIntenseQuote: 'blockquote' };
+    Object.keys(wordStyles).forEach(className => {
+      root.querySelectorAll(`p.${className}`).forEach(paragraph => {
+        const replacement = document.createElement(wordStyles[className]);
+        replacement.append(...paragraph.childNodes);
+        paragraph.replaceWith(replacement);
+      });
+    });
+
+    // Google Docs wraps the whole selection in a bold element that isn't bold
+    root.querySelectorAll('b[id^="docs-internal-guid"]').forEach(element => element.replaceWith(...element.childNodes));
+    root.querySelectorAll('br.Apple-interchange-newline').forEach(element => element.remove());
+
+    // Black text and transparent or white highlights are defaults, not formatting
+    root.querySelectorAll('[style]').forEach(element => {
+      const color = element.style.color.replace(/\s/g, '').toLowerCase();
+      if (['black', '#000', '#000000', 'rgb(0,0,0)', 'windowtext', 'inherit', 'initial'].includes(color)) {
+        element.style.removeProperty('color');
+      }
+      const background = element.style.backgroundColor.replace(/\s/g, '').toLowerCase();
+      if (['transparent', 'white', '#fff', '#ffffff', 'rgb(255,255,255)', 'inherit', 'initial', 'window'].includes(background)) {
+        element.style.removeProperty('background-color');
+      }
+    });
+
+    return template.innerHTML;
+  }
+
+  /**
+   * Turns Word's list paragraphs into nested list elements
+   * Word marks list items with an mso-list style and writes the bullet or number as text.
+   * @param {DocumentFragment} root - Pasted content
+   */
+  convertWordLists(root) {
+    root.querySelectorAll('p[style*="mso-list"], p[class^="MsoListParagraph"]').forEach(paragraph => {
+      const style = paragraph.getAttribute('style') || '';
+      const level = parseInt((style.match(/level(\d+)/i) || [])[1], 10) || 1;
+
+      // The marker sits in a span styled mso-list:Ignore
+      const marker = Array.from(paragraph.querySelectorAll('span'))
+        .find(span => /mso-list:\s*ignore/i.test(span.getAttribute('style') || ''));
+      const markerText = marker ? marker.textContent.replace(/\s|\u00a0/g, '') : '';
+      if (marker) marker.remove();
+
+      let list = document.createElement(/^[\da-z]{1,4}[.)]$/i.test(markerText) ? 'ol' : 'ul');
+      const item = document.createElement('li');
+      item.append(...paragraph.childNodes);
+      list.appendChild(item);
+
+      // Deeper levels are wrapped once per level so the parser sees the nesting
+      for (let depth = 1; depth < level; depth++) {
+        const wrapper = document.createElement(list.nodeName.toLowerCase());
+        const wrapperItem = document.createElement('li');
+        wrapperItem.appendChild(list);
+        wrapper.appendChild(wrapperItem);
+        list = wrapper;
+      }
+
+      paragraph.replaceWith(list);
+    });
+  }
+
+  /**
+   * Gets the model range targeted by an input event
+   * @param {InputEvent} e - Input event
+   * @returns {Object|null} Selection { anchor, focus } or null
+   */
+  getTargetRange(e) {
+    const ranges = typeof e.getTargetRanges === 'function' ? e.getTargetRanges() : [];
+    if (!ranges.length) return null;
+
+    const range = ranges[0];
+    if (!this.editorElement.contains(range.startContainer) || !this.editorElement.contains(range.endContainer)) {
+      return null;
+    }
+
+    return {
+      anchor: this.domToPosition(range.startContainer, range.startOffset),
+      focus: this.domToPosition(range.endContainer, range.endOffset)
+    };
+  }
+
+  /**
+   * Reads the DOM selection as a model selection
+   * @returns {Object|null} Selection { anchor, focus } or null if it is outside the editor
+   */
+  readSelection() {
+    const selection = window.getSelection();
+    if (!selection || !selection.rangeCount) return null;
+
+    if (!this.editorElement.contains(selection.anchorNode) || !this.editorElement.contains(selection.focusNode)) {
+      return null;
+    }
+
+    return {
+      anchor: this.domToPosition(selection.anchorNode, selection.anchorOffset),
+      focus: this.domToPosition(selection.focusNode, selection.focusOffset)
+    };
+  }
+
+  /**
+   * Maps a DOM point inside the editor to a document position
+   * @param {Node} node - DOM node
+   * @param {number} offset - Offset within the node
+   * @returns {Object} Position { block, offset }
+   */
+  domToPosition(node, offset) {
+    const parsed = RichTextDocument.fromDOM(this.editorElement, {
+      preserveWhitespace: true,
+      track: { node, offset }
+    });
+
+    return this.doc.clampPosition(parsed.position);
+  }
+
+  /**
+   * Maps a document position to a DOM point
+   * @param {Object} position - Position { block, offset }
+   * @returns {Object} DOM point { node, offset }
+   */
+  positionToDOM(position) {
+    const element = this.editorElement.querySelector(`[data-block-index="${position.block}"]`);
+    if (!element) return { node: this.editorElement, offset: 0 };
+
+    const indexOf = (node) => Array.prototype.indexOf.call(node.parentNode.childNodes, node);
+
+    if (RichTextDocument.isAtomBlock(this.doc.blocks[position.block])) {
+      return { node: element.parentNode, offset: indexOf(element) + (position.offset > 0 ? 1 : 0) };
+    }
+
+    let remaining = position.offset;
+    let result = null;
+
+    const visit = (parent) => {
+      for (const child of Array.from(parent.childNodes)) {
+        if (result) return;
+
+        if (child.nodeType === 3) {
+          if (remaining <= child.nodeValue.length) {
+            result = { node: child, offset: remaining };
+            return;
+          }
+          remaining -= child.nodeValue.length;
+        } else if (child.nodeType === 1) {
+          if (child.hasAttribute('data-atom')) {
+            if (remaining === 0) {
+              result = { node: parent, offset: indexOf(child) };
+              return;
+            }
+            remaining--;
+            if (remaining === 0) {
+              result = { node: parent, offset: indexOf(child) + 1 };
+              return;
+            }
+          } else if (!/^(UL|OL)$/.test(child.nodeName)) {
+            // Nested lists belong to the following blocks
+            visit(child);
+          }
+        }
+      }
+    };
+    
+    visit(element);
+    return result || { node: element, offset: 0 };
+  }
+
+  /**
+   * Selects a model selection in the DOM
+   * @param {Object} selection - Selection { anchor, focus }
+   */
+  applySelection(selection) {
+    const domSelection = window.getSelection();
+    if (!domSelection) return;
+
+    const anchor = this.positionToDOM(selection.anchor);
+    const focus = this.positionToDOM(selection.focus);
+    domSelection.setBaseAndExtent(anchor.node, anchor.offset, focus.node, focus.offset);
+  }
+
+  /**
+   * Compares two selections
+   * @param {Object} a - First selection
+   * @param {Object} b - Second selection
+   * @returns {boolean} Whether both selections cover the same positions
+   */
+  isSameSelection(a, b) {
+    return this.comparePositions(a.anchor, b.anchor) === 0 && this.comparePositions(a.focus, b.focus) === 0;
+  }
+
+  /**
+   * Compares two document positions
+   * @param {Object} a - First position
+   * @param {Object} b - Second position
+   * @returns {number} Negative if a comes first, positive if b does, 0 if equal
+   */
+  comparePositions(a, b) {
+    return a.block - b.block || a.offset - b.offset;
+  }
+
+  /**
+   * Gets the ordered bounds of the current selection
+   * @param {Object} selection - Selection (defaults to the current one, or the end of the document)
+   * @returns {Object} { start, end, collapsed }
+   */
+  getRange(selection = this.selection) {
+    if (!selection) {
+      const end = this.doc.getEndPosition();
+      return { start: end, end, collapsed: true };
+    }
+
+    const anchor = this.doc.clampPosition(selection.anchor);
+    const focus = this.doc.clampPosition(selection.focus);
+    const order = this.comparePositions(anchor, focus);
+
+    return {
+      start: order <= 0 ? anchor : focus,
+      end: order <= 0 ? focus : anchor,
+      collapsed: order === 0
+    };
+  }
+
+  /**
+   * Runs an edit as a single transaction
+   * Operations passed to `apply` are applied to the document immediately; when the callback
+   * returns, they are recorded as one undo step, the editor re-renders once and listeners are notified.
+   * @param {Function} callback - Receives apply(op) and returns the selection after the edit
+   * @param {Object} options - Transaction options
+   * @param {string} options.mergeKey - Consecutive transactions with the same key join one undo step
+   * @param {string} options.origin - 'user', 'api' or 'history'
+   * @returns {boolean} Whether the document changed
+   */
+  transaction(callback, { mergeKey = null, origin = 'user' } = {}) {
+    const selectionBefore = this.selection;
+    const lengthBefore = this.doc.getTextLength();
+    const operations = [];
+    const apply = (op) => {
+      this.doc.apply(op);
+      operations.push(op);
+    };
+
+    const selectionAfter = callback(apply) || selectionBefore;
+
+    if (operations.length === 0) {
+      if (selectionAfter !== selectionBefore) {
+        this.selection = selectionAfter;
+        if (selectionAfter && this.hasFocus()) this.applySelection(selectionAfter);
+      }
+      return false;
+    }
+
+    // Edits by the user can't grow the document past maxLength
+    const length = this.doc.getTextLength();
+    if (origin === 'user' && this.options.maxLength && length > this.options.maxLength && length > lengthBefore) {
+      [...operations].reverse().forEach(op => this.doc.apply(RichTextDocument.invert(op)));
+      this.render(selectionBefore);
+      return false;
+    }
+
+    this.recordHistory(operations, selectionBefore, selectionAfter, mergeKey);
+    this.render(selectionAfter);
+    this.emitChange(operations, origin);
+
+    if (origin === 'user') {
+      this.updateSuggestions();
+    }
+
+    return true;
+  }
+
+  /**
+   * Records operations in the undo history
+   * @param {Array<Object>} operations - Applied operations
+   * @param {Object} selectionBefore - Selection before the edit
+   * @param {Object} selectionAfter - Selection after the edit
+   * @param {string} mergeKey - Merge key of the edit
+   */
+  recordHistory(operations, selectionBefore, selectionAfter, mergeKey) {
+    const now = Date.now();
+
+    // A new edit discards anything that could have been redone
+    this.history.splice(this.historyIndex + 1);
+
+    const last = this.history[this.historyIndex];
+    if (mergeKey && last && !this.historySealed && last.mergeKey === mergeKey &&
+        now - last.time < this.options.historyDelay) {
+      last.operations.push(...operations);
+      last.selectionAfter = selectionAfter;
+      last.time = now;
+    } else {
+      this.history.push({ operations, selectionBefore, selectionAfter, mergeKey, time: now });
+
+      // Limit history size
+      if (this.history.length > this.maxHistory) {
+        this.history.shift();
+      }
+      this.historyIndex = this.history.length - 1;
+    }
+
+    this.historySealed = false;
+  }
+
+  /**
+   * Ends the current undo step so the next edit starts a new one
+   */
+  saveHistory() {
+    this.historySealed = true;
+  }
+
+  /**
+   * Undo last action
+   * @returns {boolean} Whether undo was successful
+   */
+  undo() {
+    if (this.historyIndex < 0) return false;
+
+    const entry = this.history[this.historyIndex];
+    const operations = [...entry.operations].reverse().map(op => RichTextDocument.invert(op));
+    operations.forEach(op => this.doc.apply(op));
+    
+    this.historyIndex--;
+    this.historySealed = true;
+    this.render(entry.selectionBefore);
+    this.emitChange(operations, 'history');
+    
+    return true;
+  }
+
+  /**
+   * Redo last undone action
+   * @returns {boolean} Whether redo was successful
+   */
+  redo() {
+    if (this.historyIndex >= this.history.length - 1) return false;
+    
+    this.historyIndex++;
+    const entry = this.history[this.historyIndex];
+    entry.operations.forEach(op => this.doc.apply(op));
+
+    this.historySealed = true;
+    this.render(entry.selectionAfter);
+    this.emitChange(entry.operations, 'history');
+    
+    return true;
+  }
+
+  /**
+   * Renders the document into the editor
+   * @param {Object|null} selection - Selection to restore after rendering
+   */
+  render(selection = this.selection) {
+    this.editorElement.innerHTML = this.doc.toHTML({ editing: true });
+    this.editorElement.classList.toggle('is-empty', this.doc.isEmpty());
+
+    this.selection = selection ? {
+      anchor: this.doc.clampPosition(selection.anchor),
+      focus: this.doc.clampPosition(selection.focus)
+    } : null;
+
+    if (this.selection && this.hasFocus()) {
+      this.applySelection(this.selection);
+    }
+
+    this.handleContentChange();
+  }
+
+  /**
+   * Notifies listeners of a document change
+   * @param {Array<Object>} operations - Applied operations
+   * @param {string} source - Change origin
+   */
+  emitChange(operations, source) {
+    if (source !== 'remote') {
+      this.mapRemoteSelections(operations);
+      this.renderRemoteSelections();
+
+      if (this.collaboration) {
+        this.collaboration.sendOperations(operations);
+      }
+      if (this.options.onOperations) {
+        this.options.onOperations(operations, { source });
+      }
+    }
+
+    if (this.options.onTextChange) {
+      this.options.onTextChange({
+        content: this.getContent(),
+        text: this.getText(),
+        wordCount: this.getWordCount(),
+        characterCount: this.getCharacterCount(),
+        operations,
+        source
+      });
+    }
+  }
+
+  /**
+   * Reads changes the browser made to the DOM back into the model
+   */
+  syncFromDOM() {
+    const domSelection = window.getSelection();
+    const track = domSelection && domSelection.rangeCount && this.editorElement.contains(domSelection.focusNode) ?
+      { node: domSelection.focusNode, offset: domSelection.focusOffset } : null;
+
+    const parsed = RichTextDocument.fromDOM(this.editorElement, {
+      formats: this.options.formats,
+      preserveWhitespace: true,
+      track
+    });
+
+    const before = this.doc.blocks;
+    const after = parsed.blocks;
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    let start = 0;
+    while (start < before.length && start < after.length && same(before[start], after[start])) {
+      start++;
+    }
+
+    let end = 0;
+    while (end < before.length - start && end < after.length - start &&
+           same(before[before.length - 1 - end], after[after.length - 1 - end])) {
+      end++;
+    }
+
+    const removed = before.slice(start, before.length - end);
+    const inserted = after.slice(start, after.length - end);
+    const selection = parsed.position ? { anchor: parsed.position, focus: parsed.position } : this.selection;
+
+    if (removed.length === 0 && inserted.length === 0) {
+      this.selection = selection;
+      return;
+    }
+
+    this.transaction(apply => {
+      apply({
+        type: 'replaceBlocks',
+        index: start,
+        removed: RichTextDocument.clone(removed),
+        inserted: RichTextDocument.clone(inserted)
+      });
+      return selection;
+    }, { mergeKey: 'typing' });
+  }
+
+  /**
+   * Replaces blocks unless the replacement is identical
+   * @param {Function} apply - Transaction apply function
+   * @param {number} index - First block index
+   * @param {number} count - Number of blocks to remove
+   * @param {Array<Object>} inserted - Blocks to insert
+   */
+  replaceBlocks(apply, index, count, inserted) {
+    const removed = this.doc.blocks.slice(index, index + count);
+    if (JSON.stringify(removed) === JSON.stringify(inserted)) return;
+
+    apply({
+      type: 'replaceBlocks',
+      index,
+      removed: RichTextDocument.clone(removed),
+      inserted: RichTextDocument.clone(inserted)
+    });
+  }
+
+  /**
+   * Deletes the content between two positions
+   * @param {Function} apply - Transaction apply function
+   * @param {Object} start - Start position
+   * @param {Object} end - End position
+   * @returns {Object} Position where the content was removed
+   */
+  deleteRange(apply, start, end) {
+    if (this.comparePositions(start, end) >= 0) return start;
+
+    const first = this.doc.blocks[start.block];
+    const last = this.doc.blocks[end.block];
+
+    if (start.block === end.block && !RichTextDocument.isAtomBlock(first)) {
+      apply({
+        type: 'delete',
+        block: start.block,
+        offset: start.offset,
+        inlines: RichTextDocument.sliceContent(first.children, start.offset, end.offset)
+      });
+      return start;
+    }
+
+    // Atom blocks are kept whole when the range only touches their edge
+    const head = RichTextDocument.isAtomBlock(first) ?
+      (start.offset > 0 ? [first] : []) :
+      [{ ...first, children: RichTextDocument.sliceContent(first.children, 0, start.offset) }];
+    const tail = RichTextDocument.isAtomBlock(last) ?
+      (end.offset === 0 ? [last] : []) :
+      [{ ...last, children: RichTextDocument.sliceContent(last.children, end.offset) }];
+
+    let blocks = [...head, ...tail];
+    let position = start;
+
+    if (head.length && tail.length && !RichTextDocument.isAtomBlock(head[0]) && !RichTextDocument.isAtomBlock(tail[0])) {
+      blocks = [{ ...head[0], children: RichTextDocument.normalize([...head[0].children, ...tail[0].children]) }];
+    } else if (!head.length) {
+      position = { block: start.block, offset: 0 };
+    }
+
+    // The document always keeps at least one block
+    if (blocks.length === 0 && end.block - start.block + 1 === this.doc.blocks.length) {
+      blocks = [RichTextDocument.createBlock()];
+    }
+
+    this.replaceBlocks(apply, start.block, end.block - start.block + 1, blocks);
+    return position;
+  }
+
+  /**
+   * Inserts inline content at a position
+   * @param {Function} apply - Transaction apply function
+   * @param {Object} position - Insert position
+   * @param {Array<Object>} inlines - Content to insert
+   * @returns {Object} Position after the inserted content
+   */
+  insertInlines(apply, position, inlines) {
+    let index = position.block;
+    let offset = position.offset;
+    let block = this.doc.blocks[index];
+
+    // Text can't go into atom blocks, so it starts a new paragraph next to them
+    if (RichTextDocument.isAtomBlock(block)) {
+      index = offset > 0 ? index + 1 : index;
+      this.replaceBlocks(apply, index, 0, [RichTextDocument.createBlock()]);
+      offset = 0;
+      block = this.doc.blocks[index];
+    }
+
+    let content = inlines;
+    if (block.type === 'code-block') {
+      content = [RichTextDocument.createText(RichTextDocument.inlineText(inlines))];
+    }
+
+    content = RichTextDocument.normalize(content);
+    if (content.length === 0) return { block: index, offset };
+
+    apply({ type: 'insert', block: index, offset, inlines: content });
+    return { block: index, offset: offset + RichTextDocument.contentLength(content) };
+  }
+
+  /**
+   * Replaces the selection with inline content
+   * @param {Array<Object>} inlines - Content to insert
+   * @param {Object} options - Transaction options
+   * @returns {boolean} Whether the document changed
+   */
+  replaceSelection(inlines, options = {}) {
+    const { start, end } = this.getRange();
+
+    const changed = this.transaction(apply => {
+      const position = this.insertInlines(apply, this.deleteRange(apply, start, end), inlines);
+      return { anchor: position, focus: position };
+    }, options);
+
+    this.pendingMarks = null;
+    return changed;
+  }
+
+  /**
+   * Splits the current block at the selection (Enter)
+   * @returns {boolean} Whether the document changed
+   */
+  splitBlock() {
+    const { start, end } = this.getRange();
+    this.saveHistory();
+
+    return this.transaction(apply => {
+      const position = this.deleteRange(apply, start, end);
+      const index = position.block;
+      const block = this.doc.blocks[index];
+      const length = this.doc.getBlockLength(index);
+
+      if (RichTextDocument.isAtomBlock(block)) {
+        const target = position.offset > 0 ? index + 1 : index;
+        this.replaceBlocks(apply, target, 0, [RichTextDocument.createBlock()]);
+        const next = { block: position.offset > 0 ? target : target + 1, offset: 0 };
+        return { anchor: next, focus: next };
+      }
+
+      if (block.type === 'code-block') {
+        const next = this.insertInlines(apply, position, [RichTextDocument.createText('\n')]);
+        return { anchor: next, focus: next };
+      }
+
+      // Enter in an empty list item or quote leaves it
+      if (length === 0 && ['list-item', 'blockquote'].includes(block.type)) {
+        const replacement = block.type === 'list-item' && block.attrs.indent > 0 ?
+          { ...block, attrs: { ...block.attrs, indent: block.attrs.indent - 1 } } :
+          RichTextDocument.createBlock('paragraph', block.attrs.align ? { align: block.attrs.align } : {});
+        this.replaceBlocks(apply, index, 1, [replacement]);
+        return { anchor: position, focus: position };
+      }
+
+      const head = { ...block, children: RichTextDocument.sliceContent(block.children, 0, position.offset) };
+      const tail = { ...block, children: RichTextDocument.sliceContent(block.children, position.offset) };
+
+      // A heading ends at Enter; the next line is a normal paragraph, still quoted in a quote
+      if (block.type === 'heading' && position.offset === length) {
+        tail.type = block.attrs.quote ? 'blockquote' : 'paragraph';
+        tail.attrs = {};
+      }
+
+      this.replaceBlocks(apply, index, 1, [head, tail]);
+      const next = { block: index + 1, offset: 0 };
+      return { anchor: next, focus: next };
+    });
+  }
+
+  /**
+   * Inserts a line break within the current block (Shift+Enter)
+   * @returns {boolean} Whether the document changed
+   */
+  insertLineBreak() {
+    const { start } = this.getRange();
+    const block = this.doc.blocks[start.block];
+    const inline = block.type === 'code-block' ? RichTextDocument.createText('\n') : { type: 'break' };
+
+    return this.replaceSelection([inline]);
+  }
+
+  /**
+   * Deletes content for a delete* input type
+   * @param {string} inputType - Input type, e.g. 'deleteContentBackward' or 'deleteWordForward'
+   * @param {Object|null} targetRange - Range the browser intends to delete
+   * @returns {boolean} Whether the document changed
+   */
+  deleteContent(inputType, targetRange = null) {
+    let { start, end, collapsed } = this.getRange();
+    const backward = inputType.includes('Backward') || inputType === 'deleteByCut' || inputType === 'deleteByDrag';
+
+    if (collapsed && (inputType === 'deleteByDrag' || inputType === 'deleteByCut') && targetRange) {
+      ({ start, end, collapsed } = this.getRange(targetRange));
+    }
+
+    if (collapsed) {
+      const length = this.doc.getBlockLength(start.block);
+
+      if (backward && start.offset === 0) return this.joinBackward(start.block);
+      if (!backward && start.offset === length) return this.joinForward(start.block);
+
+      const target = targetRange && this.getRange(targetRange);
+      if (target && !target.collapsed && target.start.block === target.end.block) {
+        ({ start, end } = target);
+      } else {
+        ({ start, end } = this.getDeletionExtent(inputType, start));
+      }
+    }
+
+    return this.transaction(apply => {
+      const position = this.deleteRange(apply, start, end);
+      return { anchor: position, focus: position };
+    }, { mergeKey: collapsed ? inputType : null });
+  }
+
+  /**
+   * Computes what a collapsed delete removes when the browser doesn't say
+   * @param {string} inputType - Input type
+   * @param {Object} position - Caret position
+   * @returns {Object} { start, end }
+   */
+  getDeletionExtent(inputType, position) {
+    const block = this.doc.blocks[position.block];
+    // Atoms stand in as one placeholder character so offsets line up
+    const text = block.children.map(inline => (inline.type === 'text' ? inline.text : '\uFFFC')).join('');
+    const before = text.slice(0, position.offset);
+    const after = text.slice(position.offset);
+    const backward = inputType.includes('Backward');
+    let length;
+
+    if (inputType.includes('Line')) {
+      length = backward ? before.length : after.length;
+    } else if (inputType.includes('Word')) {
+      const match = backward ?
+        before.match(/(?:[\p{L}\p{N}_]+|[^\p{L}\p{N}_\s]+)?\s*$/u) :
+        after.match(/^\s*(?:[\p{L}\p{N}_]+|[^\p{L}\p{N}_\s]+)?/u);
+      length = Math.max(match[0].length, 1);
+    } else {
+      // Don't split surrogate pairs
+      const code = backward ? before.charCodeAt(before.length - 1) : after.charCodeAt(0);
+      const surrogate = backward ? code >= 0xDC00 && code <= 0xDFFF : code >= 0xD800 && code <= 0xDBFF;
+      length = surrogate ? 2 : 1;
+    }
+
+    return backward ?
+      { start: { block: position.block, offset: position.offset - length }, end: position } :
+      { start: position, end: { block: position.block, offset: position.offset + length } };
+  }
+
+  /**
+   * Handles Backspace at the start of a block
+   * @param {number} index - Block index
+   * @returns {boolean} Whether the document changed
+   */
+  joinBackward(index) {
+    const block = this.doc.blocks[index];
+
+    return this.transaction(apply => {
+      const position = { block: index, offset: 0 };
+
+      // Formatted blocks turn back into paragraphs before they merge
+      if (block.type === 'list-item' && block.attrs.indent > 0) {
+        this.replaceBlocks(apply, index, 1, [{ ...block, attrs: { ...block.attrs, indent: block.attrs.indent - 1 } }]);
+        return { anchor: position, focus: position };
+      }
+      if (['list-item', 'heading', 'blockquote', 'code-block'].includes(block.type)) {
+        this.replaceBlocks(apply, index, 1, [this.convertBlock(block, 'paragraph')]);
+        return { anchor: position, focus: position };
+      }
+      if (index === 0) return null;
+
+      const previous = this.doc.blocks[index - 1];
+      const previousEnd = { block: index - 1, offset: this.doc.getBlockLength(index - 1) };
+
+      if (RichTextDocument.isAtomBlock(previous)) {
+        this.replaceBlocks(apply, index - 1, 1, []);
+        const next = { block: index - 1, offset: 0 };
+        return { anchor: next, focus: next };
+      }
+      if (RichTextDocument.isAtomBlock(block)) {
+        return { anchor: previousEnd, focus: previousEnd };
+      }
+
+      const next = this.deleteRange(apply, previousEnd, position);
+      return { anchor: next, focus: next };
+    }, { mergeKey: 'deleteContentBackward' });
+  }
+
+  /**
+   * Handles Delete at the end of a block
+   * @param {number} index - Block index
+   * @returns {boolean} Whether the document changed
+   */
+  joinForward(index) {
+    if (index >= this.doc.blocks.length - 1) return false;
+
+    return this.transaction(apply => {
+      const position = { block: index, offset: this.doc.getBlockLength(index) };
+
+      if (RichTextDocument.isAtomBlock(this.doc.blocks[index + 1])) {
+        this.replaceBlocks(apply, index + 1, 1, []);
+      } else if (!RichTextDocument.isAtomBlock(this.doc.blocks[index])) {
+        this.deleteRange(apply, position, { block: index + 1, offset: 0 });
+      }
+
+      return { anchor: position, focus: position };
+    }, { mergeKey: 'deleteContentForward' });
+  }
+
+  /**
+   * Converts a block to another type, keeping its content
+   * @param {Object} block - Block
+   * @param {string} type - New type
+   * @param {Object} attrs - Attributes for the new type
+   * @returns {Object} New block
    */
-  constructor(container, options = {}) {
-    this.container = typeof container === 'string' ? 
-      document.querySelector(container) : container;
-    
-    if (!this.container) {
-      throw new Error('RichTextEditor: Container element not found');
+  convertBlock(block, type, attrs = {}) {
+    const align = block.attrs.align && type !== 'code-block' ? { align: block.attrs.align } : {};
+    let children = block.children;
+
+    if (type === 'code-block') {
+      children = RichTextDocument.normalize([RichTextDocument.createText(RichTextDocument.inlineText(children))]);
+    } else if (block.type === 'code-block') {
+      // Newlines in code become line breaks
+      children = [];
+      RichTextDocument.inlineText(block.children).split('\n').forEach((line, i) => {
+        if (i > 0) children.push({ type: 'break' });
+        if (line) children.push(RichTextDocument.createText(line));
+      });
     }
 
-    this.options = {
-      // Toolbar configuration
-      toolbar: [
-        ['bold', 'italic', 'underline', 'strike'],
-        ['blockquote', 'code-block'],
-        ['header', 'list'],
-        ['link', 'image', 'video'],
-        ['clean']
-      ],
-      
-      // Content configuration
-      placeholder: 'Compose your content here...',
-      theme: 'snow', // 'snow' or 'bubble'
-      readOnly: false,
-      maxLength: null,
-      
-      // Formatting options
-      formats: [
-        'bold', 'italic', 'underline', 'strike',
-        'header', 'list', 'bullet', 'ordered',
-        'link', 'image', 'video', 'blockquote', 'code', 'code-block',
-        'color', 'background', 'align', 'indent'
-      ],
-      
-      // Event callbacks
-      onTextChange: null,
-      onSelectionChange: null,
-      onFocus: null,
-      onBlur: null,
-      ...options
+    return RichTextDocument.createBlock(type, { ...align, ...attrs }, RichTextDocument.clone(children));
+  }
+
+  /**
+   * Maps format names and execCommand aliases to editor formats
+   * @param {string} format - Format name
+   * @returns {string} Editor format
+   */
+  normalizeFormat(format) {
+    const aliases = {
+      createLink: 'link',
+      unlink: 'link',
+      insertImage: 'image',
+      removeFormat: 'clean',
+      strikeThrough: 'strike',
+      strikethrough: 'strike',
+      foreColor: 'color',
+      hiliteColor: 'background',
+      backColor: 'background',
+      insertUnorderedList: 'bullet',
+      insertOrderedList: 'ordered',
+      header: 'header',
+      heading: 'header'
     };
 
-    this.editor = null;
-    this.toolbar = null;
-    this.modules = {};
-    this.history = [];
-    this.historyIndex = -1;
-    this.maxHistory = 100;
+    return aliases[format] || format;
+  }
+
+  /**
+   * Checks whether a format is enabled in options.formats
+   * @param {string} format - Format name
+   * @returns {boolean} Whether the format is allowed
+   */
+  isFormatAllowed(format) {
+    if (['clean', 'undo', 'redo'].includes(format)) return true;
+    if (format === 'bullet' || format === 'ordered') {
+      return this.options.formats.includes('list') || this.options.formats.includes(format);
+    }
+    return this.options.formats.includes(format);
+  }
+
+  /**
+   * Formats text with specified formatting
+   * @param {string} format - Format to apply
+   * @param {any} value - Value for the format (optional)
+   * @returns {boolean} Whether the document changed
+   */
+  formatText(format, value = null) {
+    const name = this.normalizeFormat(format);
+    if (!this.isFormatAllowed(name)) return false;
+
+    switch (name) {
+      case 'bold':
+      case 'italic':
+      case 'underline':
+      case 'strike':
+      case 'code':
+        return this.toggleMark(name);
+      case 'link':
+        return this.setMark('link', value ? RichTextDocument.sanitizeUrl(value) || null : null);
+      case 'color':
+      case 'background':
+        return this.setMark(name, value ? RichTextDocument.sanitizeColor(value) || null : null);
+      case 'header':
+        return this.setBlockType('heading', { level: parseInt(value, 10) || 2 });
+      case 'blockquote':
+      case 'code-block':
+        return this.setBlockType(name);
+      case 'list':
+        return this.toggleList(value === 'ordered' ? 'ordered' : 'bullet');
+      case 'bullet':
+      case 'ordered':
+        return this.toggleList(name);
+      case 'align':
+        return this.setBlockAttrs({ align: value || null });
+      case 'indent':
+        return this.indent(value === '-1' || value === -1 || value === 'outdent' ? -1 : 1);
+      case 'image':
+        return this.insertImage(value);
+      case 'video':
+        return this.insertVideo(value);
+      case 'clean':
+        return this.clean();
+      case 'undo':
+        return this.undo();
+      case 'redo':
+        return this.redo();
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Gets the marks that apply to text typed at a position
+   * @param {Object} position - Position
+   * @returns {Object} Marks
+   */
+  getMarksAt(position) {
+    const block = this.doc.blocks[position.block];
+    if (!block || RichTextDocument.isAtomBlock(block) || block.type === 'code-block') return {};
+
+    const before = RichTextDocument.sliceContent(block.children, position.offset - 1, position.offset)[0];
+    const after = RichTextDocument.sliceContent(block.children, position.offset, position.offset + 1)[0];
+    const source = before || after;
+    const marks = source && source.type === 'text' ? { ...source.marks } : {};
+
+    // Typing at the edge of a link doesn't extend it
+    if (marks.link && !(before && after && after.marks && after.marks.link === marks.link)) {
+      delete marks.link;
+      delete marks.linkTitle;
+    }
+
+    return marks;
+  }
+
+  /**
+   * Gets the marks shared by all text in the selection
+   * @returns {Object} Marks
+   */
+  getFormat() {
+    const { start, end, collapsed } = this.getRange();
+    if (collapsed) return this.pendingMarks || this.getMarksAt(start);
+
+    let common = null;
+    for (let index = start.block; index <= end.block; index++) {
+      const block = this.doc.blocks[index];
+      const from = index === start.block ? start.offset : 0;
+      const to = index === end.block ? end.offset : Infinity;
+
+      RichTextDocument.sliceContent(block.children, from, to).forEach(inline => {
+        if (inline.type !== 'text') return;
+        if (!common) {
+          common = { ...inline.marks };
+          return;
+        }
+        Object.keys(common).forEach(mark => {
+          if (common[mark] !== inline.marks[mark]) delete common[mark];
+        });
+      });
+    }
+
+    return common || {};
+  }
+
+  /**
+   * Toggles a boolean mark on the selection
+   * @param {string} mark - Mark name
+   * @returns {boolean} Whether the document changed
+   */
+  toggleMark(mark) {
+    const active = Boolean(this.getFormat()[mark]);
+    return this.setMark(mark, active ? null : true);
+  }
+
+  /**
+   * Sets or removes a mark on the selection
+   * With a collapsed selection the mark applies to the next typed text.
+   * @param {string} mark - Mark name
+   * @param {any} value - Mark value, or null to remove it
+   * @returns {boolean} Whether the document changed
+   */
+  setMark(mark, value) {
+    const { start, end, collapsed } = this.getRange();
+
+    if (collapsed) {
+      this.pendingMarks = { ...(this.pendingMarks || this.getMarksAt(start)) };
+      if (value) {
+        this.pendingMarks[mark] = value;
+      } else {
+        delete this.pendingMarks[mark];
+      }
+      // A link title belongs to the target it was written for
+      if (mark === 'link') delete this.pendingMarks.linkTitle;
+      return false;
+    }
+
+    this.saveHistory();
     
-    this.init();
+    return this.transaction(apply => {
+      for (let index = start.block; index <= end.block; index++) {
+        const block = this.doc.blocks[index];
+        if (RichTextDocument.isAtomBlock(block) || block.type === 'code-block') continue;
+    
+        const from = index === start.block ? start.offset : 0;
+        const to = index === end.block ? end.offset : this.doc.getBlockLength(index);
+        const slice = RichTextDocument.sliceContent(block.children, from, to);
+        const changed = slice.map(inline => {
+          if (inline.type !== 'text') return inline;
+          const marks = { ...inline.marks };
+          if (value) {
+            marks[mark] = value;
+          } else {
+            delete marks[mark];
+          }
+          if (mark === 'link') delete marks.linkTitle;
+          return RichTextDocument.createText(inline.text, marks);
+        });
+    
+        if (JSON.stringify(RichTextDocument.normalize(slice)) === JSON.stringify(RichTextDocument.normalize(changed))) continue;
+
+        apply({ type: 'delete', block: index, offset: from, inlines: slice });
+        apply({ type: 'insert', block: index, offset: from, inlines: RichTextDocument.normalize(changed) });
+      }
+
+      return this.selection;
+    });
+  }
+
+  /**
+   * Gets the indexes of the blocks touched by the selection
+   * @returns {Array<number>} Block indexes
+   */
+  getSelectedBlockIndexes() {
+    const { start, end } = this.getRange();
+    const indexes = [];
+
+    for (let index = start.block; index <= end.block; index++) {
+      indexes.push(index);
+    }
+
+    return indexes;
+  }
+
+  /**
+   * Updates the selected blocks
+   * @param {Function} update - Receives a block and returns its replacement
+   * @returns {boolean} Whether the document changed
+   */
+  updateSelectedBlocks(update) {
+    const indexes = this.getSelectedBlockIndexes();
+    this.saveHistory();
+
+    return this.transaction(apply => {
+      indexes.forEach(index => {
+        const block = this.doc.blocks[index];
+        if (RichTextDocument.isAtomBlock(block)) return;
+        this.replaceBlocks(apply, index, 1, [update(block)]);
+      });
+      return this.selection;
+    });
+  }
+
+  /**
+   * Toggles a block type on the selected blocks
+   * @param {string} type - 'heading', 'blockquote' or 'code-block'
+   * @param {Object} attrs - Block attributes (heading level)
+   * @returns {boolean} Whether the document changed
+   */
+  setBlockType(type, attrs = {}) {
+    const blocks = this.getSelectedBlockIndexes()
+      .map(index => this.doc.blocks[index])
+      .filter(block => !RichTextDocument.isAtomBlock(block));
+    const active = blocks.length > 0 && blocks.every(block =>
+      block.type === type && (type !== 'heading' || block.attrs.level === attrs.level));
+
+    return this.updateSelectedBlocks(block =>
+      (active ? this.convertBlock(block, 'paragraph') : this.convertBlock(block, type, attrs)));
+  }
+
+  /**
+   * Toggles a list type on the selected blocks
+   * @param {string} listType - 'bullet' or 'ordered'
+   * @returns {boolean} Whether the document changed
+   */
+  toggleList(listType) {
+    const blocks = this.getSelectedBlockIndexes()
+      .map(index => this.doc.blocks[index])
+      .filter(block => !RichTextDocument.isAtomBlock(block));
+    const active = blocks.length > 0 && blocks.every(block => block.type === 'list-item' && block.attrs.listType === listType);
+
+    return this.updateSelectedBlocks(block => {
+      if (active) return this.convertBlock(block, 'paragraph');
+      return this.convertBlock(block, 'list-item', { listType, indent: block.attrs.indent || 0 });
+    });
+  }
+
+  /**
+   * Sets attributes on the selected blocks
+   * @param {Object} attrs - Attributes; null values remove the attribute
+   * @returns {boolean} Whether the document changed
+   */
+  setBlockAttrs(attrs) {
+    return this.updateSelectedBlocks(block => {
+      const next = { ...block.attrs, ...attrs };
+      Object.keys(next).forEach(key => {
+        if (next[key] === null || next[key] === undefined) delete next[key];
+      });
+      return { ...block, attrs: next };
+    });
+  }
+
+  /**
+   * Changes the nesting level of the selected list items
+   * @param {number} direction - 1 to indent, -1 to outdent
+   * @returns {boolean} Whether the document changed
+   */
+  indent(direction = 1) {
+    if (!this.isFormatAllowed('indent')) return false;
+
+    return this.updateSelectedBlocks(block => {
+      if (block.type !== 'list-item') return block;
+      const indent = Math.min(Math.max((block.attrs.indent || 0) + direction, 0), 8);
+      return { ...block, attrs: { ...block.attrs, indent } };
+    });
+  }
+
+  /**
+   * Inserts a link
+   * @param {string} url - Link URL (prompts when omitted)
+   * @returns {boolean} Whether the document changed
+   */
+  insertLink(url) {
+    const href = RichTextDocument.sanitizeUrl(url === undefined ? prompt('Enter URL:', 'https://') : url);
+    if (!href || href === 'https://') return false;
+
+    // Without a selection the URL itself becomes the link text
+    if (this.getRange().collapsed) {
+      const marks = { ...(this.pendingMarks || this.getMarksAt(this.getRange().start)), link: href };
+      return this.replaceSelection([RichTextDocument.createText(href, marks)]);
+    }
+
+    return this.formatText('link', href);
+  }
+
+  /**
+   * Inserts an image
+   * @param {string} url - Image URL (prompts when omitted)
+   * @returns {boolean} Whether the document changed
+   */
+  insertImage(url) {
+    if (!this.isFormatAllowed('image')) return false;
+
+    const src = RichTextDocument.sanitizeUrl(url === undefined || url === null ? prompt('Enter image URL:', 'https://') : url, true);
+    if (!src || src === 'https://') return false;
+
+    this.saveHistory();
+    return this.replaceSelection([{ type: 'image', attrs: { src, alt: '' } }]);
+  }
+
+  /**
+   * Inserts a video block after the current block
+   * @param {string} url - Video URL (prompts when omitted)
+   * @returns {boolean} Whether the document changed
+   */
+  insertVideo(url) {
+    if (!this.isFormatAllowed('video')) return false;
+
+    const src = RichTextDocument.sanitizeUrl(url === undefined || url === null ? prompt('Enter video URL:', 'https://') : url);
+    if (!src || src === 'https://') return false;
+
+    return this.insertFragment([RichTextDocument.createBlock('video', { src })]);
+  }
+
+  /**
+   * Inserts blocks at the selection
+   * The first and last blocks merge into the blocks around the selection.
+   * @param {Array<Object>} blocks - Blocks to insert
+   * @returns {boolean} Whether the document changed
+   */
+  insertFragment(blocks) {
+    if (!blocks.length) return false;
+
+    const { start, end } = this.getRange();
+    this.saveHistory();
+
+    const changed = this.transaction(apply => {
+      const position = this.deleteRange(apply, start, end);
+      const index = position.block;
+      const block = this.doc.blocks[index];
+      const fragment = RichTextDocument.clone(blocks);
+
+      // Code keeps everything as plain text
+      if (block.type === 'code-block') {
+        const text = fragment.map(item => RichTextDocument.inlineText(item.children)).join('\n');
+        const next = this.insertInlines(apply, position, [RichTextDocument.createText(text)]);
+        return { anchor: next, focus: next };
+      }
+
+      const single = fragment.length === 1 && !RichTextDocument.isAtomBlock(fragment[0]);
+      if (single && (fragment[0].type === 'paragraph' || this.doc.getBlockLength(index) > 0)) {
+        const next = this.insertInlines(apply, position, fragment[0].children);
+        return { anchor: next, focus: next };
+      }
+
+      if (RichTextDocument.isAtomBlock(block)) {
+        const target = position.offset > 0 ? index + 1 : index;
+        this.replaceBlocks(apply, target, 0, fragment);
+        const last = fragment[fragment.length - 1];
+        const next = { block: target + fragment.length - 1, offset: RichTextDocument.isAtomBlock(last) ? 1 : this.doc.getBlockLength(target + fragment.length - 1) };
+        return { anchor: next, focus: next };
+      }
+
+      let head = { ...block, children: RichTextDocument.sliceContent(block.children, 0, position.offset) };
+      let tail = { ...block, children: RichTextDocument.sliceContent(block.children, position.offset) };
+      const result = [];
+      let caret = null;
+
+      const first = fragment[0];
+      if (!RichTextDocument.isAtomBlock(first)) {
+        // An empty block takes the type of what is pasted into it
+        head = head.children.length === 0 ?
+          { ...first } :
+          { ...head, children: RichTextDocument.normalize([...head.children, ...first.children]) };
+        fragment.shift();
+      }
+      result.push(head);
+
+      const last = fragment[fragment.length - 1];
+      if (last && !RichTextDocument.isAtomBlock(last)) {
+        fragment.pop();
+        caret = RichTextDocument.contentLength(last.children);
+        tail = { ...last, children: RichTextDocument.normalize([...last.children, ...tail.children]) };
+      }
+
+      if (head.children.length === 0 && RichTextDocument.isAtomBlock(first)) {
+        result.pop();
+      }
+
+      result.push(...fragment, tail);
+      this.replaceBlocks(apply, index, 1, result);
+
+      const next = caret === null ?
+        { block: index + result.length - 1, offset: 0 } :
+        { block: index + result.length - 1, offset: caret };
+      return { anchor: next, focus: next };
+    });
+
+    this.pendingMarks = null;
+    return changed;
+  }
+
+  /**
+   * Cleans formatting from selected text
+   * @returns {boolean} Whether the document changed
+   */
+  clean() {
+    const { start, end, collapsed } = this.getRange();
+
+    if (collapsed) {
+      this.pendingMarks = {};
+      return false;
+    }
+
+    this.saveHistory();
+
+    return this.transaction(apply => {
+      for (let index = start.block; index <= end.block; index++) {
+        const block = this.doc.blocks[index];
+        if (RichTextDocument.isAtomBlock(block)) continue;
+
+        const from = index === start.block ? start.offset : 0;
+        const to = index === end.block ? end.offset : this.doc.getBlockLength(index);
+        const slice = RichTextDocument.sliceContent(block.children, from, to);
+        const plain = slice.map(inline => (inline.type === 'text' ? RichTextDocument.createText(inline.text) : inline));
+
+        if (slice.every(inline => inline.type !== 'text' || Object.keys(inline.marks).length === 0)) continue;
+
+        apply({ type: 'delete', block: index, offset: from, inlines: slice });
+        apply({ type: 'insert', block: index, offset: from, inlines: RichTextDocument.normalize(plain) });
+      }
+
+      return this.selection;
+    });
+  }
+
+  /**
+   * Replaces the whole document
+   * @param {RichTextDocument} doc - New document
+   * @param {string} origin - Change origin
+   * @returns {boolean} Whether the document changed
+   */
+  replaceDocument(doc, origin = 'api') {
+    this.saveHistory();
+
+    const changed = this.transaction(apply => {
+      this.replaceBlocks(apply, 0, this.doc.blocks.length, doc.blocks);
+      const start = { block: 0, offset: 0 };
+      return { anchor: start, focus: start };
+    }, { origin });
+
+    this.saveHistory();
+    return changed;
+  }
+
+  /**
+   * Sets editor content
+   * @param {string} html - HTML content to set
+   */
+  setContent(html) {
+    this.replaceDocument(RichTextDocument.fromHTML(html || '', { formats: this.options.formats }));
+  }
+
+  /**
+   * Gets editor content
+   * @returns {string} Editor content as sanitized HTML
+   */
+  getContent() {
+    return this.doc.toHTML();
+  }
+
+  /**
+   * Sets editor text content only
+   * @param {string} text - Text content to set
+   */
+  setText(text) {
+    this.replaceDocument(new RichTextDocument(this.textToBlocks(text)));
+  }
+
+  /**
+   * Gets editor text content only
+   * @returns {string} Editor text content
+   */
+  getText() {
+    return this.doc.getText();
+  }
+
+  /**
+   * Sets editor content from Markdown
+   * @param {string} markdown - Markdown content to set
+   */
+  setMarkdown(markdown) {
+    this.replaceDocument(RichTextDocument.fromMarkdown(markdown, { formats: this.options.formats }));
+  }
+
+  /**
+   * Gets editor content as Markdown
+   * @returns {string} Editor content as Markdown
+   */
+  getMarkdown() {
+    return this.doc.toMarkdown();
   }
 
   /**
-   * Initializes the rich text editor
+   * Converts plain text to paragraphs, one per line
+   * @param {string} text - Text
+   * @returns {Array<Object>} Blocks
    */
-  init() {
-    // Create editor structure
-    this.createEditorStructure();
-    
-    // Initialize Quill-like functionality
-    this.initializeEditor();
-    
-    // Setup event listeners
-    this.bindEvents();
-    
-    // Add necessary CSS
-    this.addDynamicStyles();
+  textToBlocks(text) {
+    return String(text || '').replace(/\r\n?/g, '\n').split('\n').map(line =>
+      RichTextDocument.createBlock('paragraph', {}, line ? [RichTextDocument.createText(line)] : []));
   }
 
   /**
-   * Creates the editor structure
+   * Gets current selection info
+   * @returns {Object} Selection information
    */
-  createEditorStructure() {
-    // Create toolbar if needed
-    if (this.options.toolbar) {
-      this.createToolbar();
-    }
-    
-    // Create editor content area
-    this.editorElement = document.createElement('div');
-    this.editorElement.classList.add('rich-text-editor-content');
-    this.editorElement.setAttribute('contenteditable', !this.options.readOnly);
-    this.editorElement.setAttribute('spellcheck', 'true');
-    this.editorElement.setAttribute('aria-label', 'Rich text editor');
-    this.editorElement.setAttribute('role', 'textbox');
+  getSelection() {
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return null;
     
-    // Set placeholder if provided
-    if (this.options.placeholder) {
-      this.editorElement.setAttribute('data-placeholder', this.options.placeholder);
+    const range = selection.getRangeAt(0);
+    const { start, end } = this.getRange();
+
+    return {
+      text: selection.toString(),
+      range: range,
+      startOffset: range.startOffset,
+      endOffset: range.endOffset,
+      isCollapsed: selection.isCollapsed,
+      start,
+      end
+    };
+  }
+
+  /**
+   * Gets the configured suggestion sources
+   * @returns {Array<Object>} Sources with their kind and defaults applied
+   */
+  getSuggestionSources() {
+    const sources = [];
+
+    if (this.options.mentions && this.isFormatAllowed('mention')) {
+      sources.push({ kind: 'mention', trigger: '@', minChars: 0, maxSuggestions: 8, ...this.options.mentions });
     }
-    
-    // Add to container
-    this.container.appendChild(this.editorElement);
-    
-    // Create status bar if needed
-    if (this.options.showStatusBar) {
-      this.createStatusBar();
+    if (this.options.commands) {
+      sources.push({ kind: 'command', trigger: '/', minChars: 0, maxSuggestions: 8, ...this.options.commands });
     }
+
+    return sources;
   }
 
   /**
-   * Creates the toolbar
+   * Gets the display label of a suggestion
+   * @param {Object|string} item - Suggestion item
+   * @returns {string} Label
    */
-  createToolbar() {
-    this.toolbar = document.createElement('div');
-    this.toolbar.classList.add('rich-text-toolbar');
-    this.toolbar.setAttribute('role', 'toolbar');
-    
-    // Create toolbar buttons based on options
-    this.options.toolbar.forEach(toolbarGroup => {
-      const group = document.createElement('div');
-      group.classList.add('toolbar-group');
-      
-      toolbarGroup.forEach(buttonType => {
-        const button = this.createToolbarButton(buttonType);
-        if (button) {
-          group.appendChild(button);
-        }
-      });
-      
-      this.toolbar.appendChild(group);
-    });
-    
-    this.container.insertBefore(this.toolbar, this.editorElement);
+  getSuggestionLabel(item) {
+    return String(typeof item === 'string' ? item : item.label || item.name || item.value || '');
   }
 
   /**
-   * Creates a toolbar button
-   * @param {string} type - Type of button to create
-   * @returns {HTMLElement} Toolbar button element
+   * Opens, updates or closes the suggestion list for the text before the caret
+   * A trigger counts when it starts a word and the query after it has no spaces.
    */
-  createToolbarButton(type) {
-    const button = document.createElement('button');
-    button.classList.add('toolbar-button');
-    button.setAttribute('type', 'button');
-    button.setAttribute('aria-label', this.getButtonLabel(type));
-    
-    // Add button-specific classes and functionality
-    button.classList.add(`toolbar-btn-${type}`);
-    
-    switch (type) {
-      case 'bold':
-        button.innerHTML = '<strong>B</strong>';
-        button.addEventListener('click', () => this.formatText('bold'));
-        break;
-      case 'italic':
-        button.innerHTML = '<em>I</em>';
-        button.addEventListener('click', () => this.formatText('italic'));
-        break;
-      case 'underline':
-        button.innerHTML = '<u>U</u>';
-        button.addEventListener('click', () => this.formatText('underline'));
-        break;
-      case 'strike':
-        button.innerHTML = '<s>S</s>';
-        button.addEventListener('click', () => this.formatText('strike'));
-        break;
-      case 'link':
-        button.innerHTML = '🔗';
-        button.addEventListener('click', () => this.insertLink());
-        break;
-      case 'image':
-        button.innerHTML = '🖼️';
-        button.addEventListener('click', () => this.insertImage());
-        break;
-      case 'list':
-        button.innerHTML = '•';
-        button.addEventListener('click', () => this.formatText('list', 'bullet'));
-        break;
-      case 'ordered':
-        button.innerHTML = '1.';
-        button.addEventListener('click', () => this.formatText('list', 'ordered'));
-        break;
-      case 'blockquote':
-        button.innerHTML = '”';
-        button.addEventListener('click', () => this.formatText('blockquote'));
-        break;
-      case 'code':
-        button.innerHTML = '{}';
-        button.addEventListener('click', () => this.formatText('code'));
-        break;
-      case 'clean':
-        button.innerHTML = '⌫';
-        button.addEventListener('click', () => this.clean());
-        break;
-      default:
-        button.textContent = type.charAt(0).toUpperCase();
-        button.addEventListener('click', () => this.formatText(type));
+  updateSuggestions() {
+    const sources = this.getSuggestionSources();
+    if (!sources.length) return;
+
+    const range = this.getRange();
+    const block = this.doc.blocks[range.start.block];
+    let match = null;
+
+    if (this.selection && range.collapsed && block && !RichTextDocument.isAtomBlock(block) && block.type !== 'code-block') {
+      // Atoms count as one character so offsets line up with the model
+      const before = block.children
+        .map(inline => (inline.type === 'text' ? inline.text : '\uFFFC'))
+        .join('')
+        .slice(0, range.start.offset);
+
+      sources.forEach(source => {
+        const index = before.lastIndexOf(source.trigger);
+        if (index === -1 || (match && match.index > index)) return;
+
+        const query = before.slice(index + source.trigger.length);
+        if ((index > 0 && !/\s/.test(before[index - 1])) || /[\s\uFFFC]/.test(query)) return;
+
+        match = { source, index, query };
+      });
     }
-    
-    return button;
+
+    if (!match) {
+      this.suggestionDismissed = null;
+      this.closeSuggestions();
+      return;
+    }
+
+    const start = { block: range.start.block, offset: match.index };
+    const key = `${match.source.kind}:${start.block}:${start.offset}`;
+
+    // Escape keeps the list closed until the caret leaves this trigger
+    if (key === this.suggestionDismissed) return;
+
+    if (match.query.length < match.source.minChars) {
+      this.closeSuggestions();
+      return;
+    }
+
+    const current = this.suggestion;
+    if (current && current.key === key && current.query === match.query) return;
+
+    this.suggestion = {
+      key,
+      kind: match.source.kind,
+      source: match.source,
+      start,
+      query: match.query,
+      items: current && current.key === key ? current.items : [],
+      selectedIndex: 0
+    };
+    this.fetchSuggestions(this.suggestion);
   }
 
   /**
-   * Gets the label for a toolbar button
-   * @param {string} type - Button type
-   * @returns {string} Button label
+   * Loads suggestions for the open query from its data source
+   * @param {Object} suggestion - Open suggestion state
    */
-  getButtonLabel(type) {
-    const labels = {
-      bold: 'Bold',
-      italic: 'Italic',
-      underline: 'Underline',
-      strike: 'Strikethrough',
-      link: 'Insert Link',
-      image: 'Insert Image',
-      list: 'Bullet List',
-      ordered: 'Ordered List',
-      blockquote: 'Blockquote',
-      code: 'Code',
-      clean: 'Clear Formatting'
-    };
-    
-    return labels[type] || type;
+  fetchSuggestions(suggestion) {
+    const request = ++this.suggestionRequest;
+    const { dataSource } = suggestion.source;
+    let result = [];
+
+    if (typeof dataSource === 'function') {
+      result = dataSource(suggestion.query, suggestion.kind);
+    } else if (Array.isArray(dataSource)) {
+      const query = suggestion.query.toLowerCase();
+      result = dataSource.filter(item => this.getSuggestionLabel(item).toLowerCase().includes(query));
+    }
+
+    Promise.resolve(result).then(items => {
+      // Answers to older queries are ignored
+      if (request !== this.suggestionRequest || this.suggestion !== suggestion) return;
+
+      suggestion.items = (items || []).slice(0, suggestion.source.maxSuggestions);
+      suggestion.selectedIndex = 0;
+      this.renderSuggestions();
+    }).catch(error => {
+      console.error('RichTextEditor suggestion error:', error);
+    });
   }
 
   /**
-   * Initializes the editor functionality
+   * Renders the suggestion list below the trigger
    */
-  initializeEditor() {
-    // Set up mutation observer for content changes
-    this.mutationObserver = new MutationObserver((mutations) => {
-      this.handleContentChange();
-    });
-    
-    this.mutationObserver.observe(this.editorElement, {
-      childList: true,
-      subtree: true,
-      characterData: true,
-      attributes: true
+  renderSuggestions() {
+    const suggestion = this.suggestion;
+    if (!suggestion) return;
+
+    if (!this.suggestionList) {
+      this.suggestionList = document.createElement('div');
+      this.suggestionList.className = 'rich-text-suggestions';
+      this.suggestionList.id = `rich-text-suggestions-${Math.random().toString(36).slice(2, 9)}`;
+      this.suggestionList.setAttribute('role', 'listbox');
+
+      // Clicking an option must not take focus (and the caret) from the editor
+      this.suggestionList.addEventListener('mousedown', (e) => e.preventDefault());
+
+      this.ensureContainerPositioned();
+      this.container.appendChild(this.suggestionList);
+    }
+
+    const list = this.suggestionList;
+    list.innerHTML = '';
+
+    if (suggestion.items.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'rich-text-suggestion-empty';
+      empty.textContent = 'No matches found';
+      list.appendChild(empty);
+    }
+
+    suggestion.items.forEach((item, index) => {
+      const option = document.createElement('div');
+      option.className = 'rich-text-suggestion';
+      option.id = `${list.id}-${index}`;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', String(index === suggestion.selectedIndex));
+      option.classList.toggle('active', index === suggestion.selectedIndex);
+
+      const label = document.createElement('span');
+      label.className = 'rich-text-suggestion-label';
+      label.textContent = (suggestion.kind === 'mention' ? suggestion.source.trigger : '') + this.getSuggestionLabel(item);
+      option.appendChild(label);
+
+      if (item && item.description) {
+        const description = document.createElement('span');
+        description.className = 'rich-text-suggestion-description';
+        description.textContent = item.description;
+        option.appendChild(description);
+      }
+
+      option.addEventListener('click', () => {
+        this.selectSuggestion(index);
+      });
+
+      list.appendChild(option);
     });
-    
-    // Set initial content if provided
-    if (this.options.initialContent) {
-      this.setContent(this.options.initialContent);
+
+    list.style.display = 'block';
+    this.editorElement.setAttribute('aria-autocomplete', 'list');
+    this.editorElement.setAttribute('aria-controls', list.id);
+    this.editorElement.setAttribute('aria-expanded', 'true');
+    if (suggestion.items.length) {
+      this.editorElement.setAttribute('aria-activedescendant', `${list.id}-${suggestion.selectedIndex}`);
+    } else {
+      this.editorElement.removeAttribute('aria-activedescendant');
     }
+
+    const rect = this.getPositionRect(suggestion.start);
+    const origin = this.container.getBoundingClientRect();
+    list.style.left = `${rect.left - origin.left + this.container.scrollLeft}px`;
+    list.style.top = `${rect.bottom - origin.top + this.container.scrollTop + 4}px`;
   }
 
   /**
-   * Binds editor events
+   * Closes the suggestion list
    */
-  bindEvents() {
-    // Content change events
-    this.editorElement.addEventListener('input', (e) => {
-      this.saveHistory();
-      if (this.options.onTextChange) {
-        this.options.onTextChange({
-          content: this.getContent(),
-          text: this.getText(),
-          wordCount: this.getWordCount(),
-          characterCount: this.getCharacterCount()
-        });
-      }
-    });
-    
-    // Selection change events
-    document.addEventListener('selectionchange', () => {
-      if (this.options.onSelectionChange) {
-        const selection = this.getSelection();
-        this.options.onSelectionChange(selection);
-      }
-    });
-    
-    // Focus and blur events
-    this.editorElement.addEventListener('focus', (e) => {
-      if (this.options.onFocus) {
-        this.options.onFocus(e);
-      }
-    });
-    
-    this.editorElement.addEventListener('blur', (e) => {
-      if (this.options.onBlur) {
-        this.options.onBlur(e);
-      }
-    });
-    
-    // Keyboard shortcuts
-    this.editorElement.addEventListener('keydown', (e) => {
-      this.handleKeyboardShortcuts(e);
-    });
+  closeSuggestions() {
+    this.suggestion = null;
+    this.suggestionRequest++;
+
+    if (this.suggestionList) {
+      this.suggestionList.style.display = 'none';
+      this.suggestionList.innerHTML = '';
+    }
+
+    this.editorElement.removeAttribute('aria-activedescendant');
+    if (this.editorElement.hasAttribute('aria-expanded')) {
+      this.editorElement.setAttribute('aria-expanded', 'false');
+    }
   }
 
   /**
-   * Handles content changes
+   * Handles keys while the suggestion list is open
+   * @param {KeyboardEvent} e - Keydown event
+   * @returns {boolean} Whether the key was handled
    */
-  handleContentChange() {
-    // Update status bar if available
-    if (this.statusBar) {
-      this.updateStatusBar();
+  handleSuggestionKeydown(e) {
+    const suggestion = this.suggestion;
+    const count = suggestion.items.length;
+
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        if (!count) return false;
+        e.preventDefault();
+        suggestion.selectedIndex = (suggestion.selectedIndex + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+        this.renderSuggestions();
+        return true;
+
+      case 'Enter':
+      case 'Tab':
+        if (!count) return false;
+        e.preventDefault();
+        this.selectSuggestion(suggestion.selectedIndex);
+        return true;
+
+      case 'Escape':
+        e.preventDefault();
+        this.suggestionDismissed = suggestion.key;
+        this.closeSuggestions();
+        return true;
+
+      default:
+        return false;
     }
-    
-    // Check for max length if configured
-    if (this.options.maxLength) {
-      const currentLength = this.getCharacterCount();
-      if (currentLength > this.options.maxLength) {
-        // Truncate content to fit within limit
-        const text = this.getText().substring(0, this.options.maxLength);
-        this.setText(text);
+  }
+
+  /**
+   * Picks a suggestion: mentions replace the typed trigger, commands remove it and run
+   * @param {number} index - Index in the suggestion list
+   */
+  selectSuggestion(index) {
+    const suggestion = this.suggestion;
+    const item = suggestion && suggestion.items[index];
+    if (!item) return;
+
+    const start = suggestion.start;
+    const end = { block: start.block, offset: start.offset + suggestion.source.trigger.length + suggestion.query.length };
+
+    this.closeSuggestions();
+    this.saveHistory();
+
+    if (suggestion.kind === 'mention') {
+      const label = this.getSuggestionLabel(item);
+      const id = typeof item === 'string' ? item : (item.id !== undefined ? item.id : item.value || label);
+      const attrs = { id: String(id), label, trigger: suggestion.source.trigger };
+
+      this.selection = { anchor: start, focus: end };
+      this.replaceSelection([{ type: 'mention', attrs }, RichTextDocument.createText(' ')]);
+
+      if (this.options.onMention) {
+        this.options.onMention(item, attrs);
+      }
+    } else {
+      this.transaction(apply => {
+        const position = this.deleteRange(apply, start, end);
+        return { anchor: position, focus: position };
+      });
+
+      if (item.action) {
+        item.action(this, item);
+      }
+      if (this.options.onCommand) {
+        this.options.onCommand(item);
       }
     }
+
+    this.saveHistory();
   }
 
   /**
-   * Saves content to history for undo/redo functionality
+   * Gets the viewport rectangle of the caret at a position
+   * @param {Object} position - Position { block, offset }
+   * @returns {DOMRect} Caret rectangle
    */
-  saveHistory() {
-    const content = this.getContent();
-    
-    // Don't save if content hasn't changed
-    if (this.history.length > 0 && this.history[this.history.length - 1] === content) {
-      return;
-    }
-    
-    // Add to history
-    this.history.push(content);
-    
-    // Limit history size
-    if (this.history.length > this.maxHistory) {
-      this.history.shift();
-      this.historyIndex = this.history.length - 1;
-    } else {
-      this.historyIndex = this.history.length - 1;
-    }
+  getPositionRect(position) {
+    const { node, offset } = this.positionToDOM(this.doc.clampPosition(position));
+    const range = document.createRange();
+    range.setStart(node, offset);
+    range.collapse(true);
+
+    // Collapsed ranges in empty lines have no rects; use the line's element instead
+    const rect = range.getClientRects()[0];
+    if (rect) return rect;
+
+    const element = node.nodeType === 1 ? node : node.parentNode;
+    return element.getBoundingClientRect();
   }
 
   /**
-   * Undo last action
-   * @returns {boolean} Whether undo was successful
+   * Makes the container the positioning context for the popup and remote carets
    */
-  undo() {
-    if (this.historyIndex <= 0) return false;
-    
-    this.historyIndex--;
-    const content = this.history[this.historyIndex];
-    this.setContent(content);
-    
-    return true;
+  ensureContainerPositioned() {
+    if (window.getComputedStyle(this.container).position === 'static') {
+      this.container.style.position = 'relative';
+    }
   }
 
   /**
-   * Redo last undone action
-   * @returns {boolean} Whether redo was successful
+   * Applies operations made in another editor
+   * They don't enter the undo history; the selection, remote carets and undo steps
+   * are moved along with the edit.
+   * @param {Array<Object>} operations - Operations to apply
+   * @param {Object} options - Options
+   * @param {string} options.clientId - Author of the operations
    */
-  redo() {
-    if (this.historyIndex >= this.history.length - 1) return false;
-    
-    this.historyIndex++;
-    const content = this.history[this.historyIndex];
-    this.setContent(content);
-    
-    return true;
+  applyRemoteOperations(operations, { clientId = null } = {}) {
+    if (!operations.length) return;
+
+    operations.forEach(op => this.doc.apply(op));
+
+    const selection = this.selection ? this.mapSelection(this.selection, operations) : null;
+    this.mapRemoteSelections(operations, clientId);
+    this.rebaseHistory(operations);
+
+    this.render(selection);
+    this.emitChange(operations, 'remote');
+    this.renderRemoteSelections();
+
+    if (this.suggestion) {
+      this.updateSuggestions();
+    }
   }
 
   /**
-   * Formats text with specified formatting
-   * @param {string} format - Format to apply
-   * @param {any} value - Value for the format (optional)
+   * Reads an IME composition in progress into the model so remote edits apply after it
    */
-  formatText(format, value = null) {
-    // Save current state for history
-    this.saveHistory();
-    
-    // Apply formatting based on format type
-    const selection = window.getSelection();
-    if (!selection.rangeCount) return;
-    
-    const range = selection.getRangeAt(0);
-    const selectedText = range.toString();
-    
-    if (selectedText) {
-      // If text is selected, apply format to selection
-      document.execCommand(format, false, value);
-    } else if (value) {
-      // If no selection but value provided, apply to insertion point
-      document.execCommand(format, false, value);
-    } else {
-      // Toggle format for empty selection
-      document.execCommand(format, false, null);
+  commitComposition() {
+    if (this.composing) {
+      this.composing = false;
+      this.syncFromDOM();
     }
-    
-    // Focus back to editor
-    this.editorElement.focus();
   }
 
   /**
-   * Inserts a link
+   * Maps a selection through operations
+   * @param {Object} selection - Selection { anchor, focus }
+   * @param {Array<Object>} operations - Applied operations
+   * @param {boolean} stickRight - Move past text inserted at the selection
+   * @returns {Object} Mapped selection
    */
-  insertLink() {
-    const url = prompt('Enter URL:', 'https://');
-    if (url && url !== 'https://') {
-      this.formatText('createLink', url);
-    }
+  mapSelection(selection, operations, stickRight = false) {
+    const map = (position) => operations.reduce(
+      (current, op) => RichTextDocument.transformPosition(current, op, stickRight), position
+    );
+
+    return { anchor: map(selection.anchor), focus: map(selection.focus) };
   }
 
   /**
-   * Inserts an image
+   * Moves the undo history over a remote edit so undo only reverts local changes
+   * @param {Array<Object>} operations - Remote operations, applied to the current document
    */
-  insertImage() {
-    const url = prompt('Enter image URL:', 'https://');
-    if (url && url !== 'https://') {
-      document.execCommand('insertImage', false, url);
+  rebaseHistory(operations) {
+    const invert = (ops) => [...ops].reverse().map(op => RichTextDocument.invert(op));
+
+    // Done steps: walk back from the latest, moving the remote edit before each step
+    let remote = operations;
+    for (let i = this.historyIndex; i >= 0 && remote.length; i--) {
+      const entry = this.history[i];
+      const [undo, before] = RichTextDocument.transformLists(invert(entry.operations), remote, true);
+
+      entry.selectionAfter = entry.selectionAfter && this.mapSelection(entry.selectionAfter, remote);
+      entry.selectionBefore = entry.selectionBefore && this.mapSelection(entry.selectionBefore, before);
+      entry.operations = invert(undo);
+      remote = before;
+    }
+
+    // Undone steps start from the current document, like the remote edit
+    remote = operations;
+    for (let i = this.historyIndex + 1; i < this.history.length && remote.length; i++) {
+      const entry = this.history[i];
+      const [redo, after] = RichTextDocument.transformLists(entry.operations, remote, true);
+
+      entry.selectionBefore = entry.selectionBefore && this.mapSelection(entry.selectionBefore, remote);
+      entry.selectionAfter = entry.selectionAfter && this.mapSelection(entry.selectionAfter, after);
+      entry.operations = redo;
+      remote = after;
     }
+
+    // Steps the remote edit completely overrode are dropped
+    let historyIndex = -1;
+    this.history = this.history.filter((entry, i) => {
+      if (!entry.operations.length) return false;
+      if (i <= this.historyIndex) historyIndex++;
+      return true;
+    });
+    this.historyIndex = historyIndex;
+    this.historySealed = true;
   }
 
   /**
-   * Cleans formatting from selected text
+   * Shows another user's caret and selection
+   * @param {string} clientId - Id of the other editor
+   * @param {Object} remote - Remote state
+   * @param {Object|null} remote.selection - Selection { anchor, focus } or null to hide it
+   * @param {string} remote.name - Label shown at the caret
+   * @param {string} remote.color - Caret and highlight color
    */
-  clean() {
-    this.saveHistory();
-    document.execCommand('removeFormat', false, null);
+  setRemoteSelection(clientId, { selection = null, name = '', color = null } = {}) {
+    this.remoteSelections.set(clientId, {
+      selection,
+      name,
+      color: RichTextDocument.sanitizeColor(color || '') || this.getRemoteColor(clientId)
+    });
+    this.renderRemoteSelections();
   }
 
   /**
-   * Sets editor content
-   * @param {string} html - HTML content to set
+   * Removes another user's caret
+   * @param {string} clientId - Id of the other editor
    */
-  setContent(html) {
-    this.editorElement.innerHTML = html;
+  removeRemoteSelection(clientId) {
+    if (this.remoteSelections.delete(clientId)) {
+      this.renderRemoteSelections();
+    }
   }
 
   /**
-   * Gets editor content
-   * @returns {string} Editor content as HTML
+   * Maps remote carets through operations
+   * @param {Array<Object>} operations - Applied operations
+   * @param {string} authorId - Client whose caret follows its own insertions
    */
-  getContent() {
-    return this.editorElement.innerHTML;
+  mapRemoteSelections(operations, authorId = null) {
+    this.remoteSelections.forEach((remote, clientId) => {
+      if (remote.selection) {
+        remote.selection = this.mapSelection(remote.selection, operations, clientId === authorId);
+      }
+    });
   }
 
   /**
-   * Sets editor text content only
-   * @param {string} text - Text content to set
+   * Picks a stable color for a client without one
+   * @param {string} clientId - Client id
+   * @returns {string} Color
    */
-  setText(text) {
-    this.editorElement.textContent = text;
+  getRemoteColor(clientId) {
+    const colors = ['#e91e63', '#3f51b5', '#009688', '#ff9800', '#9c27b0', '#4caf50', '#f44336', '#00bcd4'];
+    let hash = 0;
+    for (const char of String(clientId)) {
+      hash = (hash * 31 + char.charCodeAt(0)) | 0;
+    }
+    return colors[Math.abs(hash) % colors.length];
   }
 
   /**
-   * Gets editor text content only
-   * @returns {string} Editor text content
+   * Draws remote carets and selections over the editor
    */
-  getText() {
-    return this.editorElement.textContent || '';
+  renderRemoteSelections() {
+    if (!this.remoteLayer) {
+      if (this.remoteSelections.size === 0) return;
+
+      this.remoteLayer = document.createElement('div');
+      this.remoteLayer.className = 'rich-text-remote-cursors';
+      this.remoteLayer.setAttribute('aria-hidden', 'true');
+      this.ensureContainerPositioned();
+      this.container.appendChild(this.remoteLayer);
+    }
+
+    this.remoteLayer.innerHTML = '';
+
+    const origin = this.container.getBoundingClientRect();
+    const bounds = this.editorElement.getBoundingClientRect();
+    const place = (element, rect) => {
+      element.style.left = `${rect.left - origin.left + this.container.scrollLeft}px`;
+      element.style.top = `${rect.top - origin.top + this.container.scrollTop}px`;
+      element.style.height = `${rect.height}px`;
+      this.remoteLayer.appendChild(element);
+    };
+    // Parts scrolled out of the editor aren't drawn
+    const visible = (rect) => rect.bottom >= bounds.top && rect.top <= bounds.bottom;
+
+    this.remoteSelections.forEach(remote => {
+      if (!remote.selection) return;
+
+      const { start, end, collapsed } = this.getRange(remote.selection);
+      if (!collapsed) {
+        const from = this.positionToDOM(start);
+        const to = this.positionToDOM(end);
+        const range = document.createRange();
+        range.setStart(from.node, from.offset);
+        range.setEnd(to.node, to.offset);
+
+        Array.from(range.getClientRects()).filter(visible).forEach(rect => {
+          const highlight = document.createElement('div');
+          highlight.className = 'rich-text-remote-selection';
+          highlight.style.width = `${rect.width}px`;
+          highlight.style.backgroundColor = remote.color;
+          place(highlight, rect);
+        });
+      }
+
+      const rect = this.getPositionRect(remote.selection.focus);
+      if (!visible(rect)) return;
+
+      const caret = document.createElement('div');
+      caret.className = 'rich-text-remote-caret';
+      caret.style.backgroundColor = remote.color;
+
+      if (remote.name) {
+        const label = document.createElement('span');
+        label.className = 'rich-text-remote-caret-label';
+        label.textContent = remote.name;
+        label.style.backgroundColor = remote.color;
+        caret.appendChild(label);
+      }
+
+      place(caret, rect);
+    });
   }
 
   /**
-   * Gets current selection info
-   * @returns {Object} Selection information
+   * Starts collaborative editing over a WebSocketManager
+   * @param {WebSocketManager} manager - Connected manager
+   * @param {Object} options - RichTextCollaboration options
+   * @returns {RichTextCollaboration} Collaboration session
    */
-  getSelection() {
-    const selection = window.getSelection();
-    if (!selection.rangeCount) return null;
-    
-    const range = selection.getRangeAt(0);
-    return {
-      text: selection.toString(),
-      range: range,
-      startOffset: range.startOffset,
-      endOffset: range.endOffset,
-      isCollapsed: selection.isCollapsed
-    };
+  connectCollaboration(manager, options = {}) {
+    if (this.collaboration) {
+      this.collaboration.disconnect();
+    }
+
+    this.collaboration = new RichTextCollaboration(this, manager, options);
+    return this.collaboration;
   }
 
   /**
@@ -485,7 +4310,7 @@ class RichTextEditor {
    * @returns {number} Character count
    */
   getCharacterCount() {
-    return this.getText().length;
+    return this.doc.getTextLength();
   }
 
   /**
@@ -493,40 +4318,57 @@ class RichTextEditor {
    * @param {KeyboardEvent} e - Keyboard event
    */
   handleKeyboardShortcuts(e) {
+    const mod = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+
+    // An open suggestion list takes the navigation keys
+    if (this.suggestion && this.handleSuggestionKeydown(e)) {
+      return;
+    }
+
     // Ctrl+Z for undo
-    if (e.ctrlKey && e.key === 'z' && !e.shiftKey) {
+    if (mod && key === 'z' && !e.shiftKey) {
       e.preventDefault();
       this.undo();
       return;
     }
     
     // Ctrl+Shift+Z or Ctrl+Y for redo
-    if ((e.ctrlKey && e.shiftKey && e.key === 'Z') || (e.ctrlKey && e.key === 'y')) {
+    if ((mod && e.shiftKey && key === 'z') || (mod && key === 'y')) {
       e.preventDefault();
       this.redo();
       return;
     }
     
     // Ctrl+B for bold
-    if (e.ctrlKey && e.key.toLowerCase() === 'b') {
+    if (mod && key === 'b') {
       e.preventDefault();
       this.formatText('bold');
       return;
     }
     
     // Ctrl+I for italic
-    if (e.ctrlKey && e.key.toLowerCase() === 'i') {
+    if (mod && key === 'i') {
       e.preventDefault();
       this.formatText('italic');
       return;
     }
     
     // Ctrl+U for underline
-    if (e.ctrlKey && e.key.toLowerCase() === 'u') {
+    if (mod && key === 'u') {
       e.preventDefault();
       this.formatText('underline');
       return;
     }
+
+    // Tab and Shift+Tab nest list items; elsewhere Tab keeps moving focus
+    if (e.key === 'Tab' && !mod && !e.altKey) {
+      const block = this.doc.blocks[this.getRange().start.block];
+      if (block && block.type === 'list-item' && this.isFormatAllowed('indent')) {
+        e.preventDefault();
+        this.indent(e.shiftKey ? -1 : 1);
+      }
+    }
   }
 
   /**
@@ -642,6 +4484,9 @@ class RichTextEditor {
         line-height: 1.6;
         outline: none;
         overflow-y: auto;
+        position: relative;
+        white-space: pre-wrap;
+        overflow-wrap: break-word;
       }
       
       .rich-text-editor-content:focus {
@@ -704,10 +4549,119 @@ class RichTextEditor {
         background: var(--bg-dark, #0a0a0a);
       }
       
+      .rich-text-editor-content img {
+        max-width: 100%;
+        vertical-align: bottom;
+      }
+      
+      .rich-text-editor-content hr {
+        border: none;
+        border-top: 1px solid var(--border-lighter, #222);
+        margin: 1em 0;
+      }
+      
+      .rich-text-editor-content .editor-video {
+        margin: 1em 0;
+      }
+      
+      .rich-text-editor-content .editor-video video {
+        max-width: 100%;
+      }
+      
+      .rich-text-editor-content table {
+        border-collapse: collapse;
+        margin: 1em 0;
+      }
+      
+      .rich-text-editor-content th,
+      .rich-text-editor-content td {
+        border: 1px solid var(--border-lighter, #222);
+        padding: 6px 10px;
+        text-align: left;
+      }
+      
+      .rich-text-editor-content th {
+        background: var(--bg-dark, #0a0a0a);
+      }
+      
+      .rich-text-editor-content .editor-mention {
+        color: var(--jazer-cyan, #00f2ea);
+        background: var(--bg-darker, #111);
+        border-radius: 3px;
+        padding: 0 2px;
+      }
+      
+      .rich-text-suggestions {
+        position: absolute;
+        z-index: 1000;
+        min-width: 200px;
+        max-height: 240px;
+        overflow-y: auto;
+        background: var(--bg-darker, #111);
+        border: 1px solid var(--border-default, #4facfe);
+        border-radius: 6px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
+      }
+      
+      .rich-text-suggestion {
+        display: flex;
+        flex-direction: column;
+        padding: 6px 10px;
+        cursor: pointer;
+      }
+      
+      .rich-text-suggestion.active,
+      .rich-text-suggestion:hover {
+        background: var(--border-lighter, #222);
+      }
+      
+      .rich-text-suggestion-description,
+      .rich-text-suggestion-empty {
+        font-size: 0.8rem;
+        color: var(--text-gray, #aaa);
+      }
+      
+      .rich-text-suggestion-empty {
+        padding: 6px 10px;
+      }
+      
+      .rich-text-remote-cursors {
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 0;
+        height: 0;
+        pointer-events: none;
+      }
+      
+      .rich-text-remote-selection {
+        position: absolute;
+        opacity: 0.25;
+      }
+      
+      .rich-text-remote-caret {
+        position: absolute;
+        width: 2px;
+      }
+      
+      .rich-text-remote-caret-label {
+        position: absolute;
+        bottom: 100%;
+        left: 0;
+        padding: 1px 4px;
+        border-radius: 3px 3px 3px 0;
+        font-size: 0.7rem;
+        line-height: 1.2;
+        color: #fff;
+        white-space: nowrap;
+      }
+      
       /* Placeholder styling */
-      .rich-text-editor-content:empty:before {
+      .rich-text-editor-content.is-empty::before {
         content: attr(data-placeholder);
+        position: absolute;
         color: var(--text-gray, #aaa);
+        pointer-events: none;
       }
       
       /* Selection highlighting */
@@ -750,48 +4704,39 @@ class RichTextEditor {
    * Clears editor content
    */
   clear() {
-    this.saveHistory();
     this.setContent('');
   }
 
   /**
    * Inserts text at cursor position
+   * Line breaks start new paragraphs.
    * @param {string} text - Text to insert
+   * @returns {boolean} Whether the document changed
    */
   insertText(text) {
-    this.saveHistory();
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
     
-    const selection = window.getSelection();
-    if (selection.rangeCount > 0) {
-      const range = selection.getRangeAt(0);
-      range.deleteContents();
-      range.insertNode(document.createTextNode(text));
-      range.collapse(false);
-    } else {
-      this.editorElement.innerHTML += text;
+    if (lines.length > 1) {
+      return this.insertFragment(this.textToBlocks(text));
     }
+
+    const { start } = this.getRange();
+    const marks = this.pendingMarks || this.getMarksAt(start);
+
+    return this.replaceSelection([RichTextDocument.createText(lines[0], marks)], { mergeKey: 'typing' });
   }
 
   /**
    * Inserts HTML content at cursor position
+   * The HTML is sanitized down to the formats the editor allows.
    * @param {string} html - HTML to insert
+   * @returns {boolean} Whether the document changed
    */
   insertHTML(html) {
-    this.saveHistory();
+    const fragment = RichTextDocument.fromHTML(html, { formats: this.options.formats });
+    if (fragment.isEmpty()) return false;
     
-    const selection = window.getSelection();
-    if (selection.rangeCount > 0) {
-      const range = selection.getRangeAt(0);
-      range.deleteContents();
-      
-      const fragment = document.createRange().createContextualFragment(html);
-      range.insertNode(fragment);
-      
-      // Move cursor to end of inserted content
-      range.collapse(false);
-    } else {
-      this.editorElement.innerHTML += html;
-    }
+    return this.insertFragment(fragment.blocks);
   }
 
   /**
@@ -821,15 +4766,12 @@ class RichTextEditor {
   focus() {
     this.editorElement.focus();
     
-    // Move cursor to end if no selection
-    if (!window.getSelection().toString()) {
-      const range = document.createRange();
-      range.selectNodeContents(this.editorElement);
-      range.collapse(false);
-      const selection = window.getSelection();
-      selection.removeAllRanges();
-      selection.addRange(range);
+    // Move cursor to end if there is no selection yet
+    if (!this.selection) {
+      const end = this.doc.getEndPosition();
+      this.selection = { anchor: end, focus: end };
     }
+    this.applySelection(this.selection);
   }
 
   /**
@@ -869,10 +4811,20 @@ class RichTextEditor {
    * Destroys the editor and cleans up resources
    */
   destroy() {
-    // Remove event listeners
-    if (this.mutationObserver) {
-      this.mutationObserver.disconnect();
+    if (this.collaboration) {
+      this.collaboration.disconnect();
     }
+
+    // Remove event listeners
+    document.removeEventListener('selectionchange', this.selectionChangeHandler);
+    window.removeEventListener('resize', this.layoutChangeHandler);
+
+    // Remove suggestion list and remote carets
+    [this.suggestionList, this.remoteLayer].forEach(element => {
+      if (element && element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    });
     
     // Remove editor element
     if (this.editorElement && this.editorElement.parentNode) {
@@ -905,7 +4857,12 @@ class RichTextEditor {
       characterCount: this.getCharacterCount(),
       theme: this.getTheme(),
       readOnly: this.isReadOnly(),
-      history: [...this.history],
+      document: this.doc.toJSON(),
+      history: RichTextDocument.clone(this.history.map(entry => ({
+        operations: entry.operations,
+        selectionBefore: entry.selectionBefore,
+        selectionAfter: entry.selectionAfter
+      }))),
       historyIndex: this.historyIndex
     };
   }
@@ -915,18 +4872,188 @@ class RichTextEditor {
    * @param {Object} state - Serialized editor state
    */
   deserialize(state) {
-    if (state.content !== undefined) {
+    if (state.document !== undefined) {
+      this.replaceDocument(RichTextDocument.fromJSON(state.document));
+    } else if (state.content !== undefined) {
       this.setContent(state.content);
     }
     if (state.theme !== undefined) {
       this.setTheme(state.theme);
     }
     if (state.readOnly !== undefined) {
-      this.setReadOnly(state.readOnly);
+      if (state.readOnly) {
+        this.disable();
+      } else {
+        this.enable();
+      }
+    }
+    // Only operation-based history can be replayed against the document
+    if (Array.isArray(state.history) && state.history.every(entry => entry && Array.isArray(entry.operations))) {
+      this.history = RichTextDocument.clone(state.history).map(entry => ({ ...entry, mergeKey: null, time: 0 }));
+      this.historyIndex = state.historyIndex !== undefined ? state.historyIndex : this.history.length - 1;
+      this.historySealed = true;
+    }
+  }
+}
+
+/**
+ * Collaborative editing session between RichTextEditors over a WebSocketManager
+ *
+ * Every message has the type `rte:<channel>` and an `action`:
+ * - 'operations' { clientId, baseSequence, operations } - a local edit
+ * - 'selection' { clientId, user, selection } - a caret moved; selection is null when a user leaves
+ * The server relays each message to all clients of the channel, including the sender, and
+ * must deliver 'operations' in the same order everywhere: that order decides conflicts.
+ * Only one edit per client is in flight; edits made meanwhile are sent once it comes back.
+ * An edit inside blocks another user restructured at the same time (e.g. split or turned
+ * into a list) is dropped in favor of the one that arrived first.
+ */
+class RichTextCollaboration {
+  /**
+   * Creates a collaboration session
+   * @param {RichTextEditor} editor - Editor to connect
+   * @param {WebSocketManager} manager - Connected manager
+   * @param {Object} options - Configuration options
+   */
+  constructor(editor, manager, options = {}) {
+    this.editor = editor;
+    this.manager = manager;
+    this.options = {
+      channel: 'rich-text',
+      user: {}, // { id, name, color } shown at this user's caret elsewhere
+      sequence: 0, // Operations the server relayed before the editor's content was loaded
+      maxLog: 1000, // Relayed operations kept for transforming late edits
+      ...options
+    };
+
+    this.clientId = this.options.user.id !== undefined ? String(this.options.user.id) :
+      `rte-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.messageType = `rte:${this.options.channel}`;
+    this.sequence = this.options.sequence;
+    this.log = [];
+    this.logStart = this.sequence;
+    this.inflight = null;
+    this.buffer = [];
+
+    this.messageHandler = (message) => this.handleMessage(message);
+    this.manager.registerMessageHandler(this.messageType, this.messageHandler);
+
+    this.sendSelection(this.editor.selection);
+  }
+
+  /**
+   * Sends local operations
+   * @param {Array<Object>} operations - Operations applied in the editor
+   */
+  sendOperations(operations) {
+    if (!operations.length) return;
+
+    if (this.inflight) {
+      this.buffer.push(...RichTextDocument.clone(operations));
+      return;
+    }
+
+    this.inflight = RichTextDocument.clone(operations);
+    this.manager.send({
+      type: this.messageType,
+      action: 'operations',
+      channel: this.options.channel,
+      clientId: this.clientId,
+      baseSequence: this.sequence,
+      operations
+    });
+  }
+
+  /**
+   * Sends the local selection
+   * @param {Object|null} selection - Selection { anchor, focus }
+   */
+  sendSelection(selection) {
+    this.manager.send({
+      type: this.messageType,
+      action: 'selection',
+      channel: this.options.channel,
+      clientId: this.clientId,
+      user: { name: this.options.user.name || '', color: this.options.user.color || null },
+      selection
+    });
+  }
+
+  /**
+   * Handles a relayed message
+   * @param {Object} message - Message data
+   */
+  handleMessage(message) {
+    if (message.action === 'selection') {
+      if (message.clientId === this.clientId) return;
+
+      if (message.selection) {
+        this.editor.setRemoteSelection(message.clientId, { ...message.user, selection: message.selection });
+      } else {
+        this.editor.removeRemoteSelection(message.clientId);
+      }
+    } else if (message.action === 'operations') {
+      if (message.clientId === this.clientId) {
+        // Our own edit came back: it now has its place in the shared order
+        this.record(this.clientId, this.inflight || []);
+        this.inflight = null;
+
+        const buffer = this.buffer;
+        this.buffer = [];
+        this.sendOperations(buffer);
+      } else {
+        this.receiveOperations(message);
+      }
+    }
+  }
+
+  /**
+   * Applies another client's operations
+   * @param {Object} message - 'operations' message
+   */
+  receiveOperations(message) {
+    this.editor.commitComposition();
+
+    // Bring the edit up to date with what was relayed after the sender's last known state
+    let operations = message.operations;
+    this.log.slice(Math.max(0, message.baseSequence - this.logStart)).forEach(entry => {
+      operations = RichTextDocument.transformLists(operations, entry.operations, true)[0];
+    });
+    this.record(message.clientId, operations);
+
+    // Our unacknowledged edits come after it in the shared order
+    if (this.inflight) {
+      [operations, this.inflight] = RichTextDocument.transformLists(operations, this.inflight, false);
+    }
+    [operations, this.buffer] = RichTextDocument.transformLists(operations, this.buffer, false);
+
+    this.editor.applyRemoteOperations(operations, { clientId: message.clientId });
+  }
+
+  /**
+   * Appends operations to the shared order
+   * @param {string} clientId - Author
+   * @param {Array<Object>} operations - Operations in their relayed form
+   */
+  record(clientId, operations) {
+    this.log.push({ clientId, operations });
+    this.sequence++;
+
+    if (this.log.length > this.options.maxLog) {
+      this.log.shift();
+      this.logStart++;
     }
-    if (state.history !== undefined) {
-      this.history = [...state.history];
-      this.historyIndex = state.historyIndex !== undefined ? state.historyIndex : -1;
+  }
+
+  /**
+   * Ends the session and removes this user's caret from other editors
+   */
+  disconnect() {
+    this.sendSelection(null);
+    this.manager.unregisterMessageHandler(this.messageType);
+
+    if (this.editor.collaboration === this) {
+      this.editor.collaboration = null;
     }
   }
 }
@@ -973,9 +5100,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Export for use as module
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { RichTextEditor, initRichTextEditors };
+  module.exports = { RichTextEditor, RichTextDocument, RichTextCollaboration, initRichTextEditors };
 }
 
 // Make available globally
 window.RichTextEditor = RichTextEditor;
+window.RichTextDocument = RichTextDocument;
+window.RichTextCollaboration = RichTextCollaboration;
 window.initRichTextEditors = initRichTextEditors;
\ No newline at end of file
@@ -25,7 +25,7 @@ class TreeView {
       iconFile: '📄',
       expandOnDoubleClick: true,
       expandOnClick: false,
-      selectionMode: 'single', // 'single', 'multiple', 'none'
+      selectionMode: 'single', // 'single', 'multiple', 'checkbox', 'none'
       enableContextMenu: true,
       contextMenuItems: [
         { label: 'New Folder', action: 'createFolder' },
@@ -44,6 +44,16 @@ class TreeView {
       onNodeDragOver: null,
       onNodeDrop: null,
       onNodeContextMenu: null,
+      virtualize: false, // Render a flat, virtualized list (requires VirtualScroll)
+      itemHeight: 36,
+      height: 400,
+      loadChildren: null, // async (node) => children, for nodes with `hasChildren: true`
+      loadingText: 'Loading…',
+      errorText: 'Failed to load',
+      onNodeLoad: null,
+      onNodeLoadError: null,
+      onNodeCheck: null,
+      typeAheadDelay: 500,
       ...options
     };
 
@@ -53,6 +63,20 @@ class TreeView {
     this.draggedNode = null;
     this.dropPosition = null; // 'before', 'after', 'inside'
     this.contextMenu = null;
+    this.loadingNodes = new Map(); // Node ID -> pending loadChildren promise
+    this.loadErrors = new Map(); // Node ID -> error from loadChildren
+    this.virtualScroll = null;
+    this.flatNodes = [];
+    this.focusedNodeId = null;
+    this.checkedNodes = new Set();
+    this.checkStates = null; // Node ID -> 'true' | 'false' | 'mixed', rebuilt on render
+    this.filterPredicate = null;
+    this.filterQuery = '';
+    this.filterMatches = null;
+    this.filterVisible = null;
+    this.expandedBeforeFilter = null;
+    this.typeAheadBuffer = '';
+    this.typeAheadTimeout = null;
 
     this.init();
   }
@@ -66,13 +90,19 @@ class TreeView {
     
     // Add tree view classes
     this.container.classList.add('tree-view');
+    this.container.setAttribute('data-tree-view-initialized', 'true');
     this.container.setAttribute('role', 'tree');
-    this.container.setAttribute('aria-multiselectable', this.options.multipleSelection);
+    this.container.setAttribute('aria-multiselectable',
+      this.options.multipleSelection || ['multiple', 'checkbox'].includes(this.options.selectionMode));
     
     // Create root node
-    this.rootNode = document.createElement('ul');
-    this.rootNode.classList.add('tree-root');
-    this.container.appendChild(this.rootNode);
+    if (this.options.virtualize) {
+      this.createVirtualRoot();
+    } else {
+      this.rootNode = document.createElement('ul');
+      this.rootNode.classList.add('tree-root');
+      this.container.appendChild(this.rootNode);
+    }
     
     // Render tree
     this.render();
@@ -88,14 +118,34 @@ class TreeView {
    * Renders the tree structure
    */
   render() {
-    // Clear root
-    this.rootNode.innerHTML = '';
+    const hadFocus = this.container.contains(document.activeElement);
+    this.checkStates = null;
     
-    // Render each top-level node
-    this.data.forEach(node => {
-      const nodeElement = this.createNodeElement(node, 0);
-      this.rootNode.appendChild(nodeElement);
-    });
+    if (this.filterPredicate) {
+      this.computeFilter();
+    }
+    
+    if (this.virtualScroll) {
+      this.flatNodes = this.flattenVisibleNodes();
+      this.virtualScroll.updateData(this.flatNodes);
+      this.virtualScroll.refresh();
+    } else {
+      // Clear root
+      this.rootNode.innerHTML = '';
+      
+      // Render each top-level node
+      this.getVisibleChildren(this.data).forEach(node => {
+        const nodeElement = this.createNodeElement(node, 0);
+        this.rootNode.appendChild(nodeElement);
+      });
+    }
+    
+    this.ensureTabStop();
+    
+    // Re-rendering replaces the focused element, so move focus to its replacement
+    if (hadFocus) {
+      this.getNodeElement(this.focusedNodeId)?.focus();
+    }
   }
 
   /**
@@ -106,11 +156,78 @@ class TreeView {
    */
   createNodeElement(node, level) {
     const li = document.createElement('li');
-    li.classList.add('tree-node');
-    li.setAttribute('role', 'treeitem');
-    li.setAttribute('aria-level', level + 1);
-    li.setAttribute('data-node-id', node.id || this.generateNodeId());
+    this.setupNodeItem(li, node, level);
+    li.appendChild(this.createNodeContent(node, level));
+    
+    // Add children (or their loading/error status) if expanded
+    if (this.isExpandable(node) && this.expandedNodes.has(node.id)) {
+      const childrenUl = document.createElement('ul');
+      childrenUl.classList.add('tree-node-children');
+      childrenUl.setAttribute('role', 'group');
+      
+      if (this.loadingNodes.has(node.id) || this.loadErrors.has(node.id)) {
+        const statusLi = document.createElement('li');
+        statusLi.setAttribute('role', 'none');
+        statusLi.appendChild(this.createNodeStatus(node, level + 1));
+        childrenUl.appendChild(statusLi);
+      } else {
+        this.getVisibleChildren(node.children).forEach(child => {
+          const childLi = this.createNodeElement(child, level + 1);
+          childrenUl.appendChild(childLi);
+        });
+      }
+      
+      li.appendChild(childrenUl);
+    }
     
+    return li;
+  }
+
+  /**
+   * Applies the treeitem role, state and selection to a node's element
+   * @param {HTMLElement} element - Node element
+   * @param {Object} node - Node data
+   * @param {number} level - Nesting level
+   */
+  setupNodeItem(element, node, level) {
+    if (!node.id) node.id = this.generateNodeId();
+    
+    element.classList.add('tree-node');
+    element.setAttribute('role', 'treeitem');
+    element.setAttribute('aria-level', level + 1);
+    element.setAttribute('data-node-id', node.id);
+    element.setAttribute('aria-expanded', this.isExpandable(node) && this.expandedNodes.has(node.id));
+    
+    // Roving tabindex: only the focused node is in the tab order
+    element.tabIndex = node.id === this.focusedNodeId ? 0 : -1;
+    
+    if (this.loadingNodes.has(node.id)) {
+      element.setAttribute('aria-busy', 'true');
+    }
+    
+    if (this.filterMatches?.has(node.id)) {
+      element.classList.add('tree-node-match');
+    }
+    
+    if (this.options.selectionMode === 'checkbox') {
+      element.setAttribute('aria-checked', this.getCheckState(node));
+    } else if (this.options.selectionMode !== 'none') {
+      element.setAttribute('aria-selected', this.selectedNodes.has(node.id));
+    }
+    
+    // Highlight if selected
+    if (this.selectedNodes.has(node.id)) {
+      element.classList.add('tree-node-selected');
+    }
+  }
+
+  /**
+   * Creates the row content (toggle, icon and label) for a node
+   * @param {Object} node - Node data
+   * @param {number} level - Nesting level
+   * @returns {HTMLElement} Node content element
+   */
+  createNodeContent(node, level) {
     // Create node content container
     const content = document.createElement('div');
     content.classList.add('tree-node-content');
@@ -127,25 +244,25 @@ class TreeView {
     const icon = document.createElement('span');
     icon.classList.add('tree-node-icon');
     
-    if (node.children && node.children.length > 0) {
+    if (this.loadingNodes.has(node.id)) {
+      icon.textContent = this.options.iconClosed;
+      toggle.textContent = '⟳';
+      toggle.classList.add('tree-node-loading');
+    } else if (this.isExpandable(node)) {
       // Has children - determine if expanded
       const isExpanded = this.expandedNodes.has(node.id);
       icon.textContent = isExpanded ? this.options.iconOpen : this.options.iconClosed;
       toggle.textContent = isExpanded ? '▼' : '▶';
-      li.setAttribute('aria-expanded', isExpanded);
     } else {
       // Leaf node
       icon.textContent = node.icon || this.options.iconFile;
       toggle.textContent = '・';
-      li.setAttribute('aria-expanded', 'false');
     }
     
     // Create label
     const label = document.createElement('span');
     label.classList.add('tree-node-label');
-    label.textContent = node.label || node.name || node.title || node.text;
-    label.setAttribute('role', 'button');
-    label.setAttribute('tabindex', '0');
+    this.renderLabel(label, node);
     
     // Add click handlers
     toggle.addEventListener('click', (e) => {
@@ -178,31 +295,173 @@ class TreeView {
     
     // Add elements to content
     content.appendChild(toggle);
+    if (this.options.selectionMode === 'checkbox') content.appendChild(this.createNodeCheckbox(node));
     if (this.options.showIcons) content.appendChild(icon);
     content.appendChild(label);
     
-    li.appendChild(content);
+    return content;
+  }
+
+  /**
+   * Writes a node's label, highlighting the part matching a text filter
+   * @param {HTMLElement} label - Label element
+   * @param {Object} node - Node data
+   */
+  renderLabel(label, node) {
+    const text = this.getNodeLabel(node);
+    const index = this.filterQuery && this.filterMatches?.has(node.id) ?
+      text.toLowerCase().indexOf(this.filterQuery) : -1;
+    
+    if (index === -1) {
+      label.textContent = text;
+      return;
+    }
     
-    // Add children if expanded
-    if (node.children && node.children.length > 0 && this.expandedNodes.has(node.id)) {
-      const childrenUl = document.createElement('ul');
-      childrenUl.classList.add('tree-node-children');
-      childrenUl.setAttribute('role', 'group');
-      
-      node.children.forEach(child => {
-        const childLi = this.createNodeElement(child, level + 1);
-        childrenUl.appendChild(childLi);
-      });
-      
-      li.appendChild(childrenUl);
+    const mark = document.createElement('mark');
+    mark.classList.add('tree-node-highlight');
+    mark.textContent = text.slice(index, index + this.filterQuery.length);
+    label.append(text.slice(0, index), mark, text.slice(index + this.filterQuery.length));
+  }
+
+  /**
+   * Creates the tri-state checkbox for a node in `checkbox` selection mode
+   * @param {Object} node - Node data
+   * @returns {HTMLInputElement} Checkbox element
+   */
+  createNodeCheckbox(node) {
+    const state = this.getCheckState(node);
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.classList.add('tree-node-checkbox');
+    checkbox.checked = state === 'true';
+    checkbox.indeterminate = state === 'mixed';
+    checkbox.tabIndex = -1;
+    // The state is announced through aria-checked on the treeitem
+    checkbox.setAttribute('aria-hidden', 'true');
+    
+    checkbox.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.focusNode(node, false);
+      this.setNodeChecked(node, checkbox.checked);
+    });
+    
+    return checkbox;
+  }
+
+  /**
+   * Creates the loading or error indicator shown in place of a node's children
+   * @param {Object} node - Node whose children are loading
+   * @param {number} level - Nesting level of the indicator
+   * @returns {HTMLElement} Status element
+   */
+  createNodeStatus(node, level) {
+    const status = document.createElement('div');
+    status.classList.add('tree-node-status');
+    status.style.paddingLeft = `${level * 20 + 12}px`;
+    
+    const error = this.loadErrors.get(node.id);
+    if (!error) {
+      status.setAttribute('role', 'status');
+      status.textContent = this.options.loadingText;
+      return status;
     }
     
-    // Highlight if selected
-    if (this.selectedNodes.has(node.id)) {
-      li.classList.add('tree-node-selected');
+    status.classList.add('tree-node-error');
+    status.setAttribute('role', 'alert');
+    status.textContent = `${this.options.errorText}${error.message ? `: ${error.message}` : ''} `;
+    
+    const retry = document.createElement('button');
+    retry.type = 'button';
+    retry.classList.add('tree-node-retry');
+    retry.textContent = 'Retry';
+    retry.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.loadNodeChildren(node);
+    });
+    status.appendChild(retry);
+    
+    return status;
+  }
+
+  /**
+   * Gets the display label of a node
+   * @param {Object} node - Node data
+   * @returns {string} Node label
+   */
+  getNodeLabel(node) {
+    return node.label || node.name || node.title || node.text || '';
+  }
+
+  /**
+   * Creates the scroll container used when `virtualize` is enabled
+   */
+  createVirtualRoot() {
+    if (typeof VirtualScroll === 'undefined') {
+      throw new Error('TreeView virtualization requires VirtualScroll (modules/virtual-scroll-module.js)');
     }
     
-    return li;
+    this.rootNode = document.createElement('div');
+    this.rootNode.classList.add('tree-root', 'tree-root-virtual');
+    this.rootNode.style.height = `${this.options.height}px`;
+    this.container.appendChild(this.rootNode);
+    
+    // The container scrolls inside VirtualScroll instead
+    this.container.style.maxHeight = 'none';
+    this.container.style.overflow = 'hidden';
+    
+    this.virtualScroll = new VirtualScroll(this.rootNode, {
+      itemHeight: this.options.itemHeight,
+      data: [],
+      keyField: 'key',
+      renderItem: (item) => this.createVirtualItem(item)
+    });
+  }
+
+  /**
+   * Flattens the expanded part of the tree into render order
+   * @returns {Array<Object>} Items as { key, node, level, status }
+   */
+  flattenVisibleNodes() {
+    const items = [];
+    
+    const walk = (nodes, level) => {
+      this.getVisibleChildren(nodes).forEach(node => {
+        if (!node.id) node.id = this.generateNodeId();
+        items.push({ key: node.id, node, level });
+        
+        if (!this.isExpandable(node) || !this.expandedNodes.has(node.id)) return;
+        
+        if (this.loadingNodes.has(node.id) || this.loadErrors.has(node.id)) {
+          items.push({ key: `${node.id}:status`, node, level: level + 1, status: true });
+        } else {
+          walk(node.children, level + 1);
+        }
+      });
+    };
+    
+    walk(this.data, 0);
+    return items;
+  }
+
+  /**
+   * Creates the element for a flattened item in the virtualized list
+   * @param {Object} item - Item from flattenVisibleNodes()
+   * @returns {HTMLElement} Item element
+   */
+  createVirtualItem(item) {
+    if (item.status) {
+      const status = this.createNodeStatus(item.node, item.level);
+      status.style.height = `${this.options.itemHeight}px`;
+      return status;
+    }
+    
+    const element = document.createElement('div');
+    element.style.height = `${this.options.itemHeight}px`;
+    this.setupNodeItem(element, item.node, item.level);
+    element.appendChild(this.createNodeContent(item.node, item.level));
+    
+    return element;
   }
 
   /**
@@ -211,12 +470,98 @@ class TreeView {
    */
   expandNode(node) {
     this.expandedNodes.add(node.id);
-    this.updateNode(node);
+    
+    const pending = this.needsChildren(node) ? this.loadNodeChildren(node) : null;
+    if (!pending) {
+      this.updateNode(node);
+    }
     
     // Trigger callback
     if (this.options.onNodeExpand) {
       this.options.onNodeExpand(node);
     }
+    
+    return pending;
+  }
+
+  /**
+   * Checks whether a node's children still have to be fetched with `loadChildren`
+   * @param {Object} node - Node to check
+   * @returns {boolean} Whether the children are pending
+   */
+  needsChildren(node) {
+    return Boolean(this.options.loadChildren) && node.hasChildren === true && !this.hasChildren(node);
+  }
+
+  /**
+   * Checks whether a node can be expanded (has children, or children that can be loaded)
+   * @param {Object} node - Node to check
+   * @returns {boolean} Whether the node is expandable
+   */
+  isExpandable(node) {
+    if (this.filterVisible && this.hasChildren(node)) {
+      return node.children.some(child => this.filterVisible.has(child.id));
+    }
+    
+    return this.hasChildren(node) || this.needsChildren(node) ||
+      this.loadingNodes.has(node.id) || this.loadErrors.has(node.id);
+  }
+
+  /**
+   * Fetches a node's children with the `loadChildren` option
+   * Concurrent calls for the same node share one request
+   * @param {Object} node - Node to load children for
+   * @returns {Promise<Array>} Resolves with the loaded children
+   */
+  loadNodeChildren(node) {
+    if (this.loadingNodes.has(node.id)) {
+      return this.loadingNodes.get(node.id);
+    }
+    
+    this.loadErrors.delete(node.id);
+    
+    // Deferred so the loading state is in place even if loadChildren throws synchronously
+    const promise = Promise.resolve().then(() => this.fetchNodeChildren(node));
+    this.loadingNodes.set(node.id, promise);
+    this.updateNode(node);
+    
+    return promise;
+  }
+
+  /**
+   * Runs `loadChildren` for a node and stores the result or error
+   * @param {Object} node - Node to load children for
+   * @returns {Promise<Array>} Resolves with the loaded children (empty on error)
+   */
+  async fetchNodeChildren(node) {
+    try {
+      const children = await this.options.loadChildren(node);
+      
+      node.children = Array.isArray(children) ? children : [];
+      node.hasChildren = node.children.length > 0;
+      
+      // Children of a checked node start out checked
+      if (this.checkedNodes.has(node.id)) {
+        this.markChecked(node.children, true);
+      }
+      
+      if (this.options.onNodeLoad) {
+        this.options.onNodeLoad(node, node.children);
+      }
+      
+      return node.children;
+    } catch (error) {
+      this.loadErrors.set(node.id, error);
+      
+      if (this.options.onNodeLoadError) {
+        this.options.onNodeLoadError(node, error);
+      }
+      
+      return [];
+    } finally {
+      this.loadingNodes.delete(node.id);
+      this.updateNode(node);
+    }
   }
 
   /**
@@ -225,6 +570,7 @@ class TreeView {
    */
   collapseNode(node) {
     this.expandedNodes.delete(node.id);
+    this.loadErrors.delete(node.id);
     this.updateNode(node);
     
     // Collapse all children recursively
@@ -266,23 +612,58 @@ class TreeView {
    * @param {Object} node - Node to update
    */
   updateNode(node) {
-    const nodeElement = this.container.querySelector(`[data-node-id="${node.id}"]`);
+    if (this.virtualScroll || this.filterPredicate) {
+      this.render();
+      return;
+    }
+    
+    this.checkStates = null;
+    
+    const nodeElement = this.getNodeElement(node.id);
     if (nodeElement) {
-      nodeElement.remove();
+      const hadFocus = nodeElement.contains(document.activeElement);
       
-      // Find parent element to insert after
-      const parent = this.findNodeParent(node.id);
-      if (parent) {
-        const newElement = this.createNodeElement(node, this.getNodeLevel(node.id));
-        parent.appendChild(newElement);
-      } else {
-        // If no parent found, it's a top-level node
-        const newElement = this.createNodeElement(node, 0);
-        this.rootNode.appendChild(newElement);
+      // Replace in place so the node keeps its position among its siblings
+      const newElement = this.createNodeElement(node, Math.max(this.getNodeLevel(node.id), 0));
+      nodeElement.replaceWith(newElement);
+      
+      this.ensureTabStop();
+      if (hadFocus) {
+        this.getNodeElement(this.focusedNodeId)?.focus();
       }
     }
   }
 
+  /**
+   * Gets the rendered element of a node
+   * @param {string} nodeId - Node ID
+   * @returns {HTMLElement|null} Node element, or null if it isn't rendered
+   */
+  getNodeElement(nodeId) {
+    if (nodeId === null || nodeId === undefined) return null;
+    return this.container.querySelector(`[data-node-id="${nodeId}"]`);
+  }
+
+  /**
+   * Finds the parent node of a node in the data
+   * @param {string} nodeId - ID of the child node
+   * @returns {Object|null} Parent node, or null for top-level nodes
+   */
+  getParentNode(nodeId) {
+    const search = (nodes, parent) => {
+      for (const node of nodes) {
+        if (node.id === nodeId) return parent;
+        if (node.children) {
+          const found = search(node.children, node);
+          if (found !== undefined) return found;
+        }
+      }
+      return undefined;
+    };
+    
+    return search(this.data, null) || null;
+  }
+
   /**
    * Finds the parent of a node
    * @param {string} nodeId - ID of the node to find parent for
@@ -335,8 +716,10 @@ class TreeView {
    * @param {Event} e - Event object
    */
   handleNodeClick(node, e) {
-    // Handle selection
-    if (this.options.selectionMode !== 'none') {
+    this.focusNode(node, false);
+    
+    // Handle selection (checkbox mode selects through the checkboxes)
+    if (!['none', 'checkbox'].includes(this.options.selectionMode)) {
       if (this.options.selectionMode === 'multiple' && (e.ctrlKey || e.metaKey)) {
         // Toggle selection for multiple selection
         if (this.selectedNodes.has(node.id)) {
@@ -369,7 +752,7 @@ class TreeView {
    * @param {Event} e - Event object
    */
   handleNodeDoubleClick(node, e) {
-    if (this.options.expandOnClick || (node.children && node.children.length > 0)) {
+    if (this.options.expandOnClick || this.isExpandable(node)) {
       this.toggleNode(node);
     }
     
@@ -648,53 +1031,217 @@ class TreeView {
   }
 
   /**
-   * Handles keyboard navigation
+   * Handles keyboard navigation following the WAI-ARIA treeview pattern
    * @param {Event} e - Keyboard event
    */
   handleKeyboardNavigation(e) {
-    const selectedNodes = Array.from(this.selectedNodes);
-    if (selectedNodes.length === 0) return;
-    
-    const currentId = selectedNodes[selectedNodes.length - 1]; // Use last selected
-    const currentNode = this.findNodeById(currentId);
-    if (!currentNode) return;
+    // Leave keys alone while typing in a field inside the tree
+    if (e.target.matches('input:not(.tree-node-checkbox), textarea, select, [contenteditable="true"]')) return;
+    
+    const visibleNodes = this.getVisibleNodes();
+    if (visibleNodes.length === 0) return;
+    
+    // Keys act on the treeitem that has DOM focus, even if it was focused without a click
+    const targetId = e.target.closest('.tree-node')?.dataset.nodeId;
+    const lastSelectedId = Array.from(this.selectedNodes).pop();
+    const currentNode = visibleNodes.find(node => node.id === targetId) ||
+      visibleNodes.find(node => node.id === this.focusedNodeId) ||
+      visibleNodes.find(node => node.id === lastSelectedId) ||
+      visibleNodes[0];
+    const index = visibleNodes.indexOf(currentNode);
+    const extend = e.shiftKey && this.options.selectionMode === 'multiple';
     
     switch (e.key) {
       case 'ArrowDown':
         e.preventDefault();
-        this.selectNextNode(currentNode);
+        this.moveFocus(visibleNodes[index + 1], extend);
         break;
       case 'ArrowUp':
         e.preventDefault();
-        this.selectPreviousNode(currentNode);
+        this.moveFocus(visibleNodes[index - 1], extend);
         break;
       case 'ArrowRight':
         e.preventDefault();
-        if (this.hasChildren(currentNode) && !this.isExpanded(currentNode)) {
+        if (this.isExpandable(currentNode) && !this.isExpanded(currentNode)) {
+          this.focusNode(currentNode, false);
           this.expandNode(currentNode);
-        } else if (this.hasChildren(currentNode) && this.isExpanded(currentNode)) {
-          this.selectFirstChild(currentNode);
+        } else if (this.isExpanded(currentNode) && this.hasChildren(currentNode)) {
+          this.moveFocus(this.getVisibleChildren(currentNode.children)[0]);
         }
         break;
       case 'ArrowLeft':
         e.preventDefault();
-        if (this.isExpanded(currentNode)) {
+        if (this.isExpandable(currentNode) && this.isExpanded(currentNode)) {
+          this.focusNode(currentNode, false);
           this.collapseNode(currentNode);
         } else {
-          this.selectParentNode(currentNode);
+          this.moveFocus(this.getParentNode(currentNode.id));
         }
         break;
+      case 'Home':
+        e.preventDefault();
+        this.moveFocus(visibleNodes[0], extend);
+        break;
+      case 'End':
+        e.preventDefault();
+        this.moveFocus(visibleNodes[visibleNodes.length - 1], extend);
+        break;
       case 'Enter':
-      case ' ':
         e.preventDefault();
         this.handleNodeClick(currentNode, e);
+        if (this.isExpandable(currentNode)) {
+          this.toggleNode(currentNode);
+        }
+        break;
+      case ' ':
+        // A space inside a type-ahead search is part of the label
+        if (this.typeAheadBuffer) {
+          this.typeAhead(e.key, visibleNodes, index);
+          break;
+        }
+        
+        e.preventDefault();
+        if (this.options.selectionMode === 'checkbox') {
+          this.toggleNodeChecked(currentNode);
+        } else {
+          this.handleNodeClick(currentNode, e);
+        }
         break;
       case '*':
         e.preventDefault();
-        // Expand all children
-        this.expandAllChildren(currentNode);
+        this.expandSiblings(currentNode);
         break;
+      default:
+        if ((e.key === 'a' || e.key === 'A') && (e.ctrlKey || e.metaKey) && this.options.selectionMode === 'multiple') {
+          e.preventDefault();
+          visibleNodes.forEach(node => this.selectedNodes.add(node.id));
+          this.updateSelectionDisplay();
+        } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+          this.typeAhead(e.key, visibleNodes, index);
+        }
+    }
+  }
+
+  /**
+   * Moves keyboard focus to a node; selection follows focus in single selection mode
+   * @param {Object} node - Node to focus
+   * @param {boolean} extend - Add the node to the selection (shift + arrow in multiple mode)
+   */
+  moveFocus(node, extend = false) {
+    if (!node) return;
+    
+    if (this.options.selectionMode === 'single') {
+      this.selectNode(node);
+    } else if (extend) {
+      this.selectedNodes.add(node.id);
+      this.updateSelectionDisplay();
+    }
+    
+    this.focusNode(node);
+  }
+
+  /**
+   * Makes a node the tree's tab stop and optionally focuses it
+   * @param {Object} node - Node to focus
+   * @param {boolean} moveFocus - Whether to move DOM focus to the node
+   */
+  focusNode(node, moveFocus = true) {
+    this.focusedNodeId = node.id;
+    
+    if (moveFocus && this.virtualScroll) {
+      this.scrollToNode(node);
     }
+    
+    this.rootNode.querySelectorAll('.tree-node[tabindex="0"]').forEach(element => {
+      element.tabIndex = -1;
+    });
+    
+    const element = this.getNodeElement(node.id);
+    if (element) {
+      element.tabIndex = 0;
+      if (moveFocus) element.focus();
+    }
+  }
+
+  /**
+   * Ensures one rendered node is reachable with Tab
+   */
+  ensureTabStop() {
+    if (this.rootNode.querySelector('.tree-node[tabindex="0"]')) return;
+    
+    const first = this.rootNode.querySelector('.tree-node');
+    if (first) first.tabIndex = 0;
+  }
+
+  /**
+   * Scrolls the virtualized list just enough to show a node, rendering it synchronously
+   * @param {Object} node - Node to show
+   */
+  scrollToNode(node) {
+    const index = this.flatNodes.findIndex(item => item.node === node && !item.status);
+    if (index === -1) return;
+    
+    const { scrollContainer } = this.virtualScroll;
+    const top = index * this.options.itemHeight;
+    const bottom = top + this.options.itemHeight;
+    
+    if (top < scrollContainer.scrollTop) {
+      scrollContainer.scrollTop = top;
+    } else if (bottom > scrollContainer.scrollTop + scrollContainer.clientHeight) {
+      scrollContainer.scrollTop = bottom - scrollContainer.clientHeight;
+    }
+    
+    this.virtualScroll.handleScroll();
+  }
+
+  /**
+   * Focuses the next visible node whose label starts with the typed characters
+   * @param {string} char - Typed character
+   * @param {Array<Object>} visibleNodes - Visible nodes in order
+   * @param {number} index - Index of the focused node
+   */
+  typeAhead(char, visibleNodes, index) {
+    clearTimeout(this.typeAheadTimeout);
+    this.typeAheadBuffer += char.toLowerCase();
+    this.typeAheadTimeout = setTimeout(() => {
+      this.typeAheadBuffer = '';
+    }, this.options.typeAheadDelay);
+    
+    // Repeating one character cycles through the nodes starting with it
+    const search = /^(.)\1+$/.test(this.typeAheadBuffer) ? this.typeAheadBuffer[0] : this.typeAheadBuffer;
+    const start = search.length === 1 ? index + 1 : index;
+    
+    for (let i = 0; i < visibleNodes.length; i++) {
+      const node = visibleNodes[(start + i) % visibleNodes.length];
+      if (this.getNodeLabel(node).toLowerCase().startsWith(search)) {
+        this.moveFocus(node);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Expands every sibling of a node (including the node itself)
+   * @param {Object} node - Node whose siblings to expand
+   */
+  expandSiblings(node) {
+    const parent = this.getParentNode(node.id);
+    const siblings = this.getVisibleChildren(parent ? parent.children : this.data);
+    
+    siblings.forEach(sibling => {
+      if (this.isExpandable(sibling) && !this.isExpanded(sibling)) {
+        this.expandNode(sibling);
+      }
+    });
+  }
+
+  /**
+   * Gets the nodes currently shown, in display order
+   * @returns {Array<Object>} Visible nodes
+   */
+  getVisibleNodes() {
+    const items = this.virtualScroll ? this.flatNodes : this.flattenVisibleNodes();
+    return items.filter(item => !item.status).map(item => item.node);
   }
 
   /**
@@ -740,15 +1287,10 @@ class TreeView {
    * @param {Object} currentNode - Current node
    */
   selectNextNode(currentNode) {
-    // Implementation would find and select the next node in visual order
-    // Simplified implementation skips to next sibling
-    const parent = this.findNodeParent(currentNode.id);
-    if (parent && parent.children) {
-      const currentIndex = parent.children.findIndex(child => child.id === currentNode.id);
-      if (currentIndex < parent.children.length - 1) {
-        const nextNode = parent.children[currentIndex + 1];
-        this.selectNode(nextNode);
-      }
+    const visibleNodes = this.getVisibleNodes();
+    const nextNode = visibleNodes[visibleNodes.indexOf(currentNode) + 1];
+    if (nextNode) {
+      this.selectNode(nextNode);
     }
   }
 
@@ -757,15 +1299,10 @@ class TreeView {
    * @param {Object} currentNode - Current node
    */
   selectPreviousNode(currentNode) {
-    // Implementation would find and select the previous node in visual order
-    // Simplified implementation skips to previous sibling
-    const parent = this.findNodeParent(currentNode.id);
-    if (parent && parent.children) {
-      const currentIndex = parent.children.findIndex(child => child.id === currentNode.id);
-      if (currentIndex > 0) {
-        const prevNode = parent.children[currentIndex - 1];
-        this.selectNode(prevNode);
-      }
+    const visibleNodes = this.getVisibleNodes();
+    const index = visibleNodes.indexOf(currentNode);
+    if (index > 0) {
+      this.selectNode(visibleNodes[index - 1]);
     }
   }
 
@@ -784,7 +1321,7 @@ class TreeView {
    * @param {Object} childNode - Child node
    */
   selectParentNode(childNode) {
-    const parent = this.findNodeParent(childNode.id);
+    const parent = this.getParentNode(childNode.id);
     if (parent) {
       this.selectNode(parent);
     }
@@ -805,6 +1342,11 @@ class TreeView {
     this.updateSelectionDisplay();
     
     // Scroll to node if needed
+    if (this.virtualScroll) {
+      this.scrollToNode(node);
+      return;
+    }
+    
     const nodeElement = this.container.querySelector(`[data-node-id="${node.id}"]`);
     if (nodeElement) {
       nodeElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -817,13 +1359,18 @@ class TreeView {
   updateSelectionDisplay() {
     // Remove all selection indicators
     const allNodes = this.container.querySelectorAll('.tree-node');
-    allNodes.forEach(node => node.classList.remove('tree-node-selected'));
+    const trackSelection = !['none', 'checkbox'].includes(this.options.selectionMode);
+    allNodes.forEach(node => {
+      node.classList.remove('tree-node-selected');
+      if (trackSelection) node.setAttribute('aria-selected', 'false');
+    });
     
     // Add selection indicator to selected nodes
     this.selectedNodes.forEach(nodeId => {
-      const nodeElement = this.container.querySelector(`[data-node-id="${nodeId}"]`);
+      const nodeElement = this.getNodeElement(nodeId);
       if (nodeElement) {
         nodeElement.classList.add('tree-node-selected');
+        if (trackSelection) nodeElement.setAttribute('aria-selected', 'true');
       }
     });
   }
@@ -884,6 +1431,24 @@ class TreeView {
     }
   }
 
+  /**
+   * Checks whether a node matches a search criteria
+   * @param {Object} node - Node to check
+   * @param {Function|string} predicate - Search function or string to match
+   * @returns {boolean} Whether the node matches
+   */
+  matchesNode(node, predicate) {
+    if (typeof predicate === 'function') {
+      return Boolean(predicate(node));
+    }
+    
+    if (typeof predicate === 'string') {
+      return this.getNodeLabel(node).toLowerCase().includes(predicate.toLowerCase());
+    }
+    
+    return false;
+  }
+
   /**
    * Finds nodes matching a search criteria
    * @param {Function|string} predicate - Search function or string to match
@@ -894,16 +1459,7 @@ class TreeView {
     
     const search = (nodes) => {
       for (const node of nodes) {
-        // Check if node matches predicate
-        let matches = false;
-        if (typeof predicate === 'function') {
-          matches = predicate(node);
-        } else if (typeof predicate === 'string') {
-          const searchText = predicate.toLowerCase();
-          matches = (node.label || node.name || node.title || node.text || '').toLowerCase().includes(searchText);
-        }
-        
-        if (matches) {
+        if (this.matchesNode(node, predicate)) {
           results.push(node);
         }
         
@@ -919,52 +1475,191 @@ class TreeView {
   }
 
   /**
-   * Filters the tree to show only matching nodes
-   * @param {Function|string} predicate - Filter function or string to match
+   * Filters the tree to show only matching nodes and their ancestors
+   * Ancestors of matches are expanded; clearing the filter restores the previous expansion.
+   * Children that haven't been loaded with `loadChildren` are not searched.
+   * @param {Function|string} predicate - Filter function or string to match (empty clears the filter)
+   * @returns {Array} Array of matching nodes
    */
   filter(predicate) {
-    const matchingNodes = this.findNodes(predicate);
-    
-    // Collapse all nodes first
-    this.collapseAll();
-    
-    // Expand nodes that have matching descendants
-    const expandMatchingPaths = (nodes) => {
-      return nodes.some(node => {
-        // Check if this node matches
-        let matches = false;
-        if (typeof predicate === 'function') {
-          matches = predicate(node);
-        } else if (typeof predicate === 'string') {
-          const searchText = predicate.toLowerCase();
-          matches = (node.label || node.name || node.title || node.text || '').toLowerCase().includes(searchText);
-        }
+    if (predicate === null || predicate === undefined || predicate === '') {
+      this.clearFilter();
+      return [];
+    }
+    
+    if (!this.filterPredicate) {
+      this.expandedBeforeFilter = new Set(this.expandedNodes);
+    }
+    
+    this.filterPredicate = predicate;
+    this.filterQuery = typeof predicate === 'string' ? predicate.toLowerCase() : '';
+    const ancestorIds = this.computeFilter();
+    
+    // Expand the ancestors of every match so the matches are shown
+    this.expandedNodes = new Set([...this.expandedBeforeFilter, ...ancestorIds]);
+    
+    this.render();
+    return Array.from(this.filterMatches).map(id => this.findNodeById(id)).filter(Boolean);
+  }
+
+  /**
+   * Removes the active filter
+   */
+  clearFilter() {
+    if (!this.filterPredicate) return;
+    
+    this.filterPredicate = null;
+    this.filterQuery = '';
+    this.filterMatches = null;
+    this.filterVisible = null;
+    this.expandedNodes = this.expandedBeforeFilter || new Set();
+    this.expandedBeforeFilter = null;
+    this.render();
+  }
+
+  /**
+   * Recomputes which nodes match the active filter and which stay visible
+   * @returns {Array<string>} IDs of the nodes that have visible descendants
+   */
+  computeFilter() {
+    this.filterMatches = new Set();
+    this.filterVisible = new Set();
+    const ancestorIds = [];
+    
+    const walk = (nodes) => {
+      let anyVisible = false;
+      
+      nodes.forEach(node => {
+        if (!node.id) node.id = this.generateNodeId();
         
-        let childMatches = false;
-        if (node.children) {
-          childMatches = expandMatchingPaths(node.children);
-        }
+        const matches = this.matchesNode(node, this.filterPredicate);
+        const hasVisibleChild = node.children ? walk(node.children) : false;
         
-        // If node or child matches, expand this node
-        if (matches || childMatches) {
-          this.expandedNodes.add(node.id);
+        if (matches) this.filterMatches.add(node.id);
+        if (hasVisibleChild) ancestorIds.push(node.id);
+        if (matches || hasVisibleChild) {
+          this.filterVisible.add(node.id);
+          anyVisible = true;
         }
-        
-        return matches || childMatches;
       });
+      
+      return anyVisible;
     };
     
-    expandMatchingPaths(this.data);
+    walk(this.data);
+    return ancestorIds;
+  }
+
+  /**
+   * Gets the nodes of a list that pass the active filter
+   * @param {Array<Object>} nodes - Sibling nodes
+   * @returns {Array<Object>} Visible nodes
+   */
+  getVisibleChildren(nodes) {
+    return this.filterVisible ? nodes.filter(node => this.filterVisible.has(node.id)) : nodes;
+  }
+
+  /**
+   * Gets a node's checkbox state
+   * Parent state is derived from the children; leaves (and unloaded nodes) are checked directly
+   * @param {Object} node - Node data
+   * @returns {string} 'true', 'false' or 'mixed'
+   */
+  getCheckState(node) {
+    if (!this.checkStates) {
+      this.checkStates = new Map();
+      
+      const walk = (target) => {
+        let state;
+        
+        if (this.hasChildren(target)) {
+          const childStates = target.children.map(walk);
+          if (childStates.every(childState => childState === 'true')) {
+            state = 'true';
+          } else if (childStates.every(childState => childState === 'false')) {
+            state = 'false';
+          } else {
+            state = 'mixed';
+          }
+        } else {
+          state = this.checkedNodes.has(target.id) ? 'true' : 'false';
+        }
+        
+        this.checkStates.set(target.id, state);
+        return state;
+      };
+      
+      this.data.forEach(walk);
+    }
+    
+    return this.checkStates.get(node.id) || 'false';
+  }
+
+  /**
+   * Checks or unchecks a node and all of its descendants
+   * @param {Object} node - Node to update
+   * @param {boolean} checked - Whether the node should be checked
+   */
+  setNodeChecked(node, checked) {
+    this.markChecked([node], checked);
     this.render();
     
-    // Select matched nodes if in selection mode
-    if (this.options.selectionMode !== 'none') {
-      this.clearSelection();
-      matchingNodes.forEach(node => this.selectedNodes.add(node.id));
-      this.updateSelectionDisplay();
+    // Trigger callback
+    if (this.options.onNodeCheck) {
+      this.options.onNodeCheck(node, checked, this.getCheckedNodes());
     }
   }
 
+  /**
+   * Toggles a node's checkbox; mixed nodes become checked
+   * @param {Object} node - Node to toggle
+   */
+  toggleNodeChecked(node) {
+    this.setNodeChecked(node, this.getCheckState(node) !== 'true');
+  }
+
+  /**
+   * Records the checked state of nodes and their descendants
+   * @param {Array<Object>} nodes - Nodes to update
+   * @param {boolean} checked - Whether the nodes are checked
+   */
+  markChecked(nodes, checked) {
+    nodes.forEach(node => {
+      if (!node.id) node.id = this.generateNodeId();
+      
+      if (checked) {
+        this.checkedNodes.add(node.id);
+      } else {
+        this.checkedNodes.delete(node.id);
+      }
+      
+      if (node.children) {
+        this.markChecked(node.children, checked);
+      }
+    });
+  }
+
+  /**
+   * Gets the fully checked nodes
+   * @param {boolean} leavesOnly - Only return nodes without children
+   * @returns {Array<Object>} Checked nodes
+   */
+  getCheckedNodes(leavesOnly = false) {
+    const results = [];
+    
+    const search = (nodes) => {
+      nodes.forEach(node => {
+        if (this.getCheckState(node) === 'true' && (!leavesOnly || !this.hasChildren(node))) {
+          results.push(node);
+        }
+        if (node.children) search(node.children);
+      });
+    };
+    
+    search(this.data);
+    return results;
+  }
+
   /**
    * Adds a new node to the tree
    * @param {Object} nodeData - Node data to add
@@ -1082,6 +1777,15 @@ class TreeView {
     this.data = data;
     this.clearSelection();
     this.expandedNodes.clear();
+    this.loadingNodes.clear();
+    this.loadErrors.clear();
+    this.checkedNodes.clear();
+    this.focusedNodeId = null;
+    this.filterPredicate = null;
+    this.filterQuery = '';
+    this.filterMatches = null;
+    this.filterVisible = null;
+    this.expandedBeforeFilter = null;
     this.render();
   }
 
@@ -1193,6 +1897,26 @@ class TreeView {
         transition: background-color 0.2s ease;
       }
       
+      .tree-node:focus {
+        outline: none;
+      }
+      
+      .tree-node:focus-visible > .tree-node-content {
+        outline: 2px solid var(--jazer-cyan, #00f2ea);
+        outline-offset: -2px;
+      }
+      
+      .tree-node-checkbox {
+        margin: 0 8px 0 0;
+        accent-color: var(--jazer-cyan, #00f2ea);
+      }
+      
+      .tree-node-highlight {
+        background: var(--jazer-cyan, #00f2ea);
+        color: var(--text-dark, #000);
+        border-radius: 2px;
+      }
+      
       .tree-node-content:hover {
         background: var(--bg-darker, #111);
       }
@@ -1226,6 +1950,43 @@ class TreeView {
         padding-left: 20px;
       }
       
+      .tree-root-virtual .tree-node-content {
+        height: 100%;
+        box-sizing: border-box;
+      }
+      
+      .tree-node-loading {
+        display: inline-block;
+        animation: tree-node-spin 1s linear infinite;
+      }
+      
+      @keyframes tree-node-spin {
+        to { transform: rotate(360deg); }
+      }
+      
+      .tree-node-status {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 4px 12px;
+        font-size: 0.9em;
+        color: var(--text-muted, #888);
+        box-sizing: border-box;
+      }
+      
+      .tree-node-error {
+        color: var(--jazer-pink, #ff4444);
+      }
+      
+      .tree-node-retry {
+        background: none;
+        border: 1px solid currentColor;
+        border-radius: 4px;
+        color: inherit;
+        cursor: pointer;
+        padding: 2px 8px;
+      }
+      
       .tree-node-drop-target {
         background: var(--bg-darker, #111);
         border-left: 3px solid var(--jazer-cyan, #00f2ea);
@@ -1270,6 +2031,11 @@ class TreeView {
    * Destroys the tree view and cleans up
    */
   destroy() {
+    if (this.virtualScroll) {
+      this.virtualScroll.destroy();
+      this.virtualScroll = null;
+    }
+    
     // Remove container classes
     this.container.classList.remove('tree-view');
     
@@ -1281,6 +2047,10 @@ class TreeView {
     this.data = [];
     this.selectedNodes.clear();
     this.expandedNodes.clear();
+    this.loadingNodes.clear();
+    this.loadErrors.clear();
+    this.checkedNodes.clear();
+    clearTimeout(this.typeAheadTimeout);
   }
 }
 
@@ -1309,7 +2079,8 @@ function initTreeViews(container = document) {
         expandOnDoubleClick: treeContainer.dataset.expandOnDoubleClick !== 'false',
         expandOnClick: treeContainer.dataset.expandOnClick === 'true',
         selectionMode: treeContainer.dataset.selectionMode || 'single',
-        enableContextMenu: treeContainer.dataset.enableContextMenu !== 'false'
+        enableContextMenu: treeContainer.dataset.enableContextMenu !== 'false',
+        virtualize: treeContainer.dataset.virtualize === 'true'
       };
 
       const instance = new TreeView(treeContainer, treeData, options);
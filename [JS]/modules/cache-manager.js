@@ -4,132 +4,655 @@
  * Compatible with jazer-brand.css styling for cache management UI
  */
 
+// Orders items from first to last to evict
+const CACHE_EVICTION_POLICIES = {
+  lru: (a, b) => a.lastAccess - b.lastAccess,
+  lfu: (a, b) => a.hits - b.hits || a.lastAccess - b.lastAccess,
+  fifo: (a, b) => a.timestamp - b.timestamp,
+  // Large items that are rarely read go first
+  size: (a, b) => (a.hits + 1) / a.size - (b.hits + 1) / b.size
+};
+
+// Upper bounds in ms of the load latency histogram buckets
+const CACHE_LATENCY_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, Infinity];
+
 class CacheManager {
   /**
    * Creates a new cache manager instance
+   * Items always live in memory first. `tiers` lists the storage below it, read through on a
+   * memory miss and written through on every set: 'localStorage', 'sessionStorage', 'indexedDB',
+   * 'memory', an adapter, or { type, maxSize, maxBytes } to give a tier its own limits.
    * @param {Object} options - Configuration options
    */
   constructor(options = {}) {
     this.options = {
       maxSize: 100, // Maximum number of items to store
+      maxBytes: null, // Maximum bytes kept in memory, measured with getValueSize()
       defaultTTL: 300000, // Default time-to-live in ms (5 minutes)
       storageEnabled: true, // Whether to use localStorage
       storagePrefix: 'jazer-cache-', // Prefix for storage keys
       maxStorageSize: 10 * 1024 * 1024, // 10MB max storage size
+      tiers: null, // Storage tiers below memory; defaults to localStorage when storageEnabled
+      evictionPolicy: 'lru', // 'lru', 'lfu', 'fifo', 'size' or a compare function
+      channelName: null, // BroadcastChannel name for invalidating other tabs' copies
       ...options
     };
 
     // In-memory cache
     this.cache = new Map();
-    
-    // Track access times for LRU
-    this.accessTimes = new Map();
-    
-    // Initialize storage if enabled
-    this.storage = this.options.storageEnabled && typeof window !== 'undefined' && window.localStorage 
-      ? window.localStorage 
-      : null;
+    this.memoryBytes = 0;
+    this.evictions = 0;
+
+    // Keys of the items in memory by tag, and when each tag was last invalidated
+    this.tagIndex = new Map();
+    this.tagInvalidations = new Map();
+
+    // Loads started by getOrLoad() that haven't settled yet, and its lookups still reading the tiers
+    this.loads = new Map();
+    this.lookups = new Map();
+    this.metrics = this.createMetrics();
+
+    // Storage tiers below memory, fastest first
+    const tiers = this.options.tiers || (this.options.storageEnabled ? ['localStorage'] : []);
+    this.tiers = tiers.map(tier => this.createTier(tier)).filter(Boolean);
+
+    // Other tabs drop their copies of keys changed here
+    this.channel = null;
+    if (this.options.channelName && typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.options.channelName);
+      this.channel.onmessage = (event) => this.handleChannelMessage(event.data);
+    }
     
     // Load from storage if available
     this.loadFromStorage();
   }
 
+  /**
+   * Creates a storage tier
+   * @param {string|Object} spec - Tier name, adapter, or { type, maxSize, maxBytes }
+   * @returns {Object|null} Tier ({ adapter, maxSize, maxBytes }), or null if the storage isn't available
+   */
+  createTier(spec) {
+    const config = typeof spec === 'string' ? { type: spec } : spec;
+    let adapter = config.adapter || (typeof config.get === 'function' ? config : null);
+
+    if (!adapter) {
+      const prefix = this.options.storagePrefix;
+
+      switch (config.type) {
+        case 'memory':
+          adapter = new MemoryStorageAdapter();
+          break;
+        case 'localStorage':
+        case 'sessionStorage':
+          try {
+            adapter = typeof window !== 'undefined' && window[config.type] ?
+              new WebStorageAdapter(window[config.type], prefix, config.type) :
+              null;
+          } catch (e) {
+            // Accessing storage throws when it's blocked
+            adapter = null;
+          }
+          break;
+        case 'indexedDB':
+          adapter = typeof indexedDB !== 'undefined' ? new IndexedDBStorageAdapter(prefix.replace(/-$/, '')) : null;
+          break;
+        default:
+          throw new Error(`Unknown cache tier: ${config.type}`);
+      }
+
+      if (!adapter) {
+        console.warn(`${config.type} is not available, skipping that cache tier`);
+        return null;
+      }
+    }
+
+    // Browser storage tiers default to the maxStorageSize budget
+    const browserStorage = ['localStorage', 'sessionStorage', 'indexedDB'].includes(config.type);
+
+    return {
+      adapter,
+      maxSize: config.maxSize || null,
+      maxBytes: config.maxBytes || (browserStorage ? this.options.maxStorageSize : null)
+    };
+  }
+
   /**
    * Stores a value in the cache
    * @param {string} key - Cache key
    * @param {*} value - Value to store
    * @param {number} ttl - Time-to-live in milliseconds (optional)
+   * @param {Object} options - { staleTtl, tags }; staleTtl keeps the value for getOrLoad() to serve
+   *   while it reloads, tags group items for invalidateTag()
    * @returns {boolean} Whether the operation was successful
    */
-  set(key, value, ttl) {
+  set(key, value, ttl, options = {}) {
     if (!key) return false;
 
-    const expiration = ttl ? Date.now() + ttl : Date.now() + this.options.defaultTTL;
+    const size = this.getValueSize(value);
+    if (this.options.maxBytes && size > this.options.maxBytes) {
+      console.warn(`Cache item "${key}" is larger than maxBytes and was not stored`);
+      return false;
+    }
+
+    const now = Date.now();
+    const staleAt = ttl ? now + ttl : now + this.options.defaultTTL;
+    const staleTtl = options.staleTtl || 0;
     const cacheItem = {
       value,
-      expiration,
-      timestamp: Date.now()
+      expiration: staleAt + staleTtl,
+      timestamp: now,
+      lastAccess: now,
+      hits: 0,
+      size
     };
 
+    if (staleTtl) {
+      cacheItem.staleAt = staleAt;
+    }
+    if (options.tags && options.tags.length) {
+      cacheItem.tags = [...options.tags];
+    }
+
     // Store in memory
-    this.cache.set(key, cacheItem);
-    this.accessTimes.set(key, Date.now());
+    this.setMemoryItem(key, cacheItem);
 
-    // Store in local storage if available
-    if (this.storage) {
-      try {
-        const storageKey = this.options.storagePrefix + key;
-        this.storage.setItem(storageKey, JSON.stringify(cacheItem));
-      } catch (e) {
-        console.warn('Failed to store in localStorage:', e);
-        // If storage fails, continue with in-memory cache
-      }
-    }
+    // Write through to the storage tiers
+    this.tiers.forEach(tier => this.writeTier(tier, key, cacheItem));
+    this.broadcast({ type: 'invalidate', keys: [key] });
 
     // Clean up expired items and enforce size limits
-    this.cleanup();
+    this.cleanup(key);
 
     return true;
   }
 
   /**
    * Gets a value from the cache
+   * Checks memory, then the synchronous storage tiers; use getAsync() to include IndexedDB.
    * @param {string} key - Cache key
    * @returns {*} Cached value or undefined if not found/expired
    */
   get(key) {
     if (!key) return undefined;
 
+    const item = this.lookup(key);
+    this.metrics[item ? 'hits' : 'misses']++;
+
+    return item ? item.value : undefined;
+  }
+
+  /**
+   * Gets a value from the cache, including asynchronous tiers such as IndexedDB
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value or undefined if not found/expired
+   */
+  async getAsync(key) {
+    if (!key) return undefined;
+
+    const item = await this.lookupAsync(key);
+    this.metrics[item ? 'hits' : 'misses']++;
+
+    return item ? item.value : undefined;
+  }
+
+  /**
+   * Gets a value, loading it when it isn't cached
+   * Concurrent calls for the same key share one load. Once the TTL has run out, the old value is
+   * served for another `staleTtl` ms while it's reloaded in the background. Deleting the key or
+   * invalidating one of its tags before the call settles keeps the loaded value out of the cache.
+   * @param {string} key - Cache key
+   * @param {Function} loader - Called with the key, returns the value or a promise of it
+   * @param {Object} options - { ttl, staleTtl, tags } used when storing the loaded value
+   * @returns {Promise<*>} Cached or loaded value
+   */
+  async getOrLoad(key, loader, options = {}) {
+    if (!key) throw new Error('getOrLoad requires a cache key');
+
+    // Registered before the first await, so a delete() or invalidateTag() during the lookup also
+    // keeps the load that follows from caching its value
+    const lookup = { tags: options.tags || [], cancelled: false };
+    if (!this.lookups.has(key)) {
+      this.lookups.set(key, new Set());
+    }
+    this.lookups.get(key).add(lookup);
+
+    let item;
+    try {
+      item = await this.lookupAsync(key, lookup);
+    } finally {
+      const lookups = this.lookups.get(key);
+      if (lookups) {
+        lookups.delete(lookup);
+        if (!lookups.size) {
+          this.lookups.delete(key);
+        }
+      }
+    }
+
+    if (item && (!item.staleAt || Date.now() <= item.staleAt)) {
+      this.metrics.hits++;
+      return item.value;
+    }
+
+    if (item) {
+      this.metrics.stale++;
+      this.loadValue(key, loader, options, lookup).catch(e => console.warn(`Failed to refresh cache item "${key}":`, e));
+      return item.value;
+    }
+
+    this.metrics.misses++;
+    return this.loadValue(key, loader, options, lookup);
+  }
+
+  /**
+   * Runs a loader and caches its value, joining the load already running for the key if there is one
+   * A load whose key is deleted or whose tag is invalidated before it settles still resolves, but
+   * its value isn't cached.
+   * @param {string} key - Cache key
+   * @param {Function} loader - Called with the key, returns the value or a promise of it
+   * @param {Object} options - { ttl, staleTtl, tags }
+   * @param {Object} lookup - getOrLoad() lookup that led to this load, cancelled like the load
+   * @returns {Promise<*>} Loaded value
+   */
+  loadValue(key, loader, options = {}, lookup = null) {
+    const pending = this.loads.get(key);
+    if (pending) {
+      this.metrics.coalesced++;
+      return pending.promise;
+    }
+
+    const load = { tags: options.tags || [], cancelled: false, promise: null };
+    const started = Date.now();
+
+    load.promise = Promise.resolve()
+      .then(() => loader(key))
+      .then(value => {
+        this.recordLoad(Date.now() - started);
+        if (!load.cancelled && !(lookup && lookup.cancelled)) {
+          this.set(key, value, options.ttl, options);
+        }
+        return value;
+      }, error => {
+        this.metrics.loadErrors++;
+        throw error;
+      })
+      .finally(() => {
+        if (this.loads.get(key) === load) {
+          this.loads.delete(key);
+        }
+      });
+
+    this.loads.set(key, load);
+    return load.promise;
+  }
+
+  /**
+   * Stops a running load, and the loads of getOrLoad() lookups still running, from caching their value
+   * @param {string} key - Cache key
+   */
+  cancelLoad(key) {
+    const load = this.loads.get(key);
+    if (load) {
+      load.cancelled = true;
+      this.loads.delete(key);
+    }
+
+    const lookups = this.lookups.get(key);
+    if (lookups) {
+      lookups.forEach(lookup => { lookup.cancelled = true; });
+      this.lookups.delete(key);
+    }
+  }
+
+  /**
+   * Finds an item in memory or the synchronous storage tiers without counting a hit or miss
+   * @param {string} key - Cache key
+   * @returns {Object|undefined} Cache item
+   */
+  lookup(key) {
     // Try memory cache first
     if (this.cache.has(key)) {
       const item = this.cache.get(key);
       
       // Check if expired
       if (Date.now() > item.expiration) {
-        this.delete(key);
+        this.deleteExpired(key);
         return undefined;
       }
 
-      // Update access time for LRU
-      this.accessTimes.set(key, Date.now());
-      return item.value;
+      this.touch(item);
+      return item;
+    }
+
+    // Read through the storage tiers if memory misses
+    for (let i = 0; i < this.tiers.length; i++) {
+      const adapter = this.tiers[i].adapter;
+      if (adapter.async) continue;
+
+      const item = this.readTier(this.tiers[i], key);
+      if (item !== undefined) {
+        return this.promote(key, item, i);
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Finds an item in memory or any storage tier without counting a hit or miss
+   * @param {string} key - Cache key
+   * @param {Object} lookup - getOrLoad() lookup; once it's cancelled, items read from the tiers are ignored
+   * @returns {Promise<Object|undefined>} Cache item
+   */
+  async lookupAsync(key, lookup = null) {
+    if (this.cache.has(key)) {
+      return this.lookup(key);
     }
 
-    // Try storage cache if memory cache fails
-    if (this.storage) {
+    for (let i = 0; i < this.tiers.length; i++) {
+      let item;
       try {
-        const storageKey = this.options.storagePrefix + key;
-        const storedValue = this.storage.getItem(storageKey);
-        
-        if (storedValue) {
-          const item = JSON.parse(storedValue);
-          
-          // Check if expired
-          if (Date.now() > item.expiration) {
-            this.delete(key);
-            return undefined;
-          }
+        item = await this.tiers[i].adapter.get(key);
+      } catch (e) {
+        console.warn('Failed to read cache tier:', e);
+        continue;
+      }
+
+      // The key was deleted while the tier was read, so the item may be the deleted one
+      if (lookup && lookup.cancelled) {
+        return undefined;
+      }
 
-          // Load into memory and return value
-          this.cache.set(key, item);
-          this.accessTimes.set(key, Date.now());
-          return item.value;
+      if (item !== undefined && item !== null) {
+        if (Date.now() > item.expiration || this.isInvalidated(item)) {
+          this.deleteExpired(key);
+          return undefined;
         }
-      } catch (e) {
-        console.warn('Failed to retrieve from localStorage:', e);
+        return this.promote(key, item, i);
       }
     }
 
     return undefined;
   }
 
+  /**
+   * Copies an item found in a storage tier into memory and the tiers above it
+   * @param {string} key - Cache key
+   * @param {Object} item - Cache item
+   * @param {number} tierIndex - Tier the item was found in
+   * @returns {Object} Cache item
+   */
+  promote(key, item, tierIndex) {
+    item.size = item.size || this.getValueSize(item.value);
+    item.hits = item.hits || 0;
+    this.touch(item);
+
+    this.setMemoryItem(key, item);
+    this.tiers.slice(0, tierIndex).forEach(tier => this.writeTier(tier, key, item));
+    this.cleanup(key);
+
+    return item;
+  }
+
+  /**
+   * Records a read for the eviction policies
+   * @param {Object} item - Cache item
+   */
+  touch(item) {
+    item.lastAccess = Date.now();
+    item.hits = (item.hits || 0) + 1;
+  }
+
+  /**
+   * Puts an item in memory, keeping the byte count current
+   * @param {string} key - Cache key
+   * @param {Object} item - Cache item
+   */
+  setMemoryItem(key, item) {
+    const previous = this.cache.get(key);
+    if (previous) {
+      this.memoryBytes -= previous.size || 0;
+      this.indexTags(key, previous.tags, false);
+    }
+
+    this.cache.set(key, item);
+    this.memoryBytes += item.size || 0;
+    this.indexTags(key, item.tags, true);
+  }
+
+  /**
+   * Removes an item from memory only
+   * @param {string} key - Cache key
+   * @returns {boolean} Whether the item was in memory
+   */
+  deleteMemoryItem(key) {
+    const item = this.cache.get(key);
+    if (!item) return false;
+
+    this.memoryBytes -= item.size || 0;
+    this.indexTags(key, item.tags, false);
+    return this.cache.delete(key);
+  }
+
+  /**
+   * Empties memory, keeping the storage tiers
+   */
+  clearMemory() {
+    this.cache.clear();
+    this.tagIndex.clear();
+    this.memoryBytes = 0;
+  }
+
+  /**
+   * Adds a key to or removes it from the tag index
+   * @param {string} key - Cache key
+   * @param {Array} tags - Item tags
+   * @param {boolean} add - Whether to add the key
+   */
+  indexTags(key, tags, add) {
+    if (!tags) return;
+
+    tags.forEach(tag => {
+      let keys = this.tagIndex.get(tag);
+      if (add) {
+        if (!keys) {
+          keys = new Set();
+          this.tagIndex.set(tag, keys);
+        }
+        keys.add(key);
+      } else if (keys) {
+        keys.delete(key);
+        if (!keys.size) {
+          this.tagIndex.delete(tag);
+        }
+      }
+    });
+  }
+
+  /**
+   * Checks whether one of an item's tags was invalidated after the item was stored
+   * Catches copies in asynchronous tiers that invalidateTag() hasn't removed yet.
+   * @param {Object} item - Cache item
+   * @returns {boolean} Whether the item is invalidated
+   */
+  isInvalidated(item) {
+    return !!item.tags && item.tags.some(tag => this.tagInvalidations.get(tag) > item.timestamp);
+  }
+
+  /**
+   * Reads an item from a synchronous tier, dropping it if it has expired
+   * @param {Object} tier - Storage tier
+   * @param {string} key - Cache key
+   * @returns {Object|undefined} Cache item
+   */
+  readTier(tier, key) {
+    try {
+      const item = tier.adapter.get(key);
+      if (item === undefined || item === null) return undefined;
+
+      if (Date.now() > item.expiration || this.isInvalidated(item)) {
+        tier.adapter.delete(key);
+        return undefined;
+      }
+
+      return item;
+    } catch (e) {
+      console.warn('Failed to read cache tier:', e);
+      return undefined;
+    }
+  }
+
+  /**
+   * Writes an item to a storage tier, evicting from the tier straight away when it's full
+   * The tier's own limits are enforced shortly after, once for a burst of writes.
+   * @param {Object} tier - Storage tier
+   * @param {string} key - Cache key
+   * @param {Object} item - Cache item
+   */
+  writeTier(tier, key, item) {
+    const { adapter } = tier;
+
+    if (adapter.async) {
+      Promise.resolve(adapter.set(key, item))
+        .then(() => this.scheduleTierLimits(tier))
+        .catch(e => console.warn('Failed to write cache tier:', e));
+      return;
+    }
+
+    try {
+      adapter.set(key, item);
+    } catch (e) {
+      // Storage is full: make room and try once more
+      try {
+        this.evictFromTier(tier, this.readTierItems(tier).filter(entry => entry.key !== key), item.size);
+        adapter.set(key, item);
+      } catch (retryError) {
+        console.warn('Failed to write cache tier:', retryError);
+        return;
+      }
+    }
+
+    this.scheduleTierLimits(tier);
+  }
+
+  /**
+   * Reads the metadata of every item in a synchronous tier
+   * @param {Object} tier - Storage tier
+   * @returns {Array} Items with their keys
+   */
+  readTierItems(tier) {
+    return tier.adapter.keys()
+      .map(key => ({ key, item: tier.adapter.get(key) }))
+      .filter(({ item }) => item)
+      .map(({ key, item }) => ({
+        key,
+        size: item.size || this.getValueSize(item.value),
+        hits: item.hits || 0,
+        lastAccess: item.lastAccess || item.timestamp || 0,
+        timestamp: item.timestamp || 0,
+        expiration: item.expiration
+      }));
+  }
+
+  /**
+   * Enforces a tier's limits after a burst of writes, since that reads and parses the whole tier
+   * @param {Object} tier - Storage tier
+   */
+  scheduleTierLimits(tier) {
+    if (tier.limitTimeoutId || (tier.maxSize === null && tier.maxBytes === null)) return;
+
+    tier.limitTimeoutId = setTimeout(() => {
+      tier.limitTimeoutId = null;
+      Promise.resolve(this.enforceTierLimits(tier)).catch(e => console.warn('Failed to enforce cache tier limits:', e));
+    }, 1000);
+  }
+
+  /**
+   * Evicts from a tier until it's within its item count and byte limits
+   * @param {Object} tier - Storage tier
+   * @returns {Promise|undefined} Promise for asynchronous tiers
+   */
+  enforceTierLimits(tier) {
+    if (tier.maxSize === null && tier.maxBytes === null) return undefined;
+
+    if (tier.adapter.async) {
+      return tier.adapter.entries().then(entries => {
+        const items = entries.map(([key, item]) => ({
+          key,
+          size: item.size || 0,
+          hits: item.hits || 0,
+          lastAccess: item.lastAccess || item.timestamp || 0,
+          timestamp: item.timestamp || 0,
+          expiration: item.expiration
+        }));
+        this.selectEvictions(items, tier.maxSize, tier.maxBytes).forEach(key => tier.adapter.delete(key));
+      });
+    }
+
+    try {
+      this.selectEvictions(this.readTierItems(tier), tier.maxSize, tier.maxBytes)
+        .forEach(key => tier.adapter.delete(key));
+    } catch (e) {
+      console.warn('Failed to enforce cache tier limits:', e);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Evicts from a full tier to make room for an item
+   * @param {Object} tier - Storage tier
+   * @param {Array} items - Items in the tier
+   * @param {number} needed - Bytes needed
+   */
+  evictFromTier(tier, items, needed) {
+    const total = items.reduce((sum, item) => sum + item.size, 0);
+    this.selectEvictions(items, null, Math.max(total - needed, 0)).forEach(key => tier.adapter.delete(key));
+  }
+
+  /**
+   * Picks the items to evict so the rest fit the limits
+   * Expired items go first, then items in the order of the eviction policy.
+   * @param {Array} items - Items with key, size, hits, lastAccess, timestamp and expiration
+   * @param {number} maxSize - Maximum number of items, or null
+   * @param {number} maxBytes - Maximum total size, or null
+   * @returns {Array} Keys to evict
+   */
+  selectEvictions(items, maxSize, maxBytes) {
+    const now = Date.now();
+    const policy = typeof this.options.evictionPolicy === 'function' ?
+      this.options.evictionPolicy :
+      CACHE_EVICTION_POLICIES[this.options.evictionPolicy];
+
+    if (!policy) {
+      throw new Error(`Unknown eviction policy: ${this.options.evictionPolicy}`);
+    }
+
+    const ordered = [...items].sort((a, b) => (now > b.expiration) - (now > a.expiration) || policy(a, b));
+    let count = ordered.length;
+    let bytes = ordered.reduce((sum, item) => sum + item.size, 0);
+    const evicted = [];
+
+    for (const item of ordered) {
+      const expired = now > item.expiration;
+      if (!expired && (maxSize === null || count <= maxSize) && (maxBytes === null || bytes <= maxBytes)) break;
+
+      evicted.push(item.key);
+      count--;
+      bytes -= item.size;
+    }
+
+    return evicted;
+  }
+
   /**
    * Checks if a key exists in the cache
    * @param {string} key - Cache key
    * @returns {boolean} Whether the key exists and is not expired
    */
   has(key) {
-    return this.get(key) !== undefined;
+    return !!key && this.lookup(key) !== undefined;
   }
 
   /**
@@ -141,40 +664,181 @@ class CacheManager {
     if (!key) return false;
 
     // Delete from memory
-    const deleted = this.cache.delete(key);
-    this.accessTimes.delete(key);
+    const deleted = this.deleteMemoryItem(key);
+    this.cancelLoad(key);
+
+    // Delete from the storage tiers
+    this.deleteFromTiers(key);
+    this.broadcast({ type: 'invalidate', keys: [key] });
+
+    return deleted;
+  }
 
-    // Delete from storage if available
-    if (this.storage) {
+  /**
+   * Removes an item from every storage tier
+   * @param {string} key - Cache key
+   */
+  deleteFromTiers(key) {
+    this.tiers.forEach(tier => {
       try {
-        this.storage.removeItem(this.options.storagePrefix + key);
+        Promise.resolve(tier.adapter.delete(key)).catch(e => console.warn('Failed to remove from cache tier:', e));
       } catch (e) {
-        console.warn('Failed to remove from localStorage:', e);
+        console.warn('Failed to remove from cache tier:', e);
       }
-    }
+    });
+  }
 
-    return deleted;
+  /**
+   * Removes an expired item from memory and every storage tier
+   * Unlike delete(), loads for the key keep running, since their value replaces the expired one.
+   * @param {string} key - Cache key
+   */
+  deleteExpired(key) {
+    this.deleteMemoryItem(key);
+    this.deleteFromTiers(key);
+  }
+
+  /**
+   * Removes every item stored with a tag, here and in other tabs
+   * Memory and synchronous tiers are cleared straight away; asynchronous tiers are cleaned up in
+   * the background, and their tagged copies are ignored until then.
+   * @param {string} tag - Tag passed to set() or getOrLoad()
+   * @returns {number} Number of items removed from memory and synchronous tiers
+   */
+  invalidateTag(tag) {
+    this.tagInvalidations.set(tag, Date.now());
+
+    // Loads for tagged items would store the value being invalidated
+    this.loads.forEach((load, key) => {
+      if (load.tags.includes(tag)) {
+        this.cancelLoad(key);
+      }
+    });
+    this.lookups.forEach(lookups => lookups.forEach(lookup => {
+      if (lookup.tags.includes(tag)) {
+        lookup.cancelled = true;
+      }
+    }));
+
+    const keys = this.findTaggedKeys(tag, this.tiers);
+    keys.forEach(key => {
+      this.deleteMemoryItem(key);
+      this.deleteFromTiers(key);
+    });
+
+    this.tiers.filter(tier => tier.adapter.async && tier.adapter.entries).forEach(tier => {
+      Promise.resolve(tier.adapter.entries())
+        .then(entries => entries.forEach(([key, item]) => {
+          if (item && item.tags && item.tags.includes(tag)) {
+            return tier.adapter.delete(key);
+          }
+        }))
+        .catch(e => console.warn('Failed to invalidate cache tier:', e));
+    });
+
+    this.broadcast({ type: 'invalidateTag', tag, keys: Array.from(keys) });
+
+    return keys.size;
+  }
+
+  /**
+   * Finds the keys of items stored with a tag in memory and the given synchronous tiers
+   * @param {string} tag - Tag
+   * @param {Array} tiers - Storage tiers to search
+   * @returns {Set} Keys
+   */
+  findTaggedKeys(tag, tiers) {
+    const keys = new Set(this.tagIndex.get(tag));
+
+    // Items evicted from memory are only in the tiers
+    tiers.forEach(tier => {
+      if (tier.adapter.async) return;
+
+      try {
+        tier.adapter.keys().forEach(key => {
+          const item = tier.adapter.get(key);
+          if (item && item.tags && item.tags.includes(tag)) {
+            keys.add(key);
+          }
+        });
+      } catch (e) {
+        console.warn('Failed to read cache tier:', e);
+      }
+    });
+
+    return keys;
   }
 
   /**
    * Clears all values from the cache
    */
   clear() {
-    this.cache.clear();
-    this.accessTimes.clear();
+    this.clearMemory();
+    this.loads.forEach((load, key) => this.cancelLoad(key));
+    this.lookups.forEach((lookups, key) => this.cancelLoad(key));
 
-    if (this.storage) {
+    this.tiers.forEach(tier => {
       try {
-        // Remove all cache items from storage
-        for (let i = this.storage.length - 1; i >= 0; i--) {
-          const key = this.storage.key(i);
-          if (key && key.startsWith(this.options.storagePrefix)) {
-            this.storage.removeItem(key);
-          }
-        }
+        Promise.resolve(tier.adapter.clear()).catch(e => console.warn('Failed to clear cache tier:', e));
       } catch (e) {
-        console.warn('Failed to clear localStorage:', e);
+        console.warn('Failed to clear cache tier:', e);
       }
+    });
+
+    this.broadcast({ type: 'clear' });
+  }
+
+  /**
+   * Tells other tabs about a change
+   * @param {Object} message - { type: 'invalidate', keys }, { type: 'invalidateTag', tag, keys } or { type: 'clear' }
+   */
+  broadcast(message) {
+    if (this.channel) {
+      this.channel.postMessage(message);
+    }
+  }
+
+  /**
+   * Drops the copies of keys another tab changed
+   * Shared tiers such as localStorage and IndexedDB already hold the other tab's value, so only
+   * memory and per-tab tiers are cleared; the next read goes through to the shared value.
+   * @param {Object} message - Message from another tab
+   */
+  handleChannelMessage(message) {
+    if (!message) return;
+
+    const localTiers = this.tiers.filter(tier => !tier.adapter.shared);
+
+    if (message.type === 'clear') {
+      this.clearMemory();
+      localTiers.forEach(tier => tier.adapter.clear());
+    } else if (message.type === 'invalidateTag') {
+      // This tab may hold tagged items the other tab never had
+      this.tagInvalidations.set(message.tag, Date.now());
+      const keys = this.findTaggedKeys(message.tag, localTiers);
+      message.keys.forEach(key => keys.add(key));
+
+      keys.forEach(key => {
+        this.deleteMemoryItem(key);
+        localTiers.forEach(tier => tier.adapter.delete(key));
+      });
+    } else if (message.type === 'invalidate') {
+      message.keys.forEach(key => {
+        this.deleteMemoryItem(key);
+        localTiers.forEach(tier => tier.adapter.delete(key));
+      });
+    }
+  }
+
+  /**
+   * Closes the BroadcastChannel and stops pending tier cleanups
+   */
+  destroy() {
+    this.tiers.forEach(tier => clearTimeout(tier.limitTimeoutId));
+
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
     }
   }
 
@@ -233,10 +897,80 @@ class CacheManager {
       liveCount,
       expiredCount,
       totalSize: totalSize,
-      keys: Array.from(this.cache.keys())
+      bytes: this.memoryBytes,
+      evictions: this.evictions,
+      evictionPolicy: typeof this.options.evictionPolicy === 'function' ? 'custom' : this.options.evictionPolicy,
+      tiers: this.tiers.map(tier => tier.adapter.name || 'custom'),
+      keys: Array.from(this.cache.keys()),
+      tags: Array.from(this.tagIndex.keys()),
+      ...this.getLoadStats()
+    };
+  }
+
+  /**
+   * Creates empty hit, miss and load counters
+   * @returns {Object} Metrics
+   */
+  createMetrics() {
+    return {
+      hits: 0,
+      misses: 0,
+      stale: 0,
+      coalesced: 0,
+      loadErrors: 0,
+      loadTime: 0,
+      maxLoadTime: 0,
+      latency: CACHE_LATENCY_BUCKETS.map(() => 0)
     };
   }
 
+  /**
+   * Records how long a loader took
+   * @param {number} duration - Load time in ms
+   */
+  recordLoad(duration) {
+    const bucket = CACHE_LATENCY_BUCKETS.findIndex(limit => duration <= limit);
+
+    this.metrics.latency[bucket]++;
+    this.metrics.loadTime += duration;
+    this.metrics.maxLoadTime = Math.max(this.metrics.maxLoadTime, duration);
+  }
+
+  /**
+   * Gets the read and load statistics
+   * Hits are fresh values, stale counts values getOrLoad() served while reloading, and the
+   * latency histogram counts loads by the smallest bucket (in ms) they fit in.
+   * @returns {Object} Read and load statistics
+   */
+  getLoadStats() {
+    const { hits, misses, stale, coalesced, loadErrors, loadTime, maxLoadTime, latency } = this.metrics;
+    const reads = hits + misses + stale;
+    const loads = latency.reduce((sum, count) => sum + count, 0);
+
+    return {
+      hits,
+      misses,
+      stale,
+      hitRate: reads ? (hits + stale) / reads : 0,
+      loads: {
+        count: loads,
+        pending: this.loads.size,
+        coalesced,
+        errors: loadErrors,
+        averageLatency: loads ? loadTime / loads : 0,
+        maxLatency: maxLoadTime,
+        latency: CACHE_LATENCY_BUCKETS.map((limit, i) => ({ le: limit, count: latency[i] }))
+      }
+    };
+  }
+
+  /**
+   * Resets the hit, miss and load counters
+   */
+  resetStats() {
+    this.metrics = this.createMetrics();
+  }
+
   /**
    * Sets multiple values in the cache
    * @param {Object} items - Object with key-value pairs
@@ -289,18 +1023,18 @@ class CacheManager {
     const item = this.cache.get(key);
     if (item) {
       const newExpiration = Date.now() + (ttl || this.options.defaultTTL);
-      item.expiration = newExpiration;
+
+      // Keep the item's stale window after the new TTL
+      if (item.staleAt) {
+        item.expiration = newExpiration + (item.expiration - item.staleAt);
+        item.staleAt = newExpiration;
+      } else {
+        item.expiration = newExpiration;
+      }
       this.cache.set(key, item);
       
-      // Update in storage if available
-      if (this.storage) {
-        try {
-          const storageKey = this.options.storagePrefix + key;
-          this.storage.setItem(storageKey, JSON.stringify(item));
-        } catch (e) {
-          console.warn('Failed to update in localStorage:', e);
-        }
-      }
+      // Update in the storage tiers
+      this.tiers.forEach(tier => this.writeTier(tier, key, item));
       
       return true;
     }
@@ -309,9 +1043,11 @@ class CacheManager {
   }
 
   /**
-   * Removes expired items from the cache
+   * Removes expired items from the cache and evicts from memory to stay within maxSize and maxBytes
+   * Evicted items stay in the storage tiers and are read back through on the next get.
+   * @param {string} keep - Key that was just stored or read, which is never evicted
    */
-  cleanup() {
+  cleanup(keep = null) {
     const now = Date.now();
     const expiredKeys = [];
 
@@ -322,79 +1058,58 @@ class CacheManager {
       }
     });
 
-    // Remove expired items
-    expiredKeys.forEach(key => {
-      this.cache.delete(key);
-      this.accessTimes.delete(key);
-      
-      // Remove from storage if available
-      if (this.storage) {
-        try {
-          this.storage.removeItem(this.options.storagePrefix + key);
-        } catch (e) {
-          console.warn('Failed to remove from localStorage:', e);
-        }
-      }
-    });
+    // Remove expired items everywhere
+    expiredKeys.forEach(key => this.deleteExpired(key));
 
-    // Enforce size limits using LRU
-    if (this.cache.size > this.options.maxSize) {
-      // Sort keys by access time (oldest first)
-      const sortedKeys = Array.from(this.accessTimes.entries())
-        .sort((a, b) => a[1] - b[1])
-        .map(entry => entry[0]);
-
-      // Remove oldest items until size is within limit
-      while (this.cache.size > this.options.maxSize) {
-        const oldestKey = sortedKeys.shift();
-        if (oldestKey) {
-          this.cache.delete(oldestKey);
-          this.accessTimes.delete(oldestKey);
-          
-          // Remove from storage if available
-          if (this.storage) {
-            try {
-              this.storage.removeItem(this.options.storagePrefix + oldestKey);
-            } catch (e) {
-              console.warn('Failed to remove from localStorage:', e);
-            }
-          }
-        }
-      }
+    // Enforce size limits using the eviction policy
+    if (this.cache.size > this.options.maxSize || (this.options.maxBytes && this.memoryBytes > this.options.maxBytes)) {
+      // A new item has no reads yet, so LFU would otherwise evict it first
+      const items = Array.from(this.cache.entries()).filter(([key]) => key !== keep).map(([key, item]) => ({
+        key,
+        size: item.size || 0,
+        hits: item.hits || 0,
+        lastAccess: item.lastAccess || item.timestamp,
+        timestamp: item.timestamp,
+        expiration: item.expiration
+      }));
+
+      const kept = keep ? this.cache.get(keep) : null;
+      const maxSize = this.options.maxSize - (kept ? 1 : 0);
+      const maxBytes = this.options.maxBytes ? this.options.maxBytes - (kept ? kept.size : 0) : null;
+
+      this.selectEvictions(items, maxSize, maxBytes).forEach(key => {
+        this.deleteMemoryItem(key);
+        this.evictions++;
+      });
     }
   }
 
   /**
-   * Loads cache from localStorage
+   * Loads cache items from the synchronous storage tiers into memory
    */
   loadFromStorage() {
-    if (!this.storage) return;
+    this.tiers.forEach(tier => {
+      if (tier.adapter.async) return;
 
-    try {
-      // Load all cache items from storage
-      for (let i = 0; i < this.storage.length; i++) {
-        const key = this.storage.key(i);
-        if (key && key.startsWith(this.options.storagePrefix)) {
-          const cacheKey = key.substring(this.options.storagePrefix.length);
-          const storedValue = this.storage.getItem(key);
-          
-          if (storedValue) {
-            const item = JSON.parse(storedValue);
-            
-            // Add to memory cache if not expired
-            if (Date.now() <= item.expiration) {
-              this.cache.set(cacheKey, item);
-              this.accessTimes.set(cacheKey, Date.now());
-            } else {
-              // Remove expired item from storage
-              this.storage.removeItem(key);
-            }
+      try {
+        tier.adapter.keys().forEach(key => {
+          if (this.cache.has(key)) return;
+
+          // Expired items are removed from the tier as they're read
+          const item = this.readTier(tier, key);
+          if (item) {
+            item.size = item.size || this.getValueSize(item.value);
+            item.hits = item.hits || 0;
+            item.lastAccess = item.lastAccess || item.timestamp || Date.now();
+            this.setMemoryItem(key, item);
           }
-        }
+        });
+      } catch (e) {
+        console.warn('Failed to load from cache tier:', e);
       }
-    } catch (e) {
-      console.warn('Failed to load from localStorage:', e);
-    }
+    });
+
+    this.cleanup();
   }
 
   /**
@@ -421,8 +1136,12 @@ class CacheManager {
       if (item && item.value !== undefined && item.expiration !== undefined) {
         // Only load if not expired
         if (Date.now() <= item.expiration) {
-          this.cache.set(key, item);
-          this.accessTimes.set(key, item.timestamp || Date.now());
+          this.setMemoryItem(key, {
+            ...item,
+            size: item.size || this.getValueSize(item.value),
+            hits: item.hits || 0,
+            lastAccess: item.lastAccess || item.timestamp || Date.now()
+          });
         }
       }
     }
@@ -455,27 +1174,255 @@ class CacheManager {
 
   /**
    * Implements a TTL-based cache decorator for functions
-   * @param {Function} fn - Function to cache
-   * @param {string} key - Cache key
+   * Calls are memoized with getOrLoad(), so concurrent calls for the same key share one call of fn.
+   * @param {Function} fn - Function to cache, sync or async
+   * @param {string|Function} key - Cache key, or a function of the arguments returning one
    * @param {number} ttl - Time-to-live in milliseconds
+   * @param {Object} options - { staleTtl, tags }
    * @returns {Function} Cached function
    */
-  cacheFunction(fn, key, ttl) {
-    return async (...args) => {
+  cacheFunction(fn, key, ttl, options = {}) {
+    return (...args) => {
       const cacheKey = typeof key === 'function' ? key(...args) : key;
-      const cachedResult = this.get(cacheKey);
-      
-      if (cachedResult !== undefined) {
-        return cachedResult;
-      }
-      
-      const result = await fn(...args);
-      this.set(cacheKey, result, ttl);
-      return result;
+      return this.getOrLoad(cacheKey, () => fn(...args), { ...options, ttl });
     };
   }
 }
 
+/**
+ * Cache tier that keeps items in a Map
+ */
+class MemoryStorageAdapter {
+  /**
+   * Creates an empty tier
+   */
+  constructor() {
+    this.name = 'memory';
+    this.async = false;
+    this.shared = false;
+    this.items = new Map();
+  }
+
+  /**
+   * Gets an item
+   * @param {string} key - Cache key
+   * @returns {Object|undefined} Cache item
+   */
+  get(key) {
+    return this.items.get(key);
+  }
+
+  /**
+   * Stores an item
+   * @param {string} key - Cache key
+   * @param {Object} item - Cache item
+   */
+  set(key, item) {
+    this.items.set(key, item);
+  }
+
+  /**
+   * Deletes an item
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    this.items.delete(key);
+  }
+
+  /**
+   * Gets every key
+   * @returns {Array} Keys
+   */
+  keys() {
+    return Array.from(this.items.keys());
+  }
+
+  /**
+   * Deletes every item
+   */
+  clear() {
+    this.items.clear();
+  }
+}
+
+/**
+ * Cache tier backed by localStorage or sessionStorage, one JSON string per item
+ */
+class WebStorageAdapter {
+  /**
+   * Creates a tier over a Storage object
+   * @param {Storage} storage - localStorage or sessionStorage
+   * @param {string} prefix - Key prefix
+   * @param {string} name - 'localStorage' or 'sessionStorage'
+   */
+  constructor(storage, prefix, name = 'localStorage') {
+    this.name = name;
+    this.async = false;
+    this.shared = name === 'localStorage'; // sessionStorage belongs to one tab
+    this.storage = storage;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Gets an item
+   * @param {string} key - Cache key
+   * @returns {Object|undefined} Cache item
+   */
+  get(key) {
+    const stored = this.storage.getItem(this.prefix + key);
+    return stored ? JSON.parse(stored) : undefined;
+  }
+
+  /**
+   * Stores an item
+   * @param {string} key - Cache key
+   * @param {Object} item - Cache item
+   */
+  set(key, item) {
+    this.storage.setItem(this.prefix + key, JSON.stringify(item));
+  }
+
+  /**
+   * Deletes an item
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    this.storage.removeItem(this.prefix + key);
+  }
+
+  /**
+   * Gets every key with this tier's prefix
+   * @returns {Array} Keys
+   */
+  keys() {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key && key.startsWith(this.prefix)) {
+        keys.push(key.substring(this.prefix.length));
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Deletes every item with this tier's prefix
+   */
+  clear() {
+    this.keys().forEach(key => this.delete(key));
+  }
+}
+
+/**
+ * Cache tier backed by IndexedDB
+ * Reads are asynchronous, so only getAsync() sees this tier.
+ */
+class IndexedDBStorageAdapter {
+  /**
+   * Creates a tier backed by a named database
+   * @param {string} name - Database name
+   */
+  constructor(name) {
+    this.name = 'indexedDB';
+    this.async = true;
+    this.shared = true;
+    this.databaseName = name;
+    this.db = null;
+  }
+
+  /**
+   * Opens the database
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, 1);
+
+        request.onerror = (event) => reject(event.target.error);
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onupgradeneeded = (event) => {
+          const db = event.target.result;
+          if (!db.objectStoreNames.contains('items')) {
+            db.createObjectStore('items');
+          }
+        };
+      });
+    }
+
+    return this.db;
+  }
+
+  /**
+   * Runs one request against the object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Called with the object store, returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(['items'], mode).objectStore('items'));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * Gets an item
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} Cache item
+   */
+  get(key) {
+    return this.run('readonly', store => store.get(key));
+  }
+
+  /**
+   * Stores an item
+   * @param {string} key - Cache key
+   * @param {Object} item - Cache item
+   * @returns {Promise} Promise that resolves when the item is stored
+   */
+  set(key, item) {
+    return this.run('readwrite', store => store.put(item, key));
+  }
+
+  /**
+   * Deletes an item
+   * @param {string} key - Cache key
+   * @returns {Promise} Promise that resolves when the item is deleted
+   */
+  delete(key) {
+    return this.run('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Gets every key
+   * @returns {Promise<Array>} Keys
+   */
+  keys() {
+    return this.run('readonly', store => store.getAllKeys());
+  }
+
+  /**
+   * Gets every key and item
+   * @returns {Promise<Array>} [key, item] pairs
+   */
+  async entries() {
+    const [keys, items] = await Promise.all([this.keys(), this.run('readonly', store => store.getAll())]);
+    return keys.map((key, i) => [key, items[i]]);
+  }
+
+  /**
+   * Deletes every item
+   * @returns {Promise} Promise that resolves when the store is empty
+   */
+  clear() {
+    return this.run('readwrite', store => store.clear());
+  }
+}
+
 /**
  * Creates a new cache manager instance
  * @param {Object} options - Cache manager options
@@ -532,6 +1479,9 @@ function remove(key) {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     CacheManager,
+    MemoryStorageAdapter,
+    WebStorageAdapter,
+    IndexedDBStorageAdapter,
     createCacheManager,
     get,
     set,
@@ -542,6 +1492,9 @@ if (typeof module !== 'undefined' && module.exports) {
 
 // Also make it available globally
 window.CacheManager = CacheManager;
+window.MemoryStorageAdapter = MemoryStorageAdapter;
+window.WebStorageAdapter = WebStorageAdapter;
+window.IndexedDBStorageAdapter = IndexedDBStorageAdapter;
 window.createCacheManager = createCacheManager;
 window.cacheGet = get;
 window.cacheSet = set;
@@ -4,6 +4,9 @@
  * Compatible with jazer-brand.css styling for offline status indicators
  */
 
+// Matches ref() placeholders: {{<request ID>.<path>}}
+const OFFLINE_SYNC_REFERENCE = /\{\{(sync-[a-z0-9]+-[a-z0-9]+)((?:\.[^.{}]+)*)\}\}/g;
+
 class OfflineSync {
   /**
    * Creates a new offline sync instance
@@ -16,9 +19,18 @@ class OfflineSync {
       syncInterval: 30000, // 30 seconds
       maxRetries: 3,
       retryDelay: 1000,
-      storageKey: 'offline-sync-queue',
+      retryBackoff: 'exponential', // 'fixed' or 'exponential'
+      maxRetryDelay: 60000,
+      storage: 'indexeddb', // 'indexeddb' or 'localStorage'
+      storageKey: 'offline-sync-queue', // localStorage key or IndexedDB database name
+      idempotencyHeader: 'Idempotency-Key', // Sent with every attempt of a non-GET request; null to disable
       conflictResolution: 'server-wins', // 'server-wins', 'client-wins', 'merge'
+      fieldStrategies: {}, // Per-field strategies for 'merge' by dotted path: 'lww', 'counter', 'union', 'client', 'server' or a function
+      timestampField: 'updatedAt', // Field of the server data holding its last change time, for 'lww'
+      conflictDialog: false, // Ask the user about fields that can't be merged when there's no onConflict
       enableBackgroundSync: 'serviceWorker' in navigator,
+      serviceWorkerUrl: null, // URL of offline-sync-worker.js to register, if the page doesn't register it itself
+      syncTag: 'offline-sync', // Background Sync tag; one per queue
       onSyncStart: null,
       onSyncComplete: null,
       onSyncError: null,
@@ -30,9 +42,15 @@ class OfflineSync {
     this.queue = [];
     this.syncInProgress = false;
     this.syncIntervalId = null;
+    this.retryTimeoutId = null;
     this.isOnline = navigator.onLine;
-    this.storage = window.localStorage;
+    this.storage = typeof localStorage !== 'undefined' ? localStorage : null; // Not available in the service worker
+    this.store = null;
+    this.saving = Promise.resolve();
+    this.removedIds = new Set(); // Removed since the last save
+    this.lastSequence = 0;
     this.pendingRequests = new Map();
+    this.results = new Map(); // request ID -> response of requests synced this session
 
     // Initialize
     this.init();
@@ -42,8 +60,16 @@ class OfflineSync {
    * Initializes the offline sync system
    */
   init() {
+    if (this.options.storage === 'indexeddb') {
+      if (typeof indexedDB !== 'undefined') {
+        this.store = new OfflineQueueStore(this.options.storageKey);
+      } else {
+        console.warn('IndexedDB not supported, storing the offline sync queue in localStorage');
+      }
+    }
+
     // Load queue from storage
-    this.loadQueue();
+    this.ready = this.loadQueue();
 
     // Set up online/offline detection
     this.setupNetworkDetection();
@@ -53,6 +79,10 @@ class OfflineSync {
       this.startSyncInterval();
     }
 
+    if (this.options.enableBackgroundSync) {
+      this.setupBackgroundSync();
+    }
+
     // Add dynamic styles
     this.addDynamicStyles();
   }
@@ -61,18 +91,128 @@ class OfflineSync {
    * Sets up network online/offline detection
    */
   setupNetworkDetection() {
-    window.addEventListener('online', () => {
-      this.handleOnline();
-    });
+    this.onlineHandler = () => this.handleOnline();
+    this.offlineHandler = () => this.handleOffline();
 
-    window.addEventListener('offline', () => {
-      this.handleOffline();
-    });
+    // self is the window in a page and the global scope in the service worker
+    self.addEventListener('online', this.onlineHandler);
+    self.addEventListener('offline', this.offlineHandler);
 
     // Initialize online status
     this.isOnline = navigator.onLine;
   }
 
+  /**
+   * Connects to the companion service worker (offline-sync-worker.js) so the queue is flushed by
+   * Background Sync once the page is closed
+   * The worker reads the same IndexedDB queue, so this needs the 'indexeddb' storage.
+   */
+  setupBackgroundSync() {
+    if (!this.store || typeof navigator === 'undefined' || !navigator.serviceWorker) return;
+
+    if (this.options.serviceWorkerUrl) {
+      navigator.serviceWorker.register(this.options.serviceWorkerUrl).catch(error => {
+        console.warn('Failed to register the offline sync service worker:', error);
+      });
+    }
+
+    this.workerMessageHandler = (event) => this.handleWorkerMessage(event);
+    navigator.serviceWorker.addEventListener('message', this.workerMessageHandler);
+
+    // The worker keeps the options so it can sync when no page is open
+    navigator.serviceWorker.ready.then(registration => {
+      if (registration.active) {
+        registration.active.postMessage({
+          type: 'offline-sync:configure',
+          tag: this.options.syncTag,
+          options: this.getWorkerOptions()
+        });
+      }
+    });
+  }
+
+  /**
+   * Gets the options the service worker syncs with
+   * Callbacks and function field strategies can't be sent to the worker, so fields that need
+   * them keep the server value when the worker resolves a conflict.
+   * @returns {Object} Options that can be posted to the worker
+   */
+  getWorkerOptions() {
+    const fieldStrategies = {};
+    Object.entries(this.options.fieldStrategies).forEach(([path, strategy]) => {
+      if (typeof strategy === 'string') fieldStrategies[path] = strategy;
+    });
+
+    return {
+      storage: 'indexeddb',
+      storageKey: this.options.storageKey,
+      syncTag: this.options.syncTag,
+      maxRetries: this.options.maxRetries,
+      retryDelay: this.options.retryDelay,
+      retryBackoff: this.options.retryBackoff,
+      maxRetryDelay: this.options.maxRetryDelay,
+      idempotencyHeader: this.options.idempotencyHeader,
+      conflictResolution: this.options.conflictResolution,
+      timestampField: this.options.timestampField,
+      fieldStrategies
+    };
+  }
+
+  /**
+   * Asks the browser to fire a Background Sync event for the queue when it's next online
+   * @returns {Promise<boolean>} Whether the sync was registered
+   */
+  async registerBackgroundSync() {
+    if (!this.store || typeof navigator === 'undefined' || !navigator.serviceWorker) return false;
+
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      if (!registration.sync) return false;
+
+      await registration.sync.register(this.options.syncTag);
+      return true;
+    } catch (error) {
+      console.warn('Failed to register background sync:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Handles the report the service worker sends after a background sync
+   * @param {MessageEvent} event - Message from the service worker
+   */
+  async handleWorkerMessage(event) {
+    const message = event.data || {};
+    if (message.type !== 'offline-sync:complete' || message.tag !== this.options.syncTag) return;
+
+    await this.reloadQueue();
+
+    (message.results || []).forEach(({ id, status, result, error }) => {
+      if (status === 'synced') {
+        this.results.set(id, result);
+      }
+
+      if (this.pendingRequests.has(id)) {
+        const { resolve, reject } = this.pendingRequests.get(id);
+        if (status === 'synced') {
+          resolve({ synced: true, requestId: id, result });
+        } else {
+          reject(new Error(error));
+        }
+        this.pendingRequests.delete(id);
+      }
+    });
+
+    if (this.options.onSyncComplete) {
+      this.options.onSyncComplete({
+        synced: message.synced,
+        remaining: message.remaining,
+        results: message.results || [],
+        background: true
+      });
+    }
+  }
+
   /**
    * Handles online event
    */
@@ -127,33 +267,74 @@ class OfflineSync {
 
   /**
    * Adds a request to the offline queue
-   * @param {Object} request - Request object
+   * `data` may be JSON data, a Blob, an ArrayBuffer or typed array, or FormData. A request can
+   * wait for others with `options.dependsOn` and use their responses through ref() placeholders
+   * in its URL or data; placeholders add the dependency themselves.
    * @param {string} method - HTTP method
    * @param {string} url - Request URL
-   * @param {Object} data - Request data
-   * @param {Object} options - Additional options
-   * @returns {string} Request ID
+   * @param {*} data - Request data
+   * @param {Object} options - Fetch options, plus `dependsOn` (request ID or array of IDs),
+   * `idempotencyKey` (defaults to a generated key for non-GET requests), `base` (the server data
+   * the edit started from, for three-way merges) and `fieldStrategies` (named strategies only,
+   * since the queue is stored)
+   * @returns {Promise<string>} Request ID
    */
   async addRequest(method, url, data, options = {}) {
     if (!this.options.enable) return;
 
+    await this.ready;
+
+    const { dependsOn, idempotencyKey, base, fieldStrategies, ...fetchOptions } = options;
     const requestId = this.generateRequestId();
+    const bodyType = this.getBodyType(data);
+    const dependencies = new Set(dependsOn ? [].concat(dependsOn) : []);
+
+    this.findReferences(bodyType === 'json' ? [url, data] : url).forEach(id => dependencies.add(id));
+
+    // Dependencies that already synced this session hand over their response straight away
+    const dependencyResults = {};
+    dependencies.forEach(id => {
+      if (this.results.has(id)) {
+        dependencyResults[id] = this.results.get(id);
+      } else if (!this.queue.some(entry => entry.id === id)) {
+        throw new Error(`Unknown dependency: ${id}`);
+      }
+    });
+
+    this.lastSequence = Math.max(Date.now(), this.lastSequence + 1);
+
     const request = {
       id: requestId,
+      sequence: this.lastSequence,
       method: method.toUpperCase(),
       url: url,
-      data: data,
-      options: options,
+      data: bodyType === 'form-data' ? Array.from(data.entries()) : data,
+      bodyType,
+      options: fetchOptions,
+      idempotencyKey: idempotencyKey || (method.toUpperCase() !== 'GET' && this.options.idempotencyHeader ?
+        this.generateIdempotencyKey() :
+        null),
+      dependsOn: Array.from(dependencies),
+      dependencyResults,
+      base: base || null,
+      fieldStrategies: fieldStrategies || {},
       timestamp: Date.now(),
+      status: 'pending', // 'pending', 'syncing' or 'waiting' for a retry
       retries: 0,
-      lastAttempt: null
+      lastAttempt: null,
+      nextAttempt: null,
+      lastError: null
     };
 
     // Add to queue
     this.queue.push(request);
     
     // Save to storage
-    this.saveQueue();
+    await this.saveQueue();
+
+    if (this.options.enableBackgroundSync) {
+      this.registerBackgroundSync();
+    }
 
     // Sync if online and auto-sync is enabled
     if (this.isOnline && this.options.autoSync) {
@@ -165,6 +346,88 @@ class OfflineSync {
     return requestId;
   }
 
+  /**
+   * Creates a placeholder for a value from the response of another queued request
+   * The placeholder is replaced when the request that uses it is sent; used as a whole data
+   * value it keeps the type of the referenced value.
+   * @param {string} requestId - ID of the request whose response is referenced
+   * @param {string} path - Dotted path into the response (default: 'id')
+   * @returns {string} Placeholder
+   * @example
+   * const postId = await sync.addRequest('POST', '/api/posts', post);
+   * await sync.addRequest('POST', '/api/comments', { postId: sync.ref(postId), text });
+   */
+  ref(requestId, path = 'id') {
+    return `{{${requestId}${path ? `.${path}` : ''}}}`;
+  }
+
+  /**
+   * Finds the request IDs referenced by ref() placeholders
+   * @param {*} value - Value to search
+   * @returns {Array} Referenced request IDs
+   */
+  findReferences(value) {
+    const ids = new Set();
+
+    const visit = (item) => {
+      if (typeof item === 'string') {
+        for (const match of item.matchAll(OFFLINE_SYNC_REFERENCE)) {
+          ids.add(match[1]);
+        }
+      } else if (Array.isArray(item)) {
+        item.forEach(visit);
+      } else if (Object.prototype.toString.call(item) === '[object Object]') {
+        Object.values(item).forEach(visit);
+      }
+    };
+
+    visit(value);
+    return Array.from(ids);
+  }
+
+  /**
+   * Replaces ref() placeholders with values from the responses of the requests they reference
+   * @param {*} value - Value containing placeholders
+   * @param {Object} results - Responses by request ID
+   * @returns {*} Value with placeholders replaced
+   */
+  resolveReferences(value, results) {
+    const lookup = (id, path) => (path ? path.slice(1).split('.') : []).reduce(
+      (result, key) => (result === null || result === undefined ? undefined : result[key]),
+      results[id]
+    );
+
+    if (typeof value === 'string') {
+      const whole = value.match(new RegExp(`^${OFFLINE_SYNC_REFERENCE.source}$`));
+      if (whole) return lookup(whole[1], whole[2]);
+
+      return value.replace(OFFLINE_SYNC_REFERENCE, (match, id, path) => {
+        const resolved = lookup(id, path);
+        return resolved === undefined || resolved === null ? '' : String(resolved);
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolveReferences(item, results));
+    }
+    if (Object.prototype.toString.call(value) === '[object Object]') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.resolveReferences(item, results)]));
+    }
+
+    return value;
+  }
+
+  /**
+   * Works out how a request body is stored and sent
+   * @param {*} data - Request data
+   * @returns {string} 'json', 'blob', 'binary' or 'form-data'
+   */
+  getBodyType(data) {
+    if (typeof FormData !== 'undefined' && data instanceof FormData) return 'form-data';
+    if (typeof Blob !== 'undefined' && data instanceof Blob) return 'blob';
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return 'binary';
+    return 'json';
+  }
+
   /**
    * Processes a request in offline mode (queues it)
    * @param {string} method - HTTP method
@@ -196,132 +459,627 @@ class OfflineSync {
 
   /**
    * Synchronizes the offline queue with the server
+   * Requests are sent in the order they were queued. A request is skipped while it waits for
+   * its retry time or for the requests it depends on.
    */
   async sync() {
-    if (this.syncInProgress || !this.isOnline || this.queue.length === 0) {
+    await this.ready;
+
+    if (this.syncInProgress || !this.isOnline) {
       return;
     }
 
     this.syncInProgress = true;
+    this.clearRetryTimeout();
+
+    try {
+      // Other tabs and the service worker share the queue, so only one of them syncs at a time
+      await this.withQueueLock(() => this.syncQueue());
+    } finally {
+      this.syncInProgress = false;
+      this.scheduleRetry();
+    }
+  }
+
+  /**
+   * Sends the queued requests that are ready
+   * @returns {Promise} Promise that resolves when the pass has finished
+   */
+  async syncQueue() {
+    await this.reloadQueue();
+
+    if (this.queue.length === 0) {
+      return;
+    }
 
     if (this.options.onSyncStart) {
       this.options.onSyncStart();
     }
 
+    this.syncResults = [];
+
     try {
-      // Process each request in the queue
-      for (let i = 0; i < this.queue.length; i++) {
-        const request = this.queue[i];
-        
+      // Dependencies are always queued first, so one pass also sends the requests they unblock
+      for (const request of [...this.queue]) {
+        if (!this.queue.includes(request) || !this.isRequestReady(request)) continue;
+
+        request.status = 'syncing';
+        request.lastAttempt = Date.now();
+
         try {
-          await this.syncRequest(request);
-          
-          // Remove successful request from queue
-          this.queue.splice(i, 1);
-          i--; // Adjust index after removal
-          
-          // Resolve pending promise if it exists
-          if (this.pendingRequests.has(request.id)) {
-            const { resolve } = this.pendingRequests.get(request.id);
-            resolve({ synced: true, requestId: request.id });
-            this.pendingRequests.delete(request.id);
-          }
+          const result = await this.syncWithConflicts(request);
+          this.completeRequest(request, result);
         } catch (error) {
           // Handle request failure
           request.retries = (request.retries || 0) + 1;
-          request.lastAttempt = Date.now();
+          request.lastError = error.message;
           
           if (request.retries >= this.options.maxRetries) {
-            // Remove request after max retries
-            this.queue.splice(i, 1);
-            i--; // Adjust index after removal
-            
-            // Reject pending promise if it exists
-            if (this.pendingRequests.has(request.id)) {
-              const { reject } = this.pendingRequests.get(request.id);
-              reject(new Error(`Sync failed after ${this.options.maxRetries} attempts: ${error.message}`));
-              this.pendingRequests.delete(request.id);
-            }
+            this.failRequest(request, new Error(`Sync failed after ${this.options.maxRetries} attempts: ${error.message}`));
           } else {
-            // Keep in queue for retry
-            // Add a delay before next sync attempt for this request
-            await this.delay(this.options.retryDelay);
+            // Keep in queue and retry after a delay, without holding up the rest of the queue
+            request.status = 'waiting';
+            request.nextAttempt = Date.now() + this.getRetryDelay(request.retries);
           }
         }
       }
 
       // Save updated queue
-      this.saveQueue();
+      await this.saveQueue();
 
       if (this.options.onSyncComplete) {
         this.options.onSyncComplete({
           synced: this.queue.length === 0,
-          remaining: this.queue.length
+          remaining: this.queue.length,
+          results: this.syncResults
         });
       }
+
+      // Whatever is left can still go out after the page closes
+      if (this.queue.length > 0 && this.options.enableBackgroundSync) {
+        this.registerBackgroundSync();
+      }
     } catch (error) {
       if (this.options.onSyncError) {
         this.options.onSyncError(error);
       }
     } finally {
-      this.syncInProgress = false;
+      this.syncResults = null;
+    }
+  }
+
+  /**
+   * Runs a function while holding the queue's Web Lock, when the Web Locks API is available
+   * @param {Function} fn - Function to run
+   * @returns {Promise} Promise that resolves with the function's result
+   */
+  withQueueLock(fn) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request(`offline-sync:${this.options.storageKey}`, fn);
+    }
+
+    return fn();
+  }
+
+  /**
+   * Checks whether a request can be sent now
+   * @param {Object} request - Queued request
+   * @returns {boolean} Whether its retry time has come and its dependencies have synced
+   */
+  isRequestReady(request) {
+    return (!request.nextAttempt || request.nextAttempt <= Date.now()) &&
+      request.dependsOn.every(id => id in request.dependencyResults);
+  }
+
+  /**
+   * Removes a synced request from the queue and hands its response to the requests depending on it
+   * @param {Object} request - Synced request
+   * @param {*} result - Response data
+   */
+  completeRequest(request, result) {
+    this.queue.splice(this.queue.indexOf(request), 1);
+    this.removedIds.add(request.id);
+    this.results.set(request.id, result);
+
+    if (this.syncResults) {
+      this.syncResults.push({ id: request.id, status: 'synced', result });
+    }
+
+    this.queue.forEach(entry => {
+      if (entry.dependsOn.includes(request.id)) {
+        entry.dependencyResults[request.id] = result;
+      }
+    });
+
+    // Resolve pending promise if it exists
+    if (this.pendingRequests.has(request.id)) {
+      const { resolve } = this.pendingRequests.get(request.id);
+      resolve({ synced: true, requestId: request.id, result });
+      this.pendingRequests.delete(request.id);
+    }
+  }
+
+  /**
+   * Removes a request that can't be synced, along with the requests depending on it
+   * @param {Object} request - Failed request
+   * @param {Error} error - Reason
+   */
+  failRequest(request, error) {
+    const index = this.queue.indexOf(request);
+    if (index === -1) return;
+
+    this.queue.splice(index, 1);
+    this.removedIds.add(request.id);
+
+    if (this.syncResults) {
+      this.syncResults.push({ id: request.id, status: 'failed', error: error.message });
+    }
+
+    // Reject pending promise if it exists
+    if (this.pendingRequests.has(request.id)) {
+      const { reject } = this.pendingRequests.get(request.id);
+      reject(error);
+      this.pendingRequests.delete(request.id);
+    }
+
+    this.failDependents(request.id, error);
+  }
+
+  /**
+   * Fails the requests that depend on a request that will never sync
+   * @param {string} requestId - Request ID
+   * @param {Error} error - Reason the request failed
+   */
+  failDependents(requestId, error) {
+    this.queue
+      .filter(entry => entry.dependsOn.includes(requestId))
+      .forEach(entry => this.failRequest(entry, new Error(`Dependency ${requestId} failed: ${error.message}`)));
+  }
+
+  /**
+   * Gets the delay before a failed request is retried
+   * @param {number} retries - Number of failed attempts so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(retries) {
+    if (this.options.retryBackoff !== 'exponential') {
+      return this.options.retryDelay;
+    }
+
+    return Math.min(this.options.retryDelay * Math.pow(2, retries - 1), this.options.maxRetryDelay);
+  }
+
+  /**
+   * Schedules a sync for when the next waiting request may be retried
+   */
+  scheduleRetry() {
+    this.clearRetryTimeout();
+
+    const retryTimes = this.queue.filter(request => request.nextAttempt).map(request => request.nextAttempt);
+    if (!this.options.autoSync || !this.isOnline || retryTimes.length === 0) return;
+
+    this.retryTimeoutId = setTimeout(() => {
+      this.retryTimeoutId = null;
+      this.sync();
+    }, Math.max(Math.min(...retryTimes) - Date.now(), 0));
+  }
+
+  /**
+   * Cancels a scheduled retry
+   */
+  clearRetryTimeout() {
+    if (this.retryTimeoutId) {
+      clearTimeout(this.retryTimeoutId);
+      this.retryTimeoutId = null;
+    }
+  }
+
+  /**
+   * Syncs a request, resolving conflicts the server reports and sending the resolution
+   * When the resolution is the server's data unchanged, the request is done without resending.
+   * @param {Object} request - Request object to sync
+   * @returns {Promise} Promise that resolves with the response data
+   */
+  async syncWithConflicts(request) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.syncRequest(request);
+      } catch (error) {
+        if (!error.conflict || attempt >= this.options.maxRetries) throw error;
+
+        // Nothing is left to send when the server's version wins outright
+        const resolved = await this.resolveConflict(request, error.serverData);
+        if (this.isEqual(resolved, error.serverData)) return error.serverData;
+      }
     }
   }
 
   /**
    * Syncs a specific request
    * @param {Object} request - Request object to sync
-   * @returns {Promise} Promise that resolves when sync is complete
+   * @returns {Promise} Promise that resolves with the response data when sync is complete
    */
   async syncRequest(request) {
-    const { method, url, data, options } = request;
+    const { method, data, options, idempotencyKey, dependencyResults } = request;
+    const url = this.resolveReferences(request.url, dependencyResults);
     
     // Prepare fetch options
+    const headers = {
+      'Content-Type': 'application/json',
+      ...options.headers
+    };
+
+    if (idempotencyKey && this.options.idempotencyHeader) {
+      headers[this.options.idempotencyHeader] = idempotencyKey;
+    }
+
     const fetchOptions = {
+      ...options,
       method: method,
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers
-      },
-      ...options
+      headers
     };
 
     if (data && method !== 'GET') {
-      fetchOptions.body = JSON.stringify(data);
+      fetchOptions.body = this.createRequestBody(request, headers);
     }
 
     // Execute the request
     const response = await fetch(url, fetchOptions);
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+
+      // 409 Conflict and 412 Precondition Failed carry the current server data
+      if ((response.status === 409 || response.status === 412) && request.bodyType === 'json') {
+        error.serverData = await response.json().catch(() => null);
+        error.conflict = error.serverData !== null;
+      }
+
+      throw error;
     }
 
     // Handle response
-    const result = await response.json();
-    
-    return result;
+    if (response.status === 204) {
+      return null;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    return contentType.includes('json') ? response.json() : response.text();
+  }
+
+  /**
+   * Creates the body of a queued request and adjusts its Content-Type
+   * @param {Object} request - Queued request
+   * @param {Object} headers - Request headers, updated in place
+   * @returns {*} Fetch body
+   */
+  createRequestBody(request, headers) {
+    const explicitType = request.options.headers && Object.keys(request.options.headers)
+      .some(name => name.toLowerCase() === 'content-type');
+
+    switch (request.bodyType) {
+      case 'form-data': {
+        // The browser sets the multipart boundary itself
+        delete headers['Content-Type'];
+        const formData = new FormData();
+        request.data.forEach(([name, value]) => formData.append(name, value));
+        return formData;
+      }
+      case 'blob':
+        if (!explicitType) headers['Content-Type'] = request.data.type || 'application/octet-stream';
+        return request.data;
+      case 'binary':
+        if (!explicitType) headers['Content-Type'] = 'application/octet-stream';
+        return request.data;
+      default:
+        return JSON.stringify(this.resolveReferences(request.data, request.dependencyResults));
+    }
   }
 
   /**
    * Handles data conflicts during sync
+   * With the 'merge' strategy and the base version the local edit started from, fields are
+   * merged three ways; fields that can't be merged keep the server value.
    * @param {Object} localData - Local data
    * @param {Object} serverData - Server data
+   * @param {Object} baseData - Data the local edit started from
    * @returns {Object} Resolved data
    */
-  handleConflict(localData, serverData) {
+  handleConflict(localData, serverData, baseData = null) {
     switch (this.options.conflictResolution) {
       case 'server-wins':
         return serverData;
       case 'client-wins':
         return localData;
       case 'merge':
-        return this.mergeData(localData, serverData);
+        return baseData ?
+          this.mergeThreeWay(baseData, localData, serverData, { strategies: this.options.fieldStrategies }).merged :
+          this.mergeData(localData, serverData);
       default:
         return serverData;
     }
   }
 
+  /**
+   * Resolves the conflict reported when a queued request is rejected with 409 or 412
+   * The request's data is replaced with the resolution and the server data becomes its new base,
+   * so a later conflict is merged against what the server had. Fields that no strategy can merge
+   * are passed to `onConflict` (or the conflict dialog) for a manual choice. A resolution that
+   * changes the payload is sent under a new idempotency key.
+   * @param {Object} request - Queued request
+   * @param {Object} serverData - Current data on the server
+   * @returns {Promise<Object>} Resolved data
+   */
+  async resolveConflict(request, serverData) {
+    let resolved;
+
+    if (this.options.conflictResolution === 'merge' && request.base) {
+      const { merged, conflicts } = this.mergeThreeWay(request.base, request.data, serverData, {
+        strategies: { ...this.options.fieldStrategies, ...request.fieldStrategies },
+        localTime: request.timestamp,
+        serverTime: this.getServerTime(serverData)
+      });
+
+      resolved = merged;
+
+      if (conflicts.length > 0) {
+        const details = { request: this.getQueue().find(entry => entry.id === request.id), base: request.base, local: request.data, server: serverData, merged };
+        let choices = null;
+
+        if (this.options.onConflict) {
+          choices = await this.options.onConflict(conflicts, details);
+        } else if (this.options.conflictDialog) {
+          choices = await this.showConflictDialog(conflicts, details);
+        }
+
+        // Unchosen fields keep the server value
+        Object.entries(choices || {}).forEach(([path, value]) => this.setPath(resolved, path, value));
+      }
+    } else {
+      resolved = this.handleConflict(request.data, serverData, request.base);
+    }
+
+    // The server may have stored its answer to the rejected payload under the old key
+    if (request.idempotencyKey && !this.isEqual(resolved, request.data)) {
+      request.idempotencyKey = this.generateIdempotencyKey();
+    }
+
+    request.data = resolved;
+    request.base = serverData;
+    await this.saveQueue();
+
+    return resolved;
+  }
+
+  /**
+   * Merges local and server changes made to the same base version
+   * A field changed on one side only takes that change. A field both sides changed differently
+   * is merged recursively for objects, or by its strategy from `strategies` (keyed by dotted
+   * path, with '*' for any field): 'lww' (the newer side wins), 'counter' (both sides' increments
+   * are applied), 'union' (array items added on either side are kept and removed ones dropped),
+   * 'client', 'server' or a function called with { path, base, local, server, localTime, serverTime }.
+   * @param {Object} base - Data both sides started from
+   * @param {Object} local - Local data
+   * @param {Object} server - Server data
+   * @param {Object} options - Merge options
+   * @param {Object} options.strategies - Field strategies by path
+   * @param {number} options.localTime - When the local edit was made, for 'lww'
+   * @param {number} options.serverTime - When the server data was last changed, for 'lww'
+   * @param {string} path - Path of the objects being merged, for recursion
+   * @returns {Object} { merged, conflicts } where conflicts lists { path, base, local, server } for
+   * fields that couldn't be merged and kept the server value
+   */
+  mergeThreeWay(base, local, server, options = {}, path = '') {
+    const { strategies = {}, localTime = null, serverTime = null } = options;
+    const isObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+    const merged = {};
+    const conflicts = [];
+
+    const keys = new Set([...Object.keys(base || {}), ...Object.keys(local || {}), ...Object.keys(server || {})]);
+
+    keys.forEach(key => {
+      const fieldPath = path ? `${path}.${key}` : key;
+      const baseValue = (base || {})[key];
+      const localValue = (local || {})[key];
+      const serverValue = (server || {})[key];
+      let value;
+
+      if (this.isEqual(localValue, baseValue) || this.isEqual(localValue, serverValue)) {
+        value = serverValue;
+      } else if (this.isEqual(serverValue, baseValue)) {
+        value = localValue;
+      } else if (isObject(localValue) && isObject(serverValue) && (baseValue === undefined || isObject(baseValue))) {
+        const nested = this.mergeThreeWay(baseValue || {}, localValue, serverValue, options, fieldPath);
+        value = nested.merged;
+        conflicts.push(...nested.conflicts);
+      } else {
+        const field = { path: fieldPath, base: baseValue, local: localValue, server: serverValue, localTime, serverTime };
+        const outcome = this.applyFieldStrategy(strategies[fieldPath] || strategies['*'], field);
+
+        if (outcome.resolved) {
+          value = outcome.value;
+        } else {
+          value = serverValue;
+          conflicts.push({ path: fieldPath, base: baseValue, local: localValue, server: serverValue });
+        }
+      }
+
+      if (value !== undefined) {
+        merged[key] = value;
+      }
+    });
+
+    return { merged, conflicts };
+  }
+
+  /**
+   * Merges a field that both sides changed
+   * @param {string|Function} strategy - Field strategy
+   * @param {Object} field - { path, base, local, server, localTime, serverTime }
+   * @returns {Object} { resolved, value }
+   */
+  applyFieldStrategy(strategy, field) {
+    const { base, local, server, localTime, serverTime } = field;
+
+    if (typeof strategy === 'function') {
+      const value = strategy(field);
+      return { resolved: value !== undefined, value };
+    }
+
+    switch (strategy) {
+      case 'client':
+        return { resolved: true, value: local };
+      case 'server':
+        return { resolved: true, value: server };
+      case 'lww':
+        if (!localTime || !serverTime) break;
+        return { resolved: true, value: localTime > serverTime ? local : server };
+      case 'counter': {
+        const start = base === undefined ? 0 : base;
+        if (![start, local, server].every(value => typeof value === 'number')) break;
+        return { resolved: true, value: local + server - start };
+      }
+      case 'union': {
+        if (!Array.isArray(local) || !Array.isArray(server)) break;
+        const contains = (list, item) => list.some(other => this.isEqual(other, item));
+        const removed = (Array.isArray(base) ? base : []).filter(item => !contains(local, item) || !contains(server, item));
+        const value = [...server, ...local.filter(item => !contains(server, item))]
+          .filter(item => !contains(removed, item));
+        return { resolved: true, value };
+      }
+      default:
+        break;
+    }
+
+    return { resolved: false };
+  }
+
+  /**
+   * Gets when the server data was last changed, from its `timestampField`
+   * @param {Object} serverData - Server data
+   * @returns {number|null} Time in milliseconds
+   */
+  getServerTime(serverData) {
+    const value = serverData ? serverData[this.options.timestampField] : null;
+    if (value === null || value === undefined) return null;
+
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return isNaN(time) ? null : time;
+  }
+
+  /**
+   * Compares two JSON-like values deeply
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {boolean} Whether the values are equal
+   */
+  isEqual(a, b) {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => this.isEqual(a[key], b[key]));
+  }
+
+  /**
+   * Sets a value at a dotted path
+   * @param {Object} target - Object to change
+   * @param {string} path - Dotted path
+   * @param {*} value - Value to set; undefined removes the field
+   */
+  setPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => {
+      if (!object[key] || typeof object[key] !== 'object') object[key] = {};
+      return object[key];
+    }, target);
+
+    if (value === undefined) {
+      delete parent[last];
+    } else {
+      parent[last] = value;
+    }
+  }
+
+  /**
+   * Shows a dialog for choosing between the local and server value of conflicting fields
+   * @param {Array} conflicts - Conflicts from mergeThreeWay()
+   * @param {Object} details - { request, base, local, server, merged }
+   * @returns {Promise<Object>} Chosen values by path
+   */
+  showConflictDialog(conflicts, details) {
+    return new Promise(resolve => {
+      const overlay = document.createElement('div');
+      overlay.className = 'offline-sync-conflict-overlay';
+
+      const dialog = document.createElement('div');
+      dialog.className = 'offline-sync-conflict-dialog';
+      dialog.setAttribute('role', 'dialog');
+      dialog.setAttribute('aria-modal', 'true');
+      dialog.setAttribute('aria-labelledby', 'offline-sync-conflict-title');
+
+      const title = document.createElement('h3');
+      title.id = 'offline-sync-conflict-title';
+      title.textContent = 'Resolve sync conflicts';
+      dialog.appendChild(title);
+
+      const description = document.createElement('p');
+      description.textContent = `${details.request ? `${details.request.method} ${details.request.url}: ` : ''}these fields were changed both here and on the server.`;
+      dialog.appendChild(description);
+
+      const format = (value) => (value === undefined ? '(removed)' : typeof value === 'string' ? value : JSON.stringify(value));
+
+      conflicts.forEach((conflict, index) => {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'offline-sync-conflict';
+
+        const legend = document.createElement('legend');
+        legend.textContent = conflict.path;
+        fieldset.appendChild(legend);
+
+        [['local', 'Yours'], ['server', 'Server']].forEach(([side, label]) => {
+          const option = document.createElement('label');
+          const input = document.createElement('input');
+          input.type = 'radio';
+          input.name = `offline-sync-conflict-${index}`;
+          input.value = side;
+          input.checked = side === 'local';
+
+          const value = document.createElement('span');
+          value.textContent = `${label}: ${format(conflict[side])}`;
+
+          option.appendChild(input);
+          option.appendChild(value);
+          fieldset.appendChild(option);
+        });
+
+        dialog.appendChild(fieldset);
+      });
+
+      const apply = document.createElement('button');
+      apply.type = 'button';
+      apply.textContent = 'Apply';
+      apply.addEventListener('click', () => {
+        const choices = {};
+        conflicts.forEach((conflict, index) => {
+          const side = dialog.querySelector(`input[name="offline-sync-conflict-${index}"]:checked`).value;
+          choices[conflict.path] = conflict[side];
+        });
+
+        overlay.remove();
+        resolve(choices);
+      });
+      dialog.appendChild(apply);
+
+      overlay.appendChild(dialog);
+      document.body.appendChild(overlay);
+      apply.focus();
+    });
+  }
+
   /**
    * Merges local and server data
    * @param {Object} localData - Local data
@@ -343,44 +1101,120 @@ class OfflineSync {
 
   /**
    * Loads the request queue from storage
+   * A queue left in localStorage by an earlier version moves into IndexedDB.
+   * @returns {Promise} Promise that resolves when the queue is loaded
    */
-  loadQueue() {
+  async loadQueue() {
+    let queue = [];
+    let migrate = false;
+
     try {
-      const stored = this.storage.getItem(this.options.storageKey);
+      const stored = this.storage ? this.storage.getItem(this.options.storageKey) : null;
       if (stored) {
-        this.queue = JSON.parse(stored);
+        queue = JSON.parse(stored);
+      }
+
+      if (this.store) {
+        queue = (await this.store.getAll()).concat(queue);
+        migrate = Boolean(stored);
       }
     } catch (error) {
       console.error('Failed to load offline sync queue:', error);
-      this.queue = [];
+    }
+
+    queue.forEach((request, index) => this.normalizeRequest(request, index));
+
+    this.queue = queue.concat(this.queue).sort((a, b) => a.sequence - b.sequence);
+    this.lastSequence = Math.max(this.lastSequence, ...this.queue.map(request => request.sequence));
+
+    if (migrate) {
+      await this.saveQueue();
+      this.storage.removeItem(this.options.storageKey);
     }
   }
 
   /**
-   * Saves the request queue to storage
+   * Re-reads the queue from IndexedDB, which other tabs and the service worker also change
+   * @returns {Promise} Promise that resolves when the queue is up to date
    */
-  saveQueue() {
+  async reloadQueue() {
+    if (!this.store) return;
+
+    // Requests added here must be stored before the queue is read back
+    await this.saving;
+
     try {
-      this.storage.setItem(this.options.storageKey, JSON.stringify(this.queue));
+      const queue = await this.store.getAll();
+      queue.forEach((request, index) => this.normalizeRequest(request, index));
+      this.queue = queue;
+      this.lastSequence = Math.max(this.lastSequence, ...queue.map(request => request.sequence));
     } catch (error) {
-      console.error('Failed to save offline sync queue:', error);
+      console.error('Failed to load offline sync queue:', error);
     }
   }
 
+  /**
+   * Fills in the fields of requests queued before dependencies and retry state existed
+   * @param {Object} request - Stored request, updated in place
+   * @param {number} index - Position in the stored queue
+   */
+  normalizeRequest(request, index) {
+    request.sequence = request.sequence || request.timestamp + index;
+    request.bodyType = request.bodyType || 'json';
+    request.dependsOn = request.dependsOn || [];
+    request.dependencyResults = request.dependencyResults || {};
+    request.status = request.status === 'syncing' ? 'pending' : request.status || 'pending';
+  }
+
+  /**
+   * Saves the request queue to storage
+   * In IndexedDB only the requests this instance has and the ones it removed are written, so
+   * requests another tab or the service worker queued meanwhile are kept.
+   * @returns {Promise} Promise that resolves when the queue is saved
+   */
+  saveQueue() {
+    const queue = this.queue.map(request => ({ ...request }));
+    const removed = Array.from(this.removedIds);
+    this.removedIds.clear();
+
+    // Saves run one at a time so an older snapshot can't overwrite a newer one
+    this.saving = this.saving.then(async () => {
+      try {
+        if (this.store) {
+          await this.store.update(queue, removed);
+          return;
+        }
+        if (!this.storage) return;
+
+        if (queue.some(request => request.bodyType !== 'json')) {
+          console.warn('Binary request bodies cannot be kept in localStorage and will be lost on reload');
+        }
+        this.storage.setItem(this.options.storageKey, JSON.stringify(queue));
+      } catch (error) {
+        console.error('Failed to save offline sync queue:', error);
+      }
+    });
+
+    return this.saving;
+  }
+
   /**
    * Clears the offline request queue
+   * @returns {Promise} Promise that resolves when the cleared queue is saved
    */
   clearQueue() {
+    this.queue.forEach(request => this.removedIds.add(request.id));
     this.queue = [];
-    this.saveQueue();
+    return this.saveQueue();
   }
 
   /**
    * Gets the current offline request queue
+   * Each entry includes its `status`, `retries`, `lastAttempt`, `nextAttempt` and `lastError`.
    * @returns {Array} Queue of offline requests
    */
   getQueue() {
-    return [...this.queue];
+    return this.queue.map(request => ({ ...request }));
   }
 
   /**
@@ -424,6 +1258,18 @@ class OfflineSync {
     return `sync-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  /**
+   * Generates an idempotency key
+   * @returns {string} Random key
+   */
+  generateIdempotencyKey() {
+    if (self.crypto && self.crypto.randomUUID) {
+      return self.crypto.randomUUID();
+    }
+
+    return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
   /**
    * Simple delay function
    * @param {number} ms - Milliseconds to delay
@@ -460,6 +1306,8 @@ class OfflineSync {
     const index = this.queue.findIndex(req => req.id === requestId);
     if (index !== -1) {
       this.queue.splice(index, 1);
+      this.removedIds.add(requestId);
+      this.failDependents(requestId, new Error('Request was removed from the queue'));
       this.saveQueue();
       return true;
     }
@@ -510,7 +1358,7 @@ class OfflineSync {
    * Adds dynamic styles for offline status indicator
    */
   addDynamicStyles() {
-    if (document.getElementById('offline-sync-styles')) return;
+    if (typeof document === 'undefined' || document.getElementById('offline-sync-styles')) return;
 
     const style = document.createElement('style');
     style.id = 'offline-sync-styles';
@@ -558,6 +1406,39 @@ class OfflineSync {
         background: var(--bg-darker, #111);
         border-color: var(--jazer-cyan, #00f2ea);
       }
+
+      .offline-sync-conflict-overlay {
+        position: fixed;
+        inset: 0;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0, 0, 0, 0.6);
+        z-index: 10001;
+      }
+
+      .offline-sync-conflict-dialog {
+        max-width: 480px;
+        max-height: 80vh;
+        overflow: auto;
+        padding: 20px;
+        background: var(--bg-dark, #000);
+        border: 1px solid var(--border-default, #4facfe);
+        border-radius: 8px;
+      }
+
+      .offline-sync-conflict {
+        margin: 0 0 12px;
+        border: 1px solid var(--border-default, #4facfe);
+        border-radius: 4px;
+      }
+
+      .offline-sync-conflict label {
+        display: flex;
+        gap: 8px;
+        padding: 4px 0;
+        word-break: break-word;
+      }
     `;
 
     document.head.appendChild(style);
@@ -618,10 +1499,96 @@ class OfflineSync {
    */
   destroy() {
     this.stopSyncInterval();
+    this.clearRetryTimeout();
+
+    if (this.onlineHandler) {
+      self.removeEventListener('online', this.onlineHandler);
+      self.removeEventListener('offline', this.offlineHandler);
+      this.onlineHandler = null;
+      this.offlineHandler = null;
+    }
+
+    if (this.workerMessageHandler) {
+      navigator.serviceWorker.removeEventListener('message', this.workerMessageHandler);
+      this.workerMessageHandler = null;
+    }
     this.syncInProgress = false;
   }
 }
 
+/**
+ * Keeps the offline sync queue in IndexedDB, one record per request
+ * Unlike localStorage this has room for large queues and keeps Blob and ArrayBuffer bodies.
+ */
+class OfflineQueueStore {
+  /**
+   * Creates a store backed by a named database
+   * @param {string} name - Database name
+   */
+  constructor(name) {
+    this.name = name;
+    this.db = null;
+  }
+
+  /**
+   * Opens the database
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, 1);
+
+        request.onerror = (event) => reject(event.target.error);
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onupgradeneeded = (event) => {
+          const db = event.target.result;
+          if (!db.objectStoreNames.contains('requests')) {
+            db.createObjectStore('requests', { keyPath: 'id' });
+          }
+        };
+      });
+    }
+
+    return this.db;
+  }
+
+  /**
+   * Gets every queued request
+   * @returns {Promise<Array>} Requests in queue order
+   */
+  async getAll() {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(['requests'], 'readonly').objectStore('requests').getAll();
+      request.onsuccess = () => resolve(request.result.sort((a, b) => a.sequence - b.sequence));
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * Writes and deletes requests in a single transaction
+   * @param {Array} requests - Requests to write
+   * @param {Array} removedIds - IDs of requests to delete
+   * @returns {Promise} Promise that resolves when the transaction completes
+   */
+  async update(requests, removedIds = []) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['requests'], 'readwrite');
+      const store = transaction.objectStore('requests');
+
+      removedIds.forEach(id => store.delete(id));
+      requests.forEach(request => store.put(request));
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+  }
+}
+
 /**
  * Creates a new offline sync instance
  * @param {Object} options - Configuration options
@@ -717,7 +1684,7 @@ const OfflineSyncUtils = {
       localStorage: typeof Storage !== 'undefined',
       fetch: typeof fetch !== 'undefined',
       serviceWorker: 'serviceWorker' in navigator,
-      backgroundSync: 'serviceWorker' in navigator && 'sync' in navigator.serviceWorker,
+      backgroundSync: 'serviceWorker' in navigator && 'SyncManager' in window,
       onlineDetection: 'onLine' in navigator
     };
   }
@@ -727,12 +1694,16 @@ const OfflineSyncUtils = {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     OfflineSync,
+    OfflineQueueStore,
     createOfflineSync,
     OfflineSyncUtils
   };
 }
 
-// Also make it available globally
-window.OfflineSync = OfflineSync;
-window.createOfflineSync = createOfflineSync;
-window.OfflineSyncUtils = OfflineSyncUtils;
\ No newline at end of file
+// Also make it available globally (the service worker loads this file with importScripts and has no window)
+if (typeof window !== 'undefined') {
+  window.OfflineSync = OfflineSync;
+  window.OfflineQueueStore = OfflineQueueStore;
+  window.createOfflineSync = createOfflineSync;
+  window.OfflineSyncUtils = OfflineSyncUtils;
+}
\ No newline at end of file
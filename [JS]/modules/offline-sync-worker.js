@@ -0,0 +1,119 @@
+/* eslint-env serviceworker */
+/* global OfflineSync */
+/**
+ * Offline Sync Service Worker
+ * Companion to offline-sync-module.js that flushes the offline sync queue through the Background
+ * Sync API, so queued requests still go out after the page is closed. It works on the same
+ * IndexedDB queue as the page and reports what it synced back to open pages.
+ *
+ * Serve it next to offline-sync-module.js and either let OfflineSync register it with the
+ * `serviceWorkerUrl` option or load it from your own service worker:
+ *
+ *   importScripts('offline-sync-worker.js');
+ *
+ * Messages:
+ * - page to worker: { type: 'offline-sync:configure', tag, options } is sent by OfflineSync once
+ *   the worker is active. The options are stored so a sync event can run without a page.
+ * - worker to page: { type: 'offline-sync:complete', tag, synced, remaining, results } is sent
+ *   after each background sync. OfflineSync passes it to `onSyncComplete` with `background: true`.
+ */
+
+importScripts('offline-sync-module.js');
+
+const OFFLINE_SYNC_CONFIG_DB = 'offline-sync-worker';
+
+/**
+ * Opens the database holding the options pages sent for each sync tag
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openSyncConfigDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OFFLINE_SYNC_CONFIG_DB, 1);
+
+    request.onerror = (event) => reject(event.target.error);
+    request.onsuccess = (event) => resolve(event.target.result);
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains('configs')) {
+        db.createObjectStore('configs', { keyPath: 'tag' });
+      }
+    };
+  });
+}
+
+/**
+ * Stores the options for a sync tag
+ * @param {string} tag - Background Sync tag
+ * @param {Object} options - OfflineSync options from the page
+ * @returns {Promise} Promise that resolves when the options are stored
+ */
+async function saveSyncConfig(tag, options) {
+  const db = await openSyncConfigDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['configs'], 'readwrite');
+    transaction.objectStore('configs').put({ tag, options });
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Gets the options for a sync tag
+ * @param {string} tag - Background Sync tag
+ * @returns {Promise<Object|null>} OfflineSync options, or null for tags no page configured
+ */
+async function loadSyncConfig(tag) {
+  const db = await openSyncConfigDatabase();
+
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(['configs'], 'readonly').objectStore('configs').get(tag);
+    request.onsuccess = () => resolve(request.result ? request.result.options : null);
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Sends the queue for a sync tag and reports the outcome to open pages
+ * @param {string} tag - Background Sync tag
+ * @returns {Promise} Promise that rejects while requests remain, so the browser retries the sync later
+ */
+async function flushOfflineQueue(tag) {
+  const options = await loadSyncConfig(tag);
+  if (!options) return;
+
+  let summary = null;
+  const sync = new OfflineSync({
+    ...options,
+    autoSync: false,
+    enableBackgroundSync: false,
+    onSyncComplete: (result) => {
+      summary = result;
+    }
+  });
+
+  await sync.sync();
+  sync.destroy();
+
+  if (summary) {
+    const pages = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    pages.forEach(page => page.postMessage({ type: 'offline-sync:complete', tag, ...summary }));
+  }
+
+  const remaining = sync.getQueueCount();
+  if (remaining > 0) {
+    throw new Error(`${remaining} offline request${remaining === 1 ? ' is' : 's are'} still queued`);
+  }
+}
+
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+
+  if (message.type === 'offline-sync:configure' && message.tag) {
+    event.waitUntil(saveSyncConfig(message.tag, message.options));
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  event.waitUntil(flushOfflineQueue(event.tag));
+});
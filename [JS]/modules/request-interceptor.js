@@ -19,20 +19,36 @@ class RequestInterceptor {
       enableRequestTransform: true,
       enableResponseTransform: true,
       enableCaching: false,
-      cacheDuration: 300000, // 5 minutes
+      cacheDuration: 300000, // 5 minutes, for responses without Cache-Control max-age or Expires
+      staleWhileRevalidate: 0, // ms a stale response may still be served while it's refreshed, unless Cache-Control says
+      cacheStore: 'memory', // 'memory', 'cache-storage', 'indexeddb' or a custom store
+      cacheName: 'request-interceptor',
+      onCacheUpdate: null,
       enableRetry: true,
       maxRetries: 3,
       retryDelay: 1000,
       retryOnNetworkError: true,
       retryOnTimeout: true,
       timeout: 10000,
+      enableDedupe: true, // Identical GETs in flight at the same time share one network request
       ...options
     };
 
     this.requestInterceptors = [];
     this.responseInterceptors = [];
+    this.middleware = [];
+    this.scopes = new WeakMap(); // interceptor or middleware -> { url, method }
+    this.inFlight = new Map(); // dedupe key -> { promise, controller, waiters }
+    this.groups = new Map(); // group name -> Set of AbortControllers
+    this.recording = null;
+    this.harEntries = [];
+    this.pendingRecordings = new Set();
+    this.replayEntries = []; // { entry, uses }
+    this.replayOptions = null;
+    this.chaos = null;
     this.mockRules = [];
-    this.cache = new Map();
+    this.cache = this.createCacheStore(this.options.cacheStore);
+    this.revalidating = new Map(); // cache key -> revalidation promise
     this.requestLog = [];
     this.originalFetch = window.fetch;
     this.originalXMLHttpRequest = window.XMLHttpRequest;
@@ -60,66 +76,256 @@ class RequestInterceptor {
 
   /**
    * Intercepts fetch requests
+   * Besides the standard options, `init` accepts `group` (a name for cancelGroup()) and
+   * `dedupe: false` to opt a GET out of sharing an identical in-flight request.
    * @param {string} input - Request URL or Request object
    * @param {Object} init - Request init object
    * @returns {Promise} Intercepted fetch response
    */
   async interceptFetch(input, init = {}) {
-    const request = new Request(input, init);
+    const { group, dedupe, ...fetchInit } = init;
+    const controller = group ? this.addToGroup(group, fetchInit.signal || (input instanceof Request ? input.signal : null)) : null;
+    const request = new Request(input, controller ? { ...fetchInit, signal: controller.signal } : fetchInit);
     const startTime = Date.now();
     const requestId = this.generateRequestId();
 
     // Log the request
     this.logRequest(requestId, request, startTime);
 
+    const ctx = {
+      id: requestId,
+      request,
+      response: null,
+      source: null,
+      group: group || null,
+      dedupe: dedupe !== false,
+      state: {},
+      interceptor: this
+    };
+
     try {
-      // Apply request interceptors
-      let processedRequest = request.clone();
-      for (const interceptor of this.requestInterceptors) {
-        processedRequest = await interceptor(processedRequest, this) || processedRequest;
-      }
+      const middleware = this.middleware.filter(fn => this.matchesScope(fn, request));
+      await this.runMiddleware(ctx, middleware, () => this.handleRequest(ctx));
 
-      // Check if there's a mock rule for this request
-      const mockResponse = this.getMockResponse(processedRequest);
-      if (mockResponse && this.options.enableMocking) {
-        this.logResponse(requestId, mockResponse, startTime, 'mocked');
-        return mockResponse;
+      if (!ctx.response) {
+        throw new Error(`No response was produced for ${request.method} ${request.url}`);
       }
 
-      // Check cache if enabled
-      if (this.options.enableCaching && processedRequest.method === 'GET') {
-        const cachedResponse = this.getCachedResponse(processedRequest);
-        if (cachedResponse) {
-          this.logResponse(requestId, cachedResponse, startTime, 'cached');
-          return cachedResponse;
-        }
+      this.logResponse(requestId, ctx.response, startTime, ctx.source || 'completed');
+      return ctx.response;
+    } catch (error) {
+      this.logError(requestId, error, startTime);
+      throw error;
+    } finally {
+      if (controller) this.removeFromGroup(group, controller);
+    }
+  }
+
+  /**
+   * Runs middleware in order, Koa style
+   * Each middleware is called with the context and a `next` function that runs the rest of the
+   * chain and resolves once it has finished, so code after `await next()` sees `ctx.response`.
+   * @param {Object} ctx - Request context
+   * @param {Array} middleware - Middleware functions
+   * @param {Function} handler - Called with the context at the end of the chain
+   * @returns {Promise} Promise that resolves when the chain has finished
+   */
+  async runMiddleware(ctx, middleware, handler) {
+    let lastIndex = -1;
+
+    const dispatch = async (index) => {
+      if (index <= lastIndex) {
+        throw new Error('next() called multiple times');
       }
+      lastIndex = index;
 
-      // Execute the actual request with retry logic
-      let response;
-      if (this.options.enableRetry) {
-        response = await this.executeRequestWithRetry(processedRequest);
-      } else {
-        response = await this.originalFetch(processedRequest);
+      const fn = index < middleware.length ? middleware[index] : handler;
+      await fn(ctx, () => dispatch(index + 1));
+    };
+
+    await dispatch(0);
+  }
+
+  /**
+   * Handles a request at the end of the middleware chain
+   * Applies the request interceptors, mock rules and cache, fetches the response and applies
+   * the response interceptors.
+   * @param {Object} ctx - Request context
+   */
+  async handleRequest(ctx) {
+    const request = ctx.request;
+
+    // Apply request interceptors
+    let processedRequest = request.clone();
+    for (const interceptor of this.requestInterceptors) {
+      if (!this.matchesScope(interceptor, processedRequest)) continue;
+      processedRequest = await interceptor(processedRequest, this) || processedRequest;
+    }
+    ctx.request = processedRequest;
+
+    // Inject latency and failures for chaos testing
+    if (this.chaos && await this.applyChaos(ctx)) {
+      return;
+    }
+
+    // Check if there's a mock rule for this request
+    const mockResponse = this.getMockResponse(processedRequest);
+    if (mockResponse && this.options.enableMocking) {
+      ctx.response = mockResponse;
+      ctx.source = 'mocked';
+      return;
+    }
+
+    // Check cache if enabled
+    const cachePolicy = this.options.enableCaching && processedRequest.method === 'GET' ?
+      this.getCachePolicy(processedRequest) :
+      { read: false, write: false };
+    const cached = cachePolicy.read ? await this.lookupCache(processedRequest) : null;
+
+    if (cached && !cachePolicy.revalidate && cached.state !== 'expired') {
+      // A stale response is served now and refreshed for the next caller
+      if (cached.state === 'stale') {
+        this.revalidateInBackground(processedRequest, cached.entry);
       }
 
-      // Apply response interceptors
-      let processedResponse = response;
-      for (const interceptor of this.responseInterceptors) {
-        processedResponse = await interceptor(processedResponse, this) || processedResponse;
+      ctx.response = this.createCachedResponse(cached.entry);
+      ctx.source = cached.state === 'fresh' ? 'cached' : 'stale';
+      return;
+    }
+
+    // Answer from the loaded HAR entries when replaying
+    if (this.replayOptions) {
+      const item = await this.findHAREntry(processedRequest);
+
+      if (item) {
+        if (this.replayOptions.useRecordedTiming && item.entry.time > 0) {
+          await this.delay(item.entry.time, processedRequest.signal);
+        }
+
+        ctx.response = this.createHARResponse(item.entry);
+        ctx.source = 'replayed';
+        return;
       }
 
-      // Cache response if enabled
-      if (this.options.enableCaching && request.method === 'GET' && processedResponse.ok) {
-        this.setCachedResponse(request, processedResponse.clone());
+      if (!this.replayOptions.passthrough) {
+        throw new Error(`No HAR entry matches ${processedRequest.method} ${processedRequest.url}`);
       }
+    }
 
-      this.logResponse(requestId, processedResponse, startTime, 'completed');
-      return processedResponse;
-    } catch (error) {
-      this.logError(requestId, error, startTime);
-      throw error;
+    // Read the body before sending uses it up
+    const record = this.recording && (!this.recording.url || this.matchesUrl(this.recording.url, processedRequest));
+    const requestBody = record ? processedRequest.clone().text() : null;
+    const sentAt = Date.now();
+
+    // Ask the server whether a cached response it has validators for is still current
+    const networkRequest = cached && (cached.entry.etag || cached.entry.lastModified) ?
+      this.createConditionalRequest(processedRequest, cached.entry) :
+      processedRequest;
+
+    // Execute the actual request, sharing it with identical ones already in flight
+    let response = ctx.dedupe ? await this.fetchDeduped(networkRequest, ctx) : await this.sendRequest(networkRequest);
+
+    if (networkRequest !== processedRequest && response.status === 304) {
+      const entry = await this.renewCacheEntry(processedRequest, cached.entry, response);
+      response = this.createCachedResponse(entry);
+      ctx.source = 'revalidated';
+    }
+
+    if (record && ctx.source !== 'deduped') {
+      this.recordEntry(networkRequest, requestBody, response, sentAt, Date.now());
+    }
+
+    // Apply response interceptors
+    let processedResponse = response;
+    for (const interceptor of this.responseInterceptors) {
+      if (!this.matchesScope(interceptor, processedRequest)) continue;
+      processedResponse = await interceptor(processedResponse, this) || processedResponse;
+    }
+
+    // Cache response if enabled
+    if (cachePolicy.write && ctx.source !== 'revalidated' && processedResponse.ok) {
+      await this.setCachedResponseAsync(processedRequest, processedResponse.clone());
+    }
+
+    ctx.response = processedResponse;
+    ctx.source = ctx.source || 'completed';
+  }
+
+  /**
+   * Sends a request over the network, with retries if enabled
+   * @param {Request} request - Request object
+   * @returns {Promise} Response promise
+   */
+  sendRequest(request) {
+    // The native fetch throws "Illegal invocation" unless it's called on the window
+    return this.options.enableRetry ? this.executeRequestWithRetry(request) : this.originalFetch.call(window, request);
+  }
+
+  /**
+   * Fetches a GET request, sharing the network request with identical GETs already in flight
+   * Every caller gets its own clone of the response. The shared request is only aborted once
+   * every caller waiting on it has aborted.
+   * @param {Request} request - Request object
+   * @param {Object} ctx - Request context
+   * @returns {Promise} Response promise
+   */
+  fetchDeduped(request, ctx) {
+    if (!this.options.enableDedupe || request.method !== 'GET') {
+      return this.sendRequest(request);
+    }
+
+    const key = this.getDedupeKey(request);
+    let entry = this.inFlight.get(key);
+
+    if (entry) {
+      ctx.source = 'deduped';
+    } else {
+      const controller = new AbortController();
+      entry = { controller, waiters: 0, promise: null };
+      entry.promise = this.sendRequest(new Request(request, { signal: controller.signal }));
+      entry.promise.catch(() => {}).then(() => {
+        if (this.inFlight.get(key) === entry) this.inFlight.delete(key);
+      });
+      this.inFlight.set(key, entry);
     }
+
+    entry.waiters++;
+    const signal = request.signal;
+
+    return new Promise((resolve, reject) => {
+      const handleAbort = () => {
+        entry.waiters--;
+        if (entry.waiters === 0) {
+          this.inFlight.delete(key);
+          entry.controller.abort(signal.reason);
+        }
+        reject(signal.reason || new DOMException('The operation was aborted.', 'AbortError'));
+      };
+
+      if (signal.aborted) {
+        handleAbort();
+        return;
+      }
+
+      signal.addEventListener('abort', handleAbort);
+      entry.promise.then(response => {
+        signal.removeEventListener('abort', handleAbort);
+        resolve(response.clone());
+      }, error => {
+        signal.removeEventListener('abort', handleAbort);
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Gets the key identical GETs share while in flight
+   * @param {Request} request - Request object
+   * @returns {string} Dedupe key
+   */
+  getDedupeKey(request) {
+    const headers = Array.from(request.headers.entries()).sort(([a], [b]) => a.localeCompare(b));
+    return `${request.method}:${request.url}:${JSON.stringify(headers)}`;
   }
 
   /**
@@ -132,7 +338,7 @@ class RequestInterceptor {
     
     for (let attempt = 0; attempt <= this.options.maxRetries; attempt++) {
       try {
-        const response = await this.originalFetch(request.clone());
+        const response = await this.originalFetch.call(window, request.clone());
         
         // Don't retry on successful responses
         if (response.ok) {
@@ -142,7 +348,7 @@ class RequestInterceptor {
         // Only retry on specific status codes
         if ([502, 503, 504].includes(response.status)) {
           if (attempt < this.options.maxRetries) {
-            await this.delay(this.getRetryDelay(attempt));
+            await this.delay(this.getRetryDelay(attempt), request.signal);
             continue;
           }
         }
@@ -151,9 +357,9 @@ class RequestInterceptor {
       } catch (error) {
         lastError = error;
         
-        // Check if we should retry on this type of error
-        if (this.shouldRetryOnError(error) && attempt < this.options.maxRetries) {
-          await this.delay(this.getRetryDelay(attempt));
+        // Check if we should retry on this type of error; cancelled requests never are
+        if (!request.signal.aborted && this.shouldRetryOnError(error) && attempt < this.options.maxRetries) {
+          await this.delay(this.getRetryDelay(attempt), request.signal);
           continue;
         }
         
@@ -196,10 +402,83 @@ class RequestInterceptor {
   /**
    * Simple delay function
    * @param {number} ms - Milliseconds to delay
+   * @param {AbortSignal} signal - Optional signal that cuts the delay short with a rejection
    * @returns {Promise} Promise that resolves after delay
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason || new DOMException('The operation was aborted.', 'AbortError'));
+        return;
+      }
+
+      const timeoutId = setTimeout(resolve, ms);
+
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timeoutId);
+          reject(signal.reason || new DOMException('The operation was aborted.', 'AbortError'));
+        }, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Creates an AbortController for a request in a cancellation group
+   * @param {string} group - Group name
+   * @param {AbortSignal} signal - Caller's signal, which also aborts the request
+   * @returns {AbortController} Controller for the request
+   */
+  addToGroup(group, signal) {
+    const controller = new AbortController();
+
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort(signal.reason);
+      } else {
+        signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+      }
+    }
+
+    if (!this.groups.has(group)) {
+      this.groups.set(group, new Set());
+    }
+    this.groups.get(group).add(controller);
+
+    return controller;
+  }
+
+  /**
+   * Removes a finished request from its cancellation group
+   * @param {string} group - Group name
+   * @param {AbortController} controller - Controller for the request
+   */
+  removeFromGroup(group, controller) {
+    const controllers = this.groups.get(group);
+    if (!controllers) return;
+
+    controllers.delete(controller);
+    if (controllers.size === 0) {
+      this.groups.delete(group);
+    }
+  }
+
+  /**
+   * Cancels every in-flight fetch in a group
+   * Requests join a group with `fetch(url, { group: 'search' })`; cancelled ones reject with an AbortError.
+   * @param {string} group - Group name
+   * @param {any} reason - Optional abort reason
+   * @returns {number} Number of requests cancelled
+   */
+  cancelGroup(group, reason) {
+    const controllers = this.groups.get(group);
+    if (!controllers) return 0;
+
+    this.groups.delete(group);
+    const abortReason = reason !== undefined ? reason : new DOMException(`Request group "${group}" was cancelled`, 'AbortError');
+    controllers.forEach(controller => controller.abort(abortReason));
+
+    return controllers.size;
   }
 
   /**
@@ -280,185 +559,1012 @@ class RequestInterceptor {
       
       return xhr;
     };
-    
-    // Replace XMLHttpRequest globally
-    window.XMLHttpRequest = NewXMLHttpRequest;
+    
+    // Replace XMLHttpRequest globally
+    window.XMLHttpRequest = NewXMLHttpRequest;
+  }
+
+  /**
+   * Adds a middleware to the fetch pipeline
+   * Middleware runs in the order added as `async (ctx, next) => {}`. `ctx.request` can be replaced
+   * before `await next()` and `ctx.response` read or replaced after it; setting `ctx.response`
+   * without calling `next` answers the request directly.
+   * @param {Function} middleware - Middleware function
+   * @param {Object} scope - Optional scope limiting which requests it sees
+   * @param {string|RegExp|Function} scope.url - URL pattern (substring, RegExp or predicate)
+   * @param {string|Array} scope.method - HTTP method(s)
+   * @returns {RequestInterceptor} This interceptor, for chaining
+   */
+  use(middleware, scope) {
+    this.setScope(middleware, scope);
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Removes a middleware
+   * @param {Function} middleware - Middleware function to remove
+   * @returns {boolean} Whether the middleware was removed
+   */
+  removeMiddleware(middleware) {
+    const index = this.middleware.indexOf(middleware);
+    if (index !== -1) {
+      this.middleware.splice(index, 1);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Adds a request interceptor
+   * @param {Function} interceptor - Interceptor function
+   * @param {Object} scope - Optional scope ({ url, method }) limiting which requests it sees
+   */
+  addRequestInterceptor(interceptor, scope) {
+    this.setScope(interceptor, scope);
+    this.requestInterceptors.push(interceptor);
+  }
+
+  /**
+   * Adds a response interceptor
+   * @param {Function} interceptor - Interceptor function
+   * @param {Object} scope - Optional scope ({ url, method }) limiting which requests it sees
+   */
+  addResponseInterceptor(interceptor, scope) {
+    this.setScope(interceptor, scope);
+    this.responseInterceptors.push(interceptor);
+  }
+
+  /**
+   * Records the scope of an interceptor or middleware
+   * @param {Function} fn - Interceptor or middleware
+   * @param {Object} scope - Scope ({ url, method }), or nothing for every request
+   */
+  setScope(fn, scope) {
+    if (scope) {
+      this.scopes.set(fn, scope);
+    } else {
+      this.scopes.delete(fn);
+    }
+  }
+
+  /**
+   * Checks whether a request is in the scope of an interceptor or middleware
+   * @param {Function} fn - Interceptor or middleware
+   * @param {Request} request - Request object
+   * @returns {boolean} Whether it applies to the request
+   */
+  matchesScope(fn, request) {
+    const scope = this.scopes.get(fn);
+    if (!scope) return true;
+
+    if (scope.method) {
+      const methods = [].concat(scope.method).map(method => method.toUpperCase());
+      if (!methods.includes(request.method.toUpperCase())) return false;
+    }
+
+    return !scope.url || this.matchesUrl(scope.url, request);
+  }
+
+  /**
+   * Checks a request URL against a pattern
+   * @param {string|RegExp|Function} pattern - Substring, RegExp or predicate called with (url, request)
+   * @param {Request} request - Request object
+   * @returns {boolean} Whether the URL matches
+   */
+  matchesUrl(pattern, request) {
+    if (typeof pattern === 'string') return request.url.includes(pattern);
+    if (typeof pattern === 'function') return Boolean(pattern(request.url, request));
+    return pattern.test(request.url);
+  }
+
+  /**
+   * Removes a request interceptor
+   * @param {Function} interceptor - Interceptor function to remove
+   * @returns {boolean} Whether the interceptor was removed
+   */
+  removeRequestInterceptor(interceptor) {
+    const index = this.requestInterceptors.indexOf(interceptor);
+    if (index !== -1) {
+      this.requestInterceptors.splice(index, 1);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Removes a response interceptor
+   * @param {Function} interceptor - Interceptor function to remove
+   * @returns {boolean} Whether the interceptor was removed
+   */
+  removeResponseInterceptor(interceptor) {
+    const index = this.responseInterceptors.indexOf(interceptor);
+    if (index !== -1) {
+      this.responseInterceptors.splice(index, 1);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Adds a mock rule
+   * @param {Object} rule - Mock rule object
+   * @param {string|RegExp} rule.url - URL pattern to match
+   * @param {string} rule.method - HTTP method to match (default: 'GET')
+   * @param {Object|Function} rule.response - Response to return
+   */
+  addMockRule(rule) {
+    this.mockRules.push(rule);
+  }
+
+  /**
+   * Removes all mock rules
+   */
+  clearMockRules() {
+    this.mockRules = [];
+  }
+
+  /**
+   * Gets a mock response for a request
+   * @param {Request} request - Request object
+   * @returns {Response|null} Mock response or null if no match
+   */
+  getMockResponse(request) {
+    for (const rule of this.mockRules) {
+      const urlMatches = this.matchesUrl(rule.url, request);
+      
+      const methodMatches = !rule.method || rule.method.toUpperCase() === request.method.toUpperCase();
+      
+      if (urlMatches && methodMatches) {
+        const response = typeof rule.response === 'function'
+          ? rule.response(request)
+          : rule.response;
+        
+        return this.createResponse(response);
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Creates a Response object from various input types
+   * @param {any} input - Input to create response from
+   * @returns {Response} Response object
+   */
+  createResponse(input) {
+    if (input instanceof Response) {
+      return input;
+    }
+    
+    if (typeof input === 'string') {
+      return new Response(input, {
+        status: 200,
+        headers: { 'Content-Type': 'text/plain' }
+      });
+    }
+    
+    if (typeof input === 'object') {
+      const body = input.body || JSON.stringify(input.data || input);
+      const status = input.status || 200;
+      const headers = new Headers(input.headers || { 'Content-Type': 'application/json' });
+      
+      return new Response(body, { status, headers });
+    }
+    
+    return new Response(JSON.stringify(input), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  /**
+   * Creates the store that holds cached responses
+   * @param {string|Object} store - 'memory', 'cache-storage', 'indexeddb' or an object with async get/set/delete/clear,
+   * and a synchronous peek if getCachedResponse() should read it
+   * @returns {Object} Cache store
+   */
+  createCacheStore(store) {
+    if (store && typeof store === 'object') return store;
+
+    switch (store) {
+      case 'memory':
+        return new MemoryCacheStore();
+      case 'cache-storage':
+        if (typeof caches !== 'undefined') return new CacheStorageStore(this.options.cacheName);
+        break;
+      case 'indexeddb':
+        if (window.indexedDB) return new IndexedDBCacheStore(this.options.cacheName);
+        break;
+      default:
+        throw new Error(`Unknown cache store: ${store}`);
+    }
+
+    console.warn(`${store} is not supported, caching responses in memory instead`);
+    return new MemoryCacheStore();
+  }
+
+  /**
+   * Parses a Cache-Control header
+   * @param {string} value - Header value
+   * @returns {Object} Directives by lowercase name; directives without a value are true
+   */
+  parseCacheControl(value) {
+    const directives = {};
+
+    (value || '').split(',').forEach(part => {
+      const [name, ...rest] = part.trim().split('=');
+      if (name) {
+        directives[name.toLowerCase()] = rest.length ? rest.join('=').replace(/^"|"$/g, '') : true;
+      }
+    });
+
+    return directives;
+  }
+
+  /**
+   * Checks whether a request may be answered from, or stored in, the cache
+   * Requests that bring their own validators handle 304s themselves, so they bypass the cache.
+   * @param {Request} request - Request object
+   * @returns {Object} { read, write, revalidate }
+   */
+  getCachePolicy(request) {
+    const directives = this.parseCacheControl(request.headers.get('cache-control'));
+    const conditional = request.headers.has('if-none-match') || request.headers.has('if-modified-since');
+    const noStore = directives['no-store'] || request.cache === 'no-store';
+
+    return {
+      read: !noStore && !conditional && request.cache !== 'reload',
+      write: !noStore && !conditional,
+      revalidate: Boolean(directives['no-cache']) || directives['max-age'] === '0' || request.cache === 'no-cache'
+    };
+  }
+
+  /**
+   * Works out how long a response stays fresh from its Cache-Control, Age and Expires headers
+   * Responses that say nothing stay fresh for `cacheDuration`.
+   * @param {Response} response - Response object
+   * @returns {Object|null} { maxAge, staleWhileRevalidate } in ms, or null if it must not be stored
+   */
+  getFreshness(response) {
+    const directives = this.parseCacheControl(response.headers.get('cache-control'));
+    if (directives['no-store'] || (response.headers.get('vary') || '').trim() === '*') return null;
+
+    const age = (parseInt(response.headers.get('age'), 10) || 0) * 1000;
+    let maxAge = this.options.cacheDuration;
+
+    if (directives['no-cache']) {
+      maxAge = 0;
+    } else if (directives['max-age'] !== undefined) {
+      maxAge = (parseInt(directives['max-age'], 10) || 0) * 1000 - age;
+    } else if (response.headers.has('expires')) {
+      const date = Date.parse(response.headers.get('date')) || Date.now();
+      maxAge = (Date.parse(response.headers.get('expires')) || 0) - date - age;
+    }
+
+    let staleWhileRevalidate = this.options.staleWhileRevalidate;
+    if (directives['must-revalidate'] || directives['no-cache']) {
+      staleWhileRevalidate = 0;
+    } else if (directives['stale-while-revalidate'] !== undefined) {
+      staleWhileRevalidate = (parseInt(directives['stale-while-revalidate'], 10) || 0) * 1000;
+    }
+
+    return { maxAge: Math.max(maxAge, 0), staleWhileRevalidate };
+  }
+
+  /**
+   * Looks a request up in the cache
+   * @param {Request} request - Request object
+   * @returns {Promise<Object|null>} { entry, state } where state is 'fresh', 'stale' (may be served
+   * while it's revalidated) or 'expired' (must be revalidated); null on a miss
+   */
+  async lookupCache(request) {
+    let entry;
+    try {
+      entry = await this.cache.get(this.getCacheKey(request));
+    } catch (error) {
+      console.warn('RequestInterceptor: could not read the cache', error);
+      return null;
+    }
+
+    return this.getCacheState(request, entry);
+  }
+
+  /**
+   * Works out whether a cache entry can answer a request
+   * @param {Request} request - Request object
+   * @param {Object|null} entry - Cache entry
+   * @returns {Object|null} { entry, state } as returned by lookupCache()
+   */
+  getCacheState(request, entry) {
+    // A response that varies on request headers only answers requests with the same values
+    if (!entry || Object.keys(entry.vary).some(name => request.headers.get(name) !== entry.vary[name])) {
+      return null;
+    }
+
+    const age = Date.now() - entry.storedAt;
+    if (age < entry.maxAge) {
+      return { entry, state: 'fresh' };
+    }
+    if (age < entry.maxAge + entry.staleWhileRevalidate) {
+      return { entry, state: 'stale' };
+    }
+    if (entry.etag || entry.lastModified) {
+      return { entry, state: 'expired' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Gets a fresh cached response from a store that can be read synchronously, like the default memory one
+   * Stores backed by Cache Storage or IndexedDB are read with getCachedResponseAsync().
+   * @param {Request} request - Request object
+   * @returns {Response|null} Cached response or null if not found/fresh
+   */
+  getCachedResponse(request) {
+    if (!this.options.enableCaching) return null;
+
+    if (typeof this.cache.peek !== 'function') {
+      console.warn('RequestInterceptor: this cache store can only be read with getCachedResponseAsync()');
+      return null;
+    }
+
+    const cached = this.getCacheState(request, this.cache.peek(this.getCacheKey(request)));
+    return cached && cached.state === 'fresh' ? this.createCachedResponse(cached.entry) : null;
+  }
+
+  /**
+   * Gets a fresh cached response from any cache store
+   * @param {Request} request - Request object
+   * @returns {Promise<Response|null>} Cached response or null if not found/fresh
+   */
+  async getCachedResponseAsync(request) {
+    if (!this.options.enableCaching) return null;
+
+    const cached = await this.lookupCache(request);
+    return cached && cached.state === 'fresh' ? this.createCachedResponse(cached.entry) : null;
+  }
+
+  /**
+   * Caches a response as its Cache-Control header allows
+   * The body is read and stored in the background; setCachedResponseAsync() says when it's done.
+   * @param {Request} request - Request object
+   * @param {Response} response - Response object to cache
+   */
+  setCachedResponse(request, response) {
+    this.setCachedResponseAsync(request, response);
+  }
+
+  /**
+   * Caches a response as its Cache-Control header allows
+   * @param {Request} request - Request object
+   * @param {Response} response - Response object to cache
+   * @returns {Promise<Object|null>} Cache entry once it's stored, or null if it wasn't stored
+   */
+  async setCachedResponseAsync(request, response) {
+    if (!this.options.enableCaching) return null;
+
+    const cacheKey = this.getCacheKey(request);
+    const freshness = this.getFreshness(response);
+
+    try {
+      if (!freshness) {
+        await this.cache.delete(cacheKey);
+        return null;
+      }
+
+      const vary = {};
+      (response.headers.get('vary') || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean).forEach(name => {
+        vary[name] = request.headers.get(name);
+      });
+
+      const entry = {
+        url: request.url,
+        status: response.status,
+        statusText: response.statusText,
+        headers: Array.from(response.headers.entries()),
+        body: await response.arrayBuffer(),
+        storedAt: Date.now(),
+        ...freshness,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        vary
+      };
+
+      await this.cache.set(cacheKey, entry);
+      return entry;
+    } catch (error) {
+      console.warn('RequestInterceptor: could not write the cache', error);
+      return null;
+    }
+  }
+
+  /**
+   * Creates a response from a cache entry
+   * @param {Object} entry - Cache entry
+   * @returns {Response} Response
+   */
+  createCachedResponse(entry) {
+    const headers = new Headers(entry.headers);
+    headers.set('Age', String(Math.floor((Date.now() - entry.storedAt) / 1000)));
+
+    const body = [204, 205, 304].includes(entry.status) ? null : entry.body;
+    return new Response(body, { status: entry.status, statusText: entry.statusText, headers });
+  }
+
+  /**
+   * Adds the validators of a cache entry to a request
+   * @param {Request} request - Request object
+   * @param {Object} entry - Cache entry
+   * @returns {Request} Conditional request
+   */
+  createConditionalRequest(request, entry) {
+    const headers = new Headers(request.headers);
+    if (entry.etag) headers.set('If-None-Match', entry.etag);
+    if (entry.lastModified) headers.set('If-Modified-Since', entry.lastModified);
+
+    return new Request(request, { headers });
+  }
+
+  /**
+   * Renews a cache entry after the server answered a conditional request with 304 Not Modified
+   * @param {Request} request - Request object
+   * @param {Object} entry - Cache entry
+   * @param {Response} notModified - 304 response
+   * @returns {Promise<Object>} Renewed entry
+   */
+  async renewCacheEntry(request, entry, notModified) {
+    const headers = new Headers(entry.headers);
+    notModified.headers.forEach((value, name) => {
+      if (!/^(content-length|content-encoding|transfer-encoding)$/i.test(name)) {
+        headers.set(name, value);
+      }
+    });
+
+    const renewed = {
+      ...entry,
+      headers: Array.from(headers.entries()),
+      storedAt: Date.now(),
+      ...(this.getFreshness(new Response(null, { headers })) || { maxAge: 0, staleWhileRevalidate: 0 }),
+      etag: headers.get('etag'),
+      lastModified: headers.get('last-modified')
+    };
+
+    try {
+      await this.cache.set(this.getCacheKey(request), renewed);
+    } catch (error) {
+      console.warn('RequestInterceptor: could not write the cache', error);
+    }
+
+    return renewed;
+  }
+
+  /**
+   * Revalidates a stale cache entry without holding up the caller
+   * When the server sends different content, `onCacheUpdate` is called and a `requestcacheupdate`
+   * event is dispatched on window with { url, response, previous }.
+   * @param {Request} request - Request object
+   * @param {Object} entry - Stale cache entry
+   * @returns {Promise} Promise that resolves when revalidation has finished
+   */
+  revalidateInBackground(request, entry) {
+    const cacheKey = this.getCacheKey(request);
+    if (this.revalidating.has(cacheKey)) {
+      return this.revalidating.get(cacheKey);
+    }
+
+    // The caller already has its response, so aborting it mustn't cancel the refresh
+    const conditional = this.createConditionalRequest(new Request(request, { signal: null }), entry);
+
+    const promise = this.sendRequest(conditional)
+      .then(async (response) => {
+        if (response.status === 304) {
+          await this.renewCacheEntry(request, entry, response);
+          return;
+        }
+        if (!response.ok) return;
+
+        const updated = await this.setCachedResponseAsync(request, response);
+        if (!updated || !this.isCacheEntryChanged(entry, updated)) return;
+
+        const detail = {
+          url: request.url,
+          response: this.createCachedResponse(updated),
+          previous: this.createCachedResponse(entry)
+        };
+
+        if (this.options.onCacheUpdate) {
+          this.options.onCacheUpdate(detail);
+        }
+        window.dispatchEvent(new CustomEvent('requestcacheupdate', { detail }));
+      })
+      .catch(error => console.warn('RequestInterceptor: could not revalidate', request.url, error))
+      .then(() => this.revalidating.delete(cacheKey));
+
+    this.revalidating.set(cacheKey, promise);
+    return promise;
+  }
+
+  /**
+   * Checks whether revalidation brought different content
+   * @param {Object} previous - Previous cache entry
+   * @param {Object} updated - New cache entry
+   * @returns {boolean} Whether the content changed
+   */
+  isCacheEntryChanged(previous, updated) {
+    if (previous.etag && updated.etag) {
+      return previous.etag !== updated.etag;
+    }
+    if (previous.status !== updated.status || previous.body.byteLength !== updated.body.byteLength) {
+      return true;
+    }
+
+    const a = new Uint8Array(previous.body);
+    const b = new Uint8Array(updated.body);
+    return a.some((byte, i) => byte !== b[i]);
+  }
+
+  /**
+   * Gets a cache key for a request
+   * @param {Request} request - Request object
+   * @returns {string} Cache key
+   */
+  getCacheKey(request) {
+    return `${request.method}:${request.url}`;
+  }
+
+  /**
+   * Clears the cache
+   * The default memory store is empty at once; clearCacheAsync() waits for other stores.
+   */
+  clearCache() {
+    this.clearCacheAsync();
+  }
+
+  /**
+   * Clears the cache
+   * @returns {Promise} Promise that resolves when the cache is empty
+   */
+  async clearCacheAsync() {
+    try {
+      await this.cache.clear();
+    } catch (error) {
+      console.warn('RequestInterceptor: could not clear the cache', error);
+    }
+  }
+
+  /**
+   * Starts recording network traffic as HAR entries
+   * Only responses that come from the network are recorded, not mocked, cached or replayed ones.
+   * @param {Object} options - Recording options
+   * @param {string|RegExp|Function} options.url - Only record matching URLs
+   * @param {boolean} options.clear - Discard previously recorded entries (default: true)
+   */
+  startRecording({ url = null, clear = true } = {}) {
+    if (clear) {
+      this.harEntries = [];
+    }
+
+    this.recording = { url };
+  }
+
+  /**
+   * Stops recording
+   * @returns {Promise<Object>} HAR of the recorded traffic, once the bodies still being read are in
+   */
+  async stopRecording() {
+    this.recording = null;
+    await Promise.all(Array.from(this.pendingRecordings));
+    return this.exportHAR();
+  }
+
+  /**
+   * Checks whether traffic is being recorded
+   * @returns {boolean} Whether recording is on
+   */
+  isRecording() {
+    return this.recording !== null;
+  }
+
+  /**
+   * Records a request and its network response as a HAR entry
+   * @param {Request} request - Request as sent
+   * @param {Promise<string>} requestBody - Request body text
+   * @param {Response} response - Response received
+   * @param {number} startTime - When the request was sent
+   * @param {number} endTime - When the response arrived
+   */
+  recordEntry(request, requestBody, response, startTime, endTime) {
+    const pending = Promise.all([requestBody, this.readHARContent(response.clone())])
+      .then(([body, content]) => {
+        this.harEntries.push(this.createHAREntry(request, body, response, content, startTime, endTime));
+        this.harEntries.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+      })
+      .catch(error => console.warn('RequestInterceptor: could not record', request.url, error))
+      .then(() => this.pendingRecordings.delete(pending));
+
+    this.pendingRecordings.add(pending);
+  }
+
+  /**
+   * Reads a response body into a HAR content object
+   * Text bodies are kept as text and anything else is base64-encoded.
+   * @param {Response} response - Response to read
+   * @returns {Promise<Object>} HAR content
+   */
+  async readHARContent(response) {
+    const mimeType = response.headers.get('content-type') || 'application/octet-stream';
+
+    if (this.isTextMimeType(mimeType)) {
+      const text = await response.text();
+      return { size: new TextEncoder().encode(text).length, mimeType, text };
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+
+    return { size: bytes.length, mimeType, text: btoa(binary), encoding: 'base64' };
+  }
+
+  /**
+   * Checks whether a MIME type holds text
+   * @param {string} mimeType - MIME type
+   * @returns {boolean} Whether the body is text
+   */
+  isTextMimeType(mimeType) {
+    return /^text\/|[/+](json|xml|javascript|ecmascript)|x-www-form-urlencoded|svg/i.test(mimeType);
+  }
+
+  /**
+   * Creates a HAR 1.2 entry
+   * @param {Request} request - Request as sent
+   * @param {string} requestBody - Request body text
+   * @param {Response} response - Response received
+   * @param {Object} content - HAR content of the response body
+   * @param {number} startTime - When the request was sent
+   * @param {number} endTime - When the response arrived
+   * @returns {Object} HAR entry
+   */
+  createHAREntry(request, requestBody, response, content, startTime, endTime) {
+    const toList = (headers) => Array.from(headers.entries()).map(([name, value]) => ({ name, value }));
+    const url = new URL(request.url);
+    const time = endTime - startTime;
+
+    const entry = {
+      startedDateTime: new Date(startTime).toISOString(),
+      time,
+      request: {
+        method: request.method,
+        url: request.url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: toList(request.headers),
+        queryString: Array.from(url.searchParams.entries()).map(([name, value]) => ({ name, value })),
+        headersSize: -1,
+        bodySize: requestBody ? new TextEncoder().encode(requestBody).length : 0
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: toList(response.headers),
+        content,
+        redirectURL: response.headers.get('location') || '',
+        headersSize: -1,
+        bodySize: content.size
+      },
+      cache: {},
+      timings: { send: 0, wait: time, receive: 0 }
+    };
+
+    if (requestBody) {
+      entry.request.postData = {
+        mimeType: request.headers.get('content-type') || 'text/plain',
+        text: requestBody
+      };
+    }
+
+    return entry;
   }
 
   /**
-   * Adds a request interceptor
-   * @param {Function} interceptor - Interceptor function
+   * Gets the recorded traffic as a HAR 1.2 log
+   * @returns {Object} HAR object
    */
-  addRequestInterceptor(interceptor) {
-    this.requestInterceptors.push(interceptor);
+  exportHAR() {
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'RequestInterceptor', version: '1.0' },
+        pages: [],
+        entries: this.harEntries.map(entry => JSON.parse(JSON.stringify(entry)))
+      }
+    };
   }
 
   /**
-   * Adds a response interceptor
-   * @param {Function} interceptor - Interceptor function
+   * Downloads the recorded traffic as a .har file
+   * @param {string} filename - Download file name
    */
-  addResponseInterceptor(interceptor) {
-    this.responseInterceptors.push(interceptor);
+  downloadHAR(filename = 'requests.har') {
+    const blob = new Blob([JSON.stringify(this.exportHAR(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
   }
 
   /**
-   * Removes a request interceptor
-   * @param {Function} interceptor - Interceptor function to remove
-   * @returns {boolean} Whether the interceptor was removed
+   * Loads HAR entries to replay
+   * @param {Object|string|Blob} source - HAR object, HAR JSON, or a File/Blob such as one from a file input
+   * @param {Object} options - Import options
+   * @param {boolean} options.append - Keep the entries already loaded (default: false)
+   * @returns {Promise<number>} Number of entries loaded
    */
-  removeRequestInterceptor(interceptor) {
-    const index = this.requestInterceptors.indexOf(interceptor);
-    if (index !== -1) {
-      this.requestInterceptors.splice(index, 1);
-      return true;
+  async importHAR(source, { append = false } = {}) {
+    let har = source;
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+      har = await source.text();
     }
-    return false;
+    if (typeof har === 'string') {
+      har = JSON.parse(har);
+    }
+
+    if (!har || !har.log || !Array.isArray(har.log.entries)) {
+      throw new Error('Invalid HAR: log.entries is missing');
+    }
+
+    const entries = har.log.entries.map(entry => ({ entry, uses: 0 }));
+    this.replayEntries = append ? this.replayEntries.concat(entries) : entries;
+
+    return entries.length;
   }
 
   /**
-   * Removes a response interceptor
-   * @param {Function} interceptor - Interceptor function to remove
-   * @returns {boolean} Whether the interceptor was removed
+   * Starts answering requests from the loaded HAR entries
+   * Matching entries are used in recorded order; once all have been used the last one repeats.
+   * @param {Object} options - Replay options
+   * @param {boolean} options.matchOrigin - Compare scheme, host and port (default: true)
+   * @param {boolean} options.matchQuery - Compare query parameters, in any order (default: true)
+   * @param {Array} options.ignoreQueryParams - Query parameters left out of the comparison, such as cache busters
+   * @param {string|boolean} options.matchBody - 'exact', 'json' (parsed, key order ignored) or false (default: 'exact')
+   * @param {Array} options.ignoreBodyFields - Dotted paths left out of 'json' body comparison
+   * @param {Function} options.matcher - Extra check called with (request, body, entry)
+   * @param {boolean} options.useRecordedTiming - Wait for the recorded time before answering
+   * @param {boolean} options.passthrough - Send unmatched requests to the network instead of failing (default: true)
    */
-  removeResponseInterceptor(interceptor) {
-    const index = this.responseInterceptors.indexOf(interceptor);
-    if (index !== -1) {
-      this.responseInterceptors.splice(index, 1);
-      return true;
-    }
-    return false;
+  startReplay(options = {}) {
+    this.replayOptions = {
+      matchOrigin: true,
+      matchQuery: true,
+      ignoreQueryParams: [],
+      matchBody: 'exact',
+      ignoreBodyFields: [],
+      matcher: null,
+      useRecordedTiming: false,
+      passthrough: true,
+      ...options
+    };
+    this.replayEntries.forEach(item => {
+      item.uses = 0;
+    });
   }
 
   /**
-   * Adds a mock rule
-   * @param {Object} rule - Mock rule object
-   * @param {string|RegExp} rule.url - URL pattern to match
-   * @param {string} rule.method - HTTP method to match (default: 'GET')
-   * @param {Object|Function} rule.response - Response to return
+   * Stops replaying HAR entries
    */
-  addMockRule(rule) {
-    this.mockRules.push(rule);
+  stopReplay() {
+    this.replayOptions = null;
   }
 
   /**
-   * Removes all mock rules
+   * Finds the HAR entry that answers a request
+   * @param {Request} request - Request object
+   * @returns {Promise<Object|null>} Replay item ({ entry, uses }) or null
    */
-  clearMockRules() {
-    this.mockRules = [];
+  async findHAREntry(request) {
+    const options = this.replayOptions;
+    const body = options.matchBody || options.matcher ? await request.clone().text() : '';
+    const matches = this.replayEntries.filter(item => this.matchesHAREntry(request, body, item.entry, options));
+
+    if (matches.length === 0) return null;
+
+    const item = matches.find(match => match.uses === 0) || matches[matches.length - 1];
+    item.uses++;
+    return item;
   }
 
   /**
-   * Gets a mock response for a request
+   * Checks whether a HAR entry matches a request
    * @param {Request} request - Request object
-   * @returns {Response|null} Mock response or null if no match
+   * @param {string} body - Request body text
+   * @param {Object} entry - HAR entry
+   * @param {Object} options - Replay options
+   * @returns {boolean} Whether the entry matches
    */
-  getMockResponse(request) {
-    for (const rule of this.mockRules) {
-      const urlMatches = typeof rule.url === 'string' 
-        ? request.url.includes(rule.url)
-        : rule.url.test(request.url);
-      
-      const methodMatches = !rule.method || rule.method.toUpperCase() === request.method.toUpperCase();
-      
-      if (urlMatches && methodMatches) {
-        const response = typeof rule.response === 'function'
-          ? rule.response(request)
-          : rule.response;
-        
-        return this.createResponse(response);
+  matchesHAREntry(request, body, entry, options) {
+    if (entry.request.method.toUpperCase() !== request.method.toUpperCase()) return false;
+
+    const actual = new URL(request.url);
+    const recorded = new URL(entry.request.url);
+
+    if (actual.pathname !== recorded.pathname) return false;
+    if (options.matchOrigin && actual.origin !== recorded.origin) return false;
+
+    if (options.matchQuery) {
+      const normalize = (params) => Array.from(params.entries())
+        .filter(([name]) => !options.ignoreQueryParams.includes(name))
+        .map(([name, value]) => `${name}=${value}`)
+        .sort()
+        .join('&');
+
+      if (normalize(actual.searchParams) !== normalize(recorded.searchParams)) return false;
+    }
+
+    if (options.matchBody) {
+      const recordedBody = entry.request.postData ? entry.request.postData.text || '' : '';
+
+      if (options.matchBody === 'json') {
+        if (!this.jsonBodiesEqual(body, recordedBody, options.ignoreBodyFields)) return false;
+      } else if (body !== recordedBody) {
+        return false;
       }
     }
-    
-    return null;
+
+    return !options.matcher || Boolean(options.matcher(request, body, entry));
   }
 
   /**
-   * Creates a Response object from various input types
-   * @param {any} input - Input to create response from
-   * @returns {Response} Response object
+   * Compares two JSON bodies, ignoring key order and some fields
+   * Bodies that aren't JSON are compared as text.
+   * @param {string} a - First body
+   * @param {string} b - Second body
+   * @param {Array} ignoreFields - Dotted paths to leave out
+   * @returns {boolean} Whether the bodies are equal
    */
-  createResponse(input) {
-    if (input instanceof Response) {
-      return input;
+  jsonBodiesEqual(a, b, ignoreFields = []) {
+    let first;
+    let second;
+    try {
+      first = a ? JSON.parse(a) : null;
+      second = b ? JSON.parse(b) : null;
+    } catch (e) {
+      return a === b;
     }
-    
-    if (typeof input === 'string') {
-      return new Response(input, {
-        status: 200,
-        headers: { 'Content-Type': 'text/plain' }
+
+    const strip = (value) => {
+      ignoreFields.forEach(path => {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((object, key) => (object && typeof object === 'object' ? object[key] : undefined), value);
+        if (parent && typeof parent === 'object') delete parent[last];
       });
-    }
-    
-    if (typeof input === 'object') {
-      const body = input.body || JSON.stringify(input.data || input);
-      const status = input.status || 200;
-      const headers = new Headers(input.headers || { 'Content-Type': 'application/json' });
-      
-      return new Response(body, { status, headers });
-    }
-    
-    return new Response(JSON.stringify(input), {
-      status: 200,
-      headers: { 'Content-Type': 'application/json' }
-    });
+      return value;
+    };
+
+    // Sorting keys makes the serializations comparable
+    const canonical = (value) => JSON.stringify(value, (key, item) => (item && typeof item === 'object' && !Array.isArray(item) ?
+      Object.keys(item).sort().reduce((sorted, name) => {
+        sorted[name] = item[name];
+        return sorted;
+      }, {}) :
+      item));
+
+    return canonical(strip(first)) === canonical(strip(second));
   }
 
   /**
-   * Gets a cached response
-   * @param {Request} request - Request object
-   * @returns {Response|null} Cached response or null if not found/cached
+   * Creates a Response from a HAR entry
+   * @param {Object} entry - HAR entry
+   * @returns {Response} Response
    */
-  getCachedResponse(request) {
-    if (!this.options.enableCaching) return null;
+  createHARResponse(entry) {
+    const { status, statusText, headers, content } = entry.response;
 
-    const cacheKey = this.getCacheKey(request);
-    const cached = this.cache.get(cacheKey);
+    // A status of 0 is how browsers record requests that failed
+    if (!status) {
+      throw new TypeError(`Failed to fetch ${entry.request.url} (replayed)`);
+    }
 
-    if (cached) {
-      const { response, timestamp } = cached;
-      
-      if (Date.now() - timestamp < this.options.cacheDuration) {
-        return response;
+    // The recorded body is already decoded, so its encoding and length headers no longer apply
+    const responseHeaders = new Headers();
+    (headers || []).forEach(({ name, value }) => {
+      if (!/^(content-encoding|content-length|transfer-encoding)$/i.test(name)) {
+        responseHeaders.append(name, value);
+      }
+    });
+
+    let body = null;
+    if (![101, 204, 205, 304].includes(status) && content && content.text) {
+      if (content.encoding === 'base64') {
+        const binary = atob(content.text);
+        body = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+          body[i] = binary.charCodeAt(i);
+        }
       } else {
-        // Remove expired cache entry
-        this.cache.delete(cacheKey);
+        body = content.text;
       }
     }
 
-    return null;
+    return new Response(body, { status, statusText: statusText || '', headers: responseHeaders });
   }
 
   /**
-   * Sets a cached response
-   * @param {Request} request - Request object
-   * @param {Response} response - Response object to cache
+   * Injects latency and failures into matching requests for chaos testing
+   * @param {Object} config - Chaos settings
+   * @param {number|Array} config.latency - Added delay in ms, or [min, max] for a random delay
+   * @param {number} config.errorRate - Fraction (0-1) of requests answered with an error status
+   * @param {number|Array} config.errorStatus - Status, or statuses to pick from, for injected errors (default: 503)
+   * @param {number} config.networkErrorRate - Fraction (0-1) of requests that fail as if the network were down
+   * @param {string|RegExp|Function} config.url - Only affect matching URLs
+   * @param {string|Array} config.method - Only affect these methods
    */
-  setCachedResponse(request, response) {
-    if (!this.options.enableCaching) return;
-
-    const cacheKey = this.getCacheKey(request);
-    const cloneResponse = response.clone(); // Clone to allow multiple reads
-
-    this.cache.set(cacheKey, {
-      response: cloneResponse,
-      timestamp: Date.now()
-    });
+  setChaos(config) {
+    this.chaos = {
+      latency: 0,
+      errorRate: 0,
+      errorStatus: 503,
+      networkErrorRate: 0,
+      ...config
+    };
   }
 
   /**
-   * Gets a cache key for a request
-   * @param {Request} request - Request object
-   * @returns {string} Cache key
+   * Stops injecting latency and failures
    */
-  getCacheKey(request) {
-    return `${request.method}:${request.url}`;
+  clearChaos() {
+    this.chaos = null;
   }
 
   /**
-   * Clears the cache
+   * Applies the chaos settings to a request
+   * @param {Object} ctx - Request context
+   * @returns {Promise<boolean>} Whether an injected error response was set on the context
    */
-  clearCache() {
-    this.cache.clear();
+  async applyChaos(ctx) {
+    const chaos = this.chaos;
+    const request = ctx.request;
+
+    if (chaos.method && ![].concat(chaos.method).map(method => method.toUpperCase()).includes(request.method.toUpperCase())) return false;
+    if (chaos.url && !this.matchesUrl(chaos.url, request)) return false;
+
+    const latency = Array.isArray(chaos.latency) ?
+      chaos.latency[0] + Math.random() * (chaos.latency[1] - chaos.latency[0]) :
+      chaos.latency;
+    if (latency > 0) {
+      await this.delay(latency, request.signal);
+    }
+
+    if (Math.random() < chaos.networkErrorRate) {
+      throw new TypeError(`Failed to fetch ${request.url} (injected)`);
+    }
+
+    if (Math.random() < chaos.errorRate) {
+      const statuses = [].concat(chaos.errorStatus);
+      const status = statuses[Math.floor(Math.random() * statuses.length)];
+
+      ctx.response = new Response(JSON.stringify({ error: 'Injected error' }), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+      });
+      ctx.source = 'chaos';
+      return true;
+    }
+
+    return false;
   }
 
   /**
@@ -626,12 +1732,13 @@ class RequestInterceptor {
 
   /**
    * Gets all active interceptors
-   * @returns {Object} Object containing request and response interceptors
+   * @returns {Object} Object containing request and response interceptors and middleware
    */
   getInterceptors() {
     return {
       request: [...this.requestInterceptors],
-      response: [...this.responseInterceptors]
+      response: [...this.responseInterceptors],
+      middleware: [...this.middleware]
     };
   }
 
@@ -802,6 +1909,216 @@ class RequestInterceptor {
   }
 }
 
+/**
+ * Keeps cached responses in memory; they are lost on reload
+ */
+class MemoryCacheStore {
+  /**
+   * Creates an empty store
+   */
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Gets a cache entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  async get(key) {
+    return this.peek(key);
+  }
+
+  /**
+   * Gets a cache entry synchronously
+   * @param {string} key - Cache key
+   * @returns {Object|null} Entry or null
+   */
+  peek(key) {
+    return this.entries.get(key) || null;
+  }
+
+  /**
+   * Stores a cache entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry to store
+   */
+  async set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  /**
+   * Deletes a cache entry
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Deletes every cache entry
+   */
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Keeps cached responses in the Cache Storage API so they survive reloads
+ * The entry metadata travels in a header of the stored response, URI-encoded because header
+ * values can only hold Latin-1.
+ */
+class CacheStorageStore {
+  /**
+   * Creates a store backed by a named cache
+   * @param {string} name - Cache name
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Cache Storage keys must be http(s) URLs, so keys are wrapped in one
+   * @param {string} key - Cache key
+   * @returns {string} URL to store the entry under
+   */
+  toUrl(key) {
+    return `https://request-interceptor.invalid/${encodeURIComponent(key)}`;
+  }
+
+  /**
+   * Gets a cache entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  async get(key) {
+    const cache = await caches.open(this.name);
+    const response = await cache.match(this.toUrl(key), { ignoreVary: true });
+    if (!response) return null;
+
+    return {
+      ...JSON.parse(decodeURIComponent(response.headers.get('X-Request-Interceptor-Entry'))),
+      body: await response.arrayBuffer()
+    };
+  }
+
+  /**
+   * Stores a cache entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry to store
+   */
+  async set(key, entry) {
+    const { body, ...meta } = entry;
+    const cache = await caches.open(this.name);
+
+    await cache.put(this.toUrl(key), new Response(body, {
+      headers: { 'X-Request-Interceptor-Entry': encodeURIComponent(JSON.stringify(meta)) }
+    }));
+  }
+
+  /**
+   * Deletes a cache entry
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    const cache = await caches.open(this.name);
+    await cache.delete(this.toUrl(key));
+  }
+
+  /**
+   * Deletes every cache entry
+   */
+  async clear() {
+    await caches.delete(this.name);
+  }
+}
+
+/**
+ * Keeps cached responses in IndexedDB so they survive reloads
+ */
+class IndexedDBCacheStore {
+  /**
+   * Creates a store backed by a named database
+   * @param {string} name - Database name
+   */
+  constructor(name) {
+    this.name = name;
+    this.db = null;
+  }
+
+  /**
+   * Opens the database
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(this.name, 1);
+
+        request.onerror = (event) => reject(event.target.error);
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onupgradeneeded = (event) => {
+          const db = event.target.result;
+          if (!db.objectStoreNames.contains('responses')) {
+            db.createObjectStore('responses');
+          }
+        };
+      });
+    }
+
+    return this.db;
+  }
+
+  /**
+   * Runs one request against the object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Called with the object store, returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(['responses'], mode).objectStore('responses'));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * Gets a cache entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  async get(key) {
+    return (await this.run('readonly', store => store.get(key))) || null;
+  }
+
+  /**
+   * Stores a cache entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry to store
+   */
+  async set(key, entry) {
+    await this.run('readwrite', store => store.put(entry, key));
+  }
+
+  /**
+   * Deletes a cache entry
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    await this.run('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Deletes every cache entry
+   */
+  async clear() {
+    await this.run('readwrite', store => store.clear());
+  }
+}
+
 /**
  * Creates a new request interceptor instance
  * @param {Object} options - Configuration options
@@ -890,6 +2207,9 @@ const RequestInterceptorUtils = {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     RequestInterceptor,
+    MemoryCacheStore,
+    CacheStorageStore,
+    IndexedDBCacheStore,
     createRequestInterceptor,
     RequestInterceptorUtils
   };
@@ -897,5 +2217,8 @@ if (typeof module !== 'undefined' && module.exports) {
 
 // Also make it available globally
 window.RequestInterceptor = RequestInterceptor;
+window.MemoryCacheStore = MemoryCacheStore;
+window.CacheStorageStore = CacheStorageStore;
+window.IndexedDBCacheStore = IndexedDBCacheStore;
 window.createRequestInterceptor = createRequestInterceptor;
 window.RequestInterceptorUtils = RequestInterceptorUtils;
\ No newline at end of file
@@ -7,6 +7,9 @@
 class VirtualScroll {
   /**
    * Creates a new virtual scroll instance
+   * With `estimateItemSize`, itemHeight is only the estimate for items that haven't been rendered
+   * yet; rendered items are measured with ResizeObserver. Without it every item is itemHeight tall
+   * unless measureItem() says otherwise.
    * @param {HTMLElement} container - Container element for virtual scrolling
    * @param {Object} options - Configuration options
    */
@@ -36,6 +39,12 @@ class VirtualScroll {
     this.contentElement = null;
     this.scrollContainer = null;
     this.itemHeights = new Map();
+    this.heightIndex = new HeightIndex();
+    this.itemObserver = null;
+    this.topSpacer = null;
+    this.bottomSpacer = null;
+    this.pendingScroll = null;
+    this.renderFrame = null;
     this.isScrolling = false;
     this.scrollTimeout = null;
 
@@ -86,21 +95,41 @@ class VirtualScroll {
 
   /**
    * Calculates the total scroll height
+   * Rebuilds the height index from the known heights, so call it after the items change.
    */
   calculateScrollHeight() {
-    if (this.options.estimateItemSize) {
-      this.scrollHeight = this.items.length * this.options.itemHeight;
-    } else {
-      // Calculate based on actual item heights if available
-      this.scrollHeight = 0;
-      for (let i = 0; i < this.items.length; i++) {
-        const height = this.itemHeights.get(this.items[i][this.options.keyField]) || this.options.itemHeight;
-        this.scrollHeight += height;
-      }
-    }
+    const heights = this.items.map((item, index) => {
+      return this.itemHeights.get(this.getItemKey(item, index)) || this.options.itemHeight;
+    });
+    this.heightIndex.reset(heights);
+
+    this.updateScrollHeight();
+  }
+
+  /**
+   * Updates the content and spacer heights from the height index
+   */
+  updateScrollHeight() {
+    this.scrollHeight = this.heightIndex.total();
     
     // Set the content height to create the scroll area
     this.contentElement.style.height = this.scrollHeight + 'px';
+
+    if (this.topSpacer && this.bottomSpacer) {
+      this.topSpacer.style.height = this.heightIndex.offsetOf(this.visibleRange.start) + 'px';
+      this.bottomSpacer.style.height = (this.scrollHeight - this.heightIndex.offsetOf(this.visibleRange.end)) + 'px';
+    }
+  }
+
+  /**
+   * Gets the key an item's measured height is stored under
+   * @param {*} item - Item data
+   * @param {number} index - Index of the item
+   * @returns {*} Item key, or the index for items without one
+   */
+  getItemKey(item, index) {
+    const key = item?.[this.options.keyField];
+    return key !== undefined && key !== null ? key : index;
   }
 
   /**
@@ -108,6 +137,14 @@ class VirtualScroll {
    */
   bindEvents() {
     this.scrollContainer.addEventListener('scroll', this.handleScroll.bind(this));
+
+    // The user taking over cancels the correction of a smooth scrollToItem()
+    this.cancelPendingScroll = () => {
+      this.pendingScroll = null;
+    };
+    ['wheel', 'touchstart', 'mousedown', 'keydown'].forEach(type => {
+      this.scrollContainer.addEventListener(type, this.cancelPendingScroll, { passive: true });
+    });
     
     // Add resize observer if available
     if (window.ResizeObserver) {
@@ -115,6 +152,16 @@ class VirtualScroll {
         this.handleResize();
       });
       this.resizeObserver.observe(this.container);
+
+      // Measure rendered items as they lay out and whenever they change size. Rendering inside the
+      // callback would add and resize observed items again before the browser paints
+      if (this.options.estimateItemSize) {
+        this.itemObserver = new ResizeObserver((entries) => {
+          if (this.applyMeasurements(entries.map(entry => entry.target))) {
+            this.scheduleRender();
+          }
+        });
+      }
     }
   }
 
@@ -133,6 +180,13 @@ class VirtualScroll {
     this.isScrolling = true;
     this.scrollTimeout = setTimeout(() => {
       this.isScrolling = false;
+
+      // Items measured during a smooth scrollToItem() moved its target
+      if (this.pendingScroll) {
+        const { index, align } = this.pendingScroll;
+        this.pendingScroll = null;
+        this.scrollToItem(index, 'auto', align);
+      }
     }, 150);
     
     // Render visible items
@@ -161,9 +215,12 @@ class VirtualScroll {
    * @returns {Object} Object with start and end indices
    */
   calculateVisibleRange() {
-    const start = Math.max(0, Math.floor(this.scrollTop / this.options.itemHeight) - this.options.overscan);
-    const visibleCount = Math.ceil(this.scrollContainer.clientHeight / this.options.itemHeight);
-    const end = Math.min(this.items.length, start + visibleCount + (this.options.overscan * 2));
+    if (!this.items.length) return { start: 0, end: 0 };
+
+    const first = this.heightIndex.indexAt(this.scrollTop);
+    const last = this.heightIndex.indexAt(this.scrollTop + this.scrollContainer.clientHeight);
+    const start = Math.max(0, first - this.options.overscan);
+    const end = Math.min(this.items.length, last + 1 + this.options.overscan);
 
     return { start, end };
   }
@@ -179,18 +236,14 @@ class VirtualScroll {
       this.visibleRange = range;
       
       // Clear existing content
-      this.contentElement.innerHTML = '';
-      
-      // Calculate offset for top padding
-      let offsetY = 0;
-      for (let i = 0; i < range.start; i++) {
-        offsetY += this.itemHeights.get(this.items[i]?.[this.options.keyField]) || this.options.itemHeight;
+      if (this.itemObserver) {
+        this.itemObserver.disconnect();
       }
+      this.contentElement.innerHTML = '';
       
       // Create top spacer
-      const topSpacer = document.createElement('div');
-      topSpacer.style.height = offsetY + 'px';
-      this.contentElement.appendChild(topSpacer);
+      this.topSpacer = document.createElement('div');
+      this.contentElement.appendChild(this.topSpacer);
       
       // Render visible items
       for (let i = range.start; i < range.end; i++) {
@@ -200,20 +253,18 @@ class VirtualScroll {
           
           if (itemElement) {
             this.contentElement.appendChild(itemElement);
+
+            if (this.itemObserver) {
+              this.itemObserver.observe(itemElement);
+            }
           }
         }
       }
       
-      // Calculate bottom padding
-      let bottomOffset = 0;
-      for (let i = range.end; i < this.items.length; i++) {
-        bottomOffset += this.itemHeights.get(this.items[i]?.[this.options.keyField]) || this.options.itemHeight;
-      }
-      
       // Create bottom spacer
-      const bottomSpacer = document.createElement('div');
-      bottomSpacer.style.height = bottomOffset + 'px';
-      this.contentElement.appendChild(bottomSpacer);
+      this.bottomSpacer = document.createElement('div');
+      this.contentElement.appendChild(this.bottomSpacer);
+      this.updateScrollHeight();
       
       // Execute range change callback
       if (this.options.onRangeChange) {
@@ -226,6 +277,26 @@ class VirtualScroll {
     }
   }
 
+  /**
+   * Renders on the next animation frame, once however often it's called before then
+   */
+  scheduleRender() {
+    if (this.renderFrame) return;
+
+    this.renderFrame = requestAnimationFrame(() => {
+      this.renderFrame = null;
+      this.render();
+    });
+  }
+
+  /**
+   * Forces the visible items to re-render (e.g. after their data loaded)
+   */
+  refresh() {
+    this.visibleRange = { start: -1, end: -1 };
+    this.render();
+  }
+
   /**
    * Renders a single item
    * @param {*} item - Item data to render
@@ -251,7 +322,7 @@ class VirtualScroll {
     
     // Add unique identifier
     element.setAttribute('data-index', index);
-    element.setAttribute('data-key', item[this.options.keyField] || index);
+    element.setAttribute('data-key', item?.[this.options.keyField] || index);
     
     // Execute item render callback
     if (this.options.onItemRender) {
@@ -282,17 +353,57 @@ class VirtualScroll {
 
   /**
    * Scrolls to a specific item
+   * Items that haven't been measured yet are positioned by estimate. An instant scroll renders and
+   * measures the items around the target and corrects the position until it settles; a smooth
+   * scroll is corrected once it ends.
    * @param {number} index - Index of the item to scroll to
    * @param {string} behavior - Scroll behavior ('auto', 'smooth')
+   * @param {string} align - Where to put the item in the viewport ('start', 'center', 'end')
    */
-  scrollToItem(index, behavior = 'auto') {
+  scrollToItem(index, behavior = 'auto', align = 'start') {
     if (!this.options.enableScrollTo || index < 0 || index >= this.items.length) return;
     
-    const targetScrollTop = index * this.options.itemHeight;
-    this.scrollContainer.scrollTo({
-      top: targetScrollTop,
-      behavior: behavior === 'smooth' && this.options.enableSmoothScroll ? 'smooth' : 'auto'
-    });
+    const top = this.getItemScrollTop(index, align);
+
+    if (behavior === 'smooth' && this.options.enableSmoothScroll && Math.abs(top - this.scrollTop) >= 1) {
+      this.pendingScroll = this.options.estimateItemSize ? { index, align } : null;
+      this.scrollContainer.scrollTo({ top, behavior: 'smooth' });
+      return;
+    }
+
+    this.pendingScroll = null;
+
+    // Each pass measures the items rendered around the latest estimate
+    for (let pass = 0; pass < 5; pass++) {
+      this.scrollContainer.scrollTop = this.getItemScrollTop(index, align);
+      this.scrollTop = this.scrollContainer.scrollTop;
+      this.render();
+
+      if (!this.options.estimateItemSize || !this.measureRenderedItems()) return;
+    }
+
+    // Shrunk items may leave room for more than the last pass rendered
+    this.scheduleRender();
+  }
+
+  /**
+   * Gets the scroll position that shows an item
+   * @param {number} index - Index of the item
+   * @param {string} align - Where to put the item in the viewport ('start', 'center', 'end')
+   * @returns {number} Scroll position
+   */
+  getItemScrollTop(index, align = 'start') {
+    const offset = this.heightIndex.offsetOf(index);
+    const viewport = this.scrollContainer.clientHeight;
+    let top = offset;
+
+    if (align === 'center') {
+      top = offset - (viewport - this.heightIndex.get(index)) / 2;
+    } else if (align === 'end') {
+      top = offset + this.heightIndex.get(index) - viewport;
+    }
+
+    return Math.max(0, Math.min(top, this.scrollHeight - viewport));
   }
 
   /**
@@ -404,10 +515,67 @@ class VirtualScroll {
   measureItem(element, item) {
     if (!element) return;
     
+    const index = this.items.indexOf(item);
     const height = element.offsetHeight;
-    const key = item[this.options.keyField];
-    this.itemHeights.set(key, height);
-    this.calculateScrollHeight();
+    this.itemHeights.set(this.getItemKey(item, index), height);
+
+    if (index !== -1) {
+      this.heightIndex.set(index, height);
+      this.updateScrollHeight();
+    }
+  }
+
+  /**
+   * Measures every rendered item
+   * @returns {boolean} Whether any height changed
+   */
+  measureRenderedItems() {
+    return this.applyMeasurements(Array.from(this.contentElement.querySelectorAll(':scope > [data-index]')));
+  }
+
+  /**
+   * Stores the heights of rendered item elements
+   * When items above the first visible one change height, the scroll position moves by the same
+   * amount so the visible content stays in place. The caller renders afterwards, since shrunk
+   * items may leave room for more.
+   * @param {Array} elements - Rendered item elements
+   * @returns {boolean} Whether any height changed
+   */
+  applyMeasurements(elements) {
+    const anchorIndex = this.heightIndex.indexAt(this.scrollTop);
+    let anchorShift = 0;
+    let changed = false;
+
+    elements.forEach(element => {
+      if (!element.isConnected) return;
+
+      const index = Number(element.getAttribute('data-index'));
+      const height = element.offsetHeight;
+
+      // Hidden or detached elements measure 0 and keep their estimate
+      if (!height || Number.isNaN(index) || index >= this.items.length) return;
+
+      this.itemHeights.set(this.getItemKey(this.items[index], index), height);
+      const delta = this.heightIndex.set(index, height);
+
+      if (delta) {
+        changed = true;
+        if (index < anchorIndex) {
+          anchorShift += delta;
+        }
+      }
+    });
+
+    if (!changed) return false;
+
+    this.updateScrollHeight();
+
+    if (anchorShift && this.scrollTop > 0) {
+      this.scrollContainer.scrollTop = this.scrollTop + anchorShift;
+      this.scrollTop = this.scrollContainer.scrollTop;
+    }
+
+    return true;
   }
 
   /**
@@ -418,12 +586,18 @@ class VirtualScroll {
   getItemPosition(index) {
     if (index < 0 || index >= this.items.length) return 0;
     
-    let position = 0;
-    for (let i = 0; i < index; i++) {
-      position += this.itemHeights.get(this.items[i]?.[this.options.keyField]) || this.options.itemHeight;
-    }
-    
-    return position;
+    return this.heightIndex.offsetOf(index);
+  }
+
+  /**
+   * Gets the measured or estimated height of an item
+   * @param {number} index - Index of the item
+   * @returns {number} Height of the item
+   */
+  getItemHeight(index) {
+    if (index < 0 || index >= this.items.length) return 0;
+
+    return this.heightIndex.get(index);
   }
 
   /**
@@ -438,6 +612,7 @@ class VirtualScroll {
       .virtual-scroll-container {
         height: 100%;
         overflow: auto;
+        overflow-anchor: none; /* VirtualScroll anchors the scroll position itself */
         position: relative;
       }
 
@@ -484,22 +659,133 @@ class VirtualScroll {
   destroy() {
     // Remove event listeners
     this.scrollContainer.removeEventListener('scroll', this.handleScroll);
+    ['wheel', 'touchstart', 'mousedown', 'keydown'].forEach(type => {
+      this.scrollContainer.removeEventListener(type, this.cancelPendingScroll);
+    });
     
     // Disconnect resize observer if available
     if (this.resizeObserver) {
       this.resizeObserver.disconnect();
     }
+    if (this.itemObserver) {
+      this.itemObserver.disconnect();
+    }
     
     // Clear timeouts
     if (this.scrollTimeout) {
       clearTimeout(this.scrollTimeout);
     }
+    if (this.renderFrame) {
+      cancelAnimationFrame(this.renderFrame);
+    }
     
     // Clear container
     this.container.innerHTML = '';
   }
 }
 
+/**
+ * Item heights in a Fenwick tree, so offsets and the item at an offset take O(log n)
+ */
+class HeightIndex {
+  /**
+   * Creates an index
+   * @param {Array} heights - Item heights
+   */
+  constructor(heights = []) {
+    this.reset(heights);
+  }
+
+  /**
+   * Replaces every height, building the tree in O(n)
+   * @param {Array} heights - Item heights
+   */
+  reset(heights) {
+    this.size = heights.length;
+    this.heights = Float64Array.from(heights);
+    this.tree = new Float64Array(this.size + 1);
+
+    for (let i = 1; i <= this.size; i++) {
+      this.tree[i] += this.heights[i - 1];
+
+      const parent = i + (i & -i);
+      if (parent <= this.size) {
+        this.tree[parent] += this.tree[i];
+      }
+    }
+  }
+
+  /**
+   * Gets the height of an item
+   * @param {number} index - Index of the item
+   * @returns {number} Height
+   */
+  get(index) {
+    return this.heights[index] || 0;
+  }
+
+  /**
+   * Sets the height of an item
+   * @param {number} index - Index of the item
+   * @param {number} height - New height
+   * @returns {number} Change in height
+   */
+  set(index, height) {
+    const delta = height - this.heights[index];
+    if (!delta) return 0;
+
+    this.heights[index] = height;
+    for (let i = index + 1; i <= this.size; i += i & -i) {
+      this.tree[i] += delta;
+    }
+
+    return delta;
+  }
+
+  /**
+   * Gets the total height of the items before an index
+   * @param {number} index - Index of the item
+   * @returns {number} Offset of the item's top edge
+   */
+  offsetOf(index) {
+    let offset = 0;
+    for (let i = Math.min(index, this.size); i > 0; i -= i & -i) {
+      offset += this.tree[i];
+    }
+
+    return offset;
+  }
+
+  /**
+   * Gets the total height of all items
+   * @returns {number} Total height
+   */
+  total() {
+    return this.offsetOf(this.size);
+  }
+
+  /**
+   * Finds the item covering an offset
+   * @param {number} offset - Offset from the top of the first item
+   * @returns {number} Index of the item, clamped to the last one
+   */
+  indexAt(offset) {
+    if (offset <= 0 || !this.size) return 0;
+
+    // Descend the tree, skipping every subtree that ends at or above the offset
+    let index = 0;
+    let remaining = offset;
+    for (let step = 1 << Math.floor(Math.log2(this.size)); step > 0; step >>= 1) {
+      if (index + step <= this.size && this.tree[index + step] <= remaining) {
+        index += step;
+        remaining -= this.tree[index];
+      }
+    }
+
+    return Math.min(index, this.size - 1);
+  }
+}
+
 /**
  * Creates a virtual scroll instance for a list
  * @param {HTMLElement} container - Container element for virtual scrolling
@@ -604,6 +890,7 @@ function createVirtualGrid(container, options = {}) {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     VirtualScroll,
+    HeightIndex,
     createVirtualList,
     createVirtualTable,
     createVirtualGrid
@@ -612,6 +899,7 @@ if (typeof module !== 'undefined' && module.exports) {
 
 // Also make it available globally
 window.VirtualScroll = VirtualScroll;
+window.HeightIndex = HeightIndex;
 window.createVirtualList = createVirtualList;
 window.createVirtualTable = createVirtualTable;
 window.createVirtualGrid = createVirtualGrid;
\ No newline at end of file
@@ -4,6 +4,12 @@
  * Compatible with jazer-brand.css styling for connection status indicators
  */
 
+// Number of reconnects, closes and RTT samples kept for getDiagnostics()
+const WEBSOCKET_HISTORY_SIZE = 20;
+
+// Seconds over which message rates are measured
+const WEBSOCKET_RATE_WINDOW = 60;
+
 class WebSocketManager {
   /**
    * Creates a new WebSocket manager instance
@@ -16,12 +22,27 @@ class WebSocketManager {
       autoConnect: true,
       reconnect: true,
       maxReconnectAttempts: 10,
-      reconnectInterval: 5000,
+      reconnectInterval: 5000, // Base delay between reconnect attempts
+      backoff: 'fixed', // 'fixed', 'exponential', 'decorrelated' or (attempt, previousDelay, manager) => delay
+      backoffFactor: 2, // Growth of the exponential backoff per attempt
+      reconnectJitter: 0, // Fraction (0-1) of a fixed or exponential delay that is randomly taken off
+      maxReconnectInterval: 60000, // Cap on the reconnect delay
+      pauseReconnectOffline: true, // Wait while navigator.onLine is false
+      pauseReconnectHidden: true, // Wait while the page is hidden
       pingInterval: 30000,
-      timeout: 10000,
+      timeout: 10000, // Default time to wait for a request() response, in milliseconds
       protocols: null,
       binaryType: 'blob',
       authentication: null,
+      codec: 'json', // 'json', 'msgpack', 'cbor' or a codec object (see WebSocketCodecs)
+      compression: false, // Deflate large messages; both ends must agree since binary frames get a 1-byte header
+      compressionThreshold: 1024, // Smallest encoded message, in bytes, that is compressed
+      transports: ['websocket'], // Tried in order until one connects, e.g. ['websocket', 'sse', 'polling']
+      transportTimeout: 5000, // Time a transport gets to connect before the next one is tried
+      sseUrl: null, // Defaults to the url over http(s) with /sse appended
+      pollingUrl: null, // Defaults to the url over http(s) with /poll appended
+      sendUrl: null, // Where the HTTP transports post messages; defaults to the url over http(s) with /send appended
+      pollingTimeout: 30000, // How long a long-polling request may stay open
       onOpen: null,
       onClose: null,
       onError: null,
@@ -37,8 +58,31 @@ class WebSocketManager {
     this.pingIntervalId = null;
     this.messageQueue = [];
     this.messageHandlers = new Map();
-    this.connectionStatus = 'disconnected'; // disconnected, connecting, connected, error
+    this.subscriptions = new Map(); // channel -> { handler, subscribed, result, waiters }
+    this.pendingRequests = new Map(); // correlation id -> { resolve, reject, timeoutId, sent }
+    this.requestCounter = 0;
+    this.codec = this.resolveCodec(this.options.codec);
+    this.outgoing = null; // Sends waiting on compression, which keep later sends in order
+    this.incoming = null; // Messages waiting on decoding, which keep later messages in order
+    this.connectionStatus = 'disconnected'; // disconnected, connecting, connected, reconnecting, paused, error
+    this.transport = null; // Name of the transport in use
+    this.transportIndex = 0;
+    this.transportOpened = false;
+    this.transportTimeoutId = null;
+    this.isClosing = false;
     this.connectionStatusElement = null;
+    this.reconnectTimeoutId = null;
+    this.reconnectDelay = 0;
+    this.resumeListener = null;
+
+    // Diagnostics
+    this.connectedAt = null;
+    this.lastPingAt = null;
+    this.rttSamples = [];
+    this.reconnectHistory = [];
+    this.closeHistory = [];
+    this.messageCounts = { sent: 0, received: 0 };
+    this.messageRates = []; // { second, sent, received } for the last WEBSOCKET_RATE_WINDOW seconds
 
     if (this.options.autoConnect) {
       this.connect();
@@ -56,16 +100,34 @@ class WebSocketManager {
     this.connectionStatus = 'connecting';
     this.updateConnectionStatus();
 
+    this.isClosing = false;
+    this.transportOpened = false;
+
     try {
-      // Apply protocols if provided
-      const protocols = this.options.protocols;
-      this.ws = protocols ? new WebSocket(this.url, protocols) : new WebSocket(this.url);
+      const transports = this.getTransports();
+      if (transports.length === 0) {
+        throw new Error('No supported transport available');
+      }
+
+      this.transportIndex = Math.min(this.transportIndex, transports.length - 1);
+      this.transport = transports[this.transportIndex];
+      this.ws = this.createTransport(this.transport);
       this.ws.binaryType = this.options.binaryType;
 
       this.ws.onopen = this.handleOpen.bind(this);
       this.ws.onmessage = this.handleMessage.bind(this);
       this.ws.onclose = this.handleClose.bind(this);
       this.ws.onerror = this.handleError.bind(this);
+
+      // Give up on a transport that hangs while connecting when there's another one to try
+      if (this.transportIndex < transports.length - 1 && this.options.transportTimeout > 0) {
+        this.transportTimeoutId = setTimeout(() => {
+          const ws = this.ws;
+          ws.onopen = ws.onmessage = ws.onclose = ws.onerror = null;
+          ws.close();
+          this.tryNextTransport();
+        }, this.options.transportTimeout);
+      }
     } catch (error) {
       console.error('WebSocket connection error:', error);
       this.connectionStatus = 'error';
@@ -79,14 +141,21 @@ class WebSocketManager {
    * @param {Event} event - Open event
    */
   handleOpen(event) {
+    clearTimeout(this.transportTimeoutId);
+    this.transportOpened = true;
     this.connectionStatus = 'connected';
     this.updateConnectionStatus();
     this.reconnectAttempts = 0;
+    this.reconnectDelay = 0;
     this.isReconnecting = false;
+    this.connectedAt = Date.now();
 
     // Start ping/pong mechanism
     this.startPing();
 
+    // Restore channel subscriptions before anything queued is sent
+    this.resubscribe();
+
     // Send queued messages
     this.flushMessageQueue();
 
@@ -102,15 +171,55 @@ class WebSocketManager {
    */
   handleMessage(event) {
     let data;
+
+    this.countMessage('received');
     
     try {
-      // Parse JSON if it's a string, otherwise keep as is
-      data = typeof event.data === 'string' ? JSON.parse(event.data) : event.data;
-    } catch (e) {
-      // If it's not JSON, use the raw data
+      data = this.decodeMessage(event.data);
+    } catch (error) {
+      // If it can't be decoded, use the raw data
+      console.error('Error decoding WebSocket message:', error);
       data = event.data;
     }
 
+    // Blobs and compressed frames decode asynchronously; later messages wait for them
+    if ((data && typeof data.then === 'function') || this.incoming) {
+      const task = (this.incoming || Promise.resolve())
+        .then(() => data)
+        .catch(error => {
+          console.error('Error decoding WebSocket message:', error);
+          return event.data;
+        })
+        .then(decoded => this.dispatchMessage(decoded, event))
+        .catch(error => console.error('Error handling WebSocket message:', error))
+        .then(() => {
+          if (this.incoming === task) this.incoming = null;
+        });
+
+      this.incoming = task;
+      return;
+    }
+
+    this.dispatchMessage(data, event);
+  }
+
+  /**
+   * Passes a decoded message to the reply matching, message handlers and onMessage callback
+   * @param {any} data - Decoded message
+   * @param {MessageEvent} event - Message event
+   */
+  dispatchMessage(data, event) {
+    // Replies to request(), subscribe() and ping() are matched up here
+    if (data && typeof data === 'object') {
+      if (data.type === 'pong') {
+        this.recordPong(data);
+      } else if (data.type === 'response' && this.pendingRequests.has(data.id)) {
+        this.handleResponse(data);
+      } else if (data.type === 'subscribe-result' && this.subscriptions.has(data.channel)) {
+        this.handleSubscribeResult(data);
+      }
+    }
+
     // Check if message has a specific type that needs special handling
     if (data && typeof data === 'object' && data.type) {
       const handler = this.messageHandlers.get(data.type);
@@ -130,17 +239,45 @@ class WebSocketManager {
    * @param {CloseEvent} event - Close event
    */
   handleClose(event) {
+    clearTimeout(this.transportTimeoutId);
+    this.recordHistory(this.closeHistory, {
+      code: event.code,
+      reason: event.reason,
+      wasClean: event.wasClean,
+      transport: this.transport,
+      time: Date.now()
+    });
+    this.connectedAt = null;
+
+    // A transport that never connected falls back to the next one
+    if (!this.transportOpened && !this.isClosing && this.tryNextTransport()) {
+      return;
+    }
+
     this.connectionStatus = 'disconnected';
     this.updateConnectionStatus();
     this.stopPing();
 
+    const willReconnect = this.options.reconnect && !event.wasClean && this.reconnectAttempts < this.options.maxReconnectAttempts;
+
+    // Replies to anything sent on this socket will never arrive, and queued requests
+    // will never be sent when there's no reconnect coming
+    this.rejectPendingRequests(new Error('WebSocket connection closed'), !willReconnect);
+    this.subscriptions.forEach(subscription => {
+      subscription.subscribed = false;
+    });
+
+    if (!willReconnect) {
+      this.rejectSubscriptionWaiters(new Error('WebSocket connection closed'));
+    }
+
     // Execute callback
     if (this.options.onClose) {
       this.options.onClose(event, this);
     }
 
     // Attempt to reconnect if configured and not manually closed
-    if (this.options.reconnect && !event.wasClean && this.reconnectAttempts < this.options.maxReconnectAttempts) {
+    if (willReconnect) {
       this.reconnect();
     } else if (this.reconnectAttempts >= this.options.maxReconnectAttempts) {
       this.connectionStatus = 'error';
@@ -165,6 +302,76 @@ class WebSocketManager {
     }
   }
 
+  /**
+   * Gets the configured transports that this environment supports, in fallback order
+   * The HTTP transports carry text, so they're left out when the codec is binary.
+   * @returns {Array} Transport names
+   */
+  getTransports() {
+    return this.options.transports.filter(name => {
+      switch (name) {
+        case 'websocket':
+          return typeof WebSocket !== 'undefined';
+        case 'sse':
+          return !this.codec.binary && typeof EventSource !== 'undefined' && typeof fetch !== 'undefined';
+        case 'polling':
+          return !this.codec.binary && typeof fetch !== 'undefined';
+        default:
+          return false;
+      }
+    });
+  }
+
+  /**
+   * Creates the connection object for a transport
+   * @param {string} name - Transport name
+   * @returns {WebSocket|HTTPTransport} Connection with the WebSocket interface
+   */
+  createTransport(name) {
+    switch (name) {
+      case 'sse':
+        return new SSETransport({
+          sse: this.options.sseUrl || WebSocketUtils.toHttpUrl(this.url, '/sse'),
+          send: this.options.sendUrl || WebSocketUtils.toHttpUrl(this.url, '/send')
+        });
+      case 'polling':
+        return new LongPollingTransport({
+          polling: this.options.pollingUrl || WebSocketUtils.toHttpUrl(this.url, '/poll'),
+          send: this.options.sendUrl || WebSocketUtils.toHttpUrl(this.url, '/send')
+        }, { pollingTimeout: this.options.pollingTimeout });
+      default: {
+        // Apply protocols if provided
+        const protocols = this.options.protocols;
+        return protocols ? new WebSocket(this.url, protocols) : new WebSocket(this.url);
+      }
+    }
+  }
+
+  /**
+   * Connects with the next transport in the fallback order
+   * @returns {boolean} Whether there was another transport to try
+   */
+  tryNextTransport() {
+    if (this.transportIndex + 1 >= this.getTransports().length) {
+      // Reconnects start again from the preferred transport
+      this.transportIndex = 0;
+      return false;
+    }
+
+    this.transportIndex++;
+    this.ws = null;
+    this.connect();
+    return true;
+  }
+
+  /**
+   * Gets the name of the transport in use
+   * @returns {string|null} 'websocket', 'sse' or 'polling'
+   */
+  getTransport() {
+    return this.transport;
+  }
+
   /**
    * Attempts to reconnect to the WebSocket server
    */
@@ -172,6 +379,13 @@ class WebSocketManager {
     if (this.isReconnecting) return;
 
     this.isReconnecting = true;
+
+    // Attempts made while offline or hidden would only fail or waste resources
+    if (this.shouldPauseReconnect()) {
+      this.pauseReconnect();
+      return;
+    }
+
     this.reconnectAttempts++;
     
     this.connectionStatus = 'reconnecting';
@@ -182,9 +396,90 @@ class WebSocketManager {
       this.options.onReconnect(this.reconnectAttempts, this);
     }
 
-    setTimeout(() => {
-      this.connect();
-    }, this.options.reconnectInterval);
+    const delay = this.getReconnectDelay(this.reconnectAttempts);
+    this.reconnectDelay = delay;
+    this.recordHistory(this.reconnectHistory, { attempt: this.reconnectAttempts, delay, time: Date.now() });
+
+    this.reconnectTimeoutId = setTimeout(() => {
+      this.reconnectTimeoutId = null;
+
+      if (this.shouldPauseReconnect()) {
+        this.pauseReconnect();
+      } else {
+        // Lets a failed attempt schedule the next one
+        this.isReconnecting = false;
+        this.connect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Gets the delay before a reconnect attempt from the backoff strategy
+   * @param {number} attempt - Attempt number, starting at 1
+   * @returns {number} Delay in milliseconds
+   */
+  getReconnectDelay(attempt) {
+    const { backoff, reconnectInterval, backoffFactor, reconnectJitter, maxReconnectInterval } = this.options;
+    let delay;
+
+    if (typeof backoff === 'function') {
+      delay = backoff(attempt, this.reconnectDelay, this);
+    } else if (backoff === 'decorrelated') {
+      // Random between the base delay and three times the previous delay
+      const upper = Math.max(reconnectInterval, (this.reconnectDelay || reconnectInterval) * 3);
+      delay = reconnectInterval + Math.random() * (upper - reconnectInterval);
+    } else {
+      delay = backoff === 'exponential' ? reconnectInterval * Math.pow(backoffFactor, attempt - 1) : reconnectInterval;
+      delay = Math.min(delay, maxReconnectInterval);
+
+      if (reconnectJitter > 0) {
+        delay -= delay * Math.min(reconnectJitter, 1) * Math.random();
+      }
+    }
+
+    return Math.round(Math.min(Math.max(delay, 0), maxReconnectInterval));
+  }
+
+  /**
+   * Checks whether reconnecting should wait for the network or the page to come back
+   * @returns {boolean} Whether to pause
+   */
+  shouldPauseReconnect() {
+    const offline = this.options.pauseReconnectOffline && typeof navigator !== 'undefined' && navigator.onLine === false;
+    const hidden = this.options.pauseReconnectHidden && typeof document !== 'undefined' && document.visibilityState === 'hidden';
+    return offline || hidden;
+  }
+
+  /**
+   * Waits for the browser to come online and the page to become visible before reconnecting
+   */
+  pauseReconnect() {
+    this.connectionStatus = 'paused';
+    this.updateConnectionStatus();
+
+    if (this.resumeListener) return;
+
+    this.resumeListener = () => {
+      if (!this.shouldPauseReconnect()) {
+        this.removeResumeListener();
+        this.isReconnecting = false;
+        this.connect();
+      }
+    };
+
+    window.addEventListener('online', this.resumeListener);
+    document.addEventListener('visibilitychange', this.resumeListener);
+  }
+
+  /**
+   * Stops waiting to resume reconnecting
+   */
+  removeResumeListener() {
+    if (!this.resumeListener) return;
+
+    window.removeEventListener('online', this.resumeListener);
+    document.removeEventListener('visibilitychange', this.resumeListener);
+    this.resumeListener = null;
   }
 
   /**
@@ -202,6 +497,9 @@ class WebSocketManager {
     // Attempt to reconnect
     if (this.options.reconnect && this.reconnectAttempts < this.options.maxReconnectAttempts) {
       this.reconnect();
+    } else {
+      this.rejectPendingRequests(error, true);
+      this.rejectSubscriptionWaiters(error);
     }
   }
 
@@ -215,11 +513,64 @@ class WebSocketManager {
 
     this.pingIntervalId = setInterval(() => {
       if (this.isConnected()) {
-        this.send({ type: 'ping', timestamp: Date.now() });
+        this.ping();
       }
     }, this.options.pingInterval);
   }
 
+  /**
+   * Sends a ping
+   * The server is expected to answer with `{ type: 'pong', timestamp }`, echoing the timestamp,
+   * which gives the round-trip time.
+   */
+  ping() {
+    this.lastPingAt = Date.now();
+    this.send({ type: 'ping', timestamp: this.lastPingAt });
+  }
+
+  /**
+   * Records the round-trip time from a pong
+   * @param {Object} pong - Pong message
+   */
+  recordPong(pong) {
+    const sentAt = typeof pong.timestamp === 'number' ? pong.timestamp : this.lastPingAt;
+    if (!sentAt) return;
+
+    this.recordHistory(this.rttSamples, Math.max(Date.now() - sentAt, 0));
+  }
+
+  /**
+   * Adds an entry to a diagnostics history, dropping the oldest past WEBSOCKET_HISTORY_SIZE
+   * @param {Array} history - History to add to
+   * @param {any} entry - Entry to add
+   */
+  recordHistory(history, entry) {
+    history.push(entry);
+    if (history.length > WEBSOCKET_HISTORY_SIZE) {
+      history.shift();
+    }
+  }
+
+  /**
+   * Counts a sent or received message for the message rates
+   * @param {string} direction - 'sent' or 'received'
+   */
+  countMessage(direction) {
+    const second = Math.floor(Date.now() / 1000);
+    let bucket = this.messageRates[this.messageRates.length - 1];
+
+    if (!bucket || bucket.second !== second) {
+      bucket = { second, sent: 0, received: 0 };
+      this.messageRates.push(bucket);
+      while (this.messageRates[0].second <= second - WEBSOCKET_RATE_WINDOW) {
+        this.messageRates.shift();
+      }
+    }
+
+    bucket[direction]++;
+    this.messageCounts[direction]++;
+  }
+
   /**
    * Stops the ping/pong mechanism
    */
@@ -243,8 +594,16 @@ class WebSocketManager {
     }
 
     try {
-      const serializedMessage = typeof message === 'string' ? message : JSON.stringify(message);
-      this.ws.send(serializedMessage);
+      const payload = this.codec.encode(message);
+
+      // Compressed messages are sent once compression finishes, and anything sent meanwhile waits behind them
+      if (this.outgoing || this.shouldCompress(payload)) {
+        this.sendInOrder(payload, message, callback);
+        return true;
+      }
+
+      this.ws.send(this.createFrame(payload));
+      this.countMessage('sent');
       
       if (callback) callback(null, message);
       return true;
@@ -255,6 +614,189 @@ class WebSocketManager {
     }
   }
 
+  /**
+   * Sends an encoded message after the sends queued before it
+   * @param {string|Uint8Array} payload - Encoded message
+   * @param {any} message - Original message
+   * @param {Function} callback - Optional callback for confirmation
+   */
+  sendInOrder(payload, message, callback) {
+    const ws = this.ws;
+
+    const task = (this.outgoing || Promise.resolve())
+      .then(() => this.shouldCompress(payload) ? this.compressFrame(payload) : this.createFrame(payload))
+      .then(frame => {
+        if (ws.readyState !== WebSocket.OPEN) {
+          throw new Error('WebSocket connection closed');
+        }
+
+        ws.send(frame);
+        this.countMessage('sent');
+        if (callback) callback(null, message);
+      })
+      .catch(error => {
+        console.error('Error sending WebSocket message:', error);
+        if (callback) callback(error, message);
+      })
+      .then(() => {
+        if (this.outgoing === task) this.outgoing = null;
+      });
+
+    this.outgoing = task;
+  }
+
+  /**
+   * Gets the codec for a name or codec object
+   * @param {string|Object} codec - Codec name from WebSocketCodecs or codec object
+   * @returns {Object} Codec
+   */
+  resolveCodec(codec) {
+    const resolved = typeof codec === 'string' ? WebSocketCodecs[codec] : codec;
+
+    if (!resolved || typeof resolved.encode !== 'function' || typeof resolved.decode !== 'function') {
+      throw new Error(`Unknown WebSocket codec: ${codec}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Changes the codec used for messages sent and received from now on
+   * @param {string|Object} codec - Codec name from WebSocketCodecs or codec object
+   */
+  setCodec(codec) {
+    this.codec = this.resolveCodec(codec);
+    this.options.codec = codec;
+  }
+
+  /**
+   * Decodes received message data
+   * With compression on, binary frames start with a header byte: 0 for plain and 1 for deflated.
+   * Binary frames are passed on raw when neither the codec nor compression expects them.
+   * @param {string|Blob|ArrayBuffer} data - Received data
+   * @returns {any|Promise} Decoded message, or a Promise when decoding is asynchronous
+   */
+  decodeMessage(data) {
+    if (typeof data === 'string') {
+      return this.codec.binary ? data : this.codec.decode(data);
+    }
+
+    if (!this.codec.binary && !this.options.compression) {
+      return data;
+    }
+
+    // binaryType 'blob' has to be read first
+    if (typeof Blob !== 'undefined' && data instanceof Blob) {
+      return data.arrayBuffer().then(buffer => this.decodeBinary(new Uint8Array(buffer)));
+    }
+
+    const bytes = toCodecBytes(data);
+    return bytes ? this.decodeBinary(bytes) : data;
+  }
+
+  /**
+   * Decodes a binary frame
+   * @param {Uint8Array} bytes - Frame contents
+   * @returns {any|Promise} Decoded message, or a Promise when the frame is compressed
+   */
+  decodeBinary(bytes) {
+    if (!this.options.compression) {
+      return this.decodePayload(bytes);
+    }
+
+    const body = bytes.subarray(1);
+    if (bytes[0] === 1) {
+      return this.transformBytes(body, new DecompressionStream('deflate')).then(inflated => this.decodePayload(inflated));
+    }
+
+    return this.decodePayload(body);
+  }
+
+  /**
+   * Decodes the encoded message in a binary frame
+   * @param {Uint8Array} bytes - Encoded message
+   * @returns {any} Decoded message
+   */
+  decodePayload(bytes) {
+    return this.codec.decode(this.codec.binary ? bytes : new TextDecoder().decode(bytes));
+  }
+
+  /**
+   * Checks whether an encoded message should be compressed
+   * @param {string|Uint8Array} payload - Encoded message
+   * @returns {boolean} Whether to compress
+   */
+  shouldCompress(payload) {
+    if (!this.options.compression || typeof CompressionStream === 'undefined') {
+      return false;
+    }
+
+    // A UTF-8 string is at least as many bytes as characters
+    return payload.length >= this.options.compressionThreshold &&
+      (typeof payload !== 'string' || new TextEncoder().encode(payload).length >= this.options.compressionThreshold);
+  }
+
+  /**
+   * Creates the frame for an uncompressed message
+   * @param {string|Uint8Array} payload - Encoded message
+   * @returns {string|Uint8Array} Frame to send
+   */
+  createFrame(payload) {
+    if (typeof payload === 'string' || !this.options.compression) {
+      return payload;
+    }
+
+    const frame = new Uint8Array(payload.length + 1);
+    frame.set(payload, 1);
+    return frame;
+  }
+
+  /**
+   * Creates the frame for a compressed message
+   * @param {string|Uint8Array} payload - Encoded message
+   * @returns {Promise<Uint8Array>} Frame to send
+   */
+  async compressFrame(payload) {
+    const bytes = typeof payload === 'string' ? new TextEncoder().encode(payload) : payload;
+    const deflated = await this.transformBytes(bytes, new CompressionStream('deflate'));
+
+    const frame = new Uint8Array(deflated.length + 1);
+    frame[0] = 1;
+    frame.set(deflated, 1);
+    return frame;
+  }
+
+  /**
+   * Runs bytes through a compression or decompression stream
+   * @param {Uint8Array} bytes - Input bytes
+   * @param {CompressionStream|DecompressionStream} stream - Transform stream
+   * @returns {Promise<Uint8Array>} Output bytes
+   */
+  async transformBytes(bytes, stream) {
+    const writer = stream.writable.getWriter();
+    writer.write(bytes);
+    writer.close();
+
+    const reader = stream.readable.getReader();
+    const chunks = [];
+    let length = 0;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      length += value.length;
+    }
+
+    const output = new Uint8Array(length);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      output.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return output;
+  }
+
   /**
    * Queues a message to be sent when connection is established
    * @param {any} message - Message to queue
@@ -324,13 +866,20 @@ class WebSocketManager {
 
   /**
    * Closes the WebSocket connection
+   * Requests still waiting to be sent are rejected rather than kept for a reconnect.
    * @param {number} code - Close code (optional)
    * @param {string} reason - Close reason (optional)
    */
   close(code, reason) {
     this.options.reconnect = false; // Disable reconnection
     this.isReconnecting = false;
+    this.isClosing = true;
+    clearTimeout(this.transportTimeoutId);
+    clearTimeout(this.reconnectTimeoutId);
+    this.reconnectTimeoutId = null;
+    this.removeResumeListener();
     this.stopPing();
+    this.rejectPendingRequests(new Error('WebSocket connection closed'), true);
 
     if (this.ws) {
       this.ws.close(code, reason);
@@ -408,50 +957,39 @@ class WebSocketManager {
 
   /**
    * Subscribes to a specific channel
+   * The subscription is remembered and sent again whenever the connection is re-established,
+   * so it can also be made before the socket is open.
    * @param {string} channel - Channel name
    * @param {Function} handler - Message handler for this channel
    * @returns {Promise} Promise that resolves when subscription is confirmed
    */
   subscribe(channel, handler) {
     return new Promise((resolve, reject) => {
-      if (!this.isConnected()) {
-        reject(new Error('WebSocket is not connected'));
-        return;
-      }
+      let subscription = this.subscriptions.get(channel);
 
       // Register the handler for messages from this channel
       if (handler) {
         this.registerMessageHandler(`channel-${channel}`, handler);
       }
 
-      const subscribeMessage = {
-        type: 'subscribe',
-        channel: channel
-      };
+      if (subscription) {
+        if (handler) subscription.handler = handler;
 
-      // Create a temporary handler for the subscription response
-      const subHandler = (response) => {
-        if (response.type === 'subscribe-result' && response.channel === channel) {
-          this.unregisterMessageHandler('subscribe-result');
-          if (response.success) {
-            resolve(response);
-          } else {
-            this.unregisterMessageHandler(`channel-${channel}`);
-            reject(new Error(response.error || 'Subscription failed'));
-          }
+        if (subscription.subscribed) {
+          resolve(subscription.result);
+        } else {
+          subscription.waiters.push({ resolve, reject });
         }
-      };
+        return;
+      }
 
-      this.registerMessageHandler('subscribe-result', subHandler);
-      
-      // Send subscription request
-      this.send(subscribeMessage, (error) => {
-        if (error) {
-          this.unregisterMessageHandler('subscribe-result');
-          this.unregisterMessageHandler(`channel-${channel}`);
-          reject(error);
-        }
-      });
+      subscription = { handler, subscribed: false, result: null, waiters: [{ resolve, reject }] };
+      this.subscriptions.set(channel, subscription);
+
+      // Otherwise it's sent by resubscribe() once the connection opens
+      if (this.isConnected()) {
+        this.sendSubscribe(channel);
+      }
     });
   }
 
@@ -462,8 +1000,18 @@ class WebSocketManager {
    */
   unsubscribe(channel) {
     return new Promise((resolve, reject) => {
+      const subscription = this.subscriptions.get(channel);
+
+      // Forget it straight away so a reconnect doesn't restore it
+      this.subscriptions.delete(channel);
+      if (subscription) {
+        subscription.waiters.forEach(waiter => waiter.reject(new Error('Unsubscribed')));
+      }
+
+      // The server drops subscriptions along with the socket, so there's nothing to tell it
       if (!this.isConnected()) {
-        reject(new Error('WebSocket is not connected'));
+        this.unregisterMessageHandler(`channel-${channel}`);
+        resolve({ type: 'unsubscribe-result', channel, success: true });
         return;
       }
 
@@ -498,60 +1046,281 @@ class WebSocketManager {
   }
 
   /**
-   * Gets connection statistics
-   * @returns {Object} Connection statistics
+   * Sends the subscribe message for a channel
+   * @param {string} channel - Channel name
    */
-  getStats() {
-    return {
-      status: this.connectionStatus,
-      reconnectAttempts: this.reconnectAttempts,
-      isReconnecting: this.isReconnecting,
-      connected: this.isConnected(),
-      connecting: this.isConnecting(),
-      closed: this.isClosed(),
-      active: this.isActive(),
-      messageQueueSize: this.messageQueue.length,
-      messageHandlersCount: this.messageHandlers.size
-    };
+  sendSubscribe(channel) {
+    this.send({ type: 'subscribe', channel }, (error) => {
+      if (error) {
+        this.handleSubscribeResult({ type: 'subscribe-result', channel, success: false, error: error.message });
+      }
+    });
   }
 
   /**
-   * Resets the reconnect attempts counter
+   * Sends every remembered subscription again after the connection opens
    */
-  resetReconnectAttempts() {
-    this.reconnectAttempts = 0;
+  resubscribe() {
+    this.subscriptions.forEach((subscription, channel) => {
+      subscription.subscribed = false;
+      this.sendSubscribe(channel);
+    });
   }
 
   /**
-   * Updates the WebSocket URL and reconnects
-   * @param {string} newUrl - New WebSocket URL
+   * Handles the server's reply to a subscribe message
+   * @param {Object} response - subscribe-result message
    */
-  updateUrl(newUrl) {
-    this.url = newUrl;
-    this.close();
-    this.resetReconnectAttempts();
-    this.connect();
+  handleSubscribeResult(response) {
+    const subscription = this.subscriptions.get(response.channel);
+    if (!subscription) return;
+
+    const waiters = subscription.waiters;
+    subscription.waiters = [];
+
+    if (response.success) {
+      subscription.subscribed = true;
+      subscription.result = response;
+      waiters.forEach(waiter => waiter.resolve(response));
+    } else {
+      this.subscriptions.delete(response.channel);
+      this.unregisterMessageHandler(`channel-${response.channel}`);
+
+      const error = new Error(response.error || 'Subscription failed');
+      if (waiters.length) {
+        waiters.forEach(waiter => waiter.reject(error));
+      } else {
+        console.warn(`WebSocket resubscription to "${response.channel}" failed:`, error.message);
+      }
+    }
   }
 
   /**
-   * Adds dynamic styles for the connection status indicator
+   * Rejects subscribe() calls that are still waiting for the server
+   * @param {Error} error - Rejection reason
    */
-  addDynamicStyles() {
-    if (document.getElementById('websocket-manager-styles')) return;
-
-    const style = document.createElement('style');
-    style.id = 'websocket-manager-styles';
-    style.textContent = `
-      .connection-status {
-        display: inline-block;
-        padding: 4px 8px;
-        border-radius: 12px;
-        font-size: 0.8rem;
-        font-weight: bold;
-        text-transform: uppercase;
-      }
+  rejectSubscriptionWaiters(error) {
+    this.subscriptions.forEach(subscription => {
+      const waiters = subscription.waiters;
+      subscription.waiters = [];
+      waiters.forEach(waiter => waiter.reject(error));
+    });
+  }
 
-      .connection-status-disconnected {
+  /**
+   * Gets the channels currently subscribed to, including ones waiting to be restored
+   * @returns {Array} Channel names
+   */
+  getSubscriptions() {
+    return Array.from(this.subscriptions.keys());
+  }
+
+  /**
+   * Sends a request and waits for the matching response
+   * The message is `{ type: 'request', id, method, params }`; the server answers with
+   * `{ type: 'response', id, result }` or `{ type: 'response', id, error }`.
+   * Requests made while disconnected are queued and sent once the connection opens.
+   * @param {string} method - Remote method name
+   * @param {any} params - Method parameters
+   * @param {Object} options - Request options
+   * @param {number} options.timeout - Milliseconds to wait for the response (defaults to the timeout option)
+   * @returns {Promise} Promise that resolves with the response result
+   */
+  request(method, params, { timeout = this.options.timeout } = {}) {
+    return new Promise((resolve, reject) => {
+      if (this.isClosing) {
+        reject(new Error('WebSocket connection closed'));
+        return;
+      }
+
+      const id = `req-${Date.now().toString(36)}-${++this.requestCounter}`;
+      const pending = { resolve, reject, timeoutId: null, sent: false };
+
+      if (timeout > 0) {
+        pending.timeoutId = setTimeout(() => {
+          this.pendingRequests.delete(id);
+          reject(new Error(`Request "${method}" timed out after ${timeout}ms`));
+        }, timeout);
+      }
+
+      this.pendingRequests.set(id, pending);
+
+      this.send({ type: 'request', id, method, params }, (error) => {
+        if (error) {
+          this.settleRequest(id, error);
+        } else {
+          pending.sent = true;
+        }
+      });
+    });
+  }
+
+  /**
+   * Handles a response to a request
+   * @param {Object} response - Response message
+   */
+  handleResponse(response) {
+    if (response.error) {
+      const details = response.error;
+      const error = new Error(typeof details === 'string' ? details : details.message || 'Request failed');
+      if (details.code !== undefined) error.code = details.code;
+      if (details.data !== undefined) error.data = details.data;
+
+      this.settleRequest(response.id, error);
+    } else {
+      this.settleRequest(response.id, null, response.result);
+    }
+  }
+
+  /**
+   * Resolves or rejects a pending request
+   * @param {string} id - Correlation id
+   * @param {Error|null} error - Rejection reason
+   * @param {any} result - Resolved value
+   */
+  settleRequest(id, error, result) {
+    const pending = this.pendingRequests.get(id);
+    if (!pending) return;
+
+    this.pendingRequests.delete(id);
+    clearTimeout(pending.timeoutId);
+
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  /**
+   * Rejects requests that were sent on the current socket
+   * Requests still in the message queue are kept and sent after reconnecting, unless
+   * `queued` is set because no reconnect will happen.
+   * @param {Error} error - Rejection reason
+   * @param {boolean} queued - Also reject queued requests and drop them from the queue
+   */
+  rejectPendingRequests(error, queued = false) {
+    this.pendingRequests.forEach((pending, id) => {
+      if (pending.sent || queued) {
+        this.settleRequest(id, error);
+      }
+    });
+
+    if (queued) {
+      this.messageQueue = this.messageQueue.filter(({ message }) => !message || message.type !== 'request');
+    }
+  }
+
+  /**
+   * Gets connection statistics
+   * @returns {Object} Connection statistics
+   */
+  getStats() {
+    return {
+      status: this.connectionStatus,
+      transport: this.transport,
+      reconnectAttempts: this.reconnectAttempts,
+      isReconnecting: this.isReconnecting,
+      connected: this.isConnected(),
+      connecting: this.isConnecting(),
+      closed: this.isClosed(),
+      active: this.isActive(),
+      messageQueueSize: this.messageQueue.length,
+      messageHandlersCount: this.messageHandlers.size,
+      codec: this.codec.name || 'custom',
+      subscriptionsCount: this.subscriptions.size,
+      pendingRequestsCount: this.pendingRequests.size,
+      rtt: this.rttSamples.length ? this.rttSamples[this.rttSamples.length - 1] : null
+    };
+  }
+
+  /**
+   * Gets detailed connection diagnostics
+   * @returns {Object} Diagnostics including reconnect history, round-trip times, message rates,
+   * queue depth and recent close codes
+   */
+  getDiagnostics() {
+    const now = Date.now();
+    const samples = this.rttSamples;
+
+    // Rates cover the window, or the time since the first counted message if that's shorter
+    const windowStart = Math.floor(now / 1000) - WEBSOCKET_RATE_WINDOW + 1;
+    const buckets = this.messageRates.filter(bucket => bucket.second >= windowStart);
+    const seconds = buckets.length ? Math.floor(now / 1000) - buckets[0].second + 1 : 1;
+    const total = (direction) => buckets.reduce((sum, bucket) => sum + bucket[direction], 0);
+
+    return {
+      status: this.connectionStatus,
+      transport: this.transport,
+      url: this.url,
+      connectedAt: this.connectedAt,
+      uptime: this.connectedAt ? now - this.connectedAt : 0,
+      reconnect: {
+        attempts: this.reconnectAttempts,
+        paused: this.resumeListener !== null,
+        nextDelay: this.reconnectTimeoutId ? this.reconnectDelay : null,
+        history: this.reconnectHistory.slice()
+      },
+      rtt: {
+        last: samples.length ? samples[samples.length - 1] : null,
+        min: samples.length ? Math.min(...samples) : null,
+        max: samples.length ? Math.max(...samples) : null,
+        average: samples.length ? samples.reduce((sum, rtt) => sum + rtt, 0) / samples.length : null,
+        samples: samples.slice()
+      },
+      messages: {
+        sent: this.messageCounts.sent,
+        received: this.messageCounts.received,
+        sentPerSecond: total('sent') / seconds,
+        receivedPerSecond: total('received') / seconds
+      },
+      queueDepth: this.messageQueue.length,
+      bufferedAmount: this.ws && this.ws.bufferedAmount ? this.ws.bufferedAmount : 0,
+      pendingRequests: this.pendingRequests.size,
+      subscriptions: this.getSubscriptions(),
+      lastCloseCodes: this.closeHistory.map(entry => entry.code),
+      closeHistory: this.closeHistory.slice()
+    };
+  }
+
+  /**
+   * Resets the reconnect attempts counter
+   */
+  resetReconnectAttempts() {
+    this.reconnectAttempts = 0;
+  }
+
+  /**
+   * Updates the WebSocket URL and reconnects
+   * @param {string} newUrl - New WebSocket URL
+   */
+  updateUrl(newUrl) {
+    this.url = newUrl;
+    this.close();
+    this.resetReconnectAttempts();
+    this.transportIndex = 0;
+    this.connect();
+  }
+
+  /**
+   * Adds dynamic styles for the connection status indicator
+   */
+  addDynamicStyles() {
+    if (document.getElementById('websocket-manager-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'websocket-manager-styles';
+    style.textContent = `
+      .connection-status {
+        display: inline-block;
+        padding: 4px 8px;
+        border-radius: 12px;
+        font-size: 0.8rem;
+        font-weight: bold;
+        text-transform: uppercase;
+      }
+
+      .connection-status-disconnected {
         background-color: #495057;
         color: #fff;
       }
@@ -575,12 +1344,1163 @@ class WebSocketManager {
         background-color: #dc3545;
         color: #fff;
       }
+
+      .connection-status-paused {
+        background-color: #6c757d;
+        color: #fff;
+      }
     `;
 
     document.head.appendChild(style);
   }
 }
 
+/**
+ * Growable byte buffer used by the binary codecs
+ */
+class CodecWriter {
+  /**
+   * Creates a new writer
+   */
+  constructor() {
+    this.bytes = new Uint8Array(256);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  /**
+   * Makes room for more bytes
+   * @param {number} size - Number of bytes about to be written
+   */
+  reserve(size) {
+    if (this.length + size <= this.bytes.length) return;
+
+    let capacity = this.bytes.length * 2;
+    while (capacity < this.length + size) capacity *= 2;
+
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  /**
+   * Writes an unsigned 8-bit integer
+   * @param {number} value - Value to write
+   */
+  uint8(value) {
+    this.reserve(1);
+    this.bytes[this.length++] = value;
+  }
+
+  /**
+   * Writes a big-endian unsigned 16-bit integer
+   * @param {number} value - Value to write
+   */
+  uint16(value) {
+    this.reserve(2);
+    this.view.setUint16(this.length, value);
+    this.length += 2;
+  }
+
+  /**
+   * Writes a big-endian unsigned 32-bit integer
+   * @param {number} value - Value to write
+   */
+  uint32(value) {
+    this.reserve(4);
+    this.view.setUint32(this.length, value);
+    this.length += 4;
+  }
+
+  /**
+   * Writes a big-endian 64-bit integer
+   * BigInts may use the full signed (from -2^63) or unsigned (up to 2^64 - 1) range.
+   * @param {number|bigint} value - Value to write; numbers must be safe integers
+   * @throws {RangeError} For BigInts that need more than 64 bits
+   */
+  int64(value) {
+    // DataView would silently keep only the low 64 bits
+    if (typeof value === 'bigint' && (value < -9223372036854775808n || value > 18446744073709551615n)) {
+      throw new RangeError(`${value} does not fit in a 64-bit integer`);
+    }
+
+    this.reserve(8);
+
+    if (typeof value === 'bigint') {
+      if (value < 0) {
+        this.view.setBigInt64(this.length, value);
+      } else {
+        this.view.setBigUint64(this.length, value);
+      }
+    } else {
+      // Split into two 32-bit halves so plain numbers don't need BigInt
+      const high = Math.floor(value / 4294967296);
+      this.view.setInt32(this.length, high);
+      this.view.setUint32(this.length + 4, value - high * 4294967296);
+    }
+
+    this.length += 8;
+  }
+
+  /**
+   * Writes a big-endian 32-bit float
+   * @param {number} value - Value to write
+   */
+  float32(value) {
+    this.reserve(4);
+    this.view.setFloat32(this.length, value);
+    this.length += 4;
+  }
+
+  /**
+   * Writes a big-endian 64-bit float
+   * @param {number} value - Value to write
+   */
+  float64(value) {
+    this.reserve(8);
+    this.view.setFloat64(this.length, value);
+    this.length += 8;
+  }
+
+  /**
+   * Writes raw bytes
+   * @param {Uint8Array} bytes - Bytes to write
+   */
+  write(bytes) {
+    this.reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  /**
+   * Gets the bytes written so far
+   * @returns {Uint8Array} Written bytes
+   */
+  toBytes() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Sequential reader over encoded bytes used by the binary codecs
+ */
+class CodecReader {
+  /**
+   * Creates a new reader
+   * @param {Uint8Array|ArrayBuffer} data - Bytes to read
+   */
+  constructor(data) {
+    this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+    this.offset = 0;
+  }
+
+  /**
+   * Checks that enough bytes are left
+   * @param {number} size - Number of bytes about to be read
+   */
+  need(size) {
+    if (this.offset + size > this.bytes.length) {
+      throw new Error('Unexpected end of encoded data');
+    }
+  }
+
+  /**
+   * Reads an unsigned 8-bit integer
+   * @returns {number} Value read
+   */
+  uint8() {
+    this.need(1);
+    return this.bytes[this.offset++];
+  }
+
+  /**
+   * Reads a signed 8-bit integer
+   * @returns {number} Value read
+   */
+  int8() {
+    this.need(1);
+    return this.view.getInt8(this.offset++);
+  }
+
+  /**
+   * Reads a big-endian unsigned 16-bit integer
+   * @returns {number} Value read
+   */
+  uint16() {
+    this.need(2);
+    const value = this.view.getUint16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  /**
+   * Reads a big-endian signed 16-bit integer
+   * @returns {number} Value read
+   */
+  int16() {
+    this.need(2);
+    const value = this.view.getInt16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  /**
+   * Reads a big-endian unsigned 32-bit integer
+   * @returns {number} Value read
+   */
+  uint32() {
+    this.need(4);
+    const value = this.view.getUint32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  /**
+   * Reads a big-endian signed 32-bit integer
+   * @returns {number} Value read
+   */
+  int32() {
+    this.need(4);
+    const value = this.view.getInt32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  /**
+   * Reads a big-endian 64-bit integer
+   * @param {boolean} signed - Whether the integer is signed
+   * @returns {number|bigint} Value read, as a BigInt when it isn't a safe integer
+   */
+  int64(signed) {
+    this.need(8);
+    const high = signed ? this.view.getInt32(this.offset) : this.view.getUint32(this.offset);
+    const value = high * 4294967296 + this.view.getUint32(this.offset + 4);
+
+    const result = Number.isSafeInteger(value) ? value :
+      (signed ? this.view.getBigInt64(this.offset) : this.view.getBigUint64(this.offset));
+    this.offset += 8;
+    return result;
+  }
+
+  /**
+   * Reads a big-endian 16-bit float
+   * @returns {number} Value read
+   */
+  float16() {
+    const half = this.uint16();
+    const exponent = (half >> 10) & 0x1f;
+    const fraction = half & 0x3ff;
+    const sign = half & 0x8000 ? -1 : 1;
+
+    if (exponent === 0) return sign * fraction * Math.pow(2, -24);
+    if (exponent === 31) return fraction ? NaN : sign * Infinity;
+    return sign * (1024 + fraction) * Math.pow(2, exponent - 25);
+  }
+
+  /**
+   * Reads a big-endian 32-bit float
+   * @returns {number} Value read
+   */
+  float32() {
+    this.need(4);
+    const value = this.view.getFloat32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  /**
+   * Reads a big-endian 64-bit float
+   * @returns {number} Value read
+   */
+  float64() {
+    this.need(8);
+    const value = this.view.getFloat64(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  /**
+   * Reads raw bytes
+   * @param {number} length - Number of bytes
+   * @returns {Uint8Array} Copy of the bytes
+   */
+  read(length) {
+    this.need(length);
+    const bytes = this.bytes.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  /**
+   * Reads a UTF-8 string
+   * @param {number} length - Length in bytes
+   * @returns {string} String read
+   */
+  string(length) {
+    this.need(length);
+    const text = new TextDecoder().decode(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += length;
+    return text;
+  }
+}
+
+/**
+ * Converts binary message data to a Uint8Array
+ * @param {ArrayBuffer|ArrayBufferView} data - Binary data
+ * @returns {Uint8Array|null} Bytes, or null when the data isn't binary
+ */
+function toCodecBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  return null;
+}
+
+/**
+ * JSON codec sending text frames
+ * Strings are sent unchanged and text that isn't JSON is passed on as is.
+ */
+const JSONCodec = {
+  name: 'json',
+  binary: false,
+
+  /**
+   * Encodes a message
+   * @param {any} value - Message
+   * @returns {string} Encoded message
+   */
+  encode(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  },
+
+  /**
+   * Decodes a message
+   * @param {string} text - Received text
+   * @returns {any} Decoded message
+   */
+  decode(text) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return text;
+    }
+  }
+};
+
+/**
+ * MessagePack codec sending binary frames
+ * Dates use the timestamp extension (-1); other extensions decode to { type, data }.
+ * 64-bit integers outside the safe integer range decode to BigInt; BigInts that need more
+ * than 64 bits have no MessagePack form and throw a RangeError.
+ */
+const MessagePackCodec = {
+  name: 'msgpack',
+  binary: true,
+
+  /**
+   * Encodes a message
+   * @param {any} value - Message
+   * @returns {Uint8Array} Encoded message
+   */
+  encode(value) {
+    const writer = new CodecWriter();
+    MessagePackCodec.writeValue(writer, value);
+    return writer.toBytes();
+  },
+
+  /**
+   * Decodes a message
+   * @param {Uint8Array|ArrayBuffer} data - Received bytes
+   * @returns {any} Decoded message
+   */
+  decode(data) {
+    return MessagePackCodec.readValue(new CodecReader(data));
+  },
+
+  /**
+   * Writes a value
+   * @param {CodecWriter} writer - Output
+   * @param {any} value - Value to write
+   */
+  writeValue(writer, value) {
+    if (value === null || value === undefined || typeof value === 'function' || typeof value === 'symbol') {
+      writer.uint8(0xc0);
+    } else if (typeof value === 'boolean') {
+      writer.uint8(value ? 0xc3 : 0xc2);
+    } else if (typeof value === 'number') {
+      MessagePackCodec.writeNumber(writer, value);
+    } else if (typeof value === 'bigint') {
+      // MessagePack has no bignums, so int64() rejects what doesn't fit before anything is sent
+      writer.uint8(value < 0 ? 0xd3 : 0xcf);
+      writer.int64(value);
+    } else if (typeof value === 'string') {
+      const bytes = new TextEncoder().encode(value);
+      MessagePackCodec.writeHeader(writer, bytes.length, 0xa0, 32, [0xd9, 0xda, 0xdb]);
+      writer.write(bytes);
+    } else if (toCodecBytes(value)) {
+      const bytes = toCodecBytes(value);
+      MessagePackCodec.writeHeader(writer, bytes.length, null, 0, [0xc4, 0xc5, 0xc6]);
+      writer.write(bytes);
+    } else if (value instanceof Date) {
+      MessagePackCodec.writeTimestamp(writer, value);
+    } else if (Array.isArray(value)) {
+      MessagePackCodec.writeHeader(writer, value.length, 0x90, 16, [null, 0xdc, 0xdd]);
+      value.forEach(item => MessagePackCodec.writeValue(writer, item));
+    } else {
+      // Like JSON, object properties that are undefined or functions are left out
+      const entries = value instanceof Map ? Array.from(value.entries()) :
+        Object.keys(value).filter(key => value[key] !== undefined && typeof value[key] !== 'function').map(key => [key, value[key]]);
+
+      MessagePackCodec.writeHeader(writer, entries.length, 0x80, 16, [null, 0xde, 0xdf]);
+      entries.forEach(([key, item]) => {
+        MessagePackCodec.writeValue(writer, key);
+        MessagePackCodec.writeValue(writer, item);
+      });
+    }
+  },
+
+  /**
+   * Writes a number using the smallest format that holds it
+   * @param {CodecWriter} writer - Output
+   * @param {number} value - Number to write
+   */
+  writeNumber(writer, value) {
+    if (!Number.isSafeInteger(value)) {
+      writer.uint8(0xcb);
+      writer.float64(value);
+    } else if (value >= 0) {
+      if (value < 128) {
+        writer.uint8(value);
+      } else if (value < 256) {
+        writer.uint8(0xcc);
+        writer.uint8(value);
+      } else if (value < 65536) {
+        writer.uint8(0xcd);
+        writer.uint16(value);
+      } else if (value < 4294967296) {
+        writer.uint8(0xce);
+        writer.uint32(value);
+      } else {
+        writer.uint8(0xcf);
+        writer.int64(value);
+      }
+    } else if (value >= -32) {
+      writer.uint8(value & 0xff);
+    } else if (value >= -128) {
+      writer.uint8(0xd0);
+      writer.uint8(value & 0xff);
+    } else if (value >= -32768) {
+      writer.uint8(0xd1);
+      writer.uint16(value & 0xffff);
+    } else if (value >= -2147483648) {
+      writer.uint8(0xd2);
+      writer.uint32(value >>> 0);
+    } else {
+      writer.uint8(0xd3);
+      writer.int64(value);
+    }
+  },
+
+  /**
+   * Writes the type and length prefix of a string, binary, array or map
+   * @param {CodecWriter} writer - Output
+   * @param {number} length - Length to write
+   * @param {number|null} fixType - Type byte of the fix format, if the type has one
+   * @param {number} fixLimit - Lengths below this use the fix format
+   * @param {Array} types - Type bytes for 8, 16 and 32-bit lengths (null where the type has none)
+   */
+  writeHeader(writer, length, fixType, fixLimit, types) {
+    if (fixType !== null && length < fixLimit) {
+      writer.uint8(fixType | length);
+    } else if (types[0] !== null && length < 256) {
+      writer.uint8(types[0]);
+      writer.uint8(length);
+    } else if (length < 65536) {
+      writer.uint8(types[1]);
+      writer.uint16(length);
+    } else {
+      writer.uint8(types[2]);
+      writer.uint32(length);
+    }
+  },
+
+  /**
+   * Writes a date as a timestamp extension
+   * @param {CodecWriter} writer - Output
+   * @param {Date} date - Date to write
+   */
+  writeTimestamp(writer, date) {
+    const time = date.getTime();
+    const seconds = Math.floor(time / 1000);
+    const nanoseconds = (time - seconds * 1000) * 1000000;
+
+    if (nanoseconds === 0 && seconds >= 0 && seconds < 4294967296) {
+      writer.uint8(0xd6);
+      writer.uint8(0xff);
+      writer.uint32(seconds);
+    } else {
+      writer.uint8(0xc7);
+      writer.uint8(12);
+      writer.uint8(0xff);
+      writer.uint32(nanoseconds);
+      writer.int64(seconds);
+    }
+  },
+
+  /**
+   * Reads a value
+   * @param {CodecReader} reader - Input
+   * @returns {any} Value read
+   */
+  readValue(reader) {
+    const type = reader.uint8();
+
+    if (type < 0x80) return type;
+    if (type >= 0xe0) return type - 256;
+    if (type >= 0xa0 && type <= 0xbf) return reader.string(type & 0x1f);
+    if (type >= 0x90 && type <= 0x9f) return MessagePackCodec.readArray(reader, type & 0x0f);
+    if (type >= 0x80 && type <= 0x8f) return MessagePackCodec.readMap(reader, type & 0x0f);
+
+    switch (type) {
+      case 0xc0: return null;
+      case 0xc2: return false;
+      case 0xc3: return true;
+      case 0xc4: return reader.read(reader.uint8());
+      case 0xc5: return reader.read(reader.uint16());
+      case 0xc6: return reader.read(reader.uint32());
+      case 0xc7: return MessagePackCodec.readExtension(reader, reader.uint8());
+      case 0xc8: return MessagePackCodec.readExtension(reader, reader.uint16());
+      case 0xc9: return MessagePackCodec.readExtension(reader, reader.uint32());
+      case 0xca: return reader.float32();
+      case 0xcb: return reader.float64();
+      case 0xcc: return reader.uint8();
+      case 0xcd: return reader.uint16();
+      case 0xce: return reader.uint32();
+      case 0xcf: return reader.int64(false);
+      case 0xd0: return reader.int8();
+      case 0xd1: return reader.int16();
+      case 0xd2: return reader.int32();
+      case 0xd3: return reader.int64(true);
+      case 0xd4: return MessagePackCodec.readExtension(reader, 1);
+      case 0xd5: return MessagePackCodec.readExtension(reader, 2);
+      case 0xd6: return MessagePackCodec.readExtension(reader, 4);
+      case 0xd7: return MessagePackCodec.readExtension(reader, 8);
+      case 0xd8: return MessagePackCodec.readExtension(reader, 16);
+      case 0xd9: return reader.string(reader.uint8());
+      case 0xda: return reader.string(reader.uint16());
+      case 0xdb: return reader.string(reader.uint32());
+      case 0xdc: return MessagePackCodec.readArray(reader, reader.uint16());
+      case 0xdd: return MessagePackCodec.readArray(reader, reader.uint32());
+      case 0xde: return MessagePackCodec.readMap(reader, reader.uint16());
+      case 0xdf: return MessagePackCodec.readMap(reader, reader.uint32());
+      default:
+        throw new Error(`Invalid MessagePack type 0x${type.toString(16)}`);
+    }
+  },
+
+  /**
+   * Reads array items
+   * @param {CodecReader} reader - Input
+   * @param {number} length - Number of items
+   * @returns {Array} Items
+   */
+  readArray(reader, length) {
+    const items = [];
+    for (let i = 0; i < length; i++) {
+      items.push(MessagePackCodec.readValue(reader));
+    }
+    return items;
+  },
+
+  /**
+   * Reads map entries into an object
+   * @param {CodecReader} reader - Input
+   * @param {number} length - Number of entries
+   * @returns {Object} Object with the entries
+   */
+  readMap(reader, length) {
+    const object = {};
+    for (let i = 0; i < length; i++) {
+      const key = MessagePackCodec.readValue(reader);
+      object[String(key)] = MessagePackCodec.readValue(reader);
+    }
+    return object;
+  },
+
+  /**
+   * Reads an extension value
+   * @param {CodecReader} reader - Input
+   * @param {number} length - Length of the extension data
+   * @returns {Date|Object} Date for timestamps, otherwise { type, data }
+   */
+  readExtension(reader, length) {
+    const type = reader.int8();
+
+    if (type === -1) {
+      if (length === 4) {
+        return new Date(reader.uint32() * 1000);
+      }
+      if (length === 8) {
+        // 30 bits of nanoseconds followed by 34 bits of seconds
+        const high = reader.uint32();
+        const low = reader.uint32();
+        return new Date(((high & 0x3) * 4294967296 + low) * 1000 + Math.floor((high >>> 2) / 1000000));
+      }
+      if (length === 12) {
+        const nanoseconds = reader.uint32();
+        return new Date(Number(reader.int64(true)) * 1000 + Math.floor(nanoseconds / 1000000));
+      }
+    }
+
+    return { type, data: reader.read(length) };
+  }
+};
+
+/**
+ * Marks the end of an indefinite-length CBOR item
+ */
+const CBOR_BREAK = {};
+
+/**
+ * CBOR (RFC 8949) codec sending binary frames
+ * Dates are written as epoch-based date/time (tag 1) and read from tags 0 and 1; bignums
+ * (tags 2 and 3) decode to BigInt and other tags decode to their content.
+ */
+const CBORCodec = {
+  name: 'cbor',
+  binary: true,
+
+  /**
+   * Encodes a message
+   * @param {any} value - Message
+   * @returns {Uint8Array} Encoded message
+   */
+  encode(value) {
+    const writer = new CodecWriter();
+    CBORCodec.writeValue(writer, value);
+    return writer.toBytes();
+  },
+
+  /**
+   * Decodes a message
+   * @param {Uint8Array|ArrayBuffer} data - Received bytes
+   * @returns {any} Decoded message
+   */
+  decode(data) {
+    const value = CBORCodec.readValue(new CodecReader(data));
+    if (value === CBOR_BREAK) {
+      throw new Error('Unexpected CBOR break');
+    }
+    return value;
+  },
+
+  /**
+   * Writes a value
+   * @param {CodecWriter} writer - Output
+   * @param {any} value - Value to write
+   */
+  writeValue(writer, value) {
+    if (value === null || typeof value === 'function' || typeof value === 'symbol') {
+      writer.uint8(0xf6);
+    } else if (value === undefined) {
+      writer.uint8(0xf7);
+    } else if (typeof value === 'boolean') {
+      writer.uint8(value ? 0xf5 : 0xf4);
+    } else if (typeof value === 'number') {
+      if (Number.isSafeInteger(value)) {
+        CBORCodec.writeHeader(writer, value < 0 ? 1 : 0, value < 0 ? -1 - value : value);
+      } else if (Math.fround(value) === value || Number.isNaN(value)) {
+        writer.uint8(0xfa);
+        writer.float32(value);
+      } else {
+        writer.uint8(0xfb);
+        writer.float64(value);
+      }
+    } else if (typeof value === 'bigint') {
+      CBORCodec.writeBigInt(writer, value);
+    } else if (typeof value === 'string') {
+      const bytes = new TextEncoder().encode(value);
+      CBORCodec.writeHeader(writer, 3, bytes.length);
+      writer.write(bytes);
+    } else if (toCodecBytes(value)) {
+      const bytes = toCodecBytes(value);
+      CBORCodec.writeHeader(writer, 2, bytes.length);
+      writer.write(bytes);
+    } else if (value instanceof Date) {
+      CBORCodec.writeHeader(writer, 6, 1);
+      CBORCodec.writeValue(writer, value.getTime() / 1000);
+    } else if (Array.isArray(value)) {
+      CBORCodec.writeHeader(writer, 4, value.length);
+      value.forEach(item => CBORCodec.writeValue(writer, item));
+    } else {
+      // Like JSON, object properties that are undefined or functions are left out
+      const entries = value instanceof Map ? Array.from(value.entries()) :
+        Object.keys(value).filter(key => value[key] !== undefined && typeof value[key] !== 'function').map(key => [key, value[key]]);
+
+      CBORCodec.writeHeader(writer, 5, entries.length);
+      entries.forEach(([key, item]) => {
+        CBORCodec.writeValue(writer, key);
+        CBORCodec.writeValue(writer, item);
+      });
+    }
+  },
+
+  /**
+   * Writes the initial byte and argument of an item
+   * @param {CodecWriter} writer - Output
+   * @param {number} major - Major type (0-7)
+   * @param {number|bigint} argument - Length, count, tag or integer value
+   */
+  writeHeader(writer, major, argument) {
+    const type = major << 5;
+
+    if (argument < 24) {
+      writer.uint8(type | Number(argument));
+    } else if (argument < 256) {
+      writer.uint8(type | 24);
+      writer.uint8(Number(argument));
+    } else if (argument < 65536) {
+      writer.uint8(type | 25);
+      writer.uint16(Number(argument));
+    } else if (argument < 4294967296) {
+      writer.uint8(type | 26);
+      writer.uint32(Number(argument));
+    } else {
+      writer.uint8(type | 27);
+      writer.int64(typeof argument === 'bigint' ? BigInt.asIntN(64, argument) : argument);
+    }
+  },
+
+  /**
+   * Writes a BigInt as a 64-bit integer or, when larger, a bignum
+   * @param {CodecWriter} writer - Output
+   * @param {bigint} value - Value to write
+   */
+  writeBigInt(writer, value) {
+    const negative = value < 0;
+    const magnitude = negative ? -1n - value : value;
+
+    if (magnitude < 18446744073709551616n) {
+      CBORCodec.writeHeader(writer, negative ? 1 : 0, magnitude);
+      return;
+    }
+
+    let hex = magnitude.toString(16);
+    if (hex.length % 2) hex = `0${hex}`;
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+
+    CBORCodec.writeHeader(writer, 6, negative ? 3 : 2);
+    CBORCodec.writeHeader(writer, 2, bytes.length);
+    writer.write(bytes);
+  },
+
+  /**
+   * Reads the argument that follows an initial byte
+   * @param {CodecReader} reader - Input
+   * @param {number} info - Additional information bits of the initial byte
+   * @returns {number|bigint} Argument, or -1 for indefinite length
+   */
+  readArgument(reader, info) {
+    if (info < 24) return info;
+
+    switch (info) {
+      case 24: return reader.uint8();
+      case 25: return reader.uint16();
+      case 26: return reader.uint32();
+      case 27: return reader.int64(false);
+      case 31: return -1;
+      default:
+        throw new Error(`Invalid CBOR additional information ${info}`);
+    }
+  },
+
+  /**
+   * Reads a value
+   * @param {CodecReader} reader - Input
+   * @returns {any} Value read, or CBOR_BREAK at the end of an indefinite-length item
+   */
+  readValue(reader) {
+    const initial = reader.uint8();
+    if (initial === 0xff) return CBOR_BREAK;
+
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    if (major === 7) {
+      return CBORCodec.readSimple(reader, info);
+    }
+
+    const argument = CBORCodec.readArgument(reader, info);
+    if (argument === -1 && major < 2) {
+      throw new Error('Invalid indefinite-length CBOR integer');
+    }
+
+    switch (major) {
+      case 0:
+        return argument;
+      case 1:
+        return typeof argument === 'bigint' ? -1n - argument : -1 - argument;
+      case 2:
+      case 3:
+        return argument === -1 ?
+          CBORCodec.readChunks(reader, major) :
+          (major === 2 ? reader.read(Number(argument)) : reader.string(Number(argument)));
+      case 4: {
+        const items = [];
+        for (let i = 0; argument === -1 || i < argument; i++) {
+          const item = CBORCodec.readValue(reader);
+          if (item === CBOR_BREAK) {
+            if (argument === -1) break;
+            throw new Error('Unexpected CBOR break');
+          }
+          items.push(item);
+        }
+        return items;
+      }
+      case 5: {
+        const object = {};
+        for (let i = 0; argument === -1 || i < argument; i++) {
+          const key = CBORCodec.readValue(reader);
+          if (key === CBOR_BREAK) {
+            if (argument === -1) break;
+            throw new Error('Unexpected CBOR break');
+          }
+          object[String(key)] = CBORCodec.readValue(reader);
+        }
+        return object;
+      }
+      default:
+        return CBORCodec.readTag(reader, argument);
+    }
+  },
+
+  /**
+   * Reads the chunks of an indefinite-length byte or text string
+   * @param {CodecReader} reader - Input
+   * @param {number} major - 2 for bytes, 3 for text
+   * @returns {Uint8Array|string} Joined chunks
+   */
+  readChunks(reader, major) {
+    const chunks = [];
+
+    for (;;) {
+      const chunk = CBORCodec.readValue(reader);
+      if (chunk === CBOR_BREAK) break;
+      chunks.push(chunk);
+    }
+
+    if (major === 3) return chunks.join('');
+
+    const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return bytes;
+  },
+
+  /**
+   * Reads a tagged value
+   * @param {CodecReader} reader - Input
+   * @param {number} tag - Tag number
+   * @returns {any} Value read
+   */
+  readTag(reader, tag) {
+    const value = CBORCodec.readValue(reader);
+
+    switch (tag) {
+      case 0:
+      case 1:
+        return new Date(tag === 0 ? value : Number(value) * 1000);
+      case 2:
+      case 3: {
+        let magnitude = 0n;
+        value.forEach(byte => {
+          magnitude = (magnitude << 8n) | BigInt(byte);
+        });
+        return tag === 2 ? magnitude : -1n - magnitude;
+      }
+      default:
+        return value;
+    }
+  },
+
+  /**
+   * Reads a simple value or float
+   * @param {CodecReader} reader - Input
+   * @param {number} info - Additional information bits of the initial byte
+   * @returns {any} Value read
+   */
+  readSimple(reader, info) {
+    switch (info) {
+      case 20: return false;
+      case 21: return true;
+      case 22: return null;
+      case 23: return undefined;
+      case 24:
+        reader.uint8();
+        return undefined;
+      case 25: return reader.float16();
+      case 26: return reader.float32();
+      case 27: return reader.float64();
+      default:
+        if (info < 20) return undefined;
+        throw new Error(`Invalid CBOR simple value ${info}`);
+    }
+  }
+};
+
+/**
+ * Codecs available to WebSocketManager by name
+ * Further codecs can be added here; a codec is { binary, encode(value), decode(data) } where
+ * binary codecs produce and read Uint8Arrays and text codecs produce and read strings.
+ */
+const WebSocketCodecs = {
+  json: JSONCodec,
+  msgpack: MessagePackCodec,
+  cbor: CBORCodec
+};
+
+/**
+ * Base for the HTTP fallback transports
+ * Mirrors the parts of the WebSocket interface that WebSocketManager uses (readyState, send, close
+ * and the on* handlers). Every request carries the session id as `?sid=`, and messages are sent as
+ * `POST sendUrl?sid=<session>` with the frame as the body. Frames from the server are text.
+ */
+class HTTPTransport {
+  /**
+   * Creates a new HTTP transport
+   * @param {Object} urls - Endpoint URLs ({ send } plus the transport's receive URL)
+   * @param {Object} options - Configuration options
+   */
+  constructor(urls, options = {}) {
+    this.urls = urls;
+    this.options = {
+      pollingTimeout: 30000,
+      ...options
+    };
+
+    this.sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`;
+    this.readyState = 0; // Same values as WebSocket: 0 connecting, 1 open, 2 closing, 3 closed
+    this.binaryType = 'blob';
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+    this.sending = Promise.resolve();
+    this.abortController = new AbortController();
+  }
+
+  /**
+   * Adds the session id and other parameters to a URL
+   * @param {string} url - Endpoint URL
+   * @param {Object} params - Extra query parameters
+   * @returns {string} URL with the parameters
+   */
+  withSession(url, params = {}) {
+    const parsed = new URL(url, typeof location !== 'undefined' ? location.href : undefined);
+    parsed.searchParams.set('sid', this.sessionId);
+    Object.entries(params).forEach(([key, value]) => parsed.searchParams.set(key, value));
+    return parsed.toString();
+  }
+
+  /**
+   * Marks the transport as open
+   */
+  open() {
+    if (this.readyState !== 0) return;
+
+    this.readyState = 1;
+    if (this.onopen) this.onopen({ type: 'open', target: this });
+  }
+
+  /**
+   * Passes a received frame on
+   * @param {string} data - Frame contents
+   */
+  receive(data) {
+    if (this.readyState === 1 && this.onmessage) {
+      this.onmessage({ type: 'message', data, target: this });
+    }
+  }
+
+  /**
+   * Sends a frame
+   * Frames are posted one after another so the server receives them in order.
+   * @param {string|Uint8Array} data - Frame to send
+   */
+  send(data) {
+    if (this.readyState !== 1) {
+      throw new Error('Transport is not open');
+    }
+
+    // text/plain keeps cross-origin posts free of a CORS preflight
+    const headers = { 'Content-Type': typeof data === 'string' ? 'text/plain;charset=UTF-8' : 'application/octet-stream' };
+
+    this.sending = this.sending
+      .then(() => fetch(this.withSession(this.urls.send), {
+        method: 'POST',
+        body: data,
+        headers,
+        signal: this.abortController.signal
+      }))
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Send failed with status ${response.status}`);
+        }
+      })
+      .catch(error => this.fail(error));
+  }
+
+  /**
+   * Closes the transport after an error
+   * @param {Error} error - What went wrong
+   */
+  fail(error) {
+    if (this.readyState >= 2) return;
+
+    if (this.onerror) this.onerror({ type: 'error', error, target: this });
+    this.shutdown(false, 1006, error.message);
+  }
+
+  /**
+   * Closes the transport
+   * @param {number} code - Close code (optional)
+   * @param {string} reason - Close reason (optional)
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState >= 2) return;
+
+    this.shutdown(true, code, reason);
+  }
+
+  /**
+   * Stops all requests and reports the close
+   * @param {boolean} wasClean - Whether the close was requested
+   * @param {number} code - Close code
+   * @param {string} reason - Close reason
+   */
+  shutdown(wasClean, code, reason) {
+    this.readyState = 3;
+    this.abortController.abort();
+    this.stop();
+
+    if (this.onclose) this.onclose({ type: 'close', wasClean, code, reason, target: this });
+  }
+
+  /**
+   * Releases resources held by the transport
+   */
+  stop() {}
+}
+
+/**
+ * Server-Sent Events transport
+ * Receives frames as the data of `message` events from `GET sseUrl?sid=<session>`.
+ */
+class SSETransport extends HTTPTransport {
+  /**
+   * Creates a new SSE transport and starts connecting
+   * @param {Object} urls - Endpoint URLs ({ sse, send })
+   * @param {Object} options - Configuration options
+   */
+  constructor(urls, options = {}) {
+    super(urls, options);
+
+    this.source = new EventSource(this.withSession(this.urls.sse));
+    this.source.onopen = () => this.open();
+    this.source.onmessage = (event) => this.receive(event.data);
+    this.source.onerror = () => {
+      // EventSource would reconnect by itself, but the server has dropped the session by then,
+      // so the manager reconnects instead and restores subscriptions
+      this.fail(new Error('EventSource connection failed'));
+    };
+  }
+
+  /**
+   * Closes the event stream
+   */
+  stop() {
+    this.source.close();
+  }
+}
+
+/**
+ * HTTP long-polling transport
+ * Repeats `GET pollingUrl?sid=<session>`, which the server holds open until it has messages and
+ * answers with a JSON array of frames (or 204 when it has none). The first request also carries
+ * `handshake=1` and should be answered straight away.
+ */
+class LongPollingTransport extends HTTPTransport {
+  /**
+   * Creates a new long-polling transport and starts connecting
+   * @param {Object} urls - Endpoint URLs ({ polling, send })
+   * @param {Object} options - Configuration options
+   */
+  constructor(urls, options = {}) {
+    super(urls, options);
+
+    this.poll();
+  }
+
+  /**
+   * Polls until the transport closes
+   */
+  async poll() {
+    let handshake = true;
+
+    while (this.readyState < 2) {
+      const { signal } = this.abortController;
+      let timedOut = false;
+
+      // A poll the server never answers is retried rather than treated as a failure
+      const controller = new AbortController();
+      const abort = () => controller.abort();
+      signal.addEventListener('abort', abort);
+      const timeoutId = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, this.options.pollingTimeout);
+
+      try {
+        const response = await fetch(this.withSession(this.urls.polling, handshake ? { handshake: 1 } : {}), {
+          cache: 'no-store',
+          signal: controller.signal
+        });
+
+        if (!response.ok) {
+          throw new Error(`Polling failed with status ${response.status}`);
+        }
+
+        const text = response.status === 204 ? '' : await response.text();
+        const frames = text ? JSON.parse(text) : [];
+
+        if (handshake) {
+          handshake = false;
+          this.open();
+        }
+
+        frames.forEach(frame => this.receive(frame));
+      } catch (error) {
+        if (this.readyState >= 2) return;
+        if (!timedOut || handshake) {
+          this.fail(error);
+          return;
+        }
+      } finally {
+        clearTimeout(timeoutId);
+        signal.removeEventListener('abort', abort);
+      }
+    }
+  }
+}
+
 /**
  * Creates a new WebSocket manager instance
  * @param {string} url - WebSocket server URL
@@ -609,6 +2529,19 @@ const WebSocketUtils = {
     }
   },
 
+  /**
+   * Converts a WebSocket URL to the matching HTTP URL
+   * @param {string} url - WebSocket URL
+   * @param {string} path - Optional path to append
+   * @returns {string} HTTP URL
+   */
+  toHttpUrl(url, path = '') {
+    const parsed = new URL(WebSocketUtils.formatUrl(url));
+    parsed.protocol = parsed.protocol === 'wss:' ? 'https:' : 'http:';
+    parsed.pathname = parsed.pathname.replace(/\/$/, '') + path;
+    return parsed.toString();
+  },
+
   /**
    * Formats a WebSocket URL with proper protocol
    * @param {string} url - URL to format
@@ -650,11 +2583,17 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     WebSocketManager,
     createWebSocketManager,
-    WebSocketUtils
+    WebSocketUtils,
+    WebSocketCodecs,
+    SSETransport,
+    LongPollingTransport
   };
 }
 
 // Also make it available globally
 window.WebSocketManager = WebSocketManager;
 window.createWebSocketManager = createWebSocketManager;
-window.WebSocketUtils = WebSocketUtils;
\ No newline at end of file
+window.WebSocketUtils = WebSocketUtils;
+window.WebSocketCodecs = WebSocketCodecs;
+window.SSETransport = SSETransport;
+window.LongPollingTransport = LongPollingTransport;
\ No newline at end of file
@@ -1,1471 +1,1214 @@
 /**
- * String Utilities Module
- * Comprehensive string manipulation and utility functions
- * Compatible with jazer-brand.css styling for string-related utilities
+ * Color Utilities Module
+ * Color parsing, conversion, mixing, contrast and palette generation
+ * Compatible with jazer-brand.css styling for color-related utilities
+ *
+ * Colors are handled internally as sRGB objects ({ r, g, b, alpha } with
+ * channels in the 0-255 range). Channels are not clamped until the color is
+ * formatted, so wide-gamut values parsed from lab()/lch()/oklch() survive
+ * round trips through the other spaces.
  */
 
-class StringUtils {
+// sRGB <-> CIE XYZ (D65) matrices
+const SRGB_TO_XYZ = [
+  [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+  [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+  [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+];
+
+const XYZ_TO_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+
+// Bradford chromatic adaptation between D65 and D50 (CSS lab()/lch() use D50)
+const D65_TO_D50 = [
+  [1.0479298208405488, 0.022946793341019088, -0.05019222954313557],
+  [0.029627815688159344, 0.990434484573249, -0.01707382502938514],
+  [-0.009243058152591178, 0.015055144896577895, 0.7518742899580008]
+];
+
+const D50_TO_D65 = [
+  [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+  [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+  [0.012314001688319899, -0.020507696433477912, 1.3303659366080753]
+];
+
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+// CIE Lab constants
+const LAB_EPSILON = 216 / 24389;
+const LAB_KAPPA = 24389 / 27;
+
+// Maximum deltaEOK at which a clipped color is considered indistinguishable
+const GAMUT_JND = 0.02;
+
+const COLOR_FUNCTIONS = ['rgb', 'rgba', 'hsl', 'hsla', 'hwb', 'lab', 'lch', 'oklab', 'oklch'];
+
+const HUE_SPACES = ['hsl', 'hwb', 'lch', 'oklch'];
+
+class ColorUtils {
   /**
-   * Creates a new string utilities instance
+   * Creates a new color utilities instance
    * @param {Object} options - Configuration options
    */
   constructor(options = {}) {
     this.options = {
-      defaultLocale: 'en-US',
+      defaultFormat: 'hex',
+      mixSpace: 'oklab',
+      precision: 3,
       ...options
     };
   }
 
   /**
-   * Capitalizes the first letter of a string
-   * @param {string} str - String to capitalize
-   * @returns {string} Capitalized string
+   * Parses a CSS color string or color object into an sRGB color object
+   * Supports hex, rgb(), hsl(), hwb(), lab(), lch(), oklab(), oklch(),
+   * `transparent` and (in the browser) named colors
+   * @param {string|Object} input - Color string or { r, g, b, a|alpha } object
+   * @returns {Object|null} Color object { r, g, b, alpha } or null if invalid
    */
-  static capitalize(str) {
-    if (typeof str !== 'string') return '';
-    if (str.length === 0) return str;
-    return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
-  }
+  static parse(input) {
+    if (input && typeof input === 'object') {
+      if (['r', 'g', 'b'].every(key => typeof input[key] === 'number')) {
+        const alpha = input.alpha ?? input.a ?? 1;
+        return { r: input.r, g: input.g, b: input.b, alpha };
+      }
+      return null;
+    }
 
-  /**
-   * Capitalizes the first letter of each word in a string
-   * @param {string} str - String to capitalize
-   * @returns {string} Capitalized string
-   */
-  static capitalizeWords(str) {
-    if (typeof str !== 'string') return '';
-    return str.replace(/\b\w/g, (match) => match.toUpperCase());
-  }
+    if (typeof input !== 'string') return null;
 
-  /**
-   * Converts a string to camelCase
-   * @param {string} str - String to convert
-   * @returns {string} camelCase string
-   */
-  static toCamelCase(str) {
-    if (typeof str !== 'string' || str.length === 0) return '';
-    
-    return str
-      .replace(/(?:^\w|[A-Z]|\b\w)/g, (word, index) => {
-        return index === 0 ? word.toLowerCase() : word.toUpperCase();
-      })
-      .replace(/\s+/g, '');
+    const str = input.trim().toLowerCase();
+    if (str.length === 0) return null;
+
+    if (str === 'transparent') {
+      return { r: 0, g: 0, b: 0, alpha: 0 };
+    }
+
+    if (str.startsWith('#')) {
+      return this.parseHex(str);
+    }
+
+    const fnMatch = /^([a-z]+)\((.*)\)$/.exec(str);
+    if (fnMatch && COLOR_FUNCTIONS.includes(fnMatch[1])) {
+      return this.parseFunction(fnMatch[1], fnMatch[2]);
+    }
+
+    return this.parseNamed(str);
   }
 
   /**
-   * Converts a string to PascalCase
-   * @param {string} str - String to convert
-   * @returns {string} PascalCase string
+   * Parses a hex color string (#rgb, #rgba, #rrggbb or #rrggbbaa)
+   * @param {string} hex - Hex color string
+   * @returns {Object|null} Color object or null if invalid
    */
-  static toPascalCase(str) {
-    if (typeof str !== 'string' || str.length === 0) return '';
-    
-    return str
-      .replace(/(?:^\w|[A-Z]|\b\w)/g, (word) => {
-        return word.toUpperCase();
-      })
-      .replace(/\s+/g, '');
+  static parseHex(hex) {
+    let value = hex.replace(/^#/, '');
+    if (!/^[0-9a-f]+$/i.test(value) || ![3, 4, 6, 8].includes(value.length)) {
+      return null;
+    }
+
+    if (value.length <= 4) {
+      value = value.split('').map(char => char + char).join('');
+    }
+
+    return {
+      r: parseInt(value.slice(0, 2), 16),
+      g: parseInt(value.slice(2, 4), 16),
+      b: parseInt(value.slice(4, 6), 16),
+      alpha: value.length === 8 ? parseInt(value.slice(6, 8), 16) / 255 : 1
+    };
   }
 
   /**
-   * Converts a string to kebab-case
-   * @param {string} str - String to convert
-   * @returns {string} kebab-case string
+   * Parses the arguments of a CSS color function
+   * @param {string} name - Function name (e.g. 'rgb', 'oklch')
+   * @param {string} args - Raw argument string
+   * @returns {Object|null} Color object or null if invalid
    */
-  static toKebabCase(str) {
-    if (typeof str !== 'string' || str.length === 0) return '';
-    
-    return str
-      .replace(/([a-z])([A-Z])/g, '$1-$2')
-      .replace(/\s+/g, '-')
-      .replace(/[^a-zA-Z0-9-]/g, '-')
-      .toLowerCase()
-      .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
+  static parseFunction(name, args) {
+    let channels;
+    let alphaToken;
+
+    if (args.includes(',')) {
+      // Legacy comma syntax: rgb(255, 0, 0, 0.5)
+      channels = args.split(',').map(part => part.trim());
+      if (channels.length === 4) {
+        alphaToken = channels.pop();
+      }
+    } else {
+      // Modern space syntax: rgb(255 0 0 / 50%)
+      const [main, alpha] = args.split('/');
+      channels = main.trim().split(/\s+/);
+      alphaToken = alpha !== undefined ? alpha.trim() : undefined;
+    }
+
+    if (channels.length !== 3 || channels.some(token => token === '')) return null;
+
+    const alpha = alphaToken === undefined ? 1 : this.parseNumber(alphaToken, 1);
+    if (alpha === null) return null;
+
+    const space = name.replace(/a$/, '');
+    let coords;
+
+    switch (space) {
+      case 'rgb':
+        coords = channels.map(token => this.parseNumber(token, 255));
+        if (coords.includes(null)) return null;
+        return { r: coords[0], g: coords[1], b: coords[2], alpha: this.clamp(alpha, 0, 1) };
+      case 'hsl':
+      case 'hwb':
+        coords = [this.parseHue(channels[0]), this.parseNumber(channels[1], 100, true), this.parseNumber(channels[2], 100, true)];
+        break;
+      case 'lab':
+        coords = [this.parseNumber(channels[0], 100), this.parseNumber(channels[1], 125), this.parseNumber(channels[2], 125)];
+        break;
+      case 'lch':
+        coords = [this.parseNumber(channels[0], 100), this.parseNumber(channels[1], 150), this.parseHue(channels[2])];
+        break;
+      case 'oklab':
+        coords = [this.parseNumber(channels[0], 1), this.parseNumber(channels[1], 0.4), this.parseNumber(channels[2], 0.4)];
+        break;
+      case 'oklch':
+        coords = [this.parseNumber(channels[0], 1), this.parseNumber(channels[1], 0.4), this.parseHue(channels[2])];
+        break;
+      default:
+        return null;
+    }
+
+    if (coords.includes(null)) return null;
+
+    const keys = this.getSpaceKeys(space);
+    const color = { alpha: this.clamp(alpha, 0, 1) };
+    keys.forEach((key, index) => {
+      color[key] = coords[index];
+    });
+
+    return this.from(space, color);
   }
 
   /**
-   * Converts a string to snake_case
-   * @param {string} str - String to convert
-   * @returns {string} snake_case string
+   * Parses a numeric color channel, resolving percentages against a reference range
+   * @param {string} token - Channel token (e.g. '50%', '0.4', 'none')
+   * @param {number} percentScale - Value that 100% maps to
+   * @param {boolean} percentAsNumber - Whether a bare number is already in percent units
+   * @returns {number|null} Parsed value or null if invalid
    */
-  static toSnakeCase(str) {
-    if (typeof str !== 'string' || str.length === 0) return '';
-    
-    return str
-      .replace(/([a-z])([A-Z])/g, '$1_$2')
-      .replace(/\s+/g, '_')
-      .replace(/[^a-zA-Z0-9_]/g, '_')
-      .toLowerCase()
-      .replace(/^_+|_+$/g, ''); // Remove leading/trailing underscores
+  static parseNumber(token, percentScale, percentAsNumber = false) {
+    if (token === 'none') return 0;
+
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%?)$/.exec(token);
+    if (!match) return null;
+
+    const value = parseFloat(match[1]);
+    if (match[2] === '%') {
+      return percentAsNumber ? value : (value / 100) * percentScale;
+    }
+    return value;
   }
 
   /**
-   * Trims whitespace from both ends of a string and normalizes internal whitespace
-   * @param {string} str - String to trim and normalize
-   * @returns {string} Trimmed and normalized string
+   * Parses a CSS hue token (deg, rad, grad, turn or unitless degrees)
+   * @param {string} token - Hue token
+   * @returns {number|null} Hue in degrees [0, 360) or null if invalid
    */
-  static normalizeWhitespace(str) {
-    if (typeof str !== 'string') return str;
-    return str.replace(/\s+/g, ' ').trim();
+  static parseHue(token) {
+    if (token === 'none') return 0;
+
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|rad|grad|turn)?$/.exec(token);
+    if (!match) return null;
+
+    const value = parseFloat(match[1]);
+    const factors = { deg: 1, rad: 180 / Math.PI, grad: 0.9, turn: 360 };
+    return this.normalizeHue(value * (factors[match[2]] || 1));
   }
 
   /**
-   * Truncates a string to a specified length
-   * @param {string} str - String to truncate
-   * @param {number} length - Maximum length of the string
-   * @param {string} suffix - Suffix to add if truncated (default: '...')
-   * @returns {string} Truncated string
+   * Resolves a named CSS color through the browser's computed styles
+   * @param {string} name - Color keyword
+   * @returns {Object|null} Color object or null if unresolved
    */
-  static truncate(str, length, suffix = '...') {
-    if (typeof str !== 'string' || str.length <= length) return str;
-    
-    // Find the last space within the limit to avoid cutting words
-    const truncated = str.substring(0, length - suffix.length);
-    const lastSpaceIndex = truncated.lastIndexOf(' ');
-    
-    if (lastSpaceIndex > 0) {
-      return truncated.substring(0, lastSpaceIndex) + suffix;
+  static parseNamed(name) {
+    if (typeof document === 'undefined' || !document.body || !/^[a-z]+$/.test(name)) {
+      return null;
     }
-    
-    return truncated + suffix;
+
+    const probe = document.createElement('div');
+    probe.style.color = name;
+    if (!probe.style.color) return null;
+
+    probe.style.display = 'none';
+    document.body.appendChild(probe);
+    const computed = window.getComputedStyle(probe).color;
+    document.body.removeChild(probe);
+
+    const match = /^rgba?\((.*)\)$/.exec(computed);
+    return match ? this.parseFunction('rgb', match[1]) : null;
   }
 
   /**
-   * Converts a string to title case following specific rules
-   * @param {string} str - String to convert to title case
-   * @param {Array} minorWords - Array of words to keep lowercase (except first and last)
-   * @returns {string} Title-cased string
+   * Checks whether a value can be parsed as a color
+   * @param {string|Object} input - Color to validate
+   * @returns {boolean} Whether the color is valid
    */
-  static toTitleCase(str, minorWords = ['a', 'an', 'and', 'as', 'at', 'but', 'by', 'for', 'if', 'in', 'nor', 'of', 'on', 'or', 'so', 'the', 'to', 'up', 'yet']) {
-    if (typeof str !== 'string' || str.length === 0) return '';
-    
-    const words = str.toLowerCase().split(' ');
-    const result = [];
-    
-    for (let i = 0; i < words.length; i++) {
-      const word = words[i];
-      
-      // Always capitalize first and last words, and major words
-      if (i === 0 || i === words.length - 1 || !minorWords.includes(word)) {
-        result.push(this.capitalize(word));
-      } else {
-        result.push(word);
-      }
-    }
-    
-    return result.join(' ');
+  static isValid(input) {
+    return this.parse(input) !== null;
   }
 
   /**
-   * Removes extra whitespace from a string
-   * @param {string} str - String to clean
-   * @returns {string} String with extra whitespace removed
+   * Returns the coordinate keys used by a color space
+   * @param {string} space - Color space name
+   * @returns {Array<string>} Coordinate keys
    */
-  static removeExtraWhitespace(str) {
-    if (typeof str !== 'string') return str;
-    return str.replace(/\s+/g, ' ').trim();
+  static getSpaceKeys(space) {
+    const keys = {
+      rgb: ['r', 'g', 'b'],
+      hsl: ['h', 's', 'l'],
+      hwb: ['h', 'w', 'b'],
+      lab: ['l', 'a', 'b'],
+      lch: ['l', 'c', 'h'],
+      oklab: ['l', 'a', 'b'],
+      oklch: ['l', 'c', 'h'],
+      'srgb-linear': ['r', 'g', 'b']
+    };
+
+    if (!keys[space]) {
+      throw new Error(`Unknown color space: ${space}`);
+    }
+    return keys[space];
+  }
+
+  /**
+   * Converts a color to the given color space
+   * @param {string|Object} input - Color to convert
+   * @param {string} space - Target space ('rgb', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch', 'srgb-linear')
+   * @returns {Object|null} Color coordinates in the target space, including alpha
+   */
+  static convert(input, space) {
+    const color = this.parse(input);
+    if (!color) return null;
+
+    switch (space) {
+      case 'rgb': return { ...color };
+      case 'srgb-linear': return this.toLinearRgb(color);
+      case 'hsl': return this.toHsl(color);
+      case 'hwb': return this.toHwb(color);
+      case 'lab': return this.toLab(color);
+      case 'lch': return this.toLch(color);
+      case 'oklab': return this.toOklab(color);
+      case 'oklch': return this.toOklch(color);
+      default:
+        throw new Error(`Unknown color space: ${space}`);
+    }
   }
 
   /**
-   * Removes all non-alphanumeric characters from a string (except spaces)
-   * @param {string} str - String to clean
-   * @param {Object} options - Cleaning options
-   * @returns {string} Cleaned string
+   * Creates an sRGB color object from coordinates in another color space
+   * @param {string} space - Source color space
+   * @param {Object} coords - Coordinates keyed as returned by convert()
+   * @returns {Object} Color object { r, g, b, alpha }
    */
-  static removeNonAlphanumeric(str, options = {}) {
-    if (typeof str !== 'string') return str;
-    
-    const {
-      includeSpaces = true,
-      includeHyphens = false,
-      includeUnderscores = false,
-      customPattern = null
-    } = options;
-    
-    if (customPattern) {
-      return str.replace(new RegExp(customPattern, 'g'), '');
+  static from(space, coords) {
+    const alpha = coords.alpha ?? 1;
+
+    switch (space) {
+      case 'rgb':
+        return { r: coords.r, g: coords.g, b: coords.b, alpha };
+      case 'srgb-linear':
+        return {
+          r: this.linearToSrgb(coords.r) * 255,
+          g: this.linearToSrgb(coords.g) * 255,
+          b: this.linearToSrgb(coords.b) * 255,
+          alpha
+        };
+      case 'hsl':
+        return { ...this.hslToRgb(coords.h, coords.s, coords.l), alpha };
+      case 'hwb':
+        return { ...this.hwbToRgb(coords.h, coords.w, coords.b), alpha };
+      case 'lab':
+        return { ...this.xyzToRgb(this.multiply(D50_TO_D65, this.labToXyzD50(coords))), alpha };
+      case 'lch':
+        return this.from('lab', this.polarToRectangular(coords));
+      case 'oklab':
+        return { ...this.oklabToRgb(coords), alpha };
+      case 'oklch':
+        return this.from('oklab', this.polarToRectangular(coords));
+      default:
+        throw new Error(`Unknown color space: ${space}`);
     }
-    
-    let pattern = '[^a-zA-Z0-9';
-    if (includeSpaces) pattern += '\\s';
-    if (includeHyphens) pattern += '-';
-    if (includeUnderscores) pattern += '_';
-    pattern += ']';
-    
-    return str.replace(new RegExp(pattern, 'g'), '');
   }
 
   /**
-   * Counts the number of words in a string
-   * @param {string} str - String to count words in
-   * @returns {number} Number of words
+   * Applies the sRGB transfer function inverse (gamma decode)
+   * @param {number} value - Gamma-encoded channel (0-1)
+   * @returns {number} Linear-light channel
    */
-  static wordCount(str) {
-    if (typeof str !== 'string') return 0;
-    const words = str.trim().match(/\b\w+\b/g);
-    return words ? words.length : 0;
+  static srgbToLinear(value) {
+    const abs = Math.abs(value);
+    if (abs <= 0.04045) return value / 12.92;
+    return Math.sign(value) * Math.pow((abs + 0.055) / 1.055, 2.4);
   }
 
   /**
-   * Counts the number of characters in a string (excluding whitespace)
-   * @param {string} str - String to count characters in
-   * @returns {number} Number of characters
+   * Applies the sRGB transfer function (gamma encode)
+   * @param {number} value - Linear-light channel
+   * @returns {number} Gamma-encoded channel (0-1)
    */
-  static charCount(str) {
-    if (typeof str !== 'string') return 0;
-    return str.replace(/\s/g, '').length;
+  static linearToSrgb(value) {
+    const abs = Math.abs(value);
+    if (abs <= 0.0031308) return value * 12.92;
+    return Math.sign(value) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
   }
 
   /**
-   * Counts the number of sentences in a string
-   * @param {string} str - String to count sentences in
-   * @returns {number} Number of sentences
+   * Converts a color to linear-light sRGB
+   * @param {Object} color - Color object
+   * @returns {Object} Linear sRGB { r, g, b, alpha } with channels in 0-1
    */
-  static sentenceCount(str) {
-    if (typeof str !== 'string') return 0;
-    const sentences = str.match(/[.!?]+/g);
-    return sentences ? sentences.length : 0;
+  static toLinearRgb(color) {
+    return {
+      r: this.srgbToLinear(color.r / 255),
+      g: this.srgbToLinear(color.g / 255),
+      b: this.srgbToLinear(color.b / 255),
+      alpha: color.alpha
+    };
   }
 
   /**
-   * Checks if a string contains another string (case-insensitive)
-   * @param {string} str - String to search in
-   * @param {string} searchStr - String to search for
-   * @param {boolean} caseSensitive - Whether to perform case-sensitive search (default: false)
-   * @returns {boolean} Whether the string contains the search string
+   * Converts an sRGB color to HSL
+   * @param {Object} color - Color object
+   * @returns {Object} HSL { h, s, l, alpha } with s and l in 0-100
    */
-  static contains(str, searchStr, caseSensitive = false) {
-    if (typeof str !== 'string' || typeof searchStr !== 'string') return false;
-    
-    return caseSensitive ? 
-      str.includes(searchStr) : 
-      str.toLowerCase().includes(searchStr.toLowerCase());
+  static toHsl(color) {
+    const r = color.r / 255;
+    const g = color.g / 255;
+    const b = color.b / 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const delta = max - min;
+    const l = (max + min) / 2;
+
+    let h = 0;
+    let s = 0;
+
+    if (delta !== 0) {
+      s = l === 0 || l === 1 ? 0 : (max - l) / Math.min(l, 1 - l);
+
+      switch (max) {
+        case r: h = (g - b) / delta + (g < b ? 6 : 0); break;
+        case g: h = (b - r) / delta + 2; break;
+        default: h = (r - g) / delta + 4; break;
+      }
+      h *= 60;
+    }
+
+    return { h: this.normalizeHue(h), s: s * 100, l: l * 100, alpha: color.alpha };
   }
 
   /**
-   * Checks if a string starts with another string
-   * @param {string} str - String to check
-   * @param {string} prefix - Prefix to check for
-   * @param {boolean} caseSensitive - Whether to perform case-sensitive check (default: false)
-   * @returns {boolean} Whether the string starts with the prefix
+   * Converts HSL to sRGB
+   * @param {number} h - Hue (degrees)
+   * @param {number} s - Saturation (0-100)
+   * @param {number} l - Lightness (0-100)
+   * @returns {Object} RGB { r, g, b } in 0-255
    */
-  static startsWith(str, prefix, caseSensitive = false) {
-    if (typeof str !== 'string' || typeof prefix !== 'string') return false;
-    
-    return caseSensitive ? 
-      str.startsWith(prefix) : 
-      str.toLowerCase().startsWith(prefix.toLowerCase());
+  static hslToRgb(h, s, l) {
+    const sat = s / 100;
+    const light = l / 100;
+    const hue = this.normalizeHue(h);
+
+    const channel = (n) => {
+      const k = (n + hue / 30) % 12;
+      const a = sat * Math.min(light, 1 - light);
+      return (light - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255;
+    };
+
+    return { r: channel(0), g: channel(8), b: channel(4) };
   }
 
   /**
-   * Checks if a string ends with another string
-   * @param {string} str - String to check
-   * @param {string} suffix - Suffix to check for
-   * @param {boolean} caseSensitive - Whether to perform case-sensitive check (default: false)
-   * @returns {boolean} Whether the string ends with the suffix
+   * Converts an sRGB color to HWB
+   * @param {Object} color - Color object
+   * @returns {Object} HWB { h, w, b, alpha } with w and b in 0-100
    */
-  static endsWith(str, suffix, caseSensitive = false) {
-    if (typeof str !== 'string' || typeof suffix !== 'string') return false;
-    
-    return caseSensitive ? 
-      str.endsWith(suffix) : 
-      str.toLowerCase().endsWith(suffix.toLowerCase());
+  static toHwb(color) {
+    const { h } = this.toHsl(color);
+    const white = Math.min(color.r, color.g, color.b) / 255;
+    const black = 1 - Math.max(color.r, color.g, color.b) / 255;
+
+    return { h, w: white * 100, b: black * 100, alpha: color.alpha };
   }
 
   /**
-   * Replaces all occurrences of a substring with another substring
-   * @param {string} str - String to perform replacement in
-   * @param {string|RegExp} searchValue - Value or pattern to search for
-   * @param {string|Function} replaceValue - Value or function to replace with
-   * @returns {string} String with replacements made
+   * Converts HWB to sRGB
+   * @param {number} h - Hue (degrees)
+   * @param {number} w - Whiteness (0-100)
+   * @param {number} b - Blackness (0-100)
+   * @returns {Object} RGB { r, g, b } in 0-255
    */
-  static replaceAll(str, searchValue, replaceValue) {
-    if (typeof str !== 'string') return str;
-    
-    if (searchValue instanceof RegExp) {
-      // If it's a regex, we need to ensure it has the global flag
-      const flags = searchValue.flags.includes('g') ? searchValue.flags : searchValue.flags + 'g';
-      const globalRegex = new RegExp(searchValue.source, flags);
-      return str.replace(globalRegex, replaceValue);
-    } else {
-      // For string, we need to escape special characters and use global regex
-      const escapedSearch = searchValue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      const globalRegex = new RegExp(escapedSearch, 'g');
-      return str.replace(globalRegex, replaceValue);
+  static hwbToRgb(h, w, b) {
+    const white = w / 100;
+    const black = b / 100;
+
+    if (white + black >= 1) {
+      const gray = (white / (white + black)) * 255;
+      return { r: gray, g: gray, b: gray };
     }
-  }
 
-  /**
-   * Removes HTML tags from a string
-   * @param {string} str - String to remove HTML tags from
-   * @returns {string} String without HTML tags
-   */
-  static stripHtml(str) {
-    if (typeof str !== 'string') return str;
-    return str.replace(/<[^>]*>/g, '');
-  }
+    const base = this.hslToRgb(h, 100, 50);
+    const scale = 1 - white - black;
 
-  /**
-   * Escapes HTML entities in a string
-   * @param {string} str - String to escape
-   * @returns {string} String with HTML entities escaped
-   */
-  static escapeHtml(str) {
-    if (typeof str !== 'string') return str;
-    return str
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#x27;');
+    return {
+      r: (base.r / 255 * scale + white) * 255,
+      g: (base.g / 255 * scale + white) * 255,
+      b: (base.b / 255 * scale + white) * 255
+    };
   }
 
   /**
-   * Unescapes HTML entities in a string
-   * @param {string} str - String to unescape
-   * @returns {string} String with HTML entities unescaped
+   * Converts an sRGB color to CIE XYZ (D65)
+   * @param {Object} color - Color object
+   * @returns {Array<number>} XYZ coordinates
    */
-  static unescapeHtml(str) {
-    if (typeof str !== 'string') return str;
-    return str
-      .replace(/&amp;/g, '&')
-      .replace(/&lt;/g, '<')
-      .replace(/&gt;/g, '>')
-      .replace(/&quot;/g, '"')
-      .replace(/&#x27;/g, "'");
+  static rgbToXyz(color) {
+    const linear = this.toLinearRgb(color);
+    return this.multiply(SRGB_TO_XYZ, [linear.r, linear.g, linear.b]);
   }
 
   /**
-   * Generates a random string of specified length
-   * @param {number} length - Length of the random string
-   * @param {string} characters - Characters to use (default: alphanumeric)
-   * @returns {string} Random string
+   * Converts CIE XYZ (D65) to sRGB
+   * @param {Array<number>} xyz - XYZ coordinates
+   * @returns {Object} RGB { r, g, b } in 0-255 (unclamped)
    */
-  static randomString(length, characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789') {
-    if (typeof length !== 'number' || length <= 0) return '';
-    
-    let result = '';
-    for (let i = 0; i < length; i++) {
-      result += characters.charAt(Math.floor(Math.random() * characters.length));
-    }
-    return result;
+  static xyzToRgb(xyz) {
+    const [r, g, b] = this.multiply(XYZ_TO_SRGB, xyz);
+    return {
+      r: this.linearToSrgb(r) * 255,
+      g: this.linearToSrgb(g) * 255,
+      b: this.linearToSrgb(b) * 255
+    };
   }
 
   /**
-   * Generates a random UUID (Version 4)
-   * @returns {string} Random UUID
+   * Converts an sRGB color to CIE Lab (D50, as used by CSS lab())
+   * @param {Object} color - Color object
+   * @returns {Object} Lab { l, a, b, alpha }
    */
-  static generateUUID() {
-    // Check if crypto is available for better randomness
-    if (typeof window !== 'undefined' && window.crypto && window.crypto.getRandomValues) {
-      const array = new Uint8Array(16);
-      crypto.getRandomValues(array);
-      
-      // Set version and variant bits
-      array[6] = (array[6] & 0x0f) | 0x40; // Version 4
-      array[8] = (array[8] & 0x3f) | 0x80; // Variant 10xx
-      
-      // Format as UUID string
-      const hex = Array.from(array).map(b => b.toString(16).padStart(2, '0')).join('');
-      return [
-        hex.slice(0, 8),
-        hex.slice(8, 12), 
-        hex.slice(12, 16),
-        hex.slice(16, 20),
-        hex.slice(20, 32)
-      ].join('-');
-    }
-    
-    // Fallback implementation
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
-      const r = Math.random() * 16 | 0;
-      const v = c === 'x' ? r : (r & 0x3 | 0x8);
-      return v.toString(16);
+  static toLab(color) {
+    const xyz = this.multiply(D65_TO_D50, this.rgbToXyz(color));
+    const [fx, fy, fz] = xyz.map((value, index) => {
+      const scaled = value / D50_WHITE[index];
+      return scaled > LAB_EPSILON ? Math.cbrt(scaled) : (LAB_KAPPA * scaled + 16) / 116;
     });
+
+    return {
+      l: 116 * fy - 16,
+      a: 500 * (fx - fy),
+      b: 200 * (fy - fz),
+      alpha: color.alpha
+    };
   }
 
   /**
-   * Creates a slug from a string (URL-friendly)
-   * @param {string} str - String to convert to slug
-   * @param {Object} options - Slug options
-   * @returns {string} Slug string
+   * Converts CIE Lab (D50) to XYZ (D50)
+   * @param {Object} lab - Lab { l, a, b }
+   * @returns {Array<number>} XYZ coordinates
    */
-  static createSlug(str, options = {}) {
-    if (typeof str !== 'string') return '';
-    
-    const {
-      separator = '-',
-      lowercase = true,
-      strict = true
-    } = options;
-    
-    let slug = str;
-    
-    // Replace spaces with separator
-    slug = slug.replace(/\s+/g, separator);
-    
-    // Replace special characters with separator
-    if (strict) {
-      slug = slug.replace(/[^\w\s-]/g, separator);
-    }
-    
-    // Remove multiple consecutive separators
-    const separatorRegex = new RegExp(`${separator}+`, 'g');
-    slug = slug.replace(separatorRegex, separator);
-    
-    // Remove leading/trailing separators
-    slug = slug.replace(new RegExp(`^${separator}|${separator}$`, 'g'), '');
-    
-    // Convert to lowercase if requested
-    if (lowercase) {
-      slug = slug.toLowerCase();
-    }
-    
-    return slug;
+  static labToXyzD50(lab) {
+    const fy = (lab.l + 16) / 116;
+    const fx = lab.a / 500 + fy;
+    const fz = fy - lab.b / 200;
+
+    const x = Math.pow(fx, 3) > LAB_EPSILON ? Math.pow(fx, 3) : (116 * fx - 16) / LAB_KAPPA;
+    const y = lab.l > LAB_KAPPA * LAB_EPSILON ? Math.pow(fy, 3) : lab.l / LAB_KAPPA;
+    const z = Math.pow(fz, 3) > LAB_EPSILON ? Math.pow(fz, 3) : (116 * fz - 16) / LAB_KAPPA;
+
+    return [x * D50_WHITE[0], y * D50_WHITE[1], z * D50_WHITE[2]];
   }
 
   /**
-   * Inserts a substring into a string at a specified position
-   * @param {string} str - Original string
-   * @param {string} insertStr - String to insert
-   * @param {number} position - Position to insert at
-   * @returns {string} String with inserted substring
+   * Converts an sRGB color to CIE LCH (D50)
+   * @param {Object} color - Color object
+   * @returns {Object} LCH { l, c, h, alpha }
    */
-  static insert(str, insertStr, position) {
-    if (typeof str !== 'string') return str;
-    if (typeof insertStr !== 'string') return str;
-    if (typeof position !== 'number' || position < 0) position = 0;
-    if (position > str.length) position = str.length;
-    
-    return str.slice(0, position) + insertStr + str.slice(position);
+  static toLch(color) {
+    return this.rectangularToPolar(this.toLab(color));
   }
 
   /**
-   * Reverses a string
-   * @param {string} str - String to reverse
-   * @returns {string} Reversed string
+   * Converts an sRGB color to OKLab
+   * @param {Object} color - Color object
+   * @returns {Object} OKLab { l, a, b, alpha } with l in 0-1
    */
-  static reverse(str) {
-    if (typeof str !== 'string') return str;
-    return str.split('').reverse().join('');
+  static toOklab(color) {
+    const { r, g, b } = this.toLinearRgb(color);
+
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+    return {
+      l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+      a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+      b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+      alpha: color.alpha
+    };
   }
 
   /**
-   * Pads a string on both sides to a specified length with a padding character
-   * @param {string} str - String to pad
-   * @param {number} length - Target length
-   * @param {string} padChar - Character to pad with (default: ' ')
-   * @returns {string} Padded string
+   * Converts OKLab to sRGB
+   * @param {Object} lab - OKLab { l, a, b }
+   * @returns {Object} RGB { r, g, b } in 0-255 (unclamped)
    */
-  static pad(str, length, padChar = ' ') {
-    if (typeof str !== 'string') return str;
-    if (typeof length !== 'number' || length <= str.length) return str;
-    
-    const padLength = length - str.length;
-    const padStart = Math.floor(padLength / 2);
-    const padEnd = padLength - padStart;
-    
-    return padChar.repeat(padStart) + str + padChar.repeat(padEnd);
+  static oklabToRgb(lab) {
+    const l = Math.pow(lab.l + 0.3963377774 * lab.a + 0.2158037573 * lab.b, 3);
+    const m = Math.pow(lab.l - 0.1055613458 * lab.a - 0.0638541728 * lab.b, 3);
+    const s = Math.pow(lab.l - 0.0894841775 * lab.a - 1.2914855480 * lab.b, 3);
+
+    return {
+      r: this.linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s) * 255,
+      g: this.linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s) * 255,
+      b: this.linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s) * 255
+    };
   }
 
   /**
-   * Pads a string on the left to a specified length with a padding character
-   * @param {string} str - String to pad
-   * @param {number} length - Target length
-   * @param {string} padChar - Character to pad with (default: ' ')
-   * @returns {string} Left-padded string
+   * Converts an sRGB color to OKLCH
+   * @param {Object} color - Color object
+   * @returns {Object} OKLCH { l, c, h, alpha }
    */
-  static padStart(str, length, padChar = ' ') {
-    if (typeof str !== 'string') return str;
-    if (typeof length !== 'number' || length <= str.length) return str;
-    
-    const padLength = length - str.length;
-    return padChar.repeat(padLength) + str;
+  static toOklch(color) {
+    return this.rectangularToPolar(this.toOklab(color));
   }
 
   /**
-   * Pads a string on the right to a specified length with a padding character
-   * @param {string} str - String to pad
-   * @param {number} length - Target length
-   * @param {string} padChar - Character to pad with (default: ' ')
-   * @returns {string} Right-padded string
+   * Converts Lab-like { l, a, b } coordinates to polar { l, c, h }
+   * @param {Object} lab - Rectangular coordinates
+   * @returns {Object} Polar coordinates
    */
-  static padEnd(str, length, padChar = ' ') {
-    if (typeof str !== 'string') return str;
-    if (typeof length !== 'number' || length <= str.length) return str;
-    
-    const padLength = length - str.length;
-    return str + padChar.repeat(padLength);
+  static rectangularToPolar(lab) {
+    const c = Math.sqrt(lab.a * lab.a + lab.b * lab.b);
+    // Treat near-zero chroma as achromatic so grays report a stable hue
+    const h = c < 1e-4 ? 0 : this.normalizeHue(Math.atan2(lab.b, lab.a) * 180 / Math.PI);
+    return { l: lab.l, c, h, alpha: lab.alpha };
   }
 
   /**
-   * Counts occurrences of a substring within a string
-   * @param {string} str - String to search in
-   * @param {string|RegExp} searchStr - String or regex to count
-   * @param {boolean} caseSensitive - Whether to perform case-sensitive search (default: true)
-   * @returns {number} Number of occurrences
+   * Converts polar { l, c, h } coordinates to Lab-like { l, a, b }
+   * @param {Object} lch - Polar coordinates
+   * @returns {Object} Rectangular coordinates
    */
-  static countOccurrences(str, searchStr, caseSensitive = true) {
-    if (typeof str !== 'string') return 0;
-    if (typeof searchStr === 'string') {
-      const flags = caseSensitive ? 'g' : 'gi';
-      const regex = new RegExp(searchStr.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
-      const matches = str.match(regex);
-      return matches ? matches.length : 0;
-    } else if (searchStr instanceof RegExp) {
-      const matches = str.match(searchStr);
-      return matches ? matches.length : 0;
-    }
-    return 0;
+  static polarToRectangular(lch) {
+    const radians = lch.h * Math.PI / 180;
+    return {
+      l: lch.l,
+      a: lch.c * Math.cos(radians),
+      b: lch.c * Math.sin(radians),
+      alpha: lch.alpha
+    };
   }
 
   /**
-   * Checks if a string is a valid email address
-   * @param {string} str - String to validate
-   * @returns {boolean} Whether the string is a valid email
+   * Checks whether a color lies inside the sRGB gamut
+   * @param {string|Object} input - Color to check
+   * @returns {boolean} Whether every channel is within 0-255
    */
-  static isEmail(str) {
-    if (typeof str !== 'string') return false;
-    
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(str);
+  static inGamut(input) {
+    const color = this.parse(input);
+    if (!color) return false;
+
+    const epsilon = 0.01;
+    return ['r', 'g', 'b'].every(key => color[key] >= -epsilon && color[key] <= 255 + epsilon);
   }
 
   /**
-   * Checks if a string is a valid URL
-   * @param {string} str - String to validate
-   * @returns {boolean} Whether the string is a valid URL
+   * Maps an out-of-gamut color into sRGB by reducing OKLCH chroma
+   * (CSS Color 4 gamut mapping algorithm)
+   * @param {string|Object} input - Color to map
+   * @returns {Object|null} In-gamut color object
    */
-  static isUrl(str) {
-    if (typeof str !== 'string') return false;
-    
-    try {
-      new URL(str);
-      return true;
-    } catch {
-      return false;
+  static toGamut(input) {
+    const color = this.parse(input);
+    if (!color) return null;
+    if (this.inGamut(color)) return this.clip(color);
+
+    const oklch = this.toOklch(color);
+    if (oklch.l >= 1) return { r: 255, g: 255, b: 255, alpha: color.alpha };
+    if (oklch.l <= 0) return { r: 0, g: 0, b: 0, alpha: color.alpha };
+
+    let min = 0;
+    let max = oklch.c;
+    let current = color;
+
+    while (max - min > 0.0001) {
+      const chroma = (min + max) / 2;
+      current = this.from('oklch', { ...oklch, c: chroma });
+
+      if (this.inGamut(current)) {
+        min = chroma;
+        continue;
+      }
+
+      const clipped = this.clip(current);
+      if (this.deltaE(clipped, current) < GAMUT_JND) {
+        return clipped;
+      }
+      max = chroma;
     }
+
+    return this.clip(current);
   }
 
   /**
-   * Checks if a string is a valid phone number
-   * @param {string} str - String to validate
-   * @param {string} region - Region code (default: 'INTERNATIONAL')
-   * @returns {boolean} Whether the string is a valid phone number
+   * Clamps sRGB channels into range
+   * @param {Object} color - Color object
+   * @returns {Object} Clamped color object
    */
-  static isPhone(str, region = 'INTERNATIONAL') {
-    if (typeof str !== 'string') return false;
-    
-    // Basic phone number pattern
-    const phoneRegex = /^[\+]?[1-9][\d\s\-\(\)]{7,15}$/;
-    return phoneRegex.test(str);
+  static clip(color) {
+    return {
+      r: this.clamp(color.r, 0, 255),
+      g: this.clamp(color.g, 0, 255),
+      b: this.clamp(color.b, 0, 255),
+      alpha: this.clamp(color.alpha ?? 1, 0, 1)
+    };
   }
 
   /**
-   * Checks if a string is a valid credit card number using the Luhn algorithm
-   * @param {string} str - String to validate
-   * @returns {boolean} Whether the string is a valid credit card number
+   * Formats a color as a CSS string
+   * @param {string|Object} input - Color to format
+   * @param {string} format - 'hex', 'rgb', 'hsl', 'hwb', 'lab', 'lch', 'oklab' or 'oklch'
+   * @param {Object} options - Formatting options
+   * @param {number} options.precision - Decimal places for non-integer channels (default: 3)
+   * @returns {string|null} CSS color string or null if the input is invalid
    */
-  static isCreditCard(str) {
-    if (typeof str !== 'string') return false;
-    
-    // Remove non-digits
-    const digits = str.replace(/\D/g, '');
-    
-    // Basic length check
-    if (digits.length < 13 || digits.length > 19) return false;
-    
-    // Luhn algorithm
-    let sum = 0;
-    let isEven = false;
-    
-    for (let i = digits.length - 1; i >= 0; i--) {
-      let digit = parseInt(digits.charAt(i));
-      
-      if (isEven) {
-        digit *= 2;
-        if (digit > 9) {
-          digit -= 9;
-        }
+  static format(input, format = 'hex', options = {}) {
+    const color = this.parse(input);
+    if (!color) return null;
+
+    const precision = options.precision ?? 3;
+    const round = (value, digits = precision) => {
+      const factor = Math.pow(10, digits);
+      return Math.round(value * factor) / factor;
+    };
+    const alphaSuffix = color.alpha < 1 ? ` / ${round(color.alpha)}` : '';
+
+    // Lab-based spaces can represent out-of-gamut colors, so they skip gamut mapping
+    switch (format) {
+      case 'lab': {
+        const { l, a, b } = this.toLab(color);
+        return `lab(${round(l)}% ${round(a)} ${round(b)}${alphaSuffix})`;
+      }
+      case 'lch': {
+        const { l, c, h } = this.toLch(color);
+        return `lch(${round(l)}% ${round(c)} ${round(h)}${alphaSuffix})`;
       }
-      
-      sum += digit;
-      isEven = !isEven;
+      case 'oklab': {
+        const { l, a, b } = this.toOklab(color);
+        return `oklab(${round(l * 100)}% ${round(a)} ${round(b)}${alphaSuffix})`;
+      }
+      case 'oklch': {
+        const { l, c, h } = this.toOklch(color);
+        return `oklch(${round(l * 100)}% ${round(c)} ${round(h)}${alphaSuffix})`;
+      }
+      default:
+        break;
+    }
+
+    const mapped = this.toGamut(color);
+
+    switch (format) {
+      case 'hex': {
+        const channels = [mapped.r, mapped.g, mapped.b];
+        if (mapped.alpha < 1) channels.push(mapped.alpha * 255);
+        return '#' + channels.map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+      }
+      case 'rgb':
+        return `rgb(${Math.round(mapped.r)} ${Math.round(mapped.g)} ${Math.round(mapped.b)}${alphaSuffix})`;
+      case 'hsl': {
+        const { h, s, l } = this.toHsl(mapped);
+        return `hsl(${round(h, 1)} ${round(s, 1)}% ${round(l, 1)}%${alphaSuffix})`;
+      }
+      case 'hwb': {
+        const { h, w, b } = this.toHwb(mapped);
+        return `hwb(${round(h, 1)} ${round(w, 1)}% ${round(b, 1)}%${alphaSuffix})`;
+      }
+      default:
+        throw new Error(`Unknown color format: ${format}`);
     }
-    
-    return sum % 10 === 0;
   }
 
   /**
-   * Checks if a string is a valid UUID
-   * @param {string} str - String to validate
-   * @returns {boolean} Whether the string is a valid UUID
+   * Converts a color string to hex
+   * @param {string|Object} input - Color to convert
+   * @returns {string|null} Hex string
    */
-  static isUUID(str) {
-    if (typeof str !== 'string') return false;
-    
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    return uuidRegex.test(str);
+  static toHex(input) {
+    return this.format(input, 'hex');
   }
 
   /**
-   * Checks if a string is a valid hexadecimal color
-   * @param {string} str - String to validate
-   * @returns {boolean} Whether the string is a valid hex color
+   * Mixes two colors
+   * @param {string|Object} color1 - First color
+   * @param {string|Object} color2 - Second color
+   * @param {number} amount - Weight of the second color (0-1, default: 0.5)
+   * @param {string} space - Interpolation space (default: 'oklab')
+   * @returns {Object|null} Mixed color object
    */
-  static isHexColor(str) {
-    if (typeof str !== 'string') return false;
-    
-    const hexColorRegex = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
-    return hexColorRegex.test(str);
+  static mix(color1, color2, amount = 0.5, space = 'oklab') {
+    const c1 = this.parse(color1);
+    const c2 = this.parse(color2);
+    if (!c1 || !c2) return null;
+
+    const t = this.clamp(amount, 0, 1);
+    const from = this.convert(c1, space);
+    const to = this.convert(c2, space);
+    const alpha = from.alpha + (to.alpha - from.alpha) * t;
+    const result = { alpha };
+
+    this.getSpaceKeys(space).forEach(key => {
+      if (key === 'h' && HUE_SPACES.includes(space)) {
+        result.h = this.interpolateHue(from, to, t, space);
+        return;
+      }
+
+      // Interpolate premultiplied values so transparent colors don't bleed
+      const premultiplied = from[key] * from.alpha + (to[key] * to.alpha - from[key] * from.alpha) * t;
+      result[key] = alpha === 0 ? premultiplied : premultiplied / alpha;
+    });
+
+    return this.from(space, result);
   }
 
   /**
-   * Checks if a string is a palindrome
-   * @param {string} str - String to validate
-   * @param {boolean} caseSensitive - Whether to consider case (default: false)
-   * @returns {boolean} Whether the string is a palindrome
+   * Interpolates hue along the shorter arc, ignoring the hue of achromatic endpoints
+   * @param {Object} from - Start coordinates
+   * @param {Object} to - End coordinates
+   * @param {number} t - Interpolation factor
+   * @param {string} space - Hue-based color space
+   * @returns {number} Interpolated hue
    */
-  static isPalindrome(str, caseSensitive = false) {
-    if (typeof str !== 'string') return false;
-    
-    const processedStr = caseSensitive ? str : str.toLowerCase();
-    const cleanedStr = processedStr.replace(/[^a-zA-Z0-9]/g, '');
-    
-    return cleanedStr === cleanedStr.split('').reverse().join('');
+  static interpolateHue(from, to, t, space) {
+    const chromaKey = space === 'hsl' ? 's' : space === 'hwb' ? null : 'c';
+    const isAchromatic = (coords) => {
+      if (chromaKey) return coords[chromaKey] < 1e-4;
+      return coords.w + coords.b >= 100;
+    };
+
+    if (isAchromatic(from) && !isAchromatic(to)) return to.h;
+    if (isAchromatic(to) && !isAchromatic(from)) return from.h;
+
+    let delta = to.h - from.h;
+    if (delta > 180) delta -= 360;
+    if (delta < -180) delta += 360;
+    return this.normalizeHue(from.h + delta * t);
   }
 
   /**
-   * Replaces multiple substrings in a string
-   * @param {string} str - String to perform replacements in
-   * @param {Object} replacements - Object with search strings as keys and replacements as values
-   * @returns {string} String with replacements made
+   * Composites a translucent color over an opaque background
+   * @param {string|Object} foreground - Foreground color
+   * @param {string|Object} background - Background color
+   * @returns {Object|null} Opaque composited color
    */
-  static replaceMultiple(str, replacements) {
-    if (typeof str !== 'string' || typeof replacements !== 'object' || !replacements) return str;
-    
-    let result = str;
-    
-    // Sort keys by length (descending) to handle longer matches first
-    const sortedKeys = Object.keys(replacements).sort((a, b) => b.length - a.length);
-    
-    for (const search of sortedKeys) {
-      const replacement = replacements[search];
-      if (search && typeof replacement !== 'undefined') {
-        // Escape special characters in search string for regex
-        const escapedSearch = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        const regex = new RegExp(escapedSearch, 'g');
-        result = result.replace(regex, replacement);
-      }
-    }
-    
-    return result;
+  static composite(foreground, background) {
+    const fg = this.parse(foreground);
+    const bg = this.parse(background);
+    if (!fg || !bg) return null;
+
+    const alpha = fg.alpha;
+    return {
+      r: fg.r * alpha + bg.r * (1 - alpha),
+      g: fg.g * alpha + bg.g * (1 - alpha),
+      b: fg.b * alpha + bg.b * (1 - alpha),
+      alpha: 1
+    };
   }
 
   /**
-   * Wraps a string in a specified wrapper
-   * @param {string} str - String to wrap
-   * @param {string} start - Start wrapper
-   * @param {string} end - End wrapper (optional, defaults to start)
-   * @returns {string} Wrapped string
+   * Adjusts OKLCH coordinates of a color
+   * @param {string|Object} input - Color to adjust
+   * @param {Function} adjuster - Receives and returns { l, c, h, alpha }
+   * @returns {Object|null} Adjusted color object
    */
-  static wrap(str, start, end) {
-    if (typeof str !== 'string') return str;
-    if (typeof start !== 'string') return str;
-    
-    const endWrapper = end || start;
-    
-    return start + str + endWrapper;
+  static adjust(input, adjuster) {
+    const color = this.parse(input);
+    if (!color) return null;
+    return this.from('oklch', adjuster(this.toOklch(color)));
   }
 
   /**
-   * Unwraps a string from its wrapper
-   * @param {string} str - String to unwrap
-   * @param {string} start - Start wrapper
-   * @param {string} end - End wrapper (optional, defaults to start)
-   * @returns {string} Unwrapped string
+   * Lightens a color in perceptual (OKLCH) space
+   * @param {string|Object} input - Color to lighten
+   * @param {number} amount - Lightness to add (0-1, default: 0.1)
+   * @returns {Object|null} Lightened color object
    */
-  static unwrap(str, start, end) {
-    if (typeof str !== 'string' || typeof start !== 'string') return str;
-    
-    const endWrapper = end || start;
-    
-    if (str.startsWith(start) && str.endsWith(endWrapper)) {
-      return str.substring(start.length, str.length - endWrapper.length);
-    }
-    
-    return str;
+  static lighten(input, amount = 0.1) {
+    return this.adjust(input, lch => ({ ...lch, l: this.clamp(lch.l + amount, 0, 1) }));
   }
 
   /**
-   * Checks if a string is empty or contains only whitespace
-   * @param {string} str - String to check
-   * @returns {boolean} Whether the string is empty or whitespace only
+   * Darkens a color in perceptual (OKLCH) space
+   * @param {string|Object} input - Color to darken
+   * @param {number} amount - Lightness to remove (0-1, default: 0.1)
+   * @returns {Object|null} Darkened color object
    */
-  static isEmpty(str) {
-    return typeof str !== 'string' || str.trim().length === 0;
+  static darken(input, amount = 0.1) {
+    return this.lighten(input, -amount);
   }
 
   /**
-   * Checks if a string is not empty and contains more than just whitespace
-   * @param {string} str - String to check
-   * @returns {boolean} Whether the string has content
+   * Scales the chroma of a color in OKLCH space
+   * @param {string|Object} input - Color to saturate
+   * @param {number} amount - Relative chroma change (e.g. 0.2 = +20%)
+   * @returns {Object|null} Saturated color object
    */
-  static hasContent(str) {
-    return !this.isEmpty(str);
+  static saturate(input, amount = 0.1) {
+    return this.adjust(input, lch => ({ ...lch, c: Math.max(0, lch.c * (1 + amount)) }));
   }
 
   /**
-   * Splits a string into an array of words
-   * @param {string} str - String to split
-   * @param {string|RegExp} separator - Separator to split on (default: /\s+/)
-   * @returns {Array} Array of words
+   * Reduces the chroma of a color in OKLCH space
+   * @param {string|Object} input - Color to desaturate
+   * @param {number} amount - Relative chroma change (e.g. 0.2 = -20%)
+   * @returns {Object|null} Desaturated color object
    */
-  static splitWords(str, separator = /\s+/) {
-    if (typeof str !== 'string') return [];
-    return str.split(separator).filter(word => word.length > 0);
+  static desaturate(input, amount = 0.1) {
+    return this.saturate(input, -amount);
   }
 
   /**
-   * Finds the longest common prefix among an array of strings
-   * @param {Array} strs - Array of strings
-   * @returns {string} Longest common prefix
+   * Rotates the hue of a color
+   * @param {string|Object} input - Color to rotate
+   * @param {number} degrees - Degrees to rotate by
+   * @param {string} space - Hue space to rotate in ('oklch', 'lch' or 'hsl', default: 'oklch')
+   * @returns {Object|null} Rotated color object
    */
-  static longestCommonPrefix(strs) {
-    if (!Array.isArray(strs) || strs.length === 0) return '';
-    if (strs.length === 1) return strs[0];
-    
-    let prefix = '';
-    const minLength = Math.min(...strs.map(str => str.length));
-    
-    for (let i = 0; i < minLength; i++) {
-      const char = strs[0][i];
-      
-      if (strs.every(str => str[i] === char)) {
-        prefix += char;
-      } else {
-        break;
-      }
-    }
-    
-    return prefix;
+  static rotateHue(input, degrees, space = 'oklch') {
+    const coords = this.convert(input, space);
+    if (!coords) return null;
+    return this.from(space, { ...coords, h: this.normalizeHue(coords.h + degrees) });
   }
 
   /**
-   * Finds the longest common suffix among an array of strings
-   * @param {Array} strs - Array of strings
-   * @returns {string} Longest common suffix
+   * Returns a color with a new alpha value
+   * @param {string|Object} input - Source color
+   * @param {number} alpha - Alpha (0-1)
+   * @returns {Object|null} Color object
    */
-  static longestCommonSuffix(strs) {
-    if (!Array.isArray(strs) || strs.length === 0) return '';
-    if (strs.length === 1) return strs[0];
-    
-    let suffix = '';
-    const minLength = Math.min(...strs.map(str => str.length));
-    
-    for (let i = 1; i <= minLength; i++) {
-      const char = strs[0][strs[0].length - i];
-      
-      if (strs.every(str => str[str.length - i] === char)) {
-        suffix = char + suffix;
-      } else {
-        break;
-      }
-    }
-    
-    return suffix;
+  static setAlpha(input, alpha) {
+    const color = this.parse(input);
+    if (!color) return null;
+    return { ...color, alpha: this.clamp(alpha, 0, 1) };
   }
 
   /**
-   * Generates all permutations of a string
-   * @param {string} str - String to permute
-   * @returns {Array} Array of string permutations
+   * Calculates the perceptual difference between two colors (deltaE OK)
+   * @param {string|Object} color1 - First color
+   * @param {string|Object} color2 - Second color
+   * @returns {number} Euclidean distance in OKLab
    */
-  static generatePermutations(str) {
-    if (typeof str !== 'string') return [];
-    
-    if (str.length <= 1) return [str];
-    
-    const perms = [];
-    const chars = str.split('');
-    
-    for (let i = 0; i < chars.length; i++) {
-      const char = chars[i];
-      const remainingChars = chars.slice(0, i).concat(chars.slice(i + 1));
-      const remainingPerms = this.generatePermutations(remainingChars.join(''));
-      
-      for (const perm of remainingPerms) {
-        perms.push(char + perm);
-      }
-    }
-    
-    return perms;
+  static deltaE(color1, color2) {
+    const c1 = this.parse(color1);
+    const c2 = this.parse(color2);
+    if (!c1 || !c2) return NaN;
+
+    const lab1 = this.toOklab(c1);
+    const lab2 = this.toOklab(c2);
+    return Math.sqrt(
+      Math.pow(lab1.l - lab2.l, 2) +
+      Math.pow(lab1.a - lab2.a, 2) +
+      Math.pow(lab1.b - lab2.b, 2)
+    );
   }
 
   /**
-   * Calculates the Levenshtein distance (edit distance) between two strings
-   * @param {string} str1 - First string
-   * @param {string} str2 - Second string
-   * @returns {number} Edit distance between the strings
+   * Calculates WCAG 2.x relative luminance
+   * @param {string|Object} input - Color
+   * @returns {number} Relative luminance (0-1)
    */
-  static levenshteinDistance(str1, str2) {
-    if (typeof str1 !== 'string' || typeof str2 !== 'string') {
-      return Math.max(str1?.length || 0, str2?.length || 0);
-    }
-    
-    const matrix = [];
-    
-    // Initialize first row
-    for (let i = 0; i <= str2.length; i++) {
-      matrix[i] = [i];
-    }
-    
-    // Initialize first column
-    for (let j = 0; j <= str1.length; j++) {
-      matrix[0][j] = j;
-    }
-    
-    // Fill the matrix
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1,  // substitution
-            matrix[i][j - 1] + 1,      // insertion
-            matrix[i - 1][j] + 1       // deletion
-          );
-        }
-      }
-    }
-    
-    return matrix[str2.length][str1.length];
+  static getLuminance(input) {
+    const color = this.parse(input);
+    if (!color) return NaN;
+
+    const { r, g, b } = this.toLinearRgb(this.clip(color));
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
   }
 
   /**
-   * Finds similar strings from an array using edit distance
-   * @param {string} target - Target string
-   * @param {Array} candidates - Array of candidate strings
-   * @param {Object} options - Similarity options
-   * @returns {Array} Array of similar strings ranked by similarity
+   * Calculates the WCAG 2.x contrast ratio between two colors
+   * Translucent foregrounds are composited over the background first
+   * @param {string|Object} foreground - Text color
+   * @param {string|Object} background - Background color
+   * @returns {number} Contrast ratio (1-21)
    */
-  static findSimilar(target, candidates, options = {}) {
-    if (typeof target !== 'string' || !Array.isArray(candidates)) return [];
-    
-    const {
-      threshold = 0.3, // Maximum allowed distance (0-1)
-      limit = 5
-    } = options;
-    
-    return candidates
-      .map(candidate => {
-        if (typeof candidate !== 'string') return null;
-        
-        const distance = this.levenshteinDistance(target, candidate);
-        const maxLength = Math.max(target.length, candidate.length);
-        const similarity = maxLength === 0 ? 1 : 1 - (distance / maxLength);
-        
-        return {
-          string: candidate,
-          similarity,
-          distance
-        };
-      })
-      .filter(item => item && item.similarity >= (1 - threshold))
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, limit)
-      .map(item => item.string);
+  static contrastRatio(foreground, background) {
+    const bg = this.parse(background);
+    const fg = bg ? this.composite(foreground, bg) : null;
+    if (!fg) return NaN;
+
+    const l1 = this.getLuminance(fg);
+    const l2 = this.getLuminance(bg);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
   }
 
   /**
-   * Converts a string to its ASCII equivalent (removing accents/diacritics)
-   * @param {string} str - String to convert
-   * @returns {string} ASCII equivalent string
+   * Checks a color pair against WCAG 2.x contrast requirements
+   * @param {string|Object} foreground - Text color
+   * @param {string|Object} background - Background color
+   * @param {Object} options - Check options
+   * @param {string} options.level - 'AA' or 'AAA' (default: 'AA')
+   * @param {string} options.size - 'normal' or 'large' text (default: 'normal')
+   * @returns {boolean} Whether the pair meets the requirement
    */
-  static toASCII(str) {
-    if (typeof str !== 'string') return str;
-    
-    // Mapping for common characters with accents
-    const charMap = {
-      'á': 'a', 'à': 'a', 'â': 'a', 'ä': 'a', 'ã': 'a', 'å': 'a', 'ā': 'a', 'ă': 'a', 'ą': 'a',
-      'é': 'e', 'è': 'e', 'ê': 'e', 'ë': 'e', 'ē': 'e', 'ĕ': 'e', 'ė': 'e', 'ę': 'e', 'ě': 'e',
-      'í': 'i', 'ì': 'i', 'î': 'i', 'ï': 'i', 'ī': 'i', 'ĭ': 'i', 'į': 'i', 'ı': 'i',
-      'ó': 'o', 'ò': 'o', 'ô': 'o', 'ö': 'o', 'õ': 'o', 'ø': 'o', 'ō': 'o', 'ŏ': 'o', 'ő': 'o',
-      'ú': 'u', 'ù': 'u', 'û': 'u', 'ü': 'u', 'ū': 'u', 'ŭ': 'u', 'ů': 'u', 'ű': 'u', 'ų': 'u',
-      'ý': 'y', 'ỳ': 'y', 'ŷ': 'y', 'ÿ': 'y', 'ȳ': 'y',
-      'ć': 'c', 'ĉ': 'c', 'ċ': 'c', 'č': 'c',
-      'ď': 'd', 'đ': 'd',
-      'ģ': 'g', 'ğ': 'g', 'ĝ': 'g', 'ġ': 'g',
-      'ĥ': 'h', 'ħ': 'h',
-      'ĵ': 'j',
-      'ķ': 'k',
-      'ĺ': 'l', 'ļ': 'l', 'ľ': 'l', 'ŀ': 'l', 'ł': 'l',
-      'ń': 'n', 'ņ': 'n', 'ň': 'n', 'ŋ': 'n',
-      'ŕ': 'r', 'ŗ': 'r', 'ř': 'r',
-      'ś': 's', 'ŝ': 's', 'ş': 's', 'š': 's',
-      'ť': 't', 'ţ': 't', 'ŧ': 't',
-      'ź': 'z', 'ż': 'z', 'ž': 'z',
-      'Á': 'A', 'À': 'A', 'Â': 'A', 'Ä': 'A', 'Ã': 'A', 'Å': 'A', 'Ā': 'A', 'Ă': 'A', 'Ą': 'A',
-      'É': 'E', 'È': 'E', 'Ê': 'E', 'Ë': 'E', 'Ē': 'E', 'Ĕ': 'E', 'Ė': 'E', 'Ę': 'E', 'Ě': 'E',
-      'Í': 'I', 'Ì': 'I', 'Î': 'I', 'Ï': 'I', 'Ī': 'I', 'Ĭ': 'I', 'Į': 'I', 'İ': 'I',
-      'Ó': 'O', 'Ò': 'O', 'Ô': 'O', 'Ö': 'O', 'Õ': 'O', 'Ø': 'O', 'Ō': 'O', 'Ŏ': 'O', 'Ő': 'O',
-      'Ú': 'U', 'Ù': 'U', 'Û': 'U', 'Ü': 'U', 'Ū': 'U', 'Ŭ': 'U', 'Ů': 'U', 'Ű': 'U', 'Ų': 'U',
-      'Ý': 'Y', 'Ỳ': 'Y', 'Ŷ': 'Y', 'Ÿ': 'Y', 'Ȳ': 'Y',
-      'Ć': 'C', 'Ĉ': 'C', 'Ċ': 'C', 'Č': 'C',
-      'Ď': 'D', 'Đ': 'D',
-      'Ģ': 'G', 'Ğ': 'G', 'Ĝ': 'G', 'Ġ': 'G',
-      'Ĥ': 'H', 'Ħ': 'H',
-      'Ĵ': 'J',
-      'Ķ': 'K',
-      'Ĺ': 'L', 'Ļ': 'L', 'Ľ': 'L', 'Ŀ': 'L', 'Ł': 'L',
-      'Ń': 'N', 'Ņ': 'N', 'Ň': 'N', 'Ŋ': 'N',
-      'Ŕ': 'R', 'Ŗ': 'R', 'Ř': 'R',
-      'Ś': 'S', 'Ŝ': 'S', 'Ş': 'S', 'Š': 'S',
-      'Ť': 'T', 'Ţ': 'T', 'Ŧ': 'T',
-      'Ź': 'Z', 'Ż': 'Z', 'Ž': 'Z'
+  static meetsWCAG(foreground, background, options = {}) {
+    const { level = 'AA', size = 'normal' } = options;
+    const thresholds = {
+      AA: { normal: 4.5, large: 3 },
+      AAA: { normal: 7, large: 4.5 }
     };
-    
-    return str.replace(/[áàâäãåāăąéèêëēĕėęěíìîïīĭįıóòôöõøōŏőúùûüūŭůűųýỳŷÿȳćĉċčďđģğĝġĥħĵķĺļľŀłńņňŉŋŕŗřśŝşšťţŧźżžÁÀÂÄÃÅĀĂĄÉÈÊËĒĔĖĘĚÍÌÎÏĪĬĮİÓÒÔÖÕØŌŎŐÚÙÛÜŪŬŮŰŲÝỲŶŸȲĆĈĊČĎĐĢĞĜĠĤĦĴĶĹĻĽĿŁŃŅŇŊŔŖŘŚŜŞŠŤŢŦŹŻŽ]/g, (match) => charMap[match] || match);
-  }
 
-  /**
-   * Formats a string with placeholders
-   * @param {string} template - Template string with placeholders like {name}
-   * @param {Object} data - Object with data to substitute
-   * @returns {string} Formatted string
-   */
-  static format(template, data) {
-    if (typeof template !== 'string' || typeof data !== 'object' || !data) return template;
-    
-    let result = template;
-    
-    for (const [key, value] of Object.entries(data)) {
-      // Create different regex patterns to handle different placeholder formats
-      const patterns = [
-        new RegExp(`{${key}}`, 'g'),
-        new RegExp(`{{${key}}}`, 'g'),
-        new RegExp(`\\$${key}`, 'g'),
-        new RegExp(`\\$\\{${key}\\}`, 'g')
-      ];
-      
-      for (const pattern of patterns) {
-        result = result.replace(pattern, value !== null && value !== undefined ? value.toString() : '');
-      }
+    const required = thresholds[level]?.[size];
+    if (!required) {
+      throw new Error(`Unknown WCAG level/size: ${level}/${size}`);
     }
-    
-    return result;
+    return this.contrastRatio(foreground, background) >= required;
   }
 
   /**
-   * Masks part of a string (useful for sensitive data)
-   * @param {string} str - String to mask
-   * @param {Object} options - Masking options
-   * @returns {string} Masked string
+   * Calculates APCA lightness contrast (Lc) using the 0.0.98G-4g constants
+   * Positive values are dark text on light backgrounds, negative the reverse
+   * @param {string|Object} foreground - Text color
+   * @param {string|Object} background - Background color
+   * @returns {number} Lc value (roughly -108 to 106)
    */
-  static mask(str, options = {}) {
-    if (typeof str !== 'string') return str;
-    
-    const {
-      maskChar = '*',
-      start = 0,
-      end = str.length,
-      maskLength = -1  // If provided, masks this length starting from start
-    } = options;
-    
-    // Validate positions
-    const validatedStart = Math.max(0, Math.min(start, str.length));
-    const maskEnd = maskLength >= 0 
-      ? Math.min(validatedStart + maskLength, str.length)
-      : Math.min(end, str.length);
-    
-    if (validatedStart >= maskEnd) return str;
-    
-    const beforeMask = str.substring(0, validatedStart);
-    const maskedPart = maskChar.repeat(maskEnd - validatedStart);
-    const afterMask = str.substring(maskEnd);
-    
-    return beforeMask + maskedPart + afterMask;
-  }
+  static apcaContrast(foreground, background) {
+    const bg = this.parse(background);
+    const fg = bg ? this.composite(foreground, bg) : null;
+    if (!fg) return NaN;
 
-  /**
-   * Extracts domains from a string containing URLs or email addresses
-   * @param {string} str - String to extract domains from
-   * @returns {Array} Array of unique domains found
-   */
-  static extractDomains(str) {
-    if (typeof str !== 'string') return [];
-    
-    // Regex to match URLs and email addresses and extract domains
-    const domainRegex = /(https?:\/\/)?([a-zA-Z0-9][\-a-zA-Z0-9]*\.)+[a-zA-Z]{2,}(\/[^\s]*)?|([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g;
-    const matches = str.match(domainRegex) || [];
-    
-    // Extract just the domain parts
-    const domains = matches.map(match => {
-      if (match.includes('@')) {
-        // Email address
-        return match.split('@')[1];
-      } else {
-        // URL
-        try {
-          const url = match.startsWith('http') ? match : `http://${match}`;
-          return new URL(url).hostname;
-        } catch {
-          return match;
-        }
-      }
-    });
-    
-    // Remove duplicates and return
-    return [...new Set(domains)];
+    const screenLuminance = (color) => {
+      const { r, g, b } = this.clip(color);
+      const y = 0.2126729 * Math.pow(r / 255, 2.4) +
+        0.7151522 * Math.pow(g / 255, 2.4) +
+        0.0721750 * Math.pow(b / 255, 2.4);
+      // Soft clamp near black
+      return y > 0.022 ? y : y + Math.pow(0.022 - y, 1.414);
+    };
+
+    const yText = screenLuminance(fg);
+    const yBg = screenLuminance(bg);
+
+    if (Math.abs(yBg - yText) < 0.0005) return 0;
+
+    let output;
+    if (yBg > yText) {
+      const sapc = (Math.pow(yBg, 0.56) - Math.pow(yText, 0.57)) * 1.14;
+      output = sapc < 0.1 ? 0 : sapc - 0.027;
+    } else {
+      const sapc = (Math.pow(yBg, 0.65) - Math.pow(yText, 0.62)) * 1.14;
+      output = sapc > -0.1 ? 0 : sapc + 0.027;
+    }
+
+    return output * 100;
   }
 
   /**
-   * Extracts email addresses from a string
-   * @param {string} str - String to extract emails from
-   * @returns {Array} Array of unique email addresses found
+   * Picks the candidate with the highest contrast against a background
+   * @param {string|Object} background - Background color
+   * @param {Array} candidates - Candidate text colors (default: black and white)
+   * @param {string} algorithm - 'wcag' or 'apca' (default: 'wcag')
+   * @returns {string|Object} Most readable candidate
    */
-  static extractEmails(str) {
-    if (typeof str !== 'string') return [];
-    
-    const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
-    const matches = str.match(emailRegex) || [];
-    
-    // Remove duplicates
-    return [...new Set(matches)];
+  static mostReadable(background, candidates = ['#000000', '#ffffff'], algorithm = 'wcag') {
+    const score = (candidate) => algorithm === 'apca'
+      ? Math.abs(this.apcaContrast(candidate, background))
+      : this.contrastRatio(candidate, background);
+
+    return candidates.reduce((best, candidate) => (score(candidate) > score(best) ? candidate : best), candidates[0]);
   }
 
   /**
-   * Extracts URLs from a string
-   * @param {string} str - String to extract URLs from
-   * @returns {Array} Array of unique URLs found
+   * Generates tints by mixing a color towards white
+   * @param {string|Object} input - Base color
+   * @param {number} steps - Number of tints (default: 5)
+   * @param {string} space - Interpolation space (default: 'oklab')
+   * @returns {Array<Object>} Tints from closest to base to lightest
    */
-  static extractUrls(str) {
-    if (typeof str !== 'string') return [];
-    
-    const urlRegex = /https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)/g;
-    const matches = str.match(urlRegex) || [];
-    
-    // Remove duplicates
-    return [...new Set(matches)];
+  static tints(input, steps = 5, space = 'oklab') {
+    return this.range(input, '#ffffff', steps, space);
   }
 
   /**
-   * Converts a string to a slug and validates it's URL-friendly
-   * @param {string} str - String to convert to URL-friendly format
-   * @returns {string} URL-friendly string
+   * Generates shades by mixing a color towards black
+   * @param {string|Object} input - Base color
+   * @param {number} steps - Number of shades (default: 5)
+   * @param {string} space - Interpolation space (default: 'oklab')
+   * @returns {Array<Object>} Shades from closest to base to darkest
    */
-  static toUrlFriendly(str) {
-    if (typeof str !== 'string') return '';
-    
-    return this.createSlug(str, { separator: '-' });
+  static shades(input, steps = 5, space = 'oklab') {
+    return this.range(input, '#000000', steps, space);
   }
 
   /**
-   * Generates a random password with specified characteristics
-   * @param {number} length - Password length
-   * @param {Object} options - Password options
-   * @returns {string} Generated password
+   * Generates steps between a color and a target, excluding the base color itself
+   * @param {string|Object} input - Base color
+   * @param {string|Object} target - Target color
+   * @param {number} steps - Number of colors
+   * @param {string} space - Interpolation space
+   * @returns {Array<Object>} Color objects
    */
-  static generatePassword(length = 12, options = {}) {
-    const {
-      includeLowercase = true,
-      includeUppercase = true,
-      includeNumbers = true,
-      includeSymbols = true,
-      excludeSimilarCharacters = false,
-      excludeAmbiguousCharacters = false
-    } = options;
-    
-    let chars = '';
-    
-    if (includeLowercase) chars += 'abcdefghijklmnopqrstuvwxyz';
-    if (includeUppercase) chars += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    if (includeNumbers) chars += '0123456789';
-    if (includeSymbols) chars += '!@#$%^&*()_+-=[]{}|;:,.<>?';
-    
-    if (excludeSimilarCharacters) {
-      chars = chars.replace(/[0O1lI]/g, '');
-    }
-    
-    if (excludeAmbiguousCharacters) {
-      chars = chars.replace(/[{}[\]()\/\\'"`,;:.~!@#$%^&*+=<>?]/g, '');
-    }
-    
-    if (chars.length === 0) {
-      throw new Error('At least one character set must be included');
-    }
-    
-    let password = '';
-    for (let i = 0; i < length; i++) {
-      password += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    
-    return password;
+  static range(input, target, steps, space) {
+    if (!this.isValid(input)) return [];
+    return Array.from({ length: steps }, (_, index) => this.mix(input, target, (index + 1) / (steps + 1), space));
   }
 
   /**
-   * Sanitizes a string for safe usage
-   * @param {string} str - String to sanitize
-   * @param {Object} options - Sanitization options
-   * @returns {string} Sanitized string
+   * Creates an evenly spaced color scale through the given stops (e.g. for charts)
+   * @param {Array} stops - Two or more colors
+   * @param {number} count - Number of colors to produce
+   * @param {string} space - Interpolation space (default: 'oklch')
+   * @returns {Array<Object>} Color objects
    */
-  static sanitize(str, options = {}) {
-    if (typeof str !== 'string') return str;
-    
-    const {
-      stripTags = true,
-      escapeHtml = true,
-      stripWhitespace = true,
-      stripSpecialChars = false,
-      customReplacements = {},
-      ...extraOptions
-    } = options;
-    
-    let result = str;
-    
-    // Apply custom replacements first
-    if (typeof customReplacements === 'object') {
-      for (const [search, replace] of Object.entries(customReplacements)) {
-        result = result.replace(new RegExp(search, 'g'), replace);
-      }
-    }
-    
-    // Strip HTML tags if requested
-    if (stripTags) {
-      result = result.replace(/<[^>]*>/g, '');
-    }
-    
-    // Escape HTML entities if requested
-    if (escapeHtml) {
-      result = this.escapeHtml(result);
+  static scale(stops, count, space = 'oklch') {
+    if (!Array.isArray(stops) || stops.length === 0 || count <= 0) return [];
+    if (stops.length === 1 || count === 1) {
+      return Array.from({ length: count }, () => this.parse(stops[0]));
     }
-    
-    // Strip whitespace if requested
-    if (stripWhitespace) {
-      result = result.trim().replace(/\s+/g, ' ');
-    }
-    
-    // Strip special characters if requested
-    if (stripSpecialChars) {
-      result = result.replace(/[^a-zA-Z0-9\s]/g, '');
-    }
-    
-    return result;
-  }
 
-  /**
-   * Converts a string to proper case (first letter of each sentence uppercase)
-   * @param {string} str - String to convert
-   * @returns {string} Proper case string
-   */
-  static toProperCase(str) {
-    if (typeof str !== 'string') return str;
-    
-    return str.replace(/\b\w/g, (match, index, string) => {
-      // Check if it's the start of the string or follows punctuation that ends a sentence
-      const prevChar = index > 0 ? string[index - 1] : '';
-      const sentenceEnders = ['.', '!', '?', ':'];
-      
-      // Capitalize if it's the first character or follows a sentence ender
-      if (index === 0 || sentenceEnders.some(ender => prevChar.includes(ender))) {
-        return match.toUpperCase();
-      }
-      return match.toLowerCase();
+    const segments = stops.length - 1;
+    return Array.from({ length: count }, (_, index) => {
+      const position = (index / (count - 1)) * segments;
+      const segment = Math.min(Math.floor(position), segments - 1);
+      return this.mix(stops[segment], stops[segment + 1], position - segment, space);
     });
   }
 
   /**
-   * Creates a string template with interpolation
-   * @param {string} template - Template string
-   * @returns {Function} Function that accepts data and returns interpolated string
+   * Generates a harmony palette by rotating hue
+   * @param {string|Object} input - Base color
+   * @param {string} type - 'complementary', 'triadic', 'tetradic', 'analogous' or 'split-complementary'
+   * @param {string} space - Hue space (default: 'oklch')
+   * @returns {Array<Object>} Color objects starting with the base color
    */
-  static createTemplate(template) {
-    if (typeof template !== 'string') {
-      throw new TypeError('Template must be a string');
-    }
-    
-    return (data) => {
-      if (typeof data !== 'object' || !data) return template;
-      
-      let result = template;
-      
-      // Replace ${property} and {property} patterns
-      result = result.replace(/\$\{(\w+)\}|{(\w+)}/g, (match, prop1, prop2) => {
-        const prop = prop1 || prop2;
-        return data[prop] !== undefined ? data[prop] : match;
-      });
-      
-      return result;
+  static harmony(input, type, space = 'oklch') {
+    const offsets = {
+      complementary: [0, 180],
+      triadic: [0, 120, 240],
+      tetradic: [0, 90, 180, 270],
+      analogous: [0, -30, 30],
+      'split-complementary': [0, 150, 210]
     };
+
+    if (!offsets[type]) {
+      throw new Error(`Unknown color harmony: ${type}`);
+    }
+    if (!this.isValid(input)) return [];
+
+    return offsets[type].map(offset => this.rotateHue(input, offset, space));
   }
 
   /**
-   * Generates a hash code from a string
-   * @param {string} str - String to hash
-   * @returns {number} Hash code
+   * Returns the complementary color
+   * @param {string|Object} input - Base color
+   * @param {string} space - Hue space (default: 'oklch')
+   * @returns {Object|null} Complementary color object
    */
-  static hashCode(str) {
-    if (typeof str !== 'string') return 0;
-    
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash |= 0; // Convert to 32bit integer
-    }
-    
-    return Math.abs(hash);
+  static complementary(input, space = 'oklch') {
+    return this.rotateHue(input, 180, space);
   }
 
   /**
-   * Creates a string diff between two strings
-   * @param {string} str1 - First string
-   * @param {string} str2 - Second string
-   * @returns {Array} Array of diff objects with type and value
+   * Returns the triadic palette for a color
+   * @param {string|Object} input - Base color
+   * @param {string} space - Hue space (default: 'oklch')
+   * @returns {Array<Object>} Three color objects
    */
-  static stringDiff(str1, str2) {
-    if (typeof str1 !== 'string' || typeof str2 !== 'string') {
-      return [];
-    }
-    
-    // Simple diff algorithm comparing character by character
-    const result = [];
-    const maxLength = Math.max(str1.length, str2.length);
-    
-    for (let i = 0; i < maxLength; i++) {
-      const char1 = str1[i];
-      const char2 = str2[i];
-      
-      if (char1 === char2) {
-        result.push({ type: 'common', value: char1 || char2 });
-      } else {
-        if (char1 !== undefined) {
-          result.push({ type: 'removed', value: char1 });
-        }
-        if (char2 !== undefined) {
-          result.push({ type: 'added', value: char2 });
-        }
-      }
-    }
-    
-    return result;
+  static triadic(input, space = 'oklch') {
+    return this.harmony(input, 'triadic', space);
   }
 
   /**
-   * Compares two strings and returns similarity percentage
-   * @param {string} str1 - First string
-   * @param {string} str2 - Second string
-   * @returns {number} Similarity percentage (0-100)
+   * Normalizes a hue angle into [0, 360)
+   * @param {number} hue - Hue in degrees
+   * @returns {number} Normalized hue
    */
-  static similarity(str1, str2) {
-    if (typeof str1 !== 'string' || typeof str2 !== 'string') return 0;
-    
-    if (str1 === str2) return 100;
-    
-    const longer = str1.length > str2.length ? str1 : str2;
-    const shorter = str1.length > str2.length ? str2 : str1;
-    
-    if (longer.length === 0) return 100;
-    
-    const editDistance = this.levenshteinDistance(longer, shorter);
-    return (1 - editDistance / longer.length) * 100;
+  static normalizeHue(hue) {
+    const normalized = hue % 360;
+    return normalized < 0 ? normalized + 360 : normalized;
   }
 
   /**
-   * Finds the longest common subsequence between two strings
-   * @param {string} str1 - First string
-   * @param {string} str2 - Second string
-   * @returns {string} Longest common subsequence
+   * Clamps a value to a range
+   * @param {number} value - Value to clamp
+   * @param {number} min - Minimum
+   * @param {number} max - Maximum
+   * @returns {number} Clamped value
    */
-  static longestCommonSubsequence(str1, str2) {
-    if (typeof str1 !== 'string' || typeof str2 !== 'string') return '';
-    
-    const m = str1.length;
-    const n = str2.length;
-    const dp = Array(m + 1).fill().map(() => Array(n + 1).fill(0));
-    
-    // Fill the dp table
-    for (let i = 1; i <= m; i++) {
-      for (let j = 1; j <= n; j++) {
-        if (str1[i - 1] === str2[j - 1]) {
-          dp[i][j] = dp[i - 1][j - 1] + 1;
-        } else {
-          dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1]);
-        }
-      }
-    }
-    
-    // Backtrack to find the subsequence
-    let i = m;
-    let j = n;
-    const result = [];
-    
-    while (i > 0 && j > 0) {
-      if (str1[i - 1] === str2[j - 1]) {
-        result.unshift(str1[i - 1]);
-        i--;
-        j--;
-      } else if (dp[i - 1][j] > dp[i][j - 1]) {
-        i--;
-      } else {
-        j--;
-      }
-    }
-    
-    return result.join('');
+  static clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
   }
 
   /**
-   * Creates an obfuscated email string for display
-   * @param {string} email - Email to obfuscate
-   * @param {Object} options - Obfuscation options
-   * @returns {string} Obfuscated email
+   * Multiplies a 3x3 matrix by a 3-component vector
+   * @param {Array<Array<number>>} matrix - Matrix
+   * @param {Array<number>} vector - Vector
+   * @returns {Array<number>} Result vector
    */
-  static obfuscateEmail(email, options = {}) {
-    if (!this.isEmail(email)) return email;
-    
-    const { 
-      visibleChars = 1, 
-      maskChar = '*' 
-    } = options;
-    
-    const [local, domain] = email.split('@');
-    
-    if (local.length <= visibleChars) {
-      return `${local[0]}...@${domain}`;
-    }
-    
-    const visiblePart = local.substring(0, visibleChars);
-    const maskedPart = maskChar.repeat(local.length - visibleChars);
-    
-    return `${visiblePart}${maskedPart}@${domain}`;
+  static multiply(matrix, vector) {
+    return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
   }
 
   /**
-   * Formats bytes to a human-readable format
-   * @param {number} bytes - Number of bytes
-   * @returns {string} Readable byte string
+   * Parses and formats a color using the instance's default format
+   * @param {string|Object} input - Color
+   * @returns {string|null} Formatted color string
    */
-  static formatBytes(bytes) {
-    if (typeof bytes !== 'number' || bytes < 0) return '0 Bytes';
-    
-    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-    if (bytes === 0) return '0 Bytes';
-    
-    const i = Math.floor(Math.log(bytes) / Math.log(1024));
-    return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
+  format(input) {
+    return ColorUtils.format(input, this.options.defaultFormat, { precision: this.options.precision });
   }
 
   /**
-   * Checks if two strings are anagrams of each other
-   * @param {string} str1 - First string
-   * @param {string} str2 - Second string
-   * @param {Object} options - Comparison options
-   * @returns {boolean} Whether the strings are anagrams
+   * Mixes two colors in the instance's configured space
+   * @param {string|Object} color1 - First color
+   * @param {string|Object} color2 - Second color
+   * @param {number} amount - Weight of the second color (0-1)
+   * @returns {string|null} Formatted mixed color
    */
-  static areAnagrams(str1, str2, options = {}) {
-    if (typeof str1 !== 'string' || typeof str2 !== 'string') return false;
-    
-    const { 
-      caseSensitive = false,
-      ignoreSpaces = true,
-      ignoreSpecialChars = true 
-    } = options;
-    
-    let s1 = str1;
-    let s2 = str2;
-    
-    if (!caseSensitive) {
-      s1 = s1.toLowerCase();
-      s2 = s2.toLowerCase();
-    }
-    
-    if (ignoreSpaces) {
-      s1 = s1.replace(/\s/g, '');
-      s2 = s2.replace(/\s/g, '');
-    }
-    
-    if (ignoreSpecialChars) {
-      s1 = s1.replace(/[^a-zA-Z0-9\s]/g, '');
-      s2 = s2.replace(/[^a-zA-Z0-9\s]/g, '');
-    }
-    
-    if (s1.length !== s2.length) return false;
-    
-    // Sort characters and compare
-    return s1.split('').sort().join('') === s2.split('').sort().join('');
+  mix(color1, color2, amount = 0.5) {
+    return this.format(ColorUtils.mix(color1, color2, amount, this.options.mixSpace));
   }
 
   /**
-   * Adds dynamic styles for string utilities
+   * Adds dynamic styles for color utilities
    */
   addDynamicStyles() {
-    if (document.getElementById('string-utilities-styles')) return;
+    if (document.getElementById('color-utilities-styles')) return;
 
     const style = document.createElement('style');
-    style.id = 'string-utilities-styles';
+    style.id = 'color-utilities-styles';
     style.textContent = `
-      /* String utility related styles */
-      .masked-text {
-        color: transparent;
-        text-shadow: 0 0 8px rgba(0, 0, 0, 0.5);
+      /* Color utility related styles */
+      .color-swatch {
+        display: inline-block;
+        width: 32px;
+        height: 32px;
+        border-radius: 6px;
+        border: 1px solid var(--border-default, rgba(255, 255, 255, 0.2));
       }
-      
-      .highlighted-text {
-        background-color: var(--jazer-cyan, #00f2ea);
-        color: var(--text-dark, #000);
-        padding: 2px 4px;
-        border-radius: 3px;
-      }
-      
-      .truncate-ellipsis {
-        white-space: nowrap;
-        overflow: hidden;
-        text-overflow: ellipsis;
-      }
-      
-      .text-upper {
-        text-transform: uppercase;
-      }
-      
-      .text-lower {
-        text-transform: lowercase;
-      }
-      
-      .text-capitalize {
-        text-transform: capitalize;
-      }
-      
-      .text-center {
-        text-align: center;
-      }
-      
-      .text-left {
-        text-align: left;
-      }
-      
-      .text-right {
-        text-align: right;
-      }
-      
-      .text-justify {
-        text-align: justify;
-      }
-      
-      /* Diff highlighting */
-      .diff-added {
-        background-color: rgba(0, 255, 136, 0.2);
-        text-decoration: underline;
+
+      .color-palette {
+        display: flex;
+        gap: 4px;
+        flex-wrap: wrap;
       }
-      
-      .diff-removed {
-        background-color: rgba(255, 68, 68, 0.2);
-        text-decoration: line-through;
+
+      .contrast-pass {
+        color: var(--jazer-cyan, #00f2ea);
       }
-      
-      .diff-common {
-        background-color: transparent;
+
+      .contrast-fail {
+        color: #ff4444;
       }
     `;
 
@@ -1473,37 +1216,38 @@ class StringUtils {
   }
 
   /**
-   * Destroys the string utilities instance and cleans up
+   * Destroys the color utilities instance and cleans up
    */
   destroy() {
-    // No cleanup needed for string utilities since they're stateless
+    // No cleanup needed for color utilities since they're stateless
+    this.options = null;
   }
 }
 
 /**
- * Creates a new string utilities instance
+ * Creates a new color utilities instance
  * @param {Object} options - Configuration options
- * @returns {StringUtils} New string utilities instance
+ * @returns {ColorUtils} New color utilities instance
  */
-function createStringUtils(options = {}) {
-  return new StringUtils(options);
+function createColorUtils(options = {}) {
+  return new ColorUtils(options);
 }
 
 // Create a default instance for global use
-const stringUtils = new StringUtils();
+const colorUtils = new ColorUtils();
 
 // Export for use as module
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
-    StringUtils,
-    createStringUtils,
-    stringUtils
+    ColorUtils,
+    createColorUtils,
+    colorUtils
   };
 }
 
 // Make available globally
 if (typeof window !== 'undefined') {
-  window.StringUtils = StringUtils;
-  window.createStringUtils = createStringUtils;
-  window.stringUtils = stringUtils;
-}
\ No newline at end of file
+  window.ColorUtils = ColorUtils;
+  window.createColorUtils = createColorUtils;
+  window.colorUtils = colorUtils;
+}
@@ -0,0 +1,352 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const port = process.env.PORT || 5174;
+
+const root = path.join(__dirname, '..');
+
+// Local stand-in for the services WebSocketManager talks to. It serves the WebSocket at /ws and
+// the endpoints of the HTTP fallbacks next to it: /ws/sse, /ws/poll and /ws/send. Other paths
+// serve the repository like the dev server, and / is a blank page with the manager loaded, so
+// browsers connect from the same origin instead of being stopped by local network checks.
+//
+// Messages are JSON. The server answers ping, subscribe, unsubscribe and request messages,
+// passes { type: 'publish', channel, data } on to every subscriber of the channel, and sends
+// anything else straight back. Requests know two methods: 'echo' returns its params and
+// 'drop' cuts the caller's connection without answering.
+//
+//   node scripts/websocket-server.js
+//   TRANSPORTS=sse,polling node scripts/websocket-server.js   (refuses WebSocket connections)
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const ALL_TRANSPORTS = ['websocket', 'sse', 'polling'];
+
+const PAGE = '<!DOCTYPE html><html><head><meta charset="utf-8"><title>WebSocket test server</title>' +
+  '<script src="/[JS]/modules/websocket-manager.js"></script></head><body></body></html>';
+
+function serveFile(req, res) {
+  const url = decodeURIComponent(req.url.split('?')[0]);
+  if (url === '/') {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.end(PAGE);
+    return;
+  }
+
+  const filePath = path.join(root, url);
+  if (!filePath.startsWith(root) || !fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+    res.statusCode = 404; res.end('Not found');
+    return;
+  }
+  const ext = path.extname(filePath).slice(1);
+  const contentType = {
+    html: 'text/html', css: 'text/css', js: 'application/javascript'
+  }[ext] || 'application/octet-stream';
+  res.setHeader('Content-Type', contentType + '; charset=utf-8');
+  fs.createReadStream(filePath).pipe(res);
+}
+
+function createServer({ transports = ALL_TRANSPORTS, pollingTimeout = 25000 } = {}) {
+  const clients = new Map(); // session id -> client
+
+  // Connections of every transport look the same to the message handling
+  function addClient(id, transport, send, close) {
+    const client = { id, transport, send, close, channels: new Set() };
+    clients.set(id, client);
+    return client;
+  }
+
+  function removeClient(client) {
+    if (clients.get(client.id) === client) clients.delete(client.id);
+  }
+
+  function reply(client, message) {
+    client.send(JSON.stringify(message));
+  }
+
+  function handleMessage(client, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (e) {
+      client.send(text);
+      return;
+    }
+
+    switch (message && message.type) {
+      case 'ping':
+        reply(client, { ...message, type: 'pong' });
+        break;
+      case 'subscribe':
+        client.channels.add(message.channel);
+        reply(client, { type: 'subscribe-result', channel: message.channel, success: true });
+        break;
+      case 'unsubscribe':
+        client.channels.delete(message.channel);
+        reply(client, { type: 'unsubscribe-result', channel: message.channel, success: true });
+        break;
+      case 'publish':
+        clients.forEach(other => {
+          if (other.channels.has(message.channel)) {
+            reply(other, { type: `channel-${message.channel}`, channel: message.channel, data: message.data });
+          }
+        });
+        break;
+      case 'request':
+        if (message.method === 'echo') {
+          reply(client, { type: 'response', id: message.id, result: message.params });
+        } else if (message.method === 'drop') {
+          client.close();
+        } else {
+          reply(client, { type: 'response', id: message.id, error: { message: `Unknown method: ${message.method}`, code: -32601 } });
+        }
+        break;
+      default:
+        client.send(text);
+    }
+  }
+
+  // WebSocket
+
+  function writeFrame(socket, opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+      header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    socket.write(Buffer.concat([header, payload]));
+  }
+
+  // Reads the complete frames at the start of the buffer; returns the bytes left over
+  function readFrames(buffer, onFrame) {
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (buffer.length < 4) break;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) break;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+      if (masked) offset += 4;
+      if (buffer.length < offset + length) break;
+
+      const payload = Buffer.from(buffer.subarray(offset, offset + length));
+      if (mask) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      }
+
+      onFrame(fin, opcode, payload);
+      buffer = buffer.subarray(offset + length);
+    }
+
+    return buffer;
+  }
+
+  function acceptWebSocket(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!transports.includes('websocket') || !key) {
+      socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '', ''
+    ].join('\r\n'));
+
+    const client = addClient(crypto.randomUUID(), 'websocket',
+      (text) => writeFrame(socket, 0x1, Buffer.from(text)),
+      () => socket.destroy());
+
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+
+    socket.on('data', (data) => {
+      buffer = readFrames(Buffer.concat([buffer, data]), (fin, opcode, payload) => {
+        if (opcode === 0x8) {
+          // Answer the close handshake with the same code
+          writeFrame(socket, 0x8, payload.subarray(0, 2));
+          socket.end();
+        } else if (opcode === 0x9) {
+          writeFrame(socket, 0xa, payload);
+        } else if (opcode === 0x0 || opcode === 0x1 || opcode === 0x2) {
+          fragments.push(payload);
+          if (fin) {
+            const message = Buffer.concat(fragments).toString();
+            fragments = [];
+            handleMessage(client, message);
+          }
+        }
+      });
+    });
+    socket.on('close', () => removeClient(client));
+    socket.on('error', () => socket.destroy());
+  }
+
+  // Server-Sent Events
+
+  function openEventStream(sid, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(': connected\n\n');
+
+    const client = addClient(sid, 'sse',
+      (text) => res.write(text.split('\n').map(line => `data: ${line}\n`).join('') + '\n'),
+      () => res.destroy());
+
+    res.on('close', () => removeClient(client));
+  }
+
+  // Long polling
+
+  function poll(sid, handshake, res) {
+    let client = clients.get(sid);
+
+    if (!client) {
+      if (!handshake) {
+        res.statusCode = 404; res.end('Unknown session');
+        return;
+      }
+
+      client = addClient(sid, 'polling', (text) => {
+        client.queue.push(text);
+        flushPoll(client);
+      }, () => {
+        removeClient(client);
+        if (client.waiting) client.waiting.destroy();
+      });
+      client.queue = [];
+      client.waiting = null;
+
+      // Answered straight away so the transport can open
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('[]');
+      return;
+    }
+
+    if (client.waiting) {
+      client.waiting.writeHead(204);
+      client.waiting.end();
+    }
+
+    client.waiting = res;
+    clearTimeout(client.expiry);
+    client.timeoutId = setTimeout(() => {
+      if (client.waiting === res) {
+        client.waiting = null;
+        res.writeHead(204);
+        res.end();
+      }
+    }, pollingTimeout);
+
+    res.on('close', () => {
+      if (client.waiting === res) client.waiting = null;
+      clearTimeout(client.timeoutId);
+      // A client that stops polling is forgotten
+      client.expiry = setTimeout(() => {
+        if (!client.waiting) removeClient(client);
+      }, pollingTimeout * 2);
+    });
+
+    flushPoll(client);
+  }
+
+  function flushPoll(client) {
+    if (!client.waiting || client.queue.length === 0) return;
+
+    const res = client.waiting;
+    client.waiting = null;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(client.queue.splice(0)));
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const sid = url.searchParams.get('sid');
+
+    if (!url.pathname.startsWith('/ws/')) {
+      serveFile(req, res);
+      return;
+    }
+
+    // Pages served from elsewhere can still use the HTTP transports
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (req.method === 'GET' && url.pathname === '/ws/sse' && sid && transports.includes('sse')) {
+      openEventStream(sid, res);
+    } else if (req.method === 'GET' && url.pathname === '/ws/poll' && sid && transports.includes('polling')) {
+      poll(sid, url.searchParams.get('handshake') === '1', res);
+    } else if (req.method === 'POST' && url.pathname === '/ws/send' && sid) {
+      const client = clients.get(sid);
+      if (!client) {
+        res.statusCode = 404; res.end('Unknown session');
+        return;
+      }
+
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.statusCode = 204; res.end();
+        handleMessage(client, body);
+      });
+    } else {
+      res.statusCode = 404; res.end('Not found');
+    }
+  });
+
+  server.on('upgrade', (req, socket) => {
+    if (new URL(req.url, 'http://localhost').pathname === '/ws') {
+      acceptWebSocket(req, socket);
+    } else {
+      socket.destroy();
+    }
+  });
+
+  server.clients = clients;
+
+  // Cuts every connection, or those of one transport, the way a crashing server would
+  server.dropClients = (transport) => {
+    Array.from(clients.values())
+      .filter(client => !transport || client.transport === transport)
+      .forEach(client => client.close());
+  };
+
+  return server;
+}
+
+if (require.main === module) {
+  const transports = process.env.TRANSPORTS ? process.env.TRANSPORTS.split(',') : ALL_TRANSPORTS;
+  createServer({ transports }).listen(port, () => console.log(`WebSocket test server: http://localhost:${port} (${transports.join(', ')})`));
+}
+
+module.exports = { createServer };
@@ -0,0 +1,221 @@
+/* global CacheManager */
+const { test, expect } = require('@playwright/test');
+const { openFixture } = require('./helpers');
+
+test.describe('CacheManager loaders', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, { scripts: ['[JS]/modules/cache-manager.js'] });
+
+    // Loaders that settle when the test says so
+    await page.evaluate(() => {
+      window.calls = [];
+      window.pending = [];
+      window.loader = (key) => new Promise((resolve, reject) => {
+        window.calls.push(key);
+        window.pending.push({ resolve, reject });
+      });
+    });
+  });
+
+  test('shares one load between concurrent calls for a key', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const cache = new CacheManager({ storageEnabled: false });
+      const calls = [1, 2, 3].map(() => cache.getOrLoad('user:42', window.loader, { ttl: 60000 }));
+      const other = cache.getOrLoad('user:7', window.loader);
+
+      // The loaders start once the lookups finish
+      await new Promise(resolve => setTimeout(resolve, 0));
+      const during = { calls: [...window.calls], pending: cache.stats().loads.pending };
+
+      window.pending[0].resolve({ name: 'Ada' });
+      window.pending[1].resolve({ name: 'Grace' });
+      const values = await Promise.all([...calls, other]);
+      const again = await cache.getOrLoad('user:42', window.loader);
+
+      const { hits, misses, loads } = cache.stats();
+      return { during, values, again, calls: window.calls, hits, misses, coalesced: loads.coalesced, count: loads.count, pending: loads.pending };
+    });
+
+    expect(result.during).toEqual({ calls: ['user:42', 'user:7'], pending: 2 });
+    expect(result.values).toEqual([{ name: 'Ada' }, { name: 'Ada' }, { name: 'Ada' }, { name: 'Grace' }]);
+    expect(result.again).toEqual({ name: 'Ada' });
+    expect(result).toMatchObject({ calls: ['user:42', 'user:7'], hits: 1, misses: 4, coalesced: 2, count: 2, pending: 0 });
+  });
+
+  test('serves a stale value while reloading it in the background', async ({ page }) => {
+    const read = () => page.evaluate(async () => {
+      const value = await window.cache.getOrLoad('feed', window.loader, { ttl: 1000, staleTtl: 5000 });
+      return { value, calls: window.calls.length };
+    });
+    // Settles the oldest running load and waits for its value to be cached
+    const settle = (value, error) => page.evaluate(async ([value, error]) => {
+      while (!window.pending.length) await Promise.resolve();
+      const load = window.cache.loads.get('feed');
+      const { resolve, reject } = window.pending.shift();
+      if (error) {
+        reject(new Error(error));
+      } else {
+        resolve(value);
+      }
+      await load.promise.catch(() => null);
+    }, [value, error]);
+
+    await page.clock.install({ time: new Date('2024-05-01T11:59:00Z') });
+    await page.clock.pauseAt(new Date('2024-05-01T12:00:00Z'));
+    await page.evaluate(() => {
+      window.cache = new CacheManager({ storageEnabled: false });
+      window.first = window.cache.getOrLoad('feed', window.loader, { ttl: 1000, staleTtl: 5000 });
+    });
+    await settle('v1');
+    expect(await page.evaluate(() => window.first)).toBe('v1');
+
+    await page.clock.runFor(500);
+    expect(await read()).toEqual({ value: 'v1', calls: 1 });
+
+    // Past the TTL the old value comes back at once and a reload starts; calls during it share it
+    await page.clock.runFor(1000);
+    expect(await read()).toEqual({ value: 'v1', calls: 2 });
+    expect(await read()).toEqual({ value: 'v1', calls: 2 });
+    await settle('v2');
+    expect(await read()).toEqual({ value: 'v2', calls: 2 });
+
+    // Past the stale window the caller waits for the load
+    await page.clock.runFor(7000);
+    await page.evaluate(() => {
+      window.waiting = window.cache.getOrLoad('feed', window.loader, { ttl: 1000, staleTtl: 5000 });
+    });
+    await settle('v3');
+    expect(await page.evaluate(() => window.waiting)).toBe('v3');
+
+    // A failed background reload leaves the stale value in place
+    await page.clock.runFor(1500);
+    expect(await read()).toEqual({ value: 'v3', calls: 4 });
+    await page.evaluate(() => {
+      window.warnings = [];
+      console.warn = (message) => window.warnings.push(message);
+    });
+    await settle(null, 'offline');
+    expect(await read()).toEqual({ value: 'v3', calls: 5 });
+
+    const stats = await page.evaluate(() => ({ ...window.cache.stats(), warnings: window.warnings }));
+    expect(stats).toMatchObject({ hits: 2, misses: 2, stale: 4, warnings: ['Failed to refresh cache item "feed":'] });
+    expect(stats.loads).toMatchObject({ count: 3, errors: 1, pending: 1 });
+    expect(stats.hitRate).toBeCloseTo(6 / 8);
+  });
+
+  test('drops every item with an invalidated tag, including loads still running', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const cache = new CacheManager({ storagePrefix: 'tags-', tiers: ['localStorage'], maxSize: 2 });
+      cache.set('user:42', { name: 'Ada' }, undefined, { tags: ['user:42'] });
+      cache.set('user:42:posts', [1, 2], undefined, { tags: ['user:42', 'posts'] });
+      cache.set('user:7', { name: 'Grace' }, undefined, { tags: ['user:7'] });
+      // Evicted from memory by now, so only localStorage has the first item
+      const inMemory = cache.keys();
+
+      const loading = cache.getOrLoad('user:42:friends', window.loader, { tags: ['user:42'] });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const removed = cache.invalidateTag('user:42');
+      window.pending[0].resolve(['user:7']);
+
+      return {
+        inMemory,
+        removed,
+        loaded: await loading,
+        left: ['user:42', 'user:42:posts', 'user:42:friends', 'user:7'].map(key => cache.get(key) !== undefined),
+        stored: Object.keys(localStorage).filter(key => key.startsWith('tags-')),
+        tags: cache.stats().tags
+      };
+    });
+
+    expect(result).toEqual({
+      inMemory: ['user:42:posts', 'user:7'],
+      removed: 2,
+      // The running load still answers its caller
+      loaded: ['user:7'],
+      left: [false, false, false, true],
+      stored: ['tags-user:7'],
+      tags: ['user:7']
+    });
+  });
+
+  test('does not cache a load whose key is removed while its lookup runs', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const cache = new CacheManager({ storagePrefix: 'lookups-', tiers: ['indexedDB'] });
+      window.loader = (key) => `new ${key}`;
+
+      const cleared = cache.getOrLoad('cleared', window.loader);
+      cache.clear();
+      await cleared;
+
+      // Removed in the same tick as the call, before the lookup has read IndexedDB
+      await cache.tiers[0].adapter.set('deleted', { value: 'old', expiration: Date.now() + 60000, timestamp: Date.now() });
+      const deleted = cache.getOrLoad('deleted', window.loader);
+      cache.delete('deleted');
+
+      const invalidated = cache.getOrLoad('tagged', window.loader, { tags: ['team:1'] });
+      const otherTag = cache.getOrLoad('untagged', window.loader, { tags: ['team:2'] });
+      cache.invalidateTag('team:1');
+
+      const values = await Promise.all([deleted, invalidated, otherTag, cleared]);
+      return {
+        values,
+        cached: ['deleted', 'tagged', 'untagged', 'cleared'].map(key => cache.peek(key)),
+        stored: await cache.tiers[0].adapter.keys(),
+        lookups: cache.lookups.size,
+        pending: cache.stats().loads.pending
+      };
+    });
+
+    expect(result).toEqual({
+      // The deleted value isn't served either
+      values: ['new deleted', 'new tagged', 'new untagged', 'new cleared'],
+      cached: [undefined, undefined, 'new untagged', undefined],
+      stored: ['untagged'],
+      lookups: 0,
+      pending: 0
+    });
+  });
+
+  test('reports load errors and latency and memoizes functions through getOrLoad', async ({ page }) => {
+    await page.clock.install({ time: new Date('2024-05-01T11:59:00Z') });
+    await page.clock.pauseAt(new Date('2024-05-01T12:00:00Z'));
+    await page.evaluate(() => {
+      window.cache = new CacheManager({ storageEnabled: false });
+      window.fetchUser = (id) => new Promise(resolve => setTimeout(() => resolve({ id }), 30));
+      window.cached = window.cache.cacheFunction((id) => {
+        window.calls.push(id);
+        return window.fetchUser(id);
+      }, id => `user:${id}`, 60000, { tags: ['users'] });
+      window.results = Promise.all([window.cached(1), window.cached(1), window.cached(2)]);
+    });
+    await page.clock.runFor(30);
+
+    const result = await page.evaluate(async () => {
+      const cache = window.cache;
+      const results = await window.results;
+      const repeat = await window.cached(1);
+
+      const failure = await cache.getOrLoad('broken', () => { throw new Error('down'); }).catch(e => e.message);
+      const retried = await cache.getOrLoad('broken', () => 'fixed');
+
+      const { loads } = cache.stats();
+      const stats = { hitRate: cache.stats().hitRate, loads };
+      cache.resetStats();
+
+      return { results, repeat, calls: window.calls, failure, retried, tagged: cache.invalidateTag('users'), stats, reset: cache.stats() };
+    });
+
+    expect(result.results).toEqual([{ id: 1 }, { id: 1 }, { id: 2 }]);
+    expect(result.repeat).toEqual({ id: 1 });
+    expect(result.calls).toEqual([1, 2]);
+    expect([result.failure, result.retried, result.tagged]).toEqual(['down', 'fixed', 2]);
+
+    expect(result.stats.hitRate).toBeCloseTo(1 / 6);
+    expect(result.stats.loads).toMatchObject({ count: 3, coalesced: 1, errors: 1, maxLatency: 30, averageLatency: 20 });
+    const buckets = Object.fromEntries(result.stats.loads.latency.map(({ le, count }) => [le, count]));
+    expect(buckets).toMatchObject({ 5: 1, 10: 0, 25: 0, 50: 2, Infinity: 0 });
+
+    expect(result.reset).toMatchObject({ hits: 0, misses: 0, stale: 0, hitRate: 0, loads: { count: 0, errors: 0, coalesced: 0 } });
+  });
+});
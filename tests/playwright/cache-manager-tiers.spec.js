@@ -0,0 +1,306 @@
+/* global CacheManager, MemoryStorageAdapter */
+const { test, expect } = require('@playwright/test');
+const { openFixture } = require('./helpers');
+
+const SCRIPTS = ['[JS]/modules/cache-manager.js'];
+
+test.describe('CacheManager tiers and eviction', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.clock.install({ time: new Date('2024-05-01T11:59:00Z') });
+    await openFixture(page, { scripts: SCRIPTS });
+    await page.clock.pauseAt(new Date('2024-05-01T12:00:00Z'));
+  });
+
+  test('evicts from memory in the order of the eviction policy', async ({ page }) => {
+    await page.evaluate(() => {
+      const policies = {
+        lru: 'lru',
+        lfu: 'lfu',
+        fifo: 'fifo',
+        size: 'size',
+        // Most recently used first
+        custom: (a, b) => b.lastAccess - a.lastAccess
+      };
+      window.managers = {};
+      Object.entries(policies).forEach(([name, evictionPolicy]) => {
+        window.managers[name] = new CacheManager({ storageEnabled: false, maxSize: 3, evictionPolicy });
+      });
+    });
+
+    // One millisecond apart, so every read and write has its own time
+    const steps = [
+      ['set', 'a', 'a'],
+      ['set', 'b', 'b'.repeat(10)],
+      ['set', 'c', 'c'.repeat(100)],
+      ['get', 'c'], ['get', 'c'], ['get', 'c'],
+      ['get', 'a'], ['get', 'a'],
+      ['get', 'b'],
+      ['set', 'd', 'd']
+    ];
+    for (const step of steps) {
+      await page.evaluate(([method, ...args]) => Object.values(window.managers).forEach(manager => manager[method](...args)), step);
+      await page.clock.runFor(1);
+    }
+
+    const result = await page.evaluate(() => {
+      const kept = {};
+      Object.entries(window.managers).forEach(([name, manager]) => {
+        const { evictions, evictionPolicy } = manager.stats();
+        kept[name] = { keys: manager.keys().sort(), evictions, evictionPolicy };
+      });
+
+      const unknown = new CacheManager({ storageEnabled: false, maxSize: 1, evictionPolicy: 'random' });
+      unknown.set('a', 1);
+      let error = null;
+      try {
+        unknown.set('b', 2);
+      } catch (e) {
+        error = e.message;
+      }
+
+      return { kept, error };
+    });
+
+    // The new item is never the one evicted, even though it has no reads yet
+    expect(result.kept).toEqual({
+      lru: { keys: ['a', 'b', 'd'], evictions: 1, evictionPolicy: 'lru' },
+      lfu: { keys: ['a', 'c', 'd'], evictions: 1, evictionPolicy: 'lfu' },
+      fifo: { keys: ['b', 'c', 'd'], evictions: 1, evictionPolicy: 'fifo' },
+      // c has the most reads but is 34 times the size of a
+      size: { keys: ['a', 'b', 'd'], evictions: 1, evictionPolicy: 'size' },
+      custom: { keys: ['a', 'c', 'd'], evictions: 1, evictionPolicy: 'custom' }
+    });
+    expect(result.error).toBe('Unknown eviction policy: random');
+  });
+
+  test('keeps memory within its byte budget', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const warnings = [];
+      console.warn = (message) => warnings.push(message);
+
+      const cache = new CacheManager({ storageEnabled: false, maxBytes: 100 });
+      // JSON adds the quotes, so each value is 40 bytes
+      const value = (letter) => letter.repeat(38);
+
+      const stored = [cache.set('a', value('a')), cache.set('b', value('b')), cache.set('too-big', 'x'.repeat(200))];
+      const full = cache.stats().bytes;
+      cache.set('c', value('c'));
+      const afterEviction = { keys: cache.keys(), bytes: cache.stats().bytes, evictions: cache.stats().evictions };
+
+      // Replacing an item counts only its new size
+      cache.set('c', 'short');
+      const replaced = cache.stats().bytes;
+      cache.delete('b');
+
+      return { stored, full, afterEviction, replaced, deleted: cache.stats().bytes, warnings };
+    });
+
+    expect(result.stored).toEqual([true, true, false]);
+    expect(result.warnings).toEqual(['Cache item "too-big" is larger than maxBytes and was not stored']);
+    expect(result.full).toBe(80);
+    expect(result.afterEviction).toEqual({ keys: ['b', 'c'], bytes: 80, evictions: 1 });
+    expect(result.replaced).toBe(47);
+    expect(result.deleted).toBe(7);
+  });
+
+  test('reads through and writes through the storage tiers', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const options = { storagePrefix: 'tiers-', tiers: ['sessionStorage', 'localStorage'], maxSize: 2 };
+      const cache = new CacheManager(options);
+      const stored = (storage, key) => {
+        const json = window[storage].getItem(`tiers-${key}`);
+        return json ? JSON.parse(json).value : null;
+      };
+
+      cache.set('user', { name: 'Ada' });
+      const written = [stored('sessionStorage', 'user'), stored('localStorage', 'user')];
+
+      // A memory and sessionStorage miss is found in localStorage and copied back up
+      cache.clearMemory();
+      sessionStorage.removeItem('tiers-user');
+      const readThrough = cache.get('user');
+      const promoted = [cache.keys(), stored('sessionStorage', 'user')];
+
+      // Items evicted from memory stay in the tiers
+      cache.set('a', 1);
+      cache.set('b', 2);
+      const inMemory = cache.keys();
+      const evicted = cache.get('user');
+
+      // Expired copies are dropped as they're read
+      localStorage.setItem('tiers-old', JSON.stringify({ value: 'old', expiration: Date.now() - 1, timestamp: 0 }));
+      const expired = [cache.get('old'), localStorage.getItem('tiers-old')];
+
+      // A new instance starts from what the tiers hold
+      const reloaded = new CacheManager(options);
+
+      return {
+        written,
+        readThrough,
+        promoted,
+        inMemory,
+        evicted,
+        expired,
+        reloaded: [reloaded.size(), ['user', 'a', 'b'].map(key => reloaded.get(key))],
+        tiers: cache.stats().tiers
+      };
+    });
+
+    expect(result).toEqual({
+      written: [{ name: 'Ada' }, { name: 'Ada' }],
+      readThrough: { name: 'Ada' },
+      promoted: [['user'], { name: 'Ada' }],
+      inMemory: ['a', 'b'],
+      evicted: { name: 'Ada' },
+      expired: [undefined, null],
+      // Loading stops at the memory limit, and the rest is still read through
+      reloaded: [2, [{ name: 'Ada' }, 1, 2]],
+      tiers: ['sessionStorage', 'localStorage']
+    });
+  });
+
+  test('enforces tier limits once after a burst of writes', async ({ page }) => {
+    await page.evaluate(() => {
+      window.cache = new CacheManager({
+        storagePrefix: 'limits-',
+        tiers: [{ type: 'localStorage', maxSize: 3 }, { type: 'sessionStorage', maxBytes: 50 }]
+      });
+      window.reads = 0;
+      const readTierItems = window.cache.readTierItems;
+      window.cache.readTierItems = function (...args) {
+        window.reads++;
+        return readTierItems.apply(this, args);
+      };
+    });
+
+    for (let i = 0; i < 6; i++) {
+      // 20 bytes each
+      await page.evaluate(i => window.cache.set(`item-${i}`, `value-${i}`.padEnd(18, '.')), i);
+      await page.clock.runFor(1);
+    }
+
+    const tierKeys = () => page.evaluate(() => ({
+      local: Object.keys(localStorage).filter(key => key.startsWith('limits-')).sort(),
+      session: Object.keys(sessionStorage).filter(key => key.startsWith('limits-')).sort(),
+      reads: window.reads
+    }));
+
+    // Writes don't parse the whole tier
+    const burst = await tierKeys();
+    expect(burst.local).toHaveLength(6);
+    expect(burst.session).toHaveLength(6);
+    expect(burst.reads).toBe(0);
+
+    await page.clock.runFor(1000);
+    expect(await tierKeys()).toEqual({
+      local: ['limits-item-3', 'limits-item-4', 'limits-item-5'],
+      session: ['limits-item-4', 'limits-item-5'],
+      reads: 2
+    });
+
+    // Memory still holds everything, and the next write schedules one more pass
+    await page.evaluate(() => window.cache.set('item-6', 'value-6'.padEnd(18, '.')));
+    expect((await tierKeys()).reads).toBe(2);
+    await page.clock.runFor(1000);
+    expect(await tierKeys()).toMatchObject({ local: ['limits-item-4', 'limits-item-5', 'limits-item-6'], reads: 4 });
+    expect(await page.evaluate(() => window.cache.size())).toBe(7);
+
+    // Destroying the manager drops a pending pass
+    await page.evaluate(() => {
+      window.cache.set('item-7', 'value-7');
+      window.cache.destroy();
+    });
+    await page.clock.runFor(1000);
+    expect(await tierKeys()).toMatchObject({ reads: 4 });
+  });
+
+  test('makes room straight away when a tier is full', async ({ page }) => {
+    await page.evaluate(() => {
+      // Holds two items, like storage with a tiny quota
+      class SmallAdapter extends MemoryStorageAdapter {
+        set(key, item) {
+          if (!this.items.has(key) && this.items.size >= 2) {
+            throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+          }
+          super.set(key, item);
+        }
+      }
+
+      window.adapter = new SmallAdapter();
+      window.cache = new CacheManager({ tiers: [{ adapter: window.adapter }] });
+    });
+
+    for (const key of ['a', 'b', 'c']) {
+      await page.evaluate(key => window.cache.set(key, key), key);
+      await page.clock.runFor(1);
+    }
+
+    const result = await page.evaluate(() => ({ stored: window.adapter.keys().sort(), tiers: window.cache.stats().tiers }));
+    expect(result).toEqual({ stored: ['b', 'c'], tiers: ['memory'] });
+  });
+
+  test('reads IndexedDB through getAsync and limits it in the background', async ({ page }) => {
+    await page.evaluate(() => {
+      window.cache = new CacheManager({ storagePrefix: 'idb-tiers-', tiers: [{ type: 'indexedDB', maxSize: 2 }] });
+      window.storedKeys = () => window.cache.tiers[0].adapter.keys().then(keys => keys.sort());
+    });
+
+    for (const key of ['a', 'b', 'c']) {
+      await page.evaluate(key => window.cache.set(key, key.toUpperCase()), key);
+      await page.clock.runFor(1);
+    }
+    await expect.poll(() => page.evaluate(() => window.storedKeys())).toEqual(['a', 'b', 'c']);
+
+    await page.clock.runFor(1000);
+    await expect.poll(() => page.evaluate(() => window.storedKeys())).toEqual(['b', 'c']);
+
+    const result = await page.evaluate(async () => {
+      const cache = window.cache;
+      cache.clearMemory();
+
+      // get() only checks the synchronous tiers
+      const sync = cache.get('c');
+      const async = await cache.getAsync('c');
+      return { sync, async, memory: cache.keys(), evicted: await cache.getAsync('a') };
+    });
+
+    expect(result).toEqual({ sync: undefined, async: 'C', memory: ['c'], evicted: undefined });
+  });
+
+  test('drops other tabs\' copies of changed keys over BroadcastChannel', async ({ page, context }) => {
+    const other = await context.newPage();
+    await openFixture(other, { scripts: SCRIPTS });
+
+    const create = (tab) => tab.evaluate(() => {
+      window.cache = new CacheManager({ storagePrefix: 'tabs-', tiers: ['sessionStorage', 'localStorage'], channelName: 'cache-tabs' });
+    });
+    await create(page);
+    await create(other);
+
+    const read = (tab, key) => tab.evaluate(key => window.cache.get(key), key);
+    const sessionCopies = (tab) => tab.evaluate(() => Object.keys(sessionStorage).filter(key => key.startsWith('tabs-')).sort());
+
+    await page.evaluate(() => {
+      window.cache.set('user', 'Ada');
+      window.cache.set('profile', 'v1', undefined, { tags: ['user:1'] });
+    });
+    expect(await read(other, 'user')).toBe('Ada');
+    expect(await read(other, 'profile')).toBe('v1');
+    expect(await sessionCopies(other)).toEqual(['tabs-profile', 'tabs-user']);
+
+    // The other tab drops its memory and sessionStorage copies and reads the new shared value
+    await page.evaluate(() => window.cache.set('user', 'Grace'));
+    await expect.poll(() => read(other, 'user')).toBe('Grace');
+
+    // Tagged items go too, including ones the other tab stored
+    await other.evaluate(() => window.cache.set('settings', 'dark', undefined, { tags: ['user:1'] }));
+    await page.evaluate(() => window.cache.invalidateTag('user:1'));
+    await expect.poll(() => sessionCopies(other)).toEqual(['tabs-user']);
+    expect(await read(other, 'profile')).toBeUndefined();
+    expect(await read(other, 'settings')).toBeUndefined();
+
+    await page.evaluate(() => window.cache.clear());
+    await expect.poll(() => other.evaluate(() => window.cache.keys())).toEqual([]);
+    expect(await sessionCopies(other)).toEqual([]);
+  });
+});
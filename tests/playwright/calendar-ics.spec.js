@@ -0,0 +1,236 @@
+/* global CalendarComponent, CalendarICS, CalendarRecurrence */
+const { test, expect } = require('@playwright/test');
+const { openFixture } = require('./helpers');
+
+// Viewed from a zone whose DST switch falls on another date than the events' zone
+test.use({ timezoneId: 'America/New_York' });
+
+const BERLIN_SERIES = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:sync@example.com',
+  'DTSTART;TZID=Europe/Berlin:20240305T100000',
+  'DTEND;TZID=Europe/Berlin:20240305T110000',
+  'RRULE:FREQ=WEEKLY;COUNT=5',
+  'EXDATE;TZID=Europe/Berlin:20240319T100000',
+  'SUMMARY:Team sync',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:sync@example.com',
+  'RECURRENCE-ID;TZID=Europe/Berlin:20240326T100000',
+  'DTSTART;TZID=Europe/Berlin:20240326T140000',
+  'DTEND;TZID=Europe/Berlin:20240326T150000',
+  'SUMMARY:Team sync (moved)',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+// Outlook writes Windows zone names with their rules alongside
+const OUTLOOK_SERIES = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VTIMEZONE',
+  'TZID:W. Europe Standard Time',
+  'BEGIN:STANDARD',
+  'DTSTART:16010101T030000',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0100',
+  'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=10',
+  'END:STANDARD',
+  'BEGIN:DAYLIGHT',
+  'DTSTART:16010101T020000',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0200',
+  'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=3',
+  'END:DAYLIGHT',
+  'END:VTIMEZONE',
+  'BEGIN:VEVENT',
+  'UID:planning@example.com',
+  'DTSTART;TZID=W. Europe Standard Time:20240326T100000',
+  'DTEND;TZID=W. Europe Standard Time:20240326T103000',
+  'RRULE:FREQ=WEEKLY;COUNT=2',
+  'SUMMARY:Planning',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+test.describe('CalendarICS time zones', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, {
+      scripts: ['[JS]/components/calendar-component.js'],
+      body: '<div id="calendar"></div>'
+    });
+    await page.evaluate(() => {
+      window.listOccurrences = (events) => {
+        const calendar = new CalendarComponent(document.getElementById('calendar'), { events });
+        return calendar.getEventOccurrences(new Date('2024-03-01T00:00:00Z'), new Date('2024-04-30T00:00:00Z'))
+          .map(event => `${event.title} ${event.start.toISOString()}`);
+      };
+    });
+  });
+
+  test('repeats an imported series in its own zone across DST changes', async ({ page }) => {
+    const result = await page.evaluate((text) => {
+      const events = CalendarICS.parse(text);
+      return { timezones: events.map(event => event.timezone), shown: window.listOccurrences(events) };
+    }, BERLIN_SERIES);
+
+    expect(result.timezones).toEqual(['Europe/Berlin', 'Europe/Berlin']);
+    // 10:00 in Berlin is 09:00 UTC until Berlin moves its clocks on March 31, whatever New York does
+    expect(result.shown).toEqual([
+      'Team sync 2024-03-05T09:00:00.000Z',
+      'Team sync 2024-03-12T09:00:00.000Z',
+      'Team sync (moved) 2024-03-26T13:00:00.000Z',
+      'Team sync 2024-04-02T08:00:00.000Z'
+    ]);
+  });
+
+  test('repeats in zones known only from VTIMEZONE definitions', async ({ page }) => {
+    const result = await page.evaluate((text) => {
+      const timezones = {};
+      const [event] = CalendarICS.parse(text, timezones);
+      return {
+        timezone: event.timezone,
+        starts: CalendarRecurrence.expand(event, new Date('2024-03-01'), new Date('2024-04-30'), 1000, timezones).map(({ start }) => start.toISOString())
+      };
+    }, OUTLOOK_SERIES);
+
+    expect(result).toEqual({
+      timezone: 'W. Europe Standard Time',
+      starts: ['2024-03-26T09:00:00.000Z', '2024-04-02T08:00:00.000Z']
+    });
+  });
+
+  test('keeps events without a zone in local time', async ({ page }) => {
+    const starts = await page.evaluate(() => {
+      const expand = (event) => CalendarRecurrence.expand({ rrule: 'FREQ=WEEKLY;COUNT=2', ...event }, new Date('2024-03-01'), new Date('2024-03-31'))
+        .map(({ start }) => start.toISOString());
+      const start = new Date('2024-03-05T09:00:00Z');
+      return { zoned: expand({ start, timezone: 'Europe/Berlin' }), local: expand({ start }) };
+    });
+
+    expect(starts.zoned).toEqual(['2024-03-05T09:00:00.000Z', '2024-03-12T09:00:00.000Z']);
+    // 04:00 in New York moves an hour earlier in UTC once New York switches on March 10
+    expect(starts.local).toEqual(['2024-03-05T09:00:00.000Z', '2024-03-12T08:00:00.000Z']);
+  });
+
+  test('writes zoned series back with TZID and reads them the same way', async ({ page }) => {
+    const result = await page.evaluate(([berlin, outlook]) => {
+      const calendar = new CalendarComponent(document.getElementById('calendar'));
+      const occurrences = () => calendar.getEventOccurrences(new Date('2024-03-01T00:00:00Z'), new Date('2024-04-30T00:00:00Z'))
+        .map(event => `${event.title} ${event.start.toISOString()}`);
+
+      return calendar.importICS(berlin).then(() => calendar.importICS(outlook)).then(() => {
+        const text = calendar.exportICS();
+        const before = occurrences();
+        return calendar.importICS(text, { replace: true }).then(() => ({ text, before, after: occurrences() }));
+      });
+    }, [BERLIN_SERIES, OUTLOOK_SERIES]);
+
+    const lines = result.text.split('\r\n');
+    expect(lines).toEqual(expect.arrayContaining([
+      'DTSTART;TZID=Europe/Berlin:20240305T100000',
+      'DTEND;TZID=Europe/Berlin:20240305T110000',
+      'EXDATE;TZID=Europe/Berlin:20240319T100000',
+      'RECURRENCE-ID;TZID=Europe/Berlin:20240326T100000',
+      'DTSTART;TZID=W. Europe Standard Time:20240326T100000',
+      'TZID:W. Europe Standard Time',
+      'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=3'
+    ]));
+    // The VTIMEZONE comes before the events that use it
+    expect(lines.indexOf('BEGIN:VTIMEZONE')).toBeLessThan(lines.indexOf('BEGIN:VEVENT'));
+    expect(result.after).toEqual(result.before);
+  });
+
+  test('writes a VTIMEZONE for zones the browser knows, so other readers need not', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const events = [
+        { id: 'standup', title: 'Standup', start: new Date('2024-03-05T09:00:00Z'), end: new Date('2024-03-05T09:15:00Z'), timezone: 'Europe/Berlin', rrule: 'FREQ=WEEKLY' },
+        { id: 'review', title: 'Review', start: new Date('2025-11-03T15:00:00Z'), timezone: 'America/New_York' },
+        { id: 'call', title: 'Call', start: new Date('2024-06-01T01:00:00Z'), timezone: 'Asia/Tokyo' },
+        { id: 'offsite', title: 'Offsite', start: new Date('2024-06-01T08:00:00Z'), timezone: 'Mars/Olympus_Mons' }
+      ];
+      const text = CalendarICS.stringify(events);
+
+      // Renamed zones can only be read through the VTIMEZONEs in the file
+      const renamed = text.replace(/Europe\/Berlin/g, 'Berlin').replace(/America\/New_York/g, 'New York').replace(/Asia\/Tokyo/g, 'Tokyo');
+      const timezones = {};
+      const parsed = CalendarICS.parse(renamed, timezones);
+      const expand = (event, from, to) => CalendarRecurrence.expand(event, new Date(from), new Date(to), 1000, timezones)
+        .map(({ start }) => start.toISOString());
+
+      return {
+        lines: text.split('\r\n'),
+        zones: Object.keys(timezones),
+        timezones: parsed.map(event => event.timezone),
+        starts: parsed.map(event => event.start.toISOString()),
+        // Around Berlin's switch in March 2024, and years later on the RRULE
+        standup: [...expand(parsed[0], '2024-03-25', '2024-04-05'), ...expand(parsed[0], '2031-10-20', '2031-11-01')]
+      };
+    });
+
+    const { lines } = result;
+    const block = (tzid) => lines.slice(lines.indexOf(`TZID:${tzid}`), lines.indexOf('END:VTIMEZONE', lines.indexOf(`TZID:${tzid}`)));
+    expect(result.zones).toEqual(['Berlin', 'New York', 'Tokyo']);
+
+    // 2023 and 2024 one by one, then the rule both years follow
+    expect(block('Europe/Berlin')).toEqual([
+      'TZID:Europe/Berlin',
+      'BEGIN:DAYLIGHT', 'DTSTART:20230326T020000', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0200', 'END:DAYLIGHT',
+      'BEGIN:STANDARD', 'DTSTART:20231029T030000', 'TZOFFSETFROM:+0200', 'TZOFFSETTO:+0100', 'END:STANDARD',
+      'BEGIN:DAYLIGHT', 'DTSTART:20240331T020000', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0200', 'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU', 'END:DAYLIGHT',
+      'BEGIN:STANDARD', 'DTSTART:20241027T030000', 'TZOFFSETFROM:+0200', 'TZOFFSETTO:+0100', 'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU', 'END:STANDARD'
+    ]);
+    expect(block('America/New_York')).toContain('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU');
+    expect(block('America/New_York')).toContain('DTSTART:20251102T020000');
+    expect(block('Asia/Tokyo')).toEqual([
+      'TZID:Asia/Tokyo',
+      'BEGIN:STANDARD', 'DTSTART:20230101T000000', 'TZOFFSETFROM:+0900', 'TZOFFSETTO:+0900', 'END:STANDARD'
+    ]);
+
+    expect(lines).toEqual(expect.arrayContaining([
+      'DTSTART;TZID=Europe/Berlin:20240305T100000',
+      'DTSTART;TZID=America/New_York:20251103T100000',
+      'DTSTART;TZID=Asia/Tokyo:20240601T100000',
+      // Nothing defines this zone, so its times are written in UTC
+      'DTSTART:20240601T080000Z'
+    ]));
+    expect(result.timezones).toEqual(['Berlin', 'New York', 'Tokyo', undefined]);
+    expect(result.starts).toEqual(['2024-03-05T09:00:00.000Z', '2025-11-03T15:00:00.000Z', '2024-06-01T01:00:00.000Z', '2024-06-01T08:00:00.000Z']);
+    expect(result.standup).toEqual([
+      '2024-03-26T09:00:00.000Z', '2024-04-02T08:00:00.000Z',
+      '2031-10-21T08:00:00.000Z', '2031-10-28T09:00:00.000Z'
+    ]);
+  });
+
+  test('keeps the definitions of an imported file to the calendar that imported it', async ({ page }) => {
+    const result = await page.evaluate(async (text) => {
+      const warnings = [];
+      console.warn = (...args) => warnings.push(args.join(' '));
+
+      const importing = new CalendarComponent(document.getElementById('calendar'));
+      const other = new CalendarComponent(document.createElement('div'));
+      await importing.importICS(text);
+
+      // The same series handed to a calendar that never saw the file
+      other.addEvent({ ...importing.events[0] });
+      const starts = (calendar) => calendar.getEventOccurrences(new Date('2024-03-01'), new Date('2024-04-30'))
+        .map(event => event.start.toISOString());
+
+      return {
+        importing: starts(importing),
+        other: starts(other),
+        exported: other.exportICS().includes('BEGIN:VTIMEZONE'),
+        parsedAlone: CalendarICS.hasTimezone('W. Europe Standard Time'),
+        warned: warnings.some(warning => warning.includes('W. Europe Standard Time'))
+      };
+    }, OUTLOOK_SERIES);
+
+    expect(result.importing).toEqual(['2024-03-26T09:00:00.000Z', '2024-04-02T08:00:00.000Z']);
+    expect(result.other).not.toEqual(result.importing);
+    expect(result.exported).toBe(false);
+    expect(result.parsedAlone).toBe(false);
+    expect(result.warned).toBe(true);
+  });
+});
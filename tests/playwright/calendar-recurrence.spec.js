@@ -0,0 +1,154 @@
+/* global CalendarComponent, CalendarRecurrence */
+const { test, expect } = require('@playwright/test');
+const { openFixture } = require('./helpers');
+
+// Expansion keeps the local time of day, so the zone is pinned to one with DST
+test.use({ timezoneId: 'Europe/Berlin' });
+
+test.describe('CalendarComponent recurrence and drag editing', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, {
+      scripts: ['[JS]/components/calendar-component.js'],
+      body: '<div id="calendar"></div>'
+    });
+  });
+
+  test('expands RRULE parts into local occurrences', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const pad = (value) => String(value).padStart(2, '0');
+      const local = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+      const expand = (rrule, start, to, extra = {}) => CalendarRecurrence
+        .expand({ start, rrule, ...extra }, new Date(start), new Date(to))
+        .map(occurrence => local(occurrence.start));
+
+      return {
+        lastFriday: expand('FREQ=MONTHLY;BYDAY=-1FR;COUNT=4', '2024-01-26T09:00', '2025-01-01'),
+        biweekly: expand('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20240215T235959Z', '2024-01-01T10:00', '2025-01-01'),
+        lastWeekday: expand('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=3', '2024-01-31T17:00', '2025-01-01'),
+        leapDay: expand('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=29', '2024-02-29T12:00', '2033-01-01'),
+        acrossDst: CalendarRecurrence.expand({ start: '2024-03-30T09:00', rrule: 'FREQ=DAILY;COUNT=3' }, new Date('2024-03-01'), new Date('2024-04-30'))
+          .map(occurrence => occurrence.start.toISOString()),
+        excluded: expand('FREQ=WEEKLY;COUNT=4', '2024-05-06T08:30', '2024-12-31', {
+          exdate: [new Date('2024-05-13T08:30').toISOString(), '20240520']
+        }),
+        text: CalendarRecurrence.stringify(CalendarRecurrence.parse('RRULE:FREQ=MONTHLY;BYDAY=2MO,-1FR;INTERVAL=3;WKST=SU'))
+      };
+    });
+
+    expect(result.lastFriday).toEqual(['2024-01-26 09:00', '2024-02-23 09:00', '2024-03-29 09:00', '2024-04-26 09:00']);
+    expect(result.biweekly).toEqual([
+      '2024-01-01 10:00', '2024-01-03 10:00', '2024-01-15 10:00', '2024-01-17 10:00',
+      '2024-01-29 10:00', '2024-01-31 10:00', '2024-02-12 10:00', '2024-02-14 10:00'
+    ]);
+    expect(result.lastWeekday).toEqual(['2024-01-31 17:00', '2024-02-29 17:00', '2024-03-29 17:00']);
+    expect(result.leapDay).toEqual(['2024-02-29 12:00', '2028-02-29 12:00', '2032-02-29 12:00']);
+    // 09:00 in Berlin is 08:00 UTC before the switch to summer time and 07:00 UTC after it
+    expect(result.acrossDst).toEqual(['2024-03-30T08:00:00.000Z', '2024-03-31T07:00:00.000Z', '2024-04-01T07:00:00.000Z']);
+    // Excluded dates still count towards COUNT
+    expect(result.excluded).toEqual(['2024-05-06 08:30', '2024-05-27 08:30']);
+    expect(result.text).toBe('FREQ=MONTHLY;INTERVAL=3;BYDAY=2MO,-1FR;WKST=SU');
+  });
+
+  test('drags out a new event in the week view', async ({ page }) => {
+    await page.evaluate(() => {
+      window.drafts = [];
+      window.calendar = new CalendarComponent(document.getElementById('calendar'), {
+        initialView: 'week',
+        initialDate: new Date(2024, 0, 10),
+        onEventCreate: (draft) => window.drafts.push([draft.title, draft.start.getHours()])
+      });
+    });
+
+    const column = page.locator('.week-day-slots[data-date="2024-01-10"]');
+    const box = await column.boundingBox();
+    // 30px per hour starting at 08:00
+    await page.mouse.move(box.x + 20, box.y + 61);
+    await page.mouse.down();
+    await page.mouse.move(box.x + 20, box.y + 80);
+    await expect(column.locator('.calendar-selection-preview')).toHaveCount(1);
+    await page.mouse.move(box.x + 20, box.y + 106);
+    await page.mouse.up();
+
+    await expect(column.locator('.calendar-event')).toHaveText('New Event');
+    await expect(page.locator('.calendar-selection-preview')).toHaveCount(0);
+    const created = await page.evaluate(() => window.calendar.events.map(event => [event.start.getHours(), event.start.getMinutes(), event.end.getHours(), event.end.getMinutes()]));
+    expect(created).toEqual([[10, 0, 11, 45]]);
+    expect(await page.evaluate(() => window.drafts)).toEqual([['New Event', 10]]);
+  });
+
+  test('resizes an event by its bottom edge and honours a cancelling callback', async ({ page }) => {
+    await page.evaluate(() => {
+      window.resizes = [];
+      window.calendar = new CalendarComponent(document.getElementById('calendar'), {
+        initialView: 'week',
+        initialDate: new Date(2024, 0, 10),
+        events: [{ id: 'review', title: 'Review', start: new Date(2024, 0, 10, 10), end: new Date(2024, 0, 10, 11) }],
+        onEventResize: (event, { end }) => {
+          window.resizes.push(end.getHours() * 60 + end.getMinutes());
+          return window.resizes.length > 1;
+        }
+      });
+    });
+
+    const column = page.locator('.week-day-slots[data-date="2024-01-10"]');
+    const box = await column.boundingBox();
+    const dragEnd = async (toY) => {
+      const handle = await page.locator('[data-event-id="review"] .event-resize-handle.end').boundingBox();
+      await page.mouse.move(handle.x + handle.width / 2, handle.y + handle.height / 2);
+      await page.mouse.down();
+      await page.mouse.move(handle.x + handle.width / 2, box.y + toY, { steps: 4 });
+      await page.mouse.up();
+    };
+
+    // Dropping at 11:45 ends the event after that slot
+    await dragEnd(113);
+    const end = () => page.evaluate(() => window.calendar.events[0].end.getHours() * 60 + window.calendar.events[0].end.getMinutes());
+    expect(await end()).toBe(11 * 60);
+
+    await dragEnd(113);
+    expect(await page.evaluate(() => window.resizes)).toEqual([12 * 60, 12 * 60]);
+    expect(await end()).toBe(12 * 60);
+  });
+
+  test('moving one occurrence detaches it from its series', async ({ page }) => {
+    await page.evaluate(() => {
+      window.calendar = new CalendarComponent(document.getElementById('calendar'), {
+        initialView: 'week',
+        initialDate: new Date(2024, 0, 10),
+        events: [{ id: 'standup', title: 'Standup', start: new Date(2024, 0, 3, 10), end: new Date(2024, 0, 3, 11), rrule: 'FREQ=WEEKLY;BYDAY=WE' }]
+      });
+    });
+
+    const occurrence = page.locator('.week-day-slots[data-date="2024-01-10"] .calendar-event');
+    // 10:00 in Berlin
+    await expect(occurrence).toHaveAttribute('data-occurrence', '2024-01-10T09:00:00.000Z');
+
+    const box = await occurrence.boundingBox();
+    await page.mouse.move(box.x + box.width / 2, box.y + box.height / 2);
+    await page.mouse.down();
+    await page.mouse.move(box.x + box.width / 2, box.y + box.height / 2 + 60, { steps: 4 });
+    await page.mouse.up();
+
+    const result = await page.evaluate(() => {
+      const [series, exception] = window.calendar.events;
+      const start = new Date(2024, 0, 8);
+      const end = new Date(2024, 0, 20);
+      return {
+        exdate: series.exdate,
+        exception: {
+          keys: Object.keys(exception).sort(),
+          recurrenceId: exception.recurrenceId,
+          start: [exception.start.getHours(), exception.start.getMinutes()]
+        },
+        shown: window.calendar.getEventOccurrences(start, end).map(event => `${event.title} ${event.start.getDate()} ${event.start.getHours()}`)
+      };
+    });
+
+    const originalStart = '2024-01-10T09:00:00.000Z';
+    expect(result.exdate).toEqual([originalStart]);
+    expect(result.exception.keys).toEqual(['end', 'id', 'recurrenceId', 'recurringEventId', 'start', 'title']);
+    expect(result.exception.recurrenceId).toBe(originalStart);
+    expect(result.exception.start).toEqual([12, 0]);
+    expect(result.shown).toEqual(['Standup 10 12', 'Standup 17 10']);
+  });
+});
@@ -0,0 +1,156 @@
+/* global CalendarComponent */
+const { test, expect } = require('@playwright/test');
+const { openFixture } = require('./helpers');
+
+test.use({ timezoneId: 'UTC', locale: 'en-US' });
+
+test.describe('CalendarComponent agenda, year and timeline views', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, {
+      scripts: ['[JS]/components/calendar-component.js'],
+      body: '<div id="calendar"></div>'
+    });
+  });
+
+  test('offers the timeline only when there are resources', async ({ page }) => {
+    const views = await page.evaluate(() => {
+      const create = (options) => {
+        const element = document.createElement('div');
+        document.body.appendChild(element);
+        new CalendarComponent(element, options);
+        return Array.from(element.querySelectorAll('.view-button'), button => button.dataset.view);
+      };
+      return [
+        create({}),
+        create({ resources: [{ id: 'a', title: 'Room A' }] }),
+        create({ views: ['agenda', 'timeline', 'quarter'] })
+      ];
+    });
+
+    expect(views).toEqual([
+      ['month', 'week', 'day', 'agenda', 'year'],
+      ['month', 'week', 'day', 'agenda', 'year', 'timeline'],
+      ['agenda', 'timeline']
+    ]);
+  });
+
+  test('lists the coming days in the agenda view', async ({ page }) => {
+    await page.evaluate(() => {
+      window.calendar = new CalendarComponent(document.getElementById('calendar'), {
+        initialView: 'agenda',
+        initialDate: new Date(2024, 0, 10, 15),
+        agendaDays: 3,
+        events: [
+          { id: 'standup', title: 'Standup', start: new Date(2024, 0, 10, 9), end: new Date(2024, 0, 10, 9, 15), location: 'Room A' },
+          { id: 'offsite', title: 'Offsite', start: new Date(2024, 0, 9), end: new Date(2024, 0, 12), allDay: true },
+          { id: 'lunch', title: 'Lunch', start: new Date(2024, 0, 1, 12), end: new Date(2024, 0, 1, 13), rrule: 'FREQ=DAILY' },
+          { id: 'later', title: 'Review', start: new Date(2024, 0, 13, 10) }
+        ]
+      });
+    });
+
+    const agenda = page.locator('#calendar .agenda-view');
+    await expect(agenda.locator('.agenda-date-header')).toHaveText([
+      'Wednesday, January 10, 2024',
+      'Thursday, January 11, 2024',
+      'Friday, January 12, 2024'
+    ]);
+
+    // Events already running are listed on the first day
+    const firstDay = agenda.locator('.agenda-events-list').first().locator('.agenda-event');
+    await expect(firstDay.locator('.event-title')).toHaveText(['Offsite', 'Standup', 'Lunch']);
+    await expect(firstDay.locator('.event-time')).toHaveText(['All day', '09:00 AM - 09:15 AM', '12:00 PM - 01:00 PM']);
+    await expect(firstDay.nth(1).locator('.event-location')).toHaveText('Room A');
+    await expect(agenda.locator('.agenda-events-list').nth(2).locator('.event-title')).toHaveText(['Lunch']);
+
+    await page.evaluate(() => window.calendar.nextPeriod());
+    await expect(agenda.locator('.agenda-date-header').first()).toHaveText('Saturday, January 13, 2024');
+    await expect(agenda.locator('.agenda-events-list').first().locator('.event-title')).toHaveText(['Review', 'Lunch']);
+
+    await page.evaluate(() => window.calendar.clearEvents());
+    await expect(page.locator('#calendar .agenda-empty')).toHaveText('No events');
+  });
+
+  test('shows several months with event markers in the year view', async ({ page }) => {
+    await page.evaluate(() => {
+      window.changes = [];
+      window.calendar = new CalendarComponent(document.getElementById('calendar'), {
+        initialView: 'year',
+        initialDate: new Date(2024, 1, 14),
+        multiMonthCount: 3,
+        onViewChange: (view) => window.changes.push(view),
+        events: [
+          { title: 'Trip', start: new Date(2024, 1, 28, 8), end: new Date(2024, 2, 2, 18) },
+          { title: 'Dinner', start: new Date(2024, 1, 28, 19), end: new Date(2024, 1, 28, 21) }
+        ]
+      });
+    });
+
+    const months = page.locator('#calendar .mini-month');
+    // Shorter views start at the current month
+    await expect(months.locator('.mini-month-title')).toHaveText(['February', 'March', 'April']);
+    await expect(months.first().locator('.mini-day')).toHaveCount(29);
+
+    const day = (key) => page.locator(`#calendar .mini-day[data-date="${key}"]`);
+    await expect(day('2024-02-28')).toHaveAttribute('title', '2 events');
+    await expect(day('2024-02-29')).toHaveAttribute('title', '1 event');
+    await expect(day('2024-03-02')).toHaveClass(/has-events/);
+    await expect(day('2024-03-03')).not.toHaveClass(/has-events/);
+
+    await page.evaluate(() => window.calendar.nextPeriod());
+    await expect(months.locator('.mini-month-title')).toHaveText(['May', 'June', 'July']);
+
+    // A month title opens the month, a double-clicked day opens the day
+    await months.locator('.mini-month-title').nth(1).click();
+    expect(await page.evaluate(() => [window.calendar.getView(), window.calendar.getDate().getMonth()])).toEqual(['month', 5]);
+
+    await page.evaluate(() => window.calendar.setView('year'));
+    await day('2024-07-04').dblclick();
+    expect(await page.evaluate(() => [window.calendar.getView(), window.calendar.getDate().getDate()])).toEqual(['day', 4]);
+    expect(await page.evaluate(() => window.changes)).toEqual(['month', 'year', 'day']);
+
+    // Twelve months show the calendar year
+    await page.evaluate(() => {
+      window.calendar.options.multiMonthCount = 12;
+      window.calendar.setView('year');
+    });
+    await expect(months.locator('.mini-month-title').first()).toHaveText('January');
+    await expect(months).toHaveCount(12);
+  });
+
+  test('lays out resources as timeline rows with stacked lanes', async ({ page }) => {
+    await page.evaluate(() => {
+      window.calendar = new CalendarComponent(document.getElementById('calendar'), {
+        initialView: 'timeline',
+        initialDate: new Date(2024, 0, 10),
+        resources: [{ id: 'a', title: 'Room A' }, { id: 'b', title: 'Room B' }],
+        events: [
+          { id: 'design', title: 'Design', start: new Date(2024, 0, 10, 9, 30), end: new Date(2024, 0, 10, 11), resourceId: 'a' },
+          { id: 'sync', title: 'Sync', start: new Date(2024, 0, 10, 10), end: new Date(2024, 0, 10, 10, 30), resourceId: 'a' },
+          { id: 'allhands', title: 'All hands', start: new Date(2024, 0, 10, 13), end: new Date(2024, 0, 10, 14), resourceIds: ['a', 'b'] },
+          { id: 'call', title: 'Call', start: new Date(2024, 0, 10, 7), end: new Date(2024, 0, 10, 8, 30) },
+          { id: 'tomorrow', title: 'Tomorrow', start: new Date(2024, 0, 11, 9), resourceId: 'b' }
+        ]
+      });
+    });
+
+    const rows = page.locator('#calendar .timeline-row:not(.timeline-header)');
+    await expect(rows.locator('.timeline-resource')).toHaveText(['Room A', 'Room B', 'Unassigned']);
+    await expect(page.locator('#calendar .timeline-hour').first()).toHaveText('8 AM');
+
+    const roomA = rows.nth(0);
+    await expect(roomA.locator('.timeline-event')).toHaveText(['Design', 'Sync', 'All hands']);
+    // 60px per hour from 08:00; overlapping events take the next lane
+    const layout = await roomA.locator('.timeline-event').evaluateAll(elements => elements.map(element => [element.style.left, element.style.width, element.style.top]));
+    expect(layout).toEqual([['90px', '90px', '0px'], ['120px', '30px', '32px'], ['300px', '60px', '0px']]);
+    await expect(roomA.locator('.timeline-track')).toHaveCSS('height', '64px');
+
+    await expect(rows.nth(1).locator('.timeline-event')).toHaveText(['All hands']);
+    // Parts before the first hour are cut off
+    await expect(rows.nth(2).locator('.timeline-event')).toHaveCSS('width', '30px');
+
+    await page.evaluate(() => window.calendar.nextPeriod());
+    await expect(page.locator('#calendar .timeline-event')).toHaveText(['Tomorrow']);
+    await expect(rows.locator('.timeline-resource')).toHaveText(['Room A', 'Room B']);
+  });
+});
@@ -0,0 +1,162 @@
+/* global ColorUtils */
+const { test, expect } = require('@playwright/test');
+const { openFixture } = require('./helpers');
+
+test.describe('ColorUtils', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, { scripts: ['[JS]/utils/color-utilities.js'] });
+  });
+
+  test('parses every supported notation to the same sRGB color', async ({ page }) => {
+    const parsed = await page.evaluate(() => [
+      '#f00',
+      '#ff0000ff',
+      'rgb(255 0 0)',
+      'rgba(255, 0, 0, 1)',
+      'hsl(0 100% 50%)',
+      'hwb(0 0% 0%)',
+      'lab(54.29% 80.8 69.89)',
+      'lch(54.29% 106.84 40.85)',
+      'oklch(62.8% 0.2577 29.23)'
+    ].map(input => ColorUtils.toHex(input)));
+
+    expect(parsed).toEqual(Array(9).fill('#ff0000'));
+  });
+
+  test('rejects malformed input', async ({ page }) => {
+    const results = await page.evaluate(() => ['#12', 'rgb(1 2)', 'oklch()', '', null, 42].map(input => ColorUtils.parse(input)));
+    expect(results).toEqual([null, null, null, null, null, null]);
+  });
+
+  test('matches the CSS Color 4 reference values for sRGB red', async ({ page }) => {
+    const { lab, oklch } = await page.evaluate(() => ({
+      lab: ColorUtils.convert('#ff0000', 'lab'),
+      oklch: ColorUtils.convert('#ff0000', 'oklch')
+    }));
+
+    expect(lab.l).toBeCloseTo(54.29, 1);
+    expect(lab.a).toBeCloseTo(80.8, 1);
+    expect(lab.b).toBeCloseTo(69.89, 1);
+    expect(oklch.l).toBeCloseTo(0.628, 3);
+    expect(oklch.c).toBeCloseTo(0.2577, 3);
+    expect(oklch.h).toBeCloseTo(29.23, 1);
+  });
+
+  test('round-trips through every color space', async ({ page }) => {
+    const drift = await page.evaluate(() => {
+      const spaces = ['srgb-linear', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch'];
+      const colors = ['#1e90ff', '#7f3fbf', '#00f2ea', '#333333', '#ffd700'];
+      let worst = 0;
+
+      colors.forEach(hex => {
+        const source = ColorUtils.parse(hex);
+        spaces.forEach(space => {
+          const back = ColorUtils.from(space, ColorUtils.convert(hex, space));
+          worst = Math.max(worst, Math.abs(back.r - source.r), Math.abs(back.g - source.g), Math.abs(back.b - source.b));
+        });
+      });
+
+      return worst;
+    });
+
+    expect(drift).toBeLessThan(0.01);
+  });
+
+  test('computes WCAG 2.x contrast ratios and thresholds', async ({ page }) => {
+    const result = await page.evaluate(() => ({
+      max: ColorUtils.contrastRatio('#000', '#fff'),
+      gray: ColorUtils.contrastRatio('#777777', '#ffffff'),
+      same: ColorUtils.contrastRatio('#abcdef', '#abcdef'),
+      grayAA: ColorUtils.meetsWCAG('#777777', '#ffffff'),
+      grayLargeAA: ColorUtils.meetsWCAG('#777777', '#ffffff', { size: 'large' }),
+      // A half-transparent black over white composites to mid gray first
+      translucent: ColorUtils.contrastRatio('rgb(0 0 0 / 0.5)', '#ffffff')
+    }));
+
+    expect(result.max).toBeCloseTo(21, 5);
+    expect(result.gray).toBeCloseTo(4.48, 2);
+    expect(result.same).toBe(1);
+    expect(result.grayAA).toBe(false);
+    expect(result.grayLargeAA).toBe(true);
+    expect(result.translucent).toBeCloseTo(midGrayContrast(), 1);
+  });
+
+  test('computes APCA lightness contrast with polarity', async ({ page }) => {
+    const [darkOnLight, lightOnDark, readable] = await page.evaluate(() => [
+      ColorUtils.apcaContrast('#000000', '#ffffff'),
+      ColorUtils.apcaContrast('#ffffff', '#000000'),
+      ColorUtils.mostReadable('#00f2ea', ['#000000', '#ffffff'], 'apca')
+    ]);
+
+    expect(darkOnLight).toBeCloseTo(106.04, 1);
+    expect(lightOnDark).toBeCloseTo(-107.88, 1);
+    expect(readable).toBe('#000000');
+  });
+
+  test('mixes, lightens and darkens in perceptual space', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const base = '#1e90ff';
+      const l = (color) => ColorUtils.convert(color, 'oklch').l;
+
+      return {
+        srgbMix: ColorUtils.mix('#ff0000', '#0000ff', 0.5, 'rgb'),
+        endpoints: [ColorUtils.toHex(ColorUtils.mix('#ff0000', '#0000ff', 0)), ColorUtils.toHex(ColorUtils.mix('#ff0000', '#0000ff', 1))],
+        lighter: l(ColorUtils.lighten(base, 0.1)) - l(base),
+        darker: l(ColorUtils.darken(base, 0.1)) - l(base),
+        hueKept: ColorUtils.convert(ColorUtils.lighten(base, 0.1), 'oklch').h - ColorUtils.convert(base, 'oklch').h
+      };
+    });
+
+    expect(result.srgbMix.r).toBeCloseTo(127.5, 5);
+    expect(result.srgbMix.b).toBeCloseTo(127.5, 5);
+    expect(result.endpoints).toEqual(['#ff0000', '#0000ff']);
+    expect(result.lighter).toBeCloseTo(0.1, 2);
+    expect(result.darker).toBeCloseTo(-0.1, 2);
+    expect(Math.abs(result.hueKept)).toBeLessThan(1);
+  });
+
+  test('generates tints, shades and hue harmonies', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const luminance = (colors) => colors.map(color => ColorUtils.getLuminance(color));
+      const hue = (color) => ColorUtils.convert(color, 'oklch').h;
+
+      return {
+        tints: luminance(ColorUtils.tints('#7f3fbf', 4)),
+        shades: luminance(ColorUtils.shades('#7f3fbf', 4)),
+        base: ColorUtils.getLuminance('#7f3fbf'),
+        triadic: ColorUtils.triadic('#7f3fbf').map(hue),
+        complementary: hue(ColorUtils.complementary('#7f3fbf')),
+        baseHue: hue('#7f3fbf')
+      };
+    });
+
+    expect(result.tints).toHaveLength(4);
+    expect(result.tints[0]).toBeGreaterThan(result.base);
+    result.tints.slice(1).forEach((value, i) => expect(value).toBeGreaterThan(result.tints[i]));
+    result.shades.slice(1).forEach((value, i) => expect(value).toBeLessThan(result.shades[i]));
+
+    const distance = (a, b) => Math.abs(((a - b) % 360 + 540) % 360 - 180);
+    expect(distance(result.complementary, result.baseHue + 180)).toBeLessThan(1);
+    expect(distance(result.triadic[1], result.baseHue + 120)).toBeLessThan(1);
+    expect(distance(result.triadic[2], result.baseHue + 240)).toBeLessThan(1);
+  });
+
+  test('maps out-of-gamut colors into sRGB when formatting', async ({ page }) => {
+    const result = await page.evaluate(() => ({
+      inGamut: ColorUtils.inGamut('oklch(70% 0.4 150)'),
+      hex: ColorUtils.format('oklch(70% 0.4 150)', 'hex'),
+      keepsLch: ColorUtils.format('lch(50% 30 200)', 'lch', { precision: 0 })
+    }));
+
+    expect(result.inGamut).toBe(false);
+    expect(result.hex).toMatch(/^#[0-9a-f]{6}$/);
+    expect(result.keepsLch).toBe('lch(50% 30 200)');
+  });
+});
+
+// #808080 is not exact: compositing black at 0.5 over white gives channel 127.5
+function midGrayContrast() {
+  const channel = 127.5 / 255;
+  const linear = Math.pow((channel + 0.055) / 1.055, 2.4);
+  return 1.05 / (linear + 0.05);
+}
@@ -0,0 +1,178 @@
+/* global DataTable */
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { ROOT, openFixture } = require('./helpers');
+
+const STAFF = [
+  ['Ann', 34, '2021-03-01', 'Design'],
+  ['Bob', 27, '2019-07-15', 'Engineering'],
+  ['Cara', 41, '2022-11-30', 'Engineering'],
+  ['Dan', 27, '2020-01-10', 'Sales'],
+  ['Eve', 19, '2023-05-05', 'Design']
+];
+
+const STAFF_TABLE = `
+  <div id="host">
+    <table id="staff">
+      <thead>
+        <tr>
+          <th>Name</th>
+          <th data-filter-type="number">Age</th>
+          <th data-filter-type="date">Joined</th>
+          <th data-filter-type="select">Team</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${STAFF.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}
+      </tbody>
+    </table>
+  </div>
+`;
+
+function createTable(page, options) {
+  return page.evaluate((opts) => {
+    window.table = new DataTable(document.getElementById('staff'), opts);
+  }, options);
+}
+
+function names(page) {
+  return page.locator('#staff tbody tr td:first-child').allTextContents();
+}
+
+function headerKeys(page) {
+  return page.evaluate(() => window.table.getVisibleHeaders().map(header => header.key));
+}
+
+test.describe('DataTable columns', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, { scripts: ['[JS]/components/data-table.js'], body: STAFF_TABLE });
+  });
+
+  test('renders once on init and announces status below the pagination', async ({ page }) => {
+    const renders = await page.evaluate(() => {
+      let count = 0;
+      const render = DataTable.prototype.render;
+      DataTable.prototype.render = function() {
+        count++;
+        return render.call(this);
+      };
+      window.table = new DataTable(document.getElementById('staff'), { rowsPerPage: 2 });
+      DataTable.prototype.render = render;
+      return count;
+    });
+    expect(renders).toBe(1);
+
+    const order = await page.evaluate(() => Array.from(document.getElementById('host').children).map(el => el.tagName === 'TABLE' ? 'table' : el.className));
+    expect(order).toEqual(['table-controls', 'table', 'table-pagination', 'table-status']);
+
+    const status = page.locator('.table-status');
+    await expect(status).toHaveAttribute('role', 'status');
+    await expect(status).toHaveAttribute('aria-live', 'polite');
+    await expect(status).toHaveText('Showing 1-2 of 5 results');
+  });
+
+  test('sorts by several columns with shift-click', async ({ page }) => {
+    await createTable(page, { pagination: false });
+    const team = page.locator('#staff th', { hasText: 'Team' });
+    const age = page.locator('#staff th', { hasText: 'Age' });
+
+    await team.click();
+    await age.click({ modifiers: ['Shift'] });
+    expect(await names(page)).toEqual(['Eve', 'Ann', 'Bob', 'Cara', 'Dan']);
+    await expect(team.locator('.sort-indicator')).toHaveText('↑1');
+    await expect(age.locator('.sort-indicator')).toHaveText('↑2');
+    await expect(age).toHaveAttribute('aria-sort', 'ascending');
+
+    // A second shift-click flips only the secondary column
+    await age.click({ modifiers: ['Shift'] });
+    expect(await names(page)).toEqual(['Ann', 'Eve', 'Cara', 'Bob', 'Dan']);
+    await expect(age).toHaveAttribute('aria-sort', 'descending');
+
+    // A plain click replaces the whole sort
+    await age.click();
+    await expect(team).toHaveAttribute('aria-sort', 'none');
+    await expect(age.locator('.sort-indicator')).toHaveText('↑');
+  });
+
+  test('filters by text, number range, date range and option', async ({ page }) => {
+    await createTable(page, { pagination: false, enableFilters: true, searchDelay: 0 });
+
+    await page.getByLabel('Filter Age min').fill('20');
+    await page.getByLabel('Filter Age max').fill('35');
+    // Range inputs apply on change, which fires when focus leaves the input
+    await page.getByLabel('Filter Age max').blur();
+    expect(await names(page)).toEqual(['Ann', 'Bob', 'Dan']);
+
+    // Bounds combine across columns; the end date is inclusive
+    await page.evaluate(() => window.table.setColumnFilter('joined', { from: '2020-01-01', to: '2021-03-01' }));
+    expect(await names(page)).toEqual(['Ann', 'Dan']);
+    await expect(page.getByLabel('Filter Joined to')).toHaveValue('2021-03-01');
+
+    await page.evaluate(() => window.table.clearFilters());
+    await expect(page.getByLabel('Filter Age min')).toHaveValue('');
+
+    await page.getByLabel('Filter Team').selectOption('Engineering');
+    expect(await names(page)).toEqual(['Bob', 'Cara']);
+
+    await page.evaluate(() => window.table.setColumnFilter('team', ''));
+    await page.getByLabel('Filter Name').fill('A');
+    await expect.poll(() => names(page)).toEqual(['Ann', 'Cara', 'Dan']);
+  });
+
+  test('hides, reorders and resizes columns', async ({ page }) => {
+    await createTable(page, { pagination: false, columnToggle: true, reorderable: true, resizable: true });
+
+    await page.getByRole('button', { name: 'Columns' }).click();
+    await page.locator('.table-column-menu-list label', { hasText: 'Joined' }).locator('input').uncheck();
+    expect(await headerKeys(page)).toEqual(['name', 'age', 'team']);
+    await expect(page.locator('#staff tbody tr').first().locator('td:visible')).toHaveText(['Ann', '34', 'Design']);
+
+    await page.locator('#staff th', { hasText: 'Name' }).dragTo(page.locator('#staff th', { hasText: 'Team' }));
+    expect(await headerKeys(page)).toEqual(['age', 'team', 'name']);
+    await expect(page.locator('#staff tbody tr').first().locator('td:visible')).toHaveText(['34', 'Design', 'Ann']);
+
+    const handle = await page.locator('#staff th', { hasText: 'Age' }).locator('.column-resize-handle').boundingBox();
+    const startWidth = await page.locator('#staff th', { hasText: 'Age' }).evaluate(th => th.offsetWidth);
+    await page.mouse.move(handle.x + 2, handle.y + 5);
+    await page.mouse.down();
+    await page.mouse.move(handle.x + 82, handle.y + 5, { steps: 4 });
+    await page.mouse.up();
+    expect(await page.evaluate(() => window.table.columnState.widths.age)).toBe(startWidth + 80);
+    // Resizing must not count as a sort click
+    await expect(page.locator('#staff th', { hasText: 'Age' })).toHaveAttribute('aria-sort', 'none');
+
+    // Widths never drop below the minimum
+    await page.evaluate(() => window.table.setColumnWidth('team', 10));
+    expect(await page.evaluate(() => window.table.columnState.widths.team)).toBe(60);
+  });
+
+  test('persists column state per table id and restores it', async ({ page }) => {
+    await createTable(page, { pagination: false, tableId: 'staff' });
+    await page.evaluate(() => {
+      window.table.moveColumn('team', 0);
+      window.table.setColumnVisible('age', false);
+      window.table.setColumnWidth('name', 150);
+      window.table.setSort([{ key: 'joined', direction: 'desc' }]);
+    });
+
+    const saved = await page.evaluate(() => JSON.parse(localStorage.getItem('jazer-datatable-staff')));
+    expect(saved).toEqual({
+      order: ['team', 'name', 'age', 'joined'],
+      hidden: ['age'],
+      widths: { name: 150 },
+      sort: [{ key: 'joined', direction: 'desc' }]
+    });
+
+    await page.reload();
+    await page.addScriptTag({ path: path.join(ROOT, '[JS]/components/data-table.js') });
+    await createTable(page, { pagination: false, tableId: 'staff' });
+
+    expect(await headerKeys(page)).toEqual(['team', 'name', 'joined']);
+    await expect(page.locator('#staff th', { hasText: 'Joined' })).toHaveAttribute('aria-sort', 'descending');
+    await expect(page.locator('#staff tbody tr').first().locator('td:visible')).toHaveText(['Design', 'Eve', '2023-05-05']);
+
+    await page.evaluate(() => window.table.resetColumnState());
+    expect(await headerKeys(page)).toEqual(['name', 'age', 'joined', 'team']);
+    expect(await page.evaluate(() => JSON.parse(localStorage.getItem('jazer-datatable-staff')).sort)).toEqual([]);
+  });
+});
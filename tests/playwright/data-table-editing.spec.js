@@ -0,0 +1,187 @@
+/* global DataTable */
+const { test, expect } = require('@playwright/test');
+const { openFixture } = require('./helpers');
+
+const INVENTORY_TABLE = `
+  <table id="inventory">
+    <thead>
+      <tr>
+        <th data-key="item">Item</th>
+        <th data-key="stock" data-editor="number" data-validate='{"required": true, "min": 0}'>Stock</th>
+        <th data-key="status" data-editor="select" data-editor-options="active, retired">Status</th>
+        <th data-key="notes" data-editable="false">Notes</th>
+      </tr>
+    </thead>
+    <tbody>
+      <tr><td>Bolt</td><td>120</td><td>active</td><td>Zinc, "M6"</td></tr>
+      <tr><td>Nut</td><td>80</td><td>active</td><td>Pack of 10</td></tr>
+      <tr><td>Washer</td><td>0</td><td>retired</td><td>Line one
+line two</td></tr>
+      <tr><td>Hinge</td><td>12</td><td>active</td><td>Brass</td></tr>
+    </tbody>
+  </table>
+`;
+
+// Reads the worksheet XML out of the stored (uncompressed) XLSX archive
+function readSheet(bytes) {
+  const text = Buffer.from(bytes).toString('utf8');
+  return text.slice(text.indexOf('<worksheet'), text.indexOf('</worksheet>') + '</worksheet>'.length);
+}
+
+test.describe('DataTable selection, editing and export', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, {
+      scripts: ['[JS]/modules/data-validator.js', '[JS]/components/data-table.js'],
+      body: INVENTORY_TABLE
+    });
+  });
+
+  test('selects single rows, shift ranges and all rows', async ({ page }) => {
+    await page.evaluate(() => {
+      window.events = [];
+      const element = document.getElementById('inventory');
+      element.addEventListener('selectionchange', (e) => window.events.push(e.detail.rows.map(row => row.item)));
+      window.table = new DataTable(element, { selectable: true, pagination: false, sortable: false });
+    });
+
+    const checkboxes = page.getByRole('checkbox', { name: 'Select row' });
+    const selectAll = page.getByRole('checkbox', { name: 'Select all rows' });
+
+    await checkboxes.nth(0).check();
+    await checkboxes.nth(2).click({ modifiers: ['Shift'] });
+    expect(await page.evaluate(() => window.events.at(-1))).toEqual(['Bolt', 'Nut', 'Washer']);
+    expect(await selectAll.evaluate(el => el.indeterminate)).toBe(true);
+
+    await selectAll.check();
+    expect(await page.evaluate(() => window.table.getSelectedRows().length)).toBe(4);
+    expect(await selectAll.evaluate(el => el.indeterminate)).toBe(false);
+
+    await selectAll.uncheck();
+    await expect(page.locator('#inventory tbody input:checked')).toHaveCount(0);
+    expect(await page.evaluate(() => window.events.at(-1))).toEqual([]);
+  });
+
+  test('edits cells and keeps invalid values from being stored', async ({ page }) => {
+    await page.evaluate(() => {
+      window.changes = [];
+      window.invalid = [];
+      const element = document.getElementById('inventory');
+      element.addEventListener('cellchange', (e) => window.changes.push([e.detail.key, e.detail.oldValue, e.detail.newValue]));
+      element.addEventListener('cellvalidationerror', (e) => window.invalid.push(e.detail.errors));
+      window.table = new DataTable(element, { editable: true, pagination: false, sortable: false });
+    });
+
+    const stock = page.locator('#inventory tbody tr').first().locator('td').nth(1);
+    await stock.dblclick();
+    const editor = page.getByLabel('Edit Stock');
+    await editor.fill('-5');
+    await editor.press('Enter');
+
+    await expect(editor).toHaveAttribute('aria-invalid', 'true');
+    await expect(page.locator('.cell-validation-message')).toHaveText('Value is too small');
+    expect(await page.evaluate(() => window.invalid)).toEqual([['Value is too small']]);
+
+    await editor.fill('95');
+    await editor.press('Enter');
+    await expect(stock).toHaveText('95');
+    expect(await page.evaluate(() => window.changes)).toEqual([['stock', '120', 95]]);
+
+    // Escape restores the previous value
+    const status = page.locator('#inventory tbody tr').nth(1).locator('td').nth(2);
+    await status.focus();
+    await status.press('F2');
+    await page.getByLabel('Edit Status').selectOption('retired');
+    await page.getByLabel('Edit Status').press('Escape');
+    await expect(status).toHaveText('active');
+    await expect(status).toBeFocused();
+
+    // Columns marked data-editable="false" never open an editor
+    await page.locator('#inventory tbody tr').first().locator('td').nth(3).dblclick();
+    await expect(page.locator('.cell-editor')).toHaveCount(0);
+  });
+
+  test('a cancelled cellchange keeps the old value', async ({ page }) => {
+    await page.evaluate(() => {
+      const element = document.getElementById('inventory');
+      element.addEventListener('cellchange', (e) => e.preventDefault());
+      window.table = new DataTable(element, { editable: true, pagination: false });
+    });
+
+    const item = page.locator('#inventory tbody tr').first().locator('td').first();
+    await item.dblclick();
+    await page.getByLabel('Edit Item').fill('Screw');
+    await page.getByLabel('Edit Item').press('Enter');
+    await expect(item).toHaveText('Bolt');
+  });
+
+  test('exports the filtered, sorted view as CSV, TSV and JSON', async ({ page }) => {
+    const exported = await page.evaluate(async () => {
+      const table = new DataTable(document.getElementById('inventory'), { pagination: false, selectable: true });
+      table.setSort([{ key: 'item', direction: 'asc' }]);
+      table.setColumnVisible('status', false);
+      table.setColumnFilter('item', 'n');
+
+      const read = async (format, options) => (await table.exportData(format, { download: false, ...options })).text();
+      table.toggleRowSelection(table.filteredData[0], 0, true);
+
+      return {
+        csv: await read('csv'),
+        tsv: await read('tsv'),
+        json: JSON.parse(await read('json')),
+        selected: JSON.parse(await read('json', { selectedOnly: true })),
+        csvBytes: Array.from(new Uint8Array(await (await table.exportData('csv', { download: false })).arrayBuffer()).slice(0, 3))
+      };
+    });
+
+    // Blob.text() decodes the BOM away; the raw bytes keep it for spreadsheet apps
+    expect(exported.csvBytes).toEqual([0xEF, 0xBB, 0xBF]);
+    expect(exported.csv).toBe('Item,Stock,Notes\r\nHinge,12,Brass\r\nNut,80,Pack of 10');
+    expect(exported.tsv).toBe('Item\tStock\tNotes\r\nHinge\t12\tBrass\r\nNut\t80\tPack of 10');
+    expect(exported.json).toEqual([
+      { item: 'Hinge', stock: '12', notes: 'Brass' },
+      { item: 'Nut', stock: '80', notes: 'Pack of 10' }
+    ]);
+    expect(exported.selected).toEqual([{ item: 'Hinge', stock: '12', notes: 'Brass' }]);
+  });
+
+  test('quotes CSV fields and flattens TSV fields that need it', async ({ page }) => {
+    const exported = await page.evaluate(async () => {
+      const table = new DataTable(document.getElementById('inventory'), { pagination: false });
+      table.setColumnFilter('item', 'o');
+      return {
+        csv: await (await table.exportData('csv', { download: false })).text(),
+        tsv: await (await table.exportData('tsv', { download: false })).text()
+      };
+    });
+
+    expect(exported.csv.split('\r\n').slice(1)).toEqual(['Bolt,120,active,"Zinc, ""M6"""']);
+    expect(exported.tsv.split('\r\n')[1]).toBe('Bolt\t120\tactive\tZinc, "M6"');
+  });
+
+  test('writes typed XLSX cells and strips characters XML cannot hold', async ({ page }) => {
+    const bytes = await page.evaluate(async () => {
+      const element = document.createElement('table');
+      document.body.appendChild(element);
+      const table = new DataTable(element, {
+        columns: [{ key: 'sku', label: 'SKU' }, { key: 'qty', label: 'Qty' }, { key: 'active', label: 'Active' }, { key: 'note', label: 'Note' }],
+        dataProvider: async () => ({
+          rows: [{ sku: '007', qty: 12.5, active: true, note: 'a\u0001b & <c>\tend' }],
+          total: 1
+        })
+      });
+      await new Promise(resolve => element.addEventListener('datatableload', resolve, { once: true }));
+      const blob = await table.exportData('xlsx', { download: false });
+      return Array.from(new Uint8Array(await blob.arrayBuffer()));
+    });
+
+    // Stored ZIP entries start with the local file header signature
+    expect(bytes.slice(0, 4)).toEqual([0x50, 0x4B, 0x03, 0x04]);
+
+    const sheet = readSheet(bytes);
+    expect(sheet).toContain('<c r="A1" t="inlineStr"><is><t xml:space="preserve">SKU</t></is></c>');
+    expect(sheet).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">007</t></is></c>');
+    expect(sheet).toContain('<c r="B2"><v>12.5</v></c>');
+    expect(sheet).toContain('<c r="C2" t="b"><v>1</v></c>');
+    expect(sheet).toContain('<c r="D2" t="inlineStr"><is><t xml:space="preserve">ab &amp; &lt;c&gt;\tend</t></is></c>');
+  });
+});
@@ -0,0 +1,273 @@
+/* global DataTable */
+const { test, expect } = require('@playwright/test');
+const { openFixture } = require('./helpers');
+
+// A provider whose requests stay pending until the test settles them
+async function installControlledProvider(page) {
+  await page.evaluate(() => {
+    window.requests = [];
+    window.controlledProvider = (params) => new Promise((resolve, reject) => {
+      window.requests.push({ params, resolve, reject });
+    });
+    window.respond = (index, total = 25) => {
+      const { params, resolve } = window.requests[index];
+      const start = (params.page - 1) * params.pageSize;
+      const count = Math.max(0, Math.min(params.pageSize, total - start));
+      const rows = Array.from({ length: count }, (_, i) => ({ id: start + i + 1, name: `User ${start + i + 1}` }));
+      resolve({ rows, total });
+    };
+  });
+}
+
+test.describe('DataTable server-driven mode', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, {
+      scripts: ['[JS]/modules/virtual-scroll-module.js', '[JS]/components/data-table.js'],
+      body: '<div id="host"><table id="users"></table></div>'
+    });
+    await installControlledProvider(page);
+  });
+
+  test('requests one page at a time and renders the provider rows', async ({ page }) => {
+    await page.evaluate(() => {
+      window.table = new DataTable(document.getElementById('users'), {
+        columns: [{ key: 'id', label: 'ID' }, { key: 'name', label: 'Name' }],
+        rowsPerPage: 10,
+        dataProvider: window.controlledProvider
+      });
+    });
+
+    await expect(page.locator('#users')).toHaveAttribute('aria-busy', 'true');
+    await expect(page.locator('#users .table-loading')).toHaveText('Loading...');
+
+    const firstParams = await page.evaluate(() => {
+      const { params } = window.requests[0];
+      return { page: params.page, pageSize: params.pageSize, sort: params.sort, search: params.filters.search };
+    });
+    expect(firstParams).toEqual({ page: 1, pageSize: 10, sort: [], search: '' });
+
+    await page.evaluate(() => window.respond(0));
+    await expect(page.locator('#users tbody tr')).toHaveCount(10);
+    await expect(page.locator('#users tbody tr').first()).toContainText('User 1');
+    await expect(page.locator('.table-status')).toHaveText('Showing 1-10 of 25 results');
+
+    await page.evaluate(() => window.table.setCurrentPage(3));
+    await page.evaluate(() => window.respond(1));
+    await expect(page.locator('#users tbody tr')).toHaveCount(5);
+    expect(await page.evaluate(() => window.requests[1].params.page)).toBe(3);
+  });
+
+  test('escapes provider values unless a column renders them', async ({ page }) => {
+    await page.evaluate(() => {
+      window.table = new DataTable(document.getElementById('users'), {
+        columns: [
+          { key: 'name', label: 'Name' },
+          { key: 'link', label: 'Link', render: (value) => `<a href="${value}">open</a>` }
+        ],
+        dataProvider: async () => ({ rows: [{ name: '<b>bold</b>', link: '/users/1' }], total: 1 })
+      });
+    });
+
+    const firstRow = page.locator('#users tbody tr').first();
+    await expect(firstRow.locator('td').first()).toHaveText('<b>bold</b>');
+    await expect(firstRow.locator('a')).toHaveAttribute('href', '/users/1');
+  });
+
+  test('cancels the in-flight request when the user re-sorts', async ({ page }) => {
+    await page.evaluate(() => {
+      window.table = new DataTable(document.getElementById('users'), {
+        columns: [{ key: 'id', label: 'ID' }, { key: 'name', label: 'Name' }],
+        dataProvider: window.controlledProvider
+      });
+    });
+
+    await page.locator('#users th', { hasText: 'Name' }).click();
+
+    const state = await page.evaluate(() => ({
+      count: window.requests.length,
+      firstAborted: window.requests[0].params.signal.aborted,
+      sort: window.requests[1].params.sort
+    }));
+    expect(state).toEqual({ count: 2, firstAborted: true, sort: [{ key: 'name', direction: 'asc' }] });
+
+    // The superseded response arrives last and must not replace the sorted rows
+    await page.evaluate(() => {
+      window.requests[1].resolve({ rows: [{ id: 9, name: 'Sorted' }], total: 1 });
+    });
+    await expect(page.locator('#users tbody tr')).toHaveCount(1);
+    await page.evaluate(() => window.respond(0));
+    await expect(page.locator('#users tbody tr')).toHaveCount(1);
+    await expect(page.locator('#users tbody')).toContainText('Sorted');
+  });
+
+  test('shows the error state and retries on demand', async ({ page }) => {
+    await page.evaluate(() => {
+      window.errors = [];
+      const element = document.getElementById('users');
+      element.addEventListener('datatableerror', (e) => window.errors.push(e.detail.error.message));
+      window.table = new DataTable(element, {
+        columns: [{ key: 'id', label: 'ID' }, { key: 'name', label: 'Name' }],
+        dataProvider: window.controlledProvider
+      });
+      window.requests[0].reject(new Error('HTTP 503'));
+    });
+
+    await expect(page.locator('#users .table-error')).toContainText('Failed to load data: HTTP 503');
+    expect(await page.evaluate(() => window.errors)).toEqual(['HTTP 503']);
+
+    await page.locator('#users .table-error button', { hasText: 'Retry' }).click();
+    await page.evaluate(() => window.respond(1));
+    await expect(page.locator('#users tbody tr')).toHaveCount(10);
+  });
+
+  test('exports all rows page by page with the view the export started from', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const calls = [];
+      let hook = () => {};
+      const rows = Array.from({ length: 25 }, (_, i) => ({ id: i + 1, name: `User ${i + 1}` }));
+      const table = new DataTable(document.getElementById('users'), {
+        columns: [{ key: 'id', label: 'ID' }, { key: 'name', label: 'Name' }],
+        rowsPerPage: 10,
+        dataProvider: async (params) => {
+          calls.push(params);
+          const start = (params.page - 1) * params.pageSize;
+          const response = { rows: rows.slice(start, start + params.pageSize), total: rows.length };
+          return hook(params, response) || response;
+        }
+      });
+      table.setSort([{ key: 'name', direction: 'desc' }]);
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const exported = [];
+      const exportRows = async (change) => {
+        const controller = new AbortController();
+        hook = (params, response) => (params.signal === controller.signal ? change(params, response, controller) : null);
+        try {
+          const blob = await table.exportData('json', { download: false, signal: controller.signal });
+          return JSON.parse(await blob.text()).map(row => row.id);
+        } catch (error) {
+          return `${error.name}: ${error.message}`;
+        } finally {
+          calls.splice(0).filter(params => params.signal === controller.signal).forEach(params => exported.push(params));
+        }
+      };
+      calls.length = 0;
+
+      // Re-sorting during the export doesn't change the pages still to come
+      const all = await exportRows((params) => {
+        if (params.page === 1) table.setSort([{ key: 'id', direction: 'asc' }]);
+      });
+      const requested = exported.splice(0).map(params => [params.page, params.pageSize, params.sort.map(sort => `${sort.key} ${sort.direction}`).join()]);
+
+      const shortPage = await exportRows((params, response) => (params.page === 3 ? { rows: [], total: 25 } : response));
+      const grown = await exportRows((params, response) => (params.page === 2 ? { ...response, total: 30 } : response));
+      const aborted = await exportRows((params, response, controller) => {
+        controller.abort();
+        return response;
+      });
+      return { all, requested, shortPage, grown, aborted, abortedPages: exported.slice(-1).map(params => params.page) };
+    });
+
+    expect(result.all).toEqual(Array.from({ length: 25 }, (_, i) => i + 1));
+    expect(result.requested).toEqual([[1, 10, 'name desc'], [2, 10, 'name desc'], [3, 10, 'name desc']]);
+    // A partial file is never produced
+    expect(result.shortPage).toBe('Error: Export stopped: expected 25 rows but received 20');
+    expect(result.grown).toBe('Error: Export stopped: the row count changed from 25 to 30');
+    expect(result.aborted).toMatch(/^AbortError/);
+    expect(result.abortedPages).toEqual([1]);
+  });
+
+  test('virtualizes rows and loads blocks as they scroll into view', async ({ page }) => {
+    await page.evaluate(() => {
+      window.table = new DataTable(document.getElementById('users'), {
+        columns: [{ key: 'id', label: 'ID' }, { key: 'name', label: 'Name' }],
+        pagination: false,
+        rowHeight: 40,
+        virtualHeight: 400,
+        blockSize: 50,
+        dataProvider: window.controlledProvider
+      });
+    });
+
+    await page.evaluate(() => window.respond(0, 100000));
+    const rows = page.locator('.data-table-virtual-row');
+    await expect(rows.first()).toContainText('User 1');
+
+    // Only the rows around the viewport exist in the DOM
+    expect(await rows.count()).toBeLessThan(30);
+    expect(await page.evaluate(() => window.requests.map(r => [r.params.page, r.params.pageSize]))).toEqual([[1, 50]]);
+
+    // Row 5000 lives in block 100 (page 101)
+    await page.locator('.data-table-virtual-body .virtual-scroll-container').evaluate((el) => {
+      el.scrollTop = 5000 * 40;
+    });
+    await expect.poll(() => page.evaluate(() => window.requests.map(r => r.params.page))).toContain(101);
+    await expect(page.locator('.data-table-virtual-row .table-loading').first()).toBeVisible();
+
+    const index = await page.evaluate(() => window.requests.findIndex(r => r.params.page === 101));
+    await page.evaluate((i) => window.respond(i, 100000), index);
+    await expect(page.locator('.data-table-virtual-row[aria-rowindex="5002"]')).toContainText('User 5001');
+  });
+
+  test('renders virtual rows inside the table and keeps only recent blocks in memory', async ({ page }) => {
+    await page.evaluate(() => {
+      window.table = new DataTable(document.getElementById('users'), {
+        columns: [{ key: 'id', label: 'ID' }, { key: 'name', label: 'Name' }],
+        pagination: false,
+        rowHeight: 40,
+        virtualHeight: 400,
+        blockSize: 50,
+        maxCachedBlocks: 3,
+        dataProvider: window.controlledProvider
+      });
+      // Scrolls to a row and answers the request for its block
+      window.showRow = async (row) => {
+        const container = document.querySelector('#users .virtual-scroll-container');
+        container.scrollTop = row * 40;
+        const page = Math.floor(row / 50) + 1;
+        while (!window.requests.some(r => r.params.page === page && !r.answered)) {
+          await new Promise(resolve => requestAnimationFrame(resolve));
+        }
+        const index = window.requests.findIndex(r => r.params.page === page && !r.answered);
+        window.requests[index].answered = true;
+        window.respond(index, 10000);
+        await new Promise(resolve => requestAnimationFrame(resolve));
+      };
+    });
+    await page.evaluate(() => {
+      window.requests[0].answered = true;
+      window.respond(0, 10000);
+    });
+
+    // The rows belong to the table's own row group
+    const table = page.getByRole('table');
+    await expect(table.getByRole('row').filter({ hasText: 'User 1' }).first()).toBeVisible();
+    expect(await page.evaluate(() => ({
+      inside: document.querySelectorAll('#users tbody .data-table-virtual-row').length > 0,
+      outside: document.querySelectorAll('#host > .data-table-virtual-body').length,
+      rowCount: document.getElementById('users').getAttribute('aria-rowcount'),
+      colSpan: document.querySelector('#users tbody td').colSpan
+    }))).toEqual({ inside: true, outside: 0, rowCount: '10001', colSpan: 2 });
+
+    const cached = await page.evaluate(async () => {
+      for (const row of [1020, 2020, 3020]) await window.showRow(row);
+      return { blocks: [...window.table.blockStates.keys()], rows: window.table.rowCache.size };
+    });
+    // Block 0 was viewed longest ago and went first
+    expect(cached).toEqual({ blocks: [20, 40, 60], rows: 150 });
+    await expect(page.locator('.data-table-virtual-row[aria-rowindex="3022"]')).toContainText('User 3021');
+
+    // Coming back fetches the dropped block again
+    await page.evaluate(() => window.showRow(0));
+    await expect(page.locator('.data-table-virtual-row[aria-rowindex="2"]')).toContainText('User 1');
+    expect(await page.evaluate(() => window.requests.filter(r => r.params.page === 1).length)).toBe(2);
+
+    // A new sort drops every cached block
+    const sorted = await page.evaluate(() => {
+      window.table.setSort([{ key: 'name', direction: 'desc' }]);
+      const request = window.requests[window.requests.length - 1];
+      return { blocks: window.table.blockStates.size, rows: window.table.rowCache.size, page: request.params.page, sort: request.params.sort };
+    });
+    expect(sorted).toEqual({ blocks: 1, rows: 0, page: 1, sort: [{ key: 'name', direction: 'desc' }] });
+  });
+});
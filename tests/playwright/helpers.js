@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Pages run on a stub origin so localStorage, IndexedDB and BroadcastChannel are available
+const TEST_ORIGIN = 'http://jazer.test';
+
+// Same stub served over https, for APIs only secure contexts get, such as Cache Storage
+const SECURE_TEST_ORIGIN = 'https://jazer.test';
+
+const CONTENT_TYPES = {
+  html: 'text/html',
+  css: 'text/css',
+  js: 'application/javascript',
+  json: 'application/json'
+};
+
+/**
+ * Opens a blank page on the stub origin with repository scripts loaded
+ * Files under the repository root are served from the same origin, so tests can add their own
+ * page.route() handlers for API paths on top of this one.
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {Object} options - { scripts: repository-relative paths, body: HTML for <body>, origin: TEST_ORIGIN or SECURE_TEST_ORIGIN }
+ */
+async function openFixture(page, { scripts = [], body = '', origin = TEST_ORIGIN } = {}) {
+  await page.route(`${origin}/**`, (route) => {
+    const { pathname } = new URL(route.request().url());
+
+    if (pathname === '/') {
+      return route.fulfill({
+        contentType: 'text/html',
+        body: `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Fixture</title></head><body>${body}</body></html>`
+      });
+    }
+
+    const filePath = path.join(ROOT, decodeURIComponent(pathname));
+    if (!filePath.startsWith(ROOT) || !fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+      return route.fulfill({ status: 404, body: 'Not found' });
+    }
+
+    const ext = path.extname(filePath).slice(1);
+    return route.fulfill({
+      contentType: CONTENT_TYPES[ext] || 'application/octet-stream',
+      body: fs.readFileSync(filePath)
+    });
+  });
+
+  await page.goto(`${origin}/`);
+
+  for (const script of scripts) {
+    await page.addScriptTag({ path: path.join(ROOT, script) });
+  }
+}
+
+/**
+ * Replaces window.WebSocket with an in-page stand-in the test drives by hand
+ * Sockets are collected in window.sockets. Each records what it was sent in `sent` and has
+ * open(), receive(data) and drop(code) to act as the server.
+ * @param {import('@playwright/test').Page} page - Playwright page
+ */
+async function installFakeWebSocket(page) {
+  await page.evaluate(() => {
+    class FakeWebSocket {
+      constructor(url, protocols) {
+        this.url = url;
+        this.protocols = protocols;
+        this.readyState = FakeWebSocket.CONNECTING;
+        this.binaryType = 'blob';
+        this.bufferedAmount = 0;
+        this.sent = [];
+        window.sockets.push(this);
+      }
+
+      send(data) {
+        if (this.readyState !== FakeWebSocket.OPEN) {
+          throw new Error('Socket is not open');
+        }
+        this.sent.push(data);
+      }
+
+      close(code = 1000, reason = '') {
+        if (this.readyState >= FakeWebSocket.CLOSING) return;
+        this.readyState = FakeWebSocket.CLOSING;
+        setTimeout(() => this.finish(code, reason, true), 0);
+      }
+
+      open() {
+        this.readyState = FakeWebSocket.OPEN;
+        if (this.onopen) this.onopen({ type: 'open' });
+      }
+
+      receive(data) {
+        // Plain objects are sent as JSON text; strings, ArrayBuffers and Blobs as they are
+        const frame = data && data.constructor === Object ? JSON.stringify(data) : data;
+        if (this.onmessage) this.onmessage({ type: 'message', data: frame });
+      }
+
+      drop(code = 1006) {
+        this.finish(code, '', false);
+      }
+
+      finish(code, reason, wasClean) {
+        this.readyState = FakeWebSocket.CLOSED;
+        if (this.onclose) this.onclose({ type: 'close', code, reason, wasClean });
+      }
+
+      // Sent text frames parsed back into messages
+      messages() {
+        return this.sent.filter(data => typeof data === 'string').map(data => JSON.parse(data));
+      }
+    }
+
+    Object.assign(FakeWebSocket, { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 });
+    window.sockets = [];
+    window.WebSocket = FakeWebSocket;
+  });
+}
+
+module.exports = { ROOT, TEST_ORIGIN, SECURE_TEST_ORIGIN, openFixture, installFakeWebSocket };
@@ -0,0 +1,208 @@
+/* global OfflineSync */
+const { test, expect } = require('@playwright/test');
+const { openFixture, TEST_ORIGIN } = require('./helpers');
+
+// Answers /api/* with 409 and the next of conflicts[path] while there are any, then saves
+async function routeApi(page) {
+  const server = { requests: [], conflicts: {} };
+
+  await page.route(`${TEST_ORIGIN}/api/**`, async (route) => {
+    const request = route.request();
+    const { pathname } = new URL(request.url());
+    const headers = await request.allHeaders();
+
+    server.requests.push({ body: request.postDataJSON(), key: headers['idempotency-key'] });
+
+    const conflicts = server.conflicts[pathname] || [];
+    if (conflicts.length > 0) {
+      const { status = 409, data } = conflicts.shift();
+      await route.fulfill({ status, json: data });
+      return;
+    }
+    await route.fulfill({ json: { saved: request.postDataJSON() } });
+  });
+
+  return server;
+}
+
+// Queues a PUT to /api/docs/1 and syncs it, resolving to the sync results
+function syncEdit(page, options, data, requestOptions) {
+  return page.evaluate(async ([options, data, requestOptions]) => {
+    let results = null;
+    window.sync = new OfflineSync({
+      autoSync: false,
+      enableBackgroundSync: false,
+      storageKey: 'conflict-test',
+      ...options,
+      onSyncComplete: (summary) => {
+        results = summary.results.map(({ status, result }) => [status, result]);
+      }
+    });
+
+    await window.sync.addRequest('PUT', '/api/docs/1', data, requestOptions);
+    await window.sync.sync();
+    return { results, left: window.sync.getQueueCount() };
+  }, [options, data, requestOptions]);
+}
+
+test.describe('OfflineSync conflict resolution', () => {
+  let server;
+
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, { scripts: ['[JS]/modules/offline-sync-module.js'] });
+    server = await routeApi(page);
+  });
+
+  test('merges three ways with per-field strategies', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const sync = new OfflineSync({ autoSync: false, enableBackgroundSync: false, storage: 'localStorage', storageKey: 'merge-test' });
+      const base = { title: 'Draft', body: 'text', views: 10, tags: ['a', 'b'], meta: { color: 'red', size: 1 }, archived: false, note: 'n', rank: 1 };
+      const local = { title: 'Mine', body: 'text', views: 13, tags: ['a', 'b', 'c'], meta: { color: 'blue', size: 1 }, note: 'n local', rank: 2, status: 'local' };
+      const server = { title: 'Theirs', body: 'text 2', views: 15, tags: ['b', 'd'], meta: { color: 'red', size: 2 }, archived: false, note: 'n server', rank: 'high', status: 'server' };
+      const strategies = {
+        title: 'lww',
+        views: 'counter',
+        rank: 'counter',
+        tags: 'union',
+        note: ({ path, local, server }) => `${path}: ${local} + ${server}`
+      };
+
+      return {
+        newerLocal: sync.mergeThreeWay(base, local, server, { strategies, localTime: 2000, serverTime: 1000 }),
+        newerServer: sync.mergeThreeWay(base, local, server, { strategies, localTime: 1000, serverTime: 2000 }).merged.title,
+        // Without times 'lww' can't decide
+        untimed: sync.mergeThreeWay(base, local, server, { strategies }).conflicts.map(conflict => conflict.path),
+        sides: [
+          sync.mergeThreeWay({ a: 1 }, { a: 2 }, { a: 3 }, { strategies: { '*': 'client' } }).merged,
+          sync.mergeThreeWay({ a: 1 }, { a: 2 }, { a: 3 }, { strategies: { '*': 'server' } }).merged,
+          sync.mergeThreeWay({ a: { b: 1 } }, { a: { b: 2 } }, { a: { b: 3 } }, { strategies: { 'a.b': 'client' } }).merged
+        ]
+      };
+    });
+
+    expect(result.newerLocal.merged).toEqual({
+      title: 'Mine',
+      body: 'text 2',
+      views: 18,
+      // 'a' was removed on the server, 'c' added here and 'd' added there
+      tags: ['b', 'd', 'c'],
+      meta: { color: 'blue', size: 2 },
+      note: 'note: n local + n server',
+      // Counters only add up numbers, so rank keeps the server value
+      rank: 'high',
+      status: 'server'
+    });
+    // 'archived' was removed here and left alone on the server, so it stays removed
+    expect(result.newerLocal.merged).not.toHaveProperty('archived');
+    expect(result.newerLocal.conflicts).toEqual([
+      { path: 'rank', base: 1, local: 2, server: 'high' },
+      { path: 'status', base: undefined, local: 'local', server: 'server' }
+    ]);
+    expect(result.newerServer).toBe('Theirs');
+    expect(result.untimed).toEqual(['title', 'rank', 'status']);
+    expect(result.sides).toEqual([{ a: 2 }, { a: 3 }, { a: { b: 2 } }]);
+  });
+
+  test('resends a merged edit under a new idempotency key and merges later conflicts against the server data', async ({ page }) => {
+    server.conflicts['/api/docs/1'] = [
+      { data: { title: 'Base', views: 11, status: 'review' } },
+      { status: 412, data: { title: 'Base', views: 14, status: 'review' } }
+    ];
+    const outcome = await page.evaluate(async () => {
+      let results = null;
+      window.seen = [];
+      window.sync = new OfflineSync({
+        autoSync: false,
+        enableBackgroundSync: false,
+        storageKey: 'conflict-test',
+        conflictResolution: 'merge',
+        fieldStrategies: { views: 'counter' },
+        onConflict: async (conflicts, details) => {
+          // The choices are applied to the merged data afterwards
+          window.seen.push({ conflicts, url: details.request.url, merged: { ...details.merged }, server: details.server });
+          return { status: 'approved' };
+        },
+        onSyncComplete: (summary) => {
+          results = summary.results.map(({ status, result }) => [status, result]);
+        }
+      });
+
+      await window.sync.addRequest('PUT', '/api/docs/1', { title: 'Local', views: 12, status: 'draft' }, { base: { title: 'Base', views: 10, status: 'new' } });
+      await window.sync.sync();
+      return { results, left: window.sync.getQueueCount() };
+    });
+
+    const [first, second, third] = server.requests;
+    expect(server.requests.map(request => request.body)).toEqual([
+      { title: 'Local', views: 12, status: 'draft' },
+      // Both sides' views were counted and the manual choice filled in the status
+      { title: 'Local', views: 13, status: 'approved' },
+      // The first server data became the base, so only the new views are added
+      { title: 'Local', views: 16, status: 'approved' }
+    ]);
+    expect(first.key).toBeTruthy();
+    expect(second.key).toBeTruthy();
+    expect(third.key).toBeTruthy();
+    expect(new Set([first.key, second.key, third.key]).size).toBe(3);
+
+    expect(await page.evaluate(() => window.seen)).toEqual([{
+      conflicts: [{ path: 'status', base: 'new', local: 'draft', server: 'review' }],
+      url: '/api/docs/1',
+      merged: { title: 'Local', views: 13, status: 'review' },
+      server: { title: 'Base', views: 11, status: 'review' }
+    }]);
+    expect(outcome).toEqual({ results: [['synced', { saved: { title: 'Local', views: 16, status: 'approved' } }]], left: 0 });
+  });
+
+  test('keeps the idempotency key when the resolution sends the same payload', async ({ page }) => {
+    server.conflicts['/api/docs/1'] = [{ data: { title: 'Server' } }];
+
+    const outcome = await syncEdit(page, { conflictResolution: 'client-wins' }, { title: 'Local' });
+
+    expect(server.requests.map(request => request.body)).toEqual([{ title: 'Local' }, { title: 'Local' }]);
+    expect(server.requests[1].key).toBe(server.requests[0].key);
+    expect(outcome.left).toBe(0);
+  });
+
+  test('finishes without resending when the server version wins', async ({ page }) => {
+    server.conflicts['/api/docs/1'] = [{ data: { title: 'Server', views: 3 } }];
+
+    const outcome = await syncEdit(page, { conflictResolution: 'server-wins' }, { title: 'Local' });
+
+    expect(server.requests).toHaveLength(1);
+    expect(outcome).toEqual({ results: [['synced', { title: 'Server', views: 3 }]], left: 0 });
+  });
+
+  test('falls back to a shallow merge without a base version', async ({ page }) => {
+    server.conflicts['/api/docs/1'] = [{ data: { title: 'Server', views: 3 } }];
+
+    await syncEdit(page, { conflictResolution: 'merge' }, { title: 'Local', color: 'red' });
+
+    expect(server.requests.map(request => request.body)).toEqual([{ title: 'Local', color: 'red' }, { title: 'Server', views: 3, color: 'red' }]);
+    expect(server.requests[1].key).not.toBe(server.requests[0].key);
+  });
+
+  test('asks the user about fields it cannot merge', async ({ page }) => {
+    server.conflicts['/api/docs/1'] = [{ data: { title: 'Server title', status: 'published', views: 1 } }];
+
+    await page.evaluate(() => {
+      window.sync = new OfflineSync({ autoSync: false, enableBackgroundSync: false, storageKey: 'conflict-test', conflictResolution: 'merge', conflictDialog: true });
+      window.done = window.sync.addRequest('PUT', '/api/docs/1', { title: 'My title', status: 'draft', views: 0 }, { base: { title: 'Old', status: 'new', views: 0 } })
+        .then(() => window.sync.sync());
+    });
+
+    const dialog = page.getByRole('dialog', { name: 'Resolve sync conflicts' });
+    await expect(dialog).toBeVisible();
+    await expect(dialog).toContainText('PUT /api/docs/1');
+    await expect(dialog.locator('legend')).toHaveText(['title', 'status']);
+    await expect(dialog.getByRole('radio', { name: 'Yours: My title' })).toBeChecked();
+    await expect(page.getByRole('button', { name: 'Apply' })).toBeFocused();
+
+    await dialog.getByRole('radio', { name: 'Server: published' }).check();
+    await dialog.getByRole('button', { name: 'Apply' }).click();
+    await page.evaluate(() => window.done);
+
+    await expect(dialog).toHaveCount(0);
+    expect(server.requests[1].body).toEqual({ title: 'My title', status: 'published', views: 1 });
+  });
+});
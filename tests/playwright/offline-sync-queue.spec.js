@@ -0,0 +1,282 @@
+/* global OfflineSync */
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { openFixture, ROOT, TEST_ORIGIN } = require('./helpers');
+
+const SCRIPT = '[JS]/modules/offline-sync-module.js';
+
+// Records what reaches /api/*. replies[path] is the JSON answer and failures[path] the number of
+// 503s to send before answering
+async function routeApi(page) {
+  const server = { requests: [], replies: {}, failures: {} };
+
+  await page.route(`${TEST_ORIGIN}/api/**`, async (route) => {
+    const request = route.request();
+    const { pathname } = new URL(request.url());
+    const headers = await request.allHeaders();
+    const body = request.postDataBuffer();
+
+    server.requests.push({
+      method: request.method(),
+      path: pathname,
+      type: headers['content-type'] || null,
+      key: headers['idempotency-key'] || null,
+      body: body ? body.toString('latin1') : null
+    });
+
+    if (server.failures[pathname] > 0) {
+      server.failures[pathname]--;
+      await route.fulfill({ status: 503, body: 'busy' });
+      return;
+    }
+    await route.fulfill({ status: 201, json: server.replies[pathname] || { ok: true } });
+  });
+
+  return server;
+}
+
+// A sync instance that only sends when the test calls sync()
+function createSync(page, options = {}) {
+  return page.evaluate((options) => {
+    window.sync = new OfflineSync({ autoSync: false, enableBackgroundSync: false, storageKey: 'queue-test', ...options });
+    return window.sync.ready;
+  }, options);
+}
+
+test.describe('OfflineSync queue', () => {
+  let server;
+
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, { scripts: [SCRIPT] });
+    server = await routeApi(page);
+  });
+
+  test('keeps queued requests, binary bodies included, in IndexedDB across reloads', async ({ page }) => {
+    await createSync(page);
+    await page.evaluate(async () => {
+      const sync = window.sync;
+      await sync.addRequest('POST', '/api/notes', { title: 'Offline note' });
+      await sync.addRequest('PUT', '/api/files/1', new Blob(['blob body'], { type: 'text/markdown' }));
+      await sync.addRequest('PUT', '/api/files/2', new Uint8Array([0, 1, 254, 255]));
+
+      const form = new FormData();
+      form.append('name', 'avatar');
+      form.append('file', new Blob(['PNG'], { type: 'image/png' }), 'avatar.png');
+      await sync.addRequest('POST', '/api/uploads', form);
+      sync.destroy();
+    });
+
+    await page.reload();
+    await page.addScriptTag({ path: path.join(ROOT, SCRIPT) });
+    await createSync(page);
+
+    const queue = await page.evaluate(() => window.sync.getQueue().map(request => [
+      request.method,
+      request.url,
+      request.bodyType,
+      Object.prototype.toString.call(request.data),
+      request.status
+    ]));
+    expect(queue).toEqual([
+      ['POST', '/api/notes', 'json', '[object Object]', 'pending'],
+      ['PUT', '/api/files/1', 'blob', '[object Blob]', 'pending'],
+      ['PUT', '/api/files/2', 'binary', '[object Uint8Array]', 'pending'],
+      ['POST', '/api/uploads', 'form-data', '[object Array]', 'pending']
+    ]);
+    expect(await page.evaluate(() => localStorage.getItem('queue-test'))).toBeNull();
+
+    await page.evaluate(() => window.sync.sync());
+
+    const [note, blob, binary, upload] = server.requests;
+    expect(note).toMatchObject({ type: 'application/json', body: '{"title":"Offline note"}' });
+    expect(blob).toMatchObject({ type: 'text/markdown', body: 'blob body' });
+    expect(binary).toMatchObject({ type: 'application/octet-stream', body: '\x00\x01\xfe\xff' });
+    expect(upload.type).toMatch(/^multipart\/form-data; boundary=/);
+    expect(upload.body).toContain('name="file"; filename="avatar.png"');
+    expect(upload.body).toContain('PNG');
+
+    // Synced requests are gone from the database too
+    expect(await page.evaluate(async () => (await window.sync.store.getAll()).length)).toBe(0);
+  });
+
+  test('moves a queue stored in localStorage by an earlier version into IndexedDB', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      localStorage.setItem('queue-test', JSON.stringify([
+        { id: 'sync-1-old', method: 'POST', url: '/api/legacy', data: { n: 1 }, options: {}, timestamp: 1000, retries: 0 },
+        { id: 'sync-2-old', method: 'DELETE', url: '/api/legacy/1', data: null, options: {}, timestamp: 1000, retries: 1 }
+      ]));
+
+      const sync = new OfflineSync({ autoSync: false, enableBackgroundSync: false, storageKey: 'queue-test' });
+      await sync.ready;
+      const stored = await sync.store.getAll();
+
+      // The localStorage fallback warns that binary bodies won't survive
+      const warnings = [];
+      const warn = console.warn;
+      console.warn = (message) => warnings.push(message);
+      try {
+        const local = new OfflineSync({ autoSync: false, enableBackgroundSync: false, storage: 'localStorage', storageKey: 'local-test' });
+        await local.addRequest('POST', '/api/files', new Blob(['x']));
+      } finally {
+        console.warn = warn;
+      }
+
+      return {
+        queue: sync.getQueue().map(({ id, sequence, bodyType, status, dependsOn, retries }) => ({ id, sequence, bodyType, status, dependsOn, retries })),
+        stored: stored.map(request => request.id),
+        left: localStorage.getItem('queue-test'),
+        warnings
+      };
+    });
+
+    expect(result).toEqual({
+      // Requests from the same moment keep their order
+      queue: [
+        { id: 'sync-1-old', sequence: 1000, bodyType: 'json', status: 'pending', dependsOn: [], retries: 0 },
+        { id: 'sync-2-old', sequence: 1001, bodyType: 'json', status: 'pending', dependsOn: [], retries: 1 }
+      ],
+      stored: ['sync-1-old', 'sync-2-old'],
+      left: null,
+      warnings: ['Binary request bodies cannot be kept in localStorage and will be lost on reload']
+    });
+  });
+
+  test('sends requests after the ones they depend on, with their response values filled in', async ({ page }) => {
+    server.replies['/api/posts'] = { id: 41, slug: 'hello' };
+    server.replies['/api/posts/41/comments'] = { id: 7 };
+    await createSync(page);
+
+    const result = await page.evaluate(async () => {
+      const sync = window.sync;
+      const post = await sync.addRequest('POST', '/api/posts', { title: 'Hello' });
+      const comment = await sync.addRequest('POST', `/api/posts/${sync.ref(post)}/comments`, {
+        postId: sync.ref(post),
+        link: `/posts/${sync.ref(post, 'slug')}#c`,
+        missing: sync.ref(post, 'author.name')
+      });
+      const like = await sync.addRequest('POST', '/api/likes', { commentId: sync.ref(comment) });
+      const audit = await sync.addRequest('POST', '/api/audit', { event: 'posted' }, { dependsOn: [post] });
+
+      const dependencies = sync.getQueue().map(request => request.dependsOn);
+      const unknown = await sync.addRequest('POST', '/api/x', {}, { dependsOn: 'sync-0-nothing' }).catch(error => error.message);
+
+      await sync.sync();
+
+      // A request queued after its dependency synced has the response straight away
+      const later = await sync.addRequest('PUT', `/api/posts/${sync.ref(post)}`, { title: 'Edited' });
+      const ready = sync.isRequestReady(sync.queue.find(request => request.id === later));
+      await sync.sync();
+
+      return { ids: [post, comment, like, audit], dependencies, unknown, ready, left: sync.getQueueCount() };
+    });
+
+    const [post, comment] = result.ids;
+    expect(result.dependencies).toEqual([[], [post], [comment], [post]]);
+    expect(result.unknown).toBe('Unknown dependency: sync-0-nothing');
+    expect(result.ready).toBe(true);
+    expect(result.left).toBe(0);
+    expect(server.requests.map(request => `${request.method} ${request.path} ${request.body}`)).toEqual([
+      'POST /api/posts {"title":"Hello"}',
+      // Whole-value placeholders keep their type; missing values become empty in strings and drop out of JSON
+      'POST /api/posts/41/comments {"postId":41,"link":"/posts/hello#c"}',
+      'POST /api/likes {"commentId":7}',
+      'POST /api/audit {"event":"posted"}',
+      'PUT /api/posts/41 {"title":"Edited"}'
+    ]);
+  });
+
+  test('fails the requests that depend on one that never syncs', async ({ page }) => {
+    server.failures['/api/posts'] = 10;
+    await createSync(page, { maxRetries: 2, retryDelay: 0 });
+
+    const result = await page.evaluate(async () => {
+      const sync = window.sync;
+      const outcomes = {};
+      const track = (name, id) => {
+        outcomes[name] = 'queued';
+        sync.pendingRequests.set(id, { resolve: () => { outcomes[name] = 'synced'; }, reject: (error) => { outcomes[name] = error.message; } });
+      };
+
+      const post = await sync.addRequest('POST', '/api/posts', { title: 'Hello' });
+      const comment = await sync.addRequest('POST', '/api/comments', { postId: sync.ref(post) });
+      const other = await sync.addRequest('POST', '/api/other', {});
+      track('post', post);
+      track('comment', comment);
+      track('other', other);
+
+      // The dependent request waits while its dependency is retried; the rest of the queue goes on
+      await sync.sync();
+      const waiting = sync.getQueue().map(request => [request.url, request.status, request.retries]);
+      await sync.sync();
+
+      const removed = await sync.addRequest('POST', '/api/drafts', {});
+      const dependent = await sync.addRequest('POST', '/api/draft-images', {}, { dependsOn: removed });
+      track('dependent', dependent);
+      sync.removeRequest(removed);
+
+      return { waiting, outcomes, left: sync.getQueueCount() };
+    });
+
+    expect(result.waiting).toEqual([['/api/posts', 'waiting', 1], ['/api/comments', 'pending', 0]]);
+    expect(result.outcomes).toEqual({
+      post: 'Sync failed after 2 attempts: HTTP 503: Service Unavailable',
+      comment: expect.stringMatching(/^Dependency sync-\S+ failed: Sync failed after 2 attempts/),
+      other: 'synced',
+      dependent: expect.stringMatching(/^Dependency sync-\S+ failed: Request was removed from the queue$/)
+    });
+    expect(result.left).toBe(0);
+    expect(server.requests.map(request => request.path)).toEqual(['/api/posts', '/api/other', '/api/posts']);
+  });
+
+  test('retries with backoff under the same idempotency key', async ({ page }) => {
+    await page.clock.install({ time: new Date('2024-05-01T11:59:00Z') });
+    await page.clock.pauseAt(new Date('2024-05-01T12:00:00Z'));
+    server.failures['/api/payments'] = 2;
+    await createSync(page, { autoSync: true, syncInterval: 600000, retryDelay: 1000 });
+
+    await page.evaluate(async () => {
+      const sync = window.sync;
+      await sync.addRequest('POST', '/api/payments', { amount: 10 });
+      await sync.addRequest('GET', '/api/balance', null);
+      await sync.addRequest('POST', '/api/orders', {}, { idempotencyKey: 'order-1' });
+    });
+    const queue = () => page.evaluate(() => window.sync.getQueue().map(({ url, status, retries, lastAttempt, nextAttempt, lastError }) => ({ url, status, retries, lastAttempt, nextAttempt, lastError })));
+    const start = Date.parse('2024-05-01T12:00:00Z');
+
+    // Queued requests go out shortly after being added while online
+    await page.clock.runFor(100);
+    await expect.poll(() => server.requests.length).toBe(3);
+    expect(await queue()).toEqual([
+      { url: '/api/payments', status: 'waiting', retries: 1, lastAttempt: start + 100, nextAttempt: start + 1100, lastError: 'HTTP 503: Service Unavailable' }
+    ]);
+
+    await page.clock.runFor(999);
+    expect(server.requests).toHaveLength(3);
+    await page.clock.runFor(1);
+    await expect.poll(() => server.requests.length).toBe(4);
+    expect(await queue()).toEqual([
+      { url: '/api/payments', status: 'waiting', retries: 2, lastAttempt: start + 1100, nextAttempt: start + 3100, lastError: 'HTTP 503: Service Unavailable' }
+    ]);
+
+    await page.clock.runFor(2000);
+    await expect.poll(() => server.requests.length).toBe(5);
+    await expect.poll(queue).toEqual([]);
+
+    const payments = server.requests.filter(request => request.path === '/api/payments');
+    expect(payments).toHaveLength(3);
+    expect(payments[0].key).toBeTruthy();
+    expect(payments.every(request => request.key === payments[0].key)).toBe(true);
+    expect(server.requests.find(request => request.path === '/api/balance').key).toBeNull();
+    expect(server.requests.find(request => request.path === '/api/orders').key).toBe('order-1');
+  });
+
+  test('leaves the idempotency header out when it is disabled', async ({ page }) => {
+    await createSync(page, { idempotencyHeader: null });
+    await page.evaluate(async () => {
+      await window.sync.addRequest('POST', '/api/notes', {});
+      await window.sync.sync();
+    });
+
+    expect(server.requests.map(request => request.key)).toEqual([null]);
+  });
+});
@@ -0,0 +1,194 @@
+/* global OfflineSync, flushOfflineQueue, clients */
+const fs = require('fs');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { ROOT, SECURE_TEST_ORIGIN } = require('./helpers');
+
+const MODULES = path.join(ROOT, '[JS]', 'modules');
+
+// Serves the worker and the module from the site root, where the worker's scope covers the page.
+// Routed on the context so requests from the worker are answered too
+async function serveSite(context) {
+  const server = { requests: [], failures: {} };
+
+  await context.route(`${SECURE_TEST_ORIGIN}/**`, async (route) => {
+    const request = route.request();
+    const { pathname } = new URL(request.url());
+
+    if (pathname === '/') {
+      await route.fulfill({ contentType: 'text/html', body: '<!DOCTYPE html><title>Worker fixture</title><script src="/offline-sync-module.js"></script>' });
+    } else if (/^\/offline-sync-(module|worker)\.js$/.test(pathname)) {
+      await route.fulfill({ contentType: 'application/javascript', body: fs.readFileSync(path.join(MODULES, pathname)) });
+    } else if (pathname.startsWith('/api/')) {
+      const headers = await request.allHeaders();
+      server.requests.push({ method: request.method(), path: pathname, type: headers['content-type'], key: headers['idempotency-key'], body: request.postData() });
+
+      if (server.failures[pathname] > 0) {
+        server.failures[pathname]--;
+        await route.fulfill({ status: 503, body: 'busy' });
+        return;
+      }
+      await route.fulfill({ status: 201, json: { id: server.requests.length } });
+    } else {
+      await route.fulfill({ status: 404, body: 'Not found' });
+    }
+  });
+
+  return server;
+}
+
+test.describe('OfflineSync service worker', () => {
+  let server;
+
+  test.beforeEach(async ({ page, context }) => {
+    server = await serveSite(context);
+    await page.goto(`${SECURE_TEST_ORIGIN}/`);
+  });
+
+  test('hands the worker its options and lets it flush the shared queue', async ({ page, context }) => {
+    const workerStarted = context.waitForEvent('serviceworker');
+    await page.evaluate(async () => {
+      window.completions = [];
+      window.outcomes = {};
+      window.sync = new OfflineSync({
+        serviceWorkerUrl: '/offline-sync-worker.js',
+        autoSync: false,
+        storageKey: 'worker-test',
+        maxRetries: 2,
+        retryDelay: 0,
+        conflictResolution: 'merge',
+        fieldStrategies: { title: 'lww', body: () => 'function strategies stay in the page' },
+        onSyncComplete: (summary) => window.completions.push(summary)
+      });
+      await navigator.serviceWorker.ready;
+    });
+    const worker = await workerStarted;
+
+    // The options arrive in the worker's own database, without the callbacks
+    const readConfig = () => page.evaluate(() => new Promise((resolve) => {
+      const open = indexedDB.open('offline-sync-worker');
+      open.onsuccess = () => {
+        const db = open.result;
+        if (!db.objectStoreNames.contains('configs')) return resolve(null);
+        const request = db.transaction(['configs']).objectStore('configs').get('offline-sync');
+        request.onsuccess = () => resolve(request.result ? request.result.options : null);
+      };
+    }));
+    await expect.poll(readConfig).toEqual({
+      storage: 'indexeddb',
+      storageKey: 'worker-test',
+      syncTag: 'offline-sync',
+      maxRetries: 2,
+      retryDelay: 0,
+      retryBackoff: 'exponential',
+      maxRetryDelay: 60000,
+      idempotencyHeader: 'Idempotency-Key',
+      conflictResolution: 'merge',
+      timestampField: 'updatedAt',
+      fieldStrategies: { title: 'lww' }
+    });
+
+    server.failures['/api/reports'] = 1;
+    const ids = await page.evaluate(async () => {
+      const sync = window.sync;
+      const track = (id) => sync.pendingRequests.set(id, {
+        resolve: (result) => { window.outcomes[id] = result.result; },
+        reject: (error) => { window.outcomes[id] = error.message; }
+      });
+
+      const ids = [
+        await sync.addRequest('POST', '/api/notes', { title: 'Written offline' }),
+        await sync.addRequest('PUT', '/api/files/1', new Blob(['file body'], { type: 'text/plain' })),
+        await sync.addRequest('POST', '/api/reports', { week: 12 })
+      ];
+      ids.forEach(track);
+      return ids;
+    });
+
+    // Headless Chromium has Background Sync turned off, so the test runs what the sync event runs
+    const flush = (tag) => worker.evaluate(tag => flushOfflineQueue(tag).then(() => null, error => error.message), tag);
+
+    expect(await flush('offline-sync')).toBe('1 offline request is still queued');
+    expect(server.requests.map(request => `${request.method} ${request.path} ${request.type} ${request.body}`)).toEqual([
+      'POST /api/notes application/json {"title":"Written offline"}',
+      'PUT /api/files/1 text/plain file body',
+      'POST /api/reports application/json {"week":12}'
+    ]);
+
+    // The page hears about it and picks up the queue the worker left
+    await expect.poll(() => page.evaluate(() => window.completions.length)).toBe(1);
+    const first = await page.evaluate(() => ({
+      completion: window.completions[0],
+      outcomes: window.outcomes,
+      queue: window.sync.getQueue().map(({ url, status, retries, lastError }) => ({ url, status, retries, lastError }))
+    }));
+    expect(first.completion).toEqual({
+      synced: false,
+      remaining: 1,
+      background: true,
+      results: [
+        { id: ids[0], status: 'synced', result: { id: 1 } },
+        { id: ids[1], status: 'synced', result: { id: 2 } }
+      ]
+    });
+    expect(first.outcomes).toEqual({ [ids[0]]: { id: 1 }, [ids[1]]: { id: 2 } });
+    expect(first.queue).toEqual([{ url: '/api/reports', status: 'waiting', retries: 1, lastError: 'HTTP 503: Service Unavailable' }]);
+
+    // The browser retries the sync because the last one rejected
+    expect(await flush('offline-sync')).toBeNull();
+    await expect.poll(() => page.evaluate(() => window.completions.length)).toBe(2);
+    expect(await page.evaluate(() => [window.completions[1].remaining, window.outcomes, window.sync.getQueueCount()]))
+      .toEqual([0, { [ids[0]]: { id: 1 }, [ids[1]]: { id: 2 }, [ids[2]]: { id: 4 } }, 0]);
+
+    const reports = server.requests.filter(request => request.path === '/api/reports');
+    expect(reports.map(request => request.key)).toEqual([reports[0].key, reports[0].key]);
+
+    // Tags no page configured are left alone, and pages ignore reports for other tags
+    expect(await flush('unknown-tag')).toBeNull();
+    await worker.evaluate(async () => {
+      const pages = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+      pages.forEach(page => page.postMessage({ type: 'offline-sync:complete', tag: 'unknown-tag', results: [] }));
+    });
+    await page.evaluate(() => new Promise(resolve => setTimeout(resolve, 50)));
+    expect(await page.evaluate(() => window.completions.length)).toBe(2);
+    expect(server.requests).toHaveLength(4);
+  });
+
+  test('stops listening to the network and the worker once destroyed', async ({ page, context }) => {
+    const workerStarted = context.waitForEvent('serviceworker');
+    await page.evaluate(async () => {
+      window.changes = [];
+      window.completions = [];
+      window.sync = new OfflineSync({
+        serviceWorkerUrl: '/offline-sync-worker.js',
+        autoSync: false,
+        storageKey: 'destroy-test',
+        onOfflineChange: (online) => window.changes.push(online),
+        onSyncComplete: (summary) => window.completions.push(summary.remaining)
+      });
+      await navigator.serviceWorker.ready;
+    });
+    const worker = await workerStarted;
+
+    const report = () => worker.evaluate(async () => {
+      const pages = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+      pages.forEach(page => page.postMessage({ type: 'offline-sync:complete', tag: 'offline-sync', synced: true, remaining: 0, results: [] }));
+    });
+
+    await page.evaluate(() => {
+      window.dispatchEvent(new Event('offline'));
+      window.dispatchEvent(new Event('online'));
+    });
+    await report();
+    await expect.poll(() => page.evaluate(() => window.completions.length)).toBe(1);
+
+    await page.evaluate(() => {
+      window.sync.destroy();
+      window.dispatchEvent(new Event('offline'));
+    });
+    await report();
+    await page.evaluate(() => new Promise(resolve => setTimeout(resolve, 50)));
+
+    expect(await page.evaluate(() => [window.changes, window.completions, window.sync.isOnlineStatus()])).toEqual([[false, true], [0], true]);
+  });
+});
@@ -0,0 +1,314 @@
+/* global RequestInterceptor, MemoryCacheStore */
+const { test, expect } = require('@playwright/test');
+const { openFixture, TEST_ORIGIN, SECURE_TEST_ORIGIN } = require('./helpers');
+
+const NOW = new Date('2024-05-01T12:00:00Z');
+
+// Serves resources.{path} = { body, headers, etag }; answers a matching If-None-Match with 304
+async function routeApi(page, origin) {
+  const server = { hits: [], resources: {} };
+
+  await page.route(`${origin}/api/**`, async (route) => {
+    const request = route.request();
+    const { pathname } = new URL(request.url());
+    const headers = await request.allHeaders();
+    const resource = server.resources[pathname] || { body: 'none' };
+
+    const validator = headers['if-none-match'] ? ` if-none-match=${headers['if-none-match']}` : '';
+    server.hits.push(`${request.method()} ${pathname}${validator}`);
+
+    const responseHeaders = { 'Content-Type': 'text/plain', ...resource.headers };
+    if (resource.etag) responseHeaders.ETag = resource.etag;
+
+    if (resource.etag && headers['if-none-match'] === resource.etag) {
+      await route.fulfill({ status: 304, headers: responseHeaders });
+      return;
+    }
+    await route.fulfill({ body: resource.body, headers: responseHeaders });
+  });
+
+  return server;
+}
+
+// window.get(path, init) resolves to "<source> <body>", the source being what the interceptor logged
+async function installInterceptor(page, options) {
+  await page.evaluate((options) => {
+    window.updates = [];
+    window.interceptor = new RequestInterceptor({
+      enableCaching: true,
+      enableRetry: false,
+      ...options,
+      onCacheUpdate: ({ url, response, previous }) => Promise.all([response.text(), previous.text()])
+        .then(([now, before]) => window.updates.push(`${new URL(url).pathname} ${before} -> ${now}`))
+    });
+    window.get = async (path, init) => {
+      const text = await fetch(path, init).then(response => response.text());
+      const log = window.interceptor.getLog().filter(entry => entry.type === 'response');
+      return `${log[log.length - 1].source} ${text}`;
+    };
+    // Background revalidations settle before the next step looks at the cache
+    window.settle = () => Promise.all(Array.from(window.interceptor.revalidating.values()));
+  }, options);
+}
+
+test.describe('RequestInterceptor HTTP caching', () => {
+  let server;
+
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, { scripts: ['[JS]/modules/request-interceptor.js'] });
+    server = await routeApi(page, TEST_ORIGIN);
+    // Time only moves when a test runs the clock
+    await page.clock.install({ time: new Date(NOW.getTime() - 60000) });
+    await page.clock.pauseAt(NOW);
+  });
+
+  test('serves fresh responses for as long as Cache-Control, Expires or cacheDuration allow', async ({ page }) => {
+    server.resources = {
+      '/api/fresh': { body: 'v1', headers: { 'Cache-Control': 'max-age=60' } },
+      '/api/expires': { body: 'expires', headers: { Date: NOW.toUTCString(), Expires: new Date(NOW.getTime() + 20000).toUTCString() } },
+      '/api/default': { body: 'default' },
+      '/api/aged': { body: 'aged', headers: { 'Cache-Control': 'max-age=60', Age: '50' } },
+      '/api/nostore': { body: 'secret', headers: { 'Cache-Control': 'no-store' } },
+      '/api/lang': { body: 'lang', headers: { 'Cache-Control': 'max-age=60', Vary: 'Accept-Language' } }
+    };
+    await installInterceptor(page, { cacheDuration: 5000 });
+    const get = (...args) => page.evaluate(args => window.get(...args), args);
+
+    expect([await get('/api/fresh'), await get('/api/fresh')]).toEqual(['completed v1', 'cached v1']);
+    await page.clock.runFor(30000);
+    expect(await page.evaluate(() => fetch('/api/fresh').then(response => response.headers.get('age')))).toBe('30');
+
+    server.resources['/api/fresh'].body = 'v2';
+    await page.clock.runFor(30000);
+    expect(await get('/api/fresh')).toBe('completed v2');
+
+    expect([await get('/api/expires'), await get('/api/default'), await get('/api/aged')]).toEqual(['completed expires', 'completed default', 'completed aged']);
+    await page.clock.runFor(5000);
+    // 20s from Expires, 5s of cacheDuration and the 10s max-age had left after its Age
+    expect([await get('/api/expires'), await get('/api/default'), await get('/api/aged')]).toEqual(['cached expires', 'completed default', 'cached aged']);
+    await page.clock.runFor(5000);
+    expect(await get('/api/aged')).toBe('completed aged');
+
+    // What the request asks for wins over what is stored
+    expect(await get('/api/fresh', { headers: { 'Cache-Control': 'no-cache' } })).toBe('completed v2');
+    expect(await get('/api/fresh', { cache: 'reload' })).toBe('completed v2');
+    expect([await get('/api/nostore'), await get('/api/nostore')]).toEqual(['completed secret', 'completed secret']);
+    expect([await get('/api/default', { cache: 'no-store' }), await get('/api/default')]).toEqual(['completed default', 'completed default']);
+    expect([await get('/api/fresh', { method: 'POST' }), await get('/api/fresh')]).toEqual(['completed v2', 'cached v2']);
+
+    // A response that varies on a request header only answers requests with the same value
+    const lang = (value) => get('/api/lang', { headers: { 'Accept-Language': value } });
+    expect([await lang('en'), await lang('en'), await lang('de')]).toEqual(['completed lang', 'cached lang', 'completed lang']);
+
+    expect(server.hits.filter(hit => hit === 'GET /api/fresh')).toHaveLength(4);
+  });
+
+  test('serves stale responses while they are refreshed in the background', async ({ page }) => {
+    server.resources = {
+      '/api/feed': { body: 'v1', headers: { 'Cache-Control': 'max-age=10, stale-while-revalidate=30' } },
+      '/api/default': { body: 'v1', headers: { 'Cache-Control': 'max-age=10' } },
+      '/api/strict': { body: 'v1', headers: { 'Cache-Control': 'max-age=10, must-revalidate' } }
+    };
+    await installInterceptor(page, { staleWhileRevalidate: 5000 });
+    const get = (path) => page.evaluate(path => window.get(path), path);
+    const events = await page.evaluateHandle(() => {
+      const events = [];
+      window.addEventListener('requestcacheupdate', (event) => events.push(new URL(event.detail.url).pathname));
+      return events;
+    });
+
+    await get('/api/feed');
+    await get('/api/default');
+    await get('/api/strict');
+    await page.clock.runFor(12000);
+    server.resources['/api/feed'].body = 'v2';
+    server.resources['/api/default'].body = 'v2';
+    server.resources['/api/strict'].body = 'v2';
+
+    // Both callers get the stale copy and share one refresh
+    expect(await page.evaluate(() => Promise.all([window.get('/api/feed'), window.get('/api/feed')]))).toEqual(['stale v1', 'stale v1']);
+    // The staleWhileRevalidate option covers responses that don't say, but not must-revalidate
+    expect([await get('/api/default'), await get('/api/strict')]).toEqual(['stale v1', 'completed v2']);
+    await page.evaluate(() => window.settle());
+
+    expect(await page.evaluate(() => window.updates)).toEqual(['/api/feed v1 -> v2', '/api/default v1 -> v2']);
+    expect(await events.jsonValue()).toEqual(['/api/feed', '/api/default']);
+    expect(server.hits.filter(hit => hit === 'GET /api/feed')).toHaveLength(2);
+    expect([await get('/api/feed'), await get('/api/default')]).toEqual(['cached v2', 'cached v2']);
+
+    // An unchanged refresh doesn't announce anything
+    await page.clock.runFor(12000);
+    expect(await get('/api/feed')).toBe('stale v2');
+    await page.evaluate(() => window.settle());
+    expect(await page.evaluate(() => window.updates)).toHaveLength(2);
+
+    // Past the stale window the network is back in the way
+    await page.clock.runFor(45000);
+    server.resources['/api/feed'].body = 'v3';
+    expect(await get('/api/feed')).toBe('completed v3');
+  });
+
+  test('revalidates expired responses with their ETag', async ({ page }) => {
+    server.resources = {
+      '/api/doc': { body: 'doc', etag: '"a"', headers: { 'Cache-Control': 'max-age=5' } },
+      '/api/swr': { body: 'swr', etag: '"s"', headers: { 'Cache-Control': 'max-age=5, stale-while-revalidate=60' } }
+    };
+    await installInterceptor(page);
+    const get = (...args) => page.evaluate(args => window.get(...args), args);
+
+    await get('/api/doc');
+    await page.clock.runFor(6000);
+    expect(await get('/api/doc')).toBe('revalidated doc');
+    // The 304 renewed the entry
+    expect(await get('/api/doc')).toBe('cached doc');
+
+    await page.clock.runFor(6000);
+    server.resources['/api/doc'] = { body: 'doc 2', etag: '"b"', headers: { 'Cache-Control': 'max-age=5' } };
+    expect([await get('/api/doc'), await get('/api/doc')]).toEqual(['completed doc 2', 'cached doc 2']);
+
+    // A request with its own validator sees the 304 itself
+    const own = await page.evaluate(() => fetch('/api/doc', { headers: { 'If-None-Match': '"b"' } }).then(response => response.status));
+    expect(own).toBe(304);
+
+    // Background refreshes are conditional too, and a 304 keeps the content
+    await get('/api/swr');
+    await page.clock.runFor(6000);
+    expect(await get('/api/swr')).toBe('stale swr');
+    await page.evaluate(() => window.settle());
+    expect(await get('/api/swr')).toBe('cached swr');
+
+    expect(server.hits).toEqual([
+      'GET /api/doc',
+      'GET /api/doc if-none-match="a"',
+      'GET /api/doc if-none-match="a"',
+      'GET /api/doc if-none-match="b"',
+      'GET /api/swr',
+      'GET /api/swr if-none-match="s"'
+    ]);
+    expect(await page.evaluate(() => window.updates)).toEqual([]);
+  });
+
+  test('keeps the cache methods synchronous next to async variants and picks its store', async ({ page }) => {
+    server.resources['/api/item'] = { body: 'item', headers: { 'Cache-Control': 'max-age=60' } };
+    await installInterceptor(page);
+
+    const result = await page.evaluate(async () => {
+      const interceptor = window.interceptor;
+      const request = new Request('/api/item');
+
+      const missed = [interceptor.getCachedResponse(request), await interceptor.getCachedResponseAsync(request)];
+      const stored = await interceptor.setCachedResponseAsync(request, new Response('stored', { headers: { 'Cache-Control': 'max-age=60' } }));
+      const hit = [await interceptor.getCachedResponse(request).text(), await (await interceptor.getCachedResponseAsync(request)).text()];
+      // The memory store is empty as soon as clearCache() returns
+      const clearing = interceptor.clearCache();
+      const cleared = [clearing, interceptor.getCachedResponse(request)];
+
+      // The synchronous setter stores the body in the background
+      const store = interceptor.cache;
+      const storing = new Promise(resolve => {
+        store.set = (key, entry) => resolve(MemoryCacheStore.prototype.set.call(store, key, entry));
+      });
+      const set = interceptor.setCachedResponse(request, new Response('later', { headers: { 'Cache-Control': 'max-age=60' } }));
+      await storing;
+      const later = [set, await interceptor.getCachedResponse(request).text()];
+      await interceptor.clearCacheAsync();
+
+      const warnings = [];
+      const warn = console.warn;
+      console.warn = (message) => warnings.push(message);
+      let fallback;
+      let custom;
+      let unread;
+      try {
+        // Cache Storage only exists in secure contexts, and this page isn't one
+        fallback = new RequestInterceptor({ enableIntercept: false, cacheStore: 'cache-storage' }).cache instanceof MemoryCacheStore;
+
+        custom = { entries: {}, get: async (key) => custom.entries[key] || null, set: async (key, entry) => { custom.entries[key] = entry; }, delete: async () => {}, clear: async () => {} };
+        const withCustom = new RequestInterceptor({ enableIntercept: false, enableCaching: true, cacheStore: custom });
+        await withCustom.setCachedResponseAsync(request, new Response('custom'));
+        // A store without peek() can't be read synchronously
+        unread = [withCustom.getCachedResponse(request), await withCustom.getCachedResponseAsync(request).then(response => response.status)];
+      } finally {
+        console.warn = warn;
+      }
+
+      return {
+        missed,
+        stored: [stored.status, stored.maxAge, new TextDecoder().decode(stored.body)],
+        hit,
+        cleared,
+        later,
+        fallback,
+        warnings,
+        custom: Object.keys(custom.entries),
+        unread,
+        unknown: (() => {
+          try {
+            return new RequestInterceptor({ enableIntercept: false, cacheStore: 'disk' });
+          } catch (error) {
+            return error.message;
+          }
+        })()
+      };
+    });
+
+    expect(result).toEqual({
+      missed: [null, null],
+      stored: [200, 60000, 'stored'],
+      hit: ['stored', 'stored'],
+      cleared: [undefined, null],
+      later: [undefined, 'later'],
+      fallback: true,
+      warnings: [
+        'cache-storage is not supported, caching responses in memory instead',
+        'RequestInterceptor: this cache store can only be read with getCachedResponseAsync()'
+      ],
+      custom: [`GET:${TEST_ORIGIN}/api/item`],
+      unread: [null, 200],
+      unknown: 'Unknown cache store: disk'
+    });
+  });
+});
+
+test.describe('RequestInterceptor persistent cache stores', () => {
+  for (const cacheStore of ['cache-storage', 'indexeddb']) {
+    test(`keeps responses in ${cacheStore} across instances`, async ({ page }) => {
+      await openFixture(page, { scripts: ['[JS]/modules/request-interceptor.js'], origin: SECURE_TEST_ORIGIN });
+      const server = await routeApi(page, SECURE_TEST_ORIGIN);
+      server.resources['/api/persist'] = { body: 'persisted ✓', headers: { 'Cache-Control': 'max-age=60', 'X-Note': 'kept', Vary: 'Accept-Language' } };
+
+      const result = await page.evaluate(async (cacheStore) => {
+        const read = (interceptor) => fetch('/api/persist', { headers: { 'Accept-Language': 'fr' } }).then(async (response) => {
+          const log = interceptor.getLog().filter(entry => entry.type === 'response');
+          return [log[log.length - 1].source, await response.text(), response.headers.get('x-note')];
+        });
+
+        const first = new RequestInterceptor({ enableCaching: true, enableRetry: false, cacheStore });
+        const fetched = await read(first);
+        first.restoreOriginals();
+
+        // As after a reload
+        const second = new RequestInterceptor({ enableCaching: true, enableRetry: false, cacheStore });
+        const cached = await read(second);
+
+        // Metadata outside Latin-1 survives the trip
+        await second.cache.set('note', { url: 'https://example.test/', statusText: 'OK', note: 'naïve ✓ 日本', vary: {}, body: new ArrayBuffer(0) });
+        const note = (await second.cache.get('note')).note;
+
+        await second.clearCacheAsync();
+        const cleared = await read(second);
+
+        return { type: second.cache.constructor.name, fetched, cached, note, cleared };
+      }, cacheStore);
+
+      expect(result).toEqual({
+        type: cacheStore === 'cache-storage' ? 'CacheStorageStore' : 'IndexedDBCacheStore',
+        fetched: ['completed', 'persisted ✓', 'kept'],
+        cached: ['cached', 'persisted ✓', 'kept'],
+        note: 'naïve ✓ 日本',
+        cleared: ['completed', 'persisted ✓', 'kept']
+      });
+      expect(server.hits).toEqual(['GET /api/persist', 'GET /api/persist']);
+    });
+  }
+});
@@ -0,0 +1,253 @@
+/* global RequestInterceptor */
+const { test, expect } = require('@playwright/test');
+const { openFixture, TEST_ORIGIN } = require('./helpers');
+
+const PIXEL = [0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0x10, 0x80];
+
+// Counts what reaches the server; /api/pixel is binary and every other path echoes the request with a counter
+async function routeApi(page) {
+  const hits = [];
+
+  await page.route(`${TEST_ORIGIN}/api/**`, async (route) => {
+    const request = route.request();
+    const url = new URL(request.url());
+    hits.push(`${request.method()} ${url.pathname}${url.search}`);
+
+    if (url.pathname === '/api/pixel') {
+      await route.fulfill({ body: Buffer.from(PIXEL), contentType: 'image/png' });
+      return;
+    }
+
+    await route.fulfill({
+      status: url.pathname === '/api/missing' ? 404 : 200,
+      json: { path: url.pathname, body: request.postData(), count: hits.length },
+      headers: { 'X-Server': 'test' }
+    });
+  });
+
+  return hits;
+}
+
+test.describe('RequestInterceptor HAR recording and replay', () => {
+  let hits;
+
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, { scripts: ['[JS]/modules/request-interceptor.js'] });
+    hits = await routeApi(page);
+  });
+
+  test('records network traffic as HAR 1.2 entries', async ({ page }) => {
+    const har = await page.evaluate(async () => {
+      const interceptor = new RequestInterceptor({ enableRetry: false, enableMocking: true });
+      interceptor.addMockRule({ url: '/api/mocked', response: { data: { mocked: true } } });
+      interceptor.startRecording({ url: /\/api\// });
+
+      await fetch('/api/users?page=2&sort=name');
+      await fetch('/api/users', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"name":"Ada"}' });
+      await fetch('/api/pixel');
+      await fetch('/api/missing');
+      // Mocked responses never touched the network
+      await fetch('/api/mocked');
+      // Outside the recording filter
+      await fetch('/index.html').catch(() => null);
+
+      const har = await interceptor.stopRecording();
+      await fetch('/api/after');
+      return { ...har, recording: interceptor.isRecording(), later: interceptor.exportHAR().log.entries.length };
+    });
+
+    expect(har.recording).toBe(false);
+    expect(har.later).toBe(4);
+    expect(har.log).toMatchObject({ version: '1.2', creator: { name: 'RequestInterceptor' } });
+    expect(har.log.entries.map(entry => `${entry.request.method} ${entry.request.url} ${entry.response.status}`)).toEqual([
+      `GET ${TEST_ORIGIN}/api/users?page=2&sort=name 200`,
+      `POST ${TEST_ORIGIN}/api/users 200`,
+      `GET ${TEST_ORIGIN}/api/pixel 200`,
+      `GET ${TEST_ORIGIN}/api/missing 404`
+    ]);
+
+    const [list, create, pixel, missing] = har.log.entries;
+    expect(list.request.queryString).toEqual([{ name: 'page', value: '2' }, { name: 'sort', value: 'name' }]);
+    expect(list.request.bodySize).toBe(0);
+    expect(list.request.postData).toBeUndefined();
+    expect(list.response.headers).toContainEqual({ name: 'x-server', value: 'test' });
+    expect(JSON.parse(list.response.content.text)).toMatchObject({ path: '/api/users', body: null });
+    expect(list.response.content.mimeType).toBe('application/json');
+    expect(new Date(list.startedDateTime).toISOString()).toBe(list.startedDateTime);
+    expect(list.time).toBeGreaterThanOrEqual(0);
+
+    expect(create.request.postData).toEqual({ mimeType: 'application/json', text: '{"name":"Ada"}' });
+    expect(create.request.bodySize).toBe(14);
+
+    // Binary bodies are base64-encoded
+    expect(pixel.response.content).toEqual({ size: PIXEL.length, mimeType: 'image/png', text: Buffer.from(PIXEL).toString('base64'), encoding: 'base64' });
+    expect(pixel.response.bodySize).toBe(PIXEL.length);
+
+    expect(missing.response.content.encoding).toBeUndefined();
+    expect(hits).toContain('GET /api/after');
+  });
+
+  test('replays a recorded HAR without touching the network', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const recorder = new RequestInterceptor({ enableRetry: false, enableDedupe: false });
+      recorder.startRecording();
+      await fetch('/api/feed');
+      await fetch('/api/feed');
+      await fetch('/api/pixel');
+      await fetch('/api/missing');
+      const json = JSON.stringify(await recorder.stopRecording());
+      recorder.restoreOriginals();
+
+      const interceptor = new RequestInterceptor({ enableRetry: false, enableDedupe: false });
+      // A HAR file picked in a file input arrives as a Blob
+      const loaded = await interceptor.importHAR(new Blob([json], { type: 'application/json' }));
+      interceptor.startReplay({ passthrough: false });
+
+      const read = (response) => response.json().then(body => body.count);
+      const feeds = [];
+      for (let i = 0; i < 3; i++) feeds.push(await fetch('/api/feed').then(read));
+      const pixel = Array.from(new Uint8Array(await fetch('/api/pixel').then(response => response.arrayBuffer())));
+      const missing = await fetch('/api/missing');
+      const unmatched = await fetch('/api/unknown').then(() => null, error => error.message);
+
+      return {
+        loaded,
+        feeds,
+        pixel,
+        missing: [missing.status, missing.headers.get('x-server')],
+        unmatched,
+        sources: interceptor.getLog().filter(entry => entry.type === 'response').map(entry => entry.source)
+      };
+    });
+
+    // Matching entries are used in order and the last one repeats
+    expect(result).toEqual({
+      loaded: 4,
+      feeds: [1, 2, 2],
+      pixel: PIXEL,
+      missing: [404, 'test'],
+      unmatched: `No HAR entry matches GET ${TEST_ORIGIN}/api/unknown`,
+      sources: ['replayed', 'replayed', 'replayed', 'replayed', 'replayed']
+    });
+    expect(hits).toEqual(['GET /api/feed', 'GET /api/feed', 'GET /api/pixel', 'GET /api/missing']);
+  });
+
+  test('matches requests by origin, query and body as configured', async ({ page }) => {
+    const entry = (method, url, text, body) => ({
+      startedDateTime: '2024-05-01T12:00:00.000Z',
+      time: 5,
+      request: { method, url, headers: [], ...(body ? { postData: { mimeType: 'application/json', text: body } } : {}) },
+      response: { status: 200, statusText: 'OK', headers: [{ name: 'Content-Type', value: 'text/plain' }], content: { mimeType: 'text/plain', text } }
+    });
+    const har = {
+      log: {
+        entries: [
+          entry('GET', 'https://api.example.test/api/search?q=cats&_=111', 'search'),
+          entry('POST', 'https://api.example.test/api/orders', 'order', '{"item":"tea","qty":2,"meta":{"sentAt":1}}'),
+          entry('GET', 'https://api.example.test/api/offline', ''),
+          entry('GET', 'https://api.example.test/api/custom', 'custom')
+        ]
+      }
+    };
+    har.log.entries[2].response.status = 0;
+
+    const result = await page.evaluate(async (har) => {
+      const interceptor = new RequestInterceptor({ enableRetry: false, enableDedupe: false });
+      await interceptor.importHAR(har);
+      const text = (promise) => promise.then(response => response.text(), error => `${error.name}: ${error.message}`);
+      const post = (body) => fetch('/api/orders', { method: 'POST', body });
+
+      const result = {};
+
+      // The recording came from another origin, so only a relaxed replay finds it
+      interceptor.startReplay();
+      result.strictOrigin = await text(fetch('/api/search?q=cats&_=111'));
+
+      interceptor.startReplay({ matchOrigin: false, ignoreQueryParams: ['_'] });
+      result.cacheBuster = await text(fetch('/api/search?_=999&q=cats'));
+      result.otherQuery = await text(fetch('/api/search?q=dogs'));
+      result.exactBody = await text(post('{"item":"tea","qty":2,"meta":{"sentAt":1}}'));
+      result.reorderedBody = await text(post('{"qty":2,"item":"tea","meta":{"sentAt":1}}'));
+
+      interceptor.startReplay({ matchOrigin: false, matchBody: 'json', ignoreBodyFields: ['meta.sentAt'] });
+      result.jsonBody = await text(post('{"qty":2,"meta":{"sentAt":99},"item":"tea"}'));
+      result.otherJsonBody = await text(post('{"qty":3,"item":"tea"}'));
+
+      interceptor.startReplay({ matchOrigin: false, matchBody: false, matchQuery: false });
+      result.anyBody = await text(post('anything'));
+      result.anyQuery = await text(fetch('/api/search'));
+
+      // Browsers record failed requests with status 0
+      result.failed = await text(fetch('/api/offline'));
+
+      interceptor.startReplay({ matchOrigin: false, matcher: (request) => request.headers.get('X-Key') === 'yes' });
+      result.matcherYes = await text(fetch('/api/custom', { headers: { 'X-Key': 'yes' } }));
+      result.matcherNo = await text(fetch('/api/custom'));
+
+      interceptor.stopReplay();
+      result.stopped = await text(fetch('/api/custom'));
+
+      return result;
+    }, har);
+
+    const network = (path) => expect.stringContaining(`"path":"${path}"`);
+    expect(result).toEqual({
+      strictOrigin: network('/api/search'),
+      cacheBuster: 'search',
+      otherQuery: network('/api/search'),
+      exactBody: 'order',
+      reorderedBody: network('/api/orders'),
+      jsonBody: 'order',
+      otherJsonBody: network('/api/orders'),
+      anyBody: 'order',
+      anyQuery: 'search',
+      failed: `TypeError: Failed to fetch https://api.example.test/api/offline (replayed)`,
+      matcherYes: 'custom',
+      matcherNo: network('/api/custom'),
+      stopped: network('/api/custom')
+    });
+  });
+
+  test('waits for the recorded time when asked and rejects malformed HAR', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const interceptor = new RequestInterceptor({ enableRetry: false });
+      const har = {
+        log: {
+          entries: [{
+            startedDateTime: '2024-05-01T12:00:00.000Z',
+            time: 300,
+            request: { method: 'GET', url: `${location.origin}/api/slow`, headers: [] },
+            response: { status: 200, headers: [{ name: 'Content-Length', value: '999' }], content: { mimeType: 'text/plain', text: 'late' } }
+          }]
+        }
+      };
+      await interceptor.importHAR(JSON.stringify(har));
+
+      const timed = async () => {
+        const started = performance.now();
+        const response = await fetch('/api/slow');
+        return { text: await response.text(), length: response.headers.get('content-length'), elapsed: performance.now() - started };
+      };
+
+      interceptor.startReplay();
+      const quick = await timed();
+      interceptor.startReplay({ useRecordedTiming: true });
+      const slow = await timed();
+
+      const errors = [];
+      for (const source of ['{"log":{}}', '{}', 'not json']) {
+        errors.push(await interceptor.importHAR(source).then(() => null, error => error.name));
+      }
+      const appended = await interceptor.importHAR(har, { append: true });
+
+      return { quick, slow, errors, appended, total: interceptor.replayEntries.length };
+    });
+
+    expect(result.quick).toMatchObject({ text: 'late', length: null });
+    expect(result.quick.elapsed).toBeLessThan(250);
+    expect(result.slow.elapsed).toBeGreaterThanOrEqual(290);
+    expect(result.errors).toEqual(['Error', 'Error', 'SyntaxError']);
+    expect([result.appended, result.total]).toEqual([1, 2]);
+    expect(hits).toEqual([]);
+  });
+});
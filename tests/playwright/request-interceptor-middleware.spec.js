@@ -0,0 +1,244 @@
+/* global RequestInterceptor */
+const { test, expect } = require('@playwright/test');
+const { openFixture, TEST_ORIGIN } = require('./helpers');
+
+// Answers /api/* with what the server saw; ?delay=ms holds the answer back
+async function routeApi(page) {
+  const hits = [];
+
+  await page.route(`${TEST_ORIGIN}/api/**`, async (route) => {
+    const request = route.request();
+    const url = new URL(request.url());
+    const headers = await request.allHeaders();
+    hits.push(`${request.method()} ${url.pathname}${url.search}`);
+
+    const delay = Number(url.searchParams.get('delay') || 0);
+    if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+
+    // The page may have given up on the request by now
+    await route.fulfill({ json: { path: url.pathname, method: request.method(), trace: headers['x-trace'] || null } }).catch(() => {});
+  });
+
+  return hits;
+}
+
+test.describe('RequestInterceptor middleware, dedupe and cancellation', () => {
+  let hits;
+
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, { scripts: ['[JS]/modules/request-interceptor.js'] });
+    hits = await routeApi(page);
+  });
+
+  test('runs middleware around the request in onion order', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const steps = [];
+      const interceptor = new RequestInterceptor({ enableLogging: false, enableRetry: false });
+
+      interceptor
+        .use(async (ctx, next) => {
+          steps.push('outer before');
+          ctx.state.startedBy = 'outer';
+          await next();
+          steps.push(`outer after ${ctx.response.status} ${ctx.source}`);
+        })
+        .use(async (ctx, next) => {
+          steps.push(`inner before ${ctx.state.startedBy}`);
+          ctx.request = new Request(ctx.request, { headers: { 'X-Trace': 'abc' } });
+          await next();
+          // Responses can be replaced on the way out
+          const body = await ctx.response.json();
+          ctx.response = Response.json({ ...body, wrapped: true });
+          steps.push('inner after');
+        });
+
+      const body = await fetch('/api/items').then(response => response.json());
+      return { steps, body };
+    });
+
+    expect(result.steps).toEqual(['outer before', 'inner before outer', 'inner after', 'outer after 200 completed']);
+    expect(result.body).toEqual({ path: '/api/items', method: 'GET', trace: 'abc', wrapped: true });
+    expect(hits).toEqual(['GET /api/items']);
+  });
+
+  test('lets middleware answer on its own and rejects a second next()', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const interceptor = new RequestInterceptor({ enableRetry: false });
+      interceptor.use(async (ctx, next) => {
+        if (ctx.request.url.endsWith('/api/health')) {
+          ctx.response = new Response('ok', { status: 200 });
+          ctx.source = 'middleware';
+          return;
+        }
+        await next();
+      });
+      const twice = async (ctx, next) => {
+        await next();
+        await next();
+      };
+      interceptor.use(twice, { url: '/api/twice' });
+
+      const health = await fetch('/api/health').then(response => response.text());
+      const error = await fetch('/api/twice').then(() => null, reason => reason.message);
+      interceptor.removeMiddleware(twice);
+      const after = await fetch('/api/twice').then(response => response.status);
+
+      return { health, error, after, log: interceptor.getLog().filter(entry => entry.type === 'response').map(entry => entry.source) };
+    });
+
+    expect(result).toMatchObject({ health: 'ok', error: 'next() called multiple times', after: 200 });
+    expect(result.log[0]).toBe('middleware');
+    // The health check never reached the server
+    expect(hits).toEqual(['GET /api/twice', 'GET /api/twice']);
+  });
+
+  test('applies scoped middleware and interceptors only to matching requests', async ({ page }) => {
+    const seen = await page.evaluate(async () => {
+      const seen = [];
+      const interceptor = new RequestInterceptor({ enableLogging: false, enableRetry: false });
+      const track = (name) => async (ctx, next) => {
+        seen.push(`${name} ${ctx.request.method} ${new URL(ctx.request.url).pathname}`);
+        await next();
+      };
+
+      interceptor.use(track('string'), { url: '/api/users' });
+      interceptor.use(track('regexp'), { url: /\/api\/orders\/\d+$/ });
+      interceptor.use(track('predicate'), { url: (url, request) => request.headers.has('X-Admin') });
+      interceptor.use(track('post'), { method: ['post', 'PUT'] });
+      interceptor.addRequestInterceptor((request) => {
+        seen.push(`request interceptor ${new URL(request.url).pathname}`);
+      }, { url: '/api/orders', method: 'GET' });
+      interceptor.addResponseInterceptor((response) => {
+        seen.push(`response interceptor ${response.status}`);
+      }, { url: '/api/users' });
+
+      await fetch('/api/users/1');
+      await fetch('/api/orders/7');
+      await fetch('/api/orders/7/lines');
+      await fetch('/api/orders', { method: 'POST', body: '{}' });
+      await fetch('/api/other', { headers: { 'X-Admin': '1' } });
+      return seen;
+    });
+
+    expect(seen).toEqual([
+      'string GET /api/users/1',
+      'response interceptor 200',
+      'regexp GET /api/orders/7',
+      'request interceptor /api/orders/7',
+      'request interceptor /api/orders/7/lines',
+      'post POST /api/orders',
+      'predicate GET /api/other'
+    ]);
+  });
+
+  test('shares identical GETs that are in flight at the same time', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const interceptor = new RequestInterceptor({ enableRetry: false });
+      const read = (response) => response.json().then(body => body.path);
+
+      // Each caller can read its own copy of the shared response
+      const shared = await Promise.all([fetch('/api/shared?delay=100'), fetch('/api/shared?delay=100')].map(promise => promise.then(read)));
+      const separate = await Promise.all([
+        fetch('/api/headers?delay=100', { headers: { 'X-Trace': 'a' } }),
+        fetch('/api/headers?delay=100', { headers: { 'X-Trace': 'b' } }),
+        fetch('/api/optout?delay=100'),
+        fetch('/api/optout?delay=100', { dedupe: false }),
+        fetch('/api/post?delay=100', { method: 'POST' }),
+        fetch('/api/post?delay=100', { method: 'POST' })
+      ].map(promise => promise.then(read)));
+
+      // Later requests go to the network again
+      await fetch('/api/shared');
+
+      return {
+        shared,
+        separate,
+        sources: interceptor.getLog().filter(entry => entry.type === 'response').map(entry => entry.source),
+        inFlight: interceptor.inFlight.size
+      };
+    });
+
+    expect(result.shared).toEqual(['/api/shared', '/api/shared']);
+    expect(result.separate).toHaveLength(6);
+    expect(result.sources.filter(source => source === 'deduped')).toHaveLength(1);
+    expect(result.inFlight).toBe(0);
+    expect(hits.filter(hit => hit.startsWith('GET /api/shared'))).toEqual(['GET /api/shared?delay=100', 'GET /api/shared']);
+    expect(hits.filter(hit => hit.includes('/api/headers'))).toHaveLength(2);
+    expect(hits.filter(hit => hit.includes('/api/optout'))).toHaveLength(2);
+    expect(hits.filter(hit => hit.includes('/api/post'))).toHaveLength(2);
+  });
+
+  test('keeps a shared request going until every caller has aborted', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const interceptor = new RequestInterceptor({ enableLogging: false, enableRetry: false });
+      const outcome = (promise) => promise.then(response => response.json().then(body => body.path), error => error.name);
+
+      const first = new AbortController();
+      const second = new AbortController();
+      const a = outcome(fetch('/api/slow?delay=200', { signal: first.signal }));
+      const b = outcome(fetch('/api/slow?delay=200', { signal: second.signal }));
+      await new Promise(resolve => setTimeout(resolve, 20));
+      first.abort();
+      const partly = [await a, await b];
+
+      const third = new AbortController();
+      const fourth = new AbortController();
+      const c = outcome(fetch('/api/slower?delay=200', { signal: third.signal }));
+      const d = outcome(fetch('/api/slower?delay=200', { signal: fourth.signal }));
+      await new Promise(resolve => setTimeout(resolve, 20));
+      third.abort();
+      fourth.abort();
+
+      return { partly, fully: [await c, await d], inFlight: interceptor.inFlight.size };
+    });
+
+    expect(result).toEqual({ partly: ['AbortError', '/api/slow'], fully: ['AbortError', 'AbortError'], inFlight: 0 });
+  });
+
+  test('cancels every request in a group', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const interceptor = new RequestInterceptor({ enableLogging: false });
+      const outcome = (promise) => promise.then(response => response.status, error => `${error.name}: ${error.message}`);
+
+      const searches = [
+        outcome(fetch('/api/search?q=a&delay=300', { group: 'search' })),
+        outcome(fetch('/api/search?q=ab&delay=300', { group: 'search' }))
+      ];
+      const other = outcome(fetch('/api/profile?delay=100', { group: 'profile' }));
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const cancelled = interceptor.cancelGroup('search');
+      const settled = await Promise.all([...searches, other]);
+
+      // A caller's own signal still works inside a group, and a custom reason is passed on
+      const own = new AbortController();
+      const mine = outcome(fetch('/api/search?q=abc&delay=300', { group: 'search', signal: own.signal }));
+      const theirs = fetch('/api/search?q=abcd&delay=300', { group: 'search' }).catch(error => error);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      own.abort();
+      const mineOutcome = await mine;
+      const stillRunning = interceptor.groups.get('search').size;
+      interceptor.cancelGroup('search', new Error('superseded'));
+
+      return {
+        cancelled,
+        settled,
+        mine: mineOutcome,
+        theirs: (await theirs).message,
+        stillRunning,
+        unknown: interceptor.cancelGroup('nothing'),
+        groups: interceptor.groups.size
+      };
+    });
+
+    expect(result).toEqual({
+      cancelled: 2,
+      settled: ['AbortError: Request group "search" was cancelled', 'AbortError: Request group "search" was cancelled', 200],
+      mine: expect.stringMatching(/^AbortError/),
+      theirs: 'superseded',
+      stillRunning: 1,
+      unknown: 0,
+      groups: 0
+    });
+  });
+});
@@ -0,0 +1,250 @@
+/* global RichTextEditor */
+const { test, expect } = require('@playwright/test');
+const { openFixture } = require('./helpers');
+
+const PEOPLE = [
+  { id: 'u1', label: 'Ana Lima' },
+  { id: 'u2', label: 'Andre Costa' },
+  { id: 'u3', label: 'Bea Ruiz' }
+];
+
+test.describe('RichTextEditor mentions, commands and collaboration', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, {
+      scripts: ['[JS]/components/rich-text-editor.js'],
+      body: '<div id="editor"></div><div id="left"></div><div id="right"></div>'
+    });
+  });
+
+  test('suggests and inserts mentions from the keyboard', async ({ page }) => {
+    await page.evaluate((people) => {
+      window.mentioned = [];
+      window.editor = new RichTextEditor(document.getElementById('editor'), {
+        toolbar: null,
+        mentions: { dataSource: people },
+        onMention: (item, attrs) => window.mentioned.push([item.id, attrs])
+      });
+    }, PEOPLE);
+
+    const content = page.getByRole('textbox', { name: 'Rich text editor' });
+    await content.click();
+    await page.keyboard.type('Hi @an');
+
+    const list = page.getByRole('listbox');
+    await expect(list.getByRole('option')).toHaveText([/Ana Lima/, /Andre Costa/]);
+    await expect(content).toHaveAttribute('aria-expanded', 'true');
+    await expect(list.getByRole('option').first()).toHaveAttribute('aria-selected', 'true');
+
+    await page.keyboard.press('ArrowDown');
+    const active = await content.getAttribute('aria-activedescendant');
+    await expect(list.getByRole('option').nth(1)).toHaveAttribute('id', active);
+
+    await page.keyboard.press('Enter');
+    await expect(list).toBeHidden();
+    await page.keyboard.type('thanks');
+
+    expect(await page.evaluate(() => window.editor.getContent())).toBe(
+      '<p>Hi <span class="editor-mention" data-mention-id="u2" data-trigger="@">@Andre Costa</span> thanks</p>'
+    );
+    expect(await page.evaluate(() => window.editor.getMarkdown())).toBe('Hi [@Andre Costa](mention:u2) thanks');
+    expect(await page.evaluate(() => window.mentioned)).toEqual([['u2', { id: 'u2', label: 'Andre Costa', trigger: '@' }]]);
+
+    // Escape keeps the list closed until the caret leaves the trigger
+    await page.keyboard.type(' @b');
+    await expect(list.getByRole('option')).toHaveText([/Bea Ruiz/]);
+    await page.keyboard.press('Escape');
+    await expect(list).toBeHidden();
+    await page.keyboard.type('e');
+    await expect(list).toBeHidden();
+  });
+
+  test('ignores answers to older queries from an async data source', async ({ page }) => {
+    await page.evaluate((people) => {
+      window.pending = [];
+      window.editor = new RichTextEditor(document.getElementById('editor'), {
+        toolbar: null,
+        mentions: {
+          dataSource: (query) => new Promise(resolve => window.pending.push({
+            query,
+            resolve: () => resolve(people.filter(person => person.label.toLowerCase().startsWith(query)))
+          }))
+        }
+      });
+    }, PEOPLE);
+
+    await page.getByRole('textbox', { name: 'Rich text editor' }).click();
+    await page.keyboard.type('@a');
+    await page.keyboard.type('n');
+    expect(await page.evaluate(() => window.pending.map(request => request.query))).toEqual(['', 'a', 'an']);
+
+    // The newest answer arrives first; the stale ones must not replace it
+    await page.evaluate(() => window.pending[2].resolve());
+    await expect(page.getByRole('option')).toHaveText([/Ana Lima/, /Andre Costa/]);
+    await page.evaluate(() => { window.pending[0].resolve(); window.pending[1].resolve(); });
+    await page.waitForTimeout(50);
+    await expect(page.getByRole('option')).toHaveCount(2);
+
+    await page.keyboard.type('x');
+    await page.evaluate(() => window.pending[3].resolve());
+    await expect(page.getByRole('listbox')).toHaveText('No matches found');
+  });
+
+  test('runs slash commands and removes the trigger text', async ({ page }) => {
+    await page.evaluate(() => {
+      window.commands = [];
+      window.editor = new RichTextEditor(document.getElementById('editor'), {
+        toolbar: null,
+        commands: {
+          dataSource: [
+            { label: 'Heading', action: (editor) => editor.setBlockType('heading', { level: 2 }) },
+            { label: 'Quote', action: (editor) => editor.setBlockType('blockquote') }
+          ]
+        },
+        onCommand: (item) => window.commands.push(item.label)
+      });
+    });
+
+    await page.getByRole('textbox', { name: 'Rich text editor' }).click();
+    await page.keyboard.type('Plan /hea');
+    await expect(page.getByRole('option')).toHaveText([/Heading/]);
+    await page.keyboard.press('Tab');
+
+    expect(await page.evaluate(() => window.editor.getContent())).toBe('<h2>Plan </h2>');
+    expect(await page.evaluate(() => window.commands)).toEqual(['Heading']);
+
+    // A slash inside a word is not a trigger
+    await page.keyboard.type('and/or');
+    await expect(page.getByRole('listbox')).toBeHidden();
+  });
+
+  test('streams local operations and maps the selection and history over remote ones', async ({ page }) => {
+    await page.evaluate(() => {
+      window.streamed = [];
+      window.editor = new RichTextEditor(document.getElementById('editor'), {
+        toolbar: null,
+        onOperations: (ops, { source }) => window.streamed.push([source, ops.map(op => op.type)])
+      });
+    });
+
+    await page.getByRole('textbox', { name: 'Rich text editor' }).click();
+    await page.keyboard.type('world');
+    expect(await page.evaluate(() => window.streamed)).toEqual(
+      Array.from({ length: 5 }, () => ['user', ['insert']])
+    );
+
+    await page.evaluate(() => {
+      window.streamed = [];
+      window.editor.applyRemoteOperations([
+        { type: 'insert', block: 0, offset: 0, inlines: [{ type: 'text', text: 'Hello ', marks: {} }] }
+      ], { clientId: 'peer' });
+    });
+
+    // Remote edits are not streamed back and the caret stays after the local text
+    expect(await page.evaluate(() => window.streamed)).toEqual([]);
+    expect(await page.evaluate(() => window.editor.selection.focus)).toEqual({ block: 0, offset: 11 });
+    await page.keyboard.type('!');
+    expect(await page.evaluate(() => window.editor.getText())).toBe('Hello world!');
+
+    // Undo only reverts local typing; the remote edit closed the earlier typing step
+    await page.keyboard.press('Control+z');
+    expect(await page.evaluate(() => window.editor.getText())).toBe('Hello world');
+    await page.keyboard.press('Control+z');
+    expect(await page.evaluate(() => window.editor.getText())).toBe('Hello ');
+    expect(await page.evaluate(() => window.streamed.map(([source]) => source))).toEqual(['user', 'history', 'history']);
+  });
+
+  test('draws and removes remote carets', async ({ page }) => {
+    await page.evaluate(() => {
+      window.editor = new RichTextEditor(document.getElementById('editor'), { toolbar: null });
+      window.editor.setContent('<p>Shared notes</p>');
+      window.editor.setRemoteSelection('peer', {
+        selection: { anchor: { block: 0, offset: 0 }, focus: { block: 0, offset: 6 } },
+        name: 'Bea',
+        color: '#00aa00'
+      });
+    });
+
+    const layer = page.locator('#editor .rich-text-remote-cursors');
+    await expect(layer).toHaveAttribute('aria-hidden', 'true');
+    await expect(layer.locator('.rich-text-remote-caret-label')).toHaveText('Bea');
+    await expect(layer.locator('.rich-text-remote-caret')).toHaveCSS('background-color', 'rgb(0, 170, 0)');
+    expect(await layer.locator('.rich-text-remote-selection').count()).toBeGreaterThan(0);
+
+    // The caret follows text inserted before it
+    await page.evaluate(() => {
+      window.editor.applyRemoteOperations([
+        { type: 'insert', block: 0, offset: 0, inlines: [{ type: 'text', text: 'Our ', marks: {} }] }
+      ], { clientId: 'other' });
+    });
+    expect(await page.evaluate(() => window.editor.remoteSelections.get('peer').selection.focus)).toEqual({ block: 0, offset: 10 });
+
+    await page.evaluate(() => window.editor.removeRemoteSelection('peer'));
+    await expect(layer.locator('.rich-text-remote-caret')).toHaveCount(0);
+  });
+
+  test('converges two editors editing concurrently through a relay', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      // Stands in for the server: relays every message to every client in one shared order
+      const queue = [];
+      const clients = [];
+      const connect = () => {
+        const handlers = new Map();
+        const client = {
+          handlers,
+          registerMessageHandler: (type, handler) => handlers.set(type, handler),
+          unregisterMessageHandler: (type) => handlers.delete(type),
+          send: (message) => queue.push(JSON.parse(JSON.stringify(message)))
+        };
+        clients.push(client);
+        return client;
+      };
+      const flush = () => {
+        while (queue.length) {
+          const message = queue.shift();
+          clients.forEach(client => client.handlers.has(message.type) && client.handlers.get(message.type)(message));
+        }
+      };
+
+      const open = (id, name) => {
+        const editor = new RichTextEditor(document.getElementById(id), { toolbar: null });
+        editor.setContent('<p>Hello</p>');
+        editor.connectCollaboration(connect(), { channel: 'doc-1', user: { id, name } });
+        return editor;
+      };
+      const left = open('left', 'Ana');
+      const right = open('right', 'Bea');
+      flush();
+
+      const type = (editor, offset, text) => {
+        editor.selection = { anchor: { block: 0, offset }, focus: { block: 0, offset } };
+        editor.insertText(text);
+      };
+
+      // Both edit before seeing the other's change, twice over
+      type(left, 5, ' world');
+      type(right, 0, 'Say: ');
+      type(left, 11, '!');
+      type(right, 5, '"');
+      flush();
+      flush();
+
+      const texts = [left.getText(), right.getText()];
+      const caret = document.querySelector('#right .rich-text-remote-caret-label').textContent;
+
+      left.collaboration.disconnect();
+      flush();
+
+      return {
+        texts,
+        caret,
+        leftCarets: right.remoteSelections.has('left'),
+        handlers: clients[0].handlers.size
+      };
+    });
+
+    expect(result.texts).toEqual(['Say: "Hello world!', 'Say: "Hello world!']);
+    expect(result.caret).toBe('Ana');
+    expect(result.leftCarets).toBe(false);
+    expect(result.handlers).toBe(0);
+  });
+});
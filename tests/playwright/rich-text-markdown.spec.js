@@ -0,0 +1,143 @@
+/* global RichTextDocument, RichTextEditor */
+const { test, expect } = require('@playwright/test');
+const { openFixture } = require('./helpers');
+
+// Canonical Markdown: parsing and writing it again must give the same text
+const CANONICAL = [
+  '# Release notes',
+  'Ships **bold**, *italic*, ~~struck~~ and `inline code` with a [link](https://example.com/docs).',
+  '- First\n    - Nested\n- Second',
+  '> Quoted\n>\n> Second quote',
+  '1. One\n2. Two',
+  '```js\nconst fence = "``";\n```',
+  '| Name | Qty |\n| :--- | ---: |\n| Bolt | 12 |',
+  '---',
+  'Literal \\*stars\\* and \\_underscores\\_'
+].join('\n\n');
+
+// Clipboard HTML as Word writes it
+const WORD_HTML = `
+<html xmlns:o="urn:schemas-microsoft-com:office:office"><head><style>p.MsoNormal { margin: 0 }</style></head>
+<body><!--StartFragment-->
+<p class="MsoTitle">Quarterly plan</p>
+<p class="MsoListParagraph" style="mso-list:l0 level1 lfo1"><span style="mso-list:Ignore">1.<span>&nbsp;</span></span>Hire</p>
+<p class="MsoListParagraph" style="mso-list:l0 level2 lfo1"><span style="mso-list:Ignore">a.<span>&nbsp;</span></span>Engineers</p>
+<p class="MsoNormal"><span style="color:black">Plain</span> <span style="color:#c00000">red</span><o:p></o:p></p>
+<script>window.pwned = true</script>
+<!--EndFragment--></body></html>`;
+
+test.describe('RichTextEditor Markdown and paste', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, { scripts: ['[JS]/components/rich-text-editor.js'], body: '<div id="editor"></div>' });
+  });
+
+  test('round-trips canonical Markdown', async ({ page }) => {
+    const result = await page.evaluate((markdown) => {
+      const doc = RichTextDocument.fromMarkdown(markdown);
+      return { markdown: doc.toMarkdown(), types: doc.blocks.map(block => block.type) };
+    }, CANONICAL);
+
+    expect(result.markdown).toBe(CANONICAL);
+    expect(result.types).toEqual([
+      'heading', 'paragraph', 'list-item', 'list-item', 'list-item', 'blockquote', 'blockquote',
+      'list-item', 'list-item', 'code-block', 'table', 'divider', 'paragraph'
+    ]);
+  });
+
+  test('keeps block structure in quotes, list numbers, link titles and adjacent lists', async ({ page }) => {
+    const cases = [
+      '> # Heading\n>\n> - item\n>     - nested\n>\n> Text\n>\n> ```js\n> code();\n> ```',
+      '3. Three\n4. Four',
+      '- Bullet\n\n1. One\n2. Two\n\n- Bullet again',
+      '- Outer\n\n    7. Seven\n    8. Eight\n- After',
+      'See [the docs](https://example.com/docs "Docs \\"v2\\"") and [plain](https://example.com).'
+    ];
+    const result = await page.evaluate((sources) => sources.map(markdown => {
+      const doc = RichTextDocument.fromMarkdown(markdown);
+      const html = doc.toHTML();
+      return { markdown: doc.toMarkdown(), html, fromHTML: RichTextDocument.fromHTML(html).toMarkdown() };
+    }), cases);
+
+    result.forEach(({ markdown, fromHTML }, i) => {
+      expect(markdown).toBe(cases[i]);
+      expect(fromHTML).toBe(cases[i]);
+    });
+    expect(result.map(({ html }) => html)).toEqual([
+      '<blockquote><h1>Heading</h1><ul><li>item<ul><li>nested</li></ul></li></ul><p>Text</p><pre><code class="language-js">code();</code></pre></blockquote>',
+      '<ol start="3"><li>Three</li><li>Four</li></ol>',
+      '<ul><li>Bullet</li></ul><ol><li>One</li><li>Two</li></ol><ul><li>Bullet again</li></ul>',
+      '<ul><li>Outer<ol start="7"><li>Seven</li><li>Eight</li></ol></li><li>After</li></ul>',
+      '<p>See <a href="https://example.com/docs" title="Docs &quot;v2&quot;">the docs</a> and <a href="https://example.com">plain</a>.</p>'
+    ]);
+  });
+
+  test('closes code blocks without an extra blank line', async ({ page }) => {
+    const markdown = await page.evaluate(() => {
+      const code = (text) => RichTextDocument.createBlock('code-block', { language: 'sh' }, [RichTextDocument.createText(text)]);
+      return [
+        new RichTextDocument([code('npm test\n')]).toMarkdown(),
+        new RichTextDocument([code('npm test')]).toMarkdown(),
+        new RichTextDocument([code('echo one\n\n')]).toMarkdown()
+      ];
+    });
+
+    expect(markdown).toEqual([
+      '```sh\nnpm test\n```',
+      '```sh\nnpm test\n```',
+      // Only one newline is trimmed; a deliberate blank last line stays
+      '```sh\necho one\n\n```'
+    ]);
+  });
+
+  test('parses setext headings, indented code, hard breaks and images', async ({ page }) => {
+    const html = await page.evaluate(() => RichTextDocument.fromMarkdown([
+      'Title',
+      '=====',
+      '',
+      '    indented code',
+      '',
+      'Line one\\',
+      'line two ![logo](https://example.com/logo.png)'
+    ].join('\n')).toHTML());
+
+    expect(html).toBe(
+      '<h1>Title</h1>' +
+      '<pre><code>indented code</code></pre>' +
+      '<p>Line one<br>line two <img src="https://example.com/logo.png" alt="logo"></p>'
+    );
+  });
+
+  test('sets and gets Markdown limited to the allowed formats', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const editor = new RichTextEditor(document.getElementById('editor'), { toolbar: null, formats: ['bold', 'list', 'bullet'] });
+      editor.setMarkdown('## Heading\n\n**bold** *italic* [link](https://example.com)\n\n- item');
+      return { html: editor.getContent(), markdown: editor.getMarkdown() };
+    });
+
+    expect(result.html).toBe('<p>Heading</p><p><strong>bold</strong> italic link</p><ul><li>item</li></ul>');
+    expect(result.markdown).toBe('Heading\n\n**bold** italic link\n\n- item');
+  });
+
+  test('cleans Word HTML on paste', async ({ page }) => {
+    await page.evaluate(() => {
+      window.editor = new RichTextEditor(document.getElementById('editor'), { toolbar: null });
+    });
+    await page.getByRole('textbox', { name: 'Rich text editor' }).click();
+
+    await page.evaluate((html) => {
+      const clipboardData = new DataTransfer();
+      clipboardData.setData('text/html', html);
+      clipboardData.setData('text/plain', 'fallback');
+      window.editor.editorElement.dispatchEvent(new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true }));
+    }, WORD_HTML);
+
+    const result = await page.evaluate(() => ({ html: window.editor.getContent(), pwned: window.pwned === true }));
+    expect(result.pwned).toBe(false);
+    expect(result.html).toBe(
+      '<h1>Quarterly plan</h1>' +
+      '<ol><li>Hire<ol><li>Engineers</li></ol></li></ol>' +
+      // The browser normalizes the color it keeps
+      '<p>Plain <span style="color: rgb(192, 0, 0)">red</span></p>'
+    );
+  });
+});
@@ -0,0 +1,136 @@
+/* global RichTextDocument, RichTextEditor */
+const { test, expect } = require('@playwright/test');
+const { openFixture } = require('./helpers');
+
+test.describe('RichTextEditor document model', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, { scripts: ['[JS]/components/rich-text-editor.js'], body: '<div id="editor"></div>' });
+  });
+
+  test('applies and inverts insert, delete and block operations', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const doc = RichTextDocument.fromHTML('<p>Hello <strong>brave</strong> world</p><p>Second</p>');
+      const before = JSON.stringify(doc.toJSON());
+      const ops = [
+        { type: 'insert', block: 0, offset: 6, inlines: [RichTextDocument.createText('very ', { bold: true })] },
+        { type: 'delete', block: 1, offset: 0, inlines: [RichTextDocument.createText('Sec')] },
+        {
+          type: 'replaceBlocks',
+          index: 1,
+          removed: [RichTextDocument.createBlock('paragraph', {}, [RichTextDocument.createText('ond')])],
+          inserted: [RichTextDocument.createBlock('heading', { level: 2 }, [RichTextDocument.createText('Title')])]
+        }
+      ];
+
+      ops.forEach(op => doc.apply(op));
+      const applied = doc.toHTML();
+      [...ops].reverse().forEach(op => doc.apply(RichTextDocument.invert(op)));
+
+      return { applied, restored: JSON.stringify(doc.toJSON()) === before, runs: doc.blocks[0].children.length };
+    });
+
+    // The inserted bold run merges with the existing one
+    expect(result.applied).toBe('<p>Hello <strong>very brave</strong> world</p><h2>Title</h2>');
+    expect(result.restored).toBe(true);
+    expect(result.runs).toBe(3);
+  });
+
+  test('serializes marks, lists and code deterministically and drops unsafe markup', async ({ page }) => {
+    const html = await page.evaluate(() => RichTextDocument.fromHTML(`
+      <h1 onclick="alert(1)">Notes</h1>
+      <p><b><i>both</i></b> <a href="javascript:alert(1)">bad</a> <a href="https://example.com">good</a><script>alert(1)</script></p>
+      <ul><li>one<ul><li>nested</li></ul></li><li>two</li></ul>
+      <pre><code class="language-js">if (a &lt; b) {}</code></pre>
+    `).toHTML());
+
+    expect(html).toBe(
+      '<h1>Notes</h1>' +
+      '<p><strong><em>both</em></strong> bad <a href="https://example.com">good</a></p>' +
+      '<ul><li>one<ul><li>nested</li></ul></li><li>two</li></ul>' +
+      '<pre><code class="language-js">if (a &lt; b) {}</code></pre>'
+    );
+  });
+
+  test('sees through schemes split by whitespace, controls or character references', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      window.editor = new RichTextEditor(document.getElementById('editor'), { toolbar: null });
+      window.editor.setContent([
+        '<a href="java&#x09;script:alert(1)">tab</a>',
+        '<a href="java&#x0A;script:alert(1)">newline</a>',
+        '<a href="java&#13;script:alert(1)">return</a>',
+        '<a href="&#x01;&#x20;javascript:alert(1)">leading</a>',
+        '<a href="JaVaScRiPt:alert(1)">case</a>',
+        '<a href="vbscript:msgbox(1)">vbscript</a>',
+        '<a href="data:text/html,<script>alert(1)</script>">data</a>',
+        '<img src="java&#x09;script:alert(1)" alt="bad image">'
+      ].map(html => `<p>${html}</p>`).join(''));
+
+      const sanitize = (url) => RichTextDocument.sanitizeUrl(url);
+      return {
+        links: Array.from(document.querySelectorAll('#editor a')).map(link => link.protocol),
+        images: document.querySelectorAll('#editor img').length,
+        kept: ['/docs?page=2#top', '#section', '//example.com/x', 'notes.html', 'mailto:a@example.com', 'tel:+15551234'].map(sanitize),
+        cleaned: ['  https://example.com/a\tb\n ', '\u0000https://example.com'].map(sanitize),
+        dropped: ['java\nscript:alert(1)', 'java\tscript:alert(1)', '\u0001javascript:alert(1)', 'http://[broken'].map(sanitize)
+      };
+    });
+
+    expect(result.links).toEqual([]);
+    expect(result.images).toBe(0);
+    expect(result.kept).toEqual(['/docs?page=2#top', '#section', '//example.com/x', 'notes.html', 'mailto:a@example.com', 'tel:+15551234']);
+    expect(result.cleaned).toEqual(['https://example.com/ab', 'https://example.com']);
+    expect(result.dropped).toEqual(['', '', '', '']);
+  });
+
+  test('converges when concurrent edits are transformed against each other', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const base = RichTextDocument.fromHTML('<p>abcdef</p>').toJSON();
+      const a = { type: 'insert', block: 0, offset: 2, inlines: [RichTextDocument.createText('XY')] };
+      const b = { type: 'delete', block: 0, offset: 1, inlines: [RichTextDocument.createText('bcd')] };
+
+      const left = RichTextDocument.fromJSON(base);
+      left.apply(a);
+      RichTextDocument.transform(b, a, true).forEach(op => left.apply(op));
+
+      const right = RichTextDocument.fromJSON(base);
+      right.apply(b);
+      RichTextDocument.transform(a, b, false).forEach(op => right.apply(op));
+
+      return [left.getText(), right.getText()];
+    });
+
+    // The insert lands inside the deleted range and survives on both sides
+    expect(result).toEqual(['aXYef', 'aXYef']);
+  });
+
+  test('edits through the model and undoes typing as one step', async ({ page }) => {
+    await page.evaluate(() => {
+      window.editor = new RichTextEditor(document.getElementById('editor'), { toolbar: null });
+    });
+
+    const content = page.getByRole('textbox', { name: 'Rich text editor' });
+    await content.click();
+    await page.keyboard.type('Hello');
+    await page.keyboard.press('Control+b');
+    await page.keyboard.type(' bold');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('next');
+
+    expect(await page.evaluate(() => window.editor.getContent())).toBe('<p>Hello<strong> bold</strong></p><p>next</p>');
+
+    await page.keyboard.press('Home');
+    await page.keyboard.press('Backspace');
+    expect(await page.evaluate(() => window.editor.doc.blocks.length)).toBe(1);
+    expect(await page.evaluate(() => window.editor.getText())).toBe('Hello boldnext');
+
+    // The join, then the typing in the second paragraph, then the split are separate steps
+    await page.keyboard.press('Control+z');
+    expect(await page.evaluate(() => window.editor.getContent())).toBe('<p>Hello<strong> bold</strong></p><p>next</p>');
+    await page.keyboard.press('Control+z');
+    expect(await page.evaluate(() => window.editor.getContent())).toBe('<p>Hello<strong> bold</strong></p><p></p>');
+
+    await page.keyboard.press('Control+Shift+z');
+    expect(await page.evaluate(() => window.editor.getText())).toBe('Hello bold\nnext');
+    await expect(content.locator('p').nth(1)).toHaveText('next');
+  });
+});
@@ -0,0 +1,147 @@
+/* global TreeView */
+const { test, expect } = require('@playwright/test');
+const { openFixture } = require('./helpers');
+
+function projectTree() {
+  return [
+    {
+      id: 'src',
+      label: 'src',
+      children: [
+        { id: 'app', label: 'app.js' },
+        { id: 'api', label: 'api.js' },
+        { id: 'utils', label: 'utils', children: [{ id: 'format', label: 'format.js' }, { id: 'parse', label: 'parse.js' }] }
+      ]
+    },
+    { id: 'tests', label: 'tests', children: [{ id: 'app-test', label: 'app.test.js' }] },
+    { id: 'pkg', label: 'package.json' }
+  ];
+}
+
+test.describe('TreeView keyboard, type-ahead, filter and checkboxes', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, { scripts: ['[JS]/components/tree-view.js'], body: '<div id="tree"></div>' });
+  });
+
+  const focused = (page) => page.evaluate(() => document.activeElement.dataset.nodeId);
+
+  test('follows the WAI-ARIA tree keyboard model', async ({ page }) => {
+    await page.evaluate((data) => {
+      window.tree = new TreeView(document.getElementById('tree'), data, { dragAndDrop: false });
+    }, projectTree());
+
+    // A single roving tab stop
+    await expect(page.locator('#tree [tabindex="0"]')).toHaveCount(1);
+    await page.keyboard.press('Tab');
+    expect(await focused(page)).toBe('src');
+
+    await page.keyboard.press('ArrowRight');
+    await expect(page.locator('#tree [data-node-id="src"]')).toHaveAttribute('aria-expanded', 'true');
+    expect(await focused(page)).toBe('src');
+
+    await page.keyboard.press('ArrowRight');
+    expect(await focused(page)).toBe('app');
+    await expect(page.locator('#tree [data-node-id="app"]')).toHaveAttribute('aria-selected', 'true');
+
+    await page.keyboard.press('End');
+    expect(await focused(page)).toBe('pkg');
+    await page.keyboard.press('ArrowUp');
+    expect(await focused(page)).toBe('tests');
+
+    // Left on a collapsed child moves to its parent; Left on an expanded node collapses it
+    await page.keyboard.press('Home');
+    await page.keyboard.press('ArrowDown');
+    await page.keyboard.press('ArrowDown');
+    expect(await focused(page)).toBe('api');
+    await page.keyboard.press('ArrowLeft');
+    expect(await focused(page)).toBe('src');
+    await page.keyboard.press('ArrowLeft');
+    await expect(page.locator('#tree [data-node-id="src"]')).toHaveAttribute('aria-expanded', 'false');
+
+    // * expands every sibling
+    await page.keyboard.press('*');
+    await expect(page.locator('#tree [data-node-id="tests"]')).toHaveAttribute('aria-expanded', 'true');
+    await expect(page.locator('#tree [data-node-id="utils"]')).toHaveAttribute('aria-expanded', 'false');
+    await expect(page.locator('#tree [data-node-id="utils"]')).toHaveAttribute('aria-level', '2');
+  });
+
+  test('jumps to nodes with type-ahead', async ({ page }) => {
+    await page.evaluate((data) => {
+      window.tree = new TreeView(document.getElementById('tree'), data, { typeAheadDelay: 200 });
+      window.tree.expandAll();
+    }, projectTree());
+
+    await page.locator('#tree [data-node-id="src"]').focus();
+
+    // Repeating a letter cycles through the labels starting with it
+    await page.keyboard.press('a');
+    expect(await focused(page)).toBe('app');
+    await page.keyboard.press('a');
+    expect(await focused(page)).toBe('api');
+    await page.keyboard.press('a');
+    expect(await focused(page)).toBe('app-test');
+
+    // Typing quickly matches the whole prefix
+    await page.waitForTimeout(250);
+    await page.keyboard.type('pars');
+    expect(await focused(page)).toBe('parse');
+
+    await page.waitForTimeout(250);
+    await page.keyboard.type('pa');
+    expect(await focused(page)).toBe('pkg');
+  });
+
+  test('filters to matches and their ancestors, then restores expansion', async ({ page }) => {
+    const matches = await page.evaluate((data) => {
+      window.tree = new TreeView(document.getElementById('tree'), data);
+      return window.tree.filter('APP').map(node => node.id);
+    }, projectTree());
+
+    expect(matches).toEqual(['app', 'app-test']);
+    const visible = await page.evaluate(() => window.tree.getVisibleNodes().map(node => node.id));
+    expect(visible).toEqual(['src', 'app', 'tests', 'app-test']);
+    await expect(page.locator('#tree [data-node-id="app"] .tree-node-highlight')).toHaveText('app');
+    await expect(page.locator('#tree .tree-node-match')).toHaveCount(2);
+
+    // A predicate function works too
+    await page.evaluate(() => window.tree.filter(node => node.label.startsWith('p')));
+    expect(await page.evaluate(() => window.tree.getVisibleNodes().map(node => node.id))).toEqual(['src', 'utils', 'parse', 'pkg']);
+
+    await page.evaluate(() => window.tree.clearFilter());
+    expect(await page.evaluate(() => window.tree.getVisibleNodes().map(node => node.id))).toEqual(['src', 'tests', 'pkg']);
+    await expect(page.locator('#tree .tree-node-highlight')).toHaveCount(0);
+  });
+
+  test('derives tri-state checkboxes from the children', async ({ page }) => {
+    await page.evaluate((data) => {
+      window.checks = [];
+      window.tree = new TreeView(document.getElementById('tree'), data, {
+        selectionMode: 'checkbox',
+        onNodeCheck: (node, checked, all) => window.checks.push([node.id, checked, all.length])
+      });
+      window.tree.expandAll();
+    }, projectTree());
+
+    const src = page.locator('#tree [data-node-id="src"]');
+    const utils = page.locator('#tree [data-node-id="utils"]');
+    await expect(page.locator('#tree')).toHaveAttribute('aria-multiselectable', 'true');
+
+    await page.locator('#tree [data-node-id="format"]').focus();
+    await page.keyboard.press(' ');
+    await expect(utils).toHaveAttribute('aria-checked', 'mixed');
+    await expect(src).toHaveAttribute('aria-checked', 'mixed');
+    expect(await utils.locator('> .tree-node-content .tree-node-checkbox').evaluate(el => el.indeterminate)).toBe(true);
+
+    // Checking a mixed parent checks everything below it
+    await src.locator('> .tree-node-content .tree-node-checkbox').click();
+    await expect(src).toHaveAttribute('aria-checked', 'true');
+    await expect(page.locator('#tree [data-node-id="parse"]')).toHaveAttribute('aria-checked', 'true');
+    expect(await page.evaluate(() => window.tree.getCheckedNodes(true).map(node => node.id))).toEqual(['app', 'api', 'format', 'parse']);
+
+    await page.locator('#tree [data-node-id="api"]').focus();
+    await page.keyboard.press(' ');
+    await expect(src).toHaveAttribute('aria-checked', 'mixed');
+    await expect(utils).toHaveAttribute('aria-checked', 'true');
+    expect(await page.evaluate(() => window.checks)).toEqual([['format', true, 1], ['src', true, 6], ['api', false, 4]]);
+  });
+});
@@ -0,0 +1,129 @@
+/* global TreeView */
+const { test, expect } = require('@playwright/test');
+const { openFixture } = require('./helpers');
+
+test.describe('TreeView virtualization and lazy loading', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, {
+      scripts: ['[JS]/modules/virtual-scroll-module.js', '[JS]/components/tree-view.js'],
+      body: '<div id="tree"></div>'
+    });
+  });
+
+  test('renders only the visible window of a large tree', async ({ page }) => {
+    await page.evaluate(() => {
+      const data = Array.from({ length: 200 }, (_, i) => ({
+        id: `folder-${i}`,
+        label: `Folder ${i}`,
+        children: Array.from({ length: 50 }, (_, j) => ({ id: `file-${i}-${j}`, label: `File ${i}.${j}` }))
+      }));
+      window.tree = new TreeView(document.getElementById('tree'), data, { virtualize: true, itemHeight: 30, height: 300 });
+      window.tree.expandAll();
+    });
+
+    const items = page.locator('#tree .tree-node');
+    await expect(items.first()).toHaveText(/Folder 0/);
+    expect(await page.evaluate(() => window.tree.flatNodes.length)).toBe(200 * 51);
+    expect(await items.count()).toBeLessThan(40);
+
+    // End jumps to the last visible node and scrolls it into view
+    await items.first().focus();
+    await page.keyboard.press('End');
+    const last = page.locator('#tree [data-node-id="file-199-49"]');
+    await expect(last).toBeFocused();
+    await expect(last).toHaveAttribute('aria-level', '2');
+    await expect(last).toHaveAttribute('tabindex', '0');
+
+    // Collapsing shrinks the flat list without touching the rest of the tree
+    await page.evaluate(() => window.tree.collapseNode(window.tree.findNodeById('folder-199')));
+    expect(await page.evaluate(() => window.tree.flatNodes.length)).toBe(200 * 51 - 50);
+  });
+
+  test('loads children on first expand and shares concurrent requests', async ({ page }) => {
+    await page.evaluate(() => {
+      window.calls = [];
+      window.loaded = [];
+      window.tree = new TreeView(document.getElementById('tree'), [
+        { id: 'docs', label: 'Docs', hasChildren: true },
+        { id: 'readme', label: 'README' }
+      ], {
+        loadChildren: (node) => new Promise((resolve) => window.calls.push({ id: node.id, resolve })),
+        onNodeLoad: (node, children) => window.loaded.push([node.id, children.length])
+      });
+    });
+
+    const docs = page.locator('#tree [data-node-id="docs"]');
+    await expect(docs).toHaveAttribute('aria-expanded', 'false');
+
+    await docs.locator('.tree-node-toggle').click();
+    await expect(docs).toHaveAttribute('aria-busy', 'true');
+    await expect(docs.getByRole('status')).toHaveText('Loading…');
+
+    const shared = await page.evaluate(() => {
+      const node = window.tree.findNodeById('docs');
+      return window.tree.loadNodeChildren(node) === window.tree.loadNodeChildren(node);
+    });
+    expect(shared).toBe(true);
+    await expect.poll(() => page.evaluate(() => window.calls.length)).toBe(1);
+
+    await page.evaluate(() => window.calls[0].resolve([{ id: 'guide', label: 'Guide' }, { id: 'api', label: 'API' }]));
+    await expect(docs.locator('[role="group"] > .tree-node')).toHaveText([/Guide/, /API/]);
+    await expect(docs).not.toHaveAttribute('aria-busy', 'true');
+    expect(await page.evaluate(() => window.loaded)).toEqual([['docs', 2]]);
+
+    // Loaded children are kept, so collapsing and expanding again makes no new request
+    await docs.locator('.tree-node-toggle').first().click();
+    await docs.locator('.tree-node-toggle').first().click();
+    await expect(docs.locator('[role="group"] > .tree-node')).toHaveCount(2);
+    expect(await page.evaluate(() => window.calls.length)).toBe(1);
+  });
+
+  test('shows load errors with a retry', async ({ page }) => {
+    await page.evaluate(() => {
+      window.attempts = 0;
+      window.errors = [];
+      window.tree = new TreeView(document.getElementById('tree'), [{ id: 'remote', label: 'Remote', hasChildren: true }], {
+        loadChildren: async () => {
+          window.attempts++;
+          if (window.attempts === 1) throw new Error('offline');
+          return [{ id: 'item', label: 'Item' }];
+        },
+        onNodeLoadError: (node, error) => window.errors.push(`${node.id}: ${error.message}`)
+      });
+      window.tree.expandNode(window.tree.findNodeById('remote'));
+    });
+
+    const alert = page.locator('#tree').getByRole('alert');
+    await expect(alert).toContainText('Failed to load: offline');
+    expect(await page.evaluate(() => window.errors)).toEqual(['remote: offline']);
+
+    await alert.getByRole('button', { name: 'Retry' }).click();
+    await expect(page.locator('#tree [data-node-id="item"]')).toBeVisible();
+    await expect(alert).toHaveCount(0);
+  });
+
+  test('lazy-loads inside a virtualized tree', async ({ page }) => {
+    await page.evaluate(() => {
+      window.calls = [];
+      window.tree = new TreeView(document.getElementById('tree'), [
+        { id: 'a', label: 'Alpha', hasChildren: true },
+        { id: 'b', label: 'Beta' }
+      ], {
+        virtualize: true,
+        loadChildren: (node) => new Promise((resolve) => window.calls.push({ id: node.id, resolve }))
+      });
+    });
+
+    await page.locator('#tree [data-node-id="a"]').focus();
+    await page.keyboard.press('ArrowRight');
+
+    // The loading indicator takes a row of its own in the flat list
+    expect(await page.evaluate(() => window.tree.flatNodes.map(item => item.key))).toEqual(['a', 'a:status', 'b']);
+    await expect(page.locator('#tree').getByRole('status')).toHaveText('Loading…');
+
+    await page.evaluate(() => window.calls[0].resolve(Array.from({ length: 3 }, (_, i) => ({ id: `a${i}`, label: `Child ${i}` }))));
+    await expect.poll(() => page.evaluate(() => window.tree.flatNodes.map(item => item.key))).toEqual(['a', 'a0', 'a1', 'a2', 'b']);
+    await expect(page.locator('#tree [data-node-id="a1"]')).toHaveAttribute('aria-level', '2');
+    await expect(page.locator('#tree [data-node-id="a"]')).toBeFocused();
+  });
+});
@@ -0,0 +1,193 @@
+/* global HeightIndex */
+const { test, expect } = require('@playwright/test');
+const { openFixture } = require('./helpers');
+
+test.describe('VirtualScroll variable heights', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, {
+      scripts: ['[JS]/modules/virtual-scroll-module.js'],
+      body: '<div id="list" style="height: 400px"></div>'
+    });
+
+    // Rows are 20, 45 or 110px tall, and the list only knows the 50px estimate up front
+    await page.evaluate(() => {
+      window.rowHeight = (index) => [20, 45, 110][index % 3];
+      window.createList = (options = {}) => new VirtualScroll(document.getElementById('list'), {
+        itemHeight: 50,
+        data: Array.from({ length: 1000 }, (_, i) => ({ id: `row-${i}` })),
+        renderItem: (item, index) => {
+          const element = document.createElement('div');
+          element.style.height = `${window.rowHeight(index)}px`;
+          element.textContent = item.id;
+          return element;
+        },
+        ...options
+      });
+
+      // Position of a rendered row relative to the top of the viewport
+      window.rowTop = (index) => {
+        const row = document.querySelector(`#list [data-index="${index}"]`);
+        const viewport = document.querySelector('#list .virtual-scroll-container');
+        return row ? Math.round(row.getBoundingClientRect().top - viewport.getBoundingClientRect().top) : null;
+      };
+      window.nextFrame = () => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    });
+  });
+
+  test('HeightIndex keeps offsets in step with every change', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      // Small deterministic generator, so a failure can be replayed
+      let seed = 7;
+      const random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+      };
+
+      const heights = Array.from({ length: 257 }, () => Math.round(random() * 100) + 1);
+      const index = new HeightIndex(heights);
+      const mismatches = [];
+
+      const check = (label) => {
+        let offset = 0;
+        heights.forEach((height, i) => {
+          if (index.offsetOf(i) !== offset) mismatches.push(`${label}: offsetOf(${i})`);
+          if (index.get(i) !== height) mismatches.push(`${label}: get(${i})`);
+          // Every pixel row of an item, including its first, maps to that item
+          if (index.indexAt(offset) !== i && offset > 0) mismatches.push(`${label}: indexAt(${offset})`);
+          if (index.indexAt(offset + height - 0.5) !== i) mismatches.push(`${label}: indexAt(${offset + height - 0.5})`);
+          offset += height;
+        });
+        if (index.total() !== offset) mismatches.push(`${label}: total()`);
+      };
+
+      check('built');
+      const deltas = [];
+      for (let step = 0; step < 200; step++) {
+        const i = Math.floor(random() * heights.length);
+        const height = Math.round(random() * 100) + 1;
+        deltas.push(index.set(i, height) === height - heights[i]);
+        heights[i] = height;
+      }
+      check('updated');
+
+      const empty = new HeightIndex();
+      const one = new HeightIndex([30]);
+
+      return {
+        mismatches,
+        deltas: deltas.every(Boolean),
+        unchanged: index.set(3, heights[3]),
+        ends: [index.indexAt(-10), index.indexAt(0), index.indexAt(index.total() + 500), index.offsetOf(10000) === index.total()],
+        empty: [empty.total(), empty.indexAt(100), empty.get(0)],
+        one: [one.indexAt(29), one.indexAt(30), one.offsetOf(1)]
+      };
+    });
+
+    expect(result.mismatches).toEqual([]);
+    expect(result.deltas).toBe(true);
+    expect(result.unchanged).toBe(0);
+    // Offsets past either end clamp to the first and last item
+    expect(result.ends).toEqual([0, 0, 256, true]);
+    expect(result.empty).toEqual([0, 0, 0]);
+    expect(result.one).toEqual([0, 0, 30]);
+  });
+
+  test('scrolls to rows that have never been measured', async ({ page }) => {
+    await page.evaluate(() => {
+      window.list = window.createList();
+    });
+
+    for (const [index, align] of [[700, 'start'], [350, 'center'], [901, 'end']]) {
+      const result = await page.evaluate(async ([index, align]) => {
+        window.list.scrollToItem(index, 'auto', align);
+        const now = window.rowTop(index);
+        // Measurements arriving after the scroll must not move the row
+        await window.nextFrame();
+        return { now, later: window.rowTop(index), height: window.list.getItemHeight(index) };
+      }, [index, align]);
+
+      const target = { start: 0, center: Math.round((400 - result.height) / 2), end: 400 - result.height }[align];
+      expect(result.height).toBe(await page.evaluate(i => window.rowHeight(i), index));
+      expect(Math.abs(result.now - target)).toBeLessThanOrEqual(1);
+      expect(Math.abs(result.later - target)).toBeLessThanOrEqual(1);
+    }
+
+    // The scroll height includes the measured rows and the estimate for the rest
+    const heights = await page.evaluate(() => ({
+      scrollHeight: window.list.getScrollHeight(),
+      measured: window.list.itemHeights.size,
+      offset: window.list.getItemPosition(900) - window.list.getItemPosition(899)
+    }));
+    expect(heights.offset).toBe(110);
+    expect(heights.measured).toBeGreaterThan(10);
+    expect(heights.scrollHeight).not.toBe(50 * 1000);
+  });
+
+  test('renders again on the next frame instead of inside the ResizeObserver callback', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', error => errors.push(error.message));
+
+    const result = await page.evaluate(async () => {
+      // Holds animation frames back until the test runs them
+      const frames = new Map();
+      const requestFrame = window.requestAnimationFrame;
+      let nextId = 1;
+      window.requestAnimationFrame = (callback) => {
+        frames.set(nextId, callback);
+        return nextId++;
+      };
+      window.cancelAnimationFrame = (id) => frames.delete(id);
+
+      window.rowHeight = () => 10;
+      const list = window.createList();
+      const initial = list.getVisibleRange();
+      const rendered = () => document.querySelectorAll('#list [data-index]').length;
+      const before = rendered();
+
+      // Let ResizeObserver measure the rows
+      await new Promise(resolve => setTimeout(() => requestFrame(() => setTimeout(resolve, 0)), 0));
+      const measured = { height: list.getItemHeight(0), range: list.getVisibleRange(), rendered: rendered(), frames: frames.size };
+
+      frames.forEach(callback => callback(performance.now()));
+      frames.clear();
+      const after = { range: list.getVisibleRange(), rendered: rendered() };
+
+      // A frame still pending when the list is destroyed never runs
+      list.scheduleRender();
+      const pending = frames.size;
+      list.destroy();
+
+      return { initial, before, measured, after, pending, cancelled: frames.size };
+    });
+
+    // 400px of 50px estimates is 8 rows, plus 3 of overscan
+    expect(result.initial).toEqual({ start: 0, end: 12 });
+    expect(result.before).toBe(12);
+    // The rows were measured at 10px, but the range stays as it was until the frame
+    expect(result.measured).toEqual({ height: 10, range: { start: 0, end: 12 }, rendered: 12, frames: 1 });
+    // 12 rows of 10px leave 280px for 5 more estimated rows in view
+    expect(result.after).toEqual({ range: { start: 0, end: 21 }, rendered: 21 });
+    expect([result.pending, result.cancelled]).toEqual([1, 0]);
+    expect(errors).toEqual([]);
+  });
+
+  test('keeps the visible rows in place when rows above them change height', async ({ page }) => {
+    await page.evaluate(async () => {
+      window.list = window.createList();
+      window.list.scrollToItem(500);
+      await window.nextFrame();
+    });
+    const before = await page.evaluate(() => ({ top: window.rowTop(500), scrollTop: window.list.getScrollTop() }));
+
+    // Row 498 is rendered as overscan above the viewport and grows by 40px
+    await page.evaluate(async () => {
+      document.querySelector('#list [data-index="498"]').style.height = '60px';
+      await window.nextFrame();
+    });
+    const after = await page.evaluate(() => ({ top: window.rowTop(500), scrollTop: window.list.getScrollTop(), height: window.list.getItemHeight(498) }));
+
+    expect(after.height).toBe(60);
+    expect(after.scrollTop).toBe(before.scrollTop + 40);
+    expect(after.top).toBe(before.top);
+  });
+});
@@ -0,0 +1,321 @@
+/* global WebSocketManager, WebSocketCodecs */
+const { test, expect } = require('@playwright/test');
+const { openFixture, installFakeWebSocket } = require('./helpers');
+
+// Hex decoded by the codec, and the decoded value as written by describe() in the page
+const MSGPACK_DECODE = [
+  ['00', 0], ['7f', 127], ['ff', -1], ['e0', -32],
+  ['cc80', 128], ['cd0100', 256], ['ce00010000', 65536], ['cf0000000100000000', 4294967296],
+  ['cfffffffffffffffff', '18446744073709551615n'], ['d0df', -33], ['d1ff7f', -129],
+  ['d2ffff7fff', -32769], ['d3ffffffff00000000', -4294967296],
+  ['ca3fc00000', 1.5], ['cb3ff199999999999a', 1.1],
+  ['c0', null], ['c2', false], ['c3', true],
+  ['a0', ''], ['a3616263', 'abc'], ['d903616263', 'abc'], ['da0003616263', 'abc'],
+  ['c4020102', 'bytes:0102'], ['c500020102', 'bytes:0102'],
+  ['90', []], ['9201920102', [1, [1, 2]]], ['dc0002c2c3', [false, true]],
+  ['82a16101a162c0', { a: 1, b: null }], ['8101a3616263', { 1: 'abc' }], ['de0001a16100', { a: 0 }],
+  // Timestamps in their 32, 64 and 96-bit forms
+  ['d6ff00000001', 'date:1970-01-01T00:00:01.000Z'],
+  ['d7ff7735940000000001', 'date:1970-01-01T00:00:01.500Z'],
+  ['c70cff1dcd6500ffffffffffffffff', 'date:1969-12-31T23:59:59.500Z'],
+  ['d4012a', { type: 1, data: 'bytes:2a' }]
+];
+
+// RFC 8949 Appendix A
+const CBOR_DECODE = [
+  ['00', 0], ['01', 1], ['0a', 10], ['17', 23], ['1818', 24], ['1819', 25], ['1864', 100],
+  ['1903e8', 1000], ['1a000f4240', 1000000], ['1b000000e8d4a51000', 1000000000000],
+  ['1bffffffffffffffff', '18446744073709551615n'], ['c249010000000000000000', '18446744073709551616n'],
+  ['3bffffffffffffffff', '-18446744073709551616n'], ['c349010000000000000000', '-18446744073709551617n'],
+  ['20', -1], ['29', -10], ['3863', -100], ['3903e7', -1000],
+  ['f90000', 0], ['f93c00', 1], ['fb3ff199999999999a', 1.1], ['f93e00', 1.5], ['f97bff', 65504],
+  ['fa47c35000', 100000], ['fa7f7fffff', 3.4028234663852886e+38], ['fb7e37e43c8800759c', 1e+300],
+  ['f90001', 5.960464477539063e-8], ['f90400', 0.00006103515625], ['f9c400', -4], ['fbc010666666666666', -4.1],
+  ['f97c00', 'Infinity'], ['f97e00', 'NaN'], ['f9fc00', '-Infinity'],
+  ['f4', false], ['f5', true], ['f6', null], ['f7', 'undefined'], ['f0', 'undefined'], ['f8ff', 'undefined'],
+  ['c074323031332d30332d32315432303a30343a30305a', 'date:2013-03-21T20:04:00.000Z'],
+  ['c11a514b67b0', 'date:2013-03-21T20:04:00.000Z'], ['c1fb41d452d9ec200000', 'date:2013-03-21T20:04:00.500Z'],
+  ['d74401020304', 'bytes:01020304'],
+  ['d82076687474703a2f2f7777772e6578616d706c652e636f6d', 'http://www.example.com'],
+  ['40', 'bytes:'], ['4401020304', 'bytes:01020304'],
+  ['60', ''], ['6161', 'a'], ['6449455446', 'IETF'], ['62225c', '"\\'], ['62c3bc', 'ü'], ['63e6b0b4', '水'], ['64f0908591', '𐅑'],
+  ['80', []], ['83010203', [1, 2, 3]], ['8301820203820405', [1, [2, 3], [4, 5]]],
+  ['98190102030405060708090a0b0c0d0e0f101112131415161718181819', Array.from({ length: 25 }, (_, i) => i + 1)],
+  ['a0', {}], ['a201020304', { 1: 2, 3: 4 }], ['a26161016162820203', { a: 1, b: [2, 3] }],
+  ['826161a161626163', ['a', { b: 'c' }]],
+  // Indefinite lengths
+  ['5f42010243030405ff', 'bytes:0102030405'], ['7f657374726561646d696e67ff', 'streaming'],
+  ['9fff', []], ['9f018202039f0405ffff', [1, [2, 3], [4, 5]]], ['83018202039f0405ff', [1, [2, 3], [4, 5]]],
+  ['9f0102030405060708090a0b0c0d0e0f101112131415161718181819ff', Array.from({ length: 25 }, (_, i) => i + 1)],
+  ['bf61610161629f0203ffff', { a: 1, b: [2, 3] }], ['826161bf61626163ff', ['a', { b: 'c' }]],
+  ['bf6346756ef563416d7421ff', { Fun: true, Amt: -2 }]
+];
+
+test.describe('WebSocketManager codecs', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, { scripts: ['[JS]/modules/websocket-manager.js'] });
+    await installFakeWebSocket(page);
+    await page.evaluate(() => {
+      window.hex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+      window.unhex = (text) => new Uint8Array(text.match(/../g) || []).map((_, i) => parseInt(text.substr(i * 2, 2), 16));
+      // Writes values the page can't hand back as they are into comparable strings
+      window.describe = (value) => {
+        if (typeof value === 'bigint') return `${value}n`;
+        if (value === undefined || Number.isNaN(value) || value === Infinity || value === -Infinity) return String(value);
+        if (value instanceof Uint8Array) return `bytes:${window.hex(value)}`;
+        if (value instanceof Date) return `date:${value.toISOString()}`;
+        if (Array.isArray(value)) return value.map(window.describe);
+        if (value && typeof value === 'object') {
+          return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, window.describe(item)]));
+        }
+        return value;
+      };
+    });
+  });
+
+  test('decodes the MessagePack format examples', async ({ page }) => {
+    const decoded = await page.evaluate((vectors) => vectors.map(([hex]) => window.describe(WebSocketCodecs.msgpack.decode(window.unhex(hex)))), MSGPACK_DECODE);
+    expect(decoded).toEqual(MSGPACK_DECODE.map(([, value]) => value));
+  });
+
+  test('encodes MessagePack in the smallest format', async ({ page }) => {
+    const encoded = await page.evaluate(() => [
+      0, 127, 128, 255, 256, 65535, 65536, 4294967296, -1, -32, -33, -128, -129, -32769, -4294967296,
+      1.5, 2 ** 53, 18446744073709551615n, -9223372036854775808n,
+      null, undefined, true, false,
+      'abc', 'x'.repeat(32), 'é',
+      new Uint8Array([1, 2]), new Uint16Array([0x0102]),
+      [], [1, [2]], Array.from({ length: 16 }, () => 0),
+      { a: 1, skipped: undefined, method() {} }, new Map([[1, 'a']]),
+      new Date(1000), new Date(1500), new Date(-500)
+    ].map(value => window.hex(WebSocketCodecs.msgpack.encode(value))));
+
+    expect(encoded).toEqual([
+      '00', '7f', 'cc80', 'ccff', 'cd0100', 'cdffff', 'ce00010000', 'cf0000000100000000',
+      'ff', 'e0', 'd0df', 'd080', 'd1ff7f', 'd2ffff7fff', 'd3ffffffff00000000',
+      'cb3ff8000000000000', 'cb4340000000000000', 'cfffffffffffffffff', 'd38000000000000000',
+      'c0', 'c0', 'c3', 'c2',
+      'a3616263', `d920${'78'.repeat(32)}`, 'a2c3a9',
+      'c4020102', 'c4020201',
+      '90', '92019102', `dc0010${'00'.repeat(16)}`,
+      '81a16101', '8101a161',
+      'd6ff00000001', 'c70cff1dcd65000000000000000001', 'c70cff1dcd6500ffffffffffffffff'
+    ]);
+  });
+
+  test('decodes the CBOR examples from RFC 8949', async ({ page }) => {
+    const decoded = await page.evaluate((vectors) => vectors.map(([hex]) => window.describe(WebSocketCodecs.cbor.decode(window.unhex(hex)))), CBOR_DECODE);
+    expect(decoded).toEqual(CBOR_DECODE.map(([, value]) => value));
+  });
+
+  test('encodes CBOR in preferred serialization', async ({ page }) => {
+    const encoded = await page.evaluate(() => [
+      0, 1, 10, 23, 24, 25, 100, 1000, 1000000, 1000000000000,
+      18446744073709551615n, 18446744073709551616n, -18446744073709551616n, -18446744073709551617n,
+      -1, -10, -100, -1000, 1.1, 1.5, 100000.5, 1e300, NaN,
+      false, true, null, undefined,
+      '', 'a', 'IETF', '"\\', 'ü', '水', '𐅑',
+      new Uint8Array([]), new Uint8Array([1, 2, 3, 4]),
+      [], [1, 2, 3], [1, [2, 3], [4, 5]], Array.from({ length: 25 }, (_, i) => i + 1),
+      {}, { a: 1, b: [2, 3] }, ['a', { b: 'c' }], new Map([[1, 2], [3, 4]]),
+      new Date(1363896240000), new Date(1363896240500)
+    ].map(value => window.hex(WebSocketCodecs.cbor.encode(value))));
+
+    expect(encoded).toEqual([
+      '00', '01', '0a', '17', '1818', '1819', '1864', '1903e8', '1a000f4240', '1b000000e8d4a51000',
+      '1bffffffffffffffff', 'c249010000000000000000', '3bffffffffffffffff', 'c349010000000000000000',
+      '20', '29', '3863', '3903e7', 'fb3ff199999999999a', 'fa3fc00000', 'fa47c35040', 'fb7e37e43c8800759c', 'fa7fc00000',
+      'f4', 'f5', 'f6', 'f7',
+      '60', '6161', '6449455446', '62225c', '62c3bc', '63e6b0b4', '64f0908591',
+      '40', '4401020304',
+      '80', '83010203', '8301820203820405', '98190102030405060708090a0b0c0d0e0f101112131415161718181819',
+      'a0', 'a26161016162820203', '826161a161626163', 'a201020304',
+      'c11a514b67b0', 'c1fb41d452d9ec200000'
+    ]);
+  });
+
+  test('rejects malformed input', async ({ page }) => {
+    const errors = await page.evaluate(() => ['msgpack:c1', 'msgpack:a361', 'cbor:ff', 'cbor:1c', 'cbor:3f', 'cbor:8201ff', 'cbor:fc'].map((vector) => {
+      const [name, hex] = vector.split(':');
+      try {
+        return window.describe(WebSocketCodecs[name].decode(window.unhex(hex)));
+      } catch (error) {
+        return error.message;
+      }
+    }));
+
+    expect(errors).toEqual([
+      'Invalid MessagePack type 0xc1',
+      'Unexpected end of encoded data',
+      'Unexpected CBOR break',
+      'Invalid CBOR additional information 28',
+      'Invalid indefinite-length CBOR integer',
+      'Unexpected CBOR break',
+      'Invalid CBOR simple value 28'
+    ]);
+  });
+
+  test('refuses BigInts that need more than 64 bits instead of wrapping them', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const attempt = (value) => {
+        try {
+          return window.hex(WebSocketCodecs.msgpack.encode(value));
+        } catch (error) {
+          return `${error.name}: ${error.message}`;
+        }
+      };
+      const errors = [];
+      const manager = new WebSocketManager('wss://example.test/live', { codec: 'msgpack', pingInterval: 60000 });
+      window.sockets[0].open();
+      console.error = () => {};
+      const sent = manager.send({ id: 2n ** 64n }, error => errors.push(error && error.name));
+
+      return {
+        edges: [2n ** 64n - 1n, -(2n ** 63n), 2n ** 64n, -(2n ** 63n) - 1n, [1, -(2n ** 70n)]].map(attempt),
+        // CBOR writes the larger ones as bignums
+        cbor: window.hex(WebSocketCodecs.cbor.encode(2n ** 64n)),
+        sent,
+        errors,
+        frames: window.sockets[0].sent.length
+      };
+    });
+
+    expect(result).toEqual({
+      edges: [
+        'cfffffffffffffffff',
+        'd38000000000000000',
+        'RangeError: 18446744073709551616 does not fit in a 64-bit integer',
+        'RangeError: -9223372036854775809 does not fit in a 64-bit integer',
+        'RangeError: -1180591620717411303424 does not fit in a 64-bit integer'
+      ],
+      cbor: 'c249010000000000000000',
+      sent: false,
+      errors: ['RangeError'],
+      frames: 0
+    });
+  });
+
+  test('sends binary frames and decodes ArrayBuffer and Blob frames in order', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const received = [];
+      const manager = new WebSocketManager('wss://example.test/live', {
+        codec: 'cbor',
+        pingInterval: 60000,
+        onMessage: (message) => received.push(message)
+      });
+      const socket = window.sockets[0];
+      socket.open();
+      manager.send({ type: 'hello', n: 1 });
+
+      // The Blob is read asynchronously, but the frame after it still waits its turn
+      const encode = (value) => WebSocketCodecs.cbor.encode(value);
+      socket.receive(new Blob([encode({ type: 'first' })]));
+      socket.receive(encode({ type: 'second' }).buffer);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      return {
+        binaryType: socket.binaryType,
+        sent: window.hex(socket.sent[0]),
+        received,
+        transports: new WebSocketManager('wss://example.test/live', { autoConnect: false, codec: 'msgpack', transports: ['websocket', 'sse', 'polling'] }).getTransports()
+      };
+    });
+
+    expect(result).toEqual({
+      binaryType: 'blob',
+      sent: 'a264747970656568656c6c6f616e01',
+      received: [{ type: 'first' }, { type: 'second' }],
+      // The HTTP fallbacks only carry text
+      transports: ['websocket']
+    });
+  });
+
+  test('deflates large messages behind a header byte', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const inflate = async (bytes) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'))).arrayBuffer());
+      const received = [];
+      const manager = new WebSocketManager('wss://example.test/live', {
+        codec: 'json',
+        compression: true,
+        compressionThreshold: 64,
+        binaryType: 'arraybuffer',
+        pingInterval: 60000,
+        onMessage: (message) => received.push(message)
+      });
+      const socket = window.sockets[0];
+      socket.open();
+
+      const large = { type: 'report', rows: Array.from({ length: 20 }, (_, i) => ({ id: i, status: 'ok' })) };
+      manager.send(large);
+      // Small text goes out as is, but only after the compressed message before it
+      manager.send({ type: 'small' });
+      const sentBeforeCompression = socket.sent.length;
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const [compressed, small] = socket.sent;
+      const inflated = new TextDecoder().decode(await inflate(compressed.subarray(1)));
+
+      // Frames from the server use the same header byte
+      const deflated = new Uint8Array(await new Response(new Blob([JSON.stringify({ type: 'pushed', rows: large.rows })]).stream().pipeThrough(new CompressionStream('deflate'))).arrayBuffer());
+      const frame = new Uint8Array(deflated.length + 1);
+      frame[0] = 1;
+      frame.set(deflated, 1);
+      socket.receive(frame.buffer);
+      socket.receive(new Uint8Array([0, ...new TextEncoder().encode('{"type":"plain"}')]).buffer);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      return {
+        binaryType: socket.binaryType,
+        sentBeforeCompression,
+        header: compressed[0],
+        shrunk: compressed.length < inflated.length,
+        inflated: JSON.parse(inflated),
+        small,
+        received: received.map(message => [message.type, message.rows ? message.rows.length : 0])
+      };
+    });
+
+    expect(result.binaryType).toBe('arraybuffer');
+    expect(result.sentBeforeCompression).toBe(0);
+    expect(result.header).toBe(1);
+    expect(result.shrunk).toBe(true);
+    expect(result.inflated.rows).toHaveLength(20);
+    expect(result.small).toBe('{"type":"small"}');
+    expect(result.received).toEqual([['pushed', 20], ['plain', 0]]);
+  });
+
+  test('accepts a custom codec object and switches codecs', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const received = [];
+      const upper = {
+        name: 'upper',
+        binary: false,
+        encode: (value) => JSON.stringify(value).toUpperCase(),
+        decode: (text) => JSON.parse(text.toLowerCase())
+      };
+      const manager = new WebSocketManager('wss://example.test/live', { codec: upper, pingInterval: 60000, onMessage: (message) => received.push(message) });
+      window.sockets[0].open();
+      manager.send({ type: 'hi' });
+      window.sockets[0].receive('{"TYPE":"BACK"}');
+
+      manager.setCodec('msgpack');
+      manager.send({ type: 'hi' });
+
+      let unknown = null;
+      try {
+        manager.setCodec('yaml');
+      } catch (error) {
+        unknown = error.message;
+      }
+
+      return { sent: [window.sockets[0].sent[0], window.hex(window.sockets[0].sent[1])], received, unknown, codec: manager.codec.name };
+    });
+
+    expect(result).toEqual({
+      sent: ['{"TYPE":"HI"}', '81a474797065a26869'],
+      received: [{ type: 'back' }],
+      unknown: 'Unknown WebSocket codec: yaml',
+      codec: 'msgpack'
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/* global WebSocketManager */
+const { test, expect } = require('@playwright/test');
+const { openFixture, installFakeWebSocket } = require('./helpers');
+
+test.describe('WebSocketManager backoff, heartbeat and diagnostics', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, { scripts: ['[JS]/modules/websocket-manager.js'] });
+    await installFakeWebSocket(page);
+    // Time only moves when a test runs the clock
+    await page.clock.install({ time: new Date('2024-05-01T11:59:00Z') });
+    await page.clock.pauseAt(new Date('2024-05-01T12:00:00Z'));
+  });
+
+  test('computes reconnect delays for each backoff strategy', async ({ page }) => {
+    const delays = await page.evaluate(() => {
+      const create = (options) => new WebSocketManager('wss://example.test/live', { autoConnect: false, reconnectInterval: 1000, maxReconnectInterval: 10000, ...options });
+      const series = (manager) => [1, 2, 3, 4, 5, 6].map(attempt => {
+        manager.reconnectDelay = manager.getReconnectDelay(attempt);
+        return manager.reconnectDelay;
+      });
+
+      const random = Math.random;
+      Math.random = () => 0.5;
+      try {
+        return {
+          fixed: series(create({})),
+          exponential: series(create({ backoff: 'exponential' })),
+          factor: series(create({ backoff: 'exponential', backoffFactor: 3 })),
+          // Half the jitter is taken off with Math.random() at 0.5
+          jitter: series(create({ backoff: 'exponential', reconnectJitter: 0.5 })),
+          // Halfway between the base delay and three times the previous one
+          decorrelated: series(create({ backoff: 'decorrelated' })),
+          custom: series(create({ backoff: (attempt, previous) => previous + attempt * 500 })),
+          negative: create({ backoff: () => -5 }).getReconnectDelay(1)
+        };
+      } finally {
+        Math.random = random;
+      }
+    });
+
+    expect(delays).toEqual({
+      fixed: [1000, 1000, 1000, 1000, 1000, 1000],
+      exponential: [1000, 2000, 4000, 8000, 10000, 10000],
+      factor: [1000, 3000, 9000, 10000, 10000, 10000],
+      jitter: [750, 1500, 3000, 6000, 7500, 7500],
+      decorrelated: [2000, 3500, 5750, 9125, 10000, 10000],
+      custom: [500, 1500, 3000, 5000, 7500, 10000],
+      negative: 0
+    });
+  });
+
+  test('waits out the backoff between attempts and gives up after the last one', async ({ page }) => {
+    await page.evaluate(() => {
+      window.events = [];
+      window.manager = new WebSocketManager('wss://example.test/live', {
+        backoff: 'exponential',
+        reconnectInterval: 1000,
+        maxReconnectAttempts: 3,
+        pingInterval: 60000,
+        onReconnect: (attempt) => window.events.push(`reconnect ${attempt}`),
+        onReconnectFailed: () => window.events.push('failed')
+      });
+      window.sockets[0].open();
+      window.sockets[0].drop(1006);
+    });
+
+    const sockets = () => page.evaluate(() => window.sockets.length);
+    const dropLatest = () => page.evaluate(() => window.sockets[window.sockets.length - 1].drop(1011));
+
+    expect(await page.evaluate(() => window.manager.getDiagnostics().reconnect.nextDelay)).toBe(1000);
+    await page.clock.runFor(999);
+    expect(await sockets()).toBe(1);
+    await page.clock.runFor(1);
+    expect(await sockets()).toBe(2);
+
+    await dropLatest();
+    await page.clock.runFor(1999);
+    expect(await sockets()).toBe(2);
+    await page.clock.runFor(1);
+    expect(await sockets()).toBe(3);
+
+    await dropLatest();
+    await page.clock.runFor(4000);
+    await dropLatest();
+
+    const diagnostics = await page.evaluate(() => window.manager.getDiagnostics());
+    expect(await page.evaluate(() => window.events)).toEqual(['reconnect 1', 'reconnect 2', 'reconnect 3', 'failed']);
+    expect(diagnostics.status).toBe('error');
+    expect(diagnostics.reconnect.history.map(entry => [entry.attempt, entry.delay])).toEqual([[1, 1000], [2, 2000], [3, 4000]]);
+    expect(diagnostics.lastCloseCodes).toEqual([1006, 1011, 1011, 1011]);
+
+    // A successful connection starts the backoff over
+    await page.evaluate(() => {
+      window.manager.connect();
+      window.sockets[window.sockets.length - 1].open();
+      window.sockets[window.sockets.length - 1].drop();
+    });
+    expect(await page.evaluate(() => window.manager.getDiagnostics().reconnect.nextDelay)).toBe(1000);
+  });
+
+  test('holds reconnecting while offline or hidden', async ({ page, context }) => {
+    await page.evaluate(() => {
+      window.manager = new WebSocketManager('wss://example.test/live', { reconnectInterval: 500, pingInterval: 60000 });
+      window.sockets[0].open();
+    });
+
+    await context.setOffline(true);
+    await page.evaluate(() => window.sockets[0].drop());
+    await page.clock.runFor(5000);
+    expect(await page.evaluate(() => [window.sockets.length, window.manager.getConnectionStatus(), window.manager.getDiagnostics().reconnect.paused]))
+      .toEqual([1, 'paused', true]);
+
+    // Coming back online connects straight away
+    await context.setOffline(false);
+    await expect.poll(() => page.evaluate(() => window.sockets.length)).toBe(2);
+    expect(await page.evaluate(() => window.manager.getDiagnostics().reconnect.paused)).toBe(false);
+
+    await page.evaluate(() => {
+      window.sockets[1].open();
+      window.visibility = 'hidden';
+      Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => window.visibility });
+      window.sockets[1].drop();
+    });
+    await page.clock.runFor(5000);
+    expect(await page.evaluate(() => [window.sockets.length, window.manager.getConnectionStatus()])).toEqual([2, 'paused']);
+
+    await page.evaluate(() => {
+      window.visibility = 'visible';
+      document.dispatchEvent(new Event('visibilitychange'));
+    });
+    expect(await page.evaluate(() => window.sockets.length)).toBe(3);
+
+    // Without the pause option the attempt goes ahead regardless
+    await page.evaluate(() => {
+      window.visibility = 'hidden';
+      window.other = new WebSocketManager('wss://example.test/other', { reconnectInterval: 500, pauseReconnectHidden: false, pingInterval: 60000 });
+      window.sockets[3].open();
+      window.sockets[3].drop();
+    });
+    await page.clock.runFor(500);
+    expect(await page.evaluate(() => [window.sockets.length, window.other.getConnectionStatus()])).toEqual([5, 'connecting']);
+  });
+
+  test('measures round-trip times from pongs', async ({ page }) => {
+    await page.evaluate(() => {
+      window.manager = new WebSocketManager('wss://example.test/live', { pingInterval: 1000 });
+      window.sockets[0].open();
+    });
+
+    const answerPing = async (delay) => {
+      await page.clock.runFor(delay);
+      await page.evaluate(() => {
+        const ping = window.sockets[0].messages().filter(message => message.type === 'ping').pop();
+        window.sockets[0].receive({ type: 'pong', timestamp: ping.timestamp });
+      });
+    };
+
+    // Pings go out every pingInterval; the pong echoes the timestamp
+    await page.clock.runFor(1000);
+    await answerPing(40);
+    await page.clock.runFor(960);
+    await answerPing(20);
+    await page.clock.runFor(980);
+    await answerPing(90);
+
+    const result = await page.evaluate(() => ({
+      pings: window.sockets[0].messages().filter(message => message.type === 'ping').length,
+      rtt: window.manager.getDiagnostics().rtt
+    }));
+    expect(result).toEqual({ pings: 3, rtt: { last: 90, min: 20, max: 90, average: 50, samples: [40, 20, 90] } });
+
+    // A pong without a timestamp is timed from the last ping
+    await page.evaluate(() => window.manager.ping());
+    await page.clock.runFor(15);
+    await page.evaluate(() => window.sockets[0].receive({ type: 'pong' }));
+    expect(await page.evaluate(() => window.manager.getDiagnostics().rtt.last)).toBe(15);
+  });
+
+  test('reports message rates, queues and close codes', async ({ page }) => {
+    await page.evaluate(() => {
+      window.manager = new WebSocketManager('wss://example.test/live', { reconnect: false, pingInterval: 600000 });
+      // Sent before the socket opens, so they wait in the queue
+      window.manager.send({ type: 'hello' });
+      window.manager.request('slow', null, { timeout: 0 });
+    });
+
+    const before = await page.evaluate(() => window.manager.getDiagnostics());
+    expect([before.status, before.queueDepth, before.pendingRequests, before.messages.sent]).toEqual(['connecting', 2, 1, 0]);
+
+    await page.evaluate(() => {
+      window.sockets[0].open();
+      window.manager.subscribe('news');
+      for (let i = 0; i < 6; i++) window.sockets[0].receive({ type: 'tick', i });
+    });
+    await page.clock.runFor(1000);
+    await page.evaluate(() => {
+      window.manager.send({ type: 'bye' });
+      for (let i = 0; i < 2; i++) window.sockets[0].receive({ type: 'tick', i });
+    });
+    await page.clock.runFor(5000);
+
+    const open = await page.evaluate(() => window.manager.getDiagnostics());
+    expect(open).toMatchObject({
+      status: 'connected',
+      transport: 'websocket',
+      url: 'wss://example.test/live',
+      uptime: 6000,
+      queueDepth: 0,
+      pendingRequests: 1,
+      subscriptions: ['news'],
+      // Over the seven seconds since the first counted message
+      messages: { sent: 4, received: 8, sentPerSecond: 4 / 7, receivedPerSecond: 8 / 7 }
+    });
+
+    // Rates only look back one minute
+    await page.clock.runFor(120000);
+    expect(await page.evaluate(() => window.manager.getDiagnostics().messages)).toEqual({ sent: 4, received: 8, sentPerSecond: 0, receivedPerSecond: 0 });
+
+    await page.evaluate(() => window.sockets[0].drop(4001));
+    const closed = await page.evaluate(() => window.manager.getDiagnostics());
+    expect(closed).toMatchObject({ status: 'disconnected', uptime: 0, connectedAt: null, pendingRequests: 0, lastCloseCodes: [4001] });
+    expect(closed.closeHistory).toEqual([{ code: 4001, reason: '', wasClean: false, transport: 'websocket', time: Date.parse('2024-05-01T12:02:06Z') }]);
+  });
+});
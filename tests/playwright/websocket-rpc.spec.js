@@ -0,0 +1,170 @@
+/* global WebSocketManager */
+const { test, expect } = require('@playwright/test');
+const { openFixture, installFakeWebSocket } = require('./helpers');
+
+test.describe('WebSocketManager subscriptions and requests', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, { scripts: ['[JS]/modules/websocket-manager.js'] });
+    await installFakeWebSocket(page);
+  });
+
+  test('restores channel subscriptions after reconnecting', async ({ page }) => {
+    await page.evaluate(() => {
+      window.received = [];
+      window.settled = [];
+      window.manager = new WebSocketManager('wss://example.test/live', { reconnectInterval: 10, pingInterval: 60000 });
+      // Made before the socket opens, so it's sent on open
+      window.manager.subscribe('prices', (message) => window.received.push(message.price))
+        .then(result => window.settled.push(['prices', result.success]));
+      window.sockets[0].open();
+    });
+
+    expect(await page.evaluate(() => window.sockets[0].messages())).toEqual([{ type: 'subscribe', channel: 'prices' }]);
+    await page.evaluate(() => {
+      window.sockets[0].receive({ type: 'subscribe-result', channel: 'prices', success: true });
+      window.sockets[0].receive({ type: 'channel-prices', price: 10 });
+    });
+    await expect.poll(() => page.evaluate(() => window.settled)).toEqual([['prices', true]]);
+
+    await page.evaluate(() => window.sockets[0].drop());
+    await expect.poll(() => page.evaluate(() => window.sockets.length)).toBe(2);
+
+    // Queued messages wait behind the restored subscription
+    const sent = await page.evaluate(() => {
+      window.manager.send({ type: 'note', text: 'queued' });
+      window.sockets[1].open();
+      window.sockets[1].receive({ type: 'subscribe-result', channel: 'prices', success: true });
+      window.sockets[1].receive({ type: 'channel-prices', price: 11 });
+      return window.sockets[1].messages();
+    });
+    expect(sent).toEqual([{ type: 'subscribe', channel: 'prices' }, { type: 'note', text: 'queued' }]);
+    expect(await page.evaluate(() => window.received)).toEqual([10, 11]);
+
+    // Unsubscribing waits for the server and stops the channel coming back
+    const unsubscribed = await page.evaluate(async () => {
+      const done = window.manager.unsubscribe('prices');
+      window.sockets[1].receive({ type: 'unsubscribe-result', channel: 'prices', success: true });
+      await done;
+      window.sockets[1].receive({ type: 'channel-prices', price: 12 });
+      return { subscriptions: window.manager.getSubscriptions(), last: window.sockets[1].messages().pop() };
+    });
+    expect(unsubscribed).toEqual({ subscriptions: [], last: { type: 'unsubscribe', channel: 'prices' } });
+    expect(await page.evaluate(() => window.received)).toEqual([10, 11]);
+  });
+
+  test('rejects and forgets a subscription the server refuses', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const manager = new WebSocketManager('wss://example.test/live', { pingInterval: 60000 });
+      window.sockets[0].open();
+      const subscribing = manager.subscribe('admin', () => {});
+      window.sockets[0].receive({ type: 'subscribe-result', channel: 'admin', success: false, error: 'Forbidden' });
+      const error = await subscribing.catch(reason => reason.message);
+      return { error, subscriptions: manager.getSubscriptions(), handler: manager.messageHandlers.has('channel-admin') };
+    });
+
+    expect(result).toEqual({ error: 'Forbidden', subscriptions: [], handler: false });
+  });
+
+  test('matches responses to requests by correlation id', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const manager = new WebSocketManager('wss://example.test/rpc', { pingInterval: 60000 });
+      const socket = window.sockets[0];
+      socket.open();
+
+      const sum = manager.request('sum', [1, 2]);
+      const user = manager.request('user.get', { id: 7 });
+      const [first, second] = socket.messages();
+
+      // Answers arrive out of order, with an unrelated one in between
+      socket.receive({ type: 'response', id: second.id, error: { message: 'Not found', code: 404, data: { id: 7 } } });
+      socket.receive({ type: 'response', id: 'req-unknown', result: 'ignored' });
+      socket.receive({ type: 'response', id: first.id, result: 3 });
+
+      const failure = await user.catch(error => ({ message: error.message, code: error.code, data: error.data }));
+      return {
+        requests: [first, second].map(({ type, method, params }) => ({ type, method, params })),
+        distinct: first.id !== second.id,
+        sum: await sum,
+        failure,
+        pending: manager.pendingRequests.size
+      };
+    });
+
+    expect(result).toEqual({
+      requests: [
+        { type: 'request', method: 'sum', params: [1, 2] },
+        { type: 'request', method: 'user.get', params: { id: 7 } }
+      ],
+      distinct: true,
+      sum: 3,
+      failure: { message: 'Not found', code: 404, data: { id: 7 } },
+      pending: 0
+    });
+  });
+
+  test('times out requests and rejects ones sent on a dropped socket', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const manager = new WebSocketManager('wss://example.test/rpc', { reconnectInterval: 10, pingInterval: 60000 });
+      window.sockets[0].open();
+
+      const slow = await manager.request('slow', null, { timeout: 20 }).catch(error => error.message);
+
+      const lost = manager.request('lost', null, { timeout: 0 });
+      window.sockets[0].drop();
+      const dropped = await lost.catch(error => error.message);
+
+      // Made while reconnecting, so it's sent on the next socket
+      const queued = manager.request('queued', null, { timeout: 0 });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      window.sockets[1].open();
+      const [message] = window.sockets[1].messages();
+      window.sockets[1].receive({ type: 'response', id: message.id, result: 'ok' });
+
+      return { slow, dropped, queued: await queued, method: message.method };
+    });
+
+    expect(result).toEqual({
+      slow: 'Request "slow" timed out after 20ms',
+      dropped: 'WebSocket connection closed',
+      queued: 'ok',
+      method: 'queued'
+    });
+  });
+
+  test('rejects queued requests once no reconnect is coming', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const outcome = (promise) => promise.then(() => 'resolved', error => error.message);
+
+      // Reconnecting is turned off
+      const single = new WebSocketManager('wss://example.test/rpc', { reconnect: false, pingInterval: 60000 });
+      const unsent = single.request('unsent', null, { timeout: 0 });
+      window.sockets[0].drop();
+
+      // Reconnect attempts run out
+      const limited = new WebSocketManager('wss://example.test/rpc', { reconnectInterval: 10, maxReconnectAttempts: 1, pingInterval: 60000 });
+      const waiting = limited.request('waiting', null, { timeout: 0 });
+      window.sockets[1].drop();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      window.sockets[2].drop();
+
+      // The manager is closed by hand
+      const closed = new WebSocketManager('wss://example.test/rpc', { pingInterval: 60000 });
+      const closing = closed.request('closing', null, { timeout: 0 });
+      closed.close();
+
+      return {
+        outcomes: [await outcome(unsent), await outcome(waiting), await outcome(closing)],
+        afterClose: await outcome(closed.request('late', null, { timeout: 0 })),
+        queues: [single, limited, closed].map(manager => [manager.pendingRequests.size, manager.messageQueue.length]),
+        sockets: window.sockets.length
+      };
+    });
+
+    expect(result).toEqual({
+      outcomes: ['WebSocket connection closed', 'WebSocket connection closed', 'WebSocket connection closed'],
+      afterClose: 'WebSocket connection closed',
+      queues: [[0, 0], [0, 0], [0, 0]],
+      sockets: 4
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/* global WebSocketManager */
+const { test, expect } = require('@playwright/test');
+const { createServer } = require('../../scripts/websocket-server');
+
+// The page comes from the server itself; Chromium won't let other origins reach a loopback WebSocket
+async function startServer(page, options) {
+  const server = createServer(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  await page.goto(`http://127.0.0.1:${server.address().port}/`);
+  return server;
+}
+
+async function stopServer(server) {
+  server.dropClients();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+}
+
+// Creates window.manager against the server and resolves once it's open
+async function connect(page, server, options) {
+  const url = `ws://127.0.0.1:${server.address().port}/ws`;
+
+  return page.evaluate(([url, options]) => new Promise((resolve) => {
+    window.opens = 0;
+    window.news = [];
+    window.manager = new WebSocketManager(url, {
+      pingInterval: 60000,
+      transportTimeout: 3000,
+      ...options,
+      onOpen: (event, manager) => {
+        window.opens++;
+        resolve(manager.getTransport());
+      }
+    });
+  }), [url, options]);
+}
+
+// Subscribes, publishes to the subscription and makes requests over whatever transport is open
+async function exchange(page) {
+  return page.evaluate(async () => {
+    const manager = window.manager;
+    await manager.subscribe('news', (message) => window.news.push(message.data));
+    manager.send({ type: 'publish', channel: 'news', data: `over ${manager.getTransport()}` });
+
+    const echoed = await manager.request('echo', { text: 'hi', list: [1, 2] });
+    const unknown = await manager.request('missing').catch(error => [error.message, error.code]);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return { echoed, unknown, news: window.news };
+  });
+}
+
+test.describe('WebSocketManager against the local test server', () => {
+  let server;
+
+  test.afterEach(async () => {
+    await stopServer(server);
+  });
+
+  test('talks to the server over WebSocket', async ({ page }) => {
+    server = await startServer(page);
+    expect(await connect(page, server, { transports: ['websocket', 'sse', 'polling'] })).toBe('websocket');
+
+    expect(await exchange(page)).toEqual({
+      echoed: { text: 'hi', list: [1, 2] },
+      unknown: ['Unknown method: missing', -32601],
+      news: ['over websocket']
+    });
+  });
+
+  test('falls back to Server-Sent Events when WebSocket is refused', async ({ page }) => {
+    server = await startServer(page, { transports: ['sse', 'polling'] });
+    expect(await connect(page, server, { transports: ['websocket', 'sse', 'polling'] })).toBe('sse');
+
+    expect(await exchange(page)).toEqual({
+      echoed: { text: 'hi', list: [1, 2] },
+      unknown: ['Unknown method: missing', -32601],
+      news: ['over sse']
+    });
+    // The refused attempt is only visible in the close history
+    const closes = await page.evaluate(() => window.manager.closeHistory.map(entry => entry.transport));
+    expect(closes).toEqual(['websocket']);
+    expect(await page.evaluate(() => window.opens)).toBe(1);
+  });
+
+  test('falls back to long polling when neither WebSocket nor SSE is available', async ({ page }) => {
+    server = await startServer(page, { transports: ['polling'] });
+    expect(await connect(page, server, { transports: ['websocket', 'sse', 'polling'] })).toBe('polling');
+
+    expect(await exchange(page)).toEqual({
+      echoed: { text: 'hi', list: [1, 2] },
+      unknown: ['Unknown method: missing', -32601],
+      news: ['over polling']
+    });
+    expect(await page.evaluate(() => window.manager.closeHistory.map(entry => entry.transport))).toEqual(['websocket', 'sse']);
+  });
+
+  for (const transport of ['websocket', 'sse', 'polling']) {
+    test(`reconnects over ${transport} and restores subscriptions when the server drops it`, async ({ page }) => {
+      server = await startServer(page);
+      await connect(page, server, { transports: [transport], reconnectInterval: 100 });
+      await page.evaluate(() => window.manager.subscribe('news', (message) => window.news.push(message.data)));
+
+      // The server cuts the connection while a request waits for its answer
+      const dropped = await page.evaluate(() => window.manager.request('drop').catch(error => error.message));
+      expect(dropped).toBe('WebSocket connection closed');
+
+      await expect.poll(() => page.evaluate(() => window.opens)).toBe(2);
+      const result = await page.evaluate(async () => {
+        const manager = window.manager;
+        // Sent after the restored subscription, so the server already knows about it
+        manager.send({ type: 'publish', channel: 'news', data: 'after reconnect' });
+        const echoed = await manager.request('echo', 'still there');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return { echoed, news: window.news, transport: manager.getTransport(), attempts: manager.reconnectHistory.length };
+      });
+
+      expect(result).toEqual({ echoed: 'still there', news: ['after reconnect'], transport, attempts: 1 });
+      expect(Array.from(server.clients.values(), client => client.transport)).toEqual([transport]);
+    });
+  }
+});